@@ -0,0 +1,356 @@
+// app.js
+// The Express app: its middleware and every API route, working on the given pool. server.js creates
+// it with the Postgres session store and starts it; tests create it on a database of their own.
+const express = require('express');
+const bodyParser = require('body-parser');
+const session = require('express-session');
+const path = require('path');
+const cors = require('cors');
+const fs = require('fs');
+
+const { auditMutations } = require('./utils/auditLog');
+const { scopeRequestToSession } = require('./utils/tenantContext');
+
+// sessionStore defaults to express-session's in-memory store
+const createApp = (pool, { logger, sessionStore } = {}) => {
+  const app = express();
+
+  // CORS - secure configuration for production and mobile apps
+  const allowedOrigins = [
+    'https://demohavenn.onrender.com',
+    'file://', // Cordova file:// protocol
+    'https://localhost', // Cordova WebView origin (needed for mobile app)
+    'capacitor://localhost', // Capacitor apps
+    'ionic://localhost', // Ionic apps
+    ...(process.env.NODE_ENV !== 'production' ? [
+      'http://localhost:5173', 
+      'http://localhost:8080'
+    ] : [])
+  ];
+
+  app.use(cors({
+    origin: (origin, callback) => {
+      // If no origin (e.g. curl, mobile apps), allow it
+      if (!origin || allowedOrigins.includes(origin)) {
+        callback(null, true);
+      } else {
+        callback(new Error('Not allowed by CORS'));
+      }
+    },
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Info', 'Accept', 'Origin', 'X-Requested-With'],
+    credentials: true,
+    optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
+  }));
+
+  // Middleware and basic app setup
+  // Keep the raw JSON body as well: webhook signatures are computed over the exact bytes received
+  app.use(bodyParser.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use(bodyParser.urlencoded({ extended: true }));
+  app.set('trust proxy', 1);
+
+  const staticOptions = {
+    setHeaders: (res, filePath) => {
+      if (filePath.endsWith('.js')) res.setHeader('Content-Type', 'application/javascript');
+      else if (filePath.endsWith('.css')) res.setHeader('Content-Type', 'text/css');
+    }
+  };
+  app.use(express.static(path.join(__dirname, 'dist'), staticOptions));
+  app.use('/assets', express.static(path.join(__dirname, 'dist/assets'), staticOptions));
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  app.use(session({
+    store: sessionStore,
+    secret: process.env.SESSION_SECRET || 'your-very-secure-secret-key-please-change',
+    resave: false,
+    saveUninitialized: false,
+    cookie: { 
+      maxAge: 24 * 60 * 60 * 1000, 
+      httpOnly: false, // Allow JavaScript access for mobile apps
+      secure: false, // Disable secure cookies for Cordova compatibility
+      sameSite: 'lax' // Compatible with both web and mobile apps
+    },
+  }));
+
+  // Queries of a signed-in request only reach its library's rows; without a session they reach none, and
+  // routes that work before a library is known (sign-in, webhooks) opt out themselves
+  app.use('/api', scopeRequestToSession);
+
+  // Record every successful create/update/delete in the audit trail
+  app.use('/api', auditMutations(pool));
+
+  // Helper to require route factory safely
+  const initializeRoute = (filePath, poolInstance) => {
+    try {
+      const routeFactory = require(filePath);
+      if (typeof routeFactory !== 'function') {
+        logger.error(`FATAL: Route factory in ${filePath} is not a function. Exiting.`);
+        process.exit(1);
+      }
+      return routeFactory(poolInstance);
+    } catch (e) {
+      logger.error(`FATAL: Failed to require or initialize route from ${filePath}: ${e.message}`);
+      process.exit(1);
+    }
+  };
+
+  // Routes import/initialization
+  const {
+    createOwnerAuthRouter,
+    authenticateOwner,
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+  } = require("./routes/ownerAuth");
+  const { createStudentAuthRouter } = require("./routes/studentAuth");
+  const { createOwnerDashboardRouter } = require('./routes/ownerDashboard');
+  const { validateSubscription, updateOwnerSubscriptionInfo } = require('./routes/subscriptionValidation');
+
+  const ownerAuthRoutes = createOwnerAuthRouter(pool);
+  const studentAuthRoutes = createStudentAuthRouter(pool);
+  const ownerDashboardRoutes = createOwnerDashboardRouter(pool);
+
+  const userRoutes = initializeRoute('./routes/users', pool);
+  const rolesRoutes = initializeRoute('./routes/roles', pool);
+  const studentRoutes = initializeRoute('./routes/students', pool);
+  const scheduleRoutes = initializeRoute('./routes/schedules', pool);
+  const seatsRoutes = initializeRoute('./routes/seats', pool);
+  const settingsRoutes = initializeRoute('./routes/settings', pool);
+  const notificationsRoutes = initializeRoute('./routes/notifications', pool);
+  const reminderRulesRoutes = initializeRoute('./routes/reminderRules', pool);
+  const bulkMessagesRoutes = initializeRoute('./routes/bulkMessages', pool);
+  const hostelBranchesRoutes = initializeRoute('./routes/hostelBranches', pool);
+  const hostelStudentsRoutes = initializeRoute('./routes/hostelStudents', pool);
+  const transactionsRoutes = initializeRoute('./routes/transactions', pool);
+  const generalCollectionsRoutes = initializeRoute('./routes/collections', pool);
+  const expensesRoutes = initializeRoute('./routes/expenses', pool);
+  const reportsRoutes = initializeRoute('./routes/reports', pool);
+  const hostelCollectionRoutes = initializeRoute('./routes/hostelCollections', pool);
+  const branchesRoutes = initializeRoute('./routes/branches', pool);
+  const productsRoutes = initializeRoute('./routes/products', pool);
+  const lockersRoutes = initializeRoute('./routes/lockers', pool);
+  const announcementsRoutes = initializeRoute('./routes/announcements', pool);
+  const queriesRoutes = initializeRoute('./routes/queries', pool);
+  const publicRegistrationRoutes = initializeRoute('./routes/publicRegistration', pool);
+  const admissionRequestsRoutes = initializeRoute('./routes/admissionRequests', pool);
+  const attendanceKioskRoutes = initializeRoute('./routes/attendanceKiosk', pool);
+  const receiptsRoutes = initializeRoute('./routes/receipts', pool);
+  const onlinePaymentsRoutes = initializeRoute('./routes/onlinePayments', pool);
+  const authModule = require('./routes/auth');
+  const authRoutes = authModule.authRouter(pool);
+
+  // Mount routes
+  app.use('/api/owner-auth', ownerAuthRoutes);
+  app.use('/api/student-auth', studentAuthRoutes);
+  // Students pay their fees online here; the Razorpay webhook is verified by its signature
+  app.use('/api/online-payments', onlinePaymentsRoutes);
+  app.use(
+    '/api/owner-dashboard',
+    authenticateOwner,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    ownerDashboardRoutes
+  );
+
+  app.use('/api/public-registration', publicRegistrationRoutes);
+  app.use('/api/admission-requests', admissionRequestsRoutes);
+  app.use('/api/auth', authRoutes);
+  // Kiosk routes authenticate owners and admin/staff users themselves
+  app.use('/api/attendance-kiosk', attendanceKioskRoutes);
+
+  app.use(
+    '/api/users',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    userRoutes
+  );
+  app.use(
+    '/api/roles',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    rolesRoutes
+  );
+  // Announcements route is mounted with owner/auth/subscription guards below
+  app.use('/api/queries', queriesRoutes);
+  app.use(
+    '/api/students',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    studentRoutes
+  );
+  app.use(
+    '/api/schedules',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    scheduleRoutes
+  );
+  app.use(
+    '/api/seats',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    seatsRoutes
+  );
+  app.use(
+    '/api/branches',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    branchesRoutes
+  );
+  app.use(
+    '/api/lockers',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    lockersRoutes
+  );
+
+  const { createSubscriptionRouter } = require('./routes/subscriptions');
+  const subscriptionRoutes = createSubscriptionRouter(pool);
+  app.use('/api/subscriptions', subscriptionRoutes);
+
+  app.use(
+    '/api/transactions',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    transactionsRoutes
+  );
+  app.use(
+    '/api/collections',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    generalCollectionsRoutes
+  );
+  app.use(
+    '/api/receipts',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    receiptsRoutes
+  );
+  app.use(
+    '/api/expenses',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    expensesRoutes
+  );
+  app.use(
+    '/api/reports',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    reportsRoutes
+  );
+  app.use(
+    '/api/hostel/branches',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    hostelBranchesRoutes
+  );
+  app.use(
+    '/api/hostel/students',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    hostelStudentsRoutes
+  );
+  app.use(
+    '/api/hostel/collections',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    hostelCollectionRoutes
+  );
+  app.use(
+    '/api/products',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    productsRoutes
+  );
+  app.use(
+    '/api/settings',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    settingsRoutes
+  );
+  // Message templates (admins) and the log of notifications sent (owner)
+  app.use(
+    '/api/notifications',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    notificationsRoutes
+  );
+  // Automatic reminders to students (admins)
+  app.use(
+    '/api/reminder-rules',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    reminderRulesRoutes
+  );
+  // Messages to saved segments of students, sent in bulk (admins)
+  app.use(
+    '/api/bulk-messages',
+    authenticateLibraryUser,
+    ensureOwnerDataIsolation,
+    updateOwnerSubscriptionInfo.bind(null, pool),
+    validateSubscription,
+    bulkMessagesRoutes
+  );
+  // Announcements route allows any authenticated user (owner, admin, staff, student)
+  app.use('/api/announcements', announcementsRoutes);
+
+  app.get('/api', (req, res) => {
+    res.json({ message: 'Student Management API' });
+  });
+
+  app.get('*', (req, res) => {
+    const indexPath = path.join(__dirname, 'dist', 'index.html');
+    if (fs.existsSync(indexPath)) {
+      res.sendFile(indexPath);
+    } else {
+      logger.error('Index.html not found in dist folder. Path searched:', indexPath);
+      res.status(404).send('Application resource not found. Please ensure the frontend is built and `dist/index.html` exists.');
+    }
+  });
+
+  app.use((err, req, res, next) => {
+    logger.error('Unhandled error:', { message: err.message, stack: err.stack, path: req.path, method: req.method });
+    res.status(500).json({ message: 'Internal Server Error', error: err.message });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
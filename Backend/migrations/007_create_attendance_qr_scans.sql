@@ -0,0 +1,16 @@
+-- Migration for rotating, signed attendance QR codes
+
+-- Records every signed QR code a student has used so the same code cannot be replayed
+CREATE TABLE IF NOT EXISTS attendance_qr_scans (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER REFERENCES libraries(id) ON DELETE CASCADE NOT NULL,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    scanned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(student_id, nonce) -- A code can be used only once per student
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_qr_scans_scanned_at
+    ON attendance_qr_scans(scanned_at);
+
+COMMENT ON TABLE attendance_qr_scans IS 'Nonces of signed attendance QR codes already used by each student';
@@ -0,0 +1,27 @@
+-- Migration for geofenced student self-attendance
+
+-- 1. Branch location and fence settings. The fence is enforced only when latitude, longitude and radius are all set.
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS geofence_radius INTEGER CHECK (geofence_radius IS NULL OR geofence_radius > 0);
+ALTER TABLE branches ADD COLUMN IF NOT EXISTS geofence_mode VARCHAR(10) NOT NULL DEFAULT 'lenient'
+    CHECK (geofence_mode IN ('strict', 'lenient'));
+
+COMMENT ON COLUMN branches.geofence_radius IS 'Allowed distance in meters from the branch location for student self check-in';
+COMMENT ON COLUMN branches.geofence_mode IS '"strict" rejects check-ins outside the fence, "lenient" accepts them but flags them as suspicious';
+
+-- 2. Device location and geofence result on self-marked attendance
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS distance_meters INTEGER;
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS flag_reason VARCHAR(255);
+
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS latitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS longitude NUMERIC(9, 6);
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS distance_meters INTEGER;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE attendance ADD COLUMN IF NOT EXISTS flag_reason VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_student_attendance_flagged
+    ON student_attendance(library_id, created_at) WHERE is_flagged;
@@ -0,0 +1,12 @@
+-- Migration for automatic check-out of open attendance sessions. A student whose shift has no end time
+-- is checked out at the library's closing_time setting (see 024_create_library_settings.sql).
+
+-- 1. Shift end time; the existing "time" column is the shift start time
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS end_time TIME;
+
+-- 2. Mark check-outs created by the nightly job and track owner corrections
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS is_auto_closed BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS corrected_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN student_attendance.is_auto_closed IS 'TRUE when the check-out was created automatically because the student did not scan out';
+COMMENT ON COLUMN student_attendance.corrected_at IS 'When an owner last corrected the time of this row';
@@ -0,0 +1,53 @@
+-- Migration for consolidating student attendance into the student_attendance event table
+-- Safe to run more than once: legacy rows are only copied if they have not been copied before.
+
+BEGIN;
+
+-- 1. Record where each check-in/check-out came from
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'scan'
+    CHECK (source IN ('scan', 'qr', 'toggle', 'manual', 'auto', 'legacy'));
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS legacy_attendance_id INTEGER;
+
+COMMENT ON COLUMN student_attendance.source IS 'How the event was recorded: qr, toggle, manual, auto (nightly check-out), legacy (copied from the old attendance table) or scan (recorded before sources were tracked)';
+COMMENT ON COLUMN student_attendance.legacy_attendance_id IS 'attendance.id the event was copied from, if any';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_attendance_legacy
+    ON student_attendance(legacy_attendance_id, action) WHERE legacy_attendance_id IS NOT NULL;
+
+UPDATE student_attendance SET source = 'auto' WHERE is_auto_closed AND source = 'scan';
+
+-- 2. Copy legacy check-ins. A legacy row is skipped when the student already has events on that day,
+--    since both tables were written for the same visit and copying it would count the day twice.
+INSERT INTO student_attendance (student_id, library_id, action, notes, created_at, source, legacy_attendance_id,
+                                latitude, longitude, distance_meters, is_flagged, flag_reason)
+SELECT a.student_id, a.library_id, 'in', a.notes, a.check_in_time, 'legacy', a.id,
+       a.latitude, a.longitude, a.distance_meters, a.is_flagged, a.flag_reason
+FROM attendance a
+WHERE a.student_id IS NOT NULL
+  AND a.library_id IS NOT NULL
+  AND a.check_in_time IS NOT NULL
+  AND a.status <> 'absent'
+  AND NOT EXISTS (
+    SELECT 1 FROM student_attendance sa
+    WHERE sa.student_id = a.student_id
+      AND DATE(sa.created_at) = DATE(a.check_in_time)
+      AND sa.legacy_attendance_id IS DISTINCT FROM a.id
+  )
+ON CONFLICT DO NOTHING;
+
+-- 3. Copy legacy check-outs for the check-ins copied above
+INSERT INTO student_attendance (student_id, library_id, action, notes, created_at, source, legacy_attendance_id)
+SELECT a.student_id, a.library_id, 'out', a.notes, a.check_out_time, 'legacy', a.id
+FROM attendance a
+WHERE a.check_out_time IS NOT NULL
+  AND a.check_out_time >= a.check_in_time
+  AND EXISTS (
+    SELECT 1 FROM student_attendance sa
+    WHERE sa.legacy_attendance_id = a.id AND sa.action = 'in'
+  )
+ON CONFLICT DO NOTHING;
+
+-- 4. The old table is kept for reference only; nothing reads from or writes to it any more
+COMMENT ON TABLE attendance IS 'Deprecated: merged into student_attendance by migration 010. Do not write new rows here.';
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Migration for the staff-operated attendance kiosk that scans student ID cards
+
+-- 1. Allow the 'kiosk' source on attendance events
+ALTER TABLE student_attendance DROP CONSTRAINT IF EXISTS student_attendance_source_check;
+ALTER TABLE student_attendance ADD CONSTRAINT student_attendance_source_check
+    CHECK (source IN ('scan', 'qr', 'toggle', 'manual', 'auto', 'legacy', 'kiosk'));
+
+-- 2. Staff member who recorded a kiosk scan; NULL when the owner was operating the kiosk
+ALTER TABLE student_attendance ADD COLUMN IF NOT EXISTS recorded_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN student_attendance.recorded_by_user_id IS 'users.id of the staff member who scanned the student ID card at the kiosk';
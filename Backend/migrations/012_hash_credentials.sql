@@ -0,0 +1,17 @@
+-- Migration for hashed staff and student credentials
+-- Existing plaintext passwords are replaced with bcrypt hashes the next time each user logs in (see utils/passwords.js)
+
+-- 1. Students must replace the phone-number default password on their first login
+ALTER TABLE student_accounts ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE student_accounts ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+
+-- 2. Student login used to accept only the phone number, whatever was stored, so every account
+--    that has not been re-hashed yet is still on the default password
+UPDATE student_accounts
+SET password = phone,
+    must_change_password = TRUE
+WHERE password !~ '^\$2[aby]\$[0-9]{2}\$';
+
+COMMENT ON COLUMN student_accounts.password IS 'bcrypt hash; legacy plaintext values are re-hashed on the next successful login';
+COMMENT ON COLUMN student_accounts.must_change_password IS 'TRUE while the account still uses the phone-number default password';
+COMMENT ON COLUMN users.password IS 'bcrypt hash; legacy plaintext values are re-hashed on the next successful login';
@@ -0,0 +1,35 @@
+-- Migration for self-service password reset with one-time codes
+
+-- One row per code sent; only a hash of the code is stored
+CREATE TABLE IF NOT EXISTS password_reset_codes (
+    id SERIAL PRIMARY KEY,
+    account_type VARCHAR(10) NOT NULL CHECK (account_type IN ('owner', 'staff', 'student')),
+    account_id INTEGER NOT NULL, -- libraries.id, users.id or student_accounts.id depending on account_type
+    code_hash VARCHAR(64) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'whatsapp')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_account
+    ON password_reset_codes(account_type, account_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_codes_ip
+    ON password_reset_codes(requested_ip, created_at);
+
+-- Every forgot-password request, whether or not it matched an account, so one IP address cannot
+-- probe for accounts without limit; rows older than a day are purged by a cron job
+CREATE TABLE IF NOT EXISTS password_reset_requests (
+    id SERIAL PRIMARY KEY,
+    account_type VARCHAR(10) NOT NULL CHECK (account_type IN ('owner', 'staff', 'student')),
+    ip_address VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_requests_ip
+    ON password_reset_requests(ip_address, created_at);
+
+COMMENT ON TABLE password_reset_codes IS 'One-time password reset codes sent to owners, staff and students by email or WhatsApp';
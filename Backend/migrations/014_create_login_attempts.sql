@@ -0,0 +1,56 @@
+-- Migration for login brute-force protection and account lockout
+
+-- 1. Every login attempt, successful or not, for owners, staff and students
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id SERIAL PRIMARY KEY,
+    account_type VARCHAR(10) NOT NULL CHECK (account_type IN ('owner', 'staff', 'student')),
+    identifier VARCHAR(100) NOT NULL, -- owner phone, 'LIBRARYCODE:username' for staff, 'LIBRARYCODE:phone' for students
+    library_id INTEGER REFERENCES libraries(id) ON DELETE CASCADE, -- NULL when the identifier matched no library
+    account_id INTEGER, -- libraries.id, users.id or student_accounts.id; NULL for unknown accounts
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier
+    ON login_attempts(account_type, identifier, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip
+    ON login_attempts(ip_address, created_at DESC) WHERE success = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_library
+    ON login_attempts(library_id, created_at DESC);
+
+-- 2. Current throttle state per account; the row is removed on a successful login or when an owner unlocks it
+CREATE TABLE IF NOT EXISTS login_throttles (
+    account_type VARCHAR(10) NOT NULL CHECK (account_type IN ('owner', 'staff', 'student')),
+    identifier VARCHAR(100) NOT NULL,
+    library_id INTEGER REFERENCES libraries(id) ON DELETE CASCADE,
+    account_id INTEGER,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    last_failed_at TIMESTAMP WITH TIME ZONE,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    lockout_count INTEGER NOT NULL DEFAULT 0, -- Lockouts since the last successful login; each one lasts longer
+    -- Attempts reserved before their password is checked, so parallel requests cannot all pass the limits;
+    -- a reservation that is never settled stops counting at pending_until
+    pending_count INTEGER NOT NULL DEFAULT 0,
+    pending_until TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (account_type, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_throttles_library ON login_throttles(library_id);
+
+-- 3. Failed logins per IP address, across all accounts, in a window starting at its first failure
+CREATE TABLE IF NOT EXISTS login_ip_throttles (
+    ip_address VARCHAR(64) PRIMARY KEY,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMP WITH TIME ZONE,
+    pending_count INTEGER NOT NULL DEFAULT 0,
+    pending_until TIMESTAMP WITH TIME ZONE
+);
+
+COMMENT ON TABLE login_attempts IS 'Audit trail of owner, staff and student login attempts';
+COMMENT ON TABLE login_throttles IS 'Consecutive failed logins and temporary lockouts per account';
+COMMENT ON TABLE login_ip_throttles IS 'Recent failed logins per IP address';
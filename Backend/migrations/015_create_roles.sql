@@ -0,0 +1,36 @@
+-- Migration for custom staff roles and granular permission enforcement
+
+-- 1. Roles an owner builds from the permission registry (Backend/utils/permissions.js), e.g. "Cashier"
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    description TEXT,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_roles_library_name ON roles(library_id, LOWER(name));
+
+-- 2. A staff member can hold one custom role on top of their own permissions
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role_id INTEGER REFERENCES roles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_role_id ON users(role_id);
+
+-- 3. Recording dues and editing transactions now need their own permissions. Staff who could
+--    see those pages could also write to them before, so grant the new permissions to keep that access.
+UPDATE users
+SET permissions = array_append(permissions, 'manage_collections')
+WHERE 'view_collections' = ANY(permissions) AND NOT ('manage_collections' = ANY(permissions));
+
+UPDATE users
+SET permissions = array_append(permissions, 'manage_hostel_collections')
+WHERE 'view_hostel_collections' = ANY(permissions) AND NOT ('manage_hostel_collections' = ANY(permissions));
+
+UPDATE users
+SET permissions = array_append(permissions, 'manage_transactions')
+WHERE 'view_transactions' = ANY(permissions) AND NOT ('manage_transactions' = ANY(permissions));
+
+COMMENT ON TABLE roles IS 'Custom staff roles, each a named set of permissions';
+COMMENT ON COLUMN users.role_id IS 'Custom role whose permissions are added to the user''s own permissions';
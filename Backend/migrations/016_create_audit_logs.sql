@@ -0,0 +1,42 @@
+-- Migration for the audit trail of create/update/delete actions
+
+-- 1. One row per change: who made it, in which library, to which record, and the values before and after.
+--    library_id has no foreign key so the trail outlives deleted libraries and records.
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL,
+    actor_type VARCHAR(10) NOT NULL CHECK (actor_type IN ('owner', 'user', 'student', 'system')),
+    actor_id INTEGER, -- libraries.id for owners, users.id for admin/staff, students.id for students
+    actor_name VARCHAR(255),
+    actor_role VARCHAR(20), -- 'owner', 'admin', 'staff', 'student' or 'system'
+    action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+    entity_type VARCHAR(100) NOT NULL, -- e.g. 'students', 'collections', 'users/permissions'
+    entity_id VARCHAR(64),
+    before_data JSONB, -- NULL for creates and for changes recorded without a snapshot
+    after_data JSONB, -- NULL for deletes
+    http_method VARCHAR(10),
+    path TEXT,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_library_created ON audit_logs(library_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(library_id, entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor ON audit_logs(library_id, actor_type, actor_id);
+
+-- 2. The trail is append-only: rows can never be changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_append_only ON audit_logs;
+CREATE TRIGGER audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_log_changes();
+
+COMMENT ON TABLE audit_logs IS 'Append-only audit trail of create, update and delete actions per library';
@@ -0,0 +1,52 @@
+-- Migration for the student fee payments ledger
+
+-- 1. One row per receipt. amount_paid, cash, online and due_amount on students and
+--    student_membership_history are now totals derived from this table (see Backend/utils/feeLedger.js).
+CREATE TABLE IF NOT EXISTS student_payments (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    membership_history_id INTEGER REFERENCES student_membership_history(id) ON DELETE SET NULL,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
+    period_start DATE, -- membership period the payment is for
+    period_end DATE,
+    entry_type VARCHAR(20) NOT NULL DEFAULT 'payment' CHECK (entry_type IN ('payment', 'adjustment')),
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount <> 0),
+    payment_mode VARCHAR(20) NOT NULL CHECK (payment_mode IN ('cash', 'online', 'other')),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    collected_by_type VARCHAR(10) CHECK (collected_by_type IN ('owner', 'user', 'student', 'system')),
+    collected_by_id INTEGER,
+    collected_by_name VARCHAR(255),
+    remark TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- Receipts are always positive; corrections are posted as adjustments of either sign
+    CONSTRAINT student_payments_positive_receipt CHECK (entry_type = 'adjustment' OR amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_payments_library_date ON student_payments(library_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_student_payments_student ON student_payments(student_id);
+CREATE INDEX IF NOT EXISTS idx_student_payments_membership ON student_payments(membership_history_id);
+
+-- 2. Opening entries for payments recorded before the ledger existed: one per mode for every
+--    membership period, dated when the period was recorded. Amounts whose mode was never
+--    recorded (amount_paid above cash + online) become 'other'.
+INSERT INTO student_payments (
+    library_id, student_id, membership_history_id, branch_id, period_start, period_end,
+    amount, payment_mode, payment_date, collected_by_type, remark
+)
+SELECT smh.library_id, smh.student_id, smh.id, smh.branch_id, smh.membership_start, smh.membership_end,
+       opening.amount, opening.payment_mode, smh.changed_at::date, 'system', 'Opening balance'
+FROM student_membership_history smh
+JOIN students s ON s.id = smh.student_id
+CROSS JOIN LATERAL (
+    VALUES
+        ('cash', COALESCE(smh.cash, 0)),
+        ('online', COALESCE(smh.online, 0)),
+        ('other', COALESCE(smh.amount_paid, 0) - COALESCE(smh.cash, 0) - COALESCE(smh.online, 0))
+) AS opening(payment_mode, amount)
+WHERE smh.library_id IS NOT NULL
+  AND opening.amount > 0
+  AND NOT EXISTS (SELECT 1 FROM student_payments sp WHERE sp.membership_history_id = smh.id);
+
+COMMENT ON TABLE student_payments IS 'Ledger of student fee receipts and corrections, one row per entry';
+COMMENT ON COLUMN student_payments.entry_type IS '''payment'' for a receipt, ''adjustment'' for a correction of an earlier entry';
@@ -0,0 +1,43 @@
+-- Migration for hostel fee receipts
+
+-- 1. One row per hostel fee payment, so each collection has its own receipt and shows up in the
+--    day's collections. cash_paid, online_paid and due_amount on hostel_student_history stay the
+--    running totals of these rows.
+CREATE TABLE IF NOT EXISTS hostel_student_payments (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES hostel_students(id) ON DELETE CASCADE,
+    history_id INTEGER REFERENCES hostel_student_history(id) ON DELETE SET NULL,
+    branch_id INTEGER REFERENCES hostel_branches(id) ON DELETE SET NULL,
+    period_start DATE, -- stay the payment is for
+    period_end DATE,
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    payment_mode VARCHAR(20) NOT NULL CHECK (payment_mode IN ('cash', 'online')),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    collected_by_type VARCHAR(10) CHECK (collected_by_type IN ('owner', 'user', 'student', 'system')),
+    collected_by_id INTEGER,
+    collected_by_name VARCHAR(255),
+    remark TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_hostel_student_payments_library_date ON hostel_student_payments(library_id, payment_date);
+CREATE INDEX IF NOT EXISTS idx_hostel_student_payments_student ON hostel_student_payments(student_id);
+
+-- 2. Opening receipts for what was paid before receipts were kept, dated when the stay was recorded
+INSERT INTO hostel_student_payments (
+    library_id, student_id, history_id, branch_id, period_start, period_end,
+    amount, payment_mode, payment_date, collected_by_type, remark
+)
+SELECT hs.library_id, hsh.student_id, hsh.id, hs.branch_id, hsh.stay_start_date, hsh.stay_end_date,
+       opening.amount, opening.payment_mode, hsh.created_at::date, 'system', 'Opening balance'
+FROM hostel_student_history hsh
+JOIN hostel_students hs ON hs.id = hsh.student_id
+CROSS JOIN LATERAL (
+    VALUES ('cash', COALESCE(hsh.cash_paid, 0)), ('online', COALESCE(hsh.online_paid, 0))
+) AS opening(payment_mode, amount)
+WHERE hs.library_id IS NOT NULL
+  AND opening.amount > 0
+  AND NOT EXISTS (SELECT 1 FROM hostel_student_payments hp WHERE hp.history_id = hsh.id);
+
+COMMENT ON TABLE hostel_student_payments IS 'Receipts for hostel fee payments, one row per payment';
@@ -0,0 +1,87 @@
+-- Migration for numbered receipts and credit notes
+
+-- 1. Numbering settings per library. Numbers restart every financial year, which starts in
+--    financial_year_start_month (April by default); with receipt_numbering_per_branch each branch
+--    keeps its own series.
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS receipt_prefix VARCHAR(20) NOT NULL DEFAULT 'RCPT';
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS credit_note_prefix VARCHAR(20) NOT NULL DEFAULT 'CN';
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS receipt_numbering_per_branch BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS financial_year_start_month SMALLINT NOT NULL DEFAULT 4;
+ALTER TABLE libraries DROP CONSTRAINT IF EXISTS libraries_financial_year_start_month_check;
+ALTER TABLE libraries ADD CONSTRAINT libraries_financial_year_start_month_check
+    CHECK (financial_year_start_month BETWEEN 1 AND 12);
+
+-- 2. Last number issued in each series. The row is locked by the transaction that issues the next
+--    number, so a payment that rolls back gives its number back and the series has no gaps.
+CREATE TABLE IF NOT EXISTS receipt_sequences (
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    series_key VARCHAR(40) NOT NULL DEFAULT '', -- '' library-wide, 'branch:<id>' or 'hostel-branch:<id>'
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('receipt', 'credit_note')),
+    financial_year VARCHAR(9) NOT NULL, -- e.g. '2025-26', or '2025' when the year starts in January
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (library_id, series_key, document_type, financial_year)
+);
+
+-- 3. Issued receipts and credit notes. Each row keeps everything printed on the document, so the PDF
+--    is always rendered from what was issued, and is chained to the library's previous document by
+--    hash. There are no foreign keys to students or branches so documents outlive deleted records.
+--    Payments recorded before this migration, including the opening balances, have no receipt.
+CREATE TABLE IF NOT EXISTS receipts (
+    id BIGSERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL,
+    branch_id INTEGER, -- branches.id, or hostel_branches.id for hostel receipts
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('receipt', 'credit_note')),
+    receipt_number VARCHAR(60) NOT NULL,
+    series_key VARCHAR(40) NOT NULL DEFAULT '',
+    financial_year VARCHAR(9) NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    student_type VARCHAR(10) NOT NULL CHECK (student_type IN ('library', 'hostel')),
+    student_id INTEGER NOT NULL,
+    payment_id INTEGER NOT NULL, -- student_payments.id or hostel_student_payments.id
+    cancels_receipt_id BIGINT REFERENCES receipts(id), -- set on credit notes only
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    payment_mode VARCHAR(20) NOT NULL,
+    payment_date DATE NOT NULL,
+    details JSONB NOT NULL, -- library, branch and student details and the period, as printed
+    issued_by_type VARCHAR(10) CHECK (issued_by_type IN ('owner', 'user', 'student', 'system')),
+    issued_by_id INTEGER,
+    issued_by_name VARCHAR(255),
+    issued_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    previous_hash CHAR(64), -- hash of the library's previous document, NULL for the first one
+    hash CHAR(64) NOT NULL,
+    CONSTRAINT receipts_credit_note_target CHECK ((document_type = 'credit_note') = (cancels_receipt_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_number ON receipts(library_id, receipt_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_series ON receipts(library_id, series_key, document_type, financial_year, sequence_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_payment ON receipts(student_type, payment_id) WHERE document_type = 'receipt';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_cancels ON receipts(cancels_receipt_id) WHERE cancels_receipt_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_receipts_student ON receipts(library_id, student_type, student_id);
+
+-- 4. Issued documents are immutable: a receipt is cancelled by issuing a credit note against it
+CREATE OR REPLACE FUNCTION prevent_receipt_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'receipts are immutable; cancel a receipt by issuing a credit note';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS receipts_immutable ON receipts;
+CREATE TRIGGER receipts_immutable
+    BEFORE UPDATE OR DELETE ON receipts
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_receipt_changes();
+
+-- 5. Cancelling a hostel receipt posts a correction, as on the student payments ledger
+ALTER TABLE hostel_student_payments ADD COLUMN IF NOT EXISTS entry_type VARCHAR(20) NOT NULL DEFAULT 'payment';
+ALTER TABLE hostel_student_payments DROP CONSTRAINT IF EXISTS hostel_student_payments_entry_type_check;
+ALTER TABLE hostel_student_payments ADD CONSTRAINT hostel_student_payments_entry_type_check
+    CHECK (entry_type IN ('payment', 'adjustment'));
+ALTER TABLE hostel_student_payments DROP CONSTRAINT IF EXISTS hostel_student_payments_amount_check;
+ALTER TABLE hostel_student_payments DROP CONSTRAINT IF EXISTS hostel_student_payments_positive_receipt;
+ALTER TABLE hostel_student_payments ADD CONSTRAINT hostel_student_payments_positive_receipt
+    CHECK (amount <> 0 AND (entry_type = 'adjustment' OR amount > 0));
+
+COMMENT ON TABLE receipts IS 'Immutable, sequentially numbered fee receipts and the credit notes cancelling them';
+COMMENT ON COLUMN receipts.hash IS 'SHA-256 of the document''s fields and previous_hash (see Backend/utils/receipts.js)';
+COMMENT ON COLUMN libraries.receipt_prefix IS 'Prefix of receipt numbers, e.g. RCPT/2025-26/00001';
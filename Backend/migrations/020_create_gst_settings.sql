@@ -0,0 +1,27 @@
+-- Migration for GST tax invoices
+
+-- 1. GST registration of the library. A library with a GSTIN issues its receipts as tax invoices;
+--    gst_place_of_supply is the state code of the place of supply, and tax is split into CGST and
+--    SGST when it is the state of the GSTIN, or charged as IGST otherwise.
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS gstin VARCHAR(15);
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS gst_legal_name VARCHAR(255);
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS gst_address TEXT;
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS gst_place_of_supply CHAR(2);
+
+-- 2. SAC code and GST rate of each fee type: 'library' for membership fees of library students and
+--    'hostel' for hostel fees. Fee types without a row use the defaults in Backend/utils/gst.js.
+CREATE TABLE IF NOT EXISTS gst_tax_rates (
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('library', 'hostel')),
+    sac_code VARCHAR(8) NOT NULL,
+    rate NUMERIC(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 40),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (library_id, fee_type)
+);
+
+-- 3. Tax invoice details are stored on the receipt itself (receipts.details->'tax'), so the monthly
+--    GST summary reads the issued documents. Receipts issued before a GSTIN was set carry no tax.
+CREATE INDEX IF NOT EXISTS idx_receipts_payment_date ON receipts(library_id, payment_date);
+
+COMMENT ON COLUMN libraries.gstin IS 'GSTIN printed on tax invoices; NULL when the library is not GST-registered';
+COMMENT ON COLUMN libraries.gst_place_of_supply IS 'Two-digit GST state code of the place of supply';
@@ -0,0 +1,35 @@
+-- Migration for online fee payments by students through the library's own Razorpay account
+
+-- 1. The owner's Razorpay keys. The key secret and webhook secret are only used by the server and
+--    are never sent back to the browser.
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS online_payments_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS razorpay_key_id VARCHAR(64);
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS razorpay_key_secret VARCHAR(128);
+ALTER TABLE libraries ADD COLUMN IF NOT EXISTS razorpay_webhook_secret VARCHAR(128);
+
+-- 2. One row per gateway order a student starts, either for the due of their current membership
+--    period or to renew it. The payment is posted to student_payments once, whether the checkout
+--    callback or the webhook reports it first; gateway_payment_id and student_payment_id record it.
+--    A payment whose amount differs from the order's is not posted but kept as 'flagged' for the
+--    library to check.
+CREATE TABLE IF NOT EXISTS student_online_payments (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    purpose VARCHAR(10) NOT NULL CHECK (purpose IN ('due', 'renewal')),
+    -- Period the due is paid for; for renewals the new period, once the payment created it
+    membership_history_id INTEGER REFERENCES student_membership_history(id) ON DELETE SET NULL,
+    amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    gateway_order_id VARCHAR(64) NOT NULL UNIQUE,
+    gateway_payment_id VARCHAR(64) UNIQUE,
+    status VARCHAR(10) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'paid', 'failed', 'flagged')),
+    student_payment_id INTEGER REFERENCES student_payments(id) ON DELETE SET NULL,
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    paid_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_online_payments_student ON student_online_payments(library_id, student_id);
+
+COMMENT ON COLUMN libraries.razorpay_webhook_secret IS 'Secret of the webhook the owner adds in Razorpay for /api/online-payments/webhook/<library id>';
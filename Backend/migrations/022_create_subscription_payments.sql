@@ -0,0 +1,24 @@
+-- Migration for paying library subscriptions through Razorpay
+
+-- One row per Razorpay order an owner starts for a plan. The plan and amount are fixed when the order
+-- is created, and the subscription is activated once per order, whether the checkout callback or the
+-- webhook confirms the payment first. A payment whose amount differs from the order's activates nothing
+-- and is kept as 'flagged' for the owner and support to check.
+CREATE TABLE IF NOT EXISTS subscription_payments (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    plan VARCHAR(50) NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0), -- in paise, as charged by Razorpay
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    razorpay_order_id VARCHAR(64) NOT NULL UNIQUE,
+    razorpay_payment_id VARCHAR(64) UNIQUE,
+    status VARCHAR(10) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'paid', 'failed', 'flagged')),
+    -- Period the payment activated
+    subscription_start_date TIMESTAMP,
+    subscription_end_date TIMESTAMP,
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    paid_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_payments_library ON subscription_payments(library_id, created_at DESC);
@@ -0,0 +1,85 @@
+-- Migration isolating libraries from each other in the database itself
+
+-- Data below is moved for every library, also when this migration is run again with the policies of
+-- section 3 in place
+SET app.all_libraries = 'on';
+
+-- 1. Settings belong to a library. The values saved so far applied to every library, so each library
+--    starts with a copy of them.
+ALTER TABLE settings ADD COLUMN IF NOT EXISTS library_id INTEGER REFERENCES libraries(id) ON DELETE CASCADE;
+
+DO $$
+DECLARE
+    c RECORD;
+BEGIN
+    -- The key alone can no longer be unique
+    FOR c IN
+        SELECT conname FROM pg_constraint
+        WHERE conrelid = 'settings'::regclass AND contype IN ('p', 'u')
+          AND NOT EXISTS (
+              SELECT 1 FROM pg_attribute a
+              WHERE a.attrelid = conrelid AND a.attnum = ANY (conkey) AND a.attname = 'library_id'
+          )
+    LOOP
+        EXECUTE format('ALTER TABLE settings DROP CONSTRAINT %I', c.conname);
+    END LOOP;
+END $$;
+
+INSERT INTO settings (library_id, key, value)
+SELECT l.id, s.key, s.value
+FROM settings s
+CROSS JOIN libraries l
+WHERE s.library_id IS NULL;
+
+DELETE FROM settings WHERE library_id IS NULL;
+ALTER TABLE settings ALTER COLUMN library_id SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_settings_library_key ON settings(library_id, key);
+
+-- 2. Rows the app used to insert without their library
+UPDATE seat_assignments sa SET library_id = s.library_id
+FROM students s
+WHERE s.id = sa.student_id AND sa.library_id IS NULL;
+
+UPDATE hostel_students hs SET library_id = b.library_id
+FROM hostel_branches b
+WHERE b.id = hs.branch_id AND hs.library_id IS NULL;
+
+-- 3. Row-level security on every table with a library_id. Requests of a library set app.library_id
+--    (see utils/tenantContext.js) and then only see and write that library's rows, even if a query
+--    forgets its library filter. Without the setting no rows are visible or writable. Code that works
+--    across libraries before one is known (logins, password resets, the subscription webhook, cron jobs)
+--    sets app.all_libraries to 'on' instead. FORCE applies the policies to the tables' owner too; a
+--    superuser or a role with BYPASSRLS still bypasses them, so the app should not connect as one.
+--    Tables created by later migrations enable the same policy themselves, and migrations that move
+--    data between libraries' rows set app.all_libraries first.
+CREATE OR REPLACE FUNCTION tenant_library_id() RETURNS INTEGER
+LANGUAGE sql STABLE AS $$
+    SELECT NULLIF(current_setting('app.library_id', true), '')::INTEGER
+$$;
+
+CREATE OR REPLACE FUNCTION tenant_all_libraries() RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+    SELECT COALESCE(current_setting('app.all_libraries', true), '') = 'on'
+$$;
+
+DO $$
+DECLARE
+    t RECORD;
+BEGIN
+    FOR t IN
+        SELECT c.table_name
+        FROM information_schema.columns c
+        JOIN information_schema.tables tb ON tb.table_schema = c.table_schema AND tb.table_name = c.table_name
+        WHERE c.table_schema = 'public' AND c.column_name = 'library_id' AND tb.table_type = 'BASE TABLE'
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t.table_name);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t.table_name);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t.table_name);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I
+               USING (tenant_all_libraries() OR library_id = tenant_library_id())
+               WITH CHECK (tenant_all_libraries() OR library_id = tenant_library_id())',
+            t.table_name
+        );
+    END LOOP;
+END $$;
@@ -0,0 +1,78 @@
+-- Migration for typed settings per library and branch
+
+-- Settings are moved for every library, past the row-level security of 023_tenant_isolation.sql
+SET app.all_libraries = 'on';
+
+-- 1. One row per setting a library, or one of its branches, has changed from the default. Values are
+--    JSON of the type the setting is declared with in Backend/utils/librarySettings.js, which also
+--    holds the defaults, so a new library starts with no rows. A branch row overrides the library's
+--    value for that branch; only settings declared per branch can have one.
+CREATE TABLE IF NOT EXISTS library_settings (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE, -- NULL for the library-wide value
+    key VARCHAR(64) NOT NULL,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_library_settings_library_key ON library_settings(library_id, key) WHERE branch_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_library_settings_branch_key ON library_settings(library_id, branch_id, key) WHERE branch_id IS NOT NULL;
+
+-- 2. Bring over the reminder settings of the old key/value table. Libraries that had reminders set up
+--    were also sent the WhatsApp reminder, which is now off by default.
+DO $$
+BEGIN
+    IF to_regclass('public.settings') IS NOT NULL THEN
+        INSERT INTO library_settings (library_id, key, value)
+        SELECT library_id, key, to_jsonb(trim(value)::INTEGER)
+        FROM settings
+        WHERE key IN ('days_before_expiration', 'brevo_template_id') AND trim(value) ~ '^[1-9][0-9]{0,8}$'
+        ON CONFLICT (library_id, key) WHERE branch_id IS NULL DO NOTHING;
+
+        INSERT INTO library_settings (library_id, key, value)
+        SELECT library_id, 'whatsapp_reminders_enabled', 'true'::jsonb
+        FROM settings
+        WHERE key = 'brevo_template_id' AND trim(value) ~ '^[1-9][0-9]{0,8}$'
+        ON CONFLICT (library_id, key) WHERE branch_id IS NULL DO NOTHING;
+
+        DROP TABLE settings;
+    END IF;
+END $$;
+
+-- 3. Receipt numbering (see 019_create_receipts.sql) moves to the receipt_prefix, credit_note_prefix,
+--    receipt_numbering_per_branch and financial_year_start_month settings; values equal to the defaults
+--    are not stored
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'libraries' AND column_name = 'receipt_prefix'
+    ) THEN
+        INSERT INTO library_settings (library_id, key, value)
+        SELECT l.id, setting.key, setting.value
+        FROM libraries l
+        CROSS JOIN LATERAL (
+            VALUES ('receipt_prefix', to_jsonb(l.receipt_prefix), l.receipt_prefix <> 'RCPT'),
+                   ('credit_note_prefix', to_jsonb(l.credit_note_prefix), l.credit_note_prefix <> 'CN'),
+                   ('receipt_numbering_per_branch', to_jsonb(l.receipt_numbering_per_branch), l.receipt_numbering_per_branch),
+                   ('financial_year_start_month', to_jsonb(l.financial_year_start_month::INTEGER), l.financial_year_start_month <> 4)
+        ) AS setting(key, value, changed)
+        WHERE setting.changed
+        ON CONFLICT (library_id, key) WHERE branch_id IS NULL DO NOTHING;
+
+        ALTER TABLE libraries
+            DROP COLUMN receipt_prefix,
+            DROP COLUMN credit_note_prefix,
+            DROP COLUMN receipt_numbering_per_branch,
+            DROP COLUMN financial_year_start_month;
+    END IF;
+END $$;
+
+-- 4. Same row-level security as the other tables with a library_id (see 023_tenant_isolation.sql)
+ALTER TABLE library_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE library_settings FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON library_settings;
+CREATE POLICY tenant_isolation ON library_settings
+    USING (tenant_all_libraries() OR library_id = tenant_library_id())
+    WITH CHECK (tenant_all_libraries() OR library_id = tenant_library_id());
@@ -0,0 +1,97 @@
+-- Migration for notifications to students by email, WhatsApp and SMS
+
+-- Templates are moved for every library, past the row-level security of 023_tenant_isolation.sql
+SET app.all_libraries = 'on';
+
+-- 1. Message templates a library changed from the defaults in Backend/utils/notifications.js; a NULL
+--    column keeps the default. Bodies use placeholders such as {{name}} and {{expiry}}. provider_template
+--    is the Brevo template ID of an email, or the name of the approved WhatsApp template.
+CREATE TABLE IF NOT EXISTS notification_templates (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    template_key VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'whatsapp', 'sms')),
+    subject VARCHAR(255),
+    body TEXT,
+    provider_template VARCHAR(100),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (library_id, template_key, channel)
+);
+
+-- 2. Outbox and delivery log: one row per message, rendered when queued and kept after it is sent.
+--    A worker sends pending rows once next_attempt_at has passed, and puts failed ones back with a
+--    later next_attempt_at until max_attempts is reached. dedupe_key stops a message being queued twice.
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    student_type VARCHAR(10) CHECK (student_type IN ('library', 'hostel')),
+    student_id INTEGER, -- no foreign key, so the log outlives deleted students
+    recipient_name VARCHAR(255),
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'whatsapp', 'sms')),
+    recipient VARCHAR(255) NOT NULL, -- email address or phone number
+    template_key VARCHAR(50) NOT NULL,
+    subject VARCHAR(255),
+    body TEXT NOT NULL,
+    provider_template VARCHAR(100),
+    provider_parameters JSONB NOT NULL DEFAULT '[]', -- values of a WhatsApp template's {{1}}, {{2}}...
+    variables JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+    attempts SMALLINT NOT NULL DEFAULT 0,
+    max_attempts SMALLINT NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    provider VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    dedupe_key VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_dedupe ON notifications(library_id, dedupe_key) WHERE dedupe_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_due ON notifications(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notifications_library ON notifications(library_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_student ON notifications(library_id, student_type, student_id);
+
+-- 3. Every attempt to deliver a notification and what the provider answered
+CREATE TABLE IF NOT EXISTS notification_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    notification_id BIGINT NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    attempt SMALLINT NOT NULL,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+    provider VARCHAR(20),
+    provider_message_id VARCHAR(255),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_notification ON notification_attempts(notification_id);
+
+-- 4. The reminder templates set in library settings become the library's expiry reminder templates
+INSERT INTO notification_templates (library_id, template_key, channel, provider_template)
+SELECT library_id, 'membership_expiry', CASE key WHEN 'brevo_template_id' THEN 'email' ELSE 'whatsapp' END, value #>> '{}'
+FROM library_settings
+WHERE branch_id IS NULL AND key IN ('brevo_template_id', 'whatsapp_expiration_template')
+ON CONFLICT (library_id, template_key, channel) DO NOTHING;
+
+DELETE FROM library_settings WHERE key IN ('brevo_template_id', 'whatsapp_expiration_template');
+
+-- 5. Same row-level security as the other tables with a library_id (see 023_tenant_isolation.sql)
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['notification_templates', 'notifications', 'notification_attempts']
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I
+               USING (tenant_all_libraries() OR library_id = tenant_library_id())
+               WITH CHECK (tenant_all_libraries() OR library_id = tenant_library_id())',
+            t
+        );
+    END LOOP;
+END $$;
@@ -0,0 +1,69 @@
+-- Migration for reminder rules: automatic messages to students, each sent on its own channel and template
+-- at its own time of day (see Backend/utils/reminderRules.js)
+
+-- Reminder settings are moved for every library, past the row-level security of 023_tenant_isolation.sql
+SET app.all_libraries = 'on';
+
+-- 1. Birth dates, for birthday wishes
+ALTER TABLE students ADD COLUMN IF NOT EXISTS date_of_birth DATE;
+
+-- 2. Rules. trigger_type decides who gets the reminder on a day:
+--      before_expiry   membership ends within the next `days` days
+--      on_expiry       membership ends today
+--      after_expiry    membership ended `days` days ago and was not renewed
+--      due_above       more than min_due is outstanding
+--      absent          no attendance for the last `days` days
+--      birthday        birthday today
+--    last_run_on is the library's date the rule last ran, so it runs once a day after send_time.
+CREATE TABLE IF NOT EXISTS reminder_rules (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    trigger_type VARCHAR(20) NOT NULL
+        CHECK (trigger_type IN ('before_expiry', 'on_expiry', 'after_expiry', 'due_above', 'absent', 'birthday')),
+    days SMALLINT CHECK (days BETWEEN 1 AND 365),
+    min_due NUMERIC(10, 2) CHECK (min_due >= 0),
+    channel VARCHAR(10) NOT NULL CHECK (channel IN ('email', 'whatsapp', 'sms')),
+    template_key VARCHAR(50) NOT NULL,
+    send_time TIME NOT NULL DEFAULT '10:00',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_run_on DATE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_rules_library ON reminder_rules(library_id) WHERE enabled;
+
+-- 3. The daily expiry reminder set in library settings becomes a rule per channel, at 16:00 as before.
+--    Libraries that already have rules are left alone, so this can run more than once.
+WITH reminder_settings AS (
+    SELECT l.id AS library_id,
+           COALESCE((SELECT (value #>> '{}')::int FROM library_settings
+                     WHERE library_id = l.id AND branch_id IS NULL AND key = 'days_before_expiration'), 3) AS days,
+           COALESCE((SELECT (value #>> '{}')::boolean FROM library_settings
+                     WHERE library_id = l.id AND branch_id IS NULL AND key = 'email_reminders_enabled'), TRUE) AS email,
+           COALESCE((SELECT (value #>> '{}')::boolean FROM library_settings
+                     WHERE library_id = l.id AND branch_id IS NULL AND key = 'whatsapp_reminders_enabled'), FALSE) AS whatsapp,
+           COALESCE((SELECT (value #>> '{}')::boolean FROM library_settings
+                     WHERE library_id = l.id AND branch_id IS NULL AND key = 'sms_reminders_enabled'), FALSE) AS sms
+    FROM libraries l
+    WHERE NOT EXISTS (SELECT 1 FROM reminder_rules r WHERE r.library_id = l.id)
+)
+INSERT INTO reminder_rules (library_id, name, trigger_type, days, channel, template_key, send_time)
+SELECT rs.library_id, 'Membership expiring', 'before_expiry', rs.days, channel.name, 'membership_expiry', '16:00'
+FROM reminder_settings rs
+CROSS JOIN LATERAL (
+    VALUES ('email', rs.email), ('whatsapp', rs.whatsapp), ('sms', rs.sms)
+) AS channel(name, enabled)
+WHERE channel.enabled;
+
+DELETE FROM library_settings
+WHERE key IN ('days_before_expiration', 'email_reminders_enabled', 'whatsapp_reminders_enabled', 'sms_reminders_enabled');
+
+-- 4. Same row-level security as the other tables with a library_id (see 023_tenant_isolation.sql)
+ALTER TABLE reminder_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_rules FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON reminder_rules;
+CREATE POLICY tenant_isolation ON reminder_rules
+    USING (tenant_all_libraries() OR library_id = tenant_library_id())
+    WITH CHECK (tenant_all_libraries() OR library_id = tenant_library_id());
@@ -0,0 +1,57 @@
+-- Migration for messages sent to a filtered group of students at once
+
+-- 1. Saved student filters, e.g. "evening shift of branch X" or "everyone with dues". filters holds
+--    branch_id, shift_id, status, min_due, max_due, expiry_from_days and expiry_to_days (see
+--    Backend/utils/bulkMessages.js); a missing key does not filter.
+CREATE TABLE IF NOT EXISTS student_segments (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (library_id, name)
+);
+
+-- 2. Each message sent in bulk, with the filters it went out to as they were at the time. Every
+--    recipient gets a notification on each channel, linked back by notifications.bulk_message_id;
+--    skipped counts the students who could not be reached, by reason.
+CREATE TABLE IF NOT EXISTS bulk_messages (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER NOT NULL REFERENCES libraries(id) ON DELETE CASCADE,
+    segment_id INTEGER REFERENCES student_segments(id) ON DELETE SET NULL,
+    segment_name VARCHAR(100),
+    filters JSONB NOT NULL DEFAULT '{}',
+    channels JSONB NOT NULL DEFAULT '[]',
+    subject VARCHAR(255),
+    body TEXT NOT NULL,
+    whatsapp_template VARCHAR(100),
+    recipient_count INTEGER NOT NULL DEFAULT 0,
+    queued_count INTEGER NOT NULL DEFAULT 0,
+    skipped JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_bulk_messages_library ON bulk_messages(library_id, created_at DESC);
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS bulk_message_id INTEGER REFERENCES bulk_messages(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_bulk_message ON notifications(bulk_message_id) WHERE bulk_message_id IS NOT NULL;
+
+-- 3. Same row-level security as the other tables with a library_id (see 023_tenant_isolation.sql)
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['student_segments', 'bulk_messages']
+    LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I
+               USING (tenant_all_libraries() OR library_id = tenant_library_id())
+               WITH CHECK (tenant_all_libraries() OR library_id = tenant_library_id())',
+            t
+        );
+    END LOOP;
+END $$;
@@ -1,21 +1,20 @@
 // Admission Requests Management Routes for Admin Dashboard
 // Handles viewing, accepting, and rejecting student registration requests
 const express = require('express');
-const { checkAdminOrStaff } = require('./auth');
+const { checkPermissions } = require('./auth');
 const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
+const { hashPassword } = require('../utils/passwords');
+const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
+const { recordInitialPayments, syncMembershipTotals } = require('../utils/feeLedger');
+const { runAsTenant } = require('../utils/tenantContext');
 
 module.exports = (pool) => {
   const router = express.Router();
 
-  // Apply authentication middleware - support both admin/staff and owners
+  // Admission requests are handled by whoever manages library students
+  router.use(checkPermissions(['manage_library_students']));
+
   router.use((req, res, next) => {
-    const isAdmin = req.session.user && (req.session.user.role === 'admin' || req.session.user.role === 'staff');
-    const isOwner = req.session.owner || (req.session.user && req.session.user.isOwner);
-    
-    if (!isAdmin && !isOwner) {
-      return res.status(403).json({ message: 'Access denied. Admin, staff, or owner privileges required.' });
-    }
-    
     // Set library ID for data isolation
     if (req.session.owner) {
       req.libraryId = req.session.owner.id;
@@ -23,9 +22,13 @@ module.exports = (pool) => {
       req.libraryId = req.session.user.libraryId;
     }
     
-    next();
+    runAsTenant(req.libraryId, next);
   });
 
+  // Branch-limited staff only handle requests for their own branches
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'admission_requests'));
+
   // Get all admission requests for the library
   router.get('/', async (req, res) => {
     try {
@@ -62,6 +65,8 @@ module.exports = (pool) => {
         params.push(status);
         paramIndex++;
       }
+      query += branchFilter(req, 'ar.branch_id', params);
+      paramIndex = params.length + 1;
 
       query += ` ORDER BY ar.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
       params.push(parseInt(limit), offset);
@@ -76,6 +81,7 @@ module.exports = (pool) => {
         countQuery += ' AND status = $2';
         countParams.push(status);
       }
+      countQuery += branchFilter(req, 'branch_id', countParams);
 
       const countResult = await pool.query(countQuery, countParams);
       const totalCount = parseInt(countResult.rows[0].count);
@@ -225,7 +231,7 @@ module.exports = (pool) => {
         ]
       );
 
-      const student = studentResult.rows[0];
+      let student = studentResult.rows[0];
 
       // Handle seat assignments if shift_ids exist
       let firstShiftId = null;
@@ -249,13 +255,14 @@ module.exports = (pool) => {
       }
 
       // Insert into student_membership_history
-      await client.query(
+      const membership = await client.query(
         `INSERT INTO student_membership_history (
           student_id, library_id, name, email, phone, address, membership_start, membership_end,
           total_fee, amount_paid, due_amount, cash, online, security_money, discount,
           remark, seat_id, shift_id, branch_id, registration_number, father_name, aadhar_number,
           profile_image_url, aadhaar_front_url, aadhaar_back_url, locker_id, status, changed_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, NOW())`,
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27, NOW())
+        RETURNING *`,
         [
           student.id, req.libraryId, student.name, student.email, student.phone, student.address,
           student.membership_start, student.membership_end, student.total_fee, student.amount_paid,
@@ -266,6 +273,10 @@ module.exports = (pool) => {
         ]
       );
 
+      // Post what the applicant paid to the payments ledger, which the student's totals are derived from
+      await recordInitialPayments(client, req, membership.rows[0], { cash: request.cash, online: request.online });
+      ({ student } = await syncMembershipTotals(client, membership.rows[0].id));
+
       // Create student account for login if phone is provided
       if (request.phone) {
         const existingAccount = await client.query(
@@ -275,10 +286,10 @@ module.exports = (pool) => {
 
         if (existingAccount.rows.length === 0) {
           await client.query(
-            `INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+            `INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number, created_at, must_change_password)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), TRUE)`,
             [
-              req.libraryId, request.phone, request.phone, // Password same as phone
+              req.libraryId, request.phone, await hashPassword(request.phone), // Default password is the phone number
               student.id, student.name, student.email, student.registration_number
             ]
           );
@@ -349,14 +360,15 @@ module.exports = (pool) => {
   // Get admission requests statistics
   router.get('/stats/summary', async (req, res) => {
     try {
+      const params = [req.libraryId];
       const result = await pool.query(`
         SELECT 
           status,
           COUNT(*) as count
         FROM admission_requests 
-        WHERE library_id = $1
+        WHERE library_id = $1${branchFilter(req, 'branch_id', params)}
         GROUP BY status
-      `, [req.libraryId]);
+      `, params);
 
       const stats = {
         pending: 0,
@@ -7,7 +7,7 @@ module.exports = (pool) => {
   // GET /api/announcements - Fetch announcements (with optional branch filter)
   router.get('/', authenticateAny, async (req, res) => {
     try {
-      const library_id = req.session.owner?.id || req.session.student?.libraryId;
+      const library_id = req.session.owner?.id || req.session.user?.libraryId || req.session.student?.libraryId;
       const student_branch_id = req.session.student?.branchId;
       const isStudent = Boolean(req.session.student);
       const { branch_id: queryBranchId } = req.query;
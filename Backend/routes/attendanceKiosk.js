@@ -0,0 +1,148 @@
+// routes/attendanceKiosk.js
+// Staff-operated attendance: staff scan a student's ID card to record the check-in/check-out for them
+module.exports = (pool) => {
+  const router = require('express').Router();
+  const { checkPermissions } = require('./auth');
+  const { createStudentCardCode, verifyStudentCardCode } = require('../utils/attendanceQr');
+  const { getLastActionToday, recordAttendanceEvent } = require('../utils/attendanceEvents');
+  const { branchFilter, canAccessBranch, enforceBranchAccess } = require('../utils/branchAccess');
+  const { runAsTenant } = require('../utils/tenantContext');
+
+  // Scans of the same card within this window are treated as an accidental double scan
+  const DUPLICATE_SCAN_SECONDS = 60;
+
+  // Owners operate the kiosk for their own library; staff for the library their account belongs to
+  const resolveLibrary = async (req, res, next) => {
+    try {
+      if (req.session.owner) {
+        req.libraryId = req.session.owner.id;
+        return runAsTenant(req.libraryId, next);
+      }
+      const result = await pool.query('SELECT library_id FROM users WHERE id = $1', [req.session.user.id]);
+      if (result.rows.length === 0 || !result.rows[0].library_id) {
+        return res.status(403).json({ message: 'Your account is not linked to a library' });
+      }
+      req.libraryId = result.rows[0].library_id;
+      return runAsTenant(req.libraryId, next);
+    } catch (err) {
+      console.error('[ATTENDANCE_KIOSK] Error resolving library:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  };
+
+  router.use(checkPermissions(['manage_library_students']), resolveLibrary, enforceBranchAccess(pool));
+
+  // Students with the code to print on their ID card
+  router.get('/cards', async (req, res) => {
+    try {
+      const { branchId, studentId, search = '' } = req.query;
+      let query = `
+        SELECT s.id, s.name, s.phone, s.registration_number, s.profile_image_url,
+          s.membership_end, s.status, b.name AS branch_name, l.library_name
+        FROM students s
+        JOIN libraries l ON l.id = s.library_id
+        LEFT JOIN branches b ON b.id = s.branch_id
+        WHERE s.library_id = $1
+      `;
+      const params = [req.libraryId];
+
+      if (studentId) {
+        params.push(parseInt(studentId, 10));
+        query += ` AND s.id = $${params.length}`;
+      } else {
+        query += ` AND s.status = 'active'`;
+      }
+      if (branchId) {
+        params.push(parseInt(branchId, 10));
+        query += ` AND s.branch_id = $${params.length}`;
+      }
+      if (search.trim()) {
+        params.push(`%${search.trim()}%`);
+        query += ` AND (s.name ILIKE $${params.length} OR s.phone ILIKE $${params.length} OR s.registration_number ILIKE $${params.length})`;
+      }
+      query += branchFilter(req, 's.branch_id', params);
+      query += ' ORDER BY s.name';
+
+      const result = await pool.query(query, params);
+      res.json({
+        cards: result.rows.map((student) => ({
+          ...student,
+          card_code: createStudentCardCode(req.libraryId, student.id)
+        }))
+      });
+    } catch (err) {
+      console.error('[ATTENDANCE_KIOSK] Error fetching ID cards:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Record the next check-in/check-out for the student whose card was scanned
+  router.post('/scan', async (req, res) => {
+    try {
+      const { card_code: cardCode } = req.body;
+      if (!cardCode) {
+        return res.status(400).json({ message: 'Card code is required', code: 'CARD_INVALID' });
+      }
+
+      const verification = verifyStudentCardCode(cardCode, req.libraryId);
+      if (!verification.valid) {
+        console.warn('[ATTENDANCE_KIOSK] Card rejected:', { libraryId: req.libraryId, code: verification.code });
+        return res.status(400).json({ message: verification.message, code: verification.code });
+      }
+
+      const studentResult = await pool.query(
+        `SELECT s.id, s.name, s.registration_number, s.profile_image_url, s.status, s.branch_id,
+           TO_CHAR(s.membership_end, 'YYYY-MM-DD') AS membership_end,
+           s.membership_end < CURRENT_DATE AS membership_expired,
+           b.name AS branch_name
+         FROM students s
+         LEFT JOIN branches b ON b.id = s.branch_id
+         WHERE s.id = $1 AND s.library_id = $2`,
+        [verification.studentId, req.libraryId]
+      );
+      if (studentResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Student not found', code: 'CARD_UNKNOWN_STUDENT' });
+      }
+      const student = studentResult.rows[0];
+      if (!canAccessBranch(req, student.branch_id)) {
+        return res.status(403).json({
+          message: `${student.name} belongs to a branch you do not have access to`,
+          code: 'BRANCH_ACCESS_DENIED'
+        });
+      }
+
+      const lastEntry = await getLastActionToday(pool, student.id, req.libraryId);
+      if (lastEntry && Date.now() - new Date(lastEntry.createdAt).getTime() < DUPLICATE_SCAN_SECONDS * 1000) {
+        return res.status(409).json({
+          message: `${student.name} was already scanned a moment ago`,
+          code: 'DUPLICATE_SCAN',
+          student
+        });
+      }
+
+      const action = lastEntry && lastEntry.action === 'in' ? 'out' : 'in';
+      const operator = req.session.user ? req.session.user.username : 'owner';
+      const record = await recordAttendanceEvent(pool, {
+        studentId: student.id,
+        libraryId: req.libraryId,
+        action,
+        source: 'kiosk',
+        notes: `Kiosk scan by ${operator}`,
+        recordedByUserId: req.session.user ? req.session.user.id : null
+      });
+
+      console.log(`[ATTENDANCE_KIOSK] ${student.name} checked ${action} by ${operator}`);
+      res.status(201).json({
+        message: `${student.name} checked ${action}`,
+        action,
+        timestamp: record.created_at,
+        student
+      });
+    } catch (err) {
+      console.error('[ATTENDANCE_KIOSK] Error recording scan:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  return router;
+};
@@ -1,26 +1,17 @@
 // ./routes/auth.js
 const express = require('express');
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require('../utils/passwords');
+const { RESET_CODE_SENT_MESSAGE, isIpRateLimited, sendResetCode, verifyResetCode } = require('../utils/passwordReset');
+const { describeFailure, recordLoginFailure, recordLoginSuccess, reserveLoginAttempt, respondLoginBlocked } = require('../utils/loginThrottle');
+const { PERMISSIONS, assertKnownPermissions, getPermissionLabel, resolvePermissions } = require('../utils/permissions');
+const { runAsTenant, sessionLibraryId, systemContext } = require('../utils/tenantContext');
 
-// Permission-checking middleware
-const checkPermission = (permission) => {
-  return (req, res, next) => {
-    if (req.session.user) {
-      if (req.session.user.role === 'admin' || req.session.user.role === 'staff') {
-        return next();
-      }
-      const userPermissions = req.session.user.permissions || [];
-      if (userPermissions.includes(permission)) {
-        return next();
-      }
-    }
-    if (req.session.owner) {
-      return next(); // Owners have all permissions
-    }
-    return res.status(401).json({ message: 'Unauthorized - Please log in' });
-  };
-};
-
+// Permission-checking middleware. Owners and admins have every permission; staff need it granted
+// directly or through their custom role. With 'OR' any one of the permissions is enough, with 'AND' all are needed.
 const checkPermissions = (permissions = [], logic = 'OR') => {
+  assertKnownPermissions(permissions);
+  const requireAll = logic.toUpperCase() === 'AND';
+
   return (req, res, next) => {
     if (req.session.owner) {
       return next(); // Owners have all permissions
@@ -32,19 +23,23 @@ const checkPermissions = (permissions = [], logic = 'OR') => {
       return next(); // Admins have all permissions
     }
     const userPermissions = req.session.user.permissions || [];
-    let hasPermission;
-    if (logic.toUpperCase() === 'AND') {
-      hasPermission = permissions.every(p => userPermissions.includes(p));
-    } else {
-      hasPermission = permissions.some(p => userPermissions.includes(p));
-    }
+    const missing = permissions.filter(p => !userPermissions.includes(p));
+    const hasPermission = requireAll ? missing.length === 0 : missing.length < permissions.length;
     if (!hasPermission) {
-      return res.status(403).json({ message: 'Forbidden - Insufficient permissions' });
+      const labels = missing.map(p => `"${getPermissionLabel(p)}"`).join(requireAll ? ' and ' : ' or ');
+      console.warn(`[AUTH.JS] Permission Check Failed: User ${req.session.user.username} lacks ${missing.join(requireAll ? ' and ' : ' or ')} for ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        message: `Forbidden - requires the ${labels} permission`,
+        code: 'PERMISSION_DENIED',
+        missingPermissions: missing
+      });
     }
     return next();
   };
 };
 
+const checkPermission = (permission) => checkPermissions([permission]);
+
 // Role-checking middleware
 const checkAdmin = (req, res, next) => {
   if (req.session.owner) {
@@ -81,15 +76,21 @@ const authenticateOwner = (req, res, next) => {
   if (req.session && req.session.owner && req.session.owner.id) {
     req.owner = req.session.owner;
     req.libraryId = req.session.owner.id; // Set libraryId for owner
-    return next();
+    return runAsTenant(req.libraryId, next);
   }
   return res.status(401).json({ message: 'Unauthorized: Owner access required.' });
 };
 
 const authenticateStudent = (req, res, next) => {
   if (req.session && req.session.student && req.session.student.id) {
+    if (req.session.student.mustChangePassword) {
+      return res.status(403).json({
+        message: 'Please change your default password to continue',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
     req.student = req.session.student;
-    return next();
+    return runAsTenant(req.session.student.libraryId, next);
   }
   return res.status(401).json({ message: 'Unauthorized: Student access required.' });
 };
@@ -97,7 +98,7 @@ const authenticateStudent = (req, res, next) => {
 const authenticateUser = (req, res, next) => {
     // This middleware is for general user (admin/staff) access
     if (req.session && req.session.user && req.session.user.id) {
-        return next();
+        return runAsTenant(req.session.user.libraryId, next);
     }
     console.warn('[AUTH.JS] User not authenticated for path:', req.path);
     return res.status(401).json({ message: 'Unauthorized - Please log in' });
@@ -107,11 +108,38 @@ const authenticateAny = (req, res, next) => {
   if ((req.session && req.session.owner && req.session.owner.id) || 
       (req.session && req.session.user && req.session.user.id) ||
       (req.session && req.session.student && req.session.student.id)) {
-    return next();
+    return runAsTenant(sessionLibraryId(req.session), next);
   }
   return res.status(401).json({ message: 'Unauthorized: Please log in.' });
 };
 
+// Usernames are only unique within a library, so staff give their library code when signing in.
+// Without one the username must belong to a single library. Resolves to { user } (null when there
+// is no such account) or { error } when the library code is needed to tell accounts apart.
+const findStaffAccount = async (pool, username, libraryCode) => {
+  const params = [username];
+  let libraryCondition = '';
+  if (libraryCode && String(libraryCode).trim()) {
+    params.push(String(libraryCode).trim().toUpperCase());
+    libraryCondition = ' AND l.library_code = $2';
+  }
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.password, u.role, u.permissions, u.branch_access, u.full_name, u.email,
+       u.library_id, r.permissions AS role_permissions, l.library_code, l.status AS library_status
+     FROM users u
+     LEFT JOIN roles r ON r.id = u.role_id
+     LEFT JOIN libraries l ON l.id = u.library_id
+     WHERE u.username = $1${libraryCondition}`,
+    params
+  );
+  if (result.rows.length > 1) {
+    return {
+      error: { status: 400, message: 'Please enter your library code', code: 'LIBRARY_CODE_REQUIRED' }
+    };
+  }
+  return { user: result.rows[0] || null };
+};
+
 // Data isolation middleware
 const ensureOwnerDataIsolation = (req, res, next) => {
   // This middleware should run *after* authenticateOwner
@@ -119,7 +147,7 @@ const ensureOwnerDataIsolation = (req, res, next) => {
     return res.status(401).json({ message: 'Unauthorized. Owner context is missing.' });
   }
   req.libraryId = req.owner.id;
-  next();
+  runAsTenant(req.libraryId, next);
 };
 
 // Auth router factory
@@ -127,46 +155,73 @@ const authRouter = (pool) => {
   const router = express.Router();
 
   // User login (admin/staff)
-  router.post('/login', async (req, res) => {
+  router.post('/login', systemContext, async (req, res) => {
     try {
-      const { username, password } = req.body;
+      const { username, password, library_code } = req.body;
       if (!username || !password) {
         return res.status(400).json({ message: 'Username and password are required' });
       }
 
-      const result = await pool.query(
-        'SELECT id, username, password, role, permissions FROM users WHERE username = $1',
-        [username]
-      );
+      const { user, error } = await findStaffAccount(pool, username, library_code);
+      if (error) {
+        return res.status(error.status).json({ message: error.message, code: error.code });
+      }
+
+      // Staff are throttled per library and username like students, since usernames repeat across libraries
+      const libraryCode = String((user ? user.library_code : library_code) || '').trim().toUpperCase();
+      const attempt = {
+        accountType: 'staff',
+        identifier: `${libraryCode}:${username}`,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+      const block = await reserveLoginAttempt(pool, attempt);
+      if (block) {
+        return respondLoginBlocked(res, block);
+      }
 
-      if (result.rows.length === 0) {
-        return res.status(401).json({ message: 'Invalid credentials' });
+      if (!user) {
+        const failure = await recordLoginFailure(pool, attempt, 'unknown_account');
+        return res.status(401).json({ message: describeFailure('Invalid credentials', failure) });
       }
 
-      const user = result.rows[0];
-      // In a real app, use bcrypt.compare(password, user.password)
-      const isPasswordValid = (password === user.password);
+      attempt.libraryId = user.library_id;
+      attempt.accountId = user.id;
+      const { valid, needsRehash } = await verifyPassword(password, user.password);
 
-      if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid credentials' });
+      if (!valid) {
+        const failure = await recordLoginFailure(pool, attempt, 'invalid_password');
+        return res.status(401).json({ message: describeFailure('Invalid credentials', failure) });
+      }
+      await recordLoginSuccess(pool, attempt);
+
+      // Staff work inside their library's data, so the account must belong to an active library
+      if (!user.library_id) {
+        return res.status(403).json({ message: 'Your account is not linked to a library. Contact the library owner.' });
+      }
+      if (user.library_status !== 'active') {
+        return res.status(401).json({ message: 'Library account is suspended. Please contact support.' });
+      }
+
+      if (needsRehash) {
+        await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(password), user.id]);
+        console.log(`[AUTH.JS] Re-hashed legacy plaintext password for user ${user.username}`);
       }
 
       req.session.user = {
         id: user.id,
         username: user.username,
         role: user.role,
-        permissions: user.permissions || []
+        permissions: resolvePermissions(user.permissions, user.role_permissions),
+        branchAccess: user.branch_access || [],
+        libraryId: user.library_id,
+        libraryCode: user.library_code
       };
 
-      console.log(`[AUTH.JS] User ${user.username} logged in successfully`);
+      console.log(`[AUTH.JS] User ${user.username} logged in successfully for library ${user.library_code}`);
       return res.json({
         message: 'Login successful',
-        user: {
-          id: user.id,
-          username: user.username,
-          role: user.role,
-          permissions: user.permissions || []
-        }
+        user: req.session.user
       });
     } catch (err) {
       console.error('[AUTH.JS] Login error:', err.stack);
@@ -174,6 +229,70 @@ const authRouter = (pool) => {
     }
   });
 
+  // Forgot password (admin/staff): reset codes go to the email on the user's profile
+  router.post('/forgot-password', systemContext, async (req, res) => {
+    try {
+      const { username, library_code } = req.body;
+      if (!username) {
+        return res.status(400).json({ message: 'Username is required' });
+      }
+      if (await isIpRateLimited(pool, req.ip, 'staff')) {
+        return res.status(429).json({ message: 'Too many reset requests. Please try again later.', code: 'RESET_CODE_LIMIT' });
+      }
+
+      // The same answer whether the username is unknown or used in several libraries, so the form does
+      // not tell which usernames exist; a username of several libraries needs the library code
+      const { user, error } = await findStaffAccount(pool, username, library_code);
+      if (error || !user) {
+        console.log(`[AUTH.JS] Password reset requested for ${error ? 'ambiguous' : 'unknown'} user: ${username}`);
+        return res.json({ message: RESET_CODE_SENT_MESSAGE });
+      }
+
+      await sendResetCode(pool, {
+        accountType: 'staff',
+        accountId: user.id,
+        name: user.full_name || user.username,
+        email: user.email
+      }, { channel: 'email', ip: req.ip });
+
+      return res.json({ message: RESET_CODE_SENT_MESSAGE });
+    } catch (err) {
+      console.error('[AUTH.JS] Forgot password error:', err.stack);
+      return res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Reset password (admin/staff) with the one-time code
+  router.post('/reset-password', systemContext, async (req, res) => {
+    try {
+      const { username, code, newPassword, library_code } = req.body;
+      if (!username || !code || !newPassword) {
+        return res.status(400).json({ message: 'Username, reset code and new password are required' });
+      }
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+      }
+
+      const { user, error } = await findStaffAccount(pool, username, library_code);
+      if (error || !user) {
+        return res.status(400).json({ message: 'Invalid or expired reset code', code: 'RESET_CODE_INVALID' });
+      }
+
+      const verification = await verifyResetCode(pool, { accountType: 'staff', accountId: user.id }, code);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ message: verification.message, code: verification.code });
+      }
+
+      await pool.query('UPDATE users SET password = $1 WHERE id = $2', [await hashPassword(newPassword), user.id]);
+
+      console.log(`[AUTH.JS] User ${user.username} reset their password with a code`);
+      return res.json({ message: 'Password reset successfully. You can now log in with your new password.' });
+    } catch (err) {
+      console.error('[AUTH.JS] Reset password error:', err.stack);
+      return res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
   // Logout for all user types
   router.get('/logout', (req, res) => {
     const username = req.session?.user?.username || req.session?.owner?.name || 'Unknown';
@@ -188,6 +307,11 @@ const authRouter = (pool) => {
     });
   });
 
+  // Permission registry, used by the frontend to build staff and role permission pickers
+  router.get('/permissions', authenticateAny, (req, res) => {
+    return res.json({ permissions: PERMISSIONS });
+  });
+
   // Get current session status
   router.get('/status', (req, res) => {
     try {
@@ -212,7 +336,10 @@ const authRouter = (pool) => {
             id: req.session.user.id,
             username: req.session.user.username,
             role: req.session.user.role,
-            permissions: req.session.user.permissions || []
+            permissions: req.session.user.permissions || [],
+            branchAccess: req.session.user.branchAccess || [],
+            libraryId: req.session.user.libraryId,
+            libraryCode: req.session.user.libraryCode
           }
         });
       }
@@ -255,7 +382,12 @@ const authRouter = (pool) => {
       
       if (req.session.user && req.session.user.id) {
         const result = await pool.query(
-          'SELECT id, username, role, permissions FROM users WHERE id = $1',
+          `SELECT u.id, u.username, u.role, u.permissions, u.branch_access, u.library_id,
+             r.permissions AS role_permissions, l.library_code
+           FROM users u
+           LEFT JOIN roles r ON r.id = u.role_id
+           LEFT JOIN libraries l ON l.id = u.library_id
+           WHERE u.id = $1`,
           [req.session.user.id]
         );
         const user = result.rows[0];
@@ -267,7 +399,10 @@ const authRouter = (pool) => {
           id: user.id,
           username: user.username,
           role: user.role,
-          permissions: user.permissions || []
+          permissions: resolvePermissions(user.permissions, user.role_permissions),
+          branchAccess: user.branch_access || [],
+          libraryId: user.library_id,
+          libraryCode: user.library_code
         };
 
         console.log(`[AUTH.JS] User session refreshed for: ${user.username}`);
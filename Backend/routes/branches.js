@@ -4,11 +4,39 @@ module.exports = (pool) => {
   const router = express.Router();
   // ✅ FIX: Import the checkPermissions function
   const { checkPermissions } = require('./auth');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
+
+  // Branch-limited staff only see, and can only edit, the branches they have access to
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'branches', 'id'));
+
+  // Validate the optional geofence fields sent with a branch; returns an error message or null
+  const validateGeofence = ({ latitude, longitude, geofence_radius, geofence_mode }) => {
+    if (latitude != null && latitude !== '' && (isNaN(latitude) || latitude < -90 || latitude > 90)) {
+      return 'Latitude must be between -90 and 90';
+    }
+    if (longitude != null && longitude !== '' && (isNaN(longitude) || longitude < -180 || longitude > 180)) {
+      return 'Longitude must be between -180 and 180';
+    }
+    if (geofence_radius != null && geofence_radius !== '' && (isNaN(geofence_radius) || parseInt(geofence_radius) <= 0)) {
+      return 'Geofence radius must be a positive number of meters';
+    }
+    if (geofence_mode && !['strict', 'lenient'].includes(geofence_mode)) {
+      return 'Geofence mode must be "strict" or "lenient"';
+    }
+    return null;
+  };
+
+  const toNullableNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
 
   // ✅ FIX: Allow users who can manage students to also read branch data
   router.get('/', checkPermissions(['manage_branches', 'manage_library_students'], 'OR'), async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM branches WHERE library_id = $1 ORDER BY name', [req.libraryId]);
+      const params = [req.libraryId];
+      const result = await pool.query(
+        `SELECT * FROM branches WHERE library_id = $1${branchFilter(req, 'id', params)} ORDER BY name`,
+        params
+      );
       res.json({ branches: result.rows });
     } catch (err) {
       res.status(500).json({ message: 'Server error', error: err.message });
@@ -18,11 +46,22 @@ module.exports = (pool) => {
   // ✅ FIX: Restrict write operations to only users who can manage branches
   router.post('/', checkPermissions(['manage_branches']), async (req, res) => {
     try {
-      const { name, code } = req.body;
+      const { name, code, latitude, longitude, geofence_radius, geofence_mode } = req.body;
       if (!name) return res.status(400).json({ message: 'Branch name is required' });
+      const geofenceError = validateGeofence(req.body);
+      if (geofenceError) return res.status(400).json({ message: geofenceError });
       const result = await pool.query(
-        'INSERT INTO branches (name, code, library_id) VALUES ($1, $2, $3) RETURNING *',
-        [name, code || null, req.libraryId]
+        `INSERT INTO branches (name, code, library_id, latitude, longitude, geofence_radius, geofence_mode)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [
+          name,
+          code || null,
+          req.libraryId,
+          toNullableNumber(latitude),
+          toNullableNumber(longitude),
+          toNullableNumber(geofence_radius),
+          geofence_mode || 'lenient'
+        ]
       );
       res.status(201).json(result.rows[0]);
     } catch (err) {
@@ -34,10 +73,30 @@ module.exports = (pool) => {
   router.put('/:id', checkPermissions(['manage_branches']), async (req, res) => {
     try {
       const { id } = req.params;
-      const { name, code } = req.body;
+      const { name, code, latitude, longitude, geofence_radius, geofence_mode } = req.body;
+      const geofenceError = validateGeofence(req.body);
+      if (geofenceError) return res.status(400).json({ message: geofenceError });
+      // Geofence fields are only changed when sent, so older clients that edit name/code keep the fence intact
       const result = await pool.query(
-        'UPDATE branches SET name = $1, code = $2 WHERE id = $3 AND library_id = $4 RETURNING *',
-        [name, code || null, id, req.libraryId]
+        `UPDATE branches SET
+           name = $1,
+           code = $2,
+           latitude = CASE WHEN $5::boolean THEN $6::numeric ELSE latitude END,
+           longitude = CASE WHEN $5::boolean THEN $7::numeric ELSE longitude END,
+           geofence_radius = CASE WHEN $5::boolean THEN $8::integer ELSE geofence_radius END,
+           geofence_mode = COALESCE($9, geofence_mode)
+         WHERE id = $3 AND library_id = $4 RETURNING *`,
+        [
+          name,
+          code || null,
+          id,
+          req.libraryId,
+          latitude !== undefined || longitude !== undefined || geofence_radius !== undefined,
+          toNullableNumber(latitude),
+          toNullableNumber(longitude),
+          toNullableNumber(geofence_radius),
+          geofence_mode || null
+        ]
       );
       if (result.rows.length === 0) return res.status(404).json({ message: 'Branch not found' });
       res.json(result.rows[0]);
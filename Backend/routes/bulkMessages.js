@@ -0,0 +1,223 @@
+const { checkAdmin } = require('./auth');
+const { recordAudit } = require('../utils/auditLog');
+const { CHANNELS, TEMPLATE_VARIABLES, getNotifications } = require('../utils/notifications');
+const {
+  STATUSES, getBulkMessage, getBulkMessages, parseFilters, parseMessage, parseSegment, previewSegment,
+  retryFailedBulkMessage, sendBulkMessage
+} = require('../utils/bulkMessages');
+
+module.exports = (pool) => {
+  const router = require('express').Router();
+
+  const findSegment = async (libraryId, id) => {
+    const result = await pool.query('SELECT * FROM student_segments WHERE id = $1 AND library_id = $2', [
+      parseInt(id, 10) || 0,
+      libraryId
+    ]);
+    return result.rows[0] || null;
+  };
+
+  // The students a request is about: a saved segment_id, or filters. Returns { segment, filters } or { status, message }.
+  const resolveAudience = async (req) => {
+    if (req.body.segment_id) {
+      const segment = await findSegment(req.libraryId, req.body.segment_id);
+      if (!segment) return { status: 404, message: 'Segment not found' };
+      return { segment, filters: parseFilters(segment.filters).filters || {} };
+    }
+    const { filters, error } = parseFilters(req.body.filters);
+    if (error) return { status: 400, message: error };
+    return { segment: null, filters };
+  };
+
+  const isUniqueViolation = (err) => err.code === '23505';
+
+  // Saved segments, with the filters, channels and placeholders a bulk message can use
+  router.get('/segments', checkAdmin, async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM student_segments WHERE library_id = $1 ORDER BY name', [req.libraryId]);
+      res.json({ segments: result.rows, statuses: STATUSES, channels: CHANNELS, variables: TEMPLATE_VARIABLES });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error fetching segments:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.post('/segments', checkAdmin, async (req, res) => {
+    try {
+      const { values, error } = parseSegment(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const result = await pool.query(
+        'INSERT INTO student_segments (library_id, name, filters) VALUES ($1, $2, $3) RETURNING *',
+        [req.libraryId, values.name, JSON.stringify(values.filters)]
+      );
+      const segment = result.rows[0];
+      await recordAudit(pool, req, { action: 'create', entityType: 'student_segment', entityId: segment.id, after: segment });
+      res.status(201).json({ message: 'Segment saved', segment });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ message: 'A segment with this name already exists' });
+      }
+      console.error('[BULK_MESSAGES] Error creating segment:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.put('/segments/:id', checkAdmin, async (req, res) => {
+    try {
+      const existing = await findSegment(req.libraryId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Segment not found' });
+      }
+      const { values, error } = parseSegment(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const result = await pool.query(
+        `UPDATE student_segments SET name = $1, filters = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND library_id = $4
+         RETURNING *`,
+        [values.name, JSON.stringify(values.filters), existing.id, req.libraryId]
+      );
+      const segment = result.rows[0];
+      await recordAudit(pool, req, {
+        action: 'update',
+        entityType: 'student_segment',
+        entityId: segment.id,
+        before: existing,
+        after: segment
+      });
+      res.json({ message: 'Segment updated', segment });
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return res.status(409).json({ message: 'A segment with this name already exists' });
+      }
+      console.error('[BULK_MESSAGES] Error updating segment:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.delete('/segments/:id', checkAdmin, async (req, res) => {
+    try {
+      const existing = await findSegment(req.libraryId, req.params.id);
+      if (!existing) {
+        return res.status(404).json({ message: 'Segment not found' });
+      }
+      await pool.query('DELETE FROM student_segments WHERE id = $1 AND library_id = $2', [existing.id, req.libraryId]);
+      await recordAudit(pool, req, { action: 'delete', entityType: 'student_segment', entityId: existing.id, before: existing });
+      res.json({ message: 'Segment deleted' });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error deleting segment:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // How many students a segment or filters reach on each channel, and the message as one of them would get it
+  router.post('/preview', checkAdmin, async (req, res) => {
+    try {
+      const audience = await resolveAudience(req);
+      if (audience.status) {
+        return res.status(audience.status).json({ message: audience.message });
+      }
+      const message = typeof req.body.body === 'string'
+        ? { subject: typeof req.body.subject === 'string' ? req.body.subject : null, body: req.body.body }
+        : null;
+      const preview = await previewSegment(pool, req.libraryId, audience.filters, message);
+      res.json({ filters: audience.filters, ...preview });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error previewing recipients:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.get('/', checkAdmin, async (req, res) => {
+    try {
+      res.json({ bulkMessages: await getBulkMessages(pool, req.libraryId, { limit: req.query.limit }) });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error fetching bulk messages:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Send a message to every student of a segment or filters
+  router.post('/', checkAdmin, async (req, res) => {
+    try {
+      const audience = await resolveAudience(req);
+      if (audience.status) {
+        return res.status(audience.status).json({ message: audience.message });
+      }
+      const { values, error } = parseMessage(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const bulkMessage = await sendBulkMessage(pool, req.libraryId, {
+        segment: audience.segment,
+        filters: audience.filters,
+        message: values
+      });
+      await recordAudit(pool, req, {
+        action: 'create',
+        entityType: 'bulk_message',
+        entityId: bulkMessage.id,
+        after: {
+          segment_name: bulkMessage.segment_name,
+          filters: bulkMessage.filters,
+          channels: bulkMessage.channels,
+          subject: bulkMessage.subject,
+          recipient_count: bulkMessage.recipient_count,
+          queued_count: bulkMessage.queued_count
+        }
+      });
+      res.status(201).json({
+        message: `${bulkMessage.queued_count} message${bulkMessage.queued_count === 1 ? '' : 's'} queued to ${bulkMessage.recipient_count} student${bulkMessage.recipient_count === 1 ? '' : 's'}`,
+        bulkMessage
+      });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error sending bulk message:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // A bulk message with the notifications that failed for good
+  router.get('/:id', checkAdmin, async (req, res) => {
+    try {
+      const bulkMessage = await getBulkMessage(pool, req.libraryId, parseInt(req.params.id, 10) || 0);
+      if (!bulkMessage) {
+        return res.status(404).json({ message: 'Bulk message not found' });
+      }
+      const { notifications } = await getNotifications(pool, req.libraryId, {
+        bulkMessageId: bulkMessage.id,
+        status: 'failed',
+        limit: 200
+      });
+      res.json({ bulkMessage, failures: notifications });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error fetching bulk message:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Try the failed notifications of a bulk message once more
+  router.post('/:id/retry', checkAdmin, async (req, res) => {
+    try {
+      const bulkMessage = await getBulkMessage(pool, req.libraryId, parseInt(req.params.id, 10) || 0);
+      if (!bulkMessage) {
+        return res.status(404).json({ message: 'Bulk message not found' });
+      }
+      const count = await retryFailedBulkMessage(pool, req.libraryId, bulkMessage.id);
+      await recordAudit(pool, req, {
+        action: 'update',
+        entityType: 'bulk_message',
+        entityId: bulkMessage.id,
+        after: { retried: count }
+      });
+      res.json({ message: count > 0 ? `Retrying ${count} failed message${count === 1 ? '' : 's'}` : 'No failed messages to retry', count });
+    } catch (err) {
+      console.error('[BULK_MESSAGES] Error retrying bulk message:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  return router;
+};
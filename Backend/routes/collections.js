@@ -1,25 +1,39 @@
 module.exports = (pool) => {
   const router = require('express').Router();
-  const { checkAdmin, checkPermissions } = require('./auth');
+  const { checkPermissions } = require('./auth');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
+  const { recordAudit } = require('../utils/auditLog');
+  const { membershipPaymentsJoin, paymentReceiptJoin, recordPayment, syncMembershipTotals, toReceipt } = require('../utils/feeLedger');
+
+  router.use(enforceBranchAccess(pool));
+  router.param('historyId', checkRecordBranch(pool, 'student_membership_history'));
+  router.param('studentId', checkRecordBranch(pool, 'students'));
 
   /**
    * @route   GET /api/collections/stats
-   * @desc    Get aggregate collection statistics.
-   * @access  STRICTLY Admin only.
+   * @desc    Get aggregate collection statistics. Amounts collected are the payments ledger's entries
+   *          dated in the month; dues and security money are those of the membership periods started in it.
+   * @access  Admin or Staff with 'view_collections' permission, limited to their branches.
    */
-  router.get('/stats', checkAdmin, async (req, res) => {
+  router.get('/stats', checkPermissions(['view_collections']), async (req, res) => {
     try {
-      let query = `
+      let paymentsQuery = `
         SELECT 
-          COALESCE(SUM(smh.amount_paid), 0) as "totalPaid",
-          COALESCE(SUM(smh.due_amount), 0) as "totalDue",
-          COALESCE(SUM(smh.cash), 0) as "totalCash",
-          COALESCE(SUM(smh.online), 0) as "totalOnline",
+          COALESCE(SUM(sp.amount), 0) as "totalPaid",
+          COALESCE(SUM(sp.amount) FILTER (WHERE sp.payment_mode = 'cash'), 0) as "totalCash",
+          COALESCE(SUM(sp.amount) FILTER (WHERE sp.payment_mode = 'online'), 0) as "totalOnline"
+        FROM student_payments sp
+        WHERE sp.library_id = $1
+      `;
+      let membershipsQuery = `
+        SELECT 
+          COALESCE(SUM(COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) - pay.paid), 0) as "totalDue",
           COALESCE(SUM(smh.security_money), 0) as "totalSecurityMoney"
         FROM student_membership_history smh
+        ${membershipPaymentsJoin('smh')}
+        WHERE smh.library_id = $1
       `;
       const params = [req.libraryId];
-      let whereClause = ' WHERE smh.library_id = $1';
       let paramIndex = 2;
 
       if (req.query.month) {
@@ -28,7 +42,8 @@ module.exports = (pool) => {
           return res.status(400).json({ message: 'Invalid month format. Use YYYY-MM' });
         }
         const [year, month] = monthParam.split('-');
-        whereClause += ` AND EXTRACT(YEAR FROM smh.changed_at) = $${paramIndex} AND EXTRACT(MONTH FROM smh.changed_at) = $${paramIndex + 1}`;
+        paymentsQuery += ` AND EXTRACT(YEAR FROM sp.payment_date) = $${paramIndex} AND EXTRACT(MONTH FROM sp.payment_date) = $${paramIndex + 1}`;
+        membershipsQuery += ` AND EXTRACT(YEAR FROM smh.changed_at) = $${paramIndex} AND EXTRACT(MONTH FROM smh.changed_at) = $${paramIndex + 1}`;
         params.push(year, month);
         paramIndex += 2;
       }
@@ -38,20 +53,26 @@ module.exports = (pool) => {
         if (isNaN(branchId)) {
           return res.status(400).json({ message: 'Invalid branch ID' });
         }
-        whereClause += (paramIndex > 1 ? ' AND' : ' WHERE') + ` smh.branch_id = $${paramIndex}`;
+        paymentsQuery += ` AND sp.branch_id = $${paramIndex}`;
+        membershipsQuery += ` AND smh.branch_id = $${paramIndex}`;
         params.push(branchId);
       }
       
-      query += whereClause;
+      const paymentsParams = [...params];
+      paymentsQuery += branchFilter(req, 'sp.branch_id', paymentsParams);
+      membershipsQuery += branchFilter(req, 'smh.branch_id', params);
 
-      const result = await pool.query(query, params);
+      const [payments, memberships] = await Promise.all([
+        pool.query(paymentsQuery, paymentsParams),
+        pool.query(membershipsQuery, params)
+      ]);
       
       const stats = {
-          totalPaid: parseFloat(result.rows[0].totalPaid),
-          totalDue: parseFloat(result.rows[0].totalDue),
-          totalCash: parseFloat(result.rows[0].totalCash),
-          totalOnline: parseFloat(result.rows[0].totalOnline),
-          totalSecurityMoney: parseFloat(result.rows[0].totalSecurityMoney),
+          totalPaid: parseFloat(payments.rows[0].totalPaid),
+          totalDue: parseFloat(memberships.rows[0].totalDue),
+          totalCash: parseFloat(payments.rows[0].totalCash),
+          totalOnline: parseFloat(payments.rows[0].totalOnline),
+          totalSecurityMoney: parseFloat(memberships.rows[0].totalSecurityMoney),
       };
 
       res.json(stats);
@@ -63,8 +84,9 @@ module.exports = (pool) => {
 
   /**
    * @route   GET /api/collections
-   * @desc    Get a list of all individual student collection records.
-   * @access  Admin or Staff with 'view_collections' permission.
+   * @desc    Get a list of all individual student collection records, with paid and due amounts derived
+   *          from the payments ledger.
+   * @access  Admin or Staff with 'view_collections' permission, limited to their branches.
    */
   router.get('/', checkPermissions(['view_collections']), async (req, res) => {
     try {
@@ -75,10 +97,10 @@ module.exports = (pool) => {
           smh.name, 
           sch.title as "shiftTitle", 
           smh.total_fee as "totalFee", 
-          smh.amount_paid as "amountPaid", 
-          smh.due_amount as "dueAmount",
-          smh.cash,
-          smh.online,
+          pay.paid as "amountPaid", 
+          COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) - pay.paid as "dueAmount",
+          pay.cash,
+          pay.online,
           smh.security_money as "securityMoney",
           smh.remark,
           smh.changed_at as "createdAt",
@@ -87,6 +109,7 @@ module.exports = (pool) => {
         FROM student_membership_history smh
         LEFT JOIN schedules sch ON smh.shift_id = sch.id
         LEFT JOIN branches b ON smh.branch_id = b.id
+        ${membershipPaymentsJoin('smh')}
       `;
       const params = [req.libraryId];
       let whereClause = ' WHERE smh.library_id = $1';
@@ -112,6 +135,7 @@ module.exports = (pool) => {
         params.push(branchId);
       }
 
+      whereClause += branchFilter(req, 'smh.branch_id', params);
       query += whereClause + ` ORDER BY smh.name;`;
       
       const result = await pool.query(query, params);
@@ -133,12 +157,147 @@ module.exports = (pool) => {
     }
   });
 
+  /**
+   * @route   GET /api/collections/payments
+   * @desc    Get the payments ledger entries of one day (?date=YYYY-MM-DD, default today) with their
+   *          receipts, and totals.
+   * @access  Admin or Staff with 'view_collections' permission, limited to their branches.
+   */
+  router.get('/payments', checkPermissions(['view_collections']), async (req, res) => {
+    try {
+      const date = req.query.date || null;
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
+      }
+
+      let query = `
+        SELECT 
+          sp.id,
+          sp.student_id as "studentId",
+          s.name as "studentName",
+          sp.membership_history_id as "historyId",
+          sp.entry_type as "entryType",
+          sp.amount,
+          sp.payment_mode as "paymentMode",
+          sp.payment_date as "paymentDate",
+          sp.period_start as "periodStart",
+          sp.period_end as "periodEnd",
+          sp.collected_by_name as "collectedByName",
+          sp.remark,
+          sp.created_at as "createdAt",
+          sp.branch_id as "branchId",
+          b.name as "branchName",
+          rcpt.id::int as "receiptId",
+          rcpt.receipt_number as "receiptNumber",
+          rcpt_cancel.id IS NOT NULL as "receiptCancelled"
+        FROM student_payments sp
+        JOIN students s ON sp.student_id = s.id
+        LEFT JOIN branches b ON sp.branch_id = b.id
+        ${paymentReceiptJoin('sp', 'library')}
+        WHERE sp.library_id = $1 AND sp.payment_date = COALESCE($2::date, CURRENT_DATE)
+      `;
+      const params = [req.libraryId, date];
+
+      if (req.query.branchId) {
+        const branchId = parseInt(req.query.branchId, 10);
+        if (isNaN(branchId)) {
+          return res.status(400).json({ message: 'Invalid branch ID' });
+        }
+        params.push(branchId);
+        query += ` AND sp.branch_id = $${params.length}`;
+      }
+
+      query += branchFilter(req, 'sp.branch_id', params) + ' ORDER BY sp.created_at DESC, sp.id DESC;';
+      const result = await pool.query(query, params);
+
+      const payments = result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+      const sumOf = (mode) => payments
+        .filter(payment => !mode || payment.paymentMode === mode)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+
+      res.json({
+        payments,
+        totals: { total: sumOf(null), cash: sumOf('cash'), online: sumOf('online') }
+      });
+    } catch (err) {
+      console.error('Error fetching day collections:', err);
+      res.status(500).json({ message: 'Server error fetching day collections', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/collections/students/:studentId/collect-due
+   * @desc    Collect part or all of a student's due for their current membership period. The payment
+   *          is posted to the ledger as its own receipt, which is returned.
+   * @access  Admin or Staff with 'manage_collections' permission, limited to their branches.
+   */
+  router.post('/students/:studentId/collect-due', checkPermissions(['manage_collections']), async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const studentId = parseInt(req.params.studentId, 10);
+      const { payment_amount, payment_method, remark } = req.body;
+      const amount = parseFloat(payment_amount);
+
+      if (isNaN(amount) || amount <= 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid payment amount' });
+      }
+      if (!['cash', 'online'].includes(payment_method)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Invalid payment method' });
+      }
+
+      // The current membership period is the student's latest history record
+      const currentRes = await client.query(
+        `SELECT id FROM student_membership_history
+         WHERE student_id = $1 AND library_id = $2
+         ORDER BY id DESC LIMIT 1
+         FOR UPDATE`,
+        [studentId, req.libraryId]
+      );
+      if (currentRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'No membership found for this student' });
+      }
+
+      const { history } = await syncMembershipTotals(client, currentRes.rows[0].id);
+      const dueBefore = parseFloat(history.due_amount) || 0;
+      if (amount > dueBefore + 0.01) { // Use a small tolerance for float math
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Payment of ${amount.toFixed(2)} exceeds the due amount of ${dueBefore.toFixed(2)}.` });
+      }
+
+      const payment = await recordPayment(client, req, history, { amount, mode: payment_method, remark: remark || null });
+      const { history: updatedHistory } = await syncMembershipTotals(client, history.id);
+      const receipt = toReceipt(payment, { studentName: history.name, dueBefore, dueAfter: updatedHistory.due_amount });
+
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'collections/payments',
+        entityId: payment.id,
+        after: receipt
+      });
+
+      await client.query('COMMIT');
+      res.status(201).json({ message: 'Payment collected successfully', receipt });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Error collecting due:', err);
+      res.status(500).json({ message: 'Server error collecting due', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
   /**
    * @route   PUT /api/collections/:historyId
-   * @desc    Pay a due amount for a student's collection record.
-   * @access  Admin or Staff with 'view_collections' permission.
+   * @desc    Pay a due amount for a student's collection record. The payment is posted to the ledger as
+   *          its own receipt and the record's totals are derived again from it.
+   * @access  Admin or Staff with 'manage_collections' permission, limited to their branches.
    */
-  router.put('/:historyId', checkPermissions(['view_collections']), async (req, res) => {
+  router.put('/:historyId', checkPermissions(['manage_collections']), async (req, res) => {
     const client = await pool.connect(); 
     try {
       await client.query('BEGIN');
@@ -156,13 +315,13 @@ module.exports = (pool) => {
         return res.status(400).json({ message: 'Invalid payment method' });
       }
 
-      // --- 2. Fetch the specific history record to get its due amount and student_id ---
-      const historyRes = await client.query('SELECT * FROM student_membership_history WHERE id = $1 AND library_id = $2 FOR UPDATE', [historyId, req.libraryId]);
+      // --- 2. Lock the history record and take its due amount from the ledger ---
+      const historyRes = await client.query('SELECT id FROM student_membership_history WHERE id = $1 AND library_id = $2 FOR UPDATE', [historyId, req.libraryId]);
       if (historyRes.rows.length === 0) {
         await client.query('ROLLBACK');
         return res.status(404).json({ message: 'History record not found' });
       }
-      const history = historyRes.rows[0];
+      const { history } = await syncMembershipTotals(client, historyId);
       const studentId = history.student_id;
       const history_due_amount = parseFloat(history.due_amount) || 0;
 
@@ -172,41 +331,31 @@ module.exports = (pool) => {
         return res.status(400).json({ message: `Payment of ${payment_amount.toFixed(2)} exceeds the due amount of ${history_due_amount.toFixed(2)} for this specific transaction.` });
       }
 
-      // --- 4. Fetch the main student record to get the aggregate totals ---
-      const studentRes = await client.query('SELECT * FROM students WHERE id = $1 AND library_id = $2 FOR UPDATE', [studentId, req.libraryId]);
-      if (studentRes.rows.length === 0) {
-          await client.query('ROLLBACK');
-          return res.status(404).json({ message: `Student with ID ${studentId} not found.` });
-      }
-      const student = studentRes.rows[0];
-
-      // --- 5. Update the totals for the main STUDENT record ---
-      const new_student_cash = (parseFloat(student.cash) || 0) + (payment_method === 'cash' ? payment_amount : 0);
-      const new_student_online = (parseFloat(student.online) || 0) + (payment_method === 'online' ? payment_amount : 0);
-      const new_student_amount_paid = (parseFloat(student.amount_paid) || 0) + payment_amount;
-      const new_student_due_amount = (parseFloat(student.due_amount) || 0) - payment_amount;
-
-      const updateStudentQuery = `
-        UPDATE students 
-        SET cash = $1, online = $2, amount_paid = $3, due_amount = $4 
-        WHERE id = $5`;
-      await client.query(updateStudentQuery, [new_student_cash, new_student_online, new_student_amount_paid, new_student_due_amount, studentId]);
-
-      // --- 6. Update the specific HISTORY record that is being paid ---
-      const new_history_cash = (parseFloat(history.cash) || 0) + (payment_method === 'cash' ? payment_amount : 0);
-      const new_history_online = (parseFloat(history.online) || 0) + (payment_method === 'online' ? payment_amount : 0);
-      const new_history_amount_paid = (parseFloat(history.amount_paid) || 0) + payment_amount;
-      const new_history_due_amount = history_due_amount - payment_amount;
-
-      const updateHistoryQuery = `
-        UPDATE student_membership_history 
-        SET cash = $1, online = $2, amount_paid = $3, due_amount = $4 
-        WHERE id = $5`;
-      await client.query(updateHistoryQuery, [new_history_cash, new_history_online, new_history_amount_paid, new_history_due_amount, historyId]);
+      // --- 4. Post the receipt and derive the record's (and, for the latest period, the student's) totals ---
+      const payment = await recordPayment(client, req, history, { amount: payment_amount, mode: payment_method });
+      const { history: updatedHistory } = await syncMembershipTotals(client, historyId);
+
+      // --- 5. Audit ---
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'collections',
+        entityId: historyId,
+        before: { student_id: studentId, cash: history.cash, online: history.online, amount_paid: history.amount_paid, due_amount: history.due_amount },
+        after: {
+          student_id: studentId,
+          cash: updatedHistory.cash,
+          online: updatedHistory.online,
+          amount_paid: updatedHistory.amount_paid,
+          due_amount: updatedHistory.due_amount,
+          payment_id: payment.id,
+          payment_amount,
+          payment_method
+        }
+      });
       
-      // --- 7. Commit and respond ---
+      // --- 6. Commit and respond ---
       await client.query('COMMIT');
-      res.json({ message: 'Payment updated successfully' });
+      res.json({ message: 'Payment updated successfully', payment });
 
     } catch (err) {
       await client.query('ROLLBACK');
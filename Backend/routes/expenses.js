@@ -1,9 +1,13 @@
 module.exports = (pool) => {
   const express = require('express');
   const router = express.Router();
-  const { checkAdminOrStaff } = require('./auth');
+  const { checkPermissions } = require('./auth');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess, requireOwnBranch } = require('../utils/branchAccess');
 
-  router.get('/', checkAdminOrStaff, async (req, res) => {
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'expenses'));
+
+  router.get('/', checkPermissions(['manage_expenses']), async (req, res) => {
     try {
       const { branchId } = req.query; // branchId will be a string from query
       let query = `
@@ -17,6 +21,7 @@ module.exports = (pool) => {
         query += ` AND e.branch_id = $2`;
         params.push(parseInt(branchId, 10)); // Ensure it's an integer for the query
       }
+      query += branchFilter(req, 'e.branch_id', params);
       query += ' ORDER BY e.date DESC';
       
       const expensesResult = await pool.query(query, params);
@@ -44,7 +49,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/', checkAdminOrStaff, async (req, res) => {
+  router.post('/', checkPermissions(['manage_expenses']), async (req, res) => {
     try {
       let { title, amount, date, remark, branch_id } = req.body;
       if (!title || !amount || !date) {
@@ -52,6 +57,7 @@ module.exports = (pool) => {
       }
       // Ensure branch_id is an integer or null
       branch_id = branch_id ? parseInt(branch_id, 10) : null;
+      if (!requireOwnBranch(req, res, branch_id)) return;
       remark = remark || null;
 
       const result = await pool.query(
@@ -72,12 +78,13 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:id', checkAdminOrStaff, async (req, res) => {
+  router.put('/:id', checkPermissions(['manage_expenses']), async (req, res) => {
     try {
       const { id } = req.params; // id will be a string from URL param
       let { title, amount, date, remark, branch_id } = req.body;
       
       branch_id = branch_id ? parseInt(branch_id, 10) : null;
+      if (!requireOwnBranch(req, res, branch_id)) return;
       remark = remark || null;
 
       const result = await pool.query(
@@ -101,7 +108,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.delete('/:id', checkAdminOrStaff, async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_expenses']), async (req, res) => {
     try {
       const { id } = req.params; // id will be a string
       const result = await pool.query('DELETE FROM expenses WHERE id = $1 AND library_id = $2 RETURNING *', [parseInt(id, 10), req.libraryId]);
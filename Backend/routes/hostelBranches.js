@@ -1,13 +1,14 @@
-const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
+const { authenticateLibraryUser, ensureOwnerDataIsolation } = require('./ownerAuth');
+const { checkPermissions } = require('./auth');
 
 module.exports = (pool) => {
   const router = require('express').Router();
 
   // Apply owner authentication and data isolation to all routes
-  router.use(authenticateOwner);
+  router.use(authenticateLibraryUser);
   router.use(ensureOwnerDataIsolation);
 
-  router.get('/', async (req, res) => {
+  router.get('/', checkPermissions(['manage_hostel_branches', 'manage_hostel_students'], 'OR'), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       const result = await pool.query(`
@@ -25,7 +26,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/', async (req, res) => {
+  router.post('/', checkPermissions(['manage_hostel_branches']), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       const { name } = req.body;
@@ -44,7 +45,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:id', async (req, res) => {
+  router.put('/:id', checkPermissions(['manage_hostel_branches']), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       const { id } = req.params;
@@ -67,7 +68,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.delete('/:id', async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_hostel_branches']), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       const { id } = req.params;
@@ -1,13 +1,16 @@
 // ./routes/hostelCollections.js (for HOSTEL system)
 module.exports = (pool) => {
   const router = require('express').Router();
-  const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
+  const { authenticateLibraryUser, ensureOwnerDataIsolation } = require('./ownerAuth');
+  const { checkPermissions } = require('./auth');
+  const { recordAudit } = require('../utils/auditLog');
+  const { paymentReceiptJoin, recordHostelPayment, toReceipt } = require('../utils/feeLedger');
 
   // Apply owner authentication and data isolation to all routes
-  router.use(authenticateOwner);
+  router.use(authenticateLibraryUser);
   router.use(ensureOwnerDataIsolation); 
 
-  router.get('/', async (req, res) => {
+  router.get('/', checkPermissions(['view_hostel_collections']), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       
@@ -88,61 +91,213 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:historyId', async (req, res) => {
+  // GET the hostel fee payments and corrections of one day (?date=YYYY-MM-DD, default today) with their receipts, and totals
+  router.get('/payments', checkPermissions(['view_hostel_collections']), async (req, res) => {
     try {
-      const { historyId } = req.params;
-      const parsedHistoryId = parseInt(historyId);
-      if (isNaN(parsedHistoryId)) {
-        return res.status(400).json({ message: 'Invalid history ID format.' });
+      const date = req.query.date || null;
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: 'Invalid date format. Use YYYY-MM-DD' });
       }
 
-      const { payment_amount, payment_type } = req.body;
+      let queryText = `
+        SELECT 
+          hp.id,
+          hp.student_id,
+          hs.name as student_name,
+          hp.history_id,
+          hp.entry_type,
+          hp.amount,
+          hp.payment_mode,
+          hp.payment_date,
+          hp.period_start,
+          hp.period_end,
+          hp.collected_by_name,
+          hp.remark,
+          hp.created_at,
+          hp.branch_id,
+          hb.name as branch_name,
+          rcpt.id::int as receipt_id,
+          rcpt.receipt_number,
+          rcpt_cancel.id IS NOT NULL as receipt_cancelled
+        FROM hostel_student_payments hp
+        JOIN hostel_students hs ON hp.student_id = hs.id
+        LEFT JOIN hostel_branches hb ON hp.branch_id = hb.id
+        ${paymentReceiptJoin('hp', 'hostel')}
+        WHERE hp.library_id = $1 AND hp.payment_date = COALESCE($2::date, CURRENT_DATE)
+      `;
+      const queryParams = [req.libraryId, date];
+
+      if (req.query.branch_id && String(req.query.branch_id).trim() !== '') {
+        const branchIdParam = parseInt(String(req.query.branch_id));
+        if (isNaN(branchIdParam)) {
+          return res.status(400).json({ message: 'Invalid branch ID for filtering.' });
+        }
+        queryParams.push(branchIdParam);
+        queryText += ` AND hp.branch_id = $${queryParams.length}`;
+      }
+      queryText += ' ORDER BY hp.created_at DESC, hp.id DESC';
+
+      const result = await pool.query(queryText, queryParams);
+      const payments = result.rows.map(row => ({ ...row, amount: parseFloat(row.amount) }));
+      const sumOf = (mode) => payments
+        .filter(payment => !mode || payment.payment_mode === mode)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+
+      res.json({
+        payments,
+        totals: { total: sumOf(null), cash: sumOf('cash'), online: sumOf('online') }
+      });
+    } catch (err) {
+      console.error('[hostelCollections.js GET /payments] Error fetching day collections:', err.stack);
+      res.status(500).json({ message: 'Server error fetching day collections', error: err.message });
+    }
+  });
+
+  // Adds a payment to a stay's running totals and keeps it as a receipt. Runs inside the caller's transaction.
+  const collectHostelPayment = async (client, req, { student, history }, { amount, paymentType, remark }) => {
+    const dueBefore = parseFloat(history.due_amount) || 0;
+    const cashPaid = (parseFloat(history.cash_paid) || 0) + (paymentType === 'cash' ? amount : 0);
+    const onlinePaid = (parseFloat(history.online_paid) || 0) + (paymentType === 'online' ? amount : 0);
+    const dueAmount = (parseFloat(history.total_fee) || 0) - cashPaid - onlinePaid;
+
+    const updateResult = await client.query(
+      'UPDATE hostel_student_history SET cash_paid = $1, online_paid = $2, due_amount = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
+      [cashPaid.toFixed(2), onlinePaid.toFixed(2), dueAmount.toFixed(2), history.id]
+    );
+    const payment = await recordHostelPayment(
+      client,
+      req,
+      { libraryId: req.libraryId, branchId: student.branch_id, history },
+      { amount, mode: paymentType, remark: remark || null }
+    );
+    const receipt = toReceipt(payment, { studentName: student.name, dueBefore, dueAfter: dueAmount });
+    await recordAudit(client, req, {
+      action: 'create',
+      entityType: 'hostel/collections/payments',
+      entityId: payment.id,
+      after: receipt
+    });
+    return { updatedHistory: updateResult.rows[0], receipt };
+  };
+
+  const validatePayment = (payment_amount, payment_type) => {
+    const amount = parseFloat(payment_amount);
+    if (isNaN(amount) || amount <= 0) return 'Payment amount must be a positive number.';
+    if (!['cash', 'online'].includes(payment_type)) return 'Invalid payment type. Must be "cash" or "online".';
+    return null;
+  };
+
+  // POST a payment against a hostel student's due for their current stay; returns the receipt
+  router.post('/students/:studentId/collect-due', checkPermissions(['manage_hostel_collections']), async (req, res) => {
+    const studentId = parseInt(req.params.studentId);
+    if (isNaN(studentId)) {
+      return res.status(400).json({ message: 'Invalid student ID format.' });
+    }
+    const { payment_amount, payment_type, remark } = req.body;
+    const validationError = validatePayment(payment_amount, payment_type);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    const amount = parseFloat(payment_amount);
 
-      if (typeof payment_amount !== 'number' || payment_amount <= 0) {
-        return res.status(400).json({ message: 'Payment amount must be a positive number.' });
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const studentRes = await client.query(
+        'SELECT id, name, branch_id FROM hostel_students WHERE id = $1 AND library_id = $2',
+        [studentId, req.libraryId]
+      );
+      if (studentRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Student not found.' });
       }
-      if (!['cash', 'online'].includes(payment_type)) {
-        return res.status(400).json({ message: 'Invalid payment type. Must be "cash" or "online".' });
+
+      // The current stay is the latest history record, as shown on the hostel student's details page
+      const historyRes = await client.query(
+        `SELECT * FROM hostel_student_history
+         WHERE student_id = $1
+         ORDER BY stay_start_date DESC, created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [studentId]
+      );
+      if (historyRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'No stay found for this student.' });
       }
+      const history = historyRes.rows[0];
+      const currentDueAmount = parseFloat(history.due_amount) || 0;
+      if (amount > currentDueAmount + 0.001) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Payment amount (₹${amount.toFixed(2)}) exceeds current due amount (₹${currentDueAmount.toFixed(2)}).` });
+      }
+
+      const { updatedHistory, receipt } = await collectHostelPayment(
+        client, req, { student: studentRes.rows[0], history }, { amount, paymentType: payment_type, remark }
+      );
+      await client.query('COMMIT');
+      res.status(201).json({ message: 'Payment collected successfully', updatedHistory, receipt });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('[hostelCollections.js POST /students/:studentId/collect-due] Error collecting due:', err.stack);
+      res.status(500).json({ message: 'Server error collecting due', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  router.put('/:historyId', checkPermissions(['manage_hostel_collections']), async (req, res) => {
+    const { historyId } = req.params;
+    const parsedHistoryId = parseInt(historyId);
+    if (isNaN(parsedHistoryId)) {
+      return res.status(400).json({ message: 'Invalid history ID format.' });
+    }
+
+    const { payment_amount, payment_type } = req.body;
+    if (typeof payment_amount !== 'number') {
+      return res.status(400).json({ message: 'Payment amount must be a positive number.' });
+    }
+    const validationError = validatePayment(payment_amount, payment_type);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
 
-      await pool.query('BEGIN');
-      const historyRes = await pool.query('SELECT * FROM hostel_student_history WHERE id = $1 FOR UPDATE', [parsedHistoryId]);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const historyRes = await client.query(
+        `SELECT hsh.* FROM hostel_student_history hsh
+         JOIN hostel_students hs ON hsh.student_id = hs.id
+         WHERE hsh.id = $1 AND hs.library_id = $2
+         FOR UPDATE OF hsh`,
+        [parsedHistoryId, req.libraryId]
+      );
       if (historyRes.rows.length === 0) {
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         return res.status(404).json({ message: 'History record not found.' });
       }
       
       const history = historyRes.rows[0];
-      const currentTotalFee = parseFloat(history.total_fee);
-      let currentCashPaid = parseFloat(history.cash_paid);
-      let currentOnlinePaid = parseFloat(history.online_paid);
       const currentDueAmount = parseFloat(history.due_amount);
 
       if (payment_amount > currentDueAmount + 0.001) { 
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         return res.status(400).json({ message: `Payment amount (₹${payment_amount.toFixed(2)}) exceeds current due amount (₹${currentDueAmount.toFixed(2)}).` });
       }
 
-      if (payment_type === 'cash') {
-        currentCashPaid += payment_amount;
-      } else { 
-        currentOnlinePaid += payment_amount;
-      }
-      
-      const newTotalPaid = currentCashPaid + currentOnlinePaid;
-      const newDueAmount = currentTotalFee - newTotalPaid;
-
-      const updateResult = await pool.query(
-        'UPDATE hostel_student_history SET cash_paid = $1, online_paid = $2, due_amount = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $4 RETURNING *',
-        [currentCashPaid.toFixed(2), currentOnlinePaid.toFixed(2), newDueAmount.toFixed(2), parsedHistoryId]
+      const studentRes = await client.query('SELECT id, name, branch_id FROM hostel_students WHERE id = $1', [history.student_id]);
+      const { updatedHistory, receipt } = await collectHostelPayment(
+        client, req, { student: studentRes.rows[0], history }, { amount: payment_amount, paymentType: payment_type }
       );
-      await pool.query('COMMIT');
+      await client.query('COMMIT');
       
-      res.json({ message: 'Payment updated successfully', updatedHistory: updateResult.rows[0] });
+      res.json({ message: 'Payment updated successfully', updatedHistory, receipt });
     } catch (err) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('[hostelCollections.js PUT /:historyId] Error updating payment:', err.stack);
       res.status(500).json({ message: 'Server error updating payment', error: err.message });
+    } finally {
+      client.release();
     }
   });
 
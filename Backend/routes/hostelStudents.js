@@ -1,16 +1,17 @@
 // ./routes/hostelStudents.js
-const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
-const { checkAdminOrStaff } = require('./auth'); 
+const { authenticateLibraryUser, ensureOwnerDataIsolation } = require('./ownerAuth');
+const { checkPermissions } = require('./auth');
+const { recordInitialHostelPayments } = require('../utils/feeLedger');
 
 module.exports = (pool) => {
   const router = require('express').Router();
 
   // Apply owner authentication and data isolation to all routes
-  router.use(authenticateOwner);
+  router.use(authenticateLibraryUser);
   router.use(ensureOwnerDataIsolation);
 
   // GET all hostel students (as previously provided, should be fine)
-  router.get('/', async (req, res) => {
+  router.get('/', checkPermissions(['manage_hostel_students']), async (req, res) => {
     try {
       const libraryId = req.libraryId; // From ensureOwnerDataIsolation middleware
       const { branch_id } = req.query; 
@@ -55,7 +56,7 @@ module.exports = (pool) => {
   });
 
   // GET a single hostel student by ID with their complete history
-  router.get('/:id', checkAdminOrStaff, async (req, res) => {
+  router.get('/:id', checkPermissions(['manage_hostel_students']), async (req, res) => {
     try {
       const { id } = req.params;
       const parsedId = parseInt(id);
@@ -67,8 +68,8 @@ module.exports = (pool) => {
         `SELECT s.*, b.name as branch_name 
          FROM hostel_students s
          LEFT JOIN hostel_branches b ON s.branch_id = b.id
-         WHERE s.id = $1`,
-        [parsedId]
+         WHERE s.id = $1 AND s.library_id = $2`,
+        [parsedId, req.libraryId]
       );
 
       if (studentResult.rows.length === 0) {
@@ -100,7 +101,7 @@ module.exports = (pool) => {
   });
 
   // POST (add) a new hostel student - This creates student and initial history
-  router.post('/', checkAdminOrStaff, async (req, res) => {
+  router.post('/', checkPermissions(['manage_hostel_students']), async (req, res) => {
     // ... (Keep your existing POST logic, it correctly creates student and history)
     // This part seems to be working fine now for adding new students.
     console.log('Backend received POST /hostel/students request with body:', JSON.stringify(req.body, null, 2));
@@ -138,12 +139,13 @@ module.exports = (pool) => {
     const onlinePaidNum = online_paid ? parseFloat(online_paid) : 0.0;
     if (isNaN(onlinePaidNum) || onlinePaidNum < 0) return res.status(400).json({ message: 'Online paid must be a non-negative number.' });
 
+    const client = await pool.connect();
     try {
-      await pool.query('BEGIN');
+      await client.query('BEGIN');
 
-      const branchCheck = await pool.query('SELECT id FROM hostel_branches WHERE id = $1', [parsedBranchId]);
+      const branchCheck = await client.query('SELECT id FROM hostel_branches WHERE id = $1 AND library_id = $2', [parsedBranchId, req.libraryId]);
       if (branchCheck.rows.length === 0) {
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         return res.status(400).json({ message: `Branch with ID ${parsedBranchId} does not exist.` });
       }
 
@@ -151,16 +153,16 @@ module.exports = (pool) => {
         INSERT INTO hostel_students (
           branch_id, name, address, father_name, mother_name, aadhar_number, phone_number,
           profile_image_url, aadhar_image_url, religion, food_preference, gender, security_money, 
-          registration_number, room_number, remark, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
+          registration_number, room_number, remark, created_at, updated_at, library_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $17) 
         RETURNING *`;
       const studentInsertParams = [
         parsedBranchId, name.trim(), address || null, father_name || null, mother_name || null,
         aadhar_number || null, phone_number || null, profile_image_url || null, aadhar_image_url || null,
         String(religion).trim(), food_preference, gender, parsedSecurityMoney, registration_number || null,
-        String(room_number).trim(), remark || null
+        String(room_number).trim(), remark || null, req.libraryId
       ];
-      const studentResult = await pool.query(studentInsertQuery, studentInsertParams);
+      const studentResult = await client.query(studentInsertQuery, studentInsertParams);
       const newStudent = studentResult.rows[0];
 
       const totalPaid = cashPaidNum + onlinePaidNum;
@@ -176,14 +178,18 @@ module.exports = (pool) => {
         newStudent.id, stay_start_date, stay_end_date, totalFeeNum, cashPaidNum, onlinePaidNum,
         dueAmount, String(room_number).trim(), remark || null
       ];
-      const historyResult = await pool.query(historyInsertQuery, historyInsertParams);
+      const historyResult = await client.query(historyInsertQuery, historyInsertParams);
       const newHistory = historyResult.rows[0];
+      await recordInitialHostelPayments(
+        client, req, { libraryId: req.libraryId, branchId: parsedBranchId, history: newHistory },
+        { cash: cashPaidNum, online: onlinePaidNum }
+      );
 
-      await pool.query('COMMIT');
+      await client.query('COMMIT');
       res.status(201).json({ student: newStudent, history: newHistory });
 
     } catch (err) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('Error in POST /hostel/students:', err.stack);
       if (err.code === '23503') {
           res.status(400).json({ message: `Invalid reference for ${err.constraint || 'a foreign key'}. Please check input values.`, errorDetail: err.detail });
@@ -192,11 +198,13 @@ module.exports = (pool) => {
       } else {
           res.status(500).json({ message: err.message || 'Server error adding hostel student', error: err.toString() });
       }
+    } finally {
+      client.release();
     }
   });
 
   // --- UPDATED PUT ROUTE ---
-  router.put('/:id', checkAdminOrStaff, async (req, res) => {
+  router.put('/:id', checkPermissions(['manage_hostel_students']), async (req, res) => {
     const { id } = req.params;
     const studentId = parseInt(id);
 
@@ -232,13 +240,14 @@ module.exports = (pool) => {
     if (phone_number && !/^\d{10}$/.test(phone_number)) return res.status(400).json({ message: 'Phone number must be a 10-digit number.' });
 
 
+    const client = await pool.connect();
     try {
-      await pool.query('BEGIN');
+      await client.query('BEGIN');
 
       if (parsedBranchId !== undefined) {
-        const branchCheck = await pool.query('SELECT id FROM hostel_branches WHERE id = $1', [parsedBranchId]);
+        const branchCheck = await client.query('SELECT id FROM hostel_branches WHERE id = $1 AND library_id = $2', [parsedBranchId, req.libraryId]);
         if (branchCheck.rows.length === 0) {
-          await pool.query('ROLLBACK');
+          await client.query('ROLLBACK');
           return res.status(400).json({ message: `Branch with ID ${parsedBranchId} does not exist.` });
         }
       }
@@ -281,39 +290,39 @@ module.exports = (pool) => {
         // If no student-specific fields were sent for update, we might still want to update history
         // OR return a message that nothing was updated.
         // For now, let's assume if only history-related fields were sent, they should be ignored by this route.
-        const currentStudent = await pool.query('SELECT * FROM hostel_students WHERE id = $1', [studentId]);
+        const currentStudent = await client.query('SELECT * FROM hostel_students WHERE id = $1 AND library_id = $2', [studentId, req.libraryId]);
          if (currentStudent.rows.length === 0) {
-            await pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: 'Student not found' });
         }
-        await pool.query('COMMIT'); // Nothing to update in hostel_students
+        await client.query('COMMIT'); // Nothing to update in hostel_students
         return res.status(200).json({ student: currentStudent.rows[0], message: 'No student details provided for update.' });
       }
 
       // Always update the 'updated_at' timestamp
       fieldsToUpdate.push(`updated_at = CURRENT_TIMESTAMP`);
-      valuesToUpdate.push(studentId); // Add studentId for the WHERE clause
+      valuesToUpdate.push(studentId, req.libraryId); // Add studentId and libraryId for the WHERE clause
 
       const studentUpdateQuery = `
         UPDATE hostel_students 
         SET ${fieldsToUpdate.join(', ')} 
-        WHERE id = $${paramCount} 
+        WHERE id = $${paramCount} AND library_id = $${paramCount + 1} 
         RETURNING *`;
       
       console.log('[hostelStudents.js PUT] Executing query:', studentUpdateQuery, valuesToUpdate);
-      const result = await pool.query(studentUpdateQuery, valuesToUpdate);
+      const result = await client.query(studentUpdateQuery, valuesToUpdate);
 
       if (result.rows.length === 0) {
-        await pool.query('ROLLBACK'); // Should not happen if we checked before, but good practice
+        await client.query('ROLLBACK'); // Should not happen if we checked before, but good practice
         return res.status(404).json({ message: 'Student not found during update' });
       }
       
       const updatedStudent = result.rows[0];
-      await pool.query('COMMIT');
+      await client.query('COMMIT');
       
       // Return the updated student object (which now includes student data and latest history)
       // Fetch the history again to provide consistent response structure like GET /:id
-      const historyResult = await pool.query(
+      const historyResult = await client.query(
         `SELECT * FROM hostel_student_history WHERE student_id = $1 ORDER BY stay_start_date DESC, created_at DESC`,
         [studentId]
       );
@@ -328,14 +337,16 @@ module.exports = (pool) => {
       res.json({ student: updatedStudent, history: history, message: "Student details updated successfully." });
 
     } catch (err) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('Error in PUT /hostel/students/:id:', err.stack);
       res.status(500).json({ message: 'Server error updating hostel student', error: err.message });
+    } finally {
+      client.release();
     }
   });
   
   // POST to renew a student's stay (adds to history) - This should remain as is.
-  router.post('/:id/renew', checkAdminOrStaff, async (req, res) => {
+  router.post('/:id/renew', checkPermissions(['manage_hostel_students']), async (req, res) => {
     // ... (Keep your existing RENEW logic, it correctly creates a new history entry)
     // This part was reported as working fine.
     const { id } = req.params;
@@ -357,19 +368,20 @@ module.exports = (pool) => {
     const cashPaidNum = cash_paid ? parseFloat(cash_paid) : 0.0;
     const onlinePaidNum = online_paid ? parseFloat(online_paid) : 0.0;
 
+    const client = await pool.connect();
     try {
-        await pool.query('BEGIN');
+        await client.query('BEGIN');
 
-        const studentRes = await pool.query('SELECT id, room_number FROM hostel_students WHERE id = $1', [studentId]);
+        const studentRes = await client.query('SELECT id, room_number, branch_id FROM hostel_students WHERE id = $1 AND library_id = $2', [studentId, req.libraryId]);
         if (studentRes.rows.length === 0) {
-            await pool.query('ROLLBACK');
+            await client.query('ROLLBACK');
             return res.status(404).json({ message: 'Student not found for renewal.' });
         }
         
         // Update student's main room_number if the new history's room_number is different
         if (studentRes.rows[0].room_number !== String(room_number).trim()){
-            await pool.query('UPDATE hostel_students SET room_number = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2', 
-                [String(room_number).trim(), studentId]);
+            await client.query('UPDATE hostel_students SET room_number = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 AND library_id = $3', 
+                [String(room_number).trim(), studentId, req.libraryId]);
         }
 
         const totalPaid = cashPaidNum + onlinePaidNum;
@@ -385,20 +397,26 @@ module.exports = (pool) => {
             studentId, stay_start_date, stay_end_date, totalFeeNum, cashPaidNum, onlinePaidNum,
             dueAmount, String(room_number).trim(), remark || null
         ];
-        const historyResult = await pool.query(historyInsertQuery, historyInsertParams);
+        const historyResult = await client.query(historyInsertQuery, historyInsertParams);
+        await recordInitialHostelPayments(
+            client, req, { libraryId: req.libraryId, branchId: studentRes.rows[0].branch_id, history: historyResult.rows[0] },
+            { cash: cashPaidNum, online: onlinePaidNum }
+        );
         
-        await pool.query('COMMIT');
+        await client.query('COMMIT');
         res.json({ history: historyResult.rows[0], message: "Student renewed successfully." });
 
     } catch (err) {
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         console.error('Error in POST /hostel/students/:id/renew:', err.stack);
         res.status(500).json({ message: 'Server error renewing student stay', error: err.message });
+    } finally {
+        client.release();
     }
   });
 
   // GET expired hostel students
-  router.get('/meta/expired', checkAdminOrStaff, async (req, res) => {
+  router.get('/meta/expired', checkPermissions(['manage_hostel_students']), async (req, res) => {
     try {
       const result = await pool.query(`
         SELECT hs.id, hs.name, hs.phone_number, hs.aadhar_number, hs.room_number,
@@ -407,11 +425,11 @@ module.exports = (pool) => {
         FROM hostel_students hs
         LEFT JOIN hostel_student_history hsh ON hs.id = hsh.student_id 
         LEFT JOIN hostel_branches b ON hs.branch_id = b.id
-        WHERE hsh.id IS NOT NULL 
+        WHERE hsh.id IS NOT NULL AND hs.library_id = $1
         GROUP BY hs.id, b.name, hs.phone_number, hs.aadhar_number, hs.room_number /* Added missing GROUP BY columns */
         HAVING MAX(hsh.stay_end_date) < CURRENT_DATE
         ORDER BY hs.name ASC
-      `);
+      `, [req.libraryId]);
       res.json({ expiredStudents: result.rows });
     } catch (err) {
       console.error('Error fetching expired hostel students:', err.stack);
@@ -420,32 +438,38 @@ module.exports = (pool) => {
   });
 
   // DELETE a hostel student
-  router.delete('/:id', checkAdminOrStaff, async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_hostel_students']), async (req, res) => {
     const { id } = req.params;
     const parsedId = parseInt(id);
     if (isNaN(parsedId)) {
       return res.status(400).json({ message: 'Invalid student ID format' });
     }
+    const client = await pool.connect();
     try {
-      await pool.query('BEGIN');
+      await client.query('BEGIN');
       // Ensure history is deleted first if ON DELETE CASCADE is not set on the DB
-      await pool.query('DELETE FROM hostel_student_history WHERE student_id = $1', [parsedId]);
+      await client.query(
+        'DELETE FROM hostel_student_history WHERE student_id = (SELECT id FROM hostel_students WHERE id = $1 AND library_id = $2)',
+        [parsedId, req.libraryId]
+      );
       
-      const result = await pool.query('DELETE FROM hostel_students WHERE id = $1 RETURNING *', [parsedId]);
+      const result = await client.query('DELETE FROM hostel_students WHERE id = $1 AND library_id = $2 RETURNING *', [parsedId, req.libraryId]);
       if (result.rowCount === 0) {
-        await pool.query('ROLLBACK');
+        await client.query('ROLLBACK');
         return res.status(404).json({ message: 'Student not found' });
       }
-      await pool.query('COMMIT');
+      await client.query('COMMIT');
       res.json({ message: 'Student and their history deleted successfully', student: result.rows[0] });
     } catch (err) {
-      await pool.query('ROLLBACK');
+      await client.query('ROLLBACK');
       console.error('Error in DELETE /hostel/students/:id:', err.stack);
       if (err.code === '23503') { 
         res.status(409).json({ message: 'Cannot delete student due to related records in other tables (foreign key constraint).', errorDetail: err.detail });
       } else {
         res.status(500).json({ message: 'Server error deleting hostel student', error: err.message });
       }
+    } finally {
+      client.release();
     }
   });
 
@@ -2,6 +2,10 @@
 module.exports = (pool) => {
   const router = require('express').Router();
   const { checkPermissions } = require('./auth');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
+
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'locker'));
 
   // ✅ FIX: Modified to filter by branchId and join to get branch_name
   router.get('/', checkPermissions(['manage_seats', 'manage_library_students'], 'OR'), async (req, res) => {
@@ -27,6 +31,7 @@ module.exports = (pool) => {
         query += ` AND l.branch_id = $2`;
         params.push(parseInt(branchId, 10));
       }
+      query += branchFilter(req, 'l.branch_id', params);
 
       query += ` ORDER BY b.name, l.locker_number`;
 
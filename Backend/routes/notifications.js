@@ -0,0 +1,177 @@
+const { authenticateOwner, checkAdmin } = require('./auth');
+const { getLibrarySettings } = require('../utils/librarySettings');
+const {
+  CHANNELS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  getNotification,
+  getNotifications,
+  getTemplates,
+  processOutbox,
+  queueNotification,
+  resetTemplate,
+  retryNotification,
+  saveTemplate,
+  validateTemplate,
+} = require('../utils/notifications');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+module.exports = (pool) => {
+  const router = require('express').Router();
+
+  // Send what was just queued without waiting for the outbox cron job
+  const flushOutbox = () => {
+    processOutbox(pool).catch((err) => console.error('[NOTIFICATIONS] Error processing the outbox:', err));
+  };
+
+  const findTemplate = (req, res, next) => {
+    const { templateKey, channel } = req.params;
+    if (!DEFAULT_TEMPLATES[templateKey] || !CHANNELS.includes(channel)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    return next();
+  };
+
+  // --- Message templates (admins) ---
+
+  router.get('/templates', checkAdmin, async (req, res) => {
+    try {
+      res.json({
+        templates: await getTemplates(pool, req.libraryId),
+        variables: TEMPLATE_VARIABLES,
+        channels: CHANNELS
+      });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error fetching templates:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.put('/templates/:templateKey/:channel', checkAdmin, findTemplate, async (req, res) => {
+    try {
+      const { templateKey, channel } = req.params;
+      const template = {
+        subject: typeof req.body.subject === 'string' ? req.body.subject.trim() : null,
+        body: typeof req.body.body === 'string' ? req.body.body.trim() : null,
+        provider_template: req.body.provider_template ? String(req.body.provider_template).trim() : null
+      };
+      const error = validateTemplate(channel, template);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const saved = await saveTemplate(pool, req.libraryId, templateKey, channel, template);
+      res.json({ message: 'Template saved successfully', template: { ...saved, label: DEFAULT_TEMPLATES[templateKey].label } });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error saving template:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Go back to the default template
+  router.delete('/templates/:templateKey/:channel', checkAdmin, findTemplate, async (req, res) => {
+    try {
+      const { templateKey, channel } = req.params;
+      const template = await resetTemplate(pool, req.libraryId, templateKey, channel);
+      res.json({ message: 'Template reset to the default', template: { ...template, label: DEFAULT_TEMPLATES[templateKey].label } });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error resetting template:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Send the template, filled in with sample values, to an email address or phone number
+  router.post('/templates/:templateKey/:channel/test', checkAdmin, findTemplate, async (req, res) => {
+    try {
+      const { templateKey, channel } = req.params;
+      const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+      if (channel === 'email' ? !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(to) : !/^\+?[\d\s-]{8,16}$/.test(to)) {
+        return res.status(400).json({ message: channel === 'email' ? 'Enter a valid email address' : 'Enter a valid phone number' });
+      }
+
+      const libraryResult = await pool.query('SELECT library_name FROM libraries WHERE id = $1', [req.libraryId]);
+      const { currency } = await getLibrarySettings(pool, req.libraryId);
+      const expiry = new Date();
+      expiry.setDate(expiry.getDate() + 7);
+      const { notification, skipped } = await queueNotification(pool, {
+        libraryId: req.libraryId,
+        recipientName: 'Test Student',
+        channel,
+        to,
+        templateKey,
+        variables: {
+          name: 'Test Student',
+          due: new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(500),
+          expiry: expiry.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
+          seat: 'A1',
+          library: libraryResult.rows[0] ? libraryResult.rows[0].library_name : ''
+        }
+      });
+      if (skipped) {
+        return res.status(400).json({ message: skipped });
+      }
+      await processOutbox(pool, { limit: 10 });
+      res.status(201).json({ notification: await getNotification(pool, req.libraryId, notification.id) });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error sending test notification:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // --- Delivery log (owner) ---
+
+  // What was sent to whom, newest first, with the number of notifications in each status
+  router.get('/', authenticateOwner, async (req, res) => {
+    try {
+      const { status, channel, templateKey, studentId, bulkMessageId, search, from, to, page, limit } = req.query;
+      if (status && !STATUSES.includes(status)) {
+        return res.status(400).json({ message: `status must be one of ${STATUSES.join(', ')}` });
+      }
+      if (channel && !CHANNELS.includes(channel)) {
+        return res.status(400).json({ message: `channel must be one of ${CHANNELS.join(', ')}` });
+      }
+      const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from && !dateFormat.test(from)) || (to && !dateFormat.test(to))) {
+        return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+      }
+
+      const result = await getNotifications(pool, req.libraryId, {
+        status, channel, templateKey, studentId, bulkMessageId, search, from, to, page, limit
+      });
+      res.json(result);
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error fetching notifications:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.get('/:id', authenticateOwner, async (req, res) => {
+    try {
+      const notification = await getNotification(pool, req.libraryId, parseInt(req.params.id, 10) || 0);
+      if (!notification) {
+        return res.status(404).json({ message: 'Notification not found' });
+      }
+      res.json({ notification });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error fetching notification:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  // Try a failed notification once more
+  router.post('/:id/retry', authenticateOwner, async (req, res) => {
+    try {
+      const notification = await retryNotification(pool, req.libraryId, parseInt(req.params.id, 10) || 0);
+      if (!notification) {
+        return res.status(400).json({ message: 'Only failed notifications can be retried' });
+      }
+      flushOutbox();
+      res.json({ message: 'Notification queued to be sent again', notification });
+    } catch (err) {
+      console.error('[NOTIFICATIONS] Error retrying notification:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  return router;
+};
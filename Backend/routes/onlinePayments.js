@@ -0,0 +1,212 @@
+module.exports = (pool) => {
+  const router = require('express').Router();
+  const { authenticateStudent } = require('./studentAuth');
+  const { createGatewayClient, isMockGateway, verifyCheckoutSignature, verifyWebhookSignature } = require('../utils/paymentGateway');
+  const {
+    applyOnlinePayment, createOnlineOrder, getLibraryGateway, getPaymentOptions, markOnlinePaymentFailed
+  } = require('../utils/onlinePayments');
+  const { getLibrarySettings } = require('../utils/librarySettings');
+  const { runAsTenant } = require('../utils/tenantContext');
+
+  // Razorpay calls the webhook without a session; it works in the library named by the URL
+  const scopeToWebhookLibrary = (req, res, next) => runAsTenant(parseInt(req.params.libraryId, 10) || null, next);
+
+  // Post a confirmed payment in its own transaction; returns what applyOnlinePayment returns
+  const applyInTransaction = async (req, payment) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await applyOnlinePayment(client, req, payment);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  /**
+   * @route   GET /api/online-payments/options
+   * @desc    What the logged-in student can pay online: their due, or a renewal when nothing is due, in
+   *          the library's currency.
+   * @access  Student
+   */
+  router.get('/options', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const gateway = await getLibraryGateway(pool, libraryId);
+      const { currency } = await getLibrarySettings(pool, libraryId);
+      if (!gateway) {
+        return res.json({ enabled: false, due: null, renewal: null, currency });
+      }
+      const { due, renewal } = await getPaymentOptions(pool, libraryId, studentId);
+      res.json({ enabled: true, due, renewal, currency });
+    } catch (err) {
+      console.error('[ONLINE_PAYMENTS] Error fetching payment options:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/online-payments/orders
+   * @desc    Start paying online. Body: { purpose: 'due' | 'renewal' }. Returns the Razorpay order and
+   *          key id for the checkout; `mock` is true when the mock gateway is in use.
+   * @access  Student
+   */
+  router.post('/orders', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId, name } = req.session.student;
+      const { purpose } = req.body;
+      if (!['due', 'renewal'].includes(purpose)) {
+        return res.status(400).json({ message: "purpose must be 'due' or 'renewal'" });
+      }
+
+      const result = await createOnlineOrder(pool, { libraryId, studentId, purpose });
+      if (result.error) {
+        return res.status(result.status).json({ message: result.error });
+      }
+      res.status(201).json({
+        order_id: result.gatewayOrder.id,
+        amount: result.gatewayOrder.amount,
+        currency: result.gatewayOrder.currency,
+        key_id: result.keyId,
+        purpose,
+        period: purpose === 'renewal' ? { start: result.option.start, end: result.option.end } : null,
+        student_name: name,
+        mock: isMockGateway()
+      });
+    } catch (err) {
+      console.error('[ONLINE_PAYMENTS] Error creating order:', err);
+      res.status(500).json({ message: 'Could not start the payment', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/online-payments/mock-checkout
+   * @desc    Pay an order in the mock gateway as the Razorpay checkout would. Body: { order_id }.
+   *          Only available with PAYMENT_GATEWAY=mock.
+   * @access  Student
+   */
+  router.post('/mock-checkout', authenticateStudent, async (req, res) => {
+    if (!isMockGateway()) {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const order = await pool.query(
+        'SELECT id FROM student_online_payments WHERE gateway_order_id = $1 AND library_id = $2 AND student_id = $3',
+        [req.body.order_id, libraryId, studentId]
+      );
+      if (order.rows.length === 0) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      const gateway = await getLibraryGateway(pool, libraryId);
+      res.json(createGatewayClient(gateway).completeCheckout(req.body.order_id));
+    } catch (err) {
+      console.error('[ONLINE_PAYMENTS] Error in mock checkout:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/online-payments/verify
+   * @desc    Confirm a payment with the signature the checkout returned, and post it to the student's
+   *          ledger. Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }. Safe to repeat;
+   *          a payment the webhook already posted is not posted again.
+   * @access  Student
+   */
+  router.post('/verify', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const { razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = req.body;
+
+      const gateway = await getLibraryGateway(pool, libraryId);
+      if (!gateway) {
+        return res.status(400).json({ message: 'Online payments are not available for this library' });
+      }
+      if (!orderId || !paymentId || !verifyCheckoutSignature({ orderId, paymentId, signature }, gateway.keySecret)) {
+        return res.status(400).json({ message: 'Invalid payment signature' });
+      }
+      const owner = await pool.query(
+        'SELECT student_id FROM student_online_payments WHERE gateway_order_id = $1 AND library_id = $2',
+        [orderId, libraryId]
+      );
+      if (owner.rows.length === 0 || owner.rows[0].student_id !== Number(studentId)) {
+        return res.status(404).json({ message: 'Order not found' });
+      }
+
+      const result = await applyInTransaction(req, { libraryId, orderId, paymentId });
+      if (result.order.status === 'flagged') {
+        return res.status(409).json({ message: 'Payment received but it is being checked by the library. Please contact the library.' });
+      }
+      res.json({
+        message: result.applied ? 'Payment received' : 'Payment was already received',
+        purpose: result.order.purpose,
+        receipt_id: result.payment ? result.payment.receipt_id : null,
+        receipt_number: result.payment ? result.payment.receipt_number : null
+      });
+    } catch (err) {
+      console.error('[ONLINE_PAYMENTS] Error verifying payment:', err);
+      res.status(500).json({ message: 'Payment received but could not be recorded. Please contact the library.', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/online-payments/webhook/:libraryId
+   * @desc    Razorpay webhook of a library, signed with the webhook secret the owner saved. Posts
+   *          payment.captured and order.paid events to the ledger unless already posted, and records
+   *          payment.failed. A payment of another amount than its order's is flagged instead of posted.
+   *          Events for orders this app did not create are acknowledged and ignored.
+   * @access  Public (Razorpay), verified by the X-Razorpay-Signature header
+   */
+  router.post('/webhook/:libraryId', scopeToWebhookLibrary, async (req, res) => {
+    try {
+      const libraryId = parseInt(req.params.libraryId, 10);
+      const gateway = isNaN(libraryId) ? null : await getLibraryGateway(pool, libraryId);
+      if (!gateway || !gateway.webhookSecret) {
+        return res.status(404).json({ message: 'Webhook not configured' });
+      }
+      if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'], gateway.webhookSecret)) {
+        return res.status(400).json({ message: 'Invalid signature' });
+      }
+
+      const { event, payload } = req.body;
+      const payment = payload && payload.payment && payload.payment.entity;
+      if (!payment || !payment.order_id) {
+        return res.json({ message: 'Event ignored' });
+      }
+
+      if (event === 'payment.captured' || event === 'order.paid') {
+        const result = await applyInTransaction(req, {
+          libraryId,
+          orderId: payment.order_id,
+          paymentId: payment.id,
+          amountPaise: payment.amount
+        });
+        if (result && result.flagged) {
+          // Acknowledged all the same: a retry of the webhook would not change the amount
+          console.warn(`[ONLINE_PAYMENTS] Payment ${payment.id} of order ${payment.order_id} flagged: ${result.order.failure_reason}`);
+          return res.json({ message: 'Payment flagged for review' });
+        }
+        return res.json({ message: result ? 'Payment processed' : 'Event ignored' });
+      }
+      if (event === 'payment.failed') {
+        await markOnlinePaymentFailed(pool, {
+          libraryId,
+          orderId: payment.order_id,
+          reason: payment.error_description || payment.error_reason || null
+        });
+        return res.json({ message: 'Payment failure recorded' });
+      }
+      res.json({ message: 'Event ignored' });
+    } catch (err) {
+      // A failed response makes Razorpay retry the webhook later
+      console.error('[ONLINE_PAYMENTS] Error processing webhook:', err);
+      res.status(500).json({ message: 'Error processing webhook' });
+    }
+  });
+
+  return router;
+};
@@ -2,6 +2,10 @@
 // Owner Authentication Routes for Multi-tenant Library System
 const express = require('express');
 const bcrypt = require('bcrypt');
+const { MIN_PASSWORD_LENGTH } = require('../utils/passwords');
+const { RESET_CODE_SENT_MESSAGE, isIpRateLimited, sendResetCode, verifyResetCode } = require('../utils/passwordReset');
+const { describeFailure, recordLoginFailure, recordLoginSuccess, releaseLoginAttempt, reserveLoginAttempt, respondLoginBlocked } = require('../utils/loginThrottle');
+const { runAsTenant, systemContext } = require('../utils/tenantContext');
 
 const createOwnerAuthRouter = (pool) => {
   const router = express.Router();
@@ -22,7 +26,7 @@ const createOwnerAuthRouter = (pool) => {
   };
 
   // Owner Registration
-  router.post('/register', async (req, res) => {
+  router.post('/register', systemContext, async (req, res) => {
     try {
       const { 
         ownerName, 
@@ -139,7 +143,7 @@ const createOwnerAuthRouter = (pool) => {
   });
 
   // Owner Login
-  router.post('/login', async (req, res) => {
+  router.post('/login', systemContext, async (req, res) => {
     try {
       const { phone, password } = req.body;
 
@@ -147,6 +151,12 @@ const createOwnerAuthRouter = (pool) => {
         return res.status(400).json({ message: 'Phone number and password are required' });
       }
 
+      const attempt = { accountType: 'owner', identifier: String(phone).trim(), ip: req.ip, userAgent: req.get('user-agent') };
+      const block = await reserveLoginAttempt(pool, attempt);
+      if (block) {
+        return respondLoginBlocked(res, block);
+      }
+
       // Find library by owner phone
       const result = await pool.query(
         'SELECT id, library_code, library_name, owner_name, owner_email, password, status FROM libraries WHERE owner_phone = $1',
@@ -154,21 +164,27 @@ const createOwnerAuthRouter = (pool) => {
       );
 
       if (result.rows.length === 0) {
-        return res.status(401).json({ message: 'Invalid credentials' });
+        const failure = await recordLoginFailure(pool, attempt, 'unknown_account');
+        return res.status(401).json({ message: describeFailure('Invalid credentials', failure) });
       }
 
       const library = result.rows[0];
+      attempt.libraryId = library.id;
+      attempt.accountId = library.id;
 
       // Check if library is active
       if (library.status !== 'active') {
+        await releaseLoginAttempt(pool, attempt);
         return res.status(401).json({ message: 'Library account is suspended. Please contact support.' });
       }
 
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, library.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ message: 'Invalid credentials' });
+        const failure = await recordLoginFailure(pool, attempt, 'invalid_password');
+        return res.status(401).json({ message: describeFailure('Invalid credentials', failure) });
       }
+      await recordLoginSuccess(pool, attempt);
 
       // Create session
       req.session.owner = {
@@ -217,6 +233,87 @@ const createOwnerAuthRouter = (pool) => {
     });
   });
 
+  // Forgot Password: send a one-time reset code to the owner's email or WhatsApp
+  router.post('/forgot-password', systemContext, async (req, res) => {
+    try {
+      const { phone, channel } = req.body;
+      if (!phone) {
+        return res.status(400).json({ message: 'Phone number is required' });
+      }
+      if (await isIpRateLimited(pool, req.ip, 'owner')) {
+        return res.status(429).json({ message: 'Too many reset requests. Please try again later.', code: 'RESET_CODE_LIMIT' });
+      }
+
+      const result = await pool.query(
+        "SELECT id, owner_name, owner_email, owner_phone FROM libraries WHERE owner_phone = $1 AND status = 'active'",
+        [phone]
+      );
+      if (result.rows.length === 0) {
+        console.log(`[OWNER_AUTH] Password reset requested for unknown phone: ${phone}`);
+        return res.json({ message: RESET_CODE_SENT_MESSAGE });
+      }
+
+      const library = result.rows[0];
+      await sendResetCode(pool, {
+        accountType: 'owner',
+        accountId: library.id,
+        name: library.owner_name,
+        email: library.owner_email,
+        phone: library.owner_phone
+      }, { channel, ip: req.ip });
+
+      res.json({ message: RESET_CODE_SENT_MESSAGE });
+    } catch (error) {
+      console.error('[OWNER_AUTH] Forgot password error:', error);
+      if (isDbAuthError(error)) {
+        return handleDbAuthError(res, error);
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Reset Password with the one-time code
+  router.post('/reset-password', systemContext, async (req, res) => {
+    try {
+      const { phone, code, newPassword } = req.body;
+      if (!phone || !code || !newPassword) {
+        return res.status(400).json({ message: 'Phone number, reset code and new password are required' });
+      }
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long` });
+      }
+
+      const result = await pool.query(
+        "SELECT id, owner_name FROM libraries WHERE owner_phone = $1 AND status = 'active'",
+        [phone]
+      );
+      if (result.rows.length === 0) {
+        return res.status(400).json({ message: 'Invalid or expired reset code', code: 'RESET_CODE_INVALID' });
+      }
+
+      const library = result.rows[0];
+      const verification = await verifyResetCode(pool, { accountType: 'owner', accountId: library.id }, code);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ message: verification.message, code: verification.code });
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await pool.query(
+        'UPDATE libraries SET password = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [hashedPassword, library.id]
+      );
+
+      console.log(`[OWNER_AUTH] Owner ${library.owner_name} reset their password with a code`);
+      res.json({ message: 'Password reset successfully. You can now log in with your new password.' });
+    } catch (error) {
+      console.error('[OWNER_AUTH] Reset password error:', error);
+      if (isDbAuthError(error)) {
+        return handleDbAuthError(res, error);
+      }
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   // Check Owner Authentication Status
   router.get('/status', (req, res) => {
     try {
@@ -282,17 +379,44 @@ const authenticateOwner = (req, res, next) => {
     .json({ message: "Unauthorized - Please log in as a library owner" });
 };
 
-// Middleware to ensure data isolation (owner can only access their own data)
+// Middleware to authenticate anyone working for a library: its owner, or an admin/staff user
+// whose session carries the library they belong to. Routes still check staff permissions themselves.
+const authenticateLibraryUser = (req, res, next) => {
+  if (req.session && req.session.owner && req.session.owner.id) {
+    return next();
+  }
+  if (req.session && req.session.user && req.session.user.id) {
+    if (req.session.user.libraryId) {
+      return next();
+    }
+    // Sessions created before staff logins were tied to a library
+    return res.status(401).json({
+      message: 'Your session has expired - please log in again',
+      code: 'SESSION_LIBRARY_MISSING'
+    });
+  }
+  console.warn("[OWNER_AUTH] Library user authentication failed for path:", req.path);
+  return res
+    .status(401)
+    .json({ message: "Unauthorized - Please log in" });
+};
+
+// Middleware to ensure data isolation (owners and their staff can only access their library's data)
 const ensureOwnerDataIsolation = (req, res, next) => {
-  if (!req.session || !req.session.owner) {
-    return res.status(401).json({ message: 'Unauthorized - Please log in as library owner' });
+  if (req.session && req.session.owner) {
+    req.libraryId = req.session.owner.id;
+    return runAsTenant(req.libraryId, next);
+  }
+  if (req.session && req.session.user && req.session.user.libraryId) {
+    req.libraryId = req.session.user.libraryId;
+    return runAsTenant(req.libraryId, next);
   }
-  req.libraryId = req.session.owner.id;
-  next();
+  return res.status(401).json({ message: 'Unauthorized - Please log in' });
 };
 
 module.exports = {
   createOwnerAuthRouter,
   authenticateOwner,
+  authenticateLibraryUser,
   ensureOwnerDataIsolation
 };
\ No newline at end of file
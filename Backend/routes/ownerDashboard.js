@@ -11,6 +11,19 @@ Changes Made:
 // Owner Dashboard Routes for Multi-tenant Library System
 const express = require('express');
 const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
+const { createAttendanceQrPayload, QR_TTL_SECONDS } = require('../utils/attendanceQr');
+const { GRACE_MINUTES, classifyDay, getStudentShifts, getPunctualitySummary, getAttendanceRegister } = require('../utils/attendanceStatus');
+const { toCsv, toXlsxBuffer } = require('../utils/attendanceExport');
+const { getLibraryLockouts, getRecentLoginAttempts, unlockAccount } = require('../utils/loginThrottle');
+const { getAuditFilterOptions, getAuditLogs } = require('../utils/auditLog');
+const { checkReceiptSettings, checkTaxInvoiceNumberLength, verifyReceiptChain } = require('../utils/receipts');
+const { FEE_TYPES, GST_STATES, getGstSettings, isValidGstin } = require('../utils/gst');
+const { dateInTimezone, getLibrarySettings, parseSettings, saveLibrarySettings } = require('../utils/librarySettings');
+
+// Receipt numbering settings, kept with the library's other settings (see Backend/utils/librarySettings.js)
+const RECEIPT_SETTING_KEYS = ['receipt_prefix', 'credit_note_prefix', 'receipt_numbering_per_branch', 'financial_year_start_month'];
+
+const pickReceiptSettings = (settings) => Object.fromEntries(RECEIPT_SETTING_KEYS.map((key) => [key, settings[key]]));
 
 const createOwnerDashboardRouter = (pool) => {
   const router = express.Router();
@@ -125,64 +138,41 @@ const createOwnerDashboardRouter = (pool) => {
   router.get('/attendance', async (req, res) => {
     try {
       const libraryId = req.libraryId;
-      const { 
-        date = new Date().toISOString().split('T')[0], 
-        page = 1, 
-        limit = 50, 
-        search = '',
-        view = 'daily', // 'daily' or 'monthly'
-        month = new Date().getMonth() + 1,
-        year = new Date().getFullYear()
-      } = req.query;
+      const { page = 1, limit = 50 } = req.query;
       const offset = (page - 1) * limit;
 
-      let whereClause = 'WHERE a.library_id = $1';
-      let queryParams = [libraryId];
-      let paramCount = 1;
-
-      // Add date filtering based on view type
-      if (view === 'daily') {
-        paramCount++;
-        whereClause += ` AND DATE(a.created_at) = $${paramCount}`;
-        queryParams.push(date);
-      } else if (view === 'monthly') {
-        paramCount++;
-        whereClause += ` AND EXTRACT(MONTH FROM a.created_at) = $${paramCount}`;
-        queryParams.push(parseInt(month));
-        paramCount++;
-        whereClause += ` AND EXTRACT(YEAR FROM a.created_at) = $${paramCount}`;
-        queryParams.push(parseInt(year));
-      }
-
-      // Add search functionality
-      if (search && search.trim()) {
-        paramCount++;
-        whereClause += ` AND (s.name ILIKE $${paramCount} OR s.phone ILIKE $${paramCount} OR s.registration_number ILIKE $${paramCount})`;
-        queryParams.push(`%${search.trim()}%`);
+      const { timezone } = await getLibrarySettings(pool, libraryId);
+      const filter = buildAttendanceFilter(libraryId, req.query, timezone);
+      if (filter.error) {
+        return res.status(400).json({ message: filter.error });
       }
+      const { whereClause, queryParams, flaggedOnly } = filter;
+      const paramCount = queryParams.length;
 
       // This query reads from the correct `student_attendance` table and groups the results
       const attendanceQuery = `
-        SELECT
-          s.id as "studentId",
-          s.name as "studentName",
-          s.registration_number as "registrationNumber",
-          s.phone,
-          DATE(a.created_at) as date,
-          MIN(CASE WHEN a.action = 'in' THEN a.created_at END) as "firstIn",
-          MAX(CASE WHEN a.action = 'out' THEN a.created_at END) as "lastOut",
-          COUNT(a.id) as "totalScans"
-        FROM student_attendance a
-        JOIN students s ON a.student_id = s.id
+        ${ATTENDANCE_DAYS_QUERY}
         ${whereClause}
-        GROUP BY s.id, s.name, s.registration_number, s.phone, DATE(a.created_at)
+        ${ATTENDANCE_DAYS_GROUPING}
+        ${flaggedOnly ? 'HAVING BOOL_OR(a.is_flagged)' : ''}
         ORDER BY date DESC, "firstIn" DESC
         LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
       `;
 
       const queryParamsWithPagination = [...queryParams, parseInt(limit), offset];
 
-      const countQuery = `
+      const countQuery = flaggedOnly
+        ? `
+        SELECT COUNT(*) FROM (
+          SELECT 1
+          FROM student_attendance a
+          JOIN students s ON a.student_id = s.id
+          ${whereClause}
+          GROUP BY s.id, ${LOCAL_DATE}
+          HAVING BOOL_OR(a.is_flagged)
+        ) flagged_days
+      `
+        : `
         SELECT COUNT(DISTINCT s.id) 
         FROM student_attendance a
         JOIN students s ON a.student_id = s.id
@@ -199,8 +189,10 @@ const createOwnerDashboardRouter = (pool) => {
       const totalRecords = parseInt(countResult.rows[0].count);
       const totalPages = Math.ceil(totalRecords / limit);
 
+      const attendance = await addShiftStatus(pool, libraryId, attendanceResult.rows);
+
       res.json({
-        attendance: attendanceResult.rows,
+        attendance,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -208,8 +200,8 @@ const createOwnerDashboardRouter = (pool) => {
           hasNext: page < totalPages,
           hasPrev: page > 1
         },
-        view,
-        filters: { date, month, year, search }
+        view: filter.view,
+        filters: filter.filters
       });
 
     } catch (error) {
@@ -218,6 +210,581 @@ const createOwnerDashboardRouter = (pool) => {
     }
   });
 
+  // Export attendance as CSV or XLSX, using the same filters as GET /attendance but without pagination
+  router.get('/attendance/export', async (req, res) => {
+    try {
+      const libraryId = req.libraryId;
+      const { format = 'csv' } = req.query;
+
+      if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ message: 'Format must be "csv" or "xlsx"' });
+      }
+
+      const { timezone } = await getLibrarySettings(pool, libraryId);
+      const filter = buildAttendanceFilter(libraryId, req.query, timezone);
+      if (filter.error) {
+        return res.status(400).json({ message: filter.error });
+      }
+
+      const result = await pool.query(
+        `${ATTENDANCE_DAYS_QUERY}
+         ${filter.whereClause}
+         ${ATTENDANCE_DAYS_GROUPING}
+         ${filter.flaggedOnly ? 'HAVING BOOL_OR(a.is_flagged)' : ''}
+         ORDER BY date DESC, "studentName"`,
+        filter.queryParams
+      );
+      const rows = (await addShiftStatus(pool, libraryId, result.rows)).map((row) => toExportRow(row, timezone));
+
+      const filename = `attendance-${filter.label}.${format}`;
+      console.log(`[OWNER_DASHBOARD] Exporting ${rows.length} attendance rows as ${format}`);
+
+      if (format === 'xlsx') {
+        const buffer = await toXlsxBuffer('Attendance', ATTENDANCE_EXPORT_COLUMNS, rows);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(buffer);
+      }
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(toCsv(ATTENDANCE_EXPORT_COLUMNS, rows));
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error exporting attendance:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Monthly register: one row per student, one P/A/L mark per day
+  router.get('/attendance/register', async (req, res) => {
+    try {
+      const libraryId = req.libraryId;
+      const {
+        month = new Date().getMonth() + 1,
+        year = new Date().getFullYear(),
+        branchId,
+        shiftId,
+        search = ''
+      } = req.query;
+
+      const parsedMonth = parseInt(month, 10);
+      const parsedYear = parseInt(year, 10);
+      if (isNaN(parsedMonth) || parsedMonth < 1 || parsedMonth > 12 || isNaN(parsedYear)) {
+        return res.status(400).json({ message: 'Invalid month or year' });
+      }
+
+      const register = await getAttendanceRegister(pool, libraryId, {
+        month: parsedMonth,
+        year: parsedYear,
+        branchId,
+        shiftId,
+        search
+      });
+
+      res.json({
+        month: parsedMonth,
+        year: parsedYear,
+        graceMinutes: GRACE_MINUTES,
+        ...register
+      });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error building attendance register:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Daily absentee list per branch: active members with no scan on the given date.
+  // For today, students whose shifts have not started yet are left out.
+  router.get('/attendance/absentees', async (req, res) => {
+    try {
+      const libraryId = req.libraryId;
+      const { date, branchId } = req.query;
+
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: 'Invalid date format, use YYYY-MM-DD' });
+      }
+
+      const params = [libraryId];
+      let dateExpression = 'CURRENT_DATE';
+      if (date) {
+        params.push(date);
+        dateExpression = `$${params.length}::date`;
+      }
+      let branchFilter = '';
+      if (branchId) {
+        params.push(parseInt(branchId, 10));
+        branchFilter = ` AND s.branch_id = $${params.length}`;
+      }
+
+      const [absenteesResult, clockResult] = await Promise.all([
+        pool.query(
+          `SELECT s.id as "studentId", s.name as "studentName", s.phone,
+             s.registration_number as "registrationNumber",
+             s.branch_id as "branchId", COALESCE(b.name, 'No Branch') as "branchName"
+           FROM students s
+           LEFT JOIN branches b ON b.id = s.branch_id
+           WHERE s.library_id = $1
+             AND s.status = 'active'
+             AND s.membership_start <= ${dateExpression}
+             AND s.membership_end >= ${dateExpression}
+             ${branchFilter}
+             AND NOT EXISTS (
+               SELECT 1 FROM student_attendance a
+               WHERE a.student_id = s.id AND a.library_id = $1 AND DATE(a.created_at) = ${dateExpression}
+             )
+           ORDER BY b.name NULLS LAST, s.name`,
+          params
+        ),
+        pool.query(
+          `SELECT TO_CHAR(${dateExpression}, 'YYYY-MM-DD') as date,
+             ${dateExpression} = CURRENT_DATE as "isToday",
+             EXTRACT(HOUR FROM LOCALTIME) * 60 + EXTRACT(MINUTE FROM LOCALTIME) as "nowMinutes"`,
+          date ? [date] : []
+        )
+      ]);
+
+      const { date: reportDate, isToday, nowMinutes } = clockResult.rows[0];
+      const shiftsByStudent = await getStudentShifts(
+        pool,
+        libraryId,
+        absenteesResult.rows.map(row => row.studentId)
+      );
+
+      const branches = new Map();
+      absenteesResult.rows.forEach(student => {
+        const shifts = shiftsByStudent.get(student.studentId) || [];
+        if (isToday && shifts.length > 0) {
+          const started = shifts.some(shift => {
+            const [hours, minutes] = String(shift.start_time || '').split(':').map(Number);
+            return !isNaN(hours) && hours * 60 + (minutes || 0) + GRACE_MINUTES <= Number(nowMinutes);
+          });
+          if (!started) return;
+        }
+
+        const key = student.branchId || 0;
+        if (!branches.has(key)) {
+          branches.set(key, { branchId: student.branchId, branchName: student.branchName, students: [] });
+        }
+        branches.get(key).students.push({
+          ...student,
+          shifts: shifts.map(shift => shift.title)
+        });
+      });
+
+      const branchList = [...branches.values()];
+      res.json({
+        date: reportDate,
+        totalAbsent: branchList.reduce((sum, branch) => sum + branch.students.length, 0),
+        branches: branchList
+      });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching absentees:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Monthly punctuality summary per student
+  router.get('/attendance/punctuality', async (req, res) => {
+    try {
+      const libraryId = req.libraryId;
+      const {
+        month = new Date().getMonth() + 1,
+        year = new Date().getFullYear(),
+        branchId,
+        shiftId,
+        studentId,
+        search = ''
+      } = req.query;
+
+      const parsedMonth = parseInt(month, 10);
+      const parsedYear = parseInt(year, 10);
+      if (isNaN(parsedMonth) || parsedMonth < 1 || parsedMonth > 12 || isNaN(parsedYear)) {
+        return res.status(400).json({ message: 'Invalid month or year' });
+      }
+
+      const summary = await getPunctualitySummary(pool, libraryId, {
+        month: parsedMonth,
+        year: parsedYear,
+        branchId,
+        shiftId,
+        studentId,
+        search,
+        includeDays: !!studentId
+      });
+
+      res.json({
+        month: parsedMonth,
+        year: parsedYear,
+        graceMinutes: GRACE_MINUTES,
+        students: summary
+      });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching punctuality summary:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Correct the time of an attendance row, e.g. an automatic check-out created by the nightly job
+  router.put('/attendance/:id', async (req, res) => {
+    try {
+      const libraryId = req.libraryId;
+      const attendanceId = parseInt(req.params.id, 10);
+      const { time } = req.body;
+
+      if (isNaN(attendanceId)) {
+        return res.status(400).json({ message: 'Invalid attendance ID' });
+      }
+      if (!time || !/^\d{2}:\d{2}$/.test(time)) {
+        return res.status(400).json({ message: 'Time is required in HH:MM format' });
+      }
+
+      // The new time is on the scan's day in the library's time zone
+      const { timezone } = await getLibrarySettings(pool, libraryId);
+      const existing = await pool.query(
+        `SELECT id, student_id, action, created_at,
+           ((created_at AT TIME ZONE $4)::date + $3::time) AT TIME ZONE $4 AS new_time
+         FROM student_attendance WHERE id = $1 AND library_id = $2`,
+        [attendanceId, libraryId, time, timezone]
+      );
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ message: 'Attendance record not found' });
+      }
+      const record = existing.rows[0];
+
+      // Keep the day's in/out sequence intact: the corrected time must stay between its neighbours
+      const neighbours = await pool.query(
+        `SELECT
+           MAX(created_at) FILTER (WHERE created_at < $4) AS previous_time,
+           MIN(created_at) FILTER (WHERE created_at > $4) AS next_time
+         FROM student_attendance
+         WHERE student_id = $1 AND library_id = $2 AND id <> $3
+           AND (created_at AT TIME ZONE $5)::date = ($4::timestamptz AT TIME ZONE $5)::date`,
+        [record.student_id, libraryId, attendanceId, record.created_at, timezone]
+      );
+      const { previous_time, next_time } = neighbours.rows[0];
+      if ((previous_time && record.new_time <= previous_time) || (next_time && record.new_time >= next_time)) {
+        return res.status(400).json({ message: 'The corrected time must be between the previous and next scans of that day' });
+      }
+
+      const result = await pool.query(
+        `UPDATE student_attendance
+         SET created_at = $1,
+             corrected_at = CURRENT_TIMESTAMP,
+             notes = COALESCE(notes || ' | ', '') || 'Time corrected by owner'
+         WHERE id = $2 AND library_id = $3
+         RETURNING id, action, created_at, is_auto_closed, corrected_at`,
+        [record.new_time, attendanceId, libraryId]
+      );
+
+      console.log(`[OWNER_DASHBOARD] Attendance ${attendanceId} corrected to ${time}`);
+      res.json({ message: 'Attendance corrected successfully', attendance: result.rows[0] });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error correcting attendance:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Staff and student accounts that are locked or have recent failed logins
+  router.get('/security/lockouts', async (req, res) => {
+    try {
+      const lockouts = await getLibraryLockouts(pool, req.libraryId);
+      res.json({ lockouts });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching login lockouts:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Login attempt history for the library's staff and students
+  router.get('/security/login-attempts', async (req, res) => {
+    try {
+      const { accountType, identifier, failedOnly, limit } = req.query;
+      if (accountType && !['staff', 'student'].includes(accountType)) {
+        return res.status(400).json({ message: 'accountType must be staff or student' });
+      }
+
+      const attempts = await getRecentLoginAttempts(pool, req.libraryId, {
+        accountType,
+        identifier,
+        failedOnly: failedOnly === 'true',
+        limit
+      });
+      res.json({ attempts });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching login attempts:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Unlock a staff or student account locked by failed logins
+  router.post('/security/lockouts/unlock', async (req, res) => {
+    try {
+      const { account_type: accountType, identifier } = req.body;
+      if (!['staff', 'student'].includes(accountType) || !identifier) {
+        return res.status(400).json({ message: 'A staff or student account is required' });
+      }
+
+      const unlocked = await unlockAccount(pool, { accountType, identifier, libraryId: req.libraryId });
+      if (!unlocked) {
+        return res.status(404).json({ message: 'No lockout found for this account' });
+      }
+
+      console.log(`[OWNER_DASHBOARD] Owner ${req.session.owner.id} unlocked ${accountType} ${identifier}`);
+      res.json({ message: 'Account unlocked' });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error unlocking account:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Audit trail of changes made in the library, newest first
+  router.get('/audit-logs', async (req, res) => {
+    try {
+      const { actor, entityType, entityId, action, from, to, page, limit } = req.query;
+      if (action && !['create', 'update', 'delete'].includes(action)) {
+        return res.status(400).json({ message: 'action must be create, update or delete' });
+      }
+      const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+      if ((from && !dateFormat.test(from)) || (to && !dateFormat.test(to))) {
+        return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+      }
+
+      const result = await getAuditLogs(pool, req.libraryId, { actor, entityType, entityId, action, from, to, page, limit });
+      res.json(result);
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching audit logs:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Users and entity types to filter the audit trail by
+  router.get('/audit-logs/filters', async (req, res) => {
+    try {
+      res.json(await getAuditFilterOptions(pool, req.libraryId));
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching audit log filters:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Receipt numbering: prefixes, per-branch series and the month the financial year starts
+  router.get('/receipt-settings', async (req, res) => {
+    try {
+      res.json({ settings: pickReceiptSettings(await getLibrarySettings(pool, req.libraryId)) });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching receipt settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Changes apply to documents issued from now on; issued numbers never change
+  router.put('/receipt-settings', async (req, res) => {
+    let client;
+    try {
+      const input = pickReceiptSettings(req.body);
+      const missing = RECEIPT_SETTING_KEYS.find((key) => input[key] === undefined || input[key] === null);
+      if (missing) {
+        return res.status(400).json({ message: `${missing} is required` });
+      }
+      const { values, error } = parseSettings(input);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const settingsError = await checkReceiptSettings(pool, req.libraryId, values);
+      if (settingsError) {
+        return res.status(400).json({ message: settingsError });
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      await saveLibrarySettings(client, req.libraryId, null, values);
+      await client.query('COMMIT');
+      res.json({
+        message: 'Receipt settings updated successfully',
+        settings: pickReceiptSettings(await getLibrarySettings(pool, req.libraryId))
+      });
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      console.error('[OWNER_DASHBOARD] Error updating receipt settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  // GST registration and tax rates per fee type, with the state codes to pick the place of supply from
+  router.get('/gst-settings', async (req, res) => {
+    try {
+      const settings = await getGstSettings(pool, req.libraryId);
+      if (!settings) {
+        return res.status(404).json({ message: 'Library not found' });
+      }
+      res.json({
+        settings,
+        states: Object.entries(GST_STATES).map(([code, name]) => ({ code, name }))
+      });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching GST settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // With a GSTIN, receipts issued from now on are tax invoices; an empty GSTIN turns them back into receipts
+  router.put('/gst-settings', async (req, res) => {
+    const { legal_name, address, rates = [] } = req.body;
+    const gstin = typeof req.body.gstin === 'string' ? req.body.gstin.trim().toUpperCase() : '';
+    const placeOfSupply = req.body.place_of_supply || (gstin ? gstin.slice(0, 2) : null);
+
+    if (gstin) {
+      if (!isValidGstin(gstin)) {
+        return res.status(400).json({ message: 'Invalid GSTIN' });
+      }
+      if (!legal_name || !String(legal_name).trim()) {
+        return res.status(400).json({ message: 'Legal name is required for tax invoices' });
+      }
+      if (!GST_STATES[placeOfSupply]) {
+        return res.status(400).json({ message: 'Invalid place of supply' });
+      }
+    }
+    if (!Array.isArray(rates)) {
+      return res.status(400).json({ message: 'rates must be a list' });
+    }
+    for (const entry of rates) {
+      if (!entry || !FEE_TYPES[entry.fee_type]) {
+        return res.status(400).json({ message: `Unknown fee type: ${entry && entry.fee_type}` });
+      }
+      if (!/^99\d{4}$/.test(String(entry.sac_code || ''))) {
+        return res.status(400).json({ message: `SAC code of ${FEE_TYPES[entry.fee_type].label} must be 6 digits starting with 99` });
+      }
+      const rate = parseFloat(entry.rate);
+      if (isNaN(rate) || rate < 0 || rate > 40) {
+        return res.status(400).json({ message: `GST rate of ${FEE_TYPES[entry.fee_type].label} must be between 0 and 40` });
+      }
+    }
+
+    const client = await pool.connect();
+    try {
+      if (gstin) {
+        const numbering = await getLibrarySettings(client, req.libraryId);
+        const lengthError = await checkTaxInvoiceNumberLength(client, req.libraryId, numbering);
+        if (lengthError) {
+          return res.status(400).json({ message: lengthError });
+        }
+      }
+
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE libraries
+         SET gstin = $1, gst_legal_name = $2, gst_address = $3, gst_place_of_supply = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5`,
+        [
+          gstin || null,
+          legal_name ? String(legal_name).trim() : null,
+          address ? String(address).trim() : null,
+          gstin ? placeOfSupply : null,
+          req.libraryId
+        ]
+      );
+      for (const entry of rates) {
+        await client.query(
+          `INSERT INTO gst_tax_rates (library_id, fee_type, sac_code, rate)
+           VALUES ($1, $2, $3, $4)
+           ON CONFLICT (library_id, fee_type)
+           DO UPDATE SET sac_code = EXCLUDED.sac_code, rate = EXCLUDED.rate, updated_at = CURRENT_TIMESTAMP`,
+          [req.libraryId, entry.fee_type, String(entry.sac_code), parseFloat(entry.rate)]
+        );
+      }
+      await client.query('COMMIT');
+
+      res.json({ message: 'GST settings updated successfully', settings: await getGstSettings(pool, req.libraryId) });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('[OWNER_DASHBOARD] Error updating GST settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Razorpay account students pay their fees into. Secrets are write-only: only whether they are set is returned.
+  const onlinePaymentSettings = (library) => ({
+    enabled: library.online_payments_enabled,
+    key_id: library.razorpay_key_id,
+    has_key_secret: Boolean(library.razorpay_key_secret),
+    has_webhook_secret: Boolean(library.razorpay_webhook_secret),
+    webhook_path: `/api/online-payments/webhook/${library.id}`
+  });
+
+  router.get('/online-payment-settings', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT id, online_payments_enabled, razorpay_key_id, razorpay_key_secret, razorpay_webhook_secret
+         FROM libraries WHERE id = $1`,
+        [req.libraryId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: 'Library not found' });
+      }
+      res.json({ settings: onlinePaymentSettings(result.rows[0]) });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error fetching online payment settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Empty secrets keep the saved ones, so the owner only re-enters a secret to change it
+  router.put('/online-payment-settings', async (req, res) => {
+    try {
+      const { enabled } = req.body;
+      const keyId = typeof req.body.key_id === 'string' ? req.body.key_id.trim() : '';
+      const keySecret = typeof req.body.key_secret === 'string' ? req.body.key_secret.trim() : '';
+      const webhookSecret = typeof req.body.webhook_secret === 'string' ? req.body.webhook_secret.trim() : '';
+
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ message: 'enabled must be true or false' });
+      }
+      if (keyId && !/^rzp_(test|live)_[A-Za-z0-9]+$/.test(keyId)) {
+        return res.status(400).json({ message: 'Key ID should look like rzp_live_... or rzp_test_...' });
+      }
+
+      const current = await pool.query(
+        'SELECT razorpay_key_secret, razorpay_webhook_secret FROM libraries WHERE id = $1',
+        [req.libraryId]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ message: 'Library not found' });
+      }
+      if (enabled && (!keyId || !(keySecret || current.rows[0].razorpay_key_secret))) {
+        return res.status(400).json({ message: 'Key ID and key secret are required to accept online payments' });
+      }
+
+      const result = await pool.query(
+        `UPDATE libraries
+         SET online_payments_enabled = $1, razorpay_key_id = $2,
+             razorpay_key_secret = COALESCE($3, razorpay_key_secret),
+             razorpay_webhook_secret = COALESCE($4, razorpay_webhook_secret),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING id, online_payments_enabled, razorpay_key_id, razorpay_key_secret, razorpay_webhook_secret`,
+        [enabled, keyId || null, keySecret || null, webhookSecret || null, req.libraryId]
+      );
+      res.json({ message: 'Online payment settings updated successfully', settings: onlinePaymentSettings(result.rows[0]) });
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error updating online payment settings:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Check that no issued receipt or credit note was changed or removed outside the app
+  router.get('/receipts/verify', async (req, res) => {
+    try {
+      res.json(await verifyReceiptChain(pool, req.libraryId));
+    } catch (error) {
+      console.error('[OWNER_DASHBOARD] Error verifying receipts:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   // Get Library Profile
   router.get('/profile', async (req, res) => {
     try {
@@ -303,16 +870,13 @@ const createOwnerDashboardRouter = (pool) => {
 
       const library = libraryResult.rows[0];
       
-      const qrData = {
-        libraryId: library.id,
-        libraryCode: library.library_code,
-        libraryName: library.library_name,
-        type: 'attendance',
-        timestamp: new Date().toISOString()
-      };
+      // Each code is signed and short-lived; the display fetches a new one before it expires
+      const qrData = createAttendanceQrPayload(library);
 
       res.json({
         qrData: JSON.stringify(qrData),
+        expiresAt: new Date(qrData.expiresAt).toISOString(),
+        ttlSeconds: QR_TTL_SECONDS,
         library: {
           id: library.id,
           name: library.library_name,
@@ -329,4 +893,191 @@ const createOwnerDashboardRouter = (pool) => {
   return router;
 };
 
+// Scan time as a wall-clock time in the library's time zone, which buildAttendanceFilter passes as $2
+const LOCAL_CREATED_AT = '(a.created_at AT TIME ZONE $2)';
+const LOCAL_DATE = `${LOCAL_CREATED_AT}::date`;
+
+// Per-student, per-day attendance rows shared by the attendance list and its export
+const ATTENDANCE_DAYS_QUERY = `
+  SELECT
+    s.id as "studentId",
+    s.name as "studentName",
+    s.registration_number as "registrationNumber",
+    s.phone,
+    ${LOCAL_DATE} as date,
+    MIN(CASE WHEN a.action = 'in' THEN a.created_at END) as "firstIn",
+    MAX(CASE WHEN a.action = 'out' THEN a.created_at END) as "lastOut",
+    COUNT(a.id) as "totalScans",
+    BOOL_OR(a.is_flagged) as "isFlagged",
+    STRING_AGG(DISTINCT a.flag_reason, '; ') as "flagReasons",
+    MAX(a.distance_meters) as "maxDistance",
+    BOOL_OR(a.is_auto_closed AND a.corrected_at IS NULL) as "autoClosed",
+    (ARRAY_AGG(a.id ORDER BY a.created_at DESC) FILTER (WHERE a.action = 'out'))[1] as "lastOutId",
+    MIN(EXTRACT(HOUR FROM ${LOCAL_CREATED_AT}) * 60 + EXTRACT(MINUTE FROM ${LOCAL_CREATED_AT})) FILTER (WHERE a.action = 'in') as "firstInMinutes",
+    MAX(EXTRACT(HOUR FROM ${LOCAL_CREATED_AT}) * 60 + EXTRACT(MINUTE FROM ${LOCAL_CREATED_AT})) FILTER (WHERE a.action = 'out') as "lastOutMinutes"
+  FROM student_attendance a
+  JOIN students s ON a.student_id = s.id
+`;
+
+const ATTENDANCE_DAYS_GROUPING = `GROUP BY s.id, s.name, s.registration_number, s.phone, ${LOCAL_DATE}`;
+
+const ATTENDANCE_EXPORT_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'studentName', header: 'Student', width: 24 },
+  { key: 'registrationNumber', header: 'Registration No.', width: 18 },
+  { key: 'phone', header: 'Phone', width: 14 },
+  { key: 'shift', header: 'Shift', width: 16 },
+  { key: 'checkIn', header: 'Check In', width: 10 },
+  { key: 'checkOut', header: 'Check Out', width: 10 },
+  { key: 'duration', header: 'Duration', width: 10 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'lateMinutes', header: 'Late (min)', width: 10 },
+  { key: 'earlyMinutes', header: 'Early Leave (min)', width: 16 },
+  { key: 'flagged', header: 'Flagged', width: 30 },
+  { key: 'autoClosed', header: 'Auto Check-out', width: 14 },
+];
+
+const SHIFT_STATUS_LABELS = {
+  on_time: 'On Time',
+  late: 'Late',
+  early_leave: 'Early Leave',
+  out_of_shift: 'Out of Shift',
+  present: 'Present',
+  absent: 'Absent',
+};
+
+/**
+ * WHERE clause for the owner attendance views.
+ * Query: view ('daily' | 'monthly' | 'range'), date, month, year, startDate, endDate,
+ * search, branchId, shiftId and flagged ('true' to keep only days with geofence-flagged scans).
+ * Days are those of the library's `timezone`, which is $2 in queryParams.
+ * Returns { whereClause, queryParams, flaggedOnly, view, filters, label } or { error }.
+ */
+function buildAttendanceFilter(libraryId, query, timezone) {
+  const today = dateInTimezone(new Date(), timezone);
+  const {
+    date = today,
+    search = '',
+    view = 'daily', // 'daily', 'monthly' or 'range'
+    month = Number(today.slice(5, 7)),
+    year = Number(today.slice(0, 4)),
+    startDate,
+    endDate,
+    branchId,
+    shiftId,
+    flagged = 'false' // 'true' to list only days with check-ins flagged by the geofence
+  } = query;
+  const flaggedOnly = flagged === 'true';
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  let whereClause = 'WHERE a.library_id = $1';
+  const queryParams = [libraryId, timezone];
+  let label;
+
+  // Add date filtering based on view type
+  if (view === 'daily') {
+    queryParams.push(date);
+    whereClause += ` AND ${LOCAL_DATE} = $${queryParams.length}`;
+    label = date;
+  } else if (view === 'monthly') {
+    queryParams.push(parseInt(month));
+    whereClause += ` AND EXTRACT(MONTH FROM ${LOCAL_CREATED_AT}) = $${queryParams.length}`;
+    queryParams.push(parseInt(year));
+    whereClause += ` AND EXTRACT(YEAR FROM ${LOCAL_CREATED_AT}) = $${queryParams.length}`;
+    label = `${year}-${String(month).padStart(2, '0')}`;
+  } else if (view === 'range') {
+    if (!datePattern.test(startDate || '') || !datePattern.test(endDate || '') || startDate > endDate) {
+      return { error: 'A valid startDate and endDate (YYYY-MM-DD) are required for the range view' };
+    }
+    queryParams.push(startDate);
+    whereClause += ` AND ${LOCAL_DATE} >= $${queryParams.length}`;
+    queryParams.push(endDate);
+    whereClause += ` AND ${LOCAL_DATE} <= $${queryParams.length}`;
+    label = `${startDate}_to_${endDate}`;
+  } else {
+    return { error: 'View must be "daily", "monthly" or "range"' };
+  }
+
+  // Add search functionality
+  if (search && search.trim()) {
+    queryParams.push(`%${search.trim()}%`);
+    whereClause += ` AND (s.name ILIKE $${queryParams.length} OR s.phone ILIKE $${queryParams.length} OR s.registration_number ILIKE $${queryParams.length})`;
+  }
+
+  if (branchId) {
+    queryParams.push(parseInt(branchId, 10));
+    whereClause += ` AND s.branch_id = $${queryParams.length}`;
+  }
+
+  if (shiftId) {
+    queryParams.push(parseInt(shiftId, 10));
+    whereClause += ` AND EXISTS (SELECT 1 FROM seat_assignments sa WHERE sa.student_id = s.id AND sa.shift_id = $${queryParams.length})`;
+  }
+
+  return {
+    whereClause,
+    queryParams,
+    flaggedOnly,
+    view,
+    label,
+    filters: { date, month, year, startDate, endDate, search, branchId, shiftId, flagged: flaggedOnly }
+  };
+}
+
+// Compare each day with the student's shifts to get on-time/late/early-leave/out-of-shift status
+async function addShiftStatus(pool, libraryId, rows) {
+  const shiftsByStudent = await getStudentShifts(
+    pool,
+    libraryId,
+    [...new Set(rows.map(row => row.studentId))]
+  );
+  return rows.map(({ firstInMinutes, lastOutMinutes, ...row }) => {
+    const shiftStatus = classifyDay(
+      {
+        firstIn: firstInMinutes === null ? null : Number(firstInMinutes),
+        lastOut: lastOutMinutes === null ? null : Number(lastOutMinutes)
+      },
+      shiftsByStudent.get(row.studentId) || []
+    );
+    return {
+      ...row,
+      shiftStatus: shiftStatus.status,
+      lateMinutes: shiftStatus.lateMinutes,
+      earlyMinutes: shiftStatus.earlyMinutes,
+      shiftTitle: shiftStatus.shiftTitle
+    };
+  });
+}
+
+// Flatten an attendance day into spreadsheet cells; times are shown in the library's timezone
+function toExportRow(row, timezone) {
+  const formatTime = (value) => value
+    ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: false, timeZone: timezone })
+    : '';
+  let duration = '';
+  if (row.firstIn && row.lastOut && new Date(row.lastOut) > new Date(row.firstIn)) {
+    const minutes = Math.round((new Date(row.lastOut) - new Date(row.firstIn)) / 60000);
+    duration = `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  return {
+    // pg returns DATE columns as local midnight, so read the local calendar fields back
+    date: row.date instanceof Date
+      ? `${row.date.getFullYear()}-${String(row.date.getMonth() + 1).padStart(2, '0')}-${String(row.date.getDate()).padStart(2, '0')}`
+      : String(row.date).split('T')[0],
+    studentName: row.studentName,
+    registrationNumber: row.registrationNumber || '',
+    phone: row.phone || '',
+    shift: row.shiftTitle || '',
+    checkIn: formatTime(row.firstIn),
+    checkOut: formatTime(row.lastOut),
+    duration,
+    status: SHIFT_STATUS_LABELS[row.shiftStatus] || '',
+    lateMinutes: row.lateMinutes || '',
+    earlyMinutes: row.earlyMinutes || '',
+    flagged: row.isFlagged ? (row.flagReasons || 'Yes') : '',
+    autoClosed: row.autoClosed ? 'Yes' : ''
+  };
+}
+
 module.exports = { createOwnerDashboardRouter };
\ No newline at end of file
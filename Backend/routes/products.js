@@ -1,9 +1,9 @@
 module.exports = (pool) => {
   const express = require('express');
   const router = express.Router();
-  const { checkAdmin } = require('./auth');
+  const { checkPermissions } = require('./auth');
 
-  router.get('/', checkAdmin, async (req, res) => {
+  router.get('/', checkPermissions(['manage_products']), async (req, res) => {
     try {
       const result = await pool.query('SELECT * FROM products WHERE library_id = $1 ORDER BY name', [req.libraryId]);
       res.json({ products: result.rows });
@@ -12,7 +12,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/', checkAdmin, async (req, res) => {
+  router.post('/', checkPermissions(['manage_products']), async (req, res) => {
     try {
       const { name } = req.body;
       if (!name) return res.status(400).json({ message: 'Product name is required' });
@@ -26,7 +26,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:id', checkAdmin, async (req, res) => {
+  router.put('/:id', checkPermissions(['manage_products']), async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       const { name } = req.body;
@@ -41,7 +41,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.delete('/:id', checkAdmin, async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_products']), async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       const result = await pool.query('DELETE FROM products WHERE id = $1 AND library_id = $2 RETURNING *', [id, req.libraryId]);
@@ -1,10 +1,22 @@
 // Public Student Registration Routes
 // Handles public-facing student registration without authentication
 const express = require('express');
+const { runAsTenant } = require('../utils/tenantContext');
 
 module.exports = (pool) => {
   const router = express.Router();
 
+  // Visitors have no session, so each request works in the library its code names (see utils/tenantContext.js)
+  router.use('/library/:libraryCode', async (req, res, next) => {
+    try {
+      const result = await pool.query('SELECT id FROM libraries WHERE library_code = $1', [req.params.libraryCode.toUpperCase()]);
+      runAsTenant(result.rows.length > 0 ? result.rows[0].id : null, next);
+    } catch (error) {
+      console.error('[PUBLIC_REGISTRATION] Error resolving library:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   // Get library information and registration form data by library code
   router.get('/library/:libraryCode', async (req, res) => {
     try {
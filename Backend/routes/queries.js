@@ -3,6 +3,11 @@ const router = express.Router();
 const { authenticateAny, authenticateOwner, ensureOwnerDataIsolation, authenticateStudent } = require('./auth'); // Assuming auth middleware is in auth.js
 
 module.exports = (pool) => {
+  // Votes and comments are rows of the voter's library, so the query they point at is checked to be one too
+  const isLibraryQuery = async (id, libraryId) => {
+    const result = await pool.query('SELECT 1 FROM queries WHERE id = $1 AND library_id = $2', [parseInt(id, 10) || 0, libraryId]);
+    return result.rows.length > 0;
+  };
 
   // POST /api/queries - Create a new query (Student only)
   router.post('/', authenticateStudent, async (req, res) => {
@@ -102,6 +107,9 @@ module.exports = (pool) => {
     }
 
     try {
+      if (!(await isLibraryQuery(id, library_id))) {
+        return res.status(404).json({ message: 'Query not found.' });
+      }
       // Use an UPSERT to handle voting logic in a single query
       const result = await pool.query(`
         INSERT INTO query_votes (library_id, query_id, student_id, vote_type)
@@ -204,6 +212,9 @@ module.exports = (pool) => {
     }
 
     try {
+      if (!(await isLibraryQuery(id, library_id))) {
+        return res.status(404).json({ message: 'Query not found.' });
+      }
       const result = await pool.query(`
         INSERT INTO query_comments (library_id, query_id, commenter_id, commenter_role, comment_text, parent_comment_id)
         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
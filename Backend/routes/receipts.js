@@ -0,0 +1,167 @@
+module.exports = (pool) => {
+  const router = require('express').Router();
+  const { checkPermissions } = require('./auth');
+  const { canAccessBranch, enforceBranchAccess, getAllowedBranchIds } = require('../utils/branchAccess');
+  const { recordAudit } = require('../utils/auditLog');
+  const { reverseHostelPayment, reversePayment } = require('../utils/feeLedger');
+  const { getLibrarySettings } = require('../utils/librarySettings');
+  const { getReceipt, getStudentReceipts, issueCreditNote, renderReceiptPdf } = require('../utils/receipts');
+
+  // Library receipts need the collections permissions, hostel receipts the hostel collections ones
+  const permissionChecks = {
+    library: { view: checkPermissions(['view_collections']), manage: checkPermissions(['manage_collections']) },
+    hostel: { view: checkPermissions(['view_hostel_collections']), manage: checkPermissions(['manage_hostel_collections']) }
+  };
+  const requireReceiptPermission = (level) => (req, res, next) =>
+    permissionChecks[req.receipt.student_type][level](req, res, next);
+
+  router.use(enforceBranchAccess(pool));
+
+  // Load the addressed document of the library; branch-limited staff only see their branches' library receipts
+  router.param('receiptId', async (req, res, next, id) => {
+    try {
+      const receiptId = parseInt(id, 10);
+      if (isNaN(receiptId)) {
+        return res.status(400).json({ message: 'Invalid receipt ID' });
+      }
+      const receipt = await getReceipt(pool, req.libraryId, receiptId);
+      if (!receipt) {
+        return res.status(404).json({ message: 'Receipt not found' });
+      }
+      if (receipt.student_type === 'library' && !canAccessBranch(req, receipt.branch_id)) {
+        return res.status(403).json({ message: 'Forbidden - you do not have access to this branch', code: 'BRANCH_ACCESS_DENIED' });
+      }
+      req.receipt = receipt;
+      next();
+    } catch (err) {
+      console.error('Error loading receipt:', err);
+      res.status(500).json({ message: 'Server error loading receipt', error: err.message });
+    }
+  });
+
+  /**
+   * @route   GET /api/receipts?student_type=library|hostel&student_id=
+   * @desc    Get the receipts and credit notes issued to one student, newest first.
+   * @access  Admin or Staff with the view permission of the student's collections, limited to their branches.
+   */
+  router.get('/', (req, res, next) => {
+    const studentType = req.query.student_type || 'library';
+    if (!permissionChecks[studentType]) {
+      return res.status(400).json({ message: 'student_type must be library or hostel' });
+    }
+    return permissionChecks[studentType].view(req, res, next);
+  }, async (req, res) => {
+    try {
+      const studentType = req.query.student_type || 'library';
+      const studentId = parseInt(req.query.student_id, 10);
+      if (isNaN(studentId)) {
+        return res.status(400).json({ message: 'student_id is required' });
+      }
+
+      const branchIds = studentType === 'library' ? getAllowedBranchIds(req) : null;
+      const receipts = await getStudentReceipts(pool, req.libraryId, studentType, studentId, { branchIds });
+      res.json({ receipts });
+    } catch (err) {
+      console.error('Error fetching receipts:', err);
+      res.status(500).json({ message: 'Server error fetching receipts', error: err.message });
+    }
+  });
+
+  /**
+   * @route   GET /api/receipts/:receiptId
+   * @desc    Get one receipt or credit note, with the credit note cancelling it if any.
+   * @access  Admin or Staff with the view permission of the student's collections.
+   */
+  router.get('/:receiptId', requireReceiptPermission('view'), (req, res) => {
+    res.json({ receipt: req.receipt });
+  });
+
+  /**
+   * @route   GET /api/receipts/:receiptId/pdf
+   * @desc    Download a receipt or credit note as a PDF rendered from the issued document.
+   * @access  Admin or Staff with the view permission of the student's collections.
+   */
+  router.get('/:receiptId/pdf', requireReceiptPermission('view'), async (req, res) => {
+    try {
+      const { timezone } = await getLibrarySettings(pool, req.libraryId);
+      const pdf = await renderReceiptPdf(req.receipt, { timezone });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${req.receipt.receipt_number.replace(/\//g, '-')}.pdf"`);
+      res.send(pdf);
+    } catch (err) {
+      console.error('Error rendering receipt PDF:', err);
+      res.status(500).json({ message: 'Server error rendering receipt', error: err.message });
+    }
+  });
+
+  /**
+   * @route   POST /api/receipts/:receiptId/cancel
+   * @desc    Cancel a receipt. Issued receipts are never edited: the payment is reversed by a ledger
+   *          adjustment and a numbered credit note is issued against the receipt. Body: { reason }.
+   * @access  Admin or Staff with the manage permission of the student's collections.
+   */
+  router.post('/:receiptId/cancel', requireReceiptPermission('manage'), async (req, res) => {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason for cancelling the receipt is required' });
+    }
+    if (req.receipt.document_type !== 'receipt') {
+      return res.status(400).json({ message: 'Only receipts can be cancelled' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the receipt so two cancellations cannot both pass the check below
+      await client.query('SELECT id FROM receipts WHERE id = $1 FOR UPDATE', [req.receipt.id]);
+      const receipt = await getReceipt(client, req.libraryId, req.receipt.id);
+      if (receipt.cancelled) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: `Receipt already cancelled by credit note ${receipt.credit_note_number}` });
+      }
+
+      const paymentTable = receipt.student_type === 'hostel' ? 'hostel_student_payments' : 'student_payments';
+      const paymentRes = await client.query(
+        `SELECT * FROM ${paymentTable} WHERE id = $1 AND library_id = $2 FOR UPDATE`,
+        [receipt.payment_id, req.libraryId]
+      );
+      if (paymentRes.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: 'The payment of this receipt no longer exists' });
+      }
+
+      const remark = `Cancelled receipt ${receipt.receipt_number}: ${reason}`;
+      const adjustment = receipt.student_type === 'hostel'
+        ? await reverseHostelPayment(client, req, paymentRes.rows[0], remark)
+        : await reversePayment(client, req, paymentRes.rows[0], remark);
+      const creditNoteRow = await issueCreditNote(client, req, receipt, { adjustment, reason });
+      const creditNote = await getReceipt(client, req.libraryId, creditNoteRow.id);
+
+      await recordAudit(client, req, {
+        action: 'create',
+        entityType: 'receipts/credit-notes',
+        entityId: creditNote.id,
+        after: {
+          receipt_id: receipt.id,
+          receipt_number: receipt.receipt_number,
+          credit_note_number: creditNote.receipt_number,
+          adjustment_id: adjustment.id,
+          amount: creditNote.amount,
+          reason
+        }
+      });
+
+      await client.query('COMMIT');
+      res.status(201).json({ message: `Receipt cancelled by credit note ${creditNote.receipt_number}`, creditNote });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Error cancelling receipt:', err);
+      res.status(500).json({ message: 'Server error cancelling receipt', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
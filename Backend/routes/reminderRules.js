@@ -0,0 +1,123 @@
+const { checkAdmin } = require('./auth');
+const { recordAudit } = require('../utils/auditLog');
+const { CHANNELS, DEFAULT_TEMPLATES } = require('../utils/notifications');
+const { TRIGGERS, formatRule, parseRule } = require('../utils/reminderRules');
+
+module.exports = (pool) => {
+  const router = require('express').Router();
+
+  const findRule = async (req) => {
+    const result = await pool.query('SELECT * FROM reminder_rules WHERE id = $1 AND library_id = $2', [
+      parseInt(req.params.id, 10) || 0,
+      req.libraryId
+    ]);
+    return result.rows[0] || null;
+  };
+
+  // The library's rules other than the one being edited, to check a rule against
+  const findOtherRules = async (libraryId, excludeId = 0) => {
+    const result = await pool.query('SELECT * FROM reminder_rules WHERE library_id = $1 AND id <> $2', [libraryId, excludeId]);
+    return result.rows;
+  };
+
+  // The library's rules, with the triggers, message templates and channels a rule can use
+  router.get('/', checkAdmin, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM reminder_rules WHERE library_id = $1 ORDER BY trigger_type, send_time, id',
+        [req.libraryId]
+      );
+      res.json({
+        rules: result.rows.map(formatRule),
+        triggers: TRIGGERS,
+        templates: Object.entries(DEFAULT_TEMPLATES).map(([key, { label }]) => ({ key, label })),
+        channels: CHANNELS
+      });
+    } catch (err) {
+      console.error('[REMINDER_RULES] Error fetching rules:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.post('/', checkAdmin, async (req, res) => {
+    try {
+      const { values, error } = parseRule(req.body, await findOtherRules(req.libraryId));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const result = await pool.query(
+        `INSERT INTO reminder_rules (library_id, name, trigger_type, days, min_due, channel, template_key, send_time, enabled)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          req.libraryId, values.name, values.trigger_type, values.days, values.min_due, values.channel,
+          values.template_key, values.send_time, values.enabled
+        ]
+      );
+      const rule = formatRule(result.rows[0]);
+      await recordAudit(pool, req, { action: 'create', entityType: 'reminder_rule', entityId: rule.id, after: rule });
+      res.status(201).json({ message: 'Reminder rule created', rule });
+    } catch (err) {
+      console.error('[REMINDER_RULES] Error creating rule:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.put('/:id', checkAdmin, async (req, res) => {
+    try {
+      const existing = await findRule(req);
+      if (!existing) {
+        return res.status(404).json({ message: 'Reminder rule not found' });
+      }
+      const { values, error } = parseRule(req.body, await findOtherRules(req.libraryId, existing.id));
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const result = await pool.query(
+        `UPDATE reminder_rules
+         SET name = $1, trigger_type = $2, days = $3, min_due = $4, channel = $5, template_key = $6,
+           send_time = $7, enabled = $8, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $9 AND library_id = $10
+         RETURNING *`,
+        [
+          values.name, values.trigger_type, values.days, values.min_due, values.channel, values.template_key,
+          values.send_time, values.enabled, existing.id, req.libraryId
+        ]
+      );
+      const rule = formatRule(result.rows[0]);
+      await recordAudit(pool, req, {
+        action: 'update',
+        entityType: 'reminder_rule',
+        entityId: rule.id,
+        before: formatRule(existing),
+        after: rule
+      });
+      res.json({ message: 'Reminder rule updated', rule });
+    } catch (err) {
+      console.error('[REMINDER_RULES] Error updating rule:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.delete('/:id', checkAdmin, async (req, res) => {
+    try {
+      const existing = await findRule(req);
+      if (!existing) {
+        return res.status(404).json({ message: 'Reminder rule not found' });
+      }
+      await pool.query('DELETE FROM reminder_rules WHERE id = $1 AND library_id = $2', [existing.id, req.libraryId]);
+      await recordAudit(pool, req, {
+        action: 'delete',
+        entityType: 'reminder_rule',
+        entityId: existing.id,
+        before: formatRule(existing)
+      });
+      res.json({ message: 'Reminder rule deleted' });
+    } catch (err) {
+      console.error('[REMINDER_RULES] Error deleting rule:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  return router;
+};
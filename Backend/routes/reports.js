@@ -1,8 +1,12 @@
 module.exports = (pool) => {
   const router = require('express').Router();
-  const { checkAdminOrStaff } = require('./auth');
+  const { checkPermissions } = require('./auth');
+  const { branchFilter, enforceBranchAccess, getAllowedBranchIds } = require('../utils/branchAccess');
+  const { membershipPaymentsJoin } = require('../utils/feeLedger');
 
-  router.get('/profit-loss', checkAdminOrStaff, async (req, res) => {
+  router.use(enforceBranchAccess(pool));
+
+  router.get('/profit-loss', checkPermissions(['view_reports']), async (req, res) => {
     try {
       const { month, branchId } = req.query;
       if (!month || !/^\d{4}-\d{2}$/.test(month)) {
@@ -13,17 +17,18 @@ module.exports = (pool) => {
       const startDate = `${year}-${monthNum}-01`;
       const endDate = new Date(year, monthNum, 0).toISOString().split('T')[0];
   
-      let params = [startDate, endDate];
-      let paramIndex = 3;
+      let params = [startDate, endDate, req.libraryId];
+      let paramIndex = 4;
+      // Fee payments received in the month, from the payments ledger
       let collectionsQuery = `
-        SELECT COALESCE(SUM(amount_paid), 0) AS total_collected
-        FROM student_membership_history
-        WHERE changed_at::date >= $1 AND changed_at::date <= $2
+        SELECT COALESCE(SUM(amount), 0) AS total_collected
+        FROM student_payments
+        WHERE payment_date >= $1 AND payment_date <= $2 AND library_id = $3
       `;
       let expensesQuery = `
         SELECT COALESCE(SUM(amount), 0) AS total_expenses
         FROM expenses
-        WHERE date >= $1 AND date <= $2
+        WHERE date >= $1 AND date <= $2 AND library_id = $3
       `;
 
       if (branchId) {
@@ -35,6 +40,9 @@ module.exports = (pool) => {
         expensesQuery += ` AND branch_id = $${paramIndex}`;
         params.push(branchIdNum);
       }
+      const branchCondition = branchFilter(req, 'branch_id', params);
+      collectionsQuery += branchCondition;
+      expensesQuery += branchCondition;
   
       const collectionsResult = await pool.query(collectionsQuery, params);
       const expensesResult = await pool.query(expensesQuery, params);
@@ -55,7 +63,71 @@ module.exports = (pool) => {
     }
   });  
 
-  router.get('/monthly-collections', checkAdminOrStaff, async (req, res) => {
+  /**
+   * @route   GET /api/reports/gst-summary?month=YYYY-MM
+   * @desc    Taxable value and tax of the tax invoices issued in the month, by fee type and rate. Credit
+   *          notes are subtracted. Receipts issued before the library had a GSTIN are not included.
+   * @access  Admin or Staff with view_reports; branch-limited staff only see their branches' library invoices.
+   */
+  router.get('/gst-summary', checkPermissions(['view_reports']), async (req, res) => {
+    try {
+      const { month } = req.query;
+      if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+        return res.status(400).json({ message: 'Invalid month format, use YYYY-MM' });
+      }
+      const [y, m] = month.split('-');
+      const start = `${y}-${m}-01`;
+      const end = new Date(y, m, 0).toISOString().slice(0, 10);
+
+      // Hostel branches are not limited by branch access, so limited staff see library invoices only
+      const branchIds = getAllowedBranchIds(req);
+      const { rows } = await pool.query(
+        `SELECT r.student_type AS fee_type,
+                r.details->'tax'->>'description' AS description,
+                r.details->'tax'->>'sac_code' AS sac_code,
+                (r.details->'tax'->>'rate')::numeric AS rate,
+                COUNT(*) FILTER (WHERE r.document_type = 'receipt')::int AS invoices,
+                COUNT(*) FILTER (WHERE r.document_type = 'credit_note')::int AS credit_notes,
+                SUM(sign.factor * (r.details->'tax'->>'taxable_value')::numeric) AS taxable_value,
+                SUM(sign.factor * (r.details->'tax'->>'cgst')::numeric) AS cgst,
+                SUM(sign.factor * (r.details->'tax'->>'sgst')::numeric) AS sgst,
+                SUM(sign.factor * (r.details->'tax'->>'igst')::numeric) AS igst,
+                SUM(sign.factor * (r.details->'tax'->>'total_tax')::numeric) AS total_tax,
+                SUM(sign.factor * r.amount) AS invoice_value
+         FROM receipts r
+         CROSS JOIN LATERAL (SELECT CASE WHEN r.document_type = 'credit_note' THEN -1 ELSE 1 END AS factor) sign
+         WHERE r.library_id = $1 AND r.payment_date BETWEEN $2 AND $3 AND r.details ? 'tax'
+           AND ($4::int[] IS NULL OR (r.student_type = 'library' AND r.branch_id = ANY($4::int[])))
+         GROUP BY 1, 2, 3, 4
+         ORDER BY 1, 4`,
+        [req.libraryId, start, end, branchIds]
+      );
+
+      const amountFields = {
+        taxableValue: 'taxable_value', cgst: 'cgst', sgst: 'sgst', igst: 'igst', totalTax: 'total_tax', invoiceValue: 'invoice_value'
+      };
+      const records = rows.map((row) => ({
+        feeType: row.fee_type,
+        description: row.description,
+        sacCode: row.sac_code,
+        rate: parseFloat(row.rate),
+        invoices: row.invoices,
+        creditNotes: row.credit_notes,
+        ...Object.fromEntries(Object.entries(amountFields).map(([key, column]) => [key, parseFloat(row[column]) || 0]))
+      }));
+      const totals = Object.fromEntries(Object.keys(amountFields).map((key) => [
+        key,
+        Math.round(records.reduce((sum, record) => sum + record[key], 0) * 100) / 100
+      ]));
+
+      res.json({ month, records, totals });
+    } catch (err) {
+      console.error('Error building GST summary:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.get('/monthly-collections', checkPermissions(['view_reports']), async (req, res) => {
     try {
       const { month } = req.query;
       if (!month || !/^\d{4}-\d{2}$/.test(month)) {
@@ -65,23 +137,33 @@ module.exports = (pool) => {
       const start = `${y}-${m}-01`;
       const end = new Date(y, m, 0).toISOString().slice(0, 10);
 
+      // Students who paid in the month, with what they paid in it and the totals of their current period
+      const params = [start, end, req.libraryId];
       const sql = `
         SELECT s.id AS student_id,
                s.name AS student_name,
                s.email,
                s.phone,
-               COALESCE(SUM(CASE WHEN st.type='payment' THEN st.amount END), 0) AS total_collected,
-               COALESCE(SUM(CASE WHEN st.type='due' THEN st.amount END), 0) AS total_due,
-               s.total_fee,
-               s.amount_paid,
-               s.due_amount
-        FROM student_transactions st
-        JOIN students s ON s.id = st.student_id
-        WHERE st.date BETWEEN $1 AND $2
-        GROUP BY s.id, s.name, s.email, s.phone, s.total_fee, s.amount_paid, s.due_amount
+               COALESCE(SUM(sp.amount), 0) AS total_collected,
+               latest.total_fee,
+               latest.amount_paid,
+               latest.due_amount
+        FROM student_payments sp
+        JOIN students s ON s.id = sp.student_id
+        LEFT JOIN LATERAL (
+          SELECT smh.total_fee, pay.paid AS amount_paid,
+                 COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) - pay.paid AS due_amount
+          FROM student_membership_history smh
+          ${membershipPaymentsJoin('smh')}
+          WHERE smh.student_id = s.id AND smh.library_id = s.library_id
+          ORDER BY smh.id DESC
+          LIMIT 1
+        ) latest ON TRUE
+        WHERE sp.payment_date BETWEEN $1 AND $2 AND sp.library_id = $3 AND s.library_id = $3${branchFilter(req, 's.branch_id', params)}
+        GROUP BY s.id, s.name, s.email, s.phone, latest.total_fee, latest.amount_paid, latest.due_amount
         ORDER BY s.name;
       `;
-      const { rows } = await pool.query(sql, [start, end]);
+      const { rows } = await pool.query(sql, params);
 
       res.json({
         month,
@@ -94,7 +176,7 @@ module.exports = (pool) => {
           amountPaid: parseFloat(r.amount_paid) || 0,
           dueAmount: parseFloat(r.due_amount) || 0,
           collected: parseFloat(r.total_collected),
-          due: parseFloat(r.total_due)
+          due: parseFloat(r.due_amount) || 0
         }))
       });
     } catch (err) {
@@ -0,0 +1,167 @@
+const { checkAdmin } = require('./auth');
+const { findUnknownPermissions } = require('../utils/permissions');
+
+const MAX_ROLE_NAME_LENGTH = 50;
+
+// Validate a role body; returns an error message or null
+const validateRole = ({ name, permissions }) => {
+  if (!name || !String(name).trim()) {
+    return 'Role name is required';
+  }
+  if (String(name).trim().length > MAX_ROLE_NAME_LENGTH) {
+    return `Role name must be at most ${MAX_ROLE_NAME_LENGTH} characters`;
+  }
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    return 'Select at least one permission for the role';
+  }
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+// Staff pick up role changes on their next login, so end the sessions of everyone holding the role
+const invalidateRoleSessions = async (client, roleId) => {
+  const result = await client.query(
+    `DELETE FROM session
+     WHERE (sess->'user'->>'id')::integer IN (SELECT id FROM users WHERE role_id = $1)`,
+    [roleId]
+  );
+  if (result.rowCount > 0) {
+    console.log(`[ROLES] Invalidated ${result.rowCount} session(s) for staff with role ID ${roleId}.`);
+  }
+};
+
+module.exports = (pool) => {
+  const router = require('express').Router();
+
+  router.get('/', checkAdmin, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT r.id, r.name, r.description, r.permissions, r.created_at, r.updated_at,
+           COUNT(u.id)::int AS member_count
+         FROM roles r
+         LEFT JOIN users u ON u.role_id = r.id
+         WHERE r.library_id = $1
+         GROUP BY r.id
+         ORDER BY r.name`,
+        [req.libraryId]
+      );
+      res.json({ roles: result.rows });
+    } catch (err) {
+      console.error('[ROLES] Error fetching roles:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.post('/', checkAdmin, async (req, res) => {
+    try {
+      const { name, description, permissions } = req.body;
+      const validationError = validateRole({ name, permissions });
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+      const roleName = String(name).trim();
+
+      const existing = await pool.query(
+        'SELECT id FROM roles WHERE library_id = $1 AND LOWER(name) = LOWER($2)',
+        [req.libraryId, roleName]
+      );
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ message: `A role named "${roleName}" already exists` });
+      }
+
+      const result = await pool.query(
+        `INSERT INTO roles (library_id, name, description, permissions)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id, name, description, permissions, created_at, updated_at`,
+        [req.libraryId, roleName, description || null, [...new Set(permissions)]]
+      );
+
+      console.log(`[ROLES] Created role "${result.rows[0].name}" for library ${req.libraryId}`);
+      res.status(201).json({ message: 'Role created successfully', role: { ...result.rows[0], member_count: 0 } });
+    } catch (err) {
+      console.error('[ROLES] Error creating role:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.put('/:id', checkAdmin, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const roleId = parseInt(req.params.id, 10);
+      const { name, description, permissions } = req.body;
+      const validationError = validateRole({ name, permissions });
+      if (validationError) {
+        return res.status(400).json({ message: validationError });
+      }
+      const roleName = String(name).trim();
+
+      await client.query('BEGIN');
+      const existing = await client.query(
+        'SELECT id FROM roles WHERE library_id = $1 AND LOWER(name) = LOWER($2) AND id != $3',
+        [req.libraryId, roleName, roleId]
+      );
+      if (existing.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ message: `A role named "${roleName}" already exists` });
+      }
+
+      const result = await client.query(
+        `UPDATE roles
+         SET name = $1, description = $2, permissions = $3, updated_at = NOW()
+         WHERE id = $4 AND library_id = $5
+         RETURNING id, name, description, permissions, created_at, updated_at`,
+        [roleName, description || null, [...new Set(permissions)], roleId, req.libraryId]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Role not found' });
+      }
+
+      await invalidateRoleSessions(client, roleId);
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Role updated successfully. Staff with this role will need to log in again to see changes.',
+        role: result.rows[0]
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('[ROLES] Error updating role:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Staff holding the role keep their own permissions; the role is simply removed from them
+  router.delete('/:id', checkAdmin, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const roleId = parseInt(req.params.id, 10);
+      await client.query('BEGIN');
+
+      const role = await client.query('SELECT id FROM roles WHERE id = $1 AND library_id = $2', [roleId, req.libraryId]);
+      if (role.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Role not found' });
+      }
+
+      await invalidateRoleSessions(client, roleId);
+      await client.query('DELETE FROM roles WHERE id = $1 AND library_id = $2', [roleId, req.libraryId]);
+      await client.query('COMMIT');
+
+      res.json({ message: 'Role deleted successfully' });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('[ROLES] Error deleting role:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  return router;
+};
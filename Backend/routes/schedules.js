@@ -1,11 +1,19 @@
 const { checkPermissions } = require('./auth');
+const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
 
 module.exports = (pool) => {
   const router = require('express').Router();
 
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'schedules'));
+
   router.get('/', checkPermissions(['manage_schedules', 'manage_library_students'], 'OR'), async (req, res) => {
     try {
-      const result = await pool.query('SELECT *, fee FROM schedules WHERE library_id = $1 ORDER BY created_at DESC, title', [req.libraryId]);
+      const params = [req.libraryId];
+      const result = await pool.query(
+        `SELECT *, fee FROM schedules WHERE library_id = $1${branchFilter(req, 'branch_id', params)} ORDER BY created_at DESC, title`,
+        params
+      );
       res.json({ schedules: result.rows });
     } catch (err) {
       console.error('Error fetching schedules:', err.stack);
@@ -22,6 +30,7 @@ module.exports = (pool) => {
             s.title, 
             s.description, 
             s.time, 
+            s.end_time,
             s.event_date, 
             s.fee,
             s.branch_id,
@@ -41,9 +50,10 @@ module.exports = (pool) => {
         query += ` AND s.branch_id = $${params.length + 1}`;
         params.push(parseInt(branch_id, 10));
       }
+      query += branchFilter(req, 's.branch_id', params);
       
       query += `
-        GROUP BY s.id, s.title, s.description, s.time, s.event_date, s.fee, s.branch_id, b.name, s.created_at, s.updated_at
+        GROUP BY s.id, s.title, s.description, s.time, s.end_time, s.event_date, s.fee, s.branch_id, b.name, s.created_at, s.updated_at
         ORDER BY s.event_date, s.time
       `;
       
@@ -74,10 +84,13 @@ module.exports = (pool) => {
 
   router.post('/', checkPermissions(['manage_schedules']), async (req, res) => {
     try {
-      const { title, description, time, event_date, fee, branch_id } = req.body;
+      const { title, description, time, end_time, event_date, fee, branch_id } = req.body;
       if (!title || !time || !event_date || fee === undefined || !branch_id) {
         return res.status(400).json({ message: 'Title, time, event_date, fee, and branch_id are required' });
       }
+      if (end_time && !/^\d{2}:\d{2}(:\d{2})?$/.test(end_time)) {
+        return res.status(400).json({ message: 'Invalid end_time format, use HH:MM' });
+      }
       if (!/^\d{4}-\d{2}-\d{2}$/.test(event_date)) {
         return res.status(400).json({ message: 'Invalid event_date format, use YYYY-MM-DD' });
       }
@@ -96,9 +109,9 @@ module.exports = (pool) => {
       }
       
       const result = await pool.query(
-        `INSERT INTO schedules (title, description, time, event_date, fee, branch_id, created_at, updated_at, library_id)
-         VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $7) RETURNING *`,
-        [title, description || null, time, event_date, fee, branch_id, req.libraryId]
+        `INSERT INTO schedules (title, description, time, event_date, fee, branch_id, created_at, updated_at, library_id, end_time)
+         VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $7, $8) RETURNING *`,
+        [title, description || null, time, event_date, fee, branch_id, req.libraryId, end_time || null]
       );
       res.status(201).json({
         message: 'Schedule added successfully',
@@ -116,7 +129,7 @@ module.exports = (pool) => {
       if (isNaN(scheduleId)) {
         return res.status(400).json({ message: 'Invalid schedule ID format. Must be an integer.' });
       }
-      const { title, description, time, event_date, fee, branch_id } = req.body;
+      const { title, description, time, end_time, event_date, fee, branch_id } = req.body;
       
       if (branch_id) {
         // Verify the branch exists and belongs to the library
@@ -135,6 +148,9 @@ module.exports = (pool) => {
       if (fee !== undefined && (typeof fee !== 'number' || fee < 0)) {
         return res.status(400).json({ message: 'Fee must be a non-negative number' });
       }
+      if (end_time && !/^\d{2}:\d{2}(:\d{2})?$/.test(end_time)) {
+        return res.status(400).json({ message: 'Invalid end_time format, use HH:MM' });
+      }
       const result = await pool.query(
         `UPDATE schedules SET
            title = COALESCE($1, title),
@@ -143,6 +159,7 @@ module.exports = (pool) => {
            event_date = COALESCE($4, event_date),
            fee = COALESCE($5, fee),
            branch_id = COALESCE($6, branch_id),
+           end_time = COALESCE($9, end_time),
            updated_at = CURRENT_TIMESTAMP
          WHERE id = $7 AND library_id = $8
          RETURNING *`,
@@ -154,7 +171,8 @@ module.exports = (pool) => {
           fee,
           branch_id || null,
           scheduleId,
-          req.libraryId
+          req.libraryId,
+          end_time || null
         ]
       );
       if (result.rows.length === 0) {
@@ -1,9 +1,14 @@
 module.exports = (pool) => {
   const express = require('express');
   const router = express.Router();
-  const { checkAdminOrStaff } = require('./auth');
+  const { checkPermissions } = require('./auth');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess, requireOwnBranch } = require('../utils/branchAccess');
 
-  router.get('/', checkAdminOrStaff, async (req, res) => {
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'seats'));
+  router.param('seatId', checkRecordBranch(pool, 'seats'));
+
+  router.get('/', checkPermissions(['manage_seats', 'manage_library_students'], 'OR'), async (req, res) => {
     try {
       const { shiftId, branchId } = req.query;
       const shiftIdNum = shiftId ? parseInt(shiftId, 10) : null;
@@ -29,6 +34,7 @@ module.exports = (pool) => {
         queryText += ` AND s.branch_id = $${params.length + 1}`;
         params.push(branchIdNum);
       }
+      queryText += branchFilter(req, 's.branch_id', params);
       queryText += ` ORDER BY s.seat_number, sch.id`;
 
       const result = await pool.query(queryText, params);
@@ -59,7 +65,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/', checkAdminOrStaff, async (req, res) => {
+  router.post('/', checkPermissions(['manage_seats']), async (req, res) => {
     try {
       const { seat_numbers, branch_id } = req.body;
       if (!seat_numbers) {
@@ -72,6 +78,7 @@ module.exports = (pool) => {
       }
 
       const branchIdNum = branch_id ? parseInt(branch_id, 10) : null;
+      if (!requireOwnBranch(req, res, branchIdNum)) return;
       const existingSeats = await pool.query(
         'SELECT seat_number FROM seats WHERE seat_number = ANY($1) AND ($2::integer IS NULL OR branch_id = $2) AND library_id = $3',
         [seatArray, branchIdNum, req.libraryId]
@@ -93,7 +100,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.delete('/:id', checkAdminOrStaff, async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_seats']), async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       await pool.query('DELETE FROM seat_assignments WHERE seat_id = $1 AND library_id = $2', [id, req.libraryId]);
@@ -108,7 +115,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/:seatId/assignments', checkAdminOrStaff, async (req, res) => {
+  router.get('/:seatId/assignments', checkPermissions(['manage_seats', 'manage_library_students'], 'OR'), async (req, res) => {
     try {
       const seatId = parseInt(req.params.seatId, 10);
       const result = await pool.query(`
@@ -133,7 +140,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/:seatId/available-shifts', checkAdminOrStaff, async (req, res) => {
+  router.get('/:seatId/available-shifts', checkPermissions(['manage_seats', 'manage_library_students'], 'OR'), async (req, res) => {
     try {
       const seatId = parseInt(req.params.seatId, 10);
       const result = await pool.query(`
@@ -1,42 +1,97 @@
-const { checkAdmin, authenticateOwner } = require('./auth');
+const { checkAdmin, checkAdminOrStaff, authenticateOwner } = require('./auth');
 const bcrypt = require('bcrypt');
+const { recordAudit } = require('../utils/auditLog');
+const { checkReceiptSettings } = require('../utils/receipts');
+const {
+  SETTING_DEFINITIONS,
+  getLibrarySettings,
+  getSavedSettings,
+  parseSettings,
+  saveLibrarySettings,
+} = require('../utils/librarySettings');
 
 module.exports = (pool) => {
   const router = require('express').Router();
 
-  router.get('/', checkAdmin, async (req, res) => {
+  // Branch of the library given as ?branchId= or branch_id in the body, { branchId: null } for the
+  // library itself, or null after answering 404 for a branch of another library
+  const findBranch = async (req, res) => {
+    const raw = req.method === 'GET' ? req.query.branchId : req.body.branch_id;
+    if (raw === undefined || raw === null || raw === '') return { branchId: null };
+    const branchId = parseInt(raw, 10);
+    const result = await pool.query('SELECT id FROM branches WHERE id = $1 AND library_id = $2', [
+      isNaN(branchId) ? 0 : branchId,
+      req.libraryId
+    ]);
+    if (result.rows.length === 0) {
+      res.status(404).json({ message: 'Branch not found' });
+      return null;
+    }
+    return { branchId };
+  };
+
+  // Settings as they apply to the library or a branch, what is saved at that level, and the definitions
+  router.get('/', checkAdminOrStaff, async (req, res) => {
     try {
-      const result = await pool.query('SELECT * FROM settings');
-      const settings = {};
-      result.rows.forEach(row => {
-        settings[row.key] = row.value;
+      const branch = await findBranch(req, res);
+      if (!branch) return;
+      res.json({
+        branchId: branch.branchId,
+        settings: await getLibrarySettings(pool, req.libraryId, branch.branchId),
+        saved: await getSavedSettings(pool, req.libraryId, branch.branchId),
+        definitions: SETTING_DEFINITIONS
       });
-      res.json(settings);
     } catch (err) {
       console.error('Error in settings GET route:', err.stack);
       res.status(500).json({ message: 'Server error', error: err.message });
     }
   });
 
+  // Save settings of the library, or of a branch with branch_id; a null value clears a saved setting
   router.put('/', checkAdmin, async (req, res) => {
+    let client;
     try {
-      const { brevo_template_id, days_before_expiration } = req.body;
-      if (brevo_template_id && typeof brevo_template_id !== 'string') {
-        return res.status(400).json({ message: 'Invalid Brevo template ID' });
-      }
-      if (days_before_expiration && (isNaN(days_before_expiration) || days_before_expiration < 1)) {
-        return res.status(400).json({ message: 'Days before expiration must be a positive integer' });
-      }
-      if (brevo_template_id) {
-        await pool.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', ['brevo_template_id', brevo_template_id]);
-      }
-      if (days_before_expiration) {
-        await pool.query('INSERT INTO settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2', ['days_before_expiration', days_before_expiration.toString()]);
-      }
-      res.json({ message: 'Settings updated successfully' });
+      const branch = await findBranch(req, res);
+      if (!branch) return;
+      const { values, error } = parseSettings(req.body.settings, { branch: branch.branchId !== null });
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      const receiptKeys = Object.keys(values).filter((key) => SETTING_DEFINITIONS[key].group === 'receipts');
+      if (receiptKeys.length > 0) {
+        const current = await getLibrarySettings(pool, req.libraryId);
+        const merged = { ...current };
+        for (const key of receiptKeys) merged[key] = values[key] === null ? SETTING_DEFINITIONS[key].default : values[key];
+        const receiptError = await checkReceiptSettings(pool, req.libraryId, merged);
+        if (receiptError) {
+          return res.status(400).json({ message: receiptError });
+        }
+      }
+
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const before = await getSavedSettings(client, req.libraryId, branch.branchId);
+      await saveLibrarySettings(client, req.libraryId, branch.branchId, values);
+      const after = await getSavedSettings(client, req.libraryId, branch.branchId);
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'settings',
+        entityId: branch.branchId ? `branch:${branch.branchId}` : null,
+        before,
+        after
+      });
+      await client.query('COMMIT');
+      res.json({
+        message: 'Settings updated successfully',
+        settings: await getLibrarySettings(pool, req.libraryId, branch.branchId),
+        saved: after
+      });
     } catch (err) {
+      if (client) await client.query('ROLLBACK');
       console.error('Error in settings PUT route:', err.stack);
       res.status(500).json({ message: 'Server error', error: err.message });
+    } finally {
+      if (client) client.release();
     }
   });
 
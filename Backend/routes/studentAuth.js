@@ -1,21 +1,43 @@
 // Student Authentication Routes for Multi-tenant Library System
 const express = require('express');
+const { verifyAttendanceQrPayload } = require('../utils/attendanceQr');
+const { checkGeofence } = require('../utils/geofence');
+const { GRACE_MINUTES, getPunctualitySummary } = require('../utils/attendanceStatus');
+const { getLastActionToday, recordAttendanceEvent } = require('../utils/attendanceEvents');
+const { MIN_PASSWORD_LENGTH, hashPassword, verifyPassword } = require('../utils/passwords');
+const { RESET_CODE_SENT_MESSAGE, isIpRateLimited, sendResetCode, verifyResetCode } = require('../utils/passwordReset');
+const { describeFailure, recordLoginFailure, recordLoginSuccess, releaseLoginAttempt, reserveLoginAttempt, respondLoginBlocked } = require('../utils/loginThrottle');
+const { getReceipt, getStudentReceipts, renderReceiptPdf } = require('../utils/receipts');
+const { runAsTenant, systemContext } = require('../utils/tenantContext');
+const { getLibrarySettings } = require('../utils/librarySettings');
 
 const createStudentAuthRouter = (pool) => {
   const router = express.Router();
 
   // Student Login
-  router.post('/login', async (req, res) => {
+  router.post('/login', systemContext, async (req, res) => {
     try {
       const { libraryCode, phone, password } = req.body;
       
-      console.log(`[STUDENT_AUTH] Login attempt - Library: ${libraryCode}, Phone: ${phone}, Password: ${password}`);
+      console.log(`[STUDENT_AUTH] Login attempt - Library: ${libraryCode}, Phone: ${phone}`);
 
       if (!libraryCode || !phone || !password) {
         console.log('[STUDENT_AUTH] Missing required fields');
         return res.status(400).json({ message: 'Library code, phone number, and password are required' });
       }
 
+      // Students are throttled per library and phone, since phone-number default passwords are easy to guess
+      const attempt = {
+        accountType: 'student',
+        identifier: `${libraryCode.toUpperCase()}:${String(phone).trim()}`,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+      const block = await reserveLoginAttempt(pool, attempt);
+      if (block) {
+        return respondLoginBlocked(res, block);
+      }
+
       // Find library by code
       const libraryResult = await pool.query(
         'SELECT id, library_name, status FROM libraries WHERE library_code = $1',
@@ -26,47 +48,64 @@ const createStudentAuthRouter = (pool) => {
 
       if (libraryResult.rows.length === 0) {
         console.log(`[STUDENT_AUTH] Library not found for code: ${libraryCode}`);
-        return res.status(401).json({ message: 'Invalid library code' });
+        const failure = await recordLoginFailure(pool, attempt, 'unknown_library');
+        return res.status(401).json({ message: describeFailure('Invalid library code', failure) });
       }
 
       const library = libraryResult.rows[0];
+      attempt.libraryId = library.id;
 
       // Check if library is active
       if (library.status !== 'active') {
+        await releaseLoginAttempt(pool, attempt);
         return res.status(401).json({ message: 'Library is currently inactive. Please contact your library.' });
       }
 
       // Find student account
       const studentAccountResult = await pool.query(
-        'SELECT sa.id, sa.student_id, sa.last_login, sa.status, s.name, s.phone, s.email, s.registration_number, s.branch_id FROM student_accounts sa JOIN students s ON sa.student_id = s.id WHERE sa.library_id = $1 AND sa.phone = $2',
+        'SELECT sa.id, sa.student_id, sa.password, sa.must_change_password, sa.last_login, sa.status, s.name, s.phone, s.email, s.registration_number, s.branch_id FROM student_accounts sa JOIN students s ON sa.student_id = s.id WHERE sa.library_id = $1 AND sa.phone = $2',
         [library.id, phone]
       );
       
       console.log(`[STUDENT_AUTH] Student account search for library_id: ${library.id}, phone: ${phone}`);
-      console.log(`[STUDENT_AUTH] Student account result:`, studentAccountResult.rows);
+      console.log(`[STUDENT_AUTH] Student account found:`, studentAccountResult.rows.length > 0);
 
       if (studentAccountResult.rows.length === 0) {
         console.log(`[STUDENT_AUTH] Student account not found for phone: ${phone} in library: ${library.id}`);
-        return res.status(401).json({ message: 'Student account not found. Please contact your library.' });
+        const failure = await recordLoginFailure(pool, attempt, 'unknown_account');
+        return res.status(401).json({ message: describeFailure('Student account not found. Please contact your library.', failure) });
       }
 
       const studentAccount = studentAccountResult.rows[0];
+      attempt.accountId = studentAccount.id;
 
       // Check if student account is active
       if (studentAccount.status !== 'active') {
+        await releaseLoginAttempt(pool, attempt);
         return res.status(401).json({ message: 'Student account is inactive. Please contact your library.' });
       }
 
-      // Verify password (password should be same as phone number)
-      if (password !== phone) {
-        return res.status(401).json({ message: 'Invalid credentials' });
+      const { valid, needsRehash } = await verifyPassword(password, studentAccount.password);
+      if (!valid) {
+        const failure = await recordLoginFailure(pool, attempt, 'invalid_password');
+        return res.status(401).json({ message: describeFailure('Invalid credentials', failure) });
       }
+      await recordLoginSuccess(pool, attempt);
 
-      // Update last login
-      await pool.query(
-        'UPDATE student_accounts SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
-        [studentAccount.id]
-      );
+      // Update last login, replacing a legacy plaintext password with its hash
+      if (needsRehash) {
+        await pool.query(
+          'UPDATE student_accounts SET password = $1, last_login = CURRENT_TIMESTAMP WHERE id = $2',
+          [await hashPassword(password), studentAccount.id]
+        );
+        console.log(`[STUDENT_AUTH] Re-hashed legacy plaintext password for account ${studentAccount.id}`);
+      } else {
+        await pool.query(
+          'UPDATE student_accounts SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+          [studentAccount.id]
+        );
+      }
+      const mustChangePassword = studentAccount.must_change_password === true;
 
       // Create session
       req.session.student = {
@@ -81,6 +120,7 @@ const createStudentAuthRouter = (pool) => {
         email: studentAccount.email,
         registrationNumber: studentAccount.registration_number,
         role: 'student',
+        mustChangePassword,
       };
 
       console.log(`[STUDENT_AUTH] Student ${studentAccount.name} logged in for library ${libraryCode}`);
@@ -97,6 +137,7 @@ const createStudentAuthRouter = (pool) => {
           registrationNumber: studentAccount.registration_number,
           branchId: studentAccount.branch_id, // Add branchId to response
           role: 'student',
+          mustChangePassword,
         }
       });
 
@@ -136,6 +177,135 @@ const createStudentAuthRouter = (pool) => {
     }
   });
 
+  // Looks up the account a forgot/reset password request refers to
+  const findStudentAccountForReset = async (libraryCode, phone) => {
+    const result = await pool.query(
+      `SELECT sa.id, sa.phone, s.name, s.email
+       FROM student_accounts sa
+       JOIN libraries l ON l.id = sa.library_id
+       JOIN students s ON s.id = sa.student_id
+       WHERE l.library_code = $1 AND sa.phone = $2 AND sa.status = 'active'`,
+      [String(libraryCode).toUpperCase(), phone]
+    );
+    return result.rows[0] || null;
+  };
+
+  // Forgot Password: send a one-time reset code by email or WhatsApp
+  router.post('/forgot-password', systemContext, async (req, res) => {
+    try {
+      const { libraryCode, phone, channel } = req.body;
+      if (!libraryCode || !phone) {
+        return res.status(400).json({ message: 'Library code and phone number are required' });
+      }
+      if (await isIpRateLimited(pool, req.ip, 'student')) {
+        return res.status(429).json({ message: 'Too many reset requests. Please try again later.', code: 'RESET_CODE_LIMIT' });
+      }
+
+      const account = await findStudentAccountForReset(libraryCode, phone);
+      if (!account) {
+        console.log(`[STUDENT_AUTH] Password reset requested for unknown account - Library: ${libraryCode}, Phone: ${phone}`);
+        return res.json({ message: RESET_CODE_SENT_MESSAGE });
+      }
+
+      await sendResetCode(pool, {
+        accountType: 'student',
+        accountId: account.id,
+        name: account.name,
+        email: account.email,
+        phone: account.phone
+      }, { channel, ip: req.ip });
+
+      res.json({ message: RESET_CODE_SENT_MESSAGE });
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Forgot password error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Reset Password with the one-time code
+  router.post('/reset-password', systemContext, async (req, res) => {
+    try {
+      const { libraryCode, phone, code, newPassword } = req.body;
+      if (!libraryCode || !phone || !code || !newPassword) {
+        return res.status(400).json({ message: 'Library code, phone number, reset code and new password are required' });
+      }
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (newPassword === phone) {
+        return res.status(400).json({ message: 'New password cannot be your phone number' });
+      }
+
+      const account = await findStudentAccountForReset(libraryCode, phone);
+      if (!account) {
+        return res.status(400).json({ message: 'Invalid or expired reset code', code: 'RESET_CODE_INVALID' });
+      }
+
+      const verification = await verifyResetCode(pool, { accountType: 'student', accountId: account.id }, code);
+      if (!verification.valid) {
+        return res.status(verification.status).json({ message: verification.message, code: verification.code });
+      }
+
+      await pool.query(
+        `UPDATE student_accounts
+         SET password = $1, must_change_password = FALSE, password_changed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [await hashPassword(newPassword), account.id]
+      );
+
+      console.log(`[STUDENT_AUTH] Password reset with code for account ${account.id}`);
+      res.json({ message: 'Password reset successfully. You can now log in with your new password.' });
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Reset password error:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Change Student Password (also replaces the phone-number default on first login)
+  router.post('/change-password', requireStudentSession, async (req, res) => {
+    try {
+      const { current_password: currentPassword, new_password: newPassword } = req.body;
+      const { accountId, phone } = req.session.student;
+
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'Current password and new password are required' });
+      }
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (newPassword === phone) {
+        return res.status(400).json({ message: 'New password cannot be your phone number' });
+      }
+
+      const accountResult = await pool.query(
+        'SELECT password FROM student_accounts WHERE id = $1',
+        [accountId]
+      );
+      if (accountResult.rows.length === 0) {
+        return res.status(404).json({ message: 'Student account not found' });
+      }
+
+      const { valid } = await verifyPassword(currentPassword, accountResult.rows[0].password);
+      if (!valid) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+
+      await pool.query(
+        `UPDATE student_accounts
+         SET password = $1, must_change_password = FALSE, password_changed_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [await hashPassword(newPassword), accountId]
+      );
+      req.session.student.mustChangePassword = false;
+
+      console.log(`[STUDENT_AUTH] Student ${req.session.student.name} changed their password`);
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Error changing password:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   // Get Student Profile
   router.get('/profile', authenticateStudent, async (req, res) => {
     try {
@@ -161,7 +331,9 @@ const createStudentAuthRouter = (pool) => {
         return res.status(404).json({ message: 'Student profile not found' });
       }
 
-      const student = result.rows[0];
+      // Amounts on the dashboard are shown in the library's currency
+      const { currency } = await getLibrarySettings(pool, libraryId);
+      const student = { ...result.rows[0], currency };
       res.json({ student });
 
     } catch (error) {
@@ -170,32 +342,33 @@ const createStudentAuthRouter = (pool) => {
     }
   });
 
-  // Mark Attendance
+  // Mark Attendance (first check-in of the day)
   router.post('/attendance', authenticateStudent, async (req, res) => {
     try {
       const studentId = req.session.student.id;
       const libraryId = req.session.student.libraryId;
-      const { notes } = req.body;
+      const { notes, location } = req.body;
 
       // Check if attendance already marked for today
-      const existingAttendance = await pool.query(
-        'SELECT id FROM attendance WHERE student_id = $1 AND library_id = $2 AND date = CURRENT_DATE',
-        [studentId, libraryId]
-      );
-
-      if (existingAttendance.rows.length > 0) {
+      const lastEntry = await getLastActionToday(pool, studentId, libraryId);
+      if (lastEntry) {
         return res.status(400).json({ message: 'Attendance already marked for today' });
       }
 
-      // Mark attendance
-      const result = await pool.query(
-        `INSERT INTO attendance (library_id, student_id, status, notes)
-         VALUES ($1, $2, 'present', $3)
-         RETURNING id, check_in_time, date`,
-        [libraryId, studentId, notes || null]
-      );
+      const geofence = await checkGeofence(pool, req.session.student, location);
+      if (!geofence.allowed) {
+        console.warn('[STUDENT_AUTH] Attendance rejected outside geofence:', { studentId, reason: geofence.reason });
+        return res.status(403).json({ message: geofence.message, code: 'OUTSIDE_GEOFENCE' });
+      }
 
-      const attendance = result.rows[0];
+      const attendance = await recordAttendanceEvent(pool, {
+        studentId,
+        libraryId,
+        action: 'in',
+        source: 'toggle',
+        notes: notes || null,
+        geofence
+      });
 
       console.log(`[STUDENT_AUTH] Attendance marked for student ${req.session.student.name}`);
 
@@ -203,8 +376,8 @@ const createStudentAuthRouter = (pool) => {
         message: 'Attendance marked successfully',
         attendance: {
           id: attendance.id,
-          checkInTime: attendance.check_in_time,
-          date: attendance.date,
+          checkInTime: attendance.created_at,
+          date: attendance.created_at,
           status: 'present'
         }
       });
@@ -216,7 +389,7 @@ const createStudentAuthRouter = (pool) => {
   });
 
   // Get Student Attendance History (Daily/Monthly)
-  router.get('/attendance', async (req, res) => {
+  router.get('/attendance', authenticateStudent, async (req, res) => {
     try {
       const studentId = req.session.student.id;
       const libraryId = req.session.student.libraryId;
@@ -258,7 +431,8 @@ const createStudentAuthRouter = (pool) => {
               'HH24:MI:SS'
             )
             ELSE NULL
-          END as "totalHours"
+          END as "totalHours",
+          BOOL_OR(is_auto_closed AND corrected_at IS NULL) as "autoClosed"
         FROM student_attendance
         ${whereClause}
         GROUP BY DATE(created_at)
@@ -274,12 +448,46 @@ const createStudentAuthRouter = (pool) => {
     }
   });
 
+  // Monthly punctuality summary against the student's shifts
+  router.get('/attendance/summary', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const {
+        month = new Date().getMonth() + 1,
+        year = new Date().getFullYear()
+      } = req.query;
+
+      const parsedMonth = parseInt(month, 10);
+      const parsedYear = parseInt(year, 10);
+      if (isNaN(parsedMonth) || parsedMonth < 1 || parsedMonth > 12 || isNaN(parsedYear)) {
+        return res.status(400).json({ message: 'Invalid month or year' });
+      }
+
+      const [summary] = await getPunctualitySummary(pool, libraryId, {
+        month: parsedMonth,
+        year: parsedYear,
+        studentId,
+        includeDays: true
+      });
+
+      res.json({
+        month: parsedMonth,
+        year: parsedYear,
+        graceMinutes: GRACE_MINUTES,
+        summary: summary || null
+      });
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Error fetching attendance summary:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   // Mark Attendance via QR Code (Check-in/Check-out)
   router.post('/attendance/qr', authenticateStudent, async (req, res) => {
     try {
       const studentId = req.session.student.id;
       const libraryId = req.session.student.libraryId;
-      const { qrData, notes = "" } = req.body; // action: 'in' or 'out'
+      const { qrData, notes = "", location } = req.body; // location: { latitude, longitude } from the device
 
       if (!qrData) {
         return res
@@ -287,69 +495,72 @@ const createStudentAuthRouter = (pool) => {
           .json({ message: "QR data and action (in/out) are required" });
       }
 
-      // Parse and verify QR code
-      let parsedQrData;
-      try {
-        parsedQrData = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
-      } catch (error) {
-        console.error('[STUDENT_AUTH] QR code parsing error:', error);
-        return res.status(400).json({ message: 'Invalid QR code format' });
-      }
-
-      console.log('[STUDENT_AUTH] QR Code Data:', parsedQrData);
-      console.log('[STUDENT_AUTH] Student Library ID:', libraryId);
-      console.log('[STUDENT_AUTH] QR Library ID:', parsedQrData.libraryId);
-      console.log('[STUDENT_AUTH] QR Type:', parsedQrData.type);
-
-      // Verify QR code belongs to the student's library
-      // Convert both to numbers for comparison to handle type mismatches
-      const qrLibraryId = parseInt(parsedQrData.libraryId);
-      const studentLibraryId = parseInt(libraryId);
-      
-      if (
-        qrLibraryId !== studentLibraryId ||
-        parsedQrData.type !== "attendance"
-      ) {
+      // Verify the signature, library and expiry of the scanned code
+      const verification = verifyAttendanceQrPayload(qrData, libraryId);
+      if (!verification.valid) {
         console.error('[STUDENT_AUTH] QR verification failed:', {
-          qrLibraryId,
-          studentLibraryId,
-          qrType: parsedQrData.type,
-          match: qrLibraryId === studentLibraryId
+          studentId,
+          libraryId,
+          code: verification.code
         });
         return res
           .status(400)
-          .json({ message: "Invalid QR code for this library" });
+          .json({ message: verification.message, code: verification.code });
       }
 
-      console.log('[STUDENT_AUTH] QR code verification successful');
+      // Reject or flag scans made away from the student's branch
+      const geofence = await checkGeofence(pool, req.session.student, location);
+      if (!geofence.allowed) {
+        console.warn('[STUDENT_AUTH] QR attendance rejected outside geofence:', { studentId, reason: geofence.reason });
+        return res.status(403).json({ message: geofence.message, code: 'OUTSIDE_GEOFENCE' });
+      }
 
-      // Use database CURRENT_DATE to avoid timezone mismatches between server and DB
-      // This ensures we correctly identify today's records irrespective of server timezone.
-      // No need to pass a separate date parameter; the DB handles the current date consistently.
-      const lastEntry = await pool.query(
-        `SELECT action FROM student_attendance 
-         WHERE student_id = $1 AND library_id = $2 AND DATE(created_at) = CURRENT_DATE
-         ORDER BY created_at DESC LIMIT 1`,
-        [studentId, libraryId]
+      // Each signed code may be used only once per student
+      const scanResult = await pool.query(
+        `INSERT INTO attendance_qr_scans (library_id, student_id, nonce)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (student_id, nonce) DO NOTHING`,
+        [libraryId, studentId, verification.payload.nonce]
       );
+      if (scanResult.rowCount === 0) {
+        console.error('[STUDENT_AUTH] QR code replay rejected:', { studentId, libraryId });
+        return res.status(409).json({
+          message: 'This QR code has already been used. Please scan the current code on the display.',
+          code: 'QR_REPLAYED'
+        });
+      }
 
-      const lastAction = lastEntry.rows.length > 0 ? lastEntry.rows[0].action.trim() : null;
-      const nextAction = lastAction === 'in' ? 'out' : 'in';
+      console.log('[STUDENT_AUTH] QR code verification successful');
+
+      const lastEntry = await getLastActionToday(pool, studentId, libraryId);
+      const nextAction = lastEntry && lastEntry.action === 'in' ? 'out' : 'in';
 
       // Insert the new attendance record
-      const result = await pool.query(
-        `INSERT INTO student_attendance (library_id, student_id, action, notes)
-         VALUES ($1, $2, $3, $4)
-         RETURNING id, action, created_at as timestamp`,
-        [libraryId, studentId, nextAction, notes]
-      );
+      const record = await recordAttendanceEvent(pool, {
+        studentId,
+        libraryId,
+        action: nextAction,
+        source: 'qr',
+        notes,
+        geofence
+      });
 
-      const newAttendance = result.rows[0];
+      const newAttendance = {
+        id: record.id,
+        action: record.action,
+        timestamp: record.created_at,
+        is_flagged: record.is_flagged
+      };
       const friendlyAction = nextAction === 'in' ? 'Checked In' : 'Checked Out';
 
+      if (geofence.flagged) {
+        console.warn('[STUDENT_AUTH] QR attendance flagged:', { studentId, reason: geofence.reason });
+      }
+
       res.status(201).json({
         message: `${friendlyAction} successfully.`,
-        attendance: newAttendance
+        attendance: newAttendance,
+        flagged: geofence.flagged
       });
     } catch (error) {
       console.error("[STUDENT_AUTH] Error with QR attendance:", error);
@@ -357,31 +568,6 @@ const createStudentAuthRouter = (pool) => {
     }
   });
 
-  // Check Today's Attendance Status
-  router.get('/attendance/today', authenticateStudent, async (req, res) => {
-    try {
-      const studentId = req.session.student.id;
-      const libraryId = req.session.student.libraryId;
-
-      const result = await pool.query(
-        'SELECT id, check_in_time, status FROM attendance WHERE student_id = $1 AND library_id = $2 AND date = CURRENT_DATE',
-        [studentId, libraryId]
-      );
-
-      const hasMarkedToday = result.rows.length > 0;
-      const todayAttendance = hasMarkedToday ? result.rows[0] : null;
-
-      res.json({
-        hasMarkedToday,
-        todayAttendance
-      });
-
-    } catch (error) {
-      console.error('[STUDENT_AUTH] Error checking today\'s attendance:', error);
-      res.status(500).json({ message: 'Server error', error: error.message });
-    }
-  });
-
   // Verify Barcode for Attendance
   router.post('/verify-barcode', authenticateStudent, async (req, res) => {
     try {
@@ -421,7 +607,7 @@ const createStudentAuthRouter = (pool) => {
     try {
       const studentId = req.session.student.id;
       const libraryId = req.session.student.libraryId;
-      const { type, time, notes } = req.body;
+      const { type, time, notes, location } = req.body;
 
       if (!type || !time) {
         return res.status(400).json({ message: 'Entry type and time are required' });
@@ -431,127 +617,80 @@ const createStudentAuthRouter = (pool) => {
         return res.status(400).json({ message: 'Entry type must be "in" or "out"' });
       }
 
-      // Check if attendance already exists for today
-      const existingAttendance = await pool.query(
-        'SELECT id, check_in_time, check_out_time FROM attendance WHERE student_id = $1 AND library_id = $2 AND date = CURRENT_DATE',
-        [studentId, libraryId]
-      );
-
-      if (type === 'in') {
-        if (existingAttendance.rows.length > 0) {
-          return res.status(400).json({ message: 'Check-in already recorded for today' });
-        }
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        return res.status(400).json({ message: 'Time must be in HH:MM format' });
+      }
 
-        // Create new attendance record with manual check-in time
-        const result = await pool.query(
-          `INSERT INTO attendance (library_id, student_id, status, notes, check_in_time, date)
-           VALUES ($1, $2, 'present', $3, $4, CURRENT_DATE)
-           RETURNING id, check_in_time, date`,
-          [libraryId, studentId, notes || 'Manual check-in', `${time}:00`]
-        );
+      const geofence = await checkGeofence(pool, req.session.student, location);
+      if (!geofence.allowed) {
+        console.warn('[STUDENT_AUTH] Manual attendance rejected outside geofence:', { studentId, reason: geofence.reason });
+        return res.status(403).json({ message: geofence.message, code: 'OUTSIDE_GEOFENCE' });
+      }
 
-        const attendance = result.rows[0];
-        console.log(`[STUDENT_AUTH] Manual check-in recorded for student ${req.session.student.name} at ${time}`);
-
-        res.json({
-          message: 'Check-in recorded successfully',
-          attendance: {
-            id: attendance.id,
-            checkInTime: attendance.check_in_time,
-            date: attendance.date,
-            status: 'present'
-          }
-        });
-      } else {
-        // Handle check-out
-        if (existingAttendance.rows.length === 0) {
-          return res.status(400).json({ message: 'No check-in record found for today. Please check in first.' });
-        }
+      const lastEntry = await getLastActionToday(pool, studentId, libraryId);
 
-        const attendanceRecord = existingAttendance.rows[0];
-        if (attendanceRecord.check_out_time) {
-          return res.status(400).json({ message: 'Check-out already recorded for today' });
-        }
+      if (type === 'in' && lastEntry && lastEntry.action === 'in') {
+        return res.status(400).json({ message: 'You are already checked in. Please check out first.' });
+      }
+      if (type === 'out' && (!lastEntry || lastEntry.action !== 'in')) {
+        return res.status(400).json({ message: 'No check-in record found for today. Please check in first.' });
+      }
 
-        // Update existing record with check-out time
-        const result = await pool.query(
-          `UPDATE attendance SET check_out_time = $1, notes = COALESCE(notes || ' | ', '') || $2
-           WHERE id = $3
-           RETURNING id, check_in_time, check_out_time, date`,
-          [`${time}:00`, notes || 'Manual check-out', attendanceRecord.id]
+      // Events are read in time order, so a manual entry cannot go before the last recorded one
+      if (lastEntry) {
+        const orderCheck = await pool.query(
+          'SELECT CURRENT_DATE + $1::time >= $2::timestamptz AS is_after',
+          [time, lastEntry.createdAt]
         );
-
-        const attendance = result.rows[0];
-        console.log(`[STUDENT_AUTH] Manual check-out recorded for student ${req.session.student.name} at ${time}`);
-
-        res.json({
-          message: 'Check-out recorded successfully',
-          attendance: {
-            id: attendance.id,
-            checkInTime: attendance.check_in_time,
-            checkOutTime: attendance.check_out_time,
-            date: attendance.date,
-            status: 'present'
-          }
-        });
+        if (!orderCheck.rows[0].is_after) {
+          return res.status(400).json({ message: 'Time must be after your last recorded check-in or check-out today' });
+        }
       }
 
-    } catch (error) {
-      console.error('[STUDENT_AUTH] Error with manual time entry:', error);
-      res.status(500).json({ message: 'Server error', error: error.message });
-    }
-  });
+      const attendance = await recordAttendanceEvent(pool, {
+        studentId,
+        libraryId,
+        action: type,
+        source: 'manual',
+        notes: notes || (type === 'in' ? 'Manual check-in' : 'Manual check-out'),
+        geofence,
+        time
+      });
+
+      const label = type === 'in' ? 'Check-in' : 'Check-out';
+      console.log(`[STUDENT_AUTH] Manual ${label.toLowerCase()} recorded for student ${req.session.student.name} at ${time}`);
 
-  // Barcode verification and attendance marking endpoint
-  router.post('/verify-barcode', authenticateStudent, async (req, res) => {
-    try {
-      const { barcode } = req.body;
-      const studentSession = req.session.student;
-      
-      console.log(`[STUDENT_AUTH] Barcode verification attempt by student ${studentSession.id}`);
-      console.log(`[STUDENT_AUTH] Scanned barcode:`, barcode);
-      
-      if (!barcode) {
-        return res.status(400).json({ message: 'Barcode data is required' });
-      }
-      
-      let barcodeData;
-      try {
-        barcodeData = JSON.parse(barcode);
-      } catch (error) {
-        return res.status(400).json({ message: 'Invalid barcode format' });
-      }
-      
-      // Verify barcode belongs to student's library
-      if (barcodeData.libraryCode !== studentSession.libraryCode || 
-          barcodeData.libraryId !== studentSession.libraryId) {
-        console.log(`[STUDENT_AUTH] Library code mismatch - Expected: ${studentSession.libraryCode}, Got: ${barcodeData.libraryCode}`);
-        return res.status(403).json({ message: 'This barcode belongs to a different library' });
-      }
-      
-      // Mark attendance automatically after successful verification
-      const attendanceResult = await markToggleAttendance(pool, studentSession);
-      
       res.json({
-        message: 'Barcode verified and attendance marked successfully',
-        attendance: attendanceResult
+        message: `${label} recorded successfully`,
+        attendance: {
+          id: attendance.id,
+          action: attendance.action,
+          timestamp: attendance.created_at,
+          status: 'present'
+        }
       });
-      
+
     } catch (error) {
-      console.error('[STUDENT_AUTH] Error verifying barcode:', error);
+      console.error('[STUDENT_AUTH] Error with manual time entry:', error);
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   });
-  
+
   // Toggle attendance endpoint (for direct attendance marking)
   router.post('/attendance/toggle', authenticateStudent, async (req, res) => {
     try {
       const studentSession = req.session.student;
-      const { notes } = req.body;
+      const { notes, location } = req.body;
       
       console.log(`[STUDENT_AUTH] Toggle attendance for student ${studentSession.id}`);
+
+      const geofence = await checkGeofence(pool, studentSession, location);
+      if (!geofence.allowed) {
+        console.warn('[STUDENT_AUTH] Toggle attendance rejected outside geofence:', { studentId: studentSession.id, reason: geofence.reason });
+        return res.status(403).json({ message: geofence.message, code: 'OUTSIDE_GEOFENCE' });
+      }
       
-      const attendanceResult = await markToggleAttendance(pool, studentSession, notes);
+      const attendanceResult = await markToggleAttendance(pool, studentSession, notes, geofence);
       
       res.json({
         message: `Successfully ${attendanceResult.action}!`,
@@ -713,39 +852,66 @@ const createStudentAuthRouter = (pool) => {
     }
   });
 
+  // Get the student's own receipts and credit notes, newest first
+  router.get('/receipts', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const receipts = await getStudentReceipts(pool, libraryId, 'library', studentId);
+      res.json({ receipts });
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Error fetching receipts:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
+  // Download one of the student's own receipts or credit notes as a PDF
+  router.get('/receipts/:id/pdf', authenticateStudent, async (req, res) => {
+    try {
+      const { id: studentId, libraryId } = req.session.student;
+      const receiptId = parseInt(req.params.id, 10);
+      const receipt = isNaN(receiptId) ? null : await getReceipt(pool, libraryId, receiptId);
+      if (!receipt || receipt.student_type !== 'library' || receipt.student_id !== Number(studentId)) {
+        return res.status(404).json({ message: 'Receipt not found' });
+      }
+
+      const { timezone } = await getLibrarySettings(pool, libraryId);
+      const pdf = await renderReceiptPdf(receipt, { timezone });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${receipt.receipt_number.replace(/\//g, '-')}.pdf"`);
+      res.send(pdf);
+    } catch (error) {
+      console.error('[STUDENT_AUTH] Error rendering receipt:', error);
+      res.status(500).json({ message: 'Server error', error: error.message });
+    }
+  });
+
   return router;
 };
 
 // Helper function to mark toggle attendance
-async function markToggleAttendance(pool, studentSession, notes = null) {
-  // Use database CURRENT_DATE to ensure accurate date comparison
-  // This prevents issues where timezone differences cause the day to be off by ±1.
-  // No separate today variable needed.
-  const todayRecords = await pool.query(`
-    SELECT action, created_at 
-    FROM student_attendance 
-    WHERE student_id = $1 AND library_id = $2 AND DATE(created_at) = CURRENT_DATE
-    ORDER BY created_at DESC
-  `, [studentSession.id, studentSession.libraryId]);
-  
-  // Determine next action based on last record
-  let nextAction = 'in';
-  if (todayRecords.rows.length > 0) {
-    const lastAction = todayRecords.rows[0].action;
-    nextAction = lastAction === 'in' ? 'out' : 'in';
-  }
-  
-  // Insert new attendance record
-  const attendanceResult = await pool.query(`
-    INSERT INTO student_attendance (student_id, library_id, action, notes, created_at)
-    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-    RETURNING *
-  `, [studentSession.id, studentSession.libraryId, nextAction, notes]);
-  
+async function markToggleAttendance(pool, studentSession, notes = null, geofence = null) {
+  const lastEntry = await getLastActionToday(pool, studentSession.id, studentSession.libraryId);
+  const nextAction = lastEntry && lastEntry.action === 'in' ? 'out' : 'in';
+
+  const record = await recordAttendanceEvent(pool, {
+    studentId: studentSession.id,
+    libraryId: studentSession.libraryId,
+    action: nextAction,
+    source: 'toggle',
+    notes,
+    geofence
+  });
+
+  const countResult = await pool.query(
+    `SELECT COUNT(*)::int AS total FROM student_attendance
+     WHERE student_id = $1 AND library_id = $2 AND DATE(created_at) = CURRENT_DATE`,
+    [studentSession.id, studentSession.libraryId]
+  );
+
   return {
     action: nextAction === 'in' ? 'checked in' : 'checked out',
-    record: attendanceResult.rows[0],
-    totalToday: todayRecords.rows.length + 1
+    record,
+    totalToday: countResult.rows[0].total
   };
 }
 
@@ -786,8 +952,8 @@ async function getTodayAttendanceStatus(pool, studentSession) {
   };
 }
 
-// Middleware to authenticate student
-const authenticateStudent = (req, res, next) => {
+// Middleware to require a logged-in student, even one still on the default password
+const requireStudentSession = (req, res, next) => {
   if (req.session && req.session.student && req.session.student.id) {
     return next();
   } else {
@@ -796,6 +962,19 @@ const authenticateStudent = (req, res, next) => {
   }
 };
 
+// Middleware to authenticate student; students must replace the default password before using the app
+const authenticateStudent = (req, res, next) => {
+  requireStudentSession(req, res, () => {
+    if (req.session.student.mustChangePassword) {
+      return res.status(403).json({
+        message: 'Please change your default password to continue',
+        code: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+    return runAsTenant(req.session.student.libraryId, next);
+  });
+};
+
 module.exports = {
   createStudentAuthRouter,
   authenticateStudent
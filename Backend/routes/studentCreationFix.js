@@ -27,12 +27,12 @@ try {
     
     if (existingAccount.rows.length === 0) {
       await client.query(`
-        INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number, must_change_password)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, TRUE)
       `, [
         libraryId,
         phone,
-        phone, // Password is same as phone number
+        await hashPassword(phone), // Default password is the phone number; changed on first login
         student.id,
         name,
         email,
@@ -1,8 +1,21 @@
 module.exports = (pool) => {
   const router = require('express').Router();
-  const { checkAdmin, checkAdminOrStaff } = require('./auth');
   const { checkPermissions } = require('./auth');
-  const { authenticateOwner, ensureOwnerDataIsolation } = require('./ownerAuth');
+  const { authenticateLibraryUser, ensureOwnerDataIsolation } = require('./ownerAuth');
+  const { hashPassword } = require('../utils/passwords');
+  const { branchFilter, checkRecordBranch, enforceBranchAccess } = require('../utils/branchAccess');
+  const { recordAudit } = require('../utils/auditLog');
+  const {
+    getStudentPayments,
+    membershipPaymentsJoin,
+    reconcilePaymentTotals,
+    recordInitialPayments,
+    syncMembershipTotals
+  } = require('../utils/feeLedger');
+
+  // Branch-limited staff only see and change students of their own branches
+  router.use(enforceBranchAccess(pool));
+  router.param('id', checkRecordBranch(pool, 'students'));
 
   const withCalculatedStatus = (selectFields = 's.*') => `
     SELECT
@@ -14,7 +27,14 @@ module.exports = (pool) => {
     FROM students s
   `;
 
-  router.get('/', checkAdminOrStaff, async (req, res) => {
+  // Dates of birth are optional, used for birthday reminders
+  const isValidBirthDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value) && date < new Date();
+  };
+
+  router.get('/', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
       const { branchId } = req.query;
       const branchIdNum = branchId ? parseInt(branchId, 10) : null;
@@ -42,6 +62,7 @@ module.exports = (pool) => {
         query += ` AND s.branch_id = $2`;
         params.push(branchIdNum);
       }
+      query += branchFilter(req, 's.branch_id', params);
       query += ` ORDER BY s.name`;
       
       const result = await pool.query(query, params);
@@ -52,15 +73,16 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/inactive', checkAdminOrStaff, async (req, res) => {
+  router.get('/inactive', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
+      const params = [req.libraryId];
       const result = await pool.query(`
         SELECT s.id, s.name, s.phone, s.registration_number, s.is_active, b.name as branch_name 
         FROM students s
         LEFT JOIN branches b ON s.branch_id = b.id
-        WHERE s.is_active = false AND s.library_id = $1
+        WHERE s.is_active = false AND s.library_id = $1${branchFilter(req, 's.branch_id', params)}
         ORDER BY s.name
-      `, [req.libraryId]);
+      `, params);
       res.json({ students: result.rows });
     } catch (err) {
       console.error('Error fetching inactive students:', err);
@@ -68,7 +90,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:id/status', checkAdminOrStaff, async (req, res) => {
+  router.put('/:id/status', checkPermissions(['manage_library_students']), async (req, res) => {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -105,7 +127,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/active', checkAdminOrStaff, async (req, res) => {
+  router.get('/active', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
       const { branchId } = req.query;
       const branchIdNum = branchId ? parseInt(branchId, 10) : null;
@@ -117,6 +139,7 @@ module.exports = (pool) => {
         query += ` AND s.branch_id = $2`;
         params.push(branchIdNum);
       }
+      query += branchFilter(req, 's.branch_id', params);
       query += ` ORDER BY s.name`;
 
       const result = await pool.query(query, params);
@@ -143,7 +166,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/expired', checkAdminOrStaff, async (req, res) => {
+  router.get('/expired', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
       const { branchId } = req.query;
       const branchIdNum = branchId ? parseInt(branchId, 10) : null;
@@ -171,6 +194,7 @@ module.exports = (pool) => {
         query += ` AND s.branch_id = $2`;
         params.push(branchIdNum);
       }
+      query += branchFilter(req, 's.branch_id', params);
       query += ` ORDER BY s.name`;
 
       const result = await pool.query(query, params);
@@ -197,7 +221,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/expiring-soon', checkAdminOrStaff, async (req, res) => {
+  router.get('/expiring-soon', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
       const { branchId } = req.query;
       const branchIdNum = branchId ? parseInt(branchId, 10) : null;
@@ -231,6 +255,7 @@ module.exports = (pool) => {
         query += ` AND s.branch_id = $3`;
         params.push(branchIdNum);
       }
+      query += branchFilter(req, 's.branch_id', params);
       query += ` ORDER BY s.membership_end`;
 
       const result = await pool.query(query, params);
@@ -241,7 +266,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/:id', checkAdminOrStaff, async (req, res) => {
+  router.get('/:id', checkPermissions(['manage_library_students']), async (req, res) => {
     try {
       const id = parseInt(req.params.id, 10);
       const queryText = `
@@ -294,7 +319,23 @@ module.exports = (pool) => {
     }
   });
 
-  router.get('/shift/:shiftId', checkAdminOrStaff, async (req, res) => {
+  // Every receipt and correction in the student's payment ledger, newest first
+  router.get('/:id/payments', checkPermissions(['manage_library_students']), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id, 10);
+      const student = await pool.query('SELECT id FROM students WHERE id = $1 AND library_id = $2', [id, req.libraryId]);
+      if (student.rows.length === 0) {
+        return res.status(404).json({ message: 'Student not found' });
+      }
+      const payments = await getStudentPayments(pool, req.libraryId, id);
+      res.json({ payments });
+    } catch (err) {
+      console.error('Error in students/:id/payments route:', err.stack);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    }
+  });
+
+  router.get('/shift/:shiftId', checkPermissions(['manage_library_students', 'manage_schedules'], 'OR'), async (req, res) => {
     try {
       const { shiftId } = req.params;
       const { search, status: statusFilter } = req.query;
@@ -345,6 +386,7 @@ module.exports = (pool) => {
         }
       }
       
+      query += branchFilter(req, 's.branch_id', params);
       query += ` ORDER BY s.name`;
 
       const result = await pool.query(query, params);
@@ -355,22 +397,16 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/', async (req, res) => {
-    // Enhanced permission check that supports both admin/staff and owners
-    const isAdmin = req.session.user && (req.session.user.role === 'admin' || req.session.user.role === 'staff');
-    const isOwner = req.session.owner || (req.session.user && req.session.user.isOwner);
-    
-    if (!isAdmin && !isOwner) {
-      return res.status(403).json({ message: 'Access denied. Admin, staff, or owner privileges required.' });
-    }
+  router.post('/', checkPermissions(['manage_library_students']), async (req, res) => {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
       const {
         name, email, phone, address, branch_id, membership_start, membership_end,
-        total_fee, amount_paid, shift_ids, seat_id, cash, online, security_money, remark, profile_image_url,
-        registration_number, father_name, aadhar_number, locker_id, aadhaar_front_url, aadhaar_back_url, discount
+        total_fee, shift_ids, seat_id, cash, online, security_money, remark, profile_image_url,
+        registration_number, father_name, aadhar_number, locker_id, aadhaar_front_url, aadhaar_back_url, discount,
+        date_of_birth
       } = req.body;
 
       console.log('Received request body for POST /students:', req.body);
@@ -387,18 +423,12 @@ module.exports = (pool) => {
       const shiftIdsNum = shift_ids && Array.isArray(shift_ids) ? shift_ids.map(id => parseInt(id, 10)) : [];
 
       const feeValue = parseFloat(total_fee || 0);
-      const paidValue = parseFloat(amount_paid || 0);
       const discountValue = parseFloat(discount || 0);
       if (isNaN(feeValue) || feeValue < 0) {
         console.error('Validation failed: Total fee invalid', { total_fee });
         await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Total fee must be a valid non-negative number' });
       }
-      if (isNaN(paidValue) || paidValue < 0) {
-        console.error('Validation failed: Amount paid invalid', { amount_paid });
-        await client.query('ROLLBACK');
-        return res.status(400).json({ message: 'Amount paid must be a valid non-negative number' });
-      }
       if (isNaN(discountValue) || discountValue < 0) {
         console.error('Validation failed: Discount invalid', { discount });
         await client.query('ROLLBACK');
@@ -424,11 +454,13 @@ module.exports = (pool) => {
         await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Security money must be a valid non-negative number' });
       }
-
-      const dueAmount = feeValue - discountValue - paidValue;
+      if (date_of_birth && !isValidBirthDate(date_of_birth)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Date of birth must be a past date in YYYY-MM-DD format' });
+      }
 
       if (seatIdNum && shiftIdsNum.length > 0) {
-        const seatCheck = await client.query('SELECT 1 FROM seats WHERE id = $1', [seatIdNum]);
+        const seatCheck = await client.query('SELECT 1 FROM seats WHERE id = $1 AND library_id = $2', [seatIdNum, req.libraryId]);
         if (seatCheck.rows.length === 0) {
           console.error('Validation failed: Seat does not exist', { seatIdNum });
           await client.query('ROLLBACK');
@@ -436,7 +468,7 @@ module.exports = (pool) => {
         }
 
         for (const shiftId of shiftIdsNum) {
-          const shiftCheck = await client.query('SELECT 1 FROM schedules WHERE id = $1', [shiftId]);
+          const shiftCheck = await client.query('SELECT 1 FROM schedules WHERE id = $1 AND library_id = $2', [shiftId, req.libraryId]);
           if (shiftCheck.rows.length === 0) {
             console.error('Validation failed: Shift does not exist', { shiftId });
             await client.query('ROLLBACK');
@@ -446,8 +478,8 @@ module.exports = (pool) => {
 
         for (const shiftId of shiftIdsNum) {
           const checkAssignment = await client.query(
-            'SELECT 1 FROM seat_assignments WHERE seat_id = $1 AND shift_id = $2',
-            [seatIdNum, shiftId]
+            'SELECT 1 FROM seat_assignments WHERE seat_id = $1 AND shift_id = $2 AND library_id = $3',
+            [seatIdNum, shiftId, req.libraryId]
           );
           if (checkAssignment.rows.length > 0) {
             console.error('Validation failed: Seat already assigned for shift', { seatIdNum, shiftId });
@@ -458,7 +490,7 @@ module.exports = (pool) => {
       }
 
       if (lockerIdNum) {
-        const lockerCheck = await client.query('SELECT is_assigned FROM locker WHERE id = $1', [lockerIdNum]);
+        const lockerCheck = await client.query('SELECT is_assigned FROM locker WHERE id = $1 AND library_id = $2', [lockerIdNum, req.libraryId]);
         if (lockerCheck.rows.length === 0) {
           console.error('Validation failed: locker does not exist', { lockerIdNum });
           await client.query('ROLLBACK');
@@ -473,28 +505,30 @@ module.exports = (pool) => {
 
       const status = new Date(membership_end) < new Date() ? 'expired' : 'active';
 
+      // The student starts with nothing paid; the cash and online amounts are posted to the ledger below
       const result = await client.query(
         `INSERT INTO students (
           name, email, phone, address, branch_id, membership_start, membership_end,
           total_fee, amount_paid, due_amount, cash, online, security_money, remark, 
           profile_image_url, aadhaar_front_url, aadhaar_back_url, status, locker_id,
-          registration_number, father_name, aadhar_number, discount, is_active, created_at, library_id
+          registration_number, father_name, aadhar_number, discount, is_active, created_at, library_id, date_of_birth
         ) VALUES (
-          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, NOW(), $25
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, NOW(), $25, $26
         ) RETURNING *`,
         [
           name, email, phone, address, branchIdNum, membership_start, membership_end,
-          feeValue, paidValue, dueAmount, cashValue, onlineValue, securityMoneyValue, remark || null, 
+          feeValue, 0, feeValue - discountValue, 0, 0, securityMoneyValue, remark || null, 
           profile_image_url || null, aadhaar_front_url || null, aadhaar_back_url || null, status, lockerIdNum,
-          registration_number || null, father_name || null, aadhar_number || null, discountValue, true, req.libraryId
+          registration_number || null, father_name || null, aadhar_number || null, discountValue, true, req.libraryId,
+          date_of_birth || null
         ]
       );
-      const student = result.rows[0];
+      let student = result.rows[0];
 
       if (lockerIdNum) {
         await client.query(
-          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2',
-          [student.id, lockerIdNum]
+          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2 AND library_id = $3',
+          [student.id, lockerIdNum, req.libraryId]
         );
       }
 
@@ -502,14 +536,14 @@ module.exports = (pool) => {
       if (shiftIdsNum.length > 0) {
         for (const shiftId of shiftIdsNum) {
           await client.query(
-            'INSERT INTO seat_assignments (seat_id, shift_id, student_id) VALUES ($1, $2, $3)',
-            [seatIdNum, shiftId, student.id]
+            'INSERT INTO seat_assignments (seat_id, shift_id, student_id, library_id) VALUES ($1, $2, $3, $4)',
+            [seatIdNum, shiftId, student.id, req.libraryId]
           );
           if (!firstShiftId) firstShiftId = shiftId;
         }
       }
 
-      await client.query(
+      const membership = await client.query(
         `INSERT INTO student_membership_history (
           student_id, name, email, phone, address,
           membership_start, membership_end, status,
@@ -519,7 +553,8 @@ module.exports = (pool) => {
           registration_number, father_name, aadhar_number,
           profile_image_url, aadhaar_front_url, aadhaar_back_url,
           locker_id, discount, changed_at, library_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), $27)`,
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), $27)
+        RETURNING *`,
         [
           student.id, student.name, student.email, student.phone, student.address,
           student.membership_start, student.membership_end, student.status,
@@ -532,6 +567,9 @@ module.exports = (pool) => {
         ]
       );
 
+      await recordInitialPayments(client, req, membership.rows[0], { cash: cashValue, online: onlineValue });
+      ({ student } = await syncMembershipTotals(client, membership.rows[0].id));
+
       // 🚀 AUTOMATIC STUDENT LOGIN ACCOUNT CREATION
       // This ensures new students can login immediately with their phone number
       console.log(`[STUDENTS] 🔄 Starting automatic student account creation process...`);
@@ -540,18 +578,18 @@ module.exports = (pool) => {
         let libraryId = null;
         let libraryCode = null;
         
-        // Enhanced session detection for owners
+        // Enhanced session detection for owners and their admin/staff users
         if (req.session.owner) {
           libraryId = req.session.owner.id;
           libraryCode = req.session.owner.library_code;
           console.log(`[STUDENTS] ✅ Owner session detected - library_id: ${libraryId}, library_code: ${libraryCode}`);
-        } else if (req.session.user && req.session.user.isOwner && req.session.user.libraryId) {
+        } else if (req.session.user && req.session.user.libraryId) {
           libraryId = req.session.user.libraryId;
           libraryCode = req.session.user.libraryCode;
-          console.log(`[STUDENTS] ✅ Owner user session detected - library_id: ${libraryId}, library_code: ${libraryCode}`);
+          console.log(`[STUDENTS] ✅ Admin/Staff session detected - library_id: ${libraryId}, library_code: ${libraryCode}`);
         } else {
-          // For admin/staff, we won't create student accounts automatically
-          console.log(`[STUDENTS] ℹ️  Admin/Staff session - no automatic student account creation`);
+          // Without a library we can't create student accounts automatically
+          console.log(`[STUDENTS] ℹ️  Session has no library - no automatic student account creation`);
           console.log(`[STUDENTS] 🔍 Session debug - req.session.user:`, JSON.stringify(req.session.user, null, 2));
           console.log(`[STUDENTS] 🔍 Session debug - req.session.owner:`, JSON.stringify(req.session.owner, null, 2));
         }
@@ -578,13 +616,13 @@ module.exports = (pool) => {
             
             // Create the student login account
             const accountResult = await client.query(`
-              INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number, created_at)
-              VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+              INSERT INTO student_accounts (library_id, phone, password, student_id, name, email, registration_number, created_at, must_change_password)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), TRUE)
               RETURNING id
             `, [
               libraryId,
               phone,
-              phone, // Password is same as phone number for easy login
+              await hashPassword(phone), // Default password is the phone number; changed on first login
               student.id,
               name,
               email || null,
@@ -598,7 +636,7 @@ module.exports = (pool) => {
             console.log(`[STUDENTS] 📱 Student can now login with:`);
             console.log(`[STUDENTS]    - Library Code: ${libraryCode}`);
             console.log(`[STUDENTS]    - Phone: ${phone}`);
-            console.log(`[STUDENTS]    - Password: ${phone}`);
+            console.log(`[STUDENTS]    - Password: phone number (must be changed on first login)`);
             console.log(`[STUDENTS] 🌐 Login URL: Student login available via the application`);
           } else {
             console.log(`[STUDENTS] ⚠️  Login account already exists for phone: ${phone} in library ${libraryId}`);
@@ -611,7 +649,7 @@ module.exports = (pool) => {
           console.log(`[STUDENTS]    - Session Type: ${req.session.owner ? 'owner' : req.session.user ? 'user' : 'none'}`);
           
           if (!libraryId) {
-            console.log(`[STUDENTS] 💡 TIP: Make sure you're logged in as an owner to enable automatic student account creation`);
+            console.log(`[STUDENTS] 💡 TIP: Make sure you're logged in to a library to enable automatic student account creation`);
           }
         }
       } catch (accountError) {
@@ -647,7 +685,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.put('/:id', checkAdminOrStaff, async (req, res) => {
+  router.put('/:id', checkPermissions(['manage_library_students']), async (req, res) => {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -655,28 +693,30 @@ module.exports = (pool) => {
       
       const {
         name, email, phone, address, branch_id, membership_start, membership_end,
-        total_fee, amount_paid, shift_ids, seat_id, cash, online, security_money, remark,
+        total_fee, shift_ids, seat_id, cash, online, security_money, remark,
         registration_number, father_name, aadhar_number, profile_image_url, locker_id,
-        aadhaar_front_url, aadhaar_back_url, discount
+        aadhaar_front_url, aadhaar_back_url, discount, date_of_birth
       } = req.body;
       
       if (!name || !phone || !address || !branch_id || !membership_start || !membership_end) {
         await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Required fields missing: Name, Phone, Address, Branch, and Membership Dates are required.' });
       }
+      if (date_of_birth && !isValidBirthDate(date_of_birth)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Date of birth must be a past date in YYYY-MM-DD format' });
+      }
 
       const seatIdNum = seat_id ? parseInt(seat_id, 10) : null;
       const lockerIdNum = locker_id ? parseInt(locker_id, 10) : null;
       const shiftIdsNum = shift_ids && Array.isArray(shift_ids) ? shift_ids.map(sid => parseInt(sid, 10)) : [];
       
       const feeValue = parseFloat(total_fee || 0);
-      const paidValue = parseFloat(amount_paid || 0);
       const discountValue = parseFloat(discount || 0);
-      const dueAmountValue = feeValue - discountValue - paidValue;
       const status = new Date(membership_end) < new Date() ? 'expired' : 'active';
 
       if (lockerIdNum) {
-        const lockerCheck = await client.query('SELECT is_assigned, student_id FROM locker WHERE id = $1', [lockerIdNum]);
+        const lockerCheck = await client.query('SELECT is_assigned, student_id FROM locker WHERE id = $1 AND library_id = $2', [lockerIdNum, req.libraryId]);
         if (lockerCheck.rows.length === 0) {
           await client.query('ROLLBACK');
           return res.status(400).json({ message: `locker with ID ${lockerIdNum} does not exist` });
@@ -687,29 +727,32 @@ module.exports = (pool) => {
         }
       }
 
-      const previouslockerCheck = await client.query('SELECT locker_id FROM students WHERE id = $1', [id]);
+      const previouslockerCheck = await client.query('SELECT locker_id FROM students WHERE id = $1 AND library_id = $2', [id, req.libraryId]);
       const previouslockerId = previouslockerCheck.rows[0].locker_id;
       if (previouslockerId) {
         await client.query('UPDATE locker SET is_assigned = false, student_id = NULL WHERE id = $1 AND library_id = $2', [previouslockerId, req.libraryId]);
       }
 
+      // Payment totals are not written here: they are derived from the ledger once it is reconciled below
       const result = await client.query(
         `UPDATE students 
          SET name = $1, email = $2, phone = $3, address = $4, branch_id = $5,
              membership_start = $6, membership_end = $7, total_fee = $8, 
-             amount_paid = $9, due_amount = $10, cash = $11, online = $12, 
-             security_money = $13, remark = $14, status = $15,
-             registration_number = $16, father_name = $17, aadhar_number = $18, 
-             profile_image_url = $19, locker_id = $20, aadhaar_front_url = $21, aadhaar_back_url = $22, discount = $23
-         WHERE id = $24 AND library_id = $25
+             security_money = $9, remark = $10, status = $11,
+             registration_number = $12, father_name = $13, aadhar_number = $14, 
+             profile_image_url = $15, locker_id = $16, aadhaar_front_url = $17, aadhaar_back_url = $18, discount = $19,
+             date_of_birth = CASE WHEN $22::boolean THEN $23::date ELSE date_of_birth END
+         WHERE id = $20 AND library_id = $21
          RETURNING *`,
         [
           name, email, phone, address, branch_id, membership_start, membership_end,
-          feeValue, paidValue, dueAmountValue, cash, online,
+          feeValue,
           security_money, remark || null, status, 
           registration_number || null, father_name || null, aadhar_number || null, 
           profile_image_url || null, lockerIdNum, aadhaar_front_url || null, aadhaar_back_url || null, discountValue,
-          id, req.libraryId
+          id, req.libraryId,
+          // Left as it is by clients that do not send it
+          date_of_birth !== undefined, date_of_birth || null
         ]
       );
 
@@ -718,12 +761,12 @@ module.exports = (pool) => {
         return res.status(404).json({ message: 'Student not found' });
       }
       
-      const updatedStudent = result.rows[0];
+      let updatedStudent = result.rows[0];
       
       if (lockerIdNum) {
         await client.query(
-          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2',
-          [id, lockerIdNum]
+          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2 AND library_id = $3',
+          [id, lockerIdNum, req.libraryId]
         );
       }
 
@@ -732,32 +775,39 @@ module.exports = (pool) => {
       if (shiftIdsNum.length > 0) {
         for (const shiftId of shiftIdsNum) {
           await client.query(
-            'INSERT INTO seat_assignments (seat_id, shift_id, student_id) VALUES ($1, $2, $3)',
-            [seatIdNum, shiftId, id]
+            'INSERT INTO seat_assignments (seat_id, shift_id, student_id, library_id) VALUES ($1, $2, $3, $4)',
+            [seatIdNum, shiftId, id, req.libraryId]
           );
           if (!firstShiftId) firstShiftId = shiftId;
         }
       }
       
-      await client.query(
+      const membership = await client.query(
         `UPDATE student_membership_history
          SET name = $1, email = $2, phone = $3, address = $4, membership_start = $5, membership_end = $6, status = $7,
-             total_fee = $8, amount_paid = $9, due_amount = $10, cash = $11, online = $12, security_money = $13,
-             remark = $14, seat_id = $15, shift_id = $16, branch_id = $17, registration_number = $18,
-             father_name = $19, aadhar_number = $20, profile_image_url = $21, 
-             aadhaar_front_url = $22, aadhaar_back_url = $23, locker_id = $24, discount = $25
-         WHERE id = (SELECT id FROM student_membership_history WHERE student_id = $26 ORDER BY id DESC LIMIT 1) AND library_id = $27`,
+             total_fee = $8, security_money = $9,
+             remark = $10, seat_id = $11, shift_id = $12, branch_id = $13, registration_number = $14,
+             father_name = $15, aadhar_number = $16, profile_image_url = $17, 
+             aadhaar_front_url = $18, aadhaar_back_url = $19, locker_id = $20, discount = $21
+         WHERE id = (SELECT id FROM student_membership_history WHERE student_id = $22 ORDER BY id DESC LIMIT 1) AND library_id = $23
+         RETURNING *`,
          [
            updatedStudent.name, updatedStudent.email, updatedStudent.phone, updatedStudent.address,
            updatedStudent.membership_start, updatedStudent.membership_end, updatedStudent.status,
-           updatedStudent.total_fee, updatedStudent.amount_paid, updatedStudent.due_amount,
-           updatedStudent.cash, updatedStudent.online, updatedStudent.security_money, updatedStudent.remark || '',
+           updatedStudent.total_fee, updatedStudent.security_money, updatedStudent.remark || '',
            seatIdNum, firstShiftId, updatedStudent.branch_id, updatedStudent.registration_number,
            updatedStudent.father_name, updatedStudent.aadhar_number, updatedStudent.profile_image_url || '',
            updatedStudent.aadhaar_front_url || '', updatedStudent.aadhaar_back_url || '', lockerIdNum, updatedStudent.discount,
            id, req.libraryId
          ]
       );
+
+      // Changed cash/online totals become a new receipt, or a correcting adjustment when lowered
+      if (membership.rows.length > 0) {
+        await reconcilePaymentTotals(client, req, membership.rows[0], { cash, online });
+        const synced = await syncMembershipTotals(client, membership.rows[0].id);
+        updatedStudent = synced.student || updatedStudent;
+      }
       
       await client.query('COMMIT');
       res.json({ student: {
@@ -783,25 +833,44 @@ module.exports = (pool) => {
     }
   });
 
-  router.delete('/:id', checkAdminOrStaff, async (req, res) => {
+  router.delete('/:id', checkPermissions(['manage_library_students']), async (req, res) => {
+    const client = await pool.connect();
     try {
       const id = parseInt(req.params.id, 10);
-      await pool.query('DELETE FROM seat_assignments WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
-      await pool.query('UPDATE locker SET is_assigned = false, student_id = NULL WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
-      await pool.query('DELETE FROM student_membership_history WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
-      const del = await pool.query('DELETE FROM students WHERE id = $1 AND library_id = $2 RETURNING *', [id, req.libraryId]);
+      await client.query('BEGIN');
+      // Kept for the audit trail, since the student's payment history is deleted with them
+      const history = await client.query(
+        'SELECT * FROM student_membership_history WHERE student_id = $1 AND library_id = $2 ORDER BY changed_at',
+        [id, req.libraryId]
+      );
+      const payments = await getStudentPayments(client, req.libraryId, id);
+      await client.query('DELETE FROM seat_assignments WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
+      await client.query('UPDATE locker SET is_assigned = false, student_id = NULL WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
+      await client.query('DELETE FROM student_membership_history WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
+      const del = await client.query('DELETE FROM students WHERE id = $1 AND library_id = $2 RETURNING *', [id, req.libraryId]);
       if (!del.rows[0]) {
+        await client.query('ROLLBACK');
         return res.status(404).json({ message: 'Student not found' });
       }
+      await recordAudit(client, req, {
+        action: 'delete',
+        entityType: 'students',
+        entityId: id,
+        before: { ...del.rows[0], membership_history: history.rows, payments }
+      });
+      await client.query('COMMIT');
       return res.json({ message: 'Student deleted', student: del.rows[0] });
     } catch (err) {
+      await client.query('ROLLBACK');
       console.error('DELETE /students/:id error:', err);
       return res.status(500).json({ message: 'Server error deleting student', error: err.message });
+    } finally {
+      client.release();
     }
   });
 
   // Dashboard stats with owner authentication and data isolation
-  router.get('/stats/dashboard', authenticateOwner, ensureOwnerDataIsolation, async (req, res) => {
+  router.get('/stats/dashboard', authenticateLibraryUser, ensureOwnerDataIsolation, async (req, res) => {
     try {
         const { branchId } = req.query;
         const libraryId = req.libraryId; // Added from ensureOwnerDataIsolation middleware
@@ -816,16 +885,17 @@ module.exports = (pool) => {
         let paramIndex = 3; // Next parameter index after libraryId and date range
         
         // Base queries with library_id filter
+        // Collections are the ledger's receipts dated this month; dues are derived for the periods started this month
         let totalCollectionQuery = `
-            SELECT COALESCE(SUM(h.amount_paid), 0) AS total 
-            FROM student_membership_history h
-            JOIN students s ON h.student_id = s.id
-            WHERE s.library_id = $1 AND h.changed_at BETWEEN $2 AND $3`;
+            SELECT COALESCE(SUM(p.amount), 0) AS total 
+            FROM student_payments p
+            WHERE p.library_id = $1 AND p.payment_date BETWEEN $2::date AND $3::date`;
             
         let totalDueQuery = `
-            SELECT COALESCE(SUM(h.due_amount), 0) AS total 
+            SELECT COALESCE(SUM(COALESCE(h.total_fee, 0) - COALESCE(h.discount, 0) - pay.paid), 0) AS total 
             FROM student_membership_history h
             JOIN students s ON h.student_id = s.id
+            ${membershipPaymentsJoin('h')}
             WHERE s.library_id = $1 AND h.changed_at BETWEEN $2 AND $3`;
             
         let totalExpenseQuery = `
@@ -835,7 +905,7 @@ module.exports = (pool) => {
 
         // Add branch filter if provided
         if (branchIdNum) {
-            totalCollectionQuery += ` AND h.branch_id = $${paramIndex + 1}`;
+            totalCollectionQuery += ` AND p.branch_id = $${paramIndex + 1}`;
             totalDueQuery += ` AND h.branch_id = $${paramIndex + 1}`;
             totalExpenseQuery += ` AND e.branch_id = $${paramIndex + 1}`;
             params.push(branchIdNum);
@@ -874,7 +944,7 @@ module.exports = (pool) => {
     }
   });
 
-  router.post('/:id/renew', checkAdminOrStaff, async (req, res) => {
+  router.post('/:id/renew', checkPermissions(['manage_library_students']), async (req, res) => {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
@@ -902,15 +972,13 @@ module.exports = (pool) => {
       const onlineValue = parseFloat(online || 0);
       const securityMoneyValue = parseFloat(security_money || 0);
       const discountValue = parseFloat(discount || 0);
-      const amount_paid = cashValue + onlineValue;
-      const due_amount = feeValue - discountValue - amount_paid;
       const status = new Date(membership_end) < new Date() ? 'expired' : 'active';
 
       if (seatIdNum && shiftIdsNum.length > 0) {
         for (const shiftId of shiftIdsNum) {
           const checkAssignment = await client.query(
-            'SELECT 1 FROM seat_assignments WHERE seat_id = $1 AND shift_id = $2 AND student_id != $3',
-            [seatIdNum, shiftId, id]
+            'SELECT 1 FROM seat_assignments WHERE seat_id = $1 AND shift_id = $2 AND student_id != $3 AND library_id = $4',
+            [seatIdNum, shiftId, id, req.libraryId]
           );
           if (checkAssignment.rows.length > 0) {
             await client.query('ROLLBACK');
@@ -920,7 +988,7 @@ module.exports = (pool) => {
       }
 
       if (lockerIdNum) {
-        const lockerCheck = await client.query('SELECT is_assigned, student_id FROM locker WHERE id = $1', [lockerIdNum]);
+        const lockerCheck = await client.query('SELECT is_assigned, student_id FROM locker WHERE id = $1 AND library_id = $2', [lockerIdNum, req.libraryId]);
         if (lockerCheck.rows.length === 0) {
           await client.query('ROLLBACK');
           return res.status(400).json({ message: `locker with ID ${lockerIdNum} does not exist` });
@@ -933,6 +1001,7 @@ module.exports = (pool) => {
 
       await client.query('UPDATE locker SET is_assigned = false, student_id = NULL WHERE student_id = $1 AND library_id = $2', [id, req.libraryId]);
 
+      // The new period starts with nothing paid; the cash and online amounts are posted to the ledger below
       const upd = await client.query(
         `UPDATE students
          SET name = $1, registration_number = $2, father_name = $3, aadhar_number = $4, address = $5,
@@ -947,8 +1016,8 @@ module.exports = (pool) => {
           name, registration_number, father_name, aadhar_number, address,
           membership_start, membership_end, status,
           email, phone, branchIdNum,
-          feeValue, amount_paid, due_amount,
-          cashValue, onlineValue, securityMoneyValue, remark || null,
+          feeValue, 0, feeValue - discountValue,
+          0, 0, securityMoneyValue, remark || null,
           profile_image_url || null, aadhaar_front_url || null, aadhaar_back_url || null, lockerIdNum, discountValue,
           id, req.libraryId
         ]
@@ -958,12 +1027,12 @@ module.exports = (pool) => {
         await client.query('ROLLBACK');
         return res.status(404).json({ message: 'Student not found' });
       }
-      const updated = upd.rows[0];
+      let updated = upd.rows[0];
 
       if (lockerIdNum) {
         await client.query(
-          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2',
-          [id, lockerIdNum]
+          'UPDATE locker SET is_assigned = true, student_id = $1 WHERE id = $2 AND library_id = $3',
+          [id, lockerIdNum, req.libraryId]
         );
       }
 
@@ -972,14 +1041,14 @@ module.exports = (pool) => {
       if (shiftIdsNum.length > 0) {
         for (const shiftId of shiftIdsNum) {
           await client.query(
-            'INSERT INTO seat_assignments (seat_id, shift_id, student_id) VALUES ($1, $2, $3)',
-            [seatIdNum, shiftId, id]
+            'INSERT INTO seat_assignments (seat_id, shift_id, student_id, library_id) VALUES ($1, $2, $3, $4)',
+            [seatIdNum, shiftId, id, req.libraryId]
           );
           if (!firstShiftId) firstShiftId = shiftId;
         }
       }
 
-      await client.query(
+      const membership = await client.query(
         `INSERT INTO student_membership_history (
           student_id, name, email, phone, address,
           membership_start, membership_end, status,
@@ -989,7 +1058,8 @@ module.exports = (pool) => {
           registration_number, father_name, aadhar_number,
           profile_image_url, aadhaar_front_url, aadhaar_back_url,
           locker_id, discount, changed_at, library_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), $27)`,
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), $27)
+        RETURNING *`,
         [
           updated.id, updated.name, updated.email, updated.phone, updated.address,
           updated.membership_start, updated.membership_end, updated.status,
@@ -1002,6 +1072,9 @@ module.exports = (pool) => {
         ]
       );
 
+      await recordInitialPayments(client, req, membership.rows[0], { cash: cashValue, online: onlineValue });
+      ({ student: updated } = await syncMembershipTotals(client, membership.rows[0].id));
+
       await client.query('COMMIT');
       res.json({
         message: 'Membership renewed',
@@ -8,13 +8,12 @@ const validateSubscription = (req, res, next) => {
     return next();
   }
 
-  // Check if library owner is authenticated
-  if (!req.session || !req.session.owner) {
-    return res.status(401).json({ message: 'Unauthorized - Please log in as library owner' });
+  // Get library information including subscription details. Owners keep it in their session;
+  // for admin/staff users updateOwnerSubscriptionInfo loads their library's onto the request.
+  const library = (req.session && req.session.owner) || req.librarySubscription;
+  if (!library) {
+    return res.status(401).json({ message: 'Unauthorized - Please log in' });
   }
-
-  // Get library information including subscription details
-  const library = req.session.owner;
   
   // Check if subscription is active
   if (!library.is_subscription_active) {
@@ -41,22 +40,27 @@ const validateSubscription = (req, res, next) => {
   next();
 };
 
-// Middleware to add subscription info to owner session
+// Middleware to add subscription info to the owner session, or to the request for admin/staff users
 const updateOwnerSubscriptionInfo = async (pool, req, res, next) => {
-  if (req.session && req.session.owner && req.session.owner.id) {
+  const libraryId = req.session && (req.session.owner ? req.session.owner.id : req.session.user && req.session.user.libraryId);
+  if (libraryId) {
     try {
       const result = await pool.query(
         'SELECT subscription_plan, subscription_start_date, subscription_end_date, is_trial, is_subscription_active FROM libraries WHERE id = $1',
-        [req.session.owner.id]
+        [libraryId]
       );
       
       if (result.rows.length > 0) {
         const subscriptionInfo = result.rows[0];
-        req.session.owner.subscription_plan = subscriptionInfo.subscription_plan;
-        req.session.owner.subscription_start_date = subscriptionInfo.subscription_start_date;
-        req.session.owner.subscription_end_date = subscriptionInfo.subscription_end_date;
-        req.session.owner.is_trial = subscriptionInfo.is_trial;
-        req.session.owner.is_subscription_active = subscriptionInfo.is_subscription_active;
+        if (req.session.owner) {
+          req.session.owner.subscription_plan = subscriptionInfo.subscription_plan;
+          req.session.owner.subscription_start_date = subscriptionInfo.subscription_start_date;
+          req.session.owner.subscription_end_date = subscriptionInfo.subscription_end_date;
+          req.session.owner.is_trial = subscriptionInfo.is_trial;
+          req.session.owner.is_subscription_active = subscriptionInfo.is_subscription_active;
+        } else {
+          req.librarySubscription = subscriptionInfo;
+        }
       }
     } catch (error) {
       console.error('[SUBSCRIPTION] Error updating owner subscription info:', error);
@@ -1,24 +1,19 @@
 // Subscription management routes
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
 const { authenticateOwner } = require('./ownerAuth');
-
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_your_key_id_here',
-  key_secret: process.env.RAZORPAY_KEY_SECRET || 'your_key_secret_here'
-});
-
-// Check if Razorpay is properly configured
-const isRazorpayConfigured = () => {
-  const keyId = process.env.RAZORPAY_KEY_ID;
-  const keySecret = process.env.RAZORPAY_KEY_SECRET;
-  
-  // Check if we're using real credentials or just placeholders
-  return keyId && keySecret && 
-         keyId !== 'rzp_test_your_key_id_here' && 
-         keySecret !== 'your_key_secret_here';
+const { verifyCheckoutSignature, verifyWebhookSignature } = require('../utils/paymentGateway');
+const { systemContext } = require('../utils/tenantContext');
+const {
+  SUBSCRIPTION_FIELDS, SUBSCRIPTION_PLANS, activateSubscriptionPayment, createSubscriptionOrder, getSubscriptionGateway, markSubscriptionPaymentFailed
+} = require('../utils/subscriptionPayments');
+
+// Copy newly activated subscription fields into the owner's session
+const updateSessionSubscription = (req, subscription) => {
+  req.session.owner.subscription_plan = subscription.subscription_plan;
+  req.session.owner.subscription_start_date = subscription.subscription_start_date;
+  req.session.owner.subscription_end_date = subscription.subscription_end_date;
+  req.session.owner.is_trial = subscription.is_trial;
+  req.session.owner.is_subscription_active = subscription.is_subscription_active;
 };
 
 const createSubscriptionRouter = (pool) => {
@@ -40,6 +35,12 @@ const createSubscriptionRouter = (pool) => {
       }
 
       const subscription = result.rows[0];
+      // Payments that activated nothing because their amount did not match the plan's
+      const flagged = await pool.query(
+        `SELECT razorpay_order_id, razorpay_payment_id, plan, failure_reason, created_at
+         FROM subscription_payments WHERE library_id = $1 AND status = 'flagged' ORDER BY created_at DESC`,
+        [libraryId]
+      );
       
       // Calculate days left in trial
       let daysLeft = null;
@@ -57,7 +58,8 @@ const createSubscriptionRouter = (pool) => {
           endDate: subscription.subscription_end_date,
           isTrial: subscription.is_trial,
           isActive: subscription.is_subscription_active,
-          daysLeft: daysLeft
+          daysLeft: daysLeft,
+          flaggedPayments: flagged.rows
         }
       });
     } catch (error) {
@@ -66,194 +68,129 @@ const createSubscriptionRouter = (pool) => {
     }
   });
 
-  // Update subscription after successful payment
-  router.post('/subscribe', authenticateOwner, async (req, res) => {
+  // Activate a confirmed payment in its own transaction; returns what activateSubscriptionPayment returns
+  const activateInTransaction = async (req, payment) => {
+    const client = await pool.connect();
     try {
-      const { plan, startDate, endDate } = req.body;
-      const libraryId = req.session.owner.id;
-      
-      // Validate plan
-      const validPlans = ['free_trial', '1_month', '3_month', '6_month', '12_month'];
-      if (!validPlans.includes(plan)) {
-        return res.status(400).json({ message: 'Invalid subscription plan' });
-      }
-      
-      // Update subscription details
-      const result = await pool.query(
-        `UPDATE libraries 
-         SET subscription_plan = $1, 
-             subscription_start_date = $2, 
-             subscription_end_date = $3, 
-             is_trial = false, 
-             is_subscription_active = true
-         WHERE id = $4
-         RETURNING subscription_plan, subscription_start_date, subscription_end_date, is_trial, is_subscription_active`,
-        [plan, startDate, endDate, libraryId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).json({ message: 'Library not found' });
-      }
-
-      const subscription = result.rows[0];
-      
-      // Update session with new subscription info
-      req.session.owner.subscription_plan = subscription.subscription_plan;
-      req.session.owner.subscription_start_date = subscription.subscription_start_date;
-      req.session.owner.subscription_end_date = subscription.subscription_end_date;
-      req.session.owner.is_trial = subscription.is_trial;
-      req.session.owner.is_subscription_active = subscription.is_subscription_active;
-
-      res.json({
-        message: 'Subscription updated successfully',
-        subscription: {
-          plan: subscription.subscription_plan,
-          startDate: subscription.subscription_start_date,
-          endDate: subscription.subscription_end_date,
-          isTrial: subscription.is_trial,
-          isActive: subscription.is_subscription_active
-        }
-      });
+      await client.query('BEGIN');
+      const result = await activateSubscriptionPayment(client, req, payment);
+      await client.query('COMMIT');
+      return result;
     } catch (error) {
-      console.error('[SUBSCRIPTION] Error updating subscription:', error);
-      res.status(500).json({ message: 'Server error while updating subscription' });
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Razorpay webhook. The signature is an HMAC of the raw body with RAZORPAY_WEBHOOK_SECRET; payments
+  // are matched to the orders created by /create-order, so a retried event activates nothing twice, and a
+  // payment of another amount than its order's is flagged instead of activating the plan.
+  router.post('/webhook', systemContext, async (req, res) => {
+    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!webhookSecret) {
+      console.error('[SUBSCRIPTION] Webhook received but RAZORPAY_WEBHOOK_SECRET is not set');
+      return res.status(500).json({ message: 'Webhook not configured' });
+    }
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'], webhookSecret)) {
+      return res.status(400).json({ message: 'Invalid signature' });
     }
-  });
 
-  // Razorpay webhook endpoint (to be implemented with actual Razorpay integration)
-  router.post('/webhook', async (req, res) => {
-    // This would handle Razorpay webhooks to confirm payments
-    console.log('[SUBSCRIPTION] Razorpay webhook received:', req.body);
-  
-    // Verify webhook signature
-    const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET || 'your_webhook_secret_here';
-    const signature = req.headers['x-razorpay-signature'];
-  
     try {
-      const shasum = crypto.createHmac('sha256', webhookSecret);
-      shasum.update(JSON.stringify(req.body));
-      const digest = shasum.digest('hex');
-  
-      if (digest !== signature) {
-        return res.status(400).json({ message: 'Invalid signature' });
+      const { event, payload } = req.body;
+      const payment = payload && payload.payment && payload.payment.entity;
+      if (!payment || !payment.order_id) {
+        return res.status(200).json({ message: 'Event ignored' });
       }
-  
-      // Process the webhook event
-      const event = req.body.event;
-      const payload = req.body.payload;
-  
-      if (event === 'payment.captured') {
-        // Payment was successful, update subscription status
-        const libraryId = payload.payment.entity.notes.libraryId;
-        const planId = payload.payment.entity.notes.planId;
-        
-        if (libraryId && planId) {
-          // Update subscription in database
-          await updateSubscriptionInDatabase(pool, libraryId, planId);
+
+      if (event === 'payment.captured' || event === 'order.paid') {
+        const result = await activateInTransaction(req, {
+          orderId: payment.order_id,
+          paymentId: payment.id,
+          amountPaise: payment.amount
+        });
+        if (result && result.flagged) {
+          // Acknowledged all the same: a retry of the webhook would not change the amount
+          console.warn(`[SUBSCRIPTION] Payment ${payment.id} of order ${payment.order_id} flagged: ${result.payment.failure_reason}`);
+          return res.status(200).json({ message: 'Payment flagged for review' });
         }
+        return res.status(200).json({ message: result ? 'Webhook processed successfully' : 'Event ignored' });
+      }
+      if (event === 'payment.failed') {
+        await markSubscriptionPaymentFailed(pool, {
+          orderId: payment.order_id,
+          reason: payment.error_description || payment.error_reason || null
+        });
       }
-  
       res.status(200).json({ message: 'Webhook processed successfully' });
     } catch (error) {
+      // A failed response makes Razorpay retry the webhook later
       console.error('[SUBSCRIPTION] Error processing webhook:', error);
       res.status(500).json({ message: 'Error processing webhook' });
     }
   });
 
-  // Create order for Razorpay checkout
+  // Create order for Razorpay checkout. The amount is the plan's price; any amount sent is ignored.
   router.post('/create-order', authenticateOwner, async (req, res) => {
     try {
-      const { planId, amount } = req.body;
+      const { planId } = req.body;
       const libraryId = req.session.owner.id;
   
-      // Validate plan and amount
-      const validPlans = ['1_month', '3_month', '6_month', '9_month', '12_month'];
-      if (!validPlans.includes(planId)) {
+      if (!SUBSCRIPTION_PLANS[planId]) {
         return res.status(400).json({ message: 'Invalid subscription plan' });
       }
   
-      if (!amount || amount <= 0) {
-        return res.status(400).json({ message: 'Invalid amount' });
-      }
-  
       // Check if Razorpay is properly configured
-      if (!isRazorpayConfigured()) {
+      if (!getSubscriptionGateway()) {
         return res.status(500).json({ 
           message: 'Payment gateway not configured. Please set up Razorpay credentials in environment variables.',
           code: 'RAZORPAY_NOT_CONFIGURED'
         });
       }
   
-      // Create Razorpay order
-      const options = {
-        amount: amount, // Amount in paise
-        currency: 'INR',
-        receipt: `receipt_${libraryId}_${planId}`,
-        notes: {
-          libraryId: libraryId,
-          planId: planId
-        }
-      };
-  
-      const order = await razorpay.orders.create(options);
-      res.json(order);
+      const { order, keyId } = await createSubscriptionOrder(pool, libraryId, planId);
+      res.json({ ...order, key_id: keyId });
     } catch (error) {
       console.error('[SUBSCRIPTION] Error creating Razorpay order:', error);
       res.status(500).json({ message: 'Server error while creating order: ' + error.message });
     }
   });
 
-  // Verify payment after checkout
+  // Verify payment after checkout and activate the plan the order was created for
   router.post('/verify-payment', authenticateOwner, async (req, res) => {
     try {
-      const { razorpay_order_id, razorpay_payment_id, razorpay_signature, planId } = req.body;
+      const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
       const libraryId = req.session.owner.id;
-      
-      // Validate plan
-      const validPlans = ['1_month', '3_month', '6_month', '9_month', '12_month'];
-      if (!validPlans.includes(planId)) {
-        return res.status(400).json({ success: false, message: 'Invalid subscription plan' });
-      }
-  
-      // Verify payment signature
-      const shasum = crypto.createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || 'your_key_secret_here');
-      shasum.update(razorpay_order_id + '|' + razorpay_payment_id);
-      const digest = shasum.digest('hex');
+      const gateway = getSubscriptionGateway();
   
-      if (digest !== razorpay_signature) {
+      if (!gateway || !razorpay_order_id || !razorpay_payment_id || !verifyCheckoutSignature({
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature
+      }, gateway.keySecret)) {
         return res.status(400).json({ success: false, message: 'Invalid payment signature' });
       }
-  
-      // Update subscription in database
-      const startDate = new Date();
-      const endDate = calculateEndDate(planId);
-  
-      const result = await pool.query(
-        `UPDATE libraries 
-         SET subscription_plan = $1, 
-             subscription_start_date = $2, 
-             subscription_end_date = $3, 
-             is_trial = false, 
-             is_subscription_active = true
-         WHERE id = $4
-         RETURNING subscription_plan, subscription_start_date, subscription_end_date, is_trial, is_subscription_active`,
-        [planId, startDate, endDate, libraryId]
-      );
 
-      if (result.rows.length === 0) {
-        return res.status(404).json({ success: false, message: 'Library not found' });
+      const owner = await pool.query('SELECT library_id FROM subscription_payments WHERE razorpay_order_id = $1', [razorpay_order_id]);
+      if (owner.rows.length === 0 || owner.rows[0].library_id !== Number(libraryId)) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
       }
 
-      const subscription = result.rows[0];
-  
-      // Update session with new subscription info
-      req.session.owner.subscription_plan = subscription.subscription_plan;
-      req.session.owner.subscription_start_date = subscription.subscription_start_date;
-      req.session.owner.subscription_end_date = subscription.subscription_end_date;
-      req.session.owner.is_trial = subscription.is_trial;
-      req.session.owner.is_subscription_active = subscription.is_subscription_active;
+      const result = await activateInTransaction(req, { orderId: razorpay_order_id, paymentId: razorpay_payment_id });
+      if (result.payment.status === 'flagged') {
+        return res.status(409).json({
+          success: false,
+          message: 'Payment received but its amount does not match the plan. Please contact support.'
+        });
+      }
+      const current = await pool.query(`SELECT ${SUBSCRIPTION_FIELDS} FROM libraries WHERE id = $1`, [libraryId]);
+      updateSessionSubscription(req, current.rows[0]);
 
-      res.json({ success: true, message: 'Payment verified and subscription updated' });
+      res.json({
+        success: true,
+        message: result.applied ? 'Payment verified and subscription updated' : 'Payment was already verified'
+      });
     } catch (error) {
       console.error('[SUBSCRIPTION] Error verifying payment:', error);
       res.status(500).json({ success: false, message: 'Server error while verifying payment' });
@@ -263,49 +200,4 @@ const createSubscriptionRouter = (pool) => {
   return router;
 };
 
-// Helper function to calculate end date based on plan
-const calculateEndDate = (planId) => {
-  const startDate = new Date();
-  const endDate = new Date(startDate);
-  
-  switch(planId) {
-    case '1_month':
-      endDate.setMonth(endDate.getMonth() + 1);
-      break;
-    case '3_month':
-      endDate.setMonth(endDate.getMonth() + 3);
-      break;
-    case '6_month':
-      endDate.setMonth(endDate.getMonth() + 6);
-      break;
-    case '9_month':
-      endDate.setMonth(endDate.getMonth() + 9);
-      break;
-    case '12_month':
-      endDate.setFullYear(endDate.getFullYear() + 1);
-      break;
-    default:
-      endDate.setMonth(endDate.getMonth() + 1);
-  }
-  
-  return endDate;
-};
-
-// Helper function to update subscription in database
-const updateSubscriptionInDatabase = async (pool, libraryId, planId) => {
-  const startDate = new Date();
-  const endDate = calculateEndDate(planId);
-  
-  await pool.query(
-    `UPDATE libraries 
-     SET subscription_plan = $1, 
-         subscription_start_date = $2, 
-         subscription_end_date = $3, 
-         is_trial = false, 
-         is_subscription_active = true
-     WHERE id = $4`,
-    [planId, startDate, endDate, libraryId]
-  );
-};
-
 module.exports = { createSubscriptionRouter };
@@ -1,8 +1,8 @@
 module.exports = (pool) => {
     const router = require('express').Router();
-    const { checkAdminOrStaff } = require('./auth');
+    const { checkPermissions } = require('./auth');
   
-    router.get('/', checkAdminOrStaff, async (req, res) => {
+    router.get('/', checkPermissions(['view_transactions', 'manage_transactions'], 'OR'), async (req, res) => {
       try {
         const result = await pool.query('SELECT * FROM transactions WHERE library_id = $1 ORDER BY created_at DESC', [req.libraryId]);
         res.json({ transactions: result.rows });
@@ -12,7 +12,7 @@ module.exports = (pool) => {
       }
     });
   
-    router.post('/', checkAdminOrStaff, async (req, res) => {
+    router.post('/', checkPermissions(['manage_transactions']), async (req, res) => {
       try {
         const { name, cash_receipt, online_receipt, cash_expense, online_expense } = req.body;
         if (!name) {
@@ -29,7 +29,7 @@ module.exports = (pool) => {
       }
     });
   
-    router.put('/:id', checkAdminOrStaff, async (req, res) => {
+    router.put('/:id', checkPermissions(['manage_transactions']), async (req, res) => {
       try {
         const { id } = req.params;
         const { name, cash_receipt, online_receipt, cash_expense, online_expense } = req.body;
@@ -54,7 +54,7 @@ module.exports = (pool) => {
       }
     });
   
-    router.delete('/:id', checkAdminOrStaff, async (req, res) => {
+    router.delete('/:id', checkPermissions(['manage_transactions']), async (req, res) => {
       try {
         const { id } = req.params;
         const result = await pool.query('DELETE FROM transactions WHERE id = $1 AND library_id = $2 RETURNING *', [id, req.libraryId]);
@@ -1,4 +1,7 @@
 const { checkAdmin } = require('./auth');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+const { findUnknownPermissions } = require('../utils/permissions');
+const { recordAudit } = require('../utils/auditLog');
 
 module.exports = (pool) => {
   const router = require('express').Router();
@@ -45,7 +48,7 @@ module.exports = (pool) => {
 
       if (current_password && new_password) {
         const userResult = await pool.query('SELECT password FROM users WHERE id = $1 AND library_id = $2', [req.session.user.id, req.libraryId]);
-        const isPasswordValid = (current_password === userResult.rows[0].password);
+        const { valid: isPasswordValid } = await verifyPassword(current_password, userResult.rows[0].password);
 
         if (!isPasswordValid) {
           return res.status(400).json({ message: 'Current password is incorrect' });
@@ -57,7 +60,7 @@ module.exports = (pool) => {
            email = COALESCE($2, email),
            password = $3
            WHERE id = $4 AND library_id = $5 RETURNING id, username, full_name, email, role`,
-          [full_name, email, new_password, req.session.user.id, req.libraryId]
+          [full_name, email, await hashPassword(new_password), req.session.user.id, req.libraryId]
         );
 
         return res.json({
@@ -88,14 +91,34 @@ module.exports = (pool) => {
     try {
       await client.query('BEGIN');
       
-      const { username, password, role, full_name, email, permissions, branch_access } = req.body;
+      const { username, password, role, full_name, email, permissions, branch_access, role_id } = req.body;
 
       if (!username || !password || !role) {
+        await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Username, password, and role are required' });
       }
       if (!['admin', 'staff'].includes(role)) {
+        await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Invalid role. Must be "admin" or "staff"' });
       }
+      if (permissions !== undefined && !Array.isArray(permissions)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Permissions must be an array of strings.' });
+      }
+      const unknownPermissions = findUnknownPermissions(permissions || []);
+      if (unknownPermissions.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Unknown permission(s): ${unknownPermissions.join(', ')}` });
+      }
+
+      // Custom role, if any, must belong to this library
+      if (role_id) {
+        const roleCheck = await client.query('SELECT id FROM roles WHERE id = $1 AND library_id = $2', [role_id, req.libraryId]);
+        if (roleCheck.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Invalid role ID provided' });
+        }
+      }
 
       // Validate branch access if provided
       if (branch_access && Array.isArray(branch_access) && branch_access.length > 0) {
@@ -119,10 +142,10 @@ module.exports = (pool) => {
       }
 
       const result = await client.query(
-        `INSERT INTO users (username, password, role, full_name, email, permissions, branch_access, library_id) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-         RETURNING id, username, role, permissions, branch_access`,
-        [username, password, role, full_name || '', email || '', permissions || [], branch_access || [], req.libraryId]
+        `INSERT INTO users (username, password, role, full_name, email, permissions, branch_access, library_id, role_id) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) 
+         RETURNING id, username, role, permissions, branch_access, role_id`,
+        [username, await hashPassword(password), role, full_name || '', email || '', permissions || [], branch_access || [], req.libraryId, role_id || null]
       );
 
       await client.query('COMMIT');
@@ -158,6 +181,9 @@ module.exports = (pool) => {
           u.branch_access,
           u.full_name,
           u.email,
+          u.role_id,
+          r.name as role_name,
+          r.permissions as role_permissions,
           COALESCE(
             ARRAY_AGG(
               CASE WHEN b.id IS NOT NULL 
@@ -167,10 +193,11 @@ module.exports = (pool) => {
             ARRAY[]::json[]
           ) as branch_details
         FROM users u
+        LEFT JOIN roles r ON r.id = u.role_id
         LEFT JOIN LATERAL unnest(u.branch_access) AS ba(branch_id) ON true
         LEFT JOIN branches b ON b.id = ba.branch_id AND b.library_id = $1
         WHERE u.library_id = $1
-        GROUP BY u.id, u.username, u.role, u.permissions, u.branch_access, u.full_name, u.email
+        GROUP BY u.id, u.username, u.role, u.permissions, u.branch_access, u.full_name, u.email, u.role_id, r.name, r.permissions
         ORDER BY u.username`,
         [req.libraryId]
       );
@@ -184,7 +211,10 @@ module.exports = (pool) => {
   router.delete('/:id', checkAdmin, async (req, res) => {
     try {
       const { id } = req.params;
-      const userToDelete = await pool.query('SELECT role FROM users WHERE id = $1 AND library_id = $2', [id, req.libraryId]);
+      const userToDelete = await pool.query(
+        'SELECT id, username, full_name, email, role, permissions, branch_access, role_id FROM users WHERE id = $1 AND library_id = $2',
+        [id, req.libraryId]
+      );
       if (userToDelete.rows.length === 0) {
         return res.status(404).json({ message: 'User not found' });
       }
@@ -195,6 +225,7 @@ module.exports = (pool) => {
         }
       }
       await pool.query('DELETE FROM users WHERE id = $1 AND library_id = $2', [id, req.libraryId]);
+      await recordAudit(pool, req, { action: 'delete', entityType: 'users', entityId: id, before: userToDelete.rows[0] });
       res.json({ message: 'User deleted successfully' });
     } catch (err) {
       res.status(500).json({ message: 'Server error', error: err.message });
@@ -210,9 +241,19 @@ module.exports = (pool) => {
       const { permissions } = req.body;
 
       if (!Array.isArray(permissions)) {
+        await client.query('ROLLBACK');
         return res.status(400).json({ message: 'Permissions must be an array of strings.' });
       }
+      const unknownPermissions = findUnknownPermissions(permissions);
+      if (unknownPermissions.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `Unknown permission(s): ${unknownPermissions.join(', ')}` });
+      }
 
+      const previous = await client.query(
+        'SELECT permissions FROM users WHERE id = $1 AND library_id = $2 FOR UPDATE',
+        [userIdToUpdate, req.libraryId]
+      );
       const result = await client.query(
         'UPDATE users SET permissions = $1 WHERE id = $2 AND library_id = $3 RETURNING id, username, role, permissions',
         [permissions, userIdToUpdate, req.libraryId]
@@ -222,9 +263,16 @@ module.exports = (pool) => {
         await client.query('ROLLBACK');
         return res.status(404).json({ message: 'User not found.' });
       }
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'users/permissions',
+        entityId: userIdToUpdate,
+        before: { username: result.rows[0].username, permissions: previous.rows[0].permissions },
+        after: { username: result.rows[0].username, permissions: result.rows[0].permissions }
+      });
 
       // If the admin is editing their own permissions, update their session
-      if (req.session.user.id === userIdToUpdate) {
+      if (req.session.user?.id === userIdToUpdate) {
         req.session.user.permissions = permissions;
         console.log(`[users.js] Admin updated their own permissions in session:`, permissions);
       } else {
@@ -256,5 +304,63 @@ module.exports = (pool) => {
     }
   });
 
+  // Assign a custom role to a user, or clear it with role_id null; their sessions end so the new permissions apply
+  router.put('/:id/role', checkAdmin, async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const userIdToUpdate = parseInt(req.params.id, 10);
+      const roleId = req.body.role_id ? parseInt(req.body.role_id, 10) : null;
+
+      if (roleId) {
+        const roleCheck = await client.query('SELECT id FROM roles WHERE id = $1 AND library_id = $2', [roleId, req.libraryId]);
+        if (roleCheck.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Invalid role ID provided' });
+        }
+      }
+
+      const previous = await client.query(
+        'SELECT role_id FROM users WHERE id = $1 AND library_id = $2 FOR UPDATE',
+        [userIdToUpdate, req.libraryId]
+      );
+      const result = await client.query(
+        'UPDATE users SET role_id = $1 WHERE id = $2 AND library_id = $3 RETURNING id, username, role, permissions, role_id',
+        [roleId, userIdToUpdate, req.libraryId]
+      );
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'User not found.' });
+      }
+      await recordAudit(client, req, {
+        action: 'update',
+        entityType: 'users/role',
+        entityId: userIdToUpdate,
+        before: { username: result.rows[0].username, role_id: previous.rows[0].role_id },
+        after: { username: result.rows[0].username, role_id: result.rows[0].role_id }
+      });
+
+      const deleteResult = await client.query(
+        "DELETE FROM session WHERE (sess->'user'->>'id')::integer = $1",
+        [userIdToUpdate]
+      );
+      if (deleteResult.rowCount > 0) {
+        console.log(`[users.js] Invalidated ${deleteResult.rowCount} session(s) for user ID ${userIdToUpdate} after a role change.`);
+      }
+
+      await client.query('COMMIT');
+      res.json({
+        message: 'User role updated successfully. The user may need to log in again to see changes.',
+        user: result.rows[0],
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('Error updating user role:', err);
+      res.status(500).json({ message: 'Server error', error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
   return router;
 };
\ No newline at end of file
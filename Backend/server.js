@@ -1,21 +1,17 @@
 // server.js
-const express = require('express');
-const bodyParser = require('body-parser');
 const session = require('express-session');
 const { Pool } = require('pg');
 const path = require('path');
-const cors = require('cors');
 const pgSession = require('connect-pg-simple')(session);
-const fs = require('fs');
 const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
 const winston = require('winston');
 require('dotenv').config();
 
 const { setupCronJobs } = require('./utils/cronJobs');
-const { sendExpirationReminder } = require('./utils/email');
-
-const app = express();
+const { hashPassword } = require('./utils/passwords');
+const { runAsSystem, scopePoolToTenant } = require('./utils/tenantContext');
+const { createApp } = require('./app');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -30,34 +26,6 @@ if (process.env.NODE_ENV !== 'production') {
   logger.add(new winston.transports.Console({ format: winston.format.simple() }));
 }
 
-// CORS - secure configuration for production and mobile apps
-const allowedOrigins = [
-  'https://demohavenn.onrender.com',
-  'file://', // Cordova file:// protocol
-  'https://localhost', // Cordova WebView origin (needed for mobile app)
-  'capacitor://localhost', // Capacitor apps
-  'ionic://localhost', // Ionic apps
-  ...(process.env.NODE_ENV !== 'production' ? [
-    'http://localhost:5173', 
-    'http://localhost:8080'
-  ] : [])
-];
-
-app.use(cors({
-  origin: (origin, callback) => {
-    // If no origin (e.g. curl, mobile apps), allow it
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-User-Info', 'Accept', 'Origin', 'X-Requested-With'],
-  credentials: true,
-  optionsSuccessStatus: 200 // Some legacy browsers (IE11, various SmartTVs) choke on 204
-}));
-
 // Build PG configuration (support DATABASE_URL or discrete DB_* vars)
 const buildPgConfig = () => {
   // If you set DATABASE_URL, prefer it but still ensure SSL
@@ -79,7 +47,8 @@ const buildPgConfig = () => {
 };
 
 const pgConfig = buildPgConfig();
-const pool = new Pool(pgConfig);
+// Queries made for a library only reach its rows (see utils/tenantContext.js)
+const pool = scopePoolToTenant(new Pool(pgConfig));
 
 // Small helper to mask sensitive values for logs
 const mask = (s) => {
@@ -112,33 +81,7 @@ const mask = (s) => {
   }
 })();
 
-// Middleware and basic app setup
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.set('trust proxy', 1);
-
-const staticOptions = {
-  setHeaders: (res, filePath) => {
-    if (filePath.endsWith('.js')) res.setHeader('Content-Type', 'application/javascript');
-    else if (filePath.endsWith('.css')) res.setHeader('Content-Type', 'text/css');
-  }
-};
-app.use(express.static(path.join(__dirname, 'dist'), staticOptions));
-app.use('/assets', express.static(path.join(__dirname, 'dist/assets'), staticOptions));
-app.use(express.static(path.join(__dirname, 'public')));
-
-app.use(session({
-  store: new pgSession({ pool: pool, ttl: 24 * 60 * 60 }),
-  secret: process.env.SESSION_SECRET || 'your-very-secure-secret-key-please-change',
-  resave: false,
-  saveUninitialized: false,
-  cookie: { 
-    maxAge: 24 * 60 * 60 * 1000, 
-    httpOnly: false, // Allow JavaScript access for mobile apps
-    secure: false, // Disable secure cookies for Cordova compatibility
-    sameSite: 'lax' // Compatible with both web and mobile apps
-  },
-}));
+const app = createApp(pool, { logger, sessionStore: new pgSession({ pool: pool, ttl: 24 * 60 * 60 }) });
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -162,241 +105,6 @@ const upload = multer({
   },
 });
 
-// Helper to require route factory safely
-const initializeRoute = (filePath, poolInstance) => {
-  try {
-    const routeFactory = require(filePath);
-    if (typeof routeFactory !== 'function') {
-      logger.error(`FATAL: Route factory in ${filePath} is not a function. Exiting.`);
-      process.exit(1);
-    }
-    return routeFactory(poolInstance);
-  } catch (e) {
-    logger.error(`FATAL: Failed to require or initialize route from ${filePath}: ${e.message}`);
-    process.exit(1);
-  }
-};
-
-// Routes import/initialization
-const {
-  createOwnerAuthRouter,
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-} = require("./routes/ownerAuth");
-const { createStudentAuthRouter } = require("./routes/studentAuth");
-const { createOwnerDashboardRouter } = require('./routes/ownerDashboard');
-const { validateSubscription, updateOwnerSubscriptionInfo } = require('./routes/subscriptionValidation');
-
-const ownerAuthRoutes = createOwnerAuthRouter(pool);
-const studentAuthRoutes = createStudentAuthRouter(pool);
-const ownerDashboardRoutes = createOwnerDashboardRouter(pool);
-
-const userRoutes = initializeRoute('./routes/users', pool);
-const studentRoutes = initializeRoute('./routes/students', pool);
-const scheduleRoutes = initializeRoute('./routes/schedules', pool);
-const seatsRoutes = initializeRoute('./routes/seats', pool);
-const settingsRoutes = initializeRoute('./routes/settings', pool);
-const hostelBranchesRoutes = initializeRoute('./routes/hostelBranches', pool);
-const hostelStudentsRoutes = initializeRoute('./routes/hostelStudents', pool);
-const transactionsRoutes = initializeRoute('./routes/transactions', pool);
-const generalCollectionsRoutes = initializeRoute('./routes/collections', pool);
-const expensesRoutes = initializeRoute('./routes/expenses', pool);
-const reportsRoutes = initializeRoute('./routes/reports', pool);
-const hostelCollectionRoutes = initializeRoute('./routes/hostelCollections', pool);
-const branchesRoutes = initializeRoute('./routes/branches', pool);
-const productsRoutes = initializeRoute('./routes/products', pool);
-const lockersRoutes = initializeRoute('./routes/lockers', pool);
-const announcementsRoutes = initializeRoute('./routes/announcements', pool);
-const queriesRoutes = initializeRoute('./routes/queries', pool);
-const publicRegistrationRoutes = initializeRoute('./routes/publicRegistration', pool);
-const admissionRequestsRoutes = initializeRoute('./routes/admissionRequests', pool);
-const authModule = require('./routes/auth');
-const authRoutes = authModule.authRouter(pool);
-
-// Mount routes
-app.use('/api/owner-auth', ownerAuthRoutes);
-app.use('/api/student-auth', studentAuthRoutes);
-app.use(
-  '/api/owner-dashboard',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  ownerDashboardRoutes
-);
-
-app.use('/api/public-registration', publicRegistrationRoutes);
-app.use('/api/admission-requests', admissionRequestsRoutes);
-app.use('/api/auth', authRoutes);
-
-app.use(
-  '/api/users',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  userRoutes
-);
-// Announcements route is mounted with owner/auth/subscription guards below
-app.use('/api/queries', queriesRoutes);
-app.use(
-  '/api/students',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  studentRoutes
-);
-app.use(
-  '/api/schedules',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  scheduleRoutes
-);
-app.use(
-  '/api/seats',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  seatsRoutes
-);
-app.use(
-  '/api/branches',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  branchesRoutes
-);
-app.use(
-  '/api/lockers',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  lockersRoutes
-);
-
-const { createSubscriptionRouter } = require('./routes/subscriptions');
-const subscriptionRoutes = createSubscriptionRouter(pool);
-app.use('/api/subscriptions', subscriptionRoutes);
-
-app.use(
-  '/api/transactions',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  transactionsRoutes
-);
-app.use(
-  '/api/collections',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  generalCollectionsRoutes
-);
-app.use(
-  '/api/expenses',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  expensesRoutes
-);
-app.use(
-  '/api/reports',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  reportsRoutes
-);
-app.use(
-  '/api/hostel/branches',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  hostelBranchesRoutes
-);
-app.use(
-  '/api/hostel/students',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  hostelStudentsRoutes
-);
-app.use(
-  '/api/hostel/collections',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  hostelCollectionRoutes
-);
-app.use(
-  '/api/products',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  productsRoutes
-);
-app.use(
-  '/api/settings',
-  authenticateOwner,
-  ensureOwnerDataIsolation,
-  updateOwnerSubscriptionInfo.bind(null, pool),
-  validateSubscription,
-  settingsRoutes
-);
-// Announcements route allows any authenticated user (owner, admin, staff, student)
-app.use('/api/announcements', announcementsRoutes);
-
-app.get('/api/test-email', async (req, res) => {
-  try {
-    const settingsResult = await pool.query("SELECT value FROM settings WHERE key = 'brevo_template_id'");
-    if (settingsResult.rows.length === 0 || !settingsResult.rows[0].value) {
-      return res.status(400).json({ message: 'Brevo template ID not set in settings' });
-    }
-    const brevoTemplateId = parseInt(settingsResult.rows[0].value);
-    if (isNaN(brevoTemplateId)) {
-      return res.status(400).json({ message: 'Brevo template ID is not a valid number in settings' });
-    }
-    const testStudent = { email: 'test@example.com', name: 'Test Student', membership_end: '2025-12-31' };
-    await sendExpirationReminder(testStudent, brevoTemplateId);
-    res.json({ message: 'Test email initiated (check Brevo logs/test email inbox)' });
-  } catch (err) {
-    logger.error('Error in test-email endpoint:', err);
-    res.status(500).json({ message: 'Failed to send test email', error: err.message });
-  }
-});
-
-app.get('/api', (req, res) => {
-  res.json({ message: 'Student Management API' });
-});
-
-app.get('*', (req, res) => {
-  const indexPath = path.join(__dirname, 'dist', 'index.html');
-  if (fs.existsSync(indexPath)) {
-    res.sendFile(indexPath);
-  } else {
-    logger.error('Index.html not found in dist folder. Path searched:', indexPath);
-    res.status(404).send('Application resource not found. Please ensure the frontend is built and `dist/index.html` exists.');
-  }
-});
-
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', { message: err.message, stack: err.stack, path: req.path, method: req.method });
-  res.status(500).json({ message: 'Internal Server Error', error: err.message });
-});
-
 // DB helper functions (unchanged logic)
 async function initializeSessionTable() {
   try {
@@ -444,10 +152,10 @@ async function createDefaultAdmin() {
 
     const userCountResult = await pool.query("SELECT COUNT(*) FROM users WHERE role = 'admin'");
     if (parseInt(userCountResult.rows[0].count) === 0) {
-      const plainPassword = process.env.DEFAULT_ADMIN_PASSWORD || 'admin';
+      const hashedPassword = await hashPassword(process.env.DEFAULT_ADMIN_PASSWORD || 'admin');
       await pool.query(
         'INSERT INTO users (username, password, role, full_name, email) VALUES ($1, $2, $3, $4, $5)',
-        [process.env.DEFAULT_ADMIN_USERNAME || 'admin', plainPassword, 'admin', 'Default Admin', 'admin@example.com']
+        [process.env.DEFAULT_ADMIN_USERNAME || 'admin', hashedPassword, 'admin', 'Default Admin', 'admin@example.com']
       );
       logger.info('Default admin user created.');
     } else {
@@ -467,7 +175,7 @@ async function createDefaultAdmin() {
 (async () => {
   try {
     await initializeSessionTable();
-    await createDefaultAdmin();
+    await runAsSystem(createDefaultAdmin);
 
     // start cron jobs with pool so cron queries work
     if (typeof setupCronJobs === 'function') {
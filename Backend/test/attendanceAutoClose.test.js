@@ -0,0 +1,113 @@
+// The hourly auto check-out (autoCloseOpenSessions in utils/cronJobs.js): a session left open is
+// closed at the end of the student's shift, overnight shifts included, or else at the closing_time
+// setting, in the library's time zone.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { autoCloseOpenSessions } = require('../utils/cronJobs');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+describe('attendance auto check-out', () => {
+  let database;
+  let pool;
+  let libraryId;
+  let branchId;
+
+  const asSystem = (sql, params) => runAsSystem(() => pool.query(sql, params));
+  // `daysAgo` days before today in the library's time zone, at `time` there, as a timestamptz
+  const localTime = (daysAgo, time) =>
+    `(((NOW() AT TIME ZONE '${TIMEZONE}')::date - ${daysAgo}) + TIME '${time}') AT TIME ZONE '${TIMEZONE}'`;
+
+  const addStudent = async (name, shift = null) => {
+    const student = await asSystem(
+      'INSERT INTO students (name, branch_id, library_id) VALUES ($1, $2, $3) RETURNING id',
+      [name, branchId, libraryId]
+    );
+    const studentId = student.rows[0].id;
+    if (shift) {
+      const schedule = await asSystem(
+        'INSERT INTO schedules (title, time, end_time, branch_id, library_id) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [`${name} shift`, shift.start, shift.end, branchId, libraryId]
+      );
+      const seat = await asSystem(
+        'INSERT INTO seats (seat_number, branch_id, library_id) VALUES ($1, $2, $3) RETURNING id',
+        [`${name}-S`, branchId, libraryId]
+      );
+      await asSystem(
+        'INSERT INTO seat_assignments (seat_id, shift_id, student_id, library_id) VALUES ($1, $2, $3, $4)',
+        [seat.rows[0].id, schedule.rows[0].id, studentId, libraryId]
+      );
+    }
+    return studentId;
+  };
+
+  const checkIn = (studentId, at) => asSystem(
+    `INSERT INTO student_attendance (student_id, library_id, action, created_at) VALUES ($1, $2, 'in', ${at})`,
+    [studentId, libraryId]
+  );
+
+  // The auto check-out of the student, and whether it is at `expected`
+  const autoCheckOut = async (studentId, expected) => (await asSystem(
+    `SELECT source, is_auto_closed, created_at = ${expected} AS at_expected_time
+     FROM student_attendance WHERE student_id = $1 AND action = 'out'`,
+    [studentId]
+  )).rows;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    libraryId = (await asSystem(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password)
+       VALUES ('CLOSE01', 'Close Library', 'Owner', 'close@example.com', '900000021', 'x') RETURNING id`
+    )).rows[0].id;
+    branchId = (await asSystem('INSERT INTO branches (name, library_id) VALUES ($1, $2) RETURNING id', ['Main', libraryId]))
+      .rows[0].id;
+  });
+
+  after(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    await asSystem('DELETE FROM student_attendance');
+    await asSystem('DELETE FROM library_settings');
+  });
+
+  it('checks out a student on an overnight shift when it ends the next morning', async () => {
+    const studentId = await addStudent('Night', { start: '18:00', end: '02:00' });
+    await checkIn(studentId, localTime(2, '20:00'));
+
+    assert.equal(await runAsSystem(() => autoCloseOpenSessions(pool)), 1);
+    assert.deepEqual(await autoCheckOut(studentId, localTime(1, '02:00')), [
+      { source: 'auto', is_auto_closed: true, at_expected_time: true }
+    ]);
+    assert.equal(await runAsSystem(() => autoCloseOpenSessions(pool)), 0);
+  });
+
+  it('checks out a student without a shift at the closing time', async () => {
+    await asSystem(
+      "INSERT INTO library_settings (library_id, key, value) VALUES ($1, 'closing_time', $2)",
+      [libraryId, JSON.stringify('21:30')]
+    );
+    const studentId = await addStudent('Day');
+    await checkIn(studentId, localTime(2, '10:00'));
+
+    assert.equal(await runAsSystem(() => autoCloseOpenSessions(pool)), 1);
+    assert.deepEqual(await autoCheckOut(studentId, localTime(2, '21:30')), [
+      { source: 'auto', is_auto_closed: true, at_expected_time: true }
+    ]);
+  });
+
+  it('leaves a session the student closed alone', async () => {
+    const studentId = await addStudent('Tidy', { start: '08:00', end: '12:00' });
+    await checkIn(studentId, localTime(2, '08:05'));
+    await asSystem(
+      `INSERT INTO student_attendance (student_id, library_id, action, created_at) VALUES ($1, $2, 'out', ${localTime(2, '11:00')})`,
+      [studentId, libraryId]
+    );
+
+    assert.equal(await runAsSystem(() => autoCloseOpenSessions(pool)), 0);
+  });
+});
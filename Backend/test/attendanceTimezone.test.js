@@ -0,0 +1,110 @@
+// The owner's attendance views (routes/ownerDashboard.js) in a library outside India: days, export times
+// and time corrections follow the library's timezone setting rather than the server's or IST.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { hashPassword } = require('../utils/passwords');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const PASSWORD = 'Secret#123';
+const TIMEZONE = 'America/New_York';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe('attendance in the library time zone', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+  let cookie;
+  let studentId;
+
+  const asSystem = (sql, params) => runAsSystem(() => pool.query(sql, params));
+  // A wall-clock time in the library's time zone as a timestamptz
+  const localTime = (dateTime) => `TIMESTAMP '${dateTime}' AT TIME ZONE '${TIMEZONE}'`;
+
+  const request = async (method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Cookie: cookie },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: res.status, text: await res.text() };
+  };
+
+  const scan = async (action, dateTime) => (await asSystem(
+    `INSERT INTO student_attendance (student_id, library_id, action, created_at)
+     SELECT $1, library_id, $2, ${localTime(dateTime)} FROM students WHERE id = $1 RETURNING id`,
+    [studentId, action]
+  )).rows[0].id;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    const libraryId = (await asSystem(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password,
+         is_trial, subscription_plan, subscription_end_date)
+       VALUES ('ZONE01', 'Zone Library', 'Owner', 'zone@example.com', '900000041', $1, TRUE, 'free_trial', NOW() + INTERVAL '3 days')
+       RETURNING id`,
+      [await hashPassword(PASSWORD)]
+    )).rows[0].id;
+    await asSystem(
+      "INSERT INTO library_settings (library_id, key, value) VALUES ($1, 'timezone', $2)",
+      [libraryId, JSON.stringify(TIMEZONE)]
+    );
+    const branchId = (await asSystem('INSERT INTO branches (name, library_id) VALUES ($1, $2) RETURNING id', ['Main', libraryId]))
+      .rows[0].id;
+    studentId = (await asSystem(
+      'INSERT INTO students (name, branch_id, library_id) VALUES ($1, $2, $3) RETURNING id',
+      ['Late Owl', branchId, libraryId]
+    )).rows[0].id;
+
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${baseUrl}/api/owner-auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ phone: '900000041', password: PASSWORD })
+    });
+    assert.equal(login.status, 200);
+    cookie = login.headers.get('set-cookie').split(';')[0];
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  it('exports an evening visit on its local day at its local times', async () => {
+    // 22:30 to 23:15 in New York is already the next day in UTC and in India
+    await scan('in', '2026-03-10 22:30');
+    await scan('out', '2026-03-10 23:15');
+
+    const res = await request('GET', '/api/owner-dashboard/attendance/export?view=daily&date=2026-03-10');
+    assert.equal(res.status, 200, res.text);
+    const [, row, extra] = res.text.replace(/^﻿/, '').trim().split('\r\n');
+    assert.match(row, /^2026-03-10,Late Owl,/);
+    assert.match(row, /,22:30,23:15,0h 45m,/);
+    assert.equal(extra, undefined);
+  });
+
+  it('corrects a scan to a time on its local day', async () => {
+    const outId = await scan('out', '2026-03-12 23:50');
+    await scan('in', '2026-03-12 21:00');
+
+    const res = await request('PUT', `/api/owner-dashboard/attendance/${outId}`, { time: '23:40' });
+    assert.equal(res.status, 200, res.text);
+    const corrected = await asSystem(
+      `SELECT created_at = ${localTime('2026-03-12 23:40')} AS at_local_time FROM student_attendance WHERE id = $1`,
+      [outId]
+    );
+    assert.deepEqual(corrected.rows, [{ at_local_time: true }]);
+
+    // Before the check-in of that local day is refused
+    const refused = await request('PUT', `/api/owner-dashboard/attendance/${outId}`, { time: '20:00' });
+    assert.equal(refused.status, 400);
+  });
+});
@@ -0,0 +1,220 @@
+-- Tables the app had before migrations/001_multi_tenant_setup.sql, as far as the routes use them.
+-- test/helpers/database.js creates these and then runs every migration on top.
+
+CREATE TABLE settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value TEXT
+);
+
+CREATE TABLE branches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'staff',
+    full_name VARCHAR(255),
+    email VARCHAR(255),
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE seats (
+    id SERIAL PRIMARY KEY,
+    seat_number VARCHAR(20) NOT NULL,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE schedules (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    time TIME,
+    event_date DATE,
+    fee NUMERIC(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE locker (
+    id SERIAL PRIMARY KEY,
+    locker_number VARCHAR(20) NOT NULL,
+    is_assigned BOOLEAN DEFAULT FALSE,
+    student_id INTEGER,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
+    library_id INTEGER
+);
+
+-- Renamed to locker long ago; migration 001 still adds library_id to it
+CREATE TABLE lockers (
+    id SERIAL PRIMARY KEY
+);
+
+CREATE TABLE students (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    address TEXT,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
+    membership_start DATE,
+    membership_end DATE,
+    total_fee NUMERIC(10, 2) DEFAULT 0,
+    amount_paid NUMERIC(10, 2) DEFAULT 0,
+    due_amount NUMERIC(10, 2) DEFAULT 0,
+    cash NUMERIC(10, 2) DEFAULT 0,
+    online NUMERIC(10, 2) DEFAULT 0,
+    security_money NUMERIC(10, 2) DEFAULT 0,
+    discount NUMERIC(10, 2) DEFAULT 0,
+    remark TEXT,
+    profile_image_url TEXT,
+    aadhaar_front_url TEXT,
+    aadhaar_back_url TEXT,
+    status VARCHAR(20) DEFAULT 'active',
+    locker_id INTEGER REFERENCES locker(id) ON DELETE SET NULL,
+    registration_number VARCHAR(50),
+    father_name VARCHAR(255),
+    aadhar_number VARCHAR(20),
+    date_of_birth DATE,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE seat_assignments (
+    id SERIAL PRIMARY KEY,
+    seat_id INTEGER REFERENCES seats(id) ON DELETE CASCADE,
+    shift_id INTEGER REFERENCES schedules(id) ON DELETE CASCADE,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    library_id INTEGER
+);
+
+CREATE TABLE student_membership_history (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER REFERENCES students(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(20),
+    address TEXT,
+    membership_start DATE,
+    membership_end DATE,
+    status VARCHAR(20),
+    total_fee NUMERIC(10, 2) DEFAULT 0,
+    amount_paid NUMERIC(10, 2) DEFAULT 0,
+    due_amount NUMERIC(10, 2) DEFAULT 0,
+    cash NUMERIC(10, 2) DEFAULT 0,
+    online NUMERIC(10, 2) DEFAULT 0,
+    security_money NUMERIC(10, 2) DEFAULT 0,
+    remark TEXT,
+    seat_id INTEGER,
+    shift_id INTEGER,
+    branch_id INTEGER,
+    registration_number VARCHAR(50),
+    father_name VARCHAR(255),
+    aadhar_number VARCHAR(20),
+    profile_image_url TEXT,
+    aadhaar_front_url TEXT,
+    aadhaar_back_url TEXT,
+    locker_id INTEGER,
+    discount NUMERIC(10, 2) DEFAULT 0,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- As migrations/create_student_attendance_table.sql creates it, without its indexes
+CREATE TABLE student_attendance (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+    library_id INTEGER NOT NULL,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('in', 'out')),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE transactions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    cash_receipt NUMERIC(10, 2) DEFAULT 0,
+    online_receipt NUMERIC(10, 2) DEFAULT 0,
+    cash_expense NUMERIC(10, 2) DEFAULT 0,
+    online_expense NUMERIC(10, 2) DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE expenses (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    amount NUMERIC(10, 2) NOT NULL,
+    date DATE NOT NULL DEFAULT CURRENT_DATE,
+    remark TEXT,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE products (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE hostel_branches (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    library_id INTEGER
+);
+
+CREATE TABLE hostel_students (
+    id SERIAL PRIMARY KEY,
+    branch_id INTEGER REFERENCES hostel_branches(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    address TEXT,
+    father_name VARCHAR(255),
+    mother_name VARCHAR(255),
+    aadhar_number VARCHAR(20),
+    phone_number VARCHAR(20),
+    profile_image_url TEXT,
+    aadhar_image_url TEXT,
+    religion VARCHAR(50),
+    food_preference VARCHAR(50),
+    gender VARCHAR(20),
+    security_money NUMERIC(10, 2) DEFAULT 0,
+    registration_number VARCHAR(50),
+    room_number VARCHAR(20),
+    remark TEXT,
+    library_id INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE hostel_student_history (
+    id SERIAL PRIMARY KEY,
+    student_id INTEGER REFERENCES hostel_students(id) ON DELETE CASCADE,
+    branch_id INTEGER REFERENCES hostel_branches(id) ON DELETE SET NULL,
+    stay_start_date DATE,
+    stay_end_date DATE,
+    total_fee NUMERIC(10, 2) DEFAULT 0,
+    cash_paid NUMERIC(10, 2) DEFAULT 0,
+    online_paid NUMERIC(10, 2) DEFAULT 0,
+    due_amount NUMERIC(10, 2) DEFAULT 0,
+    remark TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE announcements (
+    id SERIAL PRIMARY KEY,
+    library_id INTEGER,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    branch_id INTEGER REFERENCES branches(id) ON DELETE SET NULL,
+    is_global BOOLEAN DEFAULT FALSE,
+    start_date TIMESTAMP,
+    end_date TIMESTAMP,
+    created_by INTEGER,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
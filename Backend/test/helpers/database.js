@@ -0,0 +1,56 @@
+// An in-memory Postgres (PGlite) with the app's schema, reached through a real pg Pool scoped the way
+// server.js scopes it. The schema is test/fixtures/base_schema.sql followed by every migration.
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+const { PGlite } = require('@electric-sql/pglite');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+const { scopePoolToTenant } = require('../../utils/tenantContext');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+// Created outside the numbered migrations; later migrations expect it. student_attendance is in the
+// fixture instead, as create_student_attendance_table.sql has index expressions Postgres rejects.
+const UNNUMBERED_MIGRATIONS = ['create_admission_requests_table.sql'];
+
+const migrationFiles = () => {
+  const numbered = fs.readdirSync(MIGRATIONS_DIR).filter((file) => /^\d{3}_.*\.sql$/.test(file)).sort();
+  return [numbered[0], ...UNNUMBERED_MIGRATIONS, ...numbered.slice(1)];
+};
+
+/**
+ * Start a database with the full schema. Resolves to { pool, close }. The pool connects as a role
+ * without superuser rights, since a superuser bypasses row-level security, so seeding and checks made
+ * across libraries run in runAsSystem like the app's own.
+ */
+const createTestDatabase = async () => {
+  const db = new PGlite();
+  await db.exec(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'base_schema.sql'), 'utf8'));
+  for (const file of migrationFiles()) {
+    try {
+      await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`Migration ${file} failed: ${err.message}`);
+    }
+  }
+  await db.exec(`
+    CREATE ROLE library_app NOLOGIN;
+    GRANT ALL ON ALL TABLES IN SCHEMA public TO library_app;
+    GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO library_app;
+  `);
+
+  // The pool replaces a client that hit an error while the old connection may still be closing
+  const server = new PGLiteSocketServer({ db, port: 0, maxConnections: 4 });
+  await server.start();
+  const [host, port] = server.getServerConn().split(':');
+  const pool = scopePoolToTenant(new Pool({ host, port: Number(port), user: 'postgres', database: 'postgres', max: 1 }));
+  pool.on('connect', (client) => client.query('SET ROLE library_app'));
+
+  const close = async () => {
+    await pool.end();
+    await server.stop();
+    await db.close();
+  };
+  return { pool, close };
+};
+
+module.exports = { createTestDatabase };
@@ -0,0 +1,101 @@
+// Login throttling (utils/loginThrottle.js) through the login routes: the account lockout and the per-IP
+// limit hold for requests sent all at once, not only for requests sent one after another.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { hashPassword } = require('../utils/passwords');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const PASSWORD = 'Secret#123';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe('login throttling', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+
+  const login = async (path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const countStatuses = (responses) => responses.reduce((counts, { status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+    return counts;
+  }, {});
+
+  const failedAttempts = async (identifier) => (await runAsSystem(() => pool.query(
+    'SELECT COUNT(*)::int AS count FROM login_attempts WHERE success = FALSE AND ($1::text IS NULL OR identifier = $1)',
+    [identifier]
+  ))).rows[0].count;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    const password = await hashPassword(PASSWORD);
+    await runAsSystem(() => pool.query(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password, status)
+       VALUES ('LOCK01', 'Lock Library', 'Owner', 'lock@example.com', '900000031', $1, 'active'),
+              ('LOCK02', 'Suspended Library', 'Owner', 'suspended@example.com', '900000032', $1, 'suspended')`,
+      [password]
+    ));
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  it('gives back the attempt of a login refused for a suspended library', async () => {
+    for (let i = 0; i < 7; i++) {
+      const res = await login('/api/owner-auth/login', { phone: '900000032', password: PASSWORD });
+      assert.equal(res.status, 401);
+      assert.match(res.body.message, /suspended/);
+    }
+    assert.equal(await failedAttempts('900000032'), 0);
+  });
+
+  it('checks no more passwords than the lockout allows when guesses arrive at once', async () => {
+    const guesses = await Promise.all(
+      Array.from({ length: 12 }, (_, i) => login('/api/owner-auth/login', { phone: '900000031', password: `guess-${i}` }))
+    );
+
+    const statuses = countStatuses(guesses);
+    assert.equal(statuses[401], 5, JSON.stringify(statuses));
+    assert.equal(statuses[401] + (statuses[423] || 0) + (statuses[429] || 0), guesses.length);
+    assert.equal(await failedAttempts('900000031'), 5);
+
+    const locked = await login('/api/owner-auth/login', { phone: '900000031', password: PASSWORD });
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+  });
+
+  it('checks no more than the per-IP limit of logins across accounts arriving at once', async () => {
+    const before = await failedAttempts(null);
+    const guesses = await Promise.all(
+      Array.from({ length: 30 }, (_, i) => login('/api/student-auth/login', {
+        libraryCode: 'LOCK01', phone: `97000000${String(i).padStart(2, '0')}`, password: 'guess'
+      }))
+    );
+
+    const statuses = countStatuses(guesses);
+    assert.equal(statuses[401], 20 - before, JSON.stringify(statuses));
+    assert.equal(statuses[429], guesses.length - statuses[401]);
+    assert.equal(await failedAttempts(null), 20);
+
+    const refused = await login('/api/student-auth/login', { libraryCode: 'LOCK01', phone: '9700000099', password: 'guess' });
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, 'LOGIN_IP_THROTTLED');
+  });
+});
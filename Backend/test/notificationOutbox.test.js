@@ -0,0 +1,180 @@
+// The notification outbox (utils/notifications.js) on the fake provider: queueing with a dedupe key,
+// sending, the retry schedule, failures that cannot be retried, claiming and stale 'sending' rows.
+process.env.NOTIFICATION_PROVIDER = 'fake';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeProvider = require('../utils/fakeNotificationProvider');
+const { processOutbox, queueNotification } = require('../utils/notifications');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+// Minutes waited after the 1st, 2nd, 3rd and 4th failed attempt; the 5th failure is final
+const RETRY_SCHEDULE = [1, 5, 30, 120];
+const TEMPLATE = { subject: 'Fees due', body: 'Hi {{name}}, please pay {{due}}' };
+
+describe('notification outbox', () => {
+  let database;
+  let pool;
+  let libraryId;
+
+  // The cron job runs the outbox for every library, as does the test
+  const asSystem = (sql, params) => runAsSystem(() => pool.query(sql, params));
+  const runOutbox = () => runAsSystem(() => processOutbox(pool));
+  const findNotification = async (id) => (await asSystem('SELECT * FROM notifications WHERE id = $1', [id])).rows[0];
+  // Make every waiting notification due now, as if its retry delay had passed
+  const skipRetryDelays = () => asSystem("UPDATE notifications SET next_attempt_at = NOW() WHERE status = 'pending'");
+
+  const queue = (to, options = {}) =>
+    runAsSystem(() => queueNotification(pool, {
+      libraryId,
+      channel: 'email',
+      to,
+      recipientName: 'Asha',
+      templateKey: 'fee_due',
+      variables: { name: 'Asha', due: '₹500' },
+      template: TEMPLATE,
+      ...options
+    }));
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    const library = await asSystem(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password)
+       VALUES ('OUTBOX01', 'Outbox Library', 'Owner', 'owner@example.com', '900000009', 'x') RETURNING id`
+    );
+    libraryId = library.rows[0].id;
+  });
+
+  after(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    fakeProvider.reset();
+    await asSystem('DELETE FROM notifications');
+  });
+
+  it('sends a queued notification once', async () => {
+    const { notification } = await queue('asha@example.com');
+    assert.equal(notification.status, 'pending');
+    assert.equal(notification.body, 'Hi Asha, please pay ₹500');
+
+    assert.deepEqual(await runOutbox(), { sent: 1, failed: 0, retrying: 0 });
+    assert.deepEqual(await runOutbox(), { sent: 0, failed: 0, retrying: 0 });
+
+    const sent = await findNotification(notification.id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 1);
+    assert.equal(sent.provider, 'fake');
+    assert.equal(sent.provider_message_id, fakeProvider.sent[0].id);
+    assert.equal(fakeProvider.sent.length, 1);
+    assert.equal(fakeProvider.sent[0].subject, 'Fees due');
+  });
+
+  it('queues a dedupe key only once per library', async () => {
+    const first = await queue('asha@example.com', { dedupeKey: 'fee_due:7:2026-10-19' });
+    const second = await queue('asha@example.com', { dedupeKey: 'fee_due:7:2026-10-19' });
+    const other = await queue('asha@example.com', { dedupeKey: 'fee_due:7:2026-10-20' });
+    const withoutKey = [await queue('asha@example.com'), await queue('asha@example.com')];
+
+    assert.ok(first.notification);
+    assert.deepEqual(second, { skipped: 'Already queued' });
+    assert.ok(other.notification);
+    assert.ok(withoutKey.every((result) => result.notification));
+    const count = await asSystem('SELECT COUNT(*)::int AS count FROM notifications');
+    assert.equal(count.rows[0].count, 4);
+  });
+
+  it('skips WhatsApp until the library names an approved template', async () => {
+    const result = await runAsSystem(() => queueNotification(pool, {
+      libraryId, channel: 'whatsapp', to: '919800000001', templateKey: 'membership_expiry', variables: { name: 'Asha' }
+    }));
+    assert.match(result.skipped, /^No approved WhatsApp template is set/);
+    const count = await asSystem('SELECT COUNT(*)::int AS count FROM notifications');
+    assert.equal(count.rows[0].count, 0);
+  });
+
+  it('retries a refused notification on the backoff schedule, then fails it', async () => {
+    const { notification } = await queue('fail@example.com');
+
+    for (const [index, delayMinutes] of RETRY_SCHEDULE.entries()) {
+      assert.deepEqual(await runOutbox(), { sent: 0, failed: 0, retrying: 1 });
+      const waiting = await findNotification(notification.id);
+      assert.equal(waiting.status, 'pending');
+      assert.equal(waiting.attempts, index + 1);
+      assert.match(waiting.last_error, /refused fail@example.com/);
+      const delay = await asSystem(
+        'SELECT EXTRACT(EPOCH FROM next_attempt_at - updated_at) / 60 AS minutes FROM notifications WHERE id = $1',
+        [notification.id]
+      );
+      assert.equal(Number(delay.rows[0].minutes), delayMinutes);
+
+      // Not due again until the delay has passed
+      assert.deepEqual(await runOutbox(), { sent: 0, failed: 0, retrying: 0 });
+      await skipRetryDelays();
+    }
+
+    assert.deepEqual(await runOutbox(), { sent: 0, failed: 1, retrying: 0 });
+    const failed = await findNotification(notification.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, RETRY_SCHEDULE.length + 1);
+
+    await skipRetryDelays();
+    assert.deepEqual(await runOutbox(), { sent: 0, failed: 0, retrying: 0 });
+    const attempts = await asSystem(
+      'SELECT attempt, status FROM notification_attempts WHERE notification_id = $1 ORDER BY attempt',
+      [notification.id]
+    );
+    assert.deepEqual(
+      attempts.rows,
+      [1, 2, 3, 4, 5].map((attempt) => ({ attempt, status: 'failed' }))
+    );
+  });
+
+  it('fails a notification the provider rejects for good without retrying', async () => {
+    const { notification } = await queue('invalid-address');
+
+    assert.deepEqual(await runOutbox(), { sent: 0, failed: 1, retrying: 0 });
+    const failed = await findNotification(notification.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 1);
+    assert.match(failed.last_error, /rejected invalid-address as invalid/);
+    assert.equal(fakeProvider.sent.length, 0);
+  });
+
+  it('claims each notification for one worker only', async () => {
+    const queued = [];
+    for (let i = 0; i < 7; i++) {
+      queued.push((await queue(`student${i}@example.com`)).notification.id);
+    }
+
+    const [first, second] = await Promise.all([runOutbox(), runOutbox()]);
+    assert.equal(first.sent + second.sent, queued.length);
+    assert.deepEqual(
+      fakeProvider.sent.map((message) => message.to).sort(),
+      queued.map((id, i) => `student${i}@example.com`).sort()
+    );
+    const rows = await asSystem('SELECT status, attempts FROM notifications ORDER BY id');
+    assert.ok(rows.rows.every((row) => row.status === 'sent' && row.attempts === 1));
+  });
+
+  it("takes back a notification left 'sending' by a worker that stopped", async () => {
+    const stale = (await queue('stale@example.com')).notification;
+    const busy = (await queue('busy@example.com')).notification;
+    // A worker claimed both; the first claim is older than STALE_SENDING_MINUTES, the second is recent
+    await asSystem(
+      `UPDATE notifications SET status = 'sending', attempts = 1,
+         updated_at = NOW() - CASE WHEN id = $1 THEN INTERVAL '11 minutes' ELSE INTERVAL '1 minute' END`,
+      [stale.id]
+    );
+
+    assert.deepEqual(await runOutbox(), { sent: 1, failed: 0, retrying: 0 });
+    const reclaimed = await findNotification(stale.id);
+    assert.equal(reclaimed.status, 'sent');
+    assert.equal(reclaimed.attempts, 2);
+    assert.equal((await findNotification(busy.id)).status, 'sending');
+    assert.deepEqual(fakeProvider.sent.map((message) => message.to), ['stale@example.com']);
+  });
+});
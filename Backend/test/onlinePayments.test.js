@@ -0,0 +1,227 @@
+// Online fee payments (routes/onlinePayments.js) against the mock gateway: a student orders their due,
+// pays it in the mock checkout, and the payment is confirmed by the checkout signature or the webhook.
+process.env.PAYMENT_GATEWAY = 'mock';
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const MockRazorpay = require('../utils/mockRazorpay');
+const { applyOnlinePayment } = require('../utils/onlinePayments');
+const { hashPassword } = require('../utils/passwords');
+const { runAsSystem, runAsTenant } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const PASSWORD = 'Secret#123';
+const GATEWAY = { keyId: 'rzp_test_library', keySecret: 'key-secret', webhookSecret: 'webhook-secret' };
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// Body and signature of a webhook signed with the library's webhook secret
+const signWebhook = (payload) => {
+  const body = JSON.stringify(payload);
+  return { body, signature: crypto.createHmac('sha256', GATEWAY.webhookSecret).update(body).digest('hex') };
+};
+
+describe('online payments', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+  let libraryId;
+  let studentCount = 0;
+
+  const request = async (cookie, method, path, body, headers = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}), ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null, setCookie: res.headers.get('set-cookie') };
+  };
+
+  const postWebhook = ({ body, signature }) =>
+    request(null, 'POST', `/api/online-payments/webhook/${libraryId}`, body, { 'X-Razorpay-Signature': signature });
+
+  // A student of the library with 500 due on their membership, signed in
+  const signInNewStudent = async () => {
+    studentCount += 1;
+    const phone = `98000000${String(studentCount).padStart(2, '0')}`;
+    const studentId = await runAsSystem(async () => {
+      const student = await pool.query(
+        `INSERT INTO students (name, phone, membership_start, membership_end, total_fee, due_amount, library_id)
+         VALUES ($1, $2, CURRENT_DATE, CURRENT_DATE + 29, 500, 500, $3) RETURNING id`,
+        [`Student ${studentCount}`, phone, libraryId]
+      );
+      const id = student.rows[0].id;
+      await pool.query(
+        `INSERT INTO student_membership_history (student_id, name, phone, membership_start, membership_end, status, total_fee, due_amount, library_id)
+         VALUES ($1, $2, $3, CURRENT_DATE, CURRENT_DATE + 29, 'active', 500, 500, $4)`,
+        [id, `Student ${studentCount}`, phone, libraryId]
+      );
+      await pool.query(
+        'INSERT INTO student_accounts (library_id, phone, password, student_id) VALUES ($1, $2, $3, $4)',
+        [libraryId, phone, await hashPassword(PASSWORD), id]
+      );
+      return id;
+    });
+    const res = await request(null, 'POST', '/api/student-auth/login', { libraryCode: 'PAY01', phone, password: PASSWORD });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return { studentId, cookie: res.setCookie.split(';')[0] };
+  };
+
+  const orderDue = async (cookie) => {
+    const res = await request(cookie, 'POST', '/api/online-payments/orders', { purpose: 'due' });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  const findOrder = (gatewayOrderId) =>
+    runAsSystem(async () => (await pool.query(
+      'SELECT * FROM student_online_payments WHERE gateway_order_id = $1', [gatewayOrderId]
+    )).rows[0]);
+
+  const onlinePaymentsOf = (studentId) =>
+    runAsSystem(async () => (await pool.query(
+      "SELECT amount, remark FROM student_payments WHERE student_id = $1 AND payment_mode = 'online'", [studentId]
+    )).rows);
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    libraryId = await runAsSystem(async () => (await pool.query(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password,
+         online_payments_enabled, razorpay_key_id, razorpay_key_secret, razorpay_webhook_secret)
+       VALUES ('PAY01', 'Pay Library', 'Owner', 'pay@example.com', '900000011', 'x', TRUE, $1, $2, $3) RETURNING id`,
+      [GATEWAY.keyId, GATEWAY.keySecret, GATEWAY.webhookSecret]
+    )).rows[0].id);
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  it('creates a gateway order for the due and records it', async () => {
+    const { studentId, cookie } = await signInNewStudent();
+
+    const options = await request(cookie, 'GET', '/api/online-payments/options');
+    assert.equal(options.status, 200);
+    assert.equal(options.body.enabled, true);
+    assert.equal(options.body.due.amount, 500);
+    assert.equal(options.body.renewal, null);
+
+    const order = await orderDue(cookie);
+    assert.equal(order.amount, 50000);
+    assert.equal(order.currency, 'INR');
+    assert.equal(order.key_id, GATEWAY.keyId);
+    assert.equal(order.mock, true);
+    const gatewayOrder = await new MockRazorpay({ key_id: GATEWAY.keyId, key_secret: GATEWAY.keySecret })
+      .orders.fetch(order.order_id);
+    assert.equal(gatewayOrder.amount, 50000);
+    assert.equal(gatewayOrder.status, 'created');
+    assert.deepEqual(gatewayOrder.notes, { library_id: String(libraryId), student_id: String(studentId), purpose: 'due' });
+
+    const recorded = await findOrder(order.order_id);
+    assert.equal(recorded.student_id, studentId);
+    assert.equal(recorded.purpose, 'due');
+    assert.equal(parseFloat(recorded.amount), 500);
+    assert.equal(recorded.status, 'created');
+
+    const renewal = await request(cookie, 'POST', '/api/online-payments/orders', { purpose: 'renewal' });
+    assert.equal(renewal.status, 400);
+  });
+
+  it('posts a payment confirmed by the checkout signature, and refuses a forged one', async () => {
+    const { studentId, cookie } = await signInNewStudent();
+    const order = await orderDue(cookie);
+    const checkout = (await request(cookie, 'POST', '/api/online-payments/mock-checkout', { order_id: order.order_id })).body;
+
+    const forged = await request(cookie, 'POST', '/api/online-payments/verify', {
+      ...checkout,
+      razorpay_signature: crypto.createHmac('sha256', 'another-secret')
+        .update(`${checkout.razorpay_order_id}|${checkout.razorpay_payment_id}`).digest('hex')
+    });
+    assert.equal(forged.status, 400);
+    assert.equal(forged.body.message, 'Invalid payment signature');
+    const forgedWebhook = signWebhook({ event: 'payment.captured', payload: {} });
+    assert.equal((await postWebhook({ ...forgedWebhook, signature: '0'.repeat(64) })).status, 400);
+    assert.equal((await findOrder(order.order_id)).status, 'created');
+    assert.deepEqual(await onlinePaymentsOf(studentId), []);
+
+    const verified = await request(cookie, 'POST', '/api/online-payments/verify', checkout);
+    assert.equal(verified.status, 200, JSON.stringify(verified.body));
+    assert.equal(verified.body.message, 'Payment received');
+    assert.ok(verified.body.receipt_number);
+    assert.equal((await findOrder(order.order_id)).status, 'paid');
+    assert.equal((await onlinePaymentsOf(studentId)).length, 1);
+  });
+
+  it('posts a payment once however often its webhook is delivered', async () => {
+    const { studentId, cookie } = await signInNewStudent();
+    const order = await orderDue(cookie);
+    const checkout = (await request(cookie, 'POST', '/api/online-payments/mock-checkout', { order_id: order.order_id })).body;
+    const webhook = MockRazorpay.webhookRequest('payment.captured', checkout.razorpay_payment_id, GATEWAY.webhookSecret);
+
+    for (let delivery = 0; delivery < 2; delivery++) {
+      const res = await postWebhook(webhook);
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      assert.equal(res.body.message, 'Payment processed');
+    }
+    const again = await runAsTenant(libraryId, async () => {
+      const client = await pool.connect();
+      try {
+        return await applyOnlinePayment(client, {}, {
+          libraryId, orderId: order.order_id, paymentId: checkout.razorpay_payment_id, amountPaise: 50000
+        });
+      } finally {
+        client.release();
+      }
+    });
+    assert.equal(again.applied, false);
+    assert.equal(again.order.status, 'paid');
+
+    const payments = await onlinePaymentsOf(studentId);
+    assert.equal(payments.length, 1);
+    assert.equal(parseFloat(payments[0].amount), 500);
+    assert.match(payments[0].remark, new RegExp(checkout.razorpay_payment_id));
+    const verified = await request(cookie, 'POST', '/api/online-payments/verify', checkout);
+    assert.equal(verified.body.message, 'Payment was already received');
+    assert.equal((await onlinePaymentsOf(studentId)).length, 1);
+  });
+
+  it('flags a payment of another amount than its order instead of posting it', async () => {
+    const { studentId, cookie } = await signInNewStudent();
+    const order = await orderDue(cookie);
+    const checkout = (await request(cookie, 'POST', '/api/online-payments/mock-checkout', { order_id: order.order_id })).body;
+    const genuine = MockRazorpay.webhookRequest('payment.captured', checkout.razorpay_payment_id, GATEWAY.webhookSecret);
+    const payload = JSON.parse(genuine.body);
+    payload.payload.payment.entity.amount = 100;
+
+    const res = await postWebhook(signWebhook(payload));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.message, 'Payment flagged for review');
+    const flagged = await findOrder(order.order_id);
+    assert.equal(flagged.status, 'flagged');
+    assert.equal(flagged.gateway_payment_id, checkout.razorpay_payment_id);
+    assert.equal(flagged.failure_reason, 'Paid 1 INR instead of 500');
+    const audit = await runAsSystem(() => pool.query(
+      "SELECT action FROM audit_logs WHERE entity_type = 'online-payments' AND entity_id = $1", [String(flagged.id)]
+    ));
+    assert.deepEqual(audit.rows, [{ action: 'update' }]);
+
+    // Neither the genuine webhook nor the checkout posts it once flagged
+    assert.equal((await postWebhook(genuine)).status, 200);
+    const verified = await request(cookie, 'POST', '/api/online-payments/verify', checkout);
+    assert.equal(verified.status, 409);
+    const failed = signWebhook({ ...payload, event: 'payment.failed' });
+    assert.equal((await postWebhook(failed)).status, 200);
+    assert.equal((await findOrder(order.order_id)).status, 'flagged');
+    assert.deepEqual(await onlinePaymentsOf(studentId), []);
+  });
+});
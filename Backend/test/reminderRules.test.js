@@ -0,0 +1,139 @@
+// Reminder rules (runDueReminderRules in utils/reminderRules.js) on the fake provider: a rule runs once a
+// day after its send time in the library's time zone, and its dedupe keys remind a student of the same
+// thing only once, however often the rule runs.
+process.env.NOTIFICATION_PROVIDER = 'fake';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeProvider = require('../utils/fakeNotificationProvider');
+const { runDueReminderRules } = require('../utils/reminderRules');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+describe('reminder rules', () => {
+  let database;
+  let pool;
+  let indiaLibraryId;
+  let newYorkLibraryId;
+
+  const asSystem = (sql, params) => runAsSystem(() => pool.query(sql, params));
+  // The cron job runs the rules of every library, as does the test
+  const runRules = (now) => runAsSystem(() => runDueReminderRules(pool, new Date(now)));
+
+  const addRule = async (libraryId, rule) => (await asSystem(
+    `INSERT INTO reminder_rules (library_id, name, trigger_type, days, min_due, channel, template_key, send_time)
+     VALUES ($1, $2, $3, $4, $5, 'email', $6, $7) RETURNING *`,
+    [libraryId, rule.name, rule.trigger_type, rule.days || null, rule.min_due || null, rule.template_key, rule.send_time]
+  )).rows[0];
+
+  const addStudent = async (libraryId, student) => (await asSystem(
+    `INSERT INTO students (name, email, library_id, membership_start, membership_end, due_amount)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [student.name, `${student.name.toLowerCase()}@example.com`, libraryId,
+      student.membership_start || '2026-10-01', student.membership_end, student.due_amount || 0]
+  )).rows[0].id;
+
+  const dedupeKeys = async () =>
+    (await asSystem('SELECT dedupe_key FROM notifications ORDER BY id')).rows.map((row) => row.dedupe_key);
+
+  const lastRunOn = async (ruleId) =>
+    (await asSystem("SELECT TO_CHAR(last_run_on, 'YYYY-MM-DD') AS date FROM reminder_rules WHERE id = $1", [ruleId]))
+      .rows[0].date;
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    const libraries = await asSystem(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password)
+       VALUES ('REMIND01', 'India Library', 'Owner', 'india@example.com', '900000061', 'x'),
+              ('REMIND02', 'New York Library', 'Owner', 'newyork@example.com', '900000062', 'x')
+       RETURNING id`
+    );
+    [indiaLibraryId, newYorkLibraryId] = libraries.rows.map((row) => row.id);
+    await asSystem(
+      "INSERT INTO library_settings (library_id, key, value) VALUES ($1, 'timezone', $2)",
+      [newYorkLibraryId, JSON.stringify('America/New_York')]
+    );
+  });
+
+  after(async () => {
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    fakeProvider.reset();
+    await asSystem('DELETE FROM notifications');
+    await asSystem('DELETE FROM reminder_rules');
+    await asSystem('DELETE FROM students');
+  });
+
+  it('runs a rule once a day after its send time and reminds of an expiry once', async () => {
+    const rule = await addRule(indiaLibraryId, {
+      name: 'Expiring', trigger_type: 'before_expiry', days: 3, template_key: 'membership_expiry', send_time: '10:00'
+    });
+    const studentId = await addStudent(indiaLibraryId, { name: 'Asha', membership_end: '2026-10-21' });
+    await addStudent(indiaLibraryId, { name: 'Later', membership_end: '2026-10-30' });
+
+    // 09:30 in India, before the send time
+    assert.equal(await runRules('2026-10-19T04:00:00Z'), 0);
+    assert.equal(await lastRunOn(rule.id), null);
+
+    // 10:30, and again at 11:30 the same day
+    assert.equal(await runRules('2026-10-19T05:00:00Z'), 1);
+    assert.equal(await runRules('2026-10-19T06:00:00Z'), 0);
+    assert.equal(await lastRunOn(rule.id), '2026-10-19');
+
+    // The next day the rule runs again, but the membership still ends on the same date
+    assert.equal(await runRules('2026-10-20T05:00:00Z'), 0);
+    assert.equal(await lastRunOn(rule.id), '2026-10-20');
+
+    assert.deepEqual(await dedupeKeys(), [`reminder:${rule.id}:${studentId}:expiry:2026-10-21:email`]);
+    assert.deepEqual(fakeProvider.sent.map((message) => message.to), ['asha@example.com']);
+  });
+
+  it('reminds of an outstanding due again when its amount changes', async () => {
+    const rule = await addRule(indiaLibraryId, {
+      name: 'Dues', trigger_type: 'due_above', min_due: 100, template_key: 'fee_due', send_time: '10:00'
+    });
+    const studentId = await addStudent(indiaLibraryId, { name: 'Ravi', membership_end: '2026-10-31', due_amount: 500 });
+    await addStudent(indiaLibraryId, { name: 'Paid', membership_end: '2026-10-31', due_amount: 100 });
+    const key = (amount) => `reminder:${rule.id}:${studentId}:due:2026-10-01..2026-10-31:${amount}:email`;
+
+    assert.equal(await runRules('2026-10-19T05:00:00Z'), 1);
+    assert.equal(await runRules('2026-10-20T05:00:00Z'), 0);
+
+    await asSystem('UPDATE students SET due_amount = 300 WHERE id = $1', [studentId]);
+    assert.equal(await runRules('2026-10-21T05:00:00Z'), 1);
+
+    // Back to 500 on a renewed membership is a new reminder; back to 500 on the same one is not
+    await asSystem('UPDATE students SET due_amount = 500 WHERE id = $1', [studentId]);
+    assert.equal(await runRules('2026-10-22T05:00:00Z'), 0);
+    await asSystem(
+      "UPDATE students SET membership_start = '2026-11-01', membership_end = '2026-11-30' WHERE id = $1",
+      [studentId]
+    );
+    assert.equal(await runRules('2026-10-23T05:00:00Z'), 1);
+
+    assert.deepEqual(await dedupeKeys(), [
+      key('500.00'),
+      key('300.00'),
+      `reminder:${rule.id}:${studentId}:due:2026-11-01..2026-11-30:500.00:email`
+    ]);
+  });
+
+  it('sends at the send time and on the date of a library outside India', async () => {
+    const rule = await addRule(newYorkLibraryId, {
+      name: 'Ends today', trigger_type: 'on_expiry', template_key: 'membership_expiry', send_time: '23:00'
+    });
+    const studentId = await addStudent(newYorkLibraryId, { name: 'Maya', membership_end: '2026-10-19' });
+
+    // 10:30 on 19 October in New York is past 23:00 in India
+    assert.equal(await runRules('2026-10-19T14:30:00Z'), 0);
+    assert.equal(await lastRunOn(rule.id), null);
+
+    // 23:30 on 19 October in New York is already 20 October in India
+    assert.equal(await runRules('2026-10-20T03:30:00Z'), 1);
+    assert.equal(await lastRunOn(rule.id), '2026-10-19');
+    assert.deepEqual(await dedupeKeys(), [`reminder:${rule.id}:${studentId}:expiry:2026-10-19:email`]);
+  });
+});
@@ -0,0 +1,69 @@
+// Staff password reset (routes/auth.js): the unauthenticated forms answer a username used in several
+// libraries the same way as an unknown one, so they do not tell which usernames exist.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { RESET_CODE_SENT_MESSAGE } = require('../utils/passwordReset');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+describe('staff password reset', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+
+  const post = async (path, body) => {
+    const res = await fetch(`${baseUrl}/api/auth${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    await runAsSystem(async () => {
+      const libraries = await pool.query(
+        `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password)
+         VALUES ('RESET01', 'First Library', 'Owner', 'first@example.com', '900000051', 'x'),
+                ('RESET02', 'Second Library', 'Owner', 'second@example.com', '900000052', 'x')
+         RETURNING id`
+      );
+      for (const { id } of libraries.rows) {
+        await pool.query(
+          "INSERT INTO users (username, password, email, library_id) VALUES ('desk', 'x', $1, $2)",
+          [`desk${id}@example.com`, id]
+        );
+      }
+    });
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  it('answers a username of several libraries like an unknown one', async () => {
+    const unknown = await post('/forgot-password', { username: 'nobody' });
+    const ambiguous = await post('/forgot-password', { username: 'desk' });
+
+    assert.deepEqual(unknown, { status: 200, body: { message: RESET_CODE_SENT_MESSAGE } });
+    assert.deepEqual(ambiguous, unknown);
+    const codes = await runAsSystem(() => pool.query('SELECT COUNT(*)::int AS count FROM password_reset_codes'));
+    assert.equal(codes.rows[0].count, 0);
+
+    const reset = await post('/reset-password', { username: 'desk', code: '123456', newPassword: 'NewSecret#123' });
+    assert.equal(reset.status, 400);
+    assert.equal(reset.body.code, 'RESET_CODE_INVALID');
+  });
+});
@@ -0,0 +1,139 @@
+// Subscription payments (routes/subscriptions.js) against the mock gateway: an owner orders a plan and
+// pays it, and the webhook activates the plan once, or flags a payment of another amount than the plan's.
+process.env.PAYMENT_GATEWAY = 'mock';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'subscription-webhook-secret';
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const MockRazorpay = require('../utils/mockRazorpay');
+const { hashPassword } = require('../utils/passwords');
+const { getSubscriptionGateway } = require('../utils/subscriptionPayments');
+const { runAsSystem } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const PASSWORD = 'Secret#123';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET;
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+const signWebhook = (payload) => {
+  const body = JSON.stringify(payload);
+  return { body, signature: crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex') };
+};
+
+describe('subscription payments', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+  let libraryCount = 0;
+
+  const request = async (cookie, method, path, body, headers = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}), ...headers },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null, setCookie: res.headers.get('set-cookie') };
+  };
+
+  const postWebhook = ({ body, signature }) =>
+    request(null, 'POST', '/api/subscriptions/webhook', body, { 'X-Razorpay-Signature': signature });
+
+  // A library on its free trial, with its owner signed in, and a paid order for the 1 month plan
+  const orderAndPayPlan = async () => {
+    libraryCount += 1;
+    const phone = `90000010${libraryCount}`;
+    const libraryId = await runAsSystem(async () => (await pool.query(
+      `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password,
+         is_trial, subscription_plan, subscription_end_date)
+       VALUES ($1, 'Plan Library', 'Owner', $2, $3, $4, TRUE, 'free_trial', NOW() + INTERVAL '3 days') RETURNING id`,
+      [`PLAN0${libraryCount}`, `plan${libraryCount}@example.com`, phone, await hashPassword(PASSWORD)]
+    )).rows[0].id);
+    const login = await request(null, 'POST', '/api/owner-auth/login', { phone, password: PASSWORD });
+    assert.equal(login.status, 200, JSON.stringify(login.body));
+    const cookie = login.setCookie.split(';')[0];
+
+    const order = await request(cookie, 'POST', '/api/subscriptions/create-order', { planId: '1_month' });
+    assert.equal(order.status, 200, JSON.stringify(order.body));
+    assert.equal(order.body.amount, 30000);
+    const gateway = getSubscriptionGateway();
+    const checkout = new MockRazorpay({ key_id: gateway.keyId, key_secret: gateway.keySecret }).completeCheckout(order.body.id);
+    return { libraryId, cookie, checkout };
+  };
+
+  const findPayment = (orderId) =>
+    runAsSystem(async () => (await pool.query('SELECT * FROM subscription_payments WHERE razorpay_order_id = $1', [orderId])).rows[0]);
+
+  const findLibrary = (libraryId) =>
+    runAsSystem(async () => (await pool.query('SELECT subscription_plan, is_trial FROM libraries WHERE id = $1', [libraryId])).rows[0]);
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  it('activates the plan once however often its webhook is delivered', async () => {
+    const { libraryId, checkout } = await orderAndPayPlan();
+    const webhook = MockRazorpay.webhookRequest('payment.captured', checkout.razorpay_payment_id, WEBHOOK_SECRET);
+
+    for (let delivery = 0; delivery < 2; delivery++) {
+      const res = await postWebhook(webhook);
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+    }
+    const payment = await findPayment(checkout.razorpay_order_id);
+    assert.equal(payment.status, 'paid');
+    assert.deepEqual(await findLibrary(libraryId), { subscription_plan: '1_month', is_trial: false });
+    const audit = await runAsSystem(() => pool.query(
+      "SELECT action FROM audit_logs WHERE library_id = $1 AND entity_type = 'subscriptions'", [libraryId]
+    ));
+    assert.equal(audit.rows.length, 1);
+  });
+
+  it('flags a payment of another amount than the plan instead of activating it', async () => {
+    const { libraryId, cookie, checkout } = await orderAndPayPlan();
+    const genuine = MockRazorpay.webhookRequest('payment.captured', checkout.razorpay_payment_id, WEBHOOK_SECRET);
+    const payload = JSON.parse(genuine.body);
+    payload.payload.payment.entity.amount = 100;
+
+    const res = await postWebhook(signWebhook(payload));
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.message, 'Payment flagged for review');
+    const flagged = await findPayment(checkout.razorpay_order_id);
+    assert.equal(flagged.status, 'flagged');
+    assert.equal(flagged.razorpay_payment_id, checkout.razorpay_payment_id);
+    assert.equal(flagged.failure_reason, 'Paid 1 INR instead of 300');
+    assert.deepEqual(await findLibrary(libraryId), { subscription_plan: 'free_trial', is_trial: true });
+
+    // Neither the genuine webhook, the checkout callback nor a failure event changes it once flagged
+    assert.equal((await postWebhook(genuine)).status, 200);
+    const verified = await request(cookie, 'POST', '/api/subscriptions/verify-payment', checkout);
+    assert.equal(verified.status, 409);
+    assert.equal((await postWebhook(signWebhook({ ...payload, event: 'payment.failed' }))).status, 200);
+    assert.equal((await findPayment(checkout.razorpay_order_id)).status, 'flagged');
+    assert.deepEqual(await findLibrary(libraryId), { subscription_plan: 'free_trial', is_trial: true });
+
+    // The owner sees it, and so does the audit trail
+    const status = await request(cookie, 'GET', '/api/subscriptions/status');
+    assert.deepEqual(
+      status.body.subscription.flaggedPayments.map((payment) => payment.razorpay_payment_id),
+      [checkout.razorpay_payment_id]
+    );
+    const audit = await runAsSystem(() => pool.query(
+      "SELECT action FROM audit_logs WHERE library_id = $1 AND entity_type = 'subscription-payments'", [libraryId]
+    ));
+    assert.deepEqual(audit.rows, [{ action: 'update' }]);
+  });
+});
@@ -0,0 +1,301 @@
+// Libraries must never see or change each other's data. Two libraries are seeded with rows named
+// ALPHA and BETA; library A's owner and admin then call the routes, and the database is checked
+// directly for the row-level security of migrations/023_tenant_isolation.sql.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { hashPassword } = require('../utils/passwords');
+const { runAsSystem, runAsTenant } = require('../utils/tenantContext');
+const { createTestDatabase } = require('./helpers/database');
+
+const PASSWORD = 'Secret#123';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// One library with a row in each table the routes below read, every name starting with `marker`
+const seedLibrary = async (pool, { code, phone, marker }) => {
+  const insert = async (sql, params) => (await pool.query(sql, params)).rows[0].id;
+  const password = await hashPassword(PASSWORD);
+  const libraryId = await insert(
+    `INSERT INTO libraries (library_code, library_name, owner_name, owner_email, owner_phone, password)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+    [code, `${marker} Library`, `${marker} Owner`, `${code.toLowerCase()}@example.com`, phone, password]
+  );
+  await pool.query(
+    "INSERT INTO users (username, password, role, full_name, library_id) VALUES ('admin', $1, 'admin', $2, $3)",
+    [password, `${marker} Admin`, libraryId]
+  );
+  const branchId = await insert('INSERT INTO branches (name, library_id) VALUES ($1, $2) RETURNING id', [`${marker} Branch`, libraryId]);
+  const seatId = await insert(
+    'INSERT INTO seats (seat_number, branch_id, library_id) VALUES ($1, $2, $3) RETURNING id',
+    [`${marker}-S1`, branchId, libraryId]
+  );
+  const scheduleId = await insert(
+    `INSERT INTO schedules (title, time, end_time, fee, branch_id, library_id)
+     VALUES ($1, '08:00', '12:00', 500, $2, $3) RETURNING id`,
+    [`${marker} Morning`, branchId, libraryId]
+  );
+  const lockerId = await insert(
+    'INSERT INTO locker (locker_number, branch_id, library_id) VALUES ($1, $2, $3) RETURNING id',
+    [`${marker}-L1`, branchId, libraryId]
+  );
+  const studentId = await insert(
+    `INSERT INTO students (name, phone, email, branch_id, membership_start, membership_end, total_fee, library_id)
+     VALUES ($1, $2, $3, $4, CURRENT_DATE, CURRENT_DATE + 30, 500, $5) RETURNING id`,
+    [`${marker} Student`, `9${phone}`, `student.${code.toLowerCase()}@example.com`, branchId, libraryId]
+  );
+  await pool.query(
+    'INSERT INTO student_accounts (library_id, phone, password, student_id) VALUES ($1, $2, $3, $4)',
+    [libraryId, `9${phone}`, password, studentId]
+  );
+  await pool.query(
+    'INSERT INTO seat_assignments (seat_id, shift_id, student_id, library_id) VALUES ($1, $2, $3, $4)',
+    [seatId, scheduleId, studentId, libraryId]
+  );
+  const expenseId = await insert(
+    'INSERT INTO expenses (title, amount, branch_id, library_id) VALUES ($1, 1000, $2, $3) RETURNING id',
+    [`${marker} Rent`, branchId, libraryId]
+  );
+  const productId = await insert('INSERT INTO products (name, library_id) VALUES ($1, $2) RETURNING id', [`${marker} Tea`, libraryId]);
+  await pool.query('INSERT INTO transactions (name, library_id) VALUES ($1, $2)', [`${marker} Cash Book`, libraryId]);
+  await pool.query('INSERT INTO hostel_branches (name, library_id) VALUES ($1, $2)', [`${marker} Hostel`, libraryId]);
+  const announcementId = await insert(
+    'INSERT INTO announcements (library_id, title, content, is_global) VALUES ($1, $2, $3, TRUE) RETURNING id',
+    [libraryId, `${marker} Notice`, `${marker} is closed on Sunday`]
+  );
+  const queryId = await insert(
+    'INSERT INTO queries (library_id, student_id, title, description) VALUES ($1, $2, $3, $4) RETURNING id',
+    [libraryId, studentId, `${marker} Query`, `${marker} fan is broken`]
+  );
+  const ruleId = await insert(
+    `INSERT INTO reminder_rules (library_id, name, trigger_type, days, channel, template_key)
+     VALUES ($1, $2, 'before_expiry', 3, 'email', 'membership_expiry') RETURNING id`,
+    [libraryId, `${marker} Expiry`]
+  );
+  const segmentId = await insert(
+    "INSERT INTO student_segments (library_id, name, filters) VALUES ($1, $2, '{}') RETURNING id",
+    [libraryId, `${marker} Segment`]
+  );
+  const notificationId = await insert(
+    `INSERT INTO notifications (library_id, channel, recipient, recipient_name, template_key, body)
+     VALUES ($1, 'email', $2, $3, 'membership_expiry', $4) RETURNING id`,
+    [libraryId, `student.${code.toLowerCase()}@example.com`, `${marker} Student`, `${marker} membership ends soon`]
+  );
+  await pool.query(
+    "INSERT INTO library_settings (library_id, key, value) VALUES ($1, 'receipt_prefix', $2)",
+    [libraryId, JSON.stringify(marker)]
+  );
+  return {
+    libraryId, branchId, seatId, scheduleId, lockerId, studentId, expenseId, productId, announcementId, queryId,
+    ruleId, segmentId, notificationId
+  };
+};
+
+// Every row of the library in the tables the routes below could change
+const SNAPSHOT_TABLES = [
+  'students', 'branches', 'seats', 'schedules', 'locker', 'seat_assignments', 'expenses', 'products', 'announcements',
+  'queries', 'query_comments', 'query_votes', 'reminder_rules', 'student_segments', 'notifications', 'library_settings'
+];
+const snapshotLibrary = (pool, libraryId) =>
+  runAsSystem(async () => {
+    const snapshot = {};
+    for (const table of SNAPSHOT_TABLES) {
+      snapshot[table] = (await pool.query(`SELECT * FROM ${table} WHERE library_id = $1 ORDER BY id`, [libraryId])).rows;
+    }
+    return snapshot;
+  });
+
+describe('tenant isolation', () => {
+  let database;
+  let pool;
+  let server;
+  let baseUrl;
+  let alpha;
+  let beta;
+
+  const request = async (cookie, method, path, body) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, text, setCookie: res.headers.get('set-cookie') };
+  };
+
+  const login = async (path, body) => {
+    const res = await request(null, 'POST', path, body);
+    assert.equal(res.status, 200, `${path}: ${res.text}`);
+    return res.setCookie.split(';')[0];
+  };
+
+  before(async () => {
+    database = await createTestDatabase();
+    pool = database.pool;
+    alpha = await runAsSystem(() => seedLibrary(pool, { code: 'ALPHA01', phone: '900000001', marker: 'ALPHA' }));
+    beta = await runAsSystem(() => seedLibrary(pool, { code: 'BETA01', phone: '900000002', marker: 'BETA' }));
+    const app = createApp(pool, { logger: silentLogger });
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await database.close();
+  });
+
+  describe('in the database', () => {
+    it('shows no rows to a connection without a library', async () => {
+      const result = await pool.query('SELECT id FROM students');
+      assert.equal(result.rows.length, 0);
+    });
+
+    it("keeps a query without a library filter to the library's own rows", async () => {
+      const names = await runAsTenant(alpha.libraryId, async () => (await pool.query('SELECT name FROM students')).rows);
+      assert.deepEqual(names, [{ name: 'ALPHA Student' }]);
+
+      const updated = await runAsTenant(alpha.libraryId, () => pool.query("UPDATE products SET name = name || ' (edited)'"));
+      assert.equal(updated.rowCount, 1);
+      const betaProducts = await runAsSystem(() => pool.query('SELECT name FROM products WHERE library_id = $1', [beta.libraryId]));
+      assert.deepEqual(betaProducts.rows, [{ name: 'BETA Tea' }]);
+      await runAsTenant(alpha.libraryId, () => pool.query("UPDATE products SET name = 'ALPHA Tea'"));
+    });
+
+    it('rejects a row written for another library', async () => {
+      await assert.rejects(
+        runAsTenant(alpha.libraryId, () => pool.query('INSERT INTO products (name, library_id) VALUES ($1, $2)', ['Planted', beta.libraryId])),
+        /row-level security/
+      );
+      await assert.rejects(
+        runAsTenant(alpha.libraryId, () => pool.query('UPDATE products SET library_id = $1 WHERE id = $2', [beta.libraryId, alpha.productId])),
+        /row-level security/
+      );
+    });
+
+    it('lets system work reach every library', async () => {
+      const result = await runAsSystem(() => pool.query('SELECT DISTINCT library_id FROM students ORDER BY library_id'));
+      assert.deepEqual(result.rows.map((row) => row.library_id), [alpha.libraryId, beta.libraryId]);
+    });
+  });
+
+  // Library A's owner, admin and student each call the routes below open to them; staff routes by default
+  const ACTORS = {
+    owner: () => login('/api/owner-auth/login', { phone: '900000001', password: PASSWORD }),
+    admin: () => login('/api/auth/login', { username: 'admin', password: PASSWORD, library_code: 'ALPHA01' }),
+    student: () => login('/api/student-auth/login', { libraryCode: 'ALPHA01', phone: '9900000001', password: PASSWORD })
+  };
+  const STAFF = ['owner', 'admin'];
+  const EVERYONE = ['owner', 'admin', 'student'];
+
+  // Lists that must show library A's rows and none of library B's
+  const LISTS = [
+    { path: '/api/students' },
+    { path: '/api/branches' },
+    { path: '/api/seats' },
+    { path: '/api/schedules' },
+    { path: '/api/lockers' },
+    { path: '/api/expenses' },
+    { path: '/api/products' },
+    { path: '/api/transactions' },
+    { path: '/api/hostel/branches' },
+    { path: '/api/announcements', actors: EVERYONE },
+    { path: '/api/queries', actors: ['owner', 'student'] },
+    { path: '/api/reminder-rules' },
+    { path: '/api/bulk-messages/segments' },
+    { path: '/api/settings' },
+    { path: '/api/notifications', actors: ['owner'] },
+    { path: '/api/queries/admin', actors: ['owner'] }
+  ];
+
+  // Library B's rows, asked for by id
+  const READS = [
+    { route: '/api/students/:id', path: (b) => `/api/students/${b.studentId}` },
+    { route: '/api/schedules/:id', path: (b) => `/api/schedules/${b.scheduleId}` },
+    { route: '/api/queries/:id', path: (b) => `/api/queries/${b.queryId}`, actors: EVERYONE },
+    { route: '/api/notifications/:id', path: (b) => `/api/notifications/${b.notificationId}`, actors: ['owner'] }
+  ];
+
+  // Changes to library B's rows
+  const WRITES = [
+    { method: 'PUT', path: (b) => `/api/students/${b.studentId}/status`, body: () => ({ is_active: false }) },
+    { method: 'DELETE', path: (b) => `/api/students/${b.studentId}` },
+    { method: 'PUT', path: (b) => `/api/branches/${b.branchId}`, body: () => ({ name: 'Taken over' }) },
+    { method: 'DELETE', path: (b) => `/api/branches/${b.branchId}` },
+    { method: 'DELETE', path: (b) => `/api/seats/${b.seatId}` },
+    {
+      method: 'PUT',
+      path: (b) => `/api/schedules/${b.scheduleId}`,
+      body: () => ({ title: 'Taken over', time: '09:00', end_time: '10:00', fee: 1, branch_id: alpha.branchId })
+    },
+    { method: 'DELETE', path: (b) => `/api/schedules/${b.scheduleId}` },
+    { method: 'PUT', path: (b) => `/api/lockers/${b.lockerId}`, body: () => ({ locker_number: 'X', branch_id: alpha.branchId }) },
+    { method: 'DELETE', path: (b) => `/api/lockers/${b.lockerId}` },
+    {
+      method: 'PUT',
+      path: (b) => `/api/expenses/${b.expenseId}`,
+      body: () => ({ title: 'Taken over', amount: 1, date: '2026-01-01', branch_id: alpha.branchId })
+    },
+    { method: 'DELETE', path: (b) => `/api/expenses/${b.expenseId}` },
+    { method: 'PUT', path: (b) => `/api/products/${b.productId}`, body: () => ({ name: 'Taken over' }) },
+    { method: 'DELETE', path: (b) => `/api/products/${b.productId}` },
+    {
+      method: 'PUT',
+      path: (b) => `/api/reminder-rules/${b.ruleId}`,
+      body: () => ({ name: 'Taken over', trigger_type: 'on_expiry', channel: 'sms', template_key: 'membership_expiry', send_time: '09:00' })
+    },
+    { method: 'DELETE', path: (b) => `/api/reminder-rules/${b.ruleId}` },
+    { method: 'PUT', path: (b) => `/api/bulk-messages/segments/${b.segmentId}`, body: () => ({ name: 'Taken over', filters: {} }) },
+    { method: 'DELETE', path: (b) => `/api/bulk-messages/segments/${b.segmentId}` },
+    { method: 'POST', path: (b) => `/api/queries/${b.queryId}/comments`, body: () => ({ comment_text: 'Taken over' }), actors: EVERYONE },
+    { method: 'POST', path: (b) => `/api/queries/${b.queryId}/vote`, body: () => ({ vote_type: 'down' }), actors: ['student'] },
+    { method: 'POST', path: (b) => `/api/notifications/${b.notificationId}/retry`, actors: ['owner'] },
+    { method: 'PUT', path: (b) => `/api/queries/${b.queryId}/status`, body: () => ({ status: 'Done' }), actors: ['owner'] },
+    {
+      method: 'PUT',
+      path: (b) => `/api/announcements/${b.announcementId}`,
+      body: () => ({ title: 'Taken over', content: 'Taken over' }),
+      actors: ['owner']
+    },
+    { method: 'DELETE', path: (b) => `/api/announcements/${b.announcementId}`, actors: ['owner'] }
+  ];
+
+  for (const [actor, signIn] of Object.entries(ACTORS)) {
+    describe(`as library A's ${actor}`, () => {
+      let cookie;
+      const applies = (route) => (route.actors || STAFF).includes(actor);
+
+      before(async () => {
+        cookie = await signIn();
+      });
+
+      for (const list of LISTS.filter(applies)) {
+        it(`GET ${list.path} returns none of library B's rows`, async () => {
+          const res = await request(cookie, 'GET', list.path);
+          assert.equal(res.status, 200, res.text);
+          assert.match(res.text, /ALPHA/);
+          assert.doesNotMatch(res.text, /BETA/);
+        });
+      }
+
+      for (const read of READS.filter(applies)) {
+        it(`GET ${read.route} of library B is not found`, async () => {
+          const res = await request(cookie, 'GET', read.path(beta));
+          assert.equal(res.status, 404, res.text);
+          assert.doesNotMatch(res.text, /BETA/);
+        });
+      }
+
+      it("changes none of library B's rows", async () => {
+        const untouched = await snapshotLibrary(pool, beta.libraryId);
+        for (const write of WRITES.filter(applies)) {
+          const path = write.path(beta);
+          const res = await request(cookie, write.method, path, write.body && write.body());
+          assert.ok(res.status >= 400, `${write.method} ${path} answered ${res.status}: ${res.text}`);
+          assert.doesNotMatch(res.text, /BETA/, `${write.method} ${path}`);
+        }
+        assert.deepEqual(await snapshotLibrary(pool, beta.libraryId), untouched);
+      });
+    });
+  }
+});
@@ -0,0 +1,53 @@
+// Canonical student attendance model: every check-in and check-out is one row in student_attendance
+
+/**
+ * Last action ('in' or 'out') the student recorded today, or null when there is none.
+ * Uses the database CURRENT_DATE so server and database timezones cannot disagree about "today".
+ */
+const getLastActionToday = async (pool, studentId, libraryId) => {
+  const result = await pool.query(
+    `SELECT action, created_at FROM student_attendance
+     WHERE student_id = $1 AND library_id = $2 AND DATE(created_at) = CURRENT_DATE
+     ORDER BY created_at DESC LIMIT 1`,
+    [studentId, libraryId]
+  );
+  if (result.rows.length === 0) return null;
+  return { action: result.rows[0].action.trim(), createdAt: result.rows[0].created_at };
+};
+
+/**
+ * Insert one attendance event.
+ * `event` is { studentId, libraryId, action, source, notes, geofence, time, recordedByUserId } where `time` ('HH:MM')
+ * places the event at that time today instead of now, `geofence` is the result of checkGeofence and
+ * `recordedByUserId` is the staff member who recorded it at the kiosk.
+ */
+const recordAttendanceEvent = async (pool, event) => {
+  const { studentId, libraryId, action, source, notes = null, geofence = null, time = null, recordedByUserId = null } = event;
+
+  const result = await pool.query(
+    `INSERT INTO student_attendance (student_id, library_id, action, source, notes, created_at,
+                                     latitude, longitude, distance_meters, is_flagged, flag_reason, recorded_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, COALESCE(CURRENT_DATE + $6::time, CURRENT_TIMESTAMP), $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      studentId,
+      libraryId,
+      action,
+      source,
+      notes,
+      time,
+      geofence ? geofence.latitude : null,
+      geofence ? geofence.longitude : null,
+      geofence ? geofence.distance : null,
+      geofence ? geofence.flagged : false,
+      geofence ? geofence.reason : null,
+      recordedByUserId
+    ]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  getLastActionToday,
+  recordAttendanceEvent,
+};
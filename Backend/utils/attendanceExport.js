@@ -0,0 +1,39 @@
+// CSV and XLSX writers for attendance exports
+const ExcelJS = require('exceljs');
+
+// Quote a CSV cell when needed and neutralise values a spreadsheet would run as a formula
+const escapeCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+/**
+ * Build a CSV document. `columns` is [{ key, header }], `rows` are plain objects keyed by column key.
+ * Starts with a UTF-8 BOM so Excel opens non-ASCII names correctly.
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map((column) => escapeCsvCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsvCell(row[column.key])).join(','));
+  });
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+// Build an XLSX workbook with a single sheet and return it as a Buffer
+const toXlsxBuffer = async (sheetName, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map((column) => ({ header: column.header, key: column.key, width: column.width || 14 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  rows.forEach((row) => sheet.addRow(row));
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  toCsv,
+  toXlsxBuffer,
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+// How long a displayed attendance QR code stays valid, in seconds.
+// Kept between 30 and 60 seconds so a screenshot is useless by the time it is shared.
+const QR_TTL_SECONDS = Math.min(Math.max(parseInt(process.env.ATTENDANCE_QR_TTL_SECONDS || '45', 10) || 45, 30), 60);
+
+// Tolerance for small clock differences between the kiosk and the server
+const CLOCK_SKEW_MS = 5 * 1000;
+
+const getSecret = () =>
+  process.env.ATTENDANCE_QR_SECRET || process.env.SESSION_SECRET || 'your-very-secure-secret-key-please-change';
+
+const sign = ({ libraryId, nonce, issuedAt, expiresAt }) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${libraryId}.${nonce}.${issuedAt}.${expiresAt}`)
+    .digest('hex');
+
+// Build a fresh, signed attendance payload for a library
+const createAttendanceQrPayload = (library) => {
+  const issuedAt = Date.now();
+  const expiresAt = issuedAt + QR_TTL_SECONDS * 1000;
+  const nonce = crypto.randomBytes(12).toString('hex');
+
+  const payload = {
+    libraryId: library.id,
+    libraryCode: library.library_code,
+    libraryName: library.library_name,
+    type: 'attendance',
+    nonce,
+    issuedAt,
+    expiresAt,
+  };
+  payload.signature = sign(payload);
+
+  return payload;
+};
+
+// Verify a scanned payload. Returns { valid: true, payload } or { valid: false, code, message }.
+const verifyAttendanceQrPayload = (qrData, libraryId) => {
+  let payload;
+  try {
+    payload = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
+  } catch (error) {
+    return { valid: false, code: 'QR_INVALID', message: 'Invalid QR code format' };
+  }
+
+  if (!payload || typeof payload !== 'object' || payload.type !== 'attendance') {
+    return { valid: false, code: 'QR_INVALID', message: 'This is not an attendance QR code' };
+  }
+
+  if (parseInt(payload.libraryId, 10) !== parseInt(libraryId, 10)) {
+    return { valid: false, code: 'QR_WRONG_LIBRARY', message: 'Invalid QR code for this library' };
+  }
+
+  if (!payload.signature || !payload.nonce || !payload.issuedAt || !payload.expiresAt) {
+    return {
+      valid: false,
+      code: 'QR_UNSIGNED',
+      message: 'This QR code is no longer accepted. Please scan the live code displayed at the library.'
+    };
+  }
+
+  const expected = Buffer.from(sign({
+    libraryId: parseInt(payload.libraryId, 10),
+    nonce: payload.nonce,
+    issuedAt: payload.issuedAt,
+    expiresAt: payload.expiresAt,
+  }), 'hex');
+  const received = Buffer.from(String(payload.signature), 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, code: 'QR_FORGED', message: 'QR code signature is invalid. Please scan the code displayed at the library.' };
+  }
+
+  const now = Date.now();
+  if (payload.issuedAt - CLOCK_SKEW_MS > now) {
+    return { valid: false, code: 'QR_FORGED', message: 'QR code signature is invalid. Please scan the code displayed at the library.' };
+  }
+  if (payload.expiresAt + CLOCK_SKEW_MS < now) {
+    return { valid: false, code: 'QR_EXPIRED', message: 'This QR code has expired. Please scan the current code on the display.' };
+  }
+
+  return { valid: true, payload };
+};
+
+// Student ID cards carry a permanent code: LIBCARD.<libraryId>.<studentId>.<signature>.
+// The signature is shortened to keep the printed QR code small; it only has to stop made-up card numbers.
+const CARD_PREFIX = 'LIBCARD';
+
+const signCard = (libraryId, studentId) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`card.${libraryId}.${studentId}`)
+    .digest('hex')
+    .slice(0, 16);
+
+const createStudentCardCode = (libraryId, studentId) =>
+  `${CARD_PREFIX}.${libraryId}.${studentId}.${signCard(libraryId, studentId)}`;
+
+// Verify a scanned ID card. Returns { valid: true, studentId } or { valid: false, code, message }.
+const verifyStudentCardCode = (cardCode, libraryId) => {
+  const parts = String(cardCode || '').trim().split('.');
+  if (parts.length !== 4 || parts[0] !== CARD_PREFIX) {
+    return { valid: false, code: 'CARD_INVALID', message: 'This is not a student ID card' };
+  }
+
+  const cardLibraryId = parseInt(parts[1], 10);
+  const studentId = parseInt(parts[2], 10);
+  if (isNaN(cardLibraryId) || isNaN(studentId)) {
+    return { valid: false, code: 'CARD_INVALID', message: 'This is not a student ID card' };
+  }
+  if (cardLibraryId !== parseInt(libraryId, 10)) {
+    return { valid: false, code: 'CARD_WRONG_LIBRARY', message: 'This ID card belongs to a different library' };
+  }
+
+  const expected = Buffer.from(signCard(cardLibraryId, studentId));
+  const received = Buffer.from(parts[3]);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, code: 'CARD_FORGED', message: 'ID card signature is invalid' };
+  }
+
+  return { valid: true, studentId };
+};
+
+module.exports = {
+  QR_TTL_SECONDS,
+  createAttendanceQrPayload,
+  verifyAttendanceQrPayload,
+  createStudentCardCode,
+  verifyStudentCardCode,
+};
@@ -0,0 +1,296 @@
+// Shift-aware attendance: compares each day's check-in/check-out with the student's assigned shifts
+
+// Minutes of tolerance before a check-in counts as late or a check-out as early
+const GRACE_MINUTES = Math.max(parseInt(process.env.ATTENDANCE_GRACE_MINUTES || '10', 10) || 0, 0);
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes since midnight, or null
+const toMinutes = (time) => {
+  if (!time) return null;
+  const [hours, minutes] = String(time).split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return null;
+  return hours * 60 + minutes;
+};
+
+const toNumberOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Classify one day of attendance against the student's shifts.
+ * `day` has firstIn/lastOut as minutes since midnight; `shifts` are rows with start_time/end_time.
+ * Returns { status, lateMinutes, earlyMinutes, shiftTitle } where status is one of
+ * 'on_time', 'late', 'early_leave', 'out_of_shift', 'absent' or 'present' (no shift to compare against).
+ */
+const classifyDay = (day, shifts = []) => {
+  if (!day || day.firstIn === null || day.firstIn === undefined) {
+    return { status: 'absent', lateMinutes: 0, earlyMinutes: 0, shiftTitle: null };
+  }
+
+  const windows = shifts
+    .map((shift) => ({
+      title: shift.title,
+      start: toMinutes(shift.start_time),
+      end: toMinutes(shift.end_time),
+    }))
+    .filter((window) => window.start !== null);
+
+  if (windows.length === 0) {
+    return { status: 'present', lateMinutes: 0, earlyMinutes: 0, shiftTitle: null };
+  }
+
+  const firstIn = day.firstIn;
+  // A session still open counts as lasting until the end of the day
+  const lastOut = day.lastOut === null || day.lastOut === undefined ? MINUTES_PER_DAY : day.lastOut;
+
+  // Pick the shift the visit overlaps, preferring the one that starts closest to the check-in
+  const overlapping = windows
+    .filter((window) => firstIn < (window.end !== null ? window.end : MINUTES_PER_DAY) && lastOut > window.start)
+    .sort((a, b) => Math.abs(a.start - firstIn) - Math.abs(b.start - firstIn));
+
+  if (overlapping.length === 0) {
+    return { status: 'out_of_shift', lateMinutes: 0, earlyMinutes: 0, shiftTitle: null };
+  }
+
+  const shift = overlapping[0];
+  const lateMinutes = Math.max(firstIn - shift.start, 0);
+  const earlyMinutes = shift.end !== null && day.lastOut !== null && day.lastOut !== undefined
+    ? Math.max(shift.end - day.lastOut, 0)
+    : 0;
+
+  let status = 'on_time';
+  if (lateMinutes > GRACE_MINUTES) {
+    status = 'late';
+  } else if (earlyMinutes > GRACE_MINUTES) {
+    status = 'early_leave';
+  }
+
+  return {
+    status,
+    lateMinutes: lateMinutes > GRACE_MINUTES ? lateMinutes : 0,
+    earlyMinutes: earlyMinutes > GRACE_MINUTES ? earlyMinutes : 0,
+    shiftTitle: shift.title,
+  };
+};
+
+// Map of studentId -> assigned shifts
+const getStudentShifts = async (pool, libraryId, studentIds) => {
+  const shiftsByStudent = new Map();
+  if (studentIds.length === 0) return shiftsByStudent;
+
+  const result = await pool.query(
+    `SELECT sa.student_id, sch.id, sch.title, sch.time AS start_time, sch.end_time
+     FROM seat_assignments sa
+     JOIN schedules sch ON sch.id = sa.shift_id
+     WHERE sch.library_id = $1 AND sa.student_id = ANY($2::int[])`,
+    [libraryId, studentIds]
+  );
+
+  result.rows.forEach((row) => {
+    if (!shiftsByStudent.has(row.student_id)) shiftsByStudent.set(row.student_id, []);
+    shiftsByStudent.get(row.student_id).push(row);
+  });
+  return shiftsByStudent;
+};
+
+// Map of `${studentId}|${date}` -> { firstIn, lastOut } in minutes since midnight
+const getDailyVisits = async (pool, libraryId, studentIds, startDate, endDate) => {
+  const visits = new Map();
+  if (studentIds.length === 0) return visits;
+
+  const result = await pool.query(
+    `SELECT
+       a.student_id,
+       TO_CHAR(DATE(a.created_at), 'YYYY-MM-DD') AS date,
+       MIN(EXTRACT(HOUR FROM a.created_at) * 60 + EXTRACT(MINUTE FROM a.created_at)) FILTER (WHERE a.action = 'in') AS first_in,
+       MAX(EXTRACT(HOUR FROM a.created_at) * 60 + EXTRACT(MINUTE FROM a.created_at)) FILTER (WHERE a.action = 'out') AS last_out
+     FROM student_attendance a
+     WHERE a.library_id = $1 AND a.student_id = ANY($2::int[]) AND DATE(a.created_at) BETWEEN $3 AND $4
+     GROUP BY a.student_id, DATE(a.created_at)`,
+    [libraryId, studentIds, startDate, endDate]
+  );
+
+  result.rows.forEach((row) => {
+    visits.set(`${row.student_id}|${row.date}`, {
+      firstIn: toNumberOrNull(row.first_in),
+      lastOut: toNumberOrNull(row.last_out),
+    });
+  });
+  return visits;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Monthly punctuality summary per student.
+ * Covers members active during the month plus anyone who scanned in it, so totals match the attendance list.
+ * Days are counted only while the student's membership was active and never beyond today.
+ * Options: { month, year, studentId, branchId, shiftId, search, includeDays }
+ */
+const getPunctualitySummary = async (pool, libraryId, options = {}) => {
+  const month = parseInt(options.month, 10);
+  const year = parseInt(options.year, 10);
+  const lastDay = new Date(year, month, 0).getDate();
+  const startDate = `${year}-${pad(month)}-01`;
+  const endDate = `${year}-${pad(month)}-${pad(lastDay)}`;
+
+  const params = [libraryId, startDate, endDate];
+  let whereClause = `WHERE s.library_id = $1 AND (
+      (s.membership_start <= $3 AND s.membership_end >= $2${options.studentId ? '' : " AND s.status = 'active'"})
+      OR EXISTS (
+        SELECT 1 FROM student_attendance a
+        WHERE a.student_id = s.id AND a.library_id = $1 AND DATE(a.created_at) BETWEEN $2 AND $3
+      )
+    )`;
+
+  if (options.studentId) {
+    params.push(parseInt(options.studentId, 10));
+    whereClause += ` AND s.id = $${params.length}`;
+  }
+  if (options.branchId) {
+    params.push(parseInt(options.branchId, 10));
+    whereClause += ` AND s.branch_id = $${params.length}`;
+  }
+  if (options.shiftId) {
+    params.push(parseInt(options.shiftId, 10));
+    whereClause += ` AND EXISTS (SELECT 1 FROM seat_assignments sa WHERE sa.student_id = s.id AND sa.shift_id = $${params.length})`;
+  }
+  if (options.search && options.search.trim()) {
+    params.push(`%${options.search.trim()}%`);
+    whereClause += ` AND (s.name ILIKE $${params.length} OR s.phone ILIKE $${params.length} OR s.registration_number ILIKE $${params.length})`;
+  }
+
+  const [studentsResult, todayResult] = await Promise.all([
+    pool.query(
+      `SELECT s.id, s.name, s.phone, s.registration_number, b.name AS branch_name,
+         TO_CHAR(s.membership_start, 'YYYY-MM-DD') AS membership_start,
+         TO_CHAR(s.membership_end, 'YYYY-MM-DD') AS membership_end
+       FROM students s
+       LEFT JOIN branches b ON b.id = s.branch_id
+       ${whereClause}
+       ORDER BY s.name`,
+      params
+    ),
+    pool.query(`SELECT TO_CHAR(CURRENT_DATE, 'YYYY-MM-DD') AS today`),
+  ]);
+
+  const today = todayResult.rows[0].today;
+  const students = studentsResult.rows;
+  const studentIds = students.map((student) => student.id);
+
+  const [shiftsByStudent, visits] = await Promise.all([
+    getStudentShifts(pool, libraryId, studentIds),
+    getDailyVisits(pool, libraryId, studentIds, startDate, endDate),
+  ]);
+
+  return students.map((student) => {
+    const shifts = shiftsByStudent.get(student.id) || [];
+    const summary = {
+      studentId: student.id,
+      studentName: student.name,
+      phone: student.phone,
+      registrationNumber: student.registration_number,
+      branchName: student.branch_name,
+      shifts: shifts.map((shift) => shift.title),
+      expectedDays: 0,
+      present: 0,
+      onTime: 0,
+      late: 0,
+      earlyLeave: 0,
+      outOfShift: 0,
+      absent: 0,
+      totalLateMinutes: 0,
+    };
+    const days = [];
+
+    for (let dayOfMonth = 1; dayOfMonth <= lastDay; dayOfMonth++) {
+      const date = `${year}-${pad(month)}-${pad(dayOfMonth)}`;
+      if (date > today) break;
+      const visit = visits.get(`${student.id}|${date}`);
+      const withinMembership = date >= student.membership_start && date <= student.membership_end;
+      if (!withinMembership && !visit) continue;
+
+      const result = classifyDay(visit, shifts);
+      if (withinMembership) summary.expectedDays++;
+
+      switch (result.status) {
+        case 'absent':
+          // Today is not counted as absent while the student's shift may still be ahead
+          if (date === today) {
+            summary.expectedDays--;
+            continue;
+          }
+          summary.absent++;
+          break;
+        case 'on_time':
+          summary.onTime++;
+          break;
+        case 'late':
+          summary.late++;
+          summary.totalLateMinutes += result.lateMinutes;
+          break;
+        case 'early_leave':
+          summary.earlyLeave++;
+          break;
+        case 'out_of_shift':
+          summary.outOfShift++;
+          break;
+        default:
+          break;
+      }
+      if (result.status !== 'absent') summary.present++;
+      if (options.includeDays) days.push({ date, ...visit, ...result });
+    }
+
+    const compared = summary.onTime + summary.late + summary.earlyLeave + summary.outOfShift;
+    summary.punctualityRate = compared > 0 ? Math.round((summary.onTime / compared) * 100) : null;
+    summary.averageLateMinutes = summary.late > 0 ? Math.round(summary.totalLateMinutes / summary.late) : 0;
+    delete summary.totalLateMinutes;
+
+    if (options.includeDays) summary.days = days;
+    return summary;
+  });
+};
+
+// Register mark for a classified day: A(bsent), L(ate) or P(resent)
+const REGISTER_MARKS = {
+  absent: 'A',
+  late: 'L',
+};
+
+/**
+ * Monthly register: one row per student with a mark per day of the month.
+ * Marks are 'P', 'A', 'L', or '' for days outside the membership or still ahead.
+ * Options: { month, year, branchId, shiftId, search }
+ */
+const getAttendanceRegister = async (pool, libraryId, options = {}) => {
+  const summary = await getPunctualitySummary(pool, libraryId, { ...options, includeDays: true });
+  const daysInMonth = new Date(parseInt(options.year, 10), parseInt(options.month, 10), 0).getDate();
+
+  const students = summary.map((row) => {
+    const marks = new Array(daysInMonth).fill('');
+    row.days.forEach((day) => {
+      marks[parseInt(day.date.slice(8), 10) - 1] = REGISTER_MARKS[day.status] || 'P';
+    });
+    return {
+      studentId: row.studentId,
+      studentName: row.studentName,
+      registrationNumber: row.registrationNumber,
+      branchName: row.branchName,
+      shifts: row.shifts,
+      marks,
+      present: row.present,
+      late: row.late,
+      absent: row.absent,
+    };
+  });
+
+  return { daysInMonth, students };
+};
+
+module.exports = {
+  GRACE_MINUTES,
+  classifyDay,
+  getStudentShifts,
+  getPunctualitySummary,
+  getAttendanceRegister,
+};
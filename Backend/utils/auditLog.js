@@ -0,0 +1,195 @@
+// Append-only audit trail of create/update/delete actions (see migrations/016_create_audit_logs.sql)
+const { runAsTenant } = require('./tenantContext');
+
+const ACTIONS_BY_METHOD = { POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+// Sign-in and password-reset requests are tracked in login_attempts and password_reset_codes instead,
+// and previews change nothing
+const UNAUDITED_PATH = /\/(login|logout|forgot-password|reset-password|register|preview)$/;
+// Values never copied into the trail
+const SENSITIVE_KEY = /password|token|secret|otp|signature|^code$/i;
+const MAX_STRING_LENGTH = 500;
+const MAX_DEPTH = 4;
+
+// Copy of a request body or database row that is safe and small enough to store
+const sanitize = (value, depth = 0) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}… [truncated]` : value;
+  }
+  if (typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (Array.isArray(value)) return value.map((item) => sanitize(item, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([key]) => !SENSITIVE_KEY.test(key))
+      .map(([key, item]) => [key, sanitize(item, depth + 1)])
+  );
+};
+
+// Who is making the request, from whichever session is present
+const getActor = (req) => {
+  const session = (req && req.session) || {};
+  if (session.owner) {
+    return { type: 'owner', id: session.owner.id, name: session.owner.ownerName, role: 'owner', libraryId: session.owner.id };
+  }
+  if (session.user) {
+    return { type: 'user', id: session.user.id, name: session.user.username, role: session.user.role, libraryId: session.user.libraryId };
+  }
+  if (session.student) {
+    return { type: 'student', id: session.student.id, name: session.student.name, role: 'student', libraryId: session.student.libraryId };
+  }
+  return { type: 'system', id: null, name: null, role: 'system', libraryId: null };
+};
+
+// 'students', '12' from /api/students/12/status; nested routers keep their prefix, e.g. 'hostel/students'
+const describePath = (originalUrl) => {
+  const segments = originalUrl.split('?')[0].replace(/^\/api\//, '').split('/').filter(Boolean);
+  const idIndex = segments.findIndex((segment) => /^\d+$/.test(segment));
+  return {
+    entityType: (idIndex === -1 ? segments : segments.slice(0, idIndex)).join('/') || 'unknown',
+    entityId: idIndex === -1 ? null : segments[idIndex]
+  };
+};
+
+/**
+ * Record one change. `db` is the pool, or the transaction's client so the entry is only kept when the
+ * change commits. `req` supplies the actor, IP and path; pass null (with `libraryId`) for system jobs.
+ * Marks the request as audited so auditMutations does not add a second, less detailed entry.
+ */
+const recordAudit = async (db, req, { libraryId, action, entityType, entityId = null, before = null, after = null }) => {
+  const actor = getActor(req);
+  const resolvedLibraryId = libraryId || (req && req.libraryId) || actor.libraryId;
+  if (!resolvedLibraryId) {
+    console.warn(`[AUDIT] Skipped ${action} of ${entityType} ${entityId ?? ''} with no library`);
+    return;
+  }
+  if (req) req.auditRecorded = true;
+
+  await db.query(
+    `INSERT INTO audit_logs
+       (library_id, actor_type, actor_id, actor_name, actor_role, action, entity_type, entity_id,
+        before_data, after_data, http_method, path, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+    [
+      resolvedLibraryId,
+      actor.type,
+      actor.id,
+      actor.name,
+      actor.role,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      before ? JSON.stringify(sanitize(before)) : null,
+      after ? JSON.stringify(sanitize(after)) : null,
+      req ? req.method : null,
+      req ? req.originalUrl.split('?')[0] : null,
+      req ? req.ip : null,
+      req ? req.get('user-agent') : null
+    ]
+  );
+};
+
+/**
+ * App-level middleware that records every successful POST/PUT/PATCH/DELETE under /api which the route
+ * did not already record itself with recordAudit. The entry holds the request body as the new values;
+ * routes whose previous values matter call recordAudit with a before snapshot instead.
+ */
+const auditMutations = (pool) => (req, res, next) => {
+  const action = ACTIONS_BY_METHOD[req.method];
+  if (!action || UNAUDITED_PATH.test(req.path)) return next();
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || req.auditRecorded) return;
+    const { entityType, entityId } = describePath(req.originalUrl);
+    const after = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+    // 'finish' can fire outside the request's tenant context, so the entry is written as its library
+    runAsTenant(req.libraryId || getActor(req).libraryId, () => recordAudit(pool, req, { action, entityType, entityId, after }))
+      .catch((err) => {
+        console.error(`[AUDIT] Failed to record ${req.method} ${req.originalUrl}:`, err.message);
+      });
+  });
+  return next();
+};
+
+/**
+ * Audit entries for the library, newest first, with optional filters:
+ * actor ('owner', or 'user:<id>' / 'student:<id>'), entityType, entityId, action, from / to (dates).
+ */
+const getAuditLogs = async (pool, libraryId, { actor, entityType, entityId, action, from, to, page = 1, limit = 50 } = {}) => {
+  const params = [libraryId];
+  let conditions = 'library_id = $1';
+  if (actor) {
+    const [actorType, actorId] = String(actor).split(':');
+    params.push(actorType);
+    conditions += ` AND actor_type = $${params.length}`;
+    if (actorId) {
+      params.push(parseInt(actorId, 10));
+      conditions += ` AND actor_id = $${params.length}`;
+    }
+  }
+  if (entityType) {
+    params.push(entityType);
+    conditions += ` AND entity_type = $${params.length}`;
+  }
+  if (entityId) {
+    params.push(String(entityId));
+    conditions += ` AND entity_id = $${params.length}`;
+  }
+  if (action) {
+    params.push(action);
+    conditions += ` AND action = $${params.length}`;
+  }
+  if (from) {
+    params.push(from);
+    conditions += ` AND created_at >= $${params.length}::date`;
+  }
+  if (to) {
+    params.push(to);
+    conditions += ` AND created_at < $${params.length}::date + INTERVAL '1 day'`;
+  }
+
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM audit_logs WHERE ${conditions}`, params);
+
+  const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const result = await pool.query(
+    `SELECT id, actor_type, actor_id, actor_name, actor_role, action, entity_type, entity_id,
+       before_data, after_data, http_method, path, ip_address, user_agent, created_at
+     FROM audit_logs
+     WHERE ${conditions}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, pageSize, (pageNumber - 1) * pageSize]
+  );
+
+  return { logs: result.rows, total: countResult.rows[0].total, page: pageNumber, limit: pageSize };
+};
+
+// Actors and entity types that appear in the library's trail, for the viewer's filter menus
+const getAuditFilterOptions = async (pool, libraryId) => {
+  const [actors, entityTypes] = await Promise.all([
+    pool.query(
+      `SELECT DISTINCT ON (actor_type, actor_id) actor_type, actor_id, actor_name, actor_role
+       FROM audit_logs
+       WHERE library_id = $1 AND actor_type IN ('owner', 'user')
+       ORDER BY actor_type, actor_id, created_at DESC`,
+      [libraryId]
+    ),
+    pool.query(
+      'SELECT DISTINCT entity_type FROM audit_logs WHERE library_id = $1 ORDER BY entity_type',
+      [libraryId]
+    )
+  ]);
+  return {
+    actors: actors.rows,
+    entityTypes: entityTypes.rows.map((row) => row.entity_type)
+  };
+};
+
+module.exports = {
+  auditMutations,
+  getActor,
+  getAuditFilterOptions,
+  getAuditLogs,
+  recordAudit,
+};
@@ -0,0 +1,104 @@
+// Staff can be limited to some branches through users.branch_access. Owners, admins and staff whose
+// branch_access is empty (see migration 005) may use every branch.
+
+// Branch ids the current user is limited to, or null when they may use every branch
+const getAllowedBranchIds = (req) => {
+  const user = req.session && req.session.user;
+  if (req.session.owner || !user || user.role === 'admin') return null;
+  const branchAccess = (user.branchAccess || []).map(Number).filter(Number.isInteger);
+  return branchAccess.length > 0 ? branchAccess : null;
+};
+
+const canAccessBranch = (req, branchId) => {
+  const allowed = getAllowedBranchIds(req);
+  if (!allowed) return true;
+  return branchId !== null && branchId !== undefined && allowed.includes(parseInt(branchId, 10));
+};
+
+const respondBranchDenied = (res) =>
+  res.status(403).json({
+    message: 'Forbidden - you do not have access to this branch',
+    code: 'BRANCH_ACCESS_DENIED'
+  });
+
+/**
+ * Router middleware for branch-scoped routes. Loads the staff member's branch_access into the session
+ * when it is missing (sessions created before it was stored there), then rejects any request that
+ * names a branch outside it in the query (branchId / branch_id) or body (branch_id).
+ */
+const enforceBranchAccess = (pool) => async (req, res, next) => {
+  try {
+    const user = req.session.user;
+    if (!req.session.owner && user && user.role !== 'admin' && !Array.isArray(user.branchAccess)) {
+      const result = await pool.query('SELECT branch_access FROM users WHERE id = $1', [user.id]);
+      user.branchAccess = result.rows.length > 0 ? result.rows[0].branch_access || [] : [];
+    }
+
+    const requested = [req.query.branchId, req.query.branch_id, req.body && req.body.branch_id]
+      .filter((value) => value !== undefined && value !== null && value !== '' && value !== 'all');
+    if (requested.some((branchId) => !canAccessBranch(req, branchId))) {
+      console.warn(`[BRANCH_ACCESS] ${user.username} denied branch ${requested.join(', ')} for ${req.method} ${req.originalUrl}`);
+      return respondBranchDenied(res);
+    }
+    return next();
+  } catch (err) {
+    console.error('[BRANCH_ACCESS] Error checking branch access:', err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * SQL condition limiting `column` to the user's branches, appending the ids to `params`.
+ * Returns '' when the user may see every branch, so it can be added to any WHERE clause.
+ */
+const branchFilter = (req, column, params) => {
+  const allowed = getAllowedBranchIds(req);
+  if (!allowed) return '';
+  params.push(allowed);
+  return ` AND ${column} = ANY($${params.length}::int[])`;
+};
+
+/**
+ * router.param handler for routes addressing one record: rejects the request when the record belongs
+ * to a branch the user cannot access. Unknown ids pass through so the route can answer 404 as before.
+ * `table` and `column` are fixed identifiers from the calling router, never user input.
+ */
+const checkRecordBranch = (pool, table, column = 'branch_id') => async (req, res, next, id) => {
+  try {
+    const recordId = parseInt(id, 10);
+    if (!getAllowedBranchIds(req) || isNaN(recordId)) return next();
+    const result = await pool.query(
+      `SELECT ${column} AS branch_id FROM ${table} WHERE id = $1 AND library_id = $2`,
+      [recordId, req.libraryId]
+    );
+    if (result.rows.length > 0 && !canAccessBranch(req, result.rows[0].branch_id)) {
+      return respondBranchDenied(res);
+    }
+    return next();
+  } catch (err) {
+    console.error(`[BRANCH_ACCESS] Error checking branch of ${table} ${id}:`, err);
+    return res.status(500).json({ message: 'Server error', error: err.message });
+  }
+};
+
+/**
+ * For creates where the branch is optional: branch-limited staff must still put the record in
+ * one of their branches. Sends the error response and returns false when they did not.
+ */
+const requireOwnBranch = (req, res, branchId) => {
+  if (canAccessBranch(req, branchId)) return true;
+  res.status(400).json({
+    message: 'Choose one of the branches you have access to',
+    code: 'BRANCH_REQUIRED'
+  });
+  return false;
+};
+
+module.exports = {
+  branchFilter,
+  canAccessBranch,
+  checkRecordBranch,
+  enforceBranchAccess,
+  getAllowedBranchIds,
+  requireOwnBranch,
+};
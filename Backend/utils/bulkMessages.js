@@ -0,0 +1,295 @@
+// Messages sent to a filtered group of students at once (see migrations/027_create_bulk_messages.sql).
+// A segment is a saved filter over the library's students. Sending a bulk message renders it for every
+// student the filter matches, with their own variables, and queues it in the notification outbox on
+// each channel; delivery and failures are then tracked on those notifications.
+const {
+  CHANNELS, getStudentRecipients, processOutbox, queueNotification, renderText, validateTemplate
+} = require('./notifications');
+const { dateInTimezone, getLibrarySettings } = require('./librarySettings');
+
+const STATUSES = {
+  active: 'Active membership',
+  expired: 'Membership ended',
+  deactivated: 'Deactivated'
+};
+
+const CHANNEL_NAMES = { email: 'Email', whatsapp: 'WhatsApp', sms: 'SMS' };
+
+// Students whose variables are looked up at a time when sending
+const BATCH_SIZE = 500;
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Check the filters of a segment. Returns { filters } with only the filters set, or { error } with a
+ * message for the user. Expiry days count from today: -7 is a week ago and 7 a week from now.
+ */
+const parseFilters = (input) => {
+  if (input !== undefined && input !== null && typeof input !== 'object') return { error: 'filters must be an object' };
+  const source = input || {};
+  const filters = {};
+
+  for (const key of ['branch_id', 'shift_id']) {
+    const id = toNumber(source[key]);
+    if (id === null) continue;
+    if (!Number.isInteger(id) || id < 1) return { error: `${key} must be an ID` };
+    filters[key] = id;
+  }
+  if (source.status) {
+    if (!STATUSES[source.status]) return { error: `status must be one of ${Object.keys(STATUSES).join(', ')}` };
+    filters.status = source.status;
+  }
+  for (const key of ['min_due', 'max_due']) {
+    const amount = toNumber(source[key]);
+    if (amount === null) continue;
+    if (!Number.isFinite(amount) || amount < 0) return { error: 'Due amounts must be 0 or more' };
+    filters[key] = Math.round(amount * 100) / 100;
+  }
+  if (filters.min_due !== undefined && filters.max_due !== undefined && filters.min_due > filters.max_due) {
+    return { error: 'The lowest due cannot be above the highest' };
+  }
+  for (const key of ['expiry_from_days', 'expiry_to_days']) {
+    const days = toNumber(source[key]);
+    if (days === null) continue;
+    if (!Number.isInteger(days) || Math.abs(days) > 3650) return { error: 'Expiry days must be whole numbers of days from today' };
+    filters[key] = days;
+  }
+  if (filters.expiry_from_days !== undefined && filters.expiry_to_days !== undefined
+    && filters.expiry_from_days > filters.expiry_to_days) {
+    return { error: 'The expiry window must start before it ends' };
+  }
+  return { filters };
+};
+
+// Check a segment being saved: { values: { name, filters } } or { error }
+const parseSegment = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Segment details are required' };
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'Give the segment a name of up to 100 characters' };
+  const { filters, error } = parseFilters(input.filters);
+  if (error) return { error };
+  return { values: { name, filters } };
+};
+
+// SQL conditions on students s for filters, on day r.today of the library, adding their values to params
+const filterConditions = (filters, params) => {
+  const conditions = [];
+  const add = (value, condition) => {
+    params.push(value);
+    conditions.push(condition(`$${params.length}`));
+  };
+  if (filters.branch_id) add(filters.branch_id, (p) => `s.branch_id = ${p}::int`);
+  if (filters.shift_id) {
+    add(filters.shift_id, (p) => `EXISTS (SELECT 1 FROM seat_assignments sa WHERE sa.student_id = s.id AND sa.shift_id = ${p}::int)`);
+  }
+  if (filters.status === 'active') conditions.push('s.is_active IS NOT FALSE AND s.membership_end >= r.today');
+  if (filters.status === 'expired') conditions.push('s.is_active IS NOT FALSE AND s.membership_end < r.today');
+  if (filters.status === 'deactivated') conditions.push('s.is_active = false');
+  if (filters.min_due !== undefined) add(filters.min_due, (p) => `COALESCE(s.due_amount, 0) >= ${p}::numeric`);
+  if (filters.max_due !== undefined) add(filters.max_due, (p) => `COALESCE(s.due_amount, 0) <= ${p}::numeric`);
+  if (filters.expiry_from_days !== undefined) add(filters.expiry_from_days, (p) => `s.membership_end >= r.today + ${p}::int`);
+  if (filters.expiry_to_days !== undefined) add(filters.expiry_to_days, (p) => `s.membership_end <= r.today + ${p}::int`);
+  return conditions;
+};
+
+// The library's date today, in its time zone
+const libraryToday = async (db, libraryId) => {
+  const { timezone } = await getLibrarySettings(db, libraryId);
+  return dateInTimezone(new Date(), timezone);
+};
+
+// Students of the library a segment's filters match, by name
+const findSegmentStudents = async (db, libraryId, filters) => {
+  const params = [libraryId, await libraryToday(db, libraryId)];
+  const conditions = filterConditions(filters, params);
+  const result = await db.query(
+    `SELECT s.id, s.name, s.email, s.phone
+     FROM students s
+     CROSS JOIN (SELECT $2::date AS today) r
+     WHERE s.library_id = $1${conditions.map((condition) => ` AND ${condition}`).join('')}
+     ORDER BY s.name, s.id`,
+    params
+  );
+  return result.rows;
+};
+
+// A bulk message as the template of one channel
+const messageTemplate = (message, channel) => ({
+  subject: channel === 'email' ? message.subject : null,
+  body: message.body,
+  provider_template: channel === 'whatsapp' ? message.whatsapp_template : null
+});
+
+/**
+ * Check a message being sent in bulk. Returns { values } with its channels, subject, body and WhatsApp
+ * template, or { error } with a message for the user.
+ */
+const parseMessage = (input) => {
+  if (!input || typeof input !== 'object') return { error: 'Message details are required' };
+  const channels = Array.isArray(input.channels) ? [...new Set(input.channels)] : [];
+  if (channels.length === 0 || channels.some((channel) => !CHANNELS.includes(channel))) {
+    return { error: `Choose channels from ${CHANNELS.join(', ')}` };
+  }
+  const values = {
+    channels,
+    subject: channels.includes('email') && typeof input.subject === 'string' ? input.subject.trim() : null,
+    body: typeof input.body === 'string' ? input.body.trim() : '',
+    whatsapp_template: channels.includes('whatsapp') && typeof input.whatsapp_template === 'string'
+      ? input.whatsapp_template.trim()
+      : null
+  };
+  for (const channel of channels) {
+    const error = validateTemplate(channel, messageTemplate(values, channel));
+    if (error) return { error: channels.length > 1 ? `${CHANNEL_NAMES[channel]}: ${error}` : error };
+  }
+  return { values };
+};
+
+/**
+ * How many students filters match and how many can be reached on each channel, with a few of their
+ * names. With a message, also shows it as the first of them would get it.
+ */
+const previewSegment = async (db, libraryId, filters, message = null) => {
+  const students = await findSegmentStudents(db, libraryId, filters);
+  const reachable = {
+    email: students.filter((student) => student.email).length,
+    whatsapp: students.filter((student) => student.phone).length,
+    sms: students.filter((student) => student.phone).length
+  };
+  let example = null;
+  if (message && message.body && students.length > 0) {
+    const [recipient] = await getStudentRecipients(db, libraryId, [students[0].id]);
+    example = {
+      name: recipient.name,
+      subject: message.subject ? renderText(message.subject, recipient.variables) : null,
+      body: renderText(message.body, recipient.variables)
+    };
+  }
+  return {
+    count: students.length,
+    reachable,
+    sample: students.slice(0, 5).map((student) => student.name),
+    example
+  };
+};
+
+/**
+ * Send a message to every student filters match on each of its channels: records the bulk message and
+ * queues one notification per recipient and channel, rendered with the recipient's variables. Returns
+ * the bulk message; the outbox sends the notifications.
+ */
+const sendBulkMessage = async (pool, libraryId, { segment = null, filters, message }) => {
+  const students = await findSegmentStudents(pool, libraryId, filters);
+  const created = await pool.query(
+    `INSERT INTO bulk_messages
+       (library_id, segment_id, segment_name, filters, channels, subject, body, whatsapp_template, recipient_count)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      libraryId, segment ? segment.id : null, segment ? segment.name : null, JSON.stringify(filters),
+      JSON.stringify(message.channels), message.subject, message.body, message.whatsapp_template, students.length
+    ]
+  );
+  const bulkMessage = created.rows[0];
+
+  let queued = 0;
+  const skipped = {};
+  for (let i = 0; i < students.length; i += BATCH_SIZE) {
+    const ids = students.slice(i, i + BATCH_SIZE).map((student) => student.id);
+    for (const recipient of await getStudentRecipients(pool, libraryId, ids)) {
+      for (const channel of message.channels) {
+        const result = await queueNotification(pool, {
+          libraryId,
+          studentId: recipient.studentId,
+          recipientName: recipient.name,
+          channel,
+          to: channel === 'email' ? recipient.email : recipient.phone,
+          templateKey: 'bulk_message',
+          template: messageTemplate(message, channel),
+          variables: recipient.variables,
+          dedupeKey: `bulk:${bulkMessage.id}:${recipient.studentId}:${channel}`,
+          bulkMessageId: bulkMessage.id
+        });
+        if (result.notification) queued += 1;
+        else skipped[result.skipped] = (skipped[result.skipped] || 0) + 1;
+      }
+    }
+  }
+
+  const result = await pool.query(
+    'UPDATE bulk_messages SET queued_count = $1, skipped = $2 WHERE id = $3 RETURNING *',
+    [queued, JSON.stringify(skipped), bulkMessage.id]
+  );
+  if (queued > 0) {
+    processOutbox(pool).catch((err) => console.error(`Error sending bulk message ${bulkMessage.id}:`, err));
+  }
+  return { ...result.rows[0], delivery: { pending: queued, sending: 0, sent: 0, failed: 0 } };
+};
+
+const DELIVERY_COUNTS = `
+  SELECT bulk_message_id,
+    COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+    COUNT(*) FILTER (WHERE status = 'sending')::int AS sending,
+    COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+    COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+  FROM notifications
+  WHERE library_id = $1 AND bulk_message_id IS NOT NULL
+  GROUP BY bulk_message_id`;
+
+const withDelivery = ({ pending, sending, sent, failed, ...bulkMessage }) => ({
+  ...bulkMessage,
+  delivery: { pending: pending || 0, sending: sending || 0, sent: sent || 0, failed: failed || 0 }
+});
+
+// Bulk messages of the library, newest first, with how their notifications are doing
+const getBulkMessages = async (db, libraryId, { limit = 50 } = {}) => {
+  const result = await db.query(
+    `SELECT m.*, d.pending, d.sending, d.sent, d.failed
+     FROM bulk_messages m
+     LEFT JOIN (${DELIVERY_COUNTS}) d ON d.bulk_message_id = m.id
+     WHERE m.library_id = $1
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $2`,
+    [libraryId, Math.min(parseInt(limit, 10) || 50, 200)]
+  );
+  return result.rows.map(withDelivery);
+};
+
+// A bulk message of the library with how its notifications are doing, or null
+const getBulkMessage = async (db, libraryId, bulkMessageId) => {
+  const result = await db.query(
+    `SELECT m.*, d.pending, d.sending, d.sent, d.failed
+     FROM bulk_messages m
+     LEFT JOIN (${DELIVERY_COUNTS}) d ON d.bulk_message_id = m.id
+     WHERE m.library_id = $1 AND m.id = $2`,
+    [libraryId, bulkMessageId]
+  );
+  return result.rows.length > 0 ? withDelivery(result.rows[0]) : null;
+};
+
+// Give each failed notification of a bulk message one more attempt, right away. Returns how many.
+const retryFailedBulkMessage = async (pool, libraryId, bulkMessageId) => {
+  const result = await pool.query(
+    `UPDATE notifications
+     SET status = 'pending', max_attempts = attempts + 1, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE library_id = $1 AND bulk_message_id = $2 AND status = 'failed'`,
+    [libraryId, bulkMessageId]
+  );
+  if (result.rowCount > 0) {
+    processOutbox(pool).catch((err) => console.error(`Error resending bulk message ${bulkMessageId}:`, err));
+  }
+  return result.rowCount;
+};
+
+module.exports = {
+  STATUSES,
+  findSegmentStudents,
+  getBulkMessage,
+  getBulkMessages,
+  parseFilters,
+  parseMessage,
+  parseSegment,
+  previewSegment,
+  retryFailedBulkMessage,
+  sendBulkMessage,
+};
@@ -1,73 +1,168 @@
 const cron = require('node-cron');
-const { sendExpirationReminder } = require('./email');
-const { sendWhatsAppMessage } = require('./whatsapp');
+const { SETTING_DEFAULTS } = require('./librarySettings');
+const { processOutbox } = require('./notifications');
+const { runDueReminderRules } = require('./reminderRules');
+const { runAsSystem } = require('./tenantContext');
 
+// Close attendance sessions left open because the student never scanned out.
+// The check-out is placed at the end of the student's shift (the earliest shift ending after check-in),
+// falling back to the closing_time setting of the student's branch or library, and never before the
+// check-in itself. Times are compared in the library's time zone; a shift that ends before it starts
+// (e.g. 18:00-02:00), or a closing_time at or before opening_time, is on the next day unless the
+// check-in was already after midnight.
+// A check-in followed by another one before that time is a repeated scan and is left to the later one.
+const autoCloseOpenSessions = async (pool) => {
+  const result = await pool.query(`
+    WITH actions AS (
+      SELECT
+        a.student_id, a.library_id, a.action, a.created_at,
+        LEAD(a.action) OVER w AS next_action,
+        LEAD(a.created_at) OVER w AS next_at
+      FROM student_attendance a
+      WHERE a.created_at >= NOW() - INTERVAL '7 days'
+      WINDOW w AS (PARTITION BY a.student_id ORDER BY a.created_at)
+    ),
+    check_ins AS (
+      SELECT ac.*, tz.timezone, ac.created_at AT TIME ZONE tz.timezone AS local_at
+      FROM actions ac
+      CROSS JOIN LATERAL (
+        SELECT COALESCE(
+          (SELECT ls.value #>> '{}' FROM library_settings ls
+           WHERE ls.library_id = ac.library_id AND ls.branch_id IS NULL AND ls.key = 'timezone'),
+          $2::text
+        ) AS timezone
+      ) tz
+      WHERE ac.action = 'in' AND (ac.next_action IS NULL OR ac.next_action = 'in')
+    ),
+    open_sessions AS (
+      SELECT
+        ci.student_id,
+        ci.library_id,
+        ci.next_at,
+        GREATEST(
+          COALESCE(
+            shift.end_at,
+            ci.local_at::date + hours.closing_time
+            + CASE WHEN hours.closing_time <= hours.opening_time AND ci.local_at::time >= hours.closing_time
+                THEN INTERVAL '1 day' ELSE INTERVAL '0 days' END
+          ) AT TIME ZONE ci.timezone,
+          ci.created_at
+        ) AS close_at
+      FROM check_ins ci
+      LEFT JOIN students st ON st.id = ci.student_id
+      CROSS JOIN LATERAL (
+        SELECT
+          COALESCE(MAX(ls.value #>> '{}') FILTER (WHERE ls.key = 'opening_time'), $3)::time AS opening_time,
+          COALESCE(MAX(ls.value #>> '{}') FILTER (WHERE ls.key = 'closing_time'), $1)::time AS closing_time
+        FROM (
+          SELECT DISTINCT ON (ls.key) ls.key, ls.value
+          FROM library_settings ls
+          WHERE ls.library_id = ci.library_id AND ls.key IN ('opening_time', 'closing_time')
+            AND (ls.branch_id IS NULL OR ls.branch_id = st.branch_id)
+          ORDER BY ls.key, ls.branch_id NULLS LAST
+        ) ls
+      ) hours
+      LEFT JOIN LATERAL (
+        SELECT MIN(
+          ci.local_at::date + sch.end_time
+          + CASE WHEN sch.end_time < sch.time AND ci.local_at::time >= sch.end_time
+              THEN INTERVAL '1 day' ELSE INTERVAL '0 days' END
+        ) AS end_at
+        FROM seat_assignments sa
+        JOIN schedules sch ON sch.id = sa.shift_id
+        WHERE sa.student_id = ci.student_id
+          AND (sch.end_time < sch.time OR sch.end_time > ci.local_at::time)
+      ) shift ON TRUE
+    )
+    INSERT INTO student_attendance (student_id, library_id, action, source, notes, created_at, is_auto_closed)
+    SELECT student_id, library_id, 'out', 'auto', 'Auto check-out: no scan out recorded', close_at, TRUE
+    FROM open_sessions
+    WHERE close_at <= NOW() AND (next_at IS NULL OR next_at > close_at)
+    RETURNING id
+  `, [SETTING_DEFAULTS.closing_time, SETTING_DEFAULTS.timezone, SETTING_DEFAULTS.opening_time]);
+  return result.rowCount;
+};
+
+// Every job works across libraries, so each runs with row-level security lifted (see tenantContext.js)
 const setupCronJobs = (pool) => {
-  // Schedule a daily task at 10 AM to send expiration reminders
-  cron.schedule('0 16 * * *', async () => {
+  // Every five minutes, run the reminder rules whose send time has passed in their library's time zone
+  let remindersRunning = false;
+  cron.schedule('*/5 * * * *', () => runAsSystem(async () => {
+    if (remindersRunning) return;
+    remindersRunning = true;
     try {
-      console.log('Running expiration reminder cron job...');
-
-      // Get settings
-      const settingsResult = await pool.query('SELECT * FROM settings');
-      const settings = {};
-      settingsResult.rows.forEach(row => {
-        settings[row.key] = row.value;
-      });
-
-      const daysBefore = parseInt(settings.days_before_expiration);
-      if (!daysBefore || isNaN(daysBefore)) {
-        console.log('Days before expiration not set or invalid');
-        return;
-      }
+      await runDueReminderRules(pool);
+    } catch (err) {
+      console.error('Error in reminder rules cron job:', err);
+    } finally {
+      remindersRunning = false;
+    }
+  }), {
+    timezone: 'Asia/Kolkata'
+  });
 
-      const brevoTemplateId = settings.brevo_template_id;
-      if (!brevoTemplateId) {
-        console.log('Brevo template ID not set');
-        return;
+  // Every minute, send queued notifications that are due, including retries of failed ones
+  let outboxRunning = false;
+  cron.schedule('* * * * *', () => runAsSystem(async () => {
+    if (outboxRunning) return;
+    outboxRunning = true;
+    try {
+      const { sent, failed, retrying } = await processOutbox(pool);
+      if (sent + failed + retrying > 0) {
+        console.log(`Notifications: ${sent} sent, ${failed} failed, ${retrying} to be retried`);
       }
+    } catch (err) {
+      console.error('Error in notification outbox cron job:', err);
+    } finally {
+      outboxRunning = false;
+    }
+  }), {
+    timezone: 'Asia/Kolkata'
+  });
 
-      // Calculate the date range
-      const currentDate = new Date();
-      const targetDate = new Date();
-      targetDate.setDate(targetDate.getDate() + daysBefore);
-
-      const currentDateString = currentDate.toISOString().split('T')[0];
-      const targetDateString = targetDate.toISOString().split('T')[0];
+  // Hourly, check out students who forgot to scan out once their shift or the library has closed;
+  // hourly rather than nightly so overnight shifts and libraries in other time zones are covered too
+  cron.schedule('55 * * * *', () => runAsSystem(async () => {
+    try {
+      console.log('Running attendance auto check-out cron job...');
+      const closed = await autoCloseOpenSessions(pool);
+      console.log(`Auto checked out ${closed} open attendance sessions`);
+    } catch (err) {
+      console.error('Error in attendance auto check-out cron job:', err);
+    }
+  }), {
+    timezone: 'Asia/Kolkata'
+  });
 
-      // Get students whose membership ends within the date range
-      const studentsResult = await pool.query(
-        "SELECT * FROM students WHERE membership_end BETWEEN $1 AND $2 AND status = 'active'",
-        [currentDateString, targetDateString]
+  // Purge used attendance QR nonces daily; signed codes expire within a minute so old rows are useless
+  cron.schedule('30 3 * * *', () => runAsSystem(async () => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM attendance_qr_scans WHERE scanned_at < NOW() - INTERVAL '1 day'"
       );
-      const students = studentsResult.rows;
-
-      if (students.length === 0) {
-        console.log('No students with memberships expiring between', currentDateString, 'and', targetDateString);
-        return;
-      }
-
-      for (const student of students) {
-        // Send Brevo email
-        await sendExpirationReminder(student, brevoTemplateId);
+      console.log(`Purged ${result.rowCount} used attendance QR codes`);
+    } catch (err) {
+      console.error('Error in attendance QR cleanup cron job:', err);
+    }
+  }), {
+    timezone: 'Asia/Kolkata'
+  });
 
-        // Send WhatsApp message
-        if (student.phone) {
-          let formattedPhone = student.phone.trim();
-          if (!formattedPhone.startsWith('+')) {
-            formattedPhone = `+91${formattedPhone.replace(/\D/g, '')}`;
-          }
-          await sendWhatsAppMessage(formattedPhone);
-        }
-      }
+  // Purge forgot-password requests; only the last hour is used to rate-limit IP addresses
+  cron.schedule('35 3 * * *', () => runAsSystem(async () => {
+    try {
+      const result = await pool.query(
+        "DELETE FROM password_reset_requests WHERE created_at < NOW() - INTERVAL '1 day'"
+      );
+      console.log(`Purged ${result.rowCount} old password reset requests`);
     } catch (err) {
-      console.error('Error in expiration reminder cron job:', err);
+      console.error('Error in password reset request cleanup cron job:', err);
     }
-  }, {
+  }), {
     timezone: 'Asia/Kolkata'
   });
 
   console.log('Cron jobs scheduled successfully in Asia/Kolkata timezone');
 };
 
-module.exports = { setupCronJobs };
+module.exports = { autoCloseOpenSessions, setupCronJobs };
@@ -1,24 +1,30 @@
 const SibApiV3Sdk = require('@sendinblue/client');
 
-const sendExpirationReminder = async (student, templateId) => {
+// One-time password reset code; sent as plain transactional content so it needs no Brevo template
+const sendPasswordResetCode = async ({ email, name }, code, expiresInMinutes) => {
   try {
     const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
     apiInstance.setApiKey(SibApiV3Sdk.TransactionalEmailsApiApiKeys.apiKey, process.env.BREVO_API_KEY);
 
     const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-    sendSmtpEmail.to = [{ email: student.email }];
-    sendSmtpEmail.templateId = parseInt(templateId);
-    sendSmtpEmail.params = {
-      NAME: student.name,
-      MEMBERSHIP_END: student.membership_end,
+    sendSmtpEmail.to = [{ email, name: name || undefined }];
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'no-reply@example.com',
+      name: process.env.BREVO_SENDER_NAME || 'Library Management',
     };
+    sendSmtpEmail.subject = 'Your password reset code';
+    sendSmtpEmail.htmlContent = `
+      <p>Hello${name ? ` ${name}` : ''},</p>
+      <p>Your password reset code is <strong style="font-size: 20px; letter-spacing: 4px;">${code}</strong></p>
+      <p>The code expires in ${expiresInMinutes} minutes. If you did not ask to reset your password, you can ignore this email.</p>
+    `;
 
     await apiInstance.sendTransacEmail(sendSmtpEmail);
-    console.log(`Email sent to ${student.email}`);
+    console.log(`Password reset code emailed to ${email}`);
   } catch (err) {
-    console.error(`Failed to send email to ${student.email}:`, err);
+    console.error(`Failed to send password reset code to ${email}:`, err);
     throw err;
   }
 };
 
-module.exports = { sendExpirationReminder };
\ No newline at end of file
+module.exports = { sendPasswordResetCode };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// In-memory stand-in for the email, WhatsApp and SMS providers, used instead of them when
+// NOTIFICATION_PROVIDER=fake (see utils/notificationProviders.js) so notifications can be sent and
+// tested locally. Messages are kept instead of being delivered. A recipient containing "fail" is
+// refused for now, as an unavailable provider refuses one, so retries can be tried out too; one
+// containing "invalid" is refused for good, as a provider refuses a malformed address.
+const crypto = require('crypto');
+
+// Every message accepted since the server started, or since reset()
+const sent = [];
+
+const send = async (channel, message) => {
+  if (String(message.to).toLowerCase().includes('invalid')) {
+    const error = new Error(`Fake ${channel} provider rejected ${message.to} as invalid`);
+    error.statusCode = 400;
+    error.permanent = true;
+    throw error;
+  }
+  if (String(message.to).toLowerCase().includes('fail')) {
+    const error = new Error(`Fake ${channel} provider refused ${message.to}`);
+    error.statusCode = 503;
+    throw error;
+  }
+  const entry = { id: `fake_${crypto.randomBytes(6).toString('hex')}`, channel, ...message, sentAt: new Date() };
+  sent.push(entry);
+  console.log(`[FAKE_NOTIFICATIONS] ${channel} to ${message.to}: ${message.subject ? `${message.subject} - ` : ''}${message.text}`);
+  return { provider: 'fake', providerMessageId: entry.id };
+};
+
+const reset = () => {
+  sent.length = 0;
+};
+
+module.exports = { reset, send, sent };
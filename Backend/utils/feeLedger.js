@@ -0,0 +1,254 @@
+// Student fee payments ledger (see migrations/017_create_student_payments.sql). Every receipt is a
+// student_payments row; amount_paid, cash, online and due_amount on student_membership_history and
+// students are only totals derived from it, refreshed by syncMembershipTotals after each entry.
+// Each receipt entry is also given a numbered receipt document (see utils/receipts.js).
+const { getActor } = require('./auditLog');
+const { issueReceipt } = require('./receipts');
+
+// Totals of the selected student_payments rows (alias sp), overall and per mode
+const LEDGER_TOTALS = `
+  COALESCE(SUM(sp.amount), 0) AS paid,
+  COALESCE(SUM(sp.amount) FILTER (WHERE sp.payment_mode = 'cash'), 0) AS cash,
+  COALESCE(SUM(sp.amount) FILTER (WHERE sp.payment_mode = 'online'), 0) AS online`;
+
+/**
+ * SQL join giving each row of the membership history alias its ledger totals as pay.paid, pay.cash
+ * and pay.online, so reports derive dues as total_fee - discount - pay.paid.
+ */
+const membershipPaymentsJoin = (historyAlias) => `
+  LEFT JOIN LATERAL (
+    SELECT ${LEDGER_TOTALS}
+    FROM student_payments sp
+    WHERE sp.membership_history_id = ${historyAlias}.id
+  ) pay ON TRUE`;
+
+/**
+ * Post one ledger entry against a membership period (a student_membership_history row). `db` is the
+ * transaction's client. Receipts must be positive and are returned with their receipt_id and
+ * receipt_number; corrections use entryType 'adjustment' and get no receipt.
+ */
+const recordPayment = async (db, req, membership, { amount, mode, paymentDate = null, entryType = 'payment', remark = null }) => {
+  const actor = getActor(req);
+  const result = await db.query(
+    `INSERT INTO student_payments (
+       library_id, student_id, membership_history_id, branch_id, period_start, period_end,
+       entry_type, amount, payment_mode, payment_date,
+       collected_by_type, collected_by_id, collected_by_name, remark
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::date, CURRENT_DATE), $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      membership.library_id, membership.student_id, membership.id, membership.branch_id,
+      membership.membership_start, membership.membership_end,
+      entryType, amount, mode, paymentDate,
+      actor.type, actor.id, actor.name, remark
+    ]
+  );
+  const payment = result.rows[0];
+  if (entryType !== 'payment') return payment;
+  const receipt = await issueReceipt(db, req, { studentType: 'library', payment });
+  return { ...payment, receipt_id: Number(receipt.id), receipt_number: receipt.receipt_number };
+};
+
+// Receipts for the cash and online amounts taken when a membership period is created or renewed
+const recordInitialPayments = async (db, req, membership, { cash, online }) => {
+  const payments = [];
+  for (const [mode, amount] of [['cash', cash], ['online', online]]) {
+    const value = parseFloat(amount) || 0;
+    if (value > 0) payments.push(await recordPayment(db, req, membership, { amount: value, mode }));
+  }
+  return payments;
+};
+
+/**
+ * For forms that edit a period's cash and online totals directly: posts the difference from the ledger
+ * as a receipt when the total went up, or as an adjustment when it went down. Undefined totals are skipped.
+ */
+const reconcilePaymentTotals = async (db, req, membership, { cash, online }) => {
+  const current = await db.query(
+    `SELECT ${LEDGER_TOTALS} FROM student_payments sp WHERE sp.membership_history_id = $1`,
+    [membership.id]
+  );
+  for (const [mode, amount] of [['cash', cash], ['online', online]]) {
+    if (amount === undefined || amount === null || amount === '') continue;
+    const difference = Math.round(((parseFloat(amount) || 0) - parseFloat(current.rows[0][mode])) * 100) / 100;
+    if (difference > 0) {
+      await recordPayment(db, req, membership, { amount: difference, mode });
+    } else if (difference < 0) {
+      await recordPayment(db, req, membership, {
+        amount: difference,
+        mode,
+        entryType: 'adjustment',
+        remark: 'Corrected when editing the student'
+      });
+    }
+  }
+};
+
+/**
+ * Reverse a receipt entry whose receipt is being cancelled: posts minus its amount as an adjustment
+ * against the same membership period and derives the totals again. Returns the adjustment.
+ */
+const reversePayment = async (db, req, payment, remark) => {
+  const membership = {
+    id: payment.membership_history_id,
+    library_id: payment.library_id,
+    student_id: payment.student_id,
+    branch_id: payment.branch_id,
+    membership_start: payment.period_start,
+    membership_end: payment.period_end
+  };
+  const adjustment = await recordPayment(db, req, membership, {
+    amount: -parseFloat(payment.amount),
+    mode: payment.payment_mode,
+    entryType: 'adjustment',
+    remark
+  });
+  if (payment.membership_history_id) await syncMembershipTotals(db, payment.membership_history_id);
+  return adjustment;
+};
+
+/**
+ * Recompute the derived totals of a membership period from the ledger, and of the student when it is
+ * their latest period. Returns the updated history row and, when it was refreshed, the student row.
+ */
+const syncMembershipTotals = async (db, membershipHistoryId) => {
+  const historyResult = await db.query(
+    `UPDATE student_membership_history smh
+     SET amount_paid = pay.paid, cash = pay.cash, online = pay.online,
+         due_amount = COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) - pay.paid
+     FROM (SELECT ${LEDGER_TOTALS} FROM student_payments sp WHERE sp.membership_history_id = $1) pay
+     WHERE smh.id = $1
+     RETURNING smh.*`,
+    [membershipHistoryId]
+  );
+  const history = historyResult.rows[0];
+  if (!history) return { history: null, student: null };
+
+  const studentResult = await db.query(
+    `UPDATE students
+     SET amount_paid = $1, cash = $2, online = $3, due_amount = $4
+     WHERE id = $5
+       AND NOT EXISTS (SELECT 1 FROM student_membership_history WHERE student_id = $5 AND id > $6)
+     RETURNING *`,
+    [history.amount_paid, history.cash, history.online, history.due_amount, history.student_id, history.id]
+  );
+  return { history, student: studentResult.rows[0] || null };
+};
+
+/**
+ * SQL joins giving each payment row of the alias its receipt as rcpt.id and rcpt.receipt_number, and
+ * rcpt_cancel.id when the receipt was cancelled. studentType is 'library' or 'hostel'.
+ */
+const paymentReceiptJoin = (paymentAlias, studentType) => `
+  LEFT JOIN receipts rcpt ON rcpt.student_type = '${studentType === 'hostel' ? 'hostel' : 'library'}'
+    AND rcpt.document_type = 'receipt' AND rcpt.payment_id = ${paymentAlias}.id
+  LEFT JOIN receipts rcpt_cancel ON rcpt_cancel.cancels_receipt_id = rcpt.id`;
+
+// Ledger entries of one student with their receipts, newest first
+const getStudentPayments = async (db, libraryId, studentId) => {
+  const result = await db.query(
+    `SELECT sp.id, sp.membership_history_id, sp.branch_id, sp.period_start, sp.period_end, sp.entry_type, sp.amount,
+       sp.payment_mode, sp.payment_date, sp.collected_by_type, sp.collected_by_id, sp.collected_by_name, sp.remark,
+       sp.created_at, rcpt.id::int AS receipt_id, rcpt.receipt_number, rcpt_cancel.id IS NOT NULL AS receipt_cancelled
+     FROM student_payments sp
+     ${paymentReceiptJoin('sp', 'library')}
+     WHERE sp.library_id = $1 AND sp.student_id = $2
+     ORDER BY sp.payment_date DESC, sp.id DESC`,
+    [libraryId, studentId]
+  );
+  return result.rows.map((row) => ({ ...row, amount: parseFloat(row.amount) }));
+};
+
+// Hostel fees keep running totals on hostel_student_history; each payment is also kept as a receipt
+// in hostel_student_payments (see migrations/018_create_hostel_student_payments.sql), numbered like
+// library receipts. Cancelled receipts are reversed by an 'adjustment' row.
+const recordHostelPayment = async (
+  db, req, { libraryId, branchId, history }, { amount, mode, paymentDate = null, entryType = 'payment', remark = null }
+) => {
+  const actor = getActor(req);
+  const result = await db.query(
+    `INSERT INTO hostel_student_payments (
+       library_id, student_id, history_id, branch_id, period_start, period_end, entry_type,
+       amount, payment_mode, payment_date, collected_by_type, collected_by_id, collected_by_name, remark
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10::date, CURRENT_DATE), $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      libraryId, history.student_id, history.id, branchId, history.stay_start_date, history.stay_end_date, entryType,
+      amount, mode, paymentDate, actor.type, actor.id, actor.name, remark
+    ]
+  );
+  const payment = result.rows[0];
+  if (entryType !== 'payment') return payment;
+  const receipt = await issueReceipt(db, req, { studentType: 'hostel', payment });
+  return { ...payment, receipt_id: Number(receipt.id), receipt_number: receipt.receipt_number };
+};
+
+// Reverse a hostel receipt being cancelled: an adjustment row, and the amount taken off the stay's totals
+const reverseHostelPayment = async (db, req, payment, remark) => {
+  const amount = parseFloat(payment.amount);
+  const adjustment = await recordHostelPayment(
+    db,
+    req,
+    {
+      libraryId: payment.library_id,
+      branchId: payment.branch_id,
+      history: { id: payment.history_id, student_id: payment.student_id, stay_start_date: payment.period_start, stay_end_date: payment.period_end }
+    },
+    { amount: -amount, mode: payment.payment_mode, entryType: 'adjustment', remark }
+  );
+  if (payment.history_id) {
+    const paidColumn = payment.payment_mode === 'cash' ? 'cash_paid' : 'online_paid';
+    await db.query(
+      `UPDATE hostel_student_history
+       SET ${paidColumn} = COALESCE(${paidColumn}, 0) - $1, due_amount = COALESCE(due_amount, 0) + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [amount, payment.history_id]
+    );
+  }
+  return adjustment;
+};
+
+// Receipts for the cash and online amounts taken when a hostel stay is created or renewed
+const recordInitialHostelPayments = async (db, req, stay, { cash, online }) => {
+  for (const [mode, amount] of [['cash', cash], ['online', online]]) {
+    const value = parseFloat(amount) || 0;
+    if (value > 0) await recordHostelPayment(db, req, stay, { amount: value, mode });
+  }
+};
+
+/**
+ * Receipt returned to the desk after collecting a payment, for either ledger. `payment` is the
+ * inserted row; the caller supplies the student's name and the due before and after it.
+ */
+const toReceipt = (payment, { studentName, dueBefore, dueAfter }) => ({
+  payment_id: payment.id,
+  receipt_id: payment.receipt_id || null,
+  receipt_number: payment.receipt_number || null,
+  student_id: payment.student_id,
+  student_name: studentName,
+  amount: parseFloat(payment.amount),
+  payment_mode: payment.payment_mode,
+  payment_date: payment.payment_date,
+  period_start: payment.period_start,
+  period_end: payment.period_end,
+  due_before: parseFloat(dueBefore) || 0,
+  due_after: parseFloat(dueAfter) || 0,
+  collected_by_name: payment.collected_by_name,
+  remark: payment.remark,
+  created_at: payment.created_at
+});
+
+module.exports = {
+  getStudentPayments,
+  membershipPaymentsJoin,
+  paymentReceiptJoin,
+  reconcilePaymentTotals,
+  recordHostelPayment,
+  recordInitialHostelPayments,
+  recordInitialPayments,
+  recordPayment,
+  reverseHostelPayment,
+  reversePayment,
+  syncMembershipTotals,
+  toReceipt,
+};
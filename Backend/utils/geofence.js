@@ -0,0 +1,93 @@
+// Geofence checks for student self-attendance
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two coordinates, in meters
+const getDistanceInMeters = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Read { latitude, longitude } sent by the student app; returns null when missing or malformed
+const parseLocation = (location) => {
+  if (!location) return null;
+  const latitude = parseFloat(location.latitude);
+  const longitude = parseFloat(location.longitude);
+  if (
+    isNaN(latitude) || isNaN(longitude) ||
+    latitude < -90 || latitude > 90 ||
+    longitude < -180 || longitude > 180
+  ) {
+    return null;
+  }
+  return { latitude, longitude };
+};
+
+/**
+ * Check a student's device location against their branch fence.
+ * Returns { allowed, flagged, reason, message, latitude, longitude, distance }.
+ * Strict branches reject check-ins outside the fence; lenient branches accept them but flag them.
+ */
+const checkGeofence = async (pool, studentSession, location) => {
+  const coords = parseLocation(location);
+  const result = {
+    allowed: true,
+    flagged: false,
+    reason: null,
+    message: null,
+    latitude: coords ? coords.latitude : null,
+    longitude: coords ? coords.longitude : null,
+    distance: null,
+  };
+
+  // Use the student's current branch rather than the one stored at login
+  const branchResult = await pool.query(
+    `SELECT b.id, b.name, b.latitude, b.longitude, b.geofence_radius, b.geofence_mode
+     FROM students s
+     JOIN branches b ON b.id = s.branch_id
+     WHERE s.id = $1 AND s.library_id = $2`,
+    [studentSession.id, studentSession.libraryId]
+  );
+
+  const branch = branchResult.rows[0];
+  if (!branch || branch.latitude === null || branch.longitude === null || !branch.geofence_radius) {
+    return result; // No fence configured for this branch
+  }
+
+  const strict = branch.geofence_mode === 'strict';
+
+  if (!coords) {
+    result.reason = 'Location not provided';
+    result.message = 'Location access is required to mark attendance. Please allow location access and try again.';
+  } else {
+    result.distance = Math.round(getDistanceInMeters(
+      coords.latitude,
+      coords.longitude,
+      parseFloat(branch.latitude),
+      parseFloat(branch.longitude)
+    ));
+    if (result.distance <= branch.geofence_radius) {
+      return result;
+    }
+    result.reason = `Outside ${branch.name} (${result.distance}m away, allowed ${branch.geofence_radius}m)`;
+    result.message = `You appear to be ${result.distance}m away from ${branch.name}. Attendance can only be marked at the library.`;
+  }
+
+  if (strict) {
+    result.allowed = false;
+  } else {
+    result.flagged = true;
+  }
+  return result;
+};
+
+module.exports = {
+  getDistanceInMeters,
+  checkGeofence,
+};
@@ -0,0 +1,113 @@
+// GST settings of a library and the tax breakup of its receipts (see migrations/020_create_gst_settings.sql).
+// Fees are collected inclusive of tax, so the taxable value is worked back from the amount received.
+
+// GST state and union territory codes, the first two digits of a GSTIN
+const GST_STATES = {
+  '01': 'Jammu and Kashmir', '02': 'Himachal Pradesh', '03': 'Punjab', '04': 'Chandigarh',
+  '05': 'Uttarakhand', '06': 'Haryana', '07': 'Delhi', '08': 'Rajasthan', '09': 'Uttar Pradesh',
+  '10': 'Bihar', '11': 'Sikkim', '12': 'Arunachal Pradesh', '13': 'Nagaland', '14': 'Manipur',
+  '15': 'Mizoram', '16': 'Tripura', '17': 'Meghalaya', '18': 'Assam', '19': 'West Bengal',
+  '20': 'Jharkhand', '21': 'Odisha', '22': 'Chhattisgarh', '23': 'Madhya Pradesh', '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu', '27': 'Maharashtra', '29': 'Karnataka', '30': 'Goa',
+  '31': 'Lakshadweep', '32': 'Kerala', '33': 'Tamil Nadu', '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands', '36': 'Telangana', '37': 'Andhra Pradesh', '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+// Fee types that can be taxed, with the SAC code and rate used until the owner sets their own
+const FEE_TYPES = {
+  library: { label: 'Library membership fee', sac_code: '999792', rate: 18 },
+  hostel: { label: 'Hostel accommodation fee', sac_code: '996311', rate: 12 }
+};
+
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Format and check digit of a GSTIN, e.g. 27AAPFU0939F1ZV
+const isValidGstin = (gstin) => {
+  if (typeof gstin !== 'string' || !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) return false;
+  if (!GST_STATES[gstin.slice(0, 2)]) return false;
+  let sum = 0;
+  for (let i = 0; i < 14; i += 1) {
+    const product = GSTIN_CHARACTERS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return gstin[14] === GSTIN_CHARACTERS[(36 - (sum % 36)) % 36];
+};
+
+// The library's GST registration and the SAC code and rate of every fee type
+const getGstSettings = async (db, libraryId) => {
+  const libraryResult = await db.query(
+    'SELECT gstin, gst_legal_name, gst_address, gst_place_of_supply FROM libraries WHERE id = $1',
+    [libraryId]
+  );
+  if (libraryResult.rows.length === 0) return null;
+  const ratesResult = await db.query('SELECT fee_type, sac_code, rate FROM gst_tax_rates WHERE library_id = $1', [libraryId]);
+  const saved = Object.fromEntries(ratesResult.rows.map((row) => [row.fee_type, row]));
+  const library = libraryResult.rows[0];
+
+  return {
+    gstin: library.gstin,
+    legal_name: library.gst_legal_name,
+    address: library.gst_address,
+    place_of_supply: library.gst_place_of_supply,
+    rates: Object.entries(FEE_TYPES).map(([feeType, defaults]) => ({
+      fee_type: feeType,
+      label: defaults.label,
+      sac_code: saved[feeType] ? saved[feeType].sac_code : defaults.sac_code,
+      rate: saved[feeType] ? parseFloat(saved[feeType].rate) : defaults.rate
+    }))
+  };
+};
+
+/**
+ * Split a tax-inclusive amount at `rate` percent into its taxable value and tax, as CGST and SGST
+ * halves within the state or as IGST between states. Works in paise so the parts add up exactly.
+ */
+const splitTax = (amount, rate, interState) => {
+  const totalPaise = Math.round(parseFloat(amount) * 100);
+  const taxablePaise = Math.round((totalPaise * 100) / (100 + rate));
+  const taxPaise = totalPaise - taxablePaise;
+  const cgstPaise = interState ? 0 : Math.round(taxPaise / 2);
+  const sgstPaise = interState ? 0 : taxPaise - cgstPaise;
+  const rupees = (paise) => (paise / 100).toFixed(2);
+  return {
+    taxable_value: rupees(taxablePaise),
+    cgst: rupees(cgstPaise),
+    sgst: rupees(sgstPaise),
+    igst: rupees(interState ? taxPaise : 0),
+    total_tax: rupees(taxPaise)
+  };
+};
+
+/**
+ * Tax invoice details of a receipt for `amount` of `feeType`, or null when the library has no GSTIN.
+ * Values are strings or null so the receipt's hash is stable (see utils/receipts.js).
+ */
+const buildTaxDetails = async (db, libraryId, feeType, amount) => {
+  const settings = await getGstSettings(db, libraryId);
+  if (!settings || !settings.gstin) return null;
+  const supplierState = settings.gstin.slice(0, 2);
+  const placeOfSupply = settings.place_of_supply || supplierState;
+  const { label, sac_code: sacCode, rate } = settings.rates.find((entry) => entry.fee_type === feeType);
+
+  return {
+    gstin: settings.gstin,
+    legal_name: settings.legal_name,
+    address: settings.address,
+    supplier_state: `${GST_STATES[supplierState]} (${supplierState})`,
+    place_of_supply: `${GST_STATES[placeOfSupply] || placeOfSupply} (${placeOfSupply})`,
+    supply_type: placeOfSupply === supplierState ? 'intra-state' : 'inter-state',
+    description: label,
+    sac_code: sacCode,
+    rate: rate.toFixed(2),
+    ...splitTax(amount, rate, placeOfSupply !== supplierState)
+  };
+};
+
+module.exports = {
+  FEE_TYPES,
+  GST_STATES,
+  buildTaxDetails,
+  getGstSettings,
+  isValidGstin,
+};
@@ -0,0 +1,177 @@
+// Typed settings of a library, and of its branches where a setting can differ per branch (see
+// migrations/024_create_library_settings.sql). Only values changed from the defaults below are stored,
+// so a new library starts with these defaults.
+
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'NPR', 'BDT', 'LKR'];
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Every setting, by group. `branch: true` settings can also be set for a single branch.
+// Amounts are in the library's currency; null means not set.
+const SETTING_DEFINITIONS = {
+  currency: { group: 'regional', type: 'enum', values: CURRENCIES, default: 'INR' },
+  timezone: { group: 'regional', type: 'timezone', default: 'Asia/Kolkata' },
+
+  // Open students are checked out at closing_time when their shift has no end time; a closing_time
+  // at or before opening_time is on the next day, for libraries open past midnight
+  opening_time: { group: 'hours', type: 'time', default: '06:00', branch: true },
+  closing_time: { group: 'hours', type: 'time', default: '22:00', branch: true },
+
+  // Numbers of receipts and credit notes, e.g. RCPT/2025-26/00001 (see Backend/utils/receipts.js). Changes
+  // apply to documents issued from then on; issued numbers never change.
+  receipt_prefix: { group: 'receipts', type: 'prefix', default: 'RCPT' },
+  credit_note_prefix: { group: 'receipts', type: 'prefix', default: 'CN' },
+  receipt_numbering_per_branch: { group: 'receipts', type: 'boolean', default: false },
+  financial_year_start_month: { group: 'receipts', type: 'integer', min: 1, max: 12, default: 4 },
+
+  // Filled in on the admission forms, and can be changed there
+  default_security_deposit: { group: 'fees', type: 'amount', default: null, branch: true },
+  default_hostel_fee: { group: 'fees', type: 'amount', default: null },
+  default_hostel_security_deposit: { group: 'fees', type: 'amount', default: null }
+};
+
+const SETTING_DEFAULTS = Object.fromEntries(
+  Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+);
+
+/**
+ * Check a value given for a setting and convert it to the setting's type. Returns { value }, or
+ * { error } with a message for the user. null (or '') clears the stored value.
+ */
+const parseSettingValue = (key, input) => {
+  const definition = SETTING_DEFINITIONS[key];
+  if (input === null || input === '') return { value: null };
+
+  switch (definition.type) {
+    case 'integer': {
+      const value = Number(input);
+      if (!Number.isInteger(value) || value < definition.min || value > definition.max) {
+        return { error: `${key} must be a whole number from ${definition.min} to ${definition.max}` };
+      }
+      return { value };
+    }
+    case 'amount': {
+      const value = Number(input);
+      if (!Number.isFinite(value) || value < 0 || value > 10000000) {
+        return { error: `${key} must be an amount of 0 or more` };
+      }
+      return { value: Math.round(value * 100) / 100 };
+    }
+    case 'boolean':
+      if (typeof input !== 'boolean') return { error: `${key} must be true or false` };
+      return { value: input };
+    case 'enum':
+      if (!definition.values.includes(input)) return { error: `${key} must be one of ${definition.values.join(', ')}` };
+      return { value: input };
+    case 'timezone':
+      if (typeof input !== 'string' || !isValidTimezone(input)) return { error: `${key} must be a time zone such as Asia/Kolkata` };
+      return { value: input };
+    case 'prefix':
+      if (typeof input !== 'string' || !/^[A-Za-z0-9-]{1,20}$/.test(input)) {
+        return { error: `${key} must be 1 to 20 letters, digits or hyphens` };
+      }
+      return { value: input.toUpperCase() };
+    case 'time': {
+      const match = typeof input === 'string' && /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/.exec(input);
+      if (!match) return { error: `${key} must be a time as HH:MM` };
+      return { value: `${match[1]}:${match[2]}` };
+    }
+    default:
+      return { error: `${key} cannot be set` };
+  }
+};
+
+/**
+ * Check the settings being saved: { key: value }, with null resetting a setting to what it inherits.
+ * Returns { values } or { error }. For a branch only the settings that can differ per branch are allowed.
+ */
+const parseSettings = (input, { branch = false } = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'settings must be an object' };
+  const values = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) return { error: `Unknown setting ${key}` };
+    if (branch && !definition.branch) return { error: `${key} applies to the whole library and cannot be set per branch` };
+    const { value, error } = parseSettingValue(key, raw);
+    if (error) return { error };
+    values[key] = value;
+  }
+  return { values };
+};
+
+// Settings stored for the library itself, or for one of its branches, as { key: value }
+const getSavedSettings = async (db, libraryId, branchId = null) => {
+  const result = await db.query(
+    `SELECT key, value FROM library_settings
+     WHERE library_id = $1 AND branch_id IS NOT DISTINCT FROM $2`,
+    [libraryId, branchId]
+  );
+  return Object.fromEntries(
+    result.rows.filter((row) => SETTING_DEFINITIONS[row.key]).map((row) => [row.key, row.value])
+  );
+};
+
+// Every setting as it applies to the library, or to one of its branches: branch value, then library value, then default
+const getLibrarySettings = async (db, libraryId, branchId = null) => {
+  const librarySettings = await getSavedSettings(db, libraryId);
+  const branchSettings = branchId ? await getSavedSettings(db, libraryId, branchId) : {};
+  const branchOnly = Object.fromEntries(
+    Object.entries(branchSettings).filter(([key]) => SETTING_DEFINITIONS[key].branch)
+  );
+  return { ...SETTING_DEFAULTS, ...librarySettings, ...branchOnly };
+};
+
+// Store parsed settings for the library or a branch; null values remove the stored value
+const saveLibrarySettings = async (db, libraryId, branchId, values) => {
+  for (const [key, value] of Object.entries(values)) {
+    if (value === null) {
+      await db.query(
+        'DELETE FROM library_settings WHERE library_id = $1 AND branch_id IS NOT DISTINCT FROM $2 AND key = $3',
+        [libraryId, branchId, key]
+      );
+    } else if (branchId) {
+      await db.query(
+        `INSERT INTO library_settings (library_id, branch_id, key, value) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (library_id, branch_id, key) WHERE branch_id IS NOT NULL
+         DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+        [libraryId, branchId, key, JSON.stringify(value)]
+      );
+    } else {
+      await db.query(
+        `INSERT INTO library_settings (library_id, key, value) VALUES ($1, $2, $3)
+         ON CONFLICT (library_id, key) WHERE branch_id IS NULL
+         DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+        [libraryId, key, JSON.stringify(value)]
+      );
+    }
+  }
+};
+
+// The date, as YYYY-MM-DD, that it is in a time zone at a moment
+const dateInTimezone = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit'
+}).format(date);
+
+// Time of day as HH:MM in a time zone
+const timeInTimezone = (date, timezone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+}).format(date);
+
+module.exports = {
+  CURRENCIES,
+  SETTING_DEFAULTS,
+  SETTING_DEFINITIONS,
+  dateInTimezone,
+  getLibrarySettings,
+  getSavedSettings,
+  parseSettings,
+  saveLibrarySettings,
+  timeInTimezone,
+};
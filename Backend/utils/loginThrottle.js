@@ -0,0 +1,312 @@
+// Brute-force protection for the owner, staff and student login endpoints
+
+// Failed logins allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = 5;
+// Failures before every further attempt has to wait: 2s after the 3rd failure, then 4s, ...
+const FREE_ATTEMPTS = 2;
+// First lockout length; each further lockout before a successful login doubles it, up to the maximum
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Failed logins from one IP address, across all accounts, before that address is throttled
+const MAX_FAILURES_PER_IP = 20;
+const IP_WINDOW_MINUTES = 15;
+
+// How long a reserved attempt keeps counting against the limits when it is never settled, e.g. after a crash
+const PENDING_SECONDS = 60;
+
+const getDelaySeconds = (failedCount) =>
+  failedCount > FREE_ATTEMPTS ? 2 ** (failedCount - FREE_ATTEMPTS) : 0;
+
+// Reserved attempts of a login_throttles or login_ip_throttles row that still count
+const livePending = (table) => `CASE WHEN ${table}.pending_until > NOW() THEN ${table}.pending_count ELSE 0 END`;
+const reservePending = (table) =>
+  `pending_count = ${livePending(table)} + 1, pending_until = NOW() + make_interval(secs => ${PENDING_SECONDS})`;
+const settlePending = (table) => `pending_count = GREATEST(${livePending(table)} - 1, 0)`;
+// Failures of a login_ip_throttles row in its current window
+const IP_WINDOW_FAILURES = `CASE WHEN window_started_at > NOW() - make_interval(mins => ${IP_WINDOW_MINUTES}) THEN failed_count ELSE 0 END`;
+
+// Response for an IP address that may not attempt a login now
+const describeIpBlock = async (pool, ip) => {
+  const result = await pool.query(
+    `SELECT ${IP_WINDOW_FAILURES} AS failures,
+       EXTRACT(EPOCH FROM (window_started_at + make_interval(mins => $2) - NOW()))::float AS retry_after
+     FROM login_ip_throttles WHERE ip_address = $1`,
+    [ip, IP_WINDOW_MINUTES]
+  );
+  const row = result.rows[0];
+  if (row && row.failures >= MAX_FAILURES_PER_IP) {
+    return {
+      status: 429,
+      code: 'LOGIN_IP_THROTTLED',
+      message: 'Too many failed logins from this network. Please try again later.',
+      retryAfterSeconds: Math.max(Math.ceil(row.retry_after), 1)
+    };
+  }
+  return {
+    status: 429,
+    code: 'LOGIN_IP_THROTTLED',
+    message: 'Too many logins from this network at once. Please try again in a moment.',
+    retryAfterSeconds: 1
+  };
+};
+
+// Response for an account that may not attempt a login now
+const describeAccountBlock = async (pool, { accountType, identifier }) => {
+  const result = await pool.query(
+    `SELECT failed_count,
+       EXTRACT(EPOCH FROM (locked_until - NOW()))::float AS lock_remaining,
+       EXTRACT(EPOCH FROM (NOW() - last_failed_at))::float AS since_last_failure
+     FROM login_throttles
+     WHERE account_type = $1 AND identifier = $2`,
+    [accountType, identifier]
+  );
+  const throttle = result.rows[0];
+  if (throttle && throttle.lock_remaining !== null && throttle.lock_remaining > 0) {
+    const minutes = Math.ceil(throttle.lock_remaining / 60);
+    return {
+      status: 423,
+      code: 'ACCOUNT_LOCKED',
+      message: `Too many failed login attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`,
+      retryAfterSeconds: Math.ceil(throttle.lock_remaining)
+    };
+  }
+
+  const delay = throttle ? getDelaySeconds(throttle.failed_count) : 0;
+  if (throttle && throttle.lock_remaining === null && throttle.since_last_failure !== null && throttle.since_last_failure < delay) {
+    const wait = Math.ceil(delay - throttle.since_last_failure);
+    return {
+      status: 429,
+      code: 'LOGIN_THROTTLED',
+      message: `Too many failed login attempts. Please wait ${wait} second${wait === 1 ? '' : 's'} before trying again.`,
+      retryAfterSeconds: wait
+    };
+  }
+  return {
+    status: 429,
+    code: 'LOGIN_THROTTLED',
+    message: 'Too many login attempts at once. Please try again in a moment.',
+    retryAfterSeconds: 1
+  };
+};
+
+// Settle the IP address's reserved attempt, counting it as a failure when `failed`
+const settleIpAttempt = async (pool, ip, failed) => {
+  if (!ip) return;
+  await pool.query(
+    `UPDATE login_ip_throttles
+     SET ${settlePending('login_ip_throttles')},
+       failed_count = CASE WHEN $2 THEN ${IP_WINDOW_FAILURES} + 1 ELSE failed_count END,
+       window_started_at = CASE WHEN $2 AND ${IP_WINDOW_FAILURES} = 0 THEN NOW() ELSE window_started_at END
+     WHERE ip_address = $1`,
+    [ip, failed]
+  );
+};
+
+/**
+ * Reserve a login attempt before its password is checked. Failures and the attempts still in progress
+ * count against the limits together, and each check and reservation is a single UPDATE, so parallel
+ * requests cannot all pass before their failures are recorded. Returns null when the attempt is reserved,
+ * otherwise { status, code, message, retryAfterSeconds } to send back. A reserved attempt is settled by
+ * recordLoginFailure, recordLoginSuccess or releaseLoginAttempt.
+ */
+const reserveLoginAttempt = async (pool, { accountType, identifier, ip }) => {
+  if (ip) {
+    await pool.query('INSERT INTO login_ip_throttles (ip_address) VALUES ($1) ON CONFLICT DO NOTHING', [ip]);
+    const reserved = await pool.query(
+      `UPDATE login_ip_throttles SET ${reservePending('login_ip_throttles')}
+       WHERE ip_address = $1 AND ${IP_WINDOW_FAILURES} + ${livePending('login_ip_throttles')} < $2
+       RETURNING ip_address`,
+      [ip, MAX_FAILURES_PER_IP]
+    );
+    if (reserved.rows.length === 0) return describeIpBlock(pool, ip);
+  }
+
+  await pool.query(
+    'INSERT INTO login_throttles (account_type, identifier) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+    [accountType, identifier]
+  );
+  // Failures start over after an expired lockout. Once failures bring a delay, one attempt at a time.
+  const reserved = await pool.query(
+    `UPDATE login_throttles SET ${reservePending('login_throttles')}
+     WHERE account_type = $1 AND identifier = $2
+       AND (locked_until IS NULL OR locked_until <= NOW())
+       AND CASE WHEN locked_until IS NULL THEN failed_count ELSE 0 END + ${livePending('login_throttles')} < $3
+       AND (locked_until IS NOT NULL OR failed_count <= $4 OR (
+         ${livePending('login_throttles')} = 0
+         AND last_failed_at <= NOW() - make_interval(secs => power(2, failed_count - $4))
+       ))
+     RETURNING identifier`,
+    [accountType, identifier, MAX_FAILED_ATTEMPTS, FREE_ATTEMPTS]
+  );
+  if (reserved.rows.length === 0) {
+    await settleIpAttempt(pool, ip, false);
+    return describeAccountBlock(pool, { accountType, identifier });
+  }
+  return null;
+};
+
+// Send the response for a login refused by reserveLoginAttempt
+const respondLoginBlocked = (res, block) => {
+  res.set('Retry-After', String(block.retryAfterSeconds));
+  return res.status(block.status).json({
+    message: block.message,
+    code: block.code,
+    retryAfterSeconds: block.retryAfterSeconds
+  });
+};
+
+const logAttempt = (pool, attempt, success, failureReason = null) =>
+  pool.query(
+    `INSERT INTO login_attempts (account_type, identifier, library_id, account_id, ip_address, user_agent, success, failure_reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      attempt.accountType,
+      attempt.identifier,
+      attempt.libraryId || null,
+      attempt.accountId || null,
+      attempt.ip || null,
+      attempt.userAgent || null,
+      success,
+      failureReason
+    ]
+  );
+
+/**
+ * Record a reserved login as failed and lock the account once it reaches MAX_FAILED_ATTEMPTS.
+ * `attempt` is { accountType, identifier, libraryId, accountId, ip, userAgent }.
+ * Returns { locked, lockMinutes } or { locked: false, attemptsRemaining }.
+ */
+const recordLoginFailure = async (pool, attempt, reason) => {
+  await logAttempt(pool, attempt, false, reason);
+  await settleIpAttempt(pool, attempt.ip, true);
+
+  // An expired lockout starts a fresh run of attempts but keeps lockout_count, so the next lockout is longer
+  const result = await pool.query(
+    `INSERT INTO login_throttles (account_type, identifier, library_id, account_id, failed_count, last_failed_at)
+     VALUES ($1, $2, $3, $4, 1, NOW())
+     ON CONFLICT (account_type, identifier) DO UPDATE SET
+       failed_count = CASE WHEN login_throttles.locked_until <= NOW() THEN 1 ELSE login_throttles.failed_count + 1 END,
+       locked_until = CASE WHEN login_throttles.locked_until <= NOW() THEN NULL ELSE login_throttles.locked_until END,
+       last_failed_at = NOW(),
+       ${settlePending('login_throttles')},
+       library_id = COALESCE(EXCLUDED.library_id, login_throttles.library_id),
+       account_id = COALESCE(EXCLUDED.account_id, login_throttles.account_id)
+     RETURNING failed_count, lockout_count`,
+    [attempt.accountType, attempt.identifier, attempt.libraryId || null, attempt.accountId || null]
+  );
+  const { failed_count: failedCount, lockout_count: lockoutCount } = result.rows[0];
+
+  if (failedCount < MAX_FAILED_ATTEMPTS) {
+    return { locked: false, attemptsRemaining: MAX_FAILED_ATTEMPTS - failedCount };
+  }
+
+  const lockMinutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+  await pool.query(
+    `UPDATE login_throttles
+     SET locked_until = NOW() + ($3 || ' minutes')::interval, lockout_count = lockout_count + 1
+     WHERE account_type = $1 AND identifier = $2`,
+    [attempt.accountType, attempt.identifier, lockMinutes]
+  );
+  console.warn(`[LOGIN_THROTTLE] Locked ${attempt.accountType} ${attempt.identifier} for ${lockMinutes} minutes after ${failedCount} failed logins`);
+  return { locked: true, lockMinutes };
+};
+
+// Give back a reserved attempt that ended before its password was checked, e.g. for a suspended library
+const releaseLoginAttempt = async (pool, attempt) => {
+  await settleIpAttempt(pool, attempt.ip, false);
+  await pool.query(
+    `UPDATE login_throttles SET ${settlePending('login_throttles')} WHERE account_type = $1 AND identifier = $2`,
+    [attempt.accountType, attempt.identifier]
+  );
+};
+
+// Message for a failed login, warning the user before the account gets locked
+const describeFailure = (message, failure) => {
+  const base = message.replace(/\.$/, '');
+  if (failure.locked) {
+    return `${base}. Too many failed attempts: the account is locked for ${failure.lockMinutes} minutes.`;
+  }
+  if (failure.attemptsRemaining <= 2) {
+    return `${base}. ${failure.attemptsRemaining} attempt${failure.attemptsRemaining === 1 ? '' : 's'} left before the account is locked.`;
+  }
+  return message;
+};
+
+// Record a reserved login as successful and clear the account's failed attempts
+const recordLoginSuccess = async (pool, attempt) => {
+  await logAttempt(pool, attempt, true);
+  await settleIpAttempt(pool, attempt.ip, false);
+  await pool.query(
+    'DELETE FROM login_throttles WHERE account_type = $1 AND identifier = $2',
+    [attempt.accountType, attempt.identifier]
+  );
+};
+
+/**
+ * Staff and student accounts of a library that are locked or have recent failed logins,
+ * with the time of the last failure. Owners see these in Settings and can unlock them.
+ */
+const getLibraryLockouts = async (pool, libraryId) => {
+  const result = await pool.query(
+    `SELECT t.account_type, t.identifier, t.account_id, t.failed_count, t.last_failed_at,
+       t.locked_until, t.lockout_count, t.locked_until > NOW() AS is_locked,
+       COALESCE(NULLIF(u.full_name, ''), u.username, s.name) AS display_name
+     FROM login_throttles t
+     LEFT JOIN users u ON t.account_type = 'staff' AND u.id = t.account_id
+     LEFT JOIN student_accounts sa ON t.account_type = 'student' AND sa.id = t.account_id
+     LEFT JOIN students s ON s.id = sa.student_id
+     WHERE t.library_id = $1 AND t.account_type IN ('staff', 'student')
+     ORDER BY (t.locked_until > NOW()) DESC NULLS LAST, t.last_failed_at DESC`,
+    [libraryId]
+  );
+  return result.rows;
+};
+
+// Recent staff and student login attempts in a library, newest first, optionally for one account
+const getRecentLoginAttempts = async (pool, libraryId, { accountType, identifier, failedOnly = false, limit = 100 } = {}) => {
+  const params = [libraryId];
+  let query = `
+    SELECT id, account_type, identifier, ip_address, user_agent, success, failure_reason, created_at
+    FROM login_attempts
+    WHERE library_id = $1 AND account_type IN ('staff', 'student')
+  `;
+  if (accountType) {
+    params.push(accountType);
+    query += ` AND account_type = $${params.length}`;
+  }
+  if (identifier) {
+    params.push(identifier);
+    query += ` AND identifier = $${params.length}`;
+  }
+  if (failedOnly) {
+    query += ' AND success = FALSE';
+  }
+  params.push(Math.min(parseInt(limit, 10) || 100, 500));
+  query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+};
+
+// Clear a staff or student lockout in the library; returns false when there was nothing to unlock
+const unlockAccount = async (pool, { accountType, identifier, libraryId }) => {
+  const result = await pool.query(
+    `DELETE FROM login_throttles
+     WHERE account_type = $1 AND identifier = $2 AND library_id = $3 AND account_type IN ('staff', 'student')
+     RETURNING identifier`,
+    [accountType, identifier, libraryId]
+  );
+  return result.rows.length > 0;
+};
+
+module.exports = {
+  describeFailure,
+  getLibraryLockouts,
+  getRecentLoginAttempts,
+  recordLoginFailure,
+  recordLoginSuccess,
+  releaseLoginAttempt,
+  reserveLoginAttempt,
+  respondLoginBlocked,
+  unlockAccount,
+};
@@ -0,0 +1,105 @@
+// In-memory stand-in for the Razorpay SDK, used instead of it when PAYMENT_GATEWAY=mock (see
+// utils/paymentGateway.js) so online payments can be run and tested locally without Razorpay. It
+// implements the parts of the SDK the app uses, plus helpers that play the student's checkout and the
+// webhook Razorpay would send, signed the same way Razorpay signs them.
+const crypto = require('crypto');
+
+// Shared by every instance, like orders and payments kept by Razorpay
+const orders = new Map();
+const payments = new Map();
+
+const mockId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+const notFound = (id) => {
+  const error = new Error(`The id provided does not exist: ${id}`);
+  error.statusCode = 400;
+  return error;
+};
+
+class MockRazorpay {
+  constructor({ key_id: keyId, key_secret: keySecret }) {
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+
+    this.orders = {
+      create: async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+        if (!Number.isInteger(amount) || amount < 100) {
+          const error = new Error('Order amount must be an integer number of paise, at least 100');
+          error.statusCode = 400;
+          throw error;
+        }
+        const order = {
+          id: mockId('order'),
+          entity: 'order',
+          amount,
+          amount_paid: 0,
+          amount_due: amount,
+          currency,
+          receipt,
+          notes,
+          status: 'created',
+          created_at: Math.floor(Date.now() / 1000)
+        };
+        orders.set(order.id, order);
+        return { ...order };
+      },
+      fetch: async (orderId) => {
+        if (!orders.has(orderId)) throw notFound(orderId);
+        return { ...orders.get(orderId) };
+      }
+    };
+
+    this.payments = {
+      fetch: async (paymentId) => {
+        if (!payments.has(paymentId)) throw notFound(paymentId);
+        return { ...payments.get(paymentId) };
+      }
+    };
+  }
+
+  /**
+   * Pay an order as the student would in the checkout. Returns what the checkout hands to its success
+   * handler: razorpay_order_id, razorpay_payment_id and razorpay_signature.
+   */
+  completeCheckout(orderId, { method = 'upi' } = {}) {
+    const order = orders.get(orderId);
+    if (!order) throw notFound(orderId);
+    const payment = {
+      id: mockId('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status: 'captured',
+      order_id: order.id,
+      method,
+      captured: true,
+      notes: order.notes,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    payments.set(payment.id, payment);
+    orders.set(order.id, { ...order, status: 'paid', amount_paid: order.amount, amount_due: 0 });
+
+    const signature = crypto.createHmac('sha256', this.keySecret).update(`${order.id}|${payment.id}`).digest('hex');
+    return { razorpay_order_id: order.id, razorpay_payment_id: payment.id, razorpay_signature: signature };
+  }
+
+  /**
+   * Body and X-Razorpay-Signature header of the webhook Razorpay sends for a payment, e.g.
+   * 'payment.captured'. The body is the exact text that is signed.
+   */
+  static webhookRequest(event, paymentId, webhookSecret) {
+    const payment = payments.get(paymentId);
+    if (!payment) throw notFound(paymentId);
+    const body = JSON.stringify({
+      entity: 'event',
+      event,
+      contains: ['payment'],
+      payload: { payment: { entity: payment } },
+      created_at: Math.floor(Date.now() / 1000)
+    });
+    const signature = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+    return { body, signature };
+  }
+}
+
+module.exports = MockRazorpay;
@@ -0,0 +1,123 @@
+// Delivery of one rendered notification through its channel's provider: Brevo for email, the WhatsApp
+// Cloud API and Twilio for SMS. With NOTIFICATION_PROVIDER=fake every channel goes to the in-memory
+// provider in utils/fakeNotificationProvider.js. Senders throw when the provider does not accept the
+// message; error.permanent marks refusals that retrying cannot fix.
+const axios = require('axios');
+const SibApiV3Sdk = require('@sendinblue/client');
+const fakeProvider = require('./fakeNotificationProvider');
+
+const isFakeProvider = () => process.env.NOTIFICATION_PROVIDER === 'fake';
+
+// Numbers without a country code are Indian, as elsewhere in the app
+const formatPhoneNumber = (phone) => {
+  const trimmed = String(phone).trim();
+  return trimmed.startsWith('+') ? trimmed : `+91${trimmed.replace(/\D/g, '')}`;
+};
+
+// Errors from HTTP APIs: client errors other than rate limiting will fail again the same way
+const providerError = (err, provider) => {
+  const status = err.response ? err.response.status : err.statusCode || err.status;
+  const detail = err.response && err.response.data ? JSON.stringify(err.response.data) : err.message;
+  const error = new Error(`${provider}: ${detail}`);
+  error.permanent = Boolean(status && status >= 400 && status < 500 && status !== 429);
+  return error;
+};
+
+const notConfigured = (channel) => new Error(`${channel} is not configured on this server`);
+
+// With a Brevo template ID the template is sent with the variables as upper-case params; otherwise the
+// rendered subject and body are sent as they are
+const sendEmail = async ({ to, name, subject, text, providerTemplate, variables }) => {
+  if (!process.env.BREVO_API_KEY) throw notConfigured('Email');
+  const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
+  apiInstance.setApiKey(SibApiV3Sdk.TransactionalEmailsApiApiKeys.apiKey, process.env.BREVO_API_KEY);
+
+  const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
+  sendSmtpEmail.to = [{ email: to, name: name || undefined }];
+  if (providerTemplate) {
+    sendSmtpEmail.templateId = parseInt(providerTemplate, 10);
+    sendSmtpEmail.params = Object.fromEntries(
+      Object.entries(variables).map(([key, value]) => [key.toUpperCase(), value])
+    );
+    // Older Brevo templates were written for the expiry reminder's MEMBERSHIP_END
+    sendSmtpEmail.params.MEMBERSHIP_END = variables.expiry;
+  } else {
+    sendSmtpEmail.sender = {
+      email: process.env.BREVO_SENDER_EMAIL || 'no-reply@example.com',
+      name: process.env.BREVO_SENDER_NAME || 'Library Management',
+    };
+    sendSmtpEmail.subject = subject;
+    sendSmtpEmail.textContent = text;
+  }
+
+  try {
+    const result = await apiInstance.sendTransacEmail(sendSmtpEmail);
+    const body = result && (result.body || result);
+    return { provider: 'brevo', providerMessageId: body && body.messageId ? body.messageId : null };
+  } catch (err) {
+    throw providerError(err, 'Brevo');
+  }
+};
+
+// WhatsApp only delivers approved templates; `parameters` fill its {{1}}, {{2}}... in order
+const sendWhatsApp = async ({ to, providerTemplate, parameters }) => {
+  const phoneId = process.env.WHATSAPP_PHONE_ID;
+  const token = process.env.WHATSAPP_TOKEN;
+  if (!phoneId || !token) throw notConfigured('WhatsApp');
+
+  const template = { name: providerTemplate, language: { code: 'en_US' } };
+  if (parameters.length > 0) {
+    template.components = [{
+      type: 'body',
+      parameters: parameters.map((text) => ({ type: 'text', text: String(text) }))
+    }];
+  }
+  try {
+    const response = await axios.post(
+      `https://graph.facebook.com/v19.0/${phoneId}/messages`,
+      { messaging_product: 'whatsapp', to: formatPhoneNumber(to), type: 'template', template },
+      { headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' } }
+    );
+    const message = response.data && response.data.messages && response.data.messages[0];
+    return { provider: 'whatsapp', providerMessageId: message ? message.id : null };
+  } catch (err) {
+    throw providerError(err, 'WhatsApp');
+  }
+};
+
+const sendSms = async ({ to, text }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  if (!accountSid || !authToken || !from) throw notConfigured('SMS');
+
+  try {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams({ To: formatPhoneNumber(to), From: from, Body: text }).toString(),
+      {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      }
+    );
+    return { provider: 'twilio', providerMessageId: response.data ? response.data.sid : null };
+  } catch (err) {
+    throw providerError(err, 'Twilio');
+  }
+};
+
+const SENDERS = { email: sendEmail, whatsapp: sendWhatsApp, sms: sendSms };
+
+/**
+ * Deliver a message: { to, name, subject, text, providerTemplate, variables, parameters }.
+ * Resolves with { provider, providerMessageId }.
+ */
+const deliver = (channel, message) => (isFakeProvider()
+  ? fakeProvider.send(channel, message)
+  : SENDERS[channel](message));
+
+module.exports = {
+  deliver,
+  formatPhoneNumber,
+  isFakeProvider,
+};
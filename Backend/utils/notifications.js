@@ -0,0 +1,475 @@
+// Notifications to students by email, WhatsApp and SMS (see migrations/025_create_notifications.sql).
+// A notification is rendered from the library's template and queued in the outbox; processOutbox
+// delivers what is due, retrying failures with a growing delay, and logs every attempt.
+const { deliver } = require('./notificationProviders');
+const { getLibrarySettings } = require('./librarySettings');
+const { toDateString } = require('./receipts');
+
+const CHANNELS = ['email', 'whatsapp', 'sms'];
+
+// Placeholders a template can use, e.g. {{name}}
+const TEMPLATE_VARIABLES = {
+  name: 'Student name',
+  due: 'Amount due',
+  expiry: 'Membership end date',
+  seat: 'Seat number',
+  library: 'Library name'
+};
+
+// Default template of each message and channel, used until the library saves its own. WhatsApp only
+// delivers templates approved for the WhatsApp account: providerTemplate names the approved template
+// and body repeats its text, with placeholders in the order of its {{1}}, {{2}}... No template is
+// approved by default, so nothing goes out on WhatsApp until the owner names one.
+const DEFAULT_TEMPLATES = {
+  membership_expiry: {
+    label: 'Membership expiry reminder',
+    email: {
+      subject: 'Your membership at {{library}} ends on {{expiry}}',
+      body: 'Hi {{name}},\n\nYour membership at {{library}} (seat {{seat}}) ends on {{expiry}}. Please renew it to keep your seat.\n\nThank you.'
+    },
+    whatsapp: { providerTemplate: null, body: 'Hi {{name}}, your membership at {{library}} (seat {{seat}}) ends on {{expiry}}. Please renew it to keep your seat.' },
+    sms: { body: 'Hi {{name}}, your membership at {{library}} ends on {{expiry}}. Please renew it to keep your seat.' }
+  },
+  fee_due: {
+    label: 'Fee due reminder',
+    email: {
+      subject: 'Fee due at {{library}}',
+      body: 'Hi {{name}},\n\nYou have {{due}} due at {{library}}. Please pay it at the earliest.\n\nThank you.'
+    },
+    whatsapp: { providerTemplate: null, body: 'Hi {{name}}, you have {{due}} due at {{library}}. Please pay it at the earliest.' },
+    sms: { body: 'Hi {{name}}, you have {{due}} due at {{library}}. Please pay it at the earliest.' }
+  },
+  membership_expired: {
+    label: 'Membership ended',
+    email: {
+      subject: 'Your membership at {{library}} has ended',
+      body: 'Hi {{name}},\n\nYour membership at {{library}} ended on {{expiry}}. Renew it to get your seat back.\n\nThank you.'
+    },
+    whatsapp: { providerTemplate: null, body: 'Hi {{name}}, your membership at {{library}} ended on {{expiry}}. Renew it to get your seat back.' },
+    sms: { body: 'Hi {{name}}, your membership at {{library}} ended on {{expiry}}. Renew it to get your seat back.' }
+  },
+  absence: {
+    label: 'Absence reminder',
+    email: {
+      subject: 'We miss you at {{library}}',
+      body: 'Hi {{name}},\n\nWe have not seen you at {{library}} for a few days. Your seat {{seat}} is waiting for you.\n\nThank you.'
+    },
+    whatsapp: { providerTemplate: null, body: 'Hi {{name}}, we have not seen you at {{library}} for a few days. Your seat {{seat}} is waiting for you.' },
+    sms: { body: 'Hi {{name}}, we have not seen you at {{library}} for a few days. Your seat {{seat}} is waiting for you.' }
+  },
+  birthday: {
+    label: 'Birthday wishes',
+    email: {
+      subject: 'Happy birthday, {{name}}!',
+      body: 'Hi {{name}},\n\nEveryone at {{library}} wishes you a very happy birthday!'
+    },
+    whatsapp: { providerTemplate: null, body: 'Happy birthday, {{name}}! Best wishes from everyone at {{library}}.' },
+    sms: { body: 'Happy birthday, {{name}}! Best wishes from everyone at {{library}}.' }
+  }
+};
+
+// Minutes to wait before trying a failed notification again, by the number of attempts made so far
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+// Messages sent at the same time by processOutbox
+const CONCURRENCY = 5;
+// A notification still marked as sending after this long was interrupted, e.g. by a restart
+const STALE_SENDING_MINUTES = 10;
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const placeholdersOf = (text) => Array.from(String(text || '').matchAll(PLACEHOLDER), (match) => match[1]);
+
+const renderText = (text, variables) => String(text || '').replace(PLACEHOLDER, (placeholder, name) => (
+  variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+));
+
+// The library's template of a message for a channel, filled in from the default where not saved
+const getTemplate = async (db, libraryId, templateKey, channel) => {
+  const defaults = DEFAULT_TEMPLATES[templateKey][channel];
+  const result = await db.query(
+    `SELECT subject, body, provider_template FROM notification_templates
+     WHERE library_id = $1 AND template_key = $2 AND channel = $3`,
+    [libraryId, templateKey, channel]
+  );
+  const saved = result.rows[0] || {};
+  return {
+    template_key: templateKey,
+    channel,
+    subject: channel === 'email' ? saved.subject || defaults.subject : null,
+    body: saved.body || defaults.body,
+    provider_template: saved.provider_template !== undefined && saved.provider_template !== null
+      ? saved.provider_template
+      : defaults.providerTemplate || null,
+    customized: result.rows.length > 0
+  };
+};
+
+// Every message's template on every channel, for the template editor
+const getTemplates = async (db, libraryId) => {
+  const templates = [];
+  for (const [templateKey, { label }] of Object.entries(DEFAULT_TEMPLATES)) {
+    for (const channel of CHANNELS) {
+      templates.push({ ...(await getTemplate(db, libraryId, templateKey, channel)), label });
+    }
+  }
+  return templates;
+};
+
+// Error message for a template that cannot be saved, or null
+const validateTemplate = (channel, { subject, body, provider_template: providerTemplate }) => {
+  const unknown = [...placeholdersOf(subject), ...placeholdersOf(body)].filter((name) => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length > 0) {
+    return `Unknown placeholder {{${unknown[0]}}}. Use ${Object.keys(TEMPLATE_VARIABLES).map((name) => `{{${name}}}`).join(', ')}`;
+  }
+  if (!body || !String(body).trim()) return 'The message cannot be empty';
+  if (String(body).length > 5000) return 'The message is too long';
+  if (channel === 'email') {
+    if (!providerTemplate && (!subject || !String(subject).trim())) return 'An email needs a subject';
+    if (subject && String(subject).length > 255) return 'The subject is too long';
+    if (providerTemplate && !/^[1-9]\d{0,8}$/.test(String(providerTemplate))) return 'The Brevo template ID must be a number';
+  }
+  if (channel === 'whatsapp' && !/^[a-z0-9_]{1,100}$/.test(String(providerTemplate || ''))) {
+    return 'Give the name of the approved WhatsApp template, in lowercase letters, digits and underscores';
+  }
+  if (channel === 'sms' && String(body).length > 1000) return 'An SMS cannot be longer than 1000 characters';
+  return null;
+};
+
+const saveTemplate = async (db, libraryId, templateKey, channel, { subject, body, provider_template: providerTemplate }) => {
+  await db.query(
+    `INSERT INTO notification_templates (library_id, template_key, channel, subject, body, provider_template)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (library_id, template_key, channel)
+     DO UPDATE SET subject = EXCLUDED.subject, body = EXCLUDED.body, provider_template = EXCLUDED.provider_template,
+       updated_at = CURRENT_TIMESTAMP`,
+    [libraryId, templateKey, channel, channel === 'email' ? subject || null : null, body, providerTemplate || null]
+  );
+  return getTemplate(db, libraryId, templateKey, channel);
+};
+
+// Go back to the default template
+const resetTemplate = async (db, libraryId, templateKey, channel) => {
+  await db.query(
+    'DELETE FROM notification_templates WHERE library_id = $1 AND template_key = $2 AND channel = $3',
+    [libraryId, templateKey, channel]
+  );
+  return getTemplate(db, libraryId, templateKey, channel);
+};
+
+const formatAmount = (amount, currency) => new Intl.NumberFormat('en-IN', { style: 'currency', currency })
+  .format(parseFloat(amount) || 0);
+
+const formatDate = (value) => {
+  const date = toDateString(value);
+  if (!date) return '';
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+// Template variables of library students, with their email and phone, in the order of studentIds
+const getStudentRecipients = async (db, libraryId, studentIds) => {
+  if (studentIds.length === 0) return [];
+  const result = await db.query(
+    `SELECT s.id, s.name, s.email, s.phone, s.due_amount, s.membership_end, l.library_name,
+       (SELECT seats.seat_number FROM seat_assignments sa JOIN seats ON seats.id = sa.seat_id
+        WHERE sa.student_id = s.id ORDER BY sa.id DESC LIMIT 1) AS seat_number
+     FROM students s
+     JOIN libraries l ON l.id = s.library_id
+     WHERE s.id = ANY($1::int[]) AND s.library_id = $2`,
+    [studentIds, libraryId]
+  );
+  const { currency } = await getLibrarySettings(db, libraryId);
+  const byId = new Map(result.rows.map((student) => [student.id, student]));
+  return studentIds.filter((id) => byId.has(id)).map((id) => {
+    const student = byId.get(id);
+    return {
+      studentId: student.id,
+      name: student.name,
+      email: student.email,
+      phone: student.phone,
+      variables: {
+        name: student.name,
+        due: formatAmount(student.due_amount, currency),
+        expiry: formatDate(student.membership_end),
+        seat: student.seat_number || '-',
+        library: student.library_name
+      }
+    };
+  });
+};
+
+// Template variables of a library student, with their email and phone; null when not found
+const getStudentRecipient = async (db, libraryId, studentId) => {
+  const [recipient] = await getStudentRecipients(db, libraryId, [parseInt(studentId, 10)]);
+  return recipient || null;
+};
+
+/**
+ * Render a message from the library's template, or from `template` ({ subject, body, provider_template })
+ * when given, and queue it. Returns { notification }, or { skipped } with the reason when it cannot be
+ * sent on the channel or one with the same dedupeKey was queued before.
+ */
+const queueNotification = async (db, {
+  libraryId, studentType = 'library', studentId = null, recipientName = null, channel, to, templateKey, variables,
+  dedupeKey = null, template: givenTemplate = null, bulkMessageId = null
+}) => {
+  if (!to || !String(to).trim()) return { skipped: `No ${channel === 'email' ? 'email address' : 'phone number'}` };
+  const template = givenTemplate || await getTemplate(db, libraryId, templateKey, channel);
+  if (channel === 'whatsapp' && !template.provider_template) {
+    return { skipped: 'No approved WhatsApp template is set. Name one under Settings, Message Templates to send on WhatsApp' };
+  }
+
+  const parameters = channel === 'whatsapp' ? placeholdersOf(template.body).map((name) => renderText(`{{${name}}}`, variables)) : [];
+  const result = await db.query(
+    `INSERT INTO notifications
+       (library_id, student_type, student_id, recipient_name, channel, recipient, template_key, subject, body,
+        provider_template, provider_parameters, variables, max_attempts, dedupe_key, bulk_message_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+     ON CONFLICT (library_id, dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING
+     RETURNING *`,
+    [
+      libraryId, studentId ? studentType : null, studentId, recipientName, channel, String(to).trim(), templateKey,
+      template.subject ? renderText(template.subject, variables) : null, renderText(template.body, variables),
+      template.provider_template, JSON.stringify(parameters), JSON.stringify(variables), MAX_ATTEMPTS, dedupeKey,
+      bulkMessageId
+    ]
+  );
+  if (result.rows.length === 0) return { skipped: 'Already queued' };
+  return { notification: result.rows[0] };
+};
+
+/**
+ * Queue a message to a library student on each of `channels` they can be reached on. A dedupeKey is
+ * made unique per channel. Returns the results by channel, or null when the student is not found.
+ */
+const queueStudentNotification = async (db, libraryId, studentId, templateKey, { channels, dedupeKey = null }) => {
+  const recipient = await getStudentRecipient(db, libraryId, studentId);
+  if (!recipient) return null;
+  const results = {};
+  for (const channel of channels) {
+    results[channel] = await queueNotification(db, {
+      libraryId,
+      studentId,
+      recipientName: recipient.name,
+      channel,
+      to: channel === 'email' ? recipient.email : recipient.phone,
+      templateKey,
+      variables: recipient.variables,
+      dedupeKey: dedupeKey ? `${dedupeKey}:${channel}` : null
+    });
+  }
+  return results;
+};
+
+// Record the outcome of an attempt, scheduling the next one after a failure that can be retried
+const recordAttempt = async (pool, notification, { result, error }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (result) {
+      await client.query(
+        `UPDATE notifications
+         SET status = 'sent', provider = $1, provider_message_id = $2, last_error = NULL, sent_at = NOW(), updated_at = NOW()
+         WHERE id = $3`,
+        [result.provider, result.providerMessageId, notification.id]
+      );
+    } else {
+      const finalAttempt = error.permanent || notification.attempts >= notification.max_attempts;
+      const delayMinutes = RETRY_DELAYS_MINUTES[Math.min(notification.attempts, RETRY_DELAYS_MINUTES.length) - 1];
+      await client.query(
+        `UPDATE notifications
+         SET status = CASE WHEN $1 THEN 'failed' ELSE 'pending' END, last_error = $2, updated_at = NOW(),
+           next_attempt_at = CASE WHEN $1 THEN next_attempt_at ELSE NOW() + make_interval(mins => $3) END
+         WHERE id = $4`,
+        [finalAttempt, error.message, delayMinutes, notification.id]
+      );
+    }
+    await client.query(
+      `INSERT INTO notification_attempts (notification_id, library_id, attempt, status, provider, provider_message_id, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        notification.id, notification.library_id, notification.attempts, result ? 'sent' : 'failed',
+        result ? result.provider : null, result ? result.providerMessageId : null, error ? error.message : null
+      ]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const sendNotification = async (pool, notification) => {
+  try {
+    const result = await deliver(notification.channel, {
+      to: notification.recipient,
+      name: notification.recipient_name,
+      subject: notification.subject,
+      text: notification.body,
+      providerTemplate: notification.provider_template,
+      variables: notification.variables,
+      parameters: notification.provider_parameters
+    });
+    await recordAttempt(pool, notification, { result });
+    return 'sent';
+  } catch (error) {
+    await recordAttempt(pool, notification, { error });
+    return error.permanent || notification.attempts >= notification.max_attempts ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Send the notifications that are due, up to `limit`, a few at a time. Rows are claimed with SKIP LOCKED
+ * so several workers never send the same one. Returns how many were sent, failed for good and put back
+ * for a retry.
+ */
+const processOutbox = async (pool, { limit = 100 } = {}) => {
+  await pool.query(
+    `UPDATE notifications SET status = 'pending', updated_at = NOW()
+     WHERE status = 'sending' AND updated_at < NOW() - make_interval(mins => $1)`,
+    [STALE_SENDING_MINUTES]
+  );
+  const claimed = await pool.query(
+    `UPDATE notifications SET status = 'sending', attempts = attempts + 1, updated_at = NOW()
+     WHERE id IN (
+       SELECT id FROM notifications
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at, id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit]
+  );
+
+  const counts = { sent: 0, failed: 0, retrying: 0 };
+  const notifications = claimed.rows;
+  for (let i = 0; i < notifications.length; i += CONCURRENCY) {
+    const outcomes = await Promise.all(
+      notifications.slice(i, i + CONCURRENCY).map((notification) => sendNotification(pool, notification))
+    );
+    outcomes.forEach((outcome) => { counts[outcome] += 1; });
+  }
+  return counts;
+};
+
+const NOTIFICATION_FIELDS = `id, student_type, student_id, recipient_name, channel, recipient, template_key, subject, body,
+  status, attempts, max_attempts, next_attempt_at, last_error, provider, provider_message_id, bulk_message_id, created_at,
+  sent_at`;
+
+/**
+ * Notifications of the library, newest first, with optional filters: status, channel, templateKey,
+ * studentId, bulkMessageId, search (recipient or name), from / to (dates).
+ */
+const getNotifications = async (pool, libraryId, {
+  status, channel, templateKey, studentId, bulkMessageId, search, from, to, page = 1, limit = 50
+} = {}) => {
+  const params = [libraryId];
+  let conditions = 'library_id = $1';
+  if (status) {
+    params.push(status);
+    conditions += ` AND status = $${params.length}`;
+  }
+  if (channel) {
+    params.push(channel);
+    conditions += ` AND channel = $${params.length}`;
+  }
+  if (templateKey) {
+    params.push(templateKey);
+    conditions += ` AND template_key = $${params.length}`;
+  }
+  if (studentId) {
+    params.push(parseInt(studentId, 10));
+    conditions += ` AND student_id = $${params.length}`;
+  }
+  if (bulkMessageId) {
+    params.push(parseInt(bulkMessageId, 10));
+    conditions += ` AND bulk_message_id = $${params.length}`;
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions += ` AND (recipient ILIKE $${params.length} OR recipient_name ILIKE $${params.length})`;
+  }
+  if (from) {
+    params.push(from);
+    conditions += ` AND created_at >= $${params.length}::date`;
+  }
+  if (to) {
+    params.push(to);
+    conditions += ` AND created_at < $${params.length}::date + INTERVAL '1 day'`;
+  }
+
+  const countResult = await pool.query(
+    `SELECT status, COUNT(*)::int AS count FROM notifications WHERE ${conditions} GROUP BY status`,
+    params
+  );
+  const counts = Object.fromEntries(countResult.rows.map((row) => [row.status, row.count]));
+
+  const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const result = await pool.query(
+    `SELECT ${NOTIFICATION_FIELDS}
+     FROM notifications
+     WHERE ${conditions}
+     ORDER BY created_at DESC, id DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, pageSize, (pageNumber - 1) * pageSize]
+  );
+
+  return {
+    notifications: result.rows,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    counts,
+    page: pageNumber,
+    limit: pageSize
+  };
+};
+
+// A notification of the library with each attempt to deliver it, or null
+const getNotification = async (pool, libraryId, notificationId) => {
+  const result = await pool.query(
+    `SELECT ${NOTIFICATION_FIELDS} FROM notifications WHERE id = $1 AND library_id = $2`,
+    [notificationId, libraryId]
+  );
+  if (result.rows.length === 0) return null;
+  const history = await pool.query(
+    `SELECT attempt, status, provider, provider_message_id, error, created_at
+     FROM notification_attempts WHERE notification_id = $1 ORDER BY attempt, id`,
+    [notificationId]
+  );
+  return { ...result.rows[0], attempt_history: history.rows };
+};
+
+// Give a failed notification one more attempt, right away. Returns it, or null when it has not failed.
+const retryNotification = async (pool, libraryId, notificationId) => {
+  const result = await pool.query(
+    `UPDATE notifications
+     SET status = 'pending', max_attempts = attempts + 1, next_attempt_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND library_id = $2 AND status = 'failed'
+     RETURNING ${NOTIFICATION_FIELDS}`,
+    [notificationId, libraryId]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_VARIABLES,
+  getNotification,
+  getNotifications,
+  getStudentRecipient,
+  getStudentRecipients,
+  getTemplate,
+  getTemplates,
+  processOutbox,
+  queueNotification,
+  queueStudentNotification,
+  renderText,
+  resetTemplate,
+  retryNotification,
+  saveTemplate,
+  validateTemplate,
+};
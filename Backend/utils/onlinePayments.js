@@ -0,0 +1,245 @@
+// Online fee payments by students through their library's Razorpay account (see
+// migrations/021_create_student_online_payments.sql). A student pays either the due of their current
+// membership period or a renewal for one more period like it; the payment is posted to the ledger by
+// applyOnlinePayment once the gateway confirms it.
+const { recordAudit } = require('./auditLog');
+const { membershipPaymentsJoin, recordPayment, syncMembershipTotals } = require('./feeLedger');
+const { getLibrarySettings } = require('./librarySettings');
+const { createGatewayClient } = require('./paymentGateway');
+
+// The library's Razorpay keys, or null when online payments are not set up
+const getLibraryGateway = async (db, libraryId) => {
+  const result = await db.query(
+    `SELECT online_payments_enabled, razorpay_key_id, razorpay_key_secret, razorpay_webhook_secret
+     FROM libraries WHERE id = $1`,
+    [libraryId]
+  );
+  const library = result.rows[0];
+  if (!library || !library.online_payments_enabled || !library.razorpay_key_id || !library.razorpay_key_secret) return null;
+  return {
+    keyId: library.razorpay_key_id,
+    keySecret: library.razorpay_key_secret,
+    webhookSecret: library.razorpay_webhook_secret
+  };
+};
+
+/**
+ * What the student can pay online: the due of their latest membership period, and a renewal once
+ * nothing is due. A renewal repeats the latest period's length (in whole months when it was whole
+ * months) and fee after discount, starting the day after it ends, or today when it has expired.
+ */
+const getPaymentOptions = async (db, libraryId, studentId) => {
+  const result = await db.query(
+    `SELECT smh.id, smh.branch_id,
+            COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) AS period_fee,
+            COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0) - pay.paid AS due,
+            TO_CHAR(smh.membership_start::date, 'YYYY-MM-DD') AS membership_start,
+            TO_CHAR(smh.membership_end::date, 'YYYY-MM-DD') AS membership_end,
+            TO_CHAR(next_period.start_date, 'YYYY-MM-DD') AS renewal_start,
+            TO_CHAR(CASE
+              WHEN EXTRACT(DAY FROM period_length.age) = 0 AND period_length.months > 0
+                THEN next_period.start_date + make_interval(months => period_length.months) - INTERVAL '1 day'
+              ELSE next_period.start_date + (smh.membership_end::date - smh.membership_start::date)
+            END, 'YYYY-MM-DD') AS renewal_end
+     FROM student_membership_history smh
+     ${membershipPaymentsJoin('smh')}
+     CROSS JOIN LATERAL (
+       SELECT GREATEST(smh.membership_end::date + 1, CURRENT_DATE) AS start_date
+     ) next_period
+     CROSS JOIN LATERAL (
+       SELECT AGE(smh.membership_end::date + 1, smh.membership_start::date) AS age,
+              (EXTRACT(YEAR FROM AGE(smh.membership_end::date + 1, smh.membership_start::date)) * 12
+                + EXTRACT(MONTH FROM AGE(smh.membership_end::date + 1, smh.membership_start::date)))::int AS months
+     ) period_length
+     WHERE smh.student_id = $1 AND smh.library_id = $2
+     ORDER BY smh.id DESC
+     LIMIT 1`,
+    [studentId, libraryId]
+  );
+  const latest = result.rows[0];
+  if (!latest) return { membershipHistoryId: null, due: null, renewal: null, nextPeriod: null };
+
+  const due = Math.round(parseFloat(latest.due) * 100) / 100;
+  const periodFee = parseFloat(latest.period_fee);
+  const nextPeriod = latest.membership_start && latest.membership_end && latest.membership_end >= latest.membership_start
+    ? { start: latest.renewal_start, end: latest.renewal_end }
+    : null;
+  return {
+    membershipHistoryId: latest.id,
+    due: due > 0 ? { amount: due, periodStart: latest.membership_start, periodEnd: latest.membership_end } : null,
+    renewal: due <= 0 && periodFee > 0 && nextPeriod ? { amount: periodFee, ...nextPeriod } : null,
+    nextPeriod
+  };
+};
+
+/**
+ * Create a gateway order for the student and record it. `purpose` is 'due' or 'renewal'; the amount
+ * comes from getPaymentOptions, never from the browser. Returns the recorded order with the gateway's
+ * order and the key id the checkout needs, or { status, error } when the student cannot pay.
+ */
+const createOnlineOrder = async (db, { libraryId, studentId, purpose }) => {
+  const gateway = await getLibraryGateway(db, libraryId);
+  if (!gateway) return { status: 400, error: 'Online payments are not available for this library' };
+
+  const options = await getPaymentOptions(db, libraryId, studentId);
+  const option = purpose === 'renewal' ? options.renewal : options.due;
+  if (!option) {
+    return {
+      status: 400,
+      error: purpose === 'renewal' ? 'Your membership cannot be renewed online right now' : 'You have no due to pay'
+    };
+  }
+
+  const { currency } = await getLibrarySettings(db, libraryId);
+  const order = await createGatewayClient(gateway).orders.create({
+    amount: Math.round(option.amount * 100),
+    currency,
+    receipt: `student_${studentId}_${Date.now()}`,
+    notes: { library_id: String(libraryId), student_id: String(studentId), purpose }
+  });
+  const result = await db.query(
+    `INSERT INTO student_online_payments (library_id, student_id, purpose, membership_history_id, amount, currency, gateway_order_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [libraryId, studentId, purpose, purpose === 'due' ? options.membershipHistoryId : null, option.amount, order.currency, order.id]
+  );
+  return { order: result.rows[0], keyId: gateway.keyId, gatewayOrder: order, option };
+};
+
+// New membership period after `history` for a paid renewal, and the student's dates and fee moved to it
+const renewMembership = async (db, history, { start, end }) => {
+  const inserted = await db.query(
+    `INSERT INTO student_membership_history (
+       student_id, name, email, phone, address,
+       membership_start, membership_end, status,
+       total_fee, amount_paid, due_amount,
+       cash, online, security_money, remark,
+       seat_id, shift_id, branch_id,
+       registration_number, father_name, aadhar_number,
+       profile_image_url, aadhaar_front_url, aadhaar_back_url,
+       locker_id, discount, changed_at, library_id
+     )
+     SELECT s.id, s.name, s.email, s.phone, s.address,
+            $2, $3, 'active',
+            smh.total_fee, 0, COALESCE(smh.total_fee, 0) - COALESCE(smh.discount, 0),
+            0, 0, s.security_money, 'Renewed online',
+            smh.seat_id, smh.shift_id, smh.branch_id,
+            s.registration_number, s.father_name, s.aadhar_number,
+            s.profile_image_url, s.aadhaar_front_url, s.aadhaar_back_url,
+            s.locker_id, smh.discount, NOW(), smh.library_id
+     FROM student_membership_history smh
+     JOIN students s ON s.id = smh.student_id
+     WHERE smh.id = $1
+     RETURNING *`,
+    [history.id, start, end]
+  );
+  const renewed = inserted.rows[0];
+  await db.query(
+    `UPDATE students
+     SET membership_start = $1, membership_end = $2, status = 'active', total_fee = $3, discount = $4,
+         amount_paid = 0, cash = 0, online = 0, due_amount = $5
+     WHERE id = $6`,
+    [start, end, renewed.total_fee, renewed.discount, renewed.due_amount, renewed.student_id]
+  );
+  return renewed;
+};
+
+/**
+ * Post a payment the gateway confirmed for one of the library's orders: renew the membership when the
+ * order was for a renewal, then post the amount as an online receipt. Runs in the caller's transaction
+ * and locks the order, so the checkout callback and the webhook cannot both post it. Returns null for an
+ * unknown order, and { order, applied: false } when it was already paid or flagged. A payment of another
+ * amount than the order's is not posted: the order is flagged for the library to check, and
+ * { order, applied: false, flagged: true } is returned.
+ */
+const applyOnlinePayment = async (db, req, { libraryId, orderId, paymentId, amountPaise = null }) => {
+  const orderResult = await db.query(
+    'SELECT * FROM student_online_payments WHERE gateway_order_id = $1 AND library_id = $2 FOR UPDATE',
+    [orderId, libraryId]
+  );
+  const order = orderResult.rows[0];
+  if (!order) return null;
+  if (order.status === 'paid' || order.status === 'flagged') return { order, applied: false };
+  if (amountPaise !== null && Number(amountPaise) !== Math.round(parseFloat(order.amount) * 100)) {
+    const flagged = await db.query(
+      `UPDATE student_online_payments SET status = 'flagged', gateway_payment_id = $1, failure_reason = $2
+       WHERE id = $3
+       RETURNING *`,
+      [paymentId, `Paid ${Number(amountPaise) / 100} ${order.currency} instead of ${parseFloat(order.amount)}`, order.id]
+    );
+    await recordAudit(db, req, {
+      libraryId,
+      action: 'update',
+      entityType: 'online-payments',
+      entityId: order.id,
+      before: { status: order.status },
+      after: { status: 'flagged', gateway_payment_id: paymentId, failure_reason: flagged.rows[0].failure_reason }
+    });
+    return { order: flagged.rows[0], applied: false, flagged: true };
+  }
+
+  let membershipHistoryId = order.membership_history_id;
+  if (order.purpose === 'renewal' || !membershipHistoryId) {
+    const latest = await db.query(
+      'SELECT * FROM student_membership_history WHERE student_id = $1 AND library_id = $2 ORDER BY id DESC LIMIT 1 FOR UPDATE',
+      [order.student_id, libraryId]
+    );
+    if (latest.rows.length === 0) throw new Error(`Student ${order.student_id} has no membership to pay for`);
+    membershipHistoryId = latest.rows[0].id;
+    if (order.purpose === 'renewal') {
+      // The period follows the latest one when the payment arrives, which may differ from when it was ordered
+      const { nextPeriod } = await getPaymentOptions(db, libraryId, order.student_id);
+      if (!nextPeriod) throw new Error(`Membership of student ${order.student_id} has no period to renew`);
+      membershipHistoryId = (await renewMembership(db, latest.rows[0], nextPeriod)).id;
+    }
+  }
+
+  const { history } = await syncMembershipTotals(db, membershipHistoryId);
+  const payment = await recordPayment(db, req, history, {
+    amount: parseFloat(order.amount),
+    mode: 'online',
+    remark: `Paid online by the student (Razorpay ${paymentId})`
+  });
+  await syncMembershipTotals(db, membershipHistoryId);
+
+  const updated = await db.query(
+    `UPDATE student_online_payments
+     SET status = 'paid', gateway_payment_id = $1, membership_history_id = $2, student_payment_id = $3,
+         failure_reason = NULL, paid_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [paymentId, membershipHistoryId, payment.id, order.id]
+  );
+  await recordAudit(db, req, {
+    libraryId,
+    action: 'create',
+    entityType: 'online-payments',
+    entityId: order.id,
+    after: {
+      purpose: order.purpose,
+      amount: parseFloat(order.amount),
+      gateway_order_id: orderId,
+      gateway_payment_id: paymentId,
+      student_payment_id: payment.id,
+      receipt_number: payment.receipt_number
+    }
+  });
+  return { order: updated.rows[0], applied: true, payment };
+};
+
+// Record that the gateway reported the order's payment as failed, unless it was paid or flagged in the meantime
+const markOnlinePaymentFailed = async (db, { libraryId, orderId, reason }) => {
+  await db.query(
+    `UPDATE student_online_payments SET status = 'failed', failure_reason = $1
+     WHERE gateway_order_id = $2 AND library_id = $3 AND status NOT IN ('paid', 'flagged')`,
+    [reason || null, orderId, libraryId]
+  );
+};
+
+module.exports = {
+  applyOnlinePayment,
+  createOnlineOrder,
+  getLibraryGateway,
+  getPaymentOptions,
+  markOnlinePaymentFailed,
+};
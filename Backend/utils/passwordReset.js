@@ -0,0 +1,183 @@
+// One-time codes for the owner, staff and student forgot-password flows
+const crypto = require('crypto');
+const { sendPasswordResetCode } = require('./email');
+const { sendWhatsAppMessage } = require('./whatsapp');
+
+const RESET_CODE_TTL_MINUTES = 10;
+// Guesses allowed per code before it stops working
+const MAX_VERIFY_ATTEMPTS = 5;
+// Rate limits on sending codes per account, and on forgot-password requests per IP address
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODES_PER_ACCOUNT_PER_HOUR = 5;
+const MAX_REQUESTS_PER_IP_PER_HOUR = 20;
+
+// Same response whether or not the account exists, so the endpoint cannot be used to discover accounts
+const RESET_CODE_SENT_MESSAGE = 'If an account matches those details, a reset code has been sent to its registered email or WhatsApp number.';
+
+const getSecret = () =>
+  process.env.PASSWORD_RESET_SECRET || process.env.SESSION_SECRET || 'your-very-secure-secret-key-please-change';
+
+const hashCode = (accountType, accountId, code) =>
+  crypto.createHmac('sha256', getSecret()).update(`${accountType}.${accountId}.${code}`).digest('hex');
+
+const formatWhatsAppNumber = (phone) => {
+  const trimmed = String(phone).trim();
+  return trimmed.startsWith('+') ? trimmed : `+91${trimmed.replace(/\D/g, '')}`;
+};
+
+// Channels that can reach this account with the providers configured on this server
+const getAvailableChannels = ({ email, phone }) => {
+  const channels = [];
+  if (email && process.env.BREVO_API_KEY) channels.push('email');
+  if (phone && process.env.WHATSAPP_TOKEN && process.env.WHATSAPP_PHONE_ID) channels.push('whatsapp');
+  return channels;
+};
+
+// Count this forgot-password request against the IP address, and whether the IP has made too many in the
+// last hour. Every request counts, including those for unknown accounts, so probing is throttled too.
+const isIpRateLimited = async (pool, ip, accountType) => {
+  if (!ip) return false;
+  await pool.query('INSERT INTO password_reset_requests (account_type, ip_address) VALUES ($1, $2)', [accountType, ip]);
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM password_reset_requests
+     WHERE ip_address = $1 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [ip]
+  );
+  return result.rows[0].count > MAX_REQUESTS_PER_IP_PER_HOUR;
+};
+
+// The real reason a code was not sent only goes to the server log
+const notSent = ({ accountType, accountId }, reason) => {
+  console.warn(`[PASSWORD_RESET] No code sent to ${accountType} ${accountId}: ${reason}`);
+  return { sent: false, reason };
+};
+
+/**
+ * Generate a code for the account and deliver it.
+ * `account` is { accountType, accountId, name, email, phone }; `channel` is the one the user asked for, if any.
+ * Returns { sent: true, channel } or { sent: false, reason }. Callers reply with RESET_CODE_SENT_MESSAGE either
+ * way, so a cooldown, a missing channel or a failed delivery does not reveal that the account exists.
+ */
+const sendResetCode = async (pool, account, { channel, ip } = {}) => {
+  const { accountType, accountId, name, email, phone } = account;
+
+  const recent = await pool.query(
+    `SELECT COUNT(*)::int AS count,
+       COALESCE(MAX(created_at) > NOW() - ($3 || ' seconds')::interval, false) AS in_cooldown
+     FROM password_reset_codes
+     WHERE account_type = $1 AND account_id = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+    [accountType, accountId, RESEND_COOLDOWN_SECONDS]
+  );
+  if (recent.rows[0].in_cooldown) {
+    return notSent(account, 'RESET_CODE_COOLDOWN');
+  }
+  if (recent.rows[0].count >= MAX_CODES_PER_ACCOUNT_PER_HOUR) {
+    return notSent(account, 'RESET_CODE_LIMIT');
+  }
+
+  const channels = getAvailableChannels({ email, phone });
+  if (channels.length === 0) {
+    return notSent(account, 'RESET_CHANNEL_UNAVAILABLE');
+  }
+  const selectedChannel = channels.includes(channel) ? channel : channels[0];
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  // A new code replaces any earlier one that has not been used yet
+  await pool.query(
+    `UPDATE password_reset_codes SET consumed_at = CURRENT_TIMESTAMP
+     WHERE account_type = $1 AND account_id = $2 AND consumed_at IS NULL`,
+    [accountType, accountId]
+  );
+  const inserted = await pool.query(
+    `INSERT INTO password_reset_codes (account_type, account_id, code_hash, channel, expires_at, requested_ip)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval, $6)
+     RETURNING id`,
+    [accountType, accountId, hashCode(accountType, accountId, code), selectedChannel, RESET_CODE_TTL_MINUTES, ip || null]
+  );
+
+  let delivered = false;
+  try {
+    if (selectedChannel === 'email') {
+      await sendPasswordResetCode({ email, name }, code, RESET_CODE_TTL_MINUTES);
+      delivered = true;
+    } else {
+      const templateName = process.env.WHATSAPP_RESET_TEMPLATE || 'password_reset_code';
+      delivered = Boolean(await sendWhatsAppMessage(formatWhatsAppNumber(phone), templateName, [code]));
+    }
+  } catch (err) {
+    console.error(`[PASSWORD_RESET] Failed to deliver code for ${accountType} ${accountId}:`, err.message);
+  }
+
+  if (!delivered) {
+    await pool.query('DELETE FROM password_reset_codes WHERE id = $1', [inserted.rows[0].id]);
+    return notSent(account, 'RESET_CODE_DELIVERY_FAILED');
+  }
+
+  console.log(`[PASSWORD_RESET] Code sent to ${accountType} ${accountId} by ${selectedChannel}`);
+  return { sent: true, channel: selectedChannel };
+};
+
+/**
+ * Check a code and use it up. Every guess counts against the latest code.
+ * Returns { valid: true } or { valid: false, status, message, code }.
+ */
+const verifyResetCode = async (pool, { accountType, accountId }, code) => {
+  const result = await pool.query(
+    `SELECT id, code_hash, attempts, expires_at < NOW() AS expired
+     FROM password_reset_codes
+     WHERE account_type = $1 AND account_id = $2 AND consumed_at IS NULL
+     ORDER BY created_at DESC LIMIT 1`,
+    [accountType, accountId]
+  );
+  if (result.rows.length === 0) {
+    return { valid: false, status: 400, message: 'Invalid or expired reset code', code: 'RESET_CODE_INVALID' };
+  }
+
+  const row = result.rows[0];
+  if (row.expired) {
+    return { valid: false, status: 400, message: 'This reset code has expired. Please request a new one.', code: 'RESET_CODE_EXPIRED' };
+  }
+
+  // Take an attempt before comparing, in one statement, so parallel guesses cannot all slip under the limit
+  const attempt = await pool.query(
+    `UPDATE password_reset_codes SET attempts = attempts + 1
+     WHERE id = $1 AND consumed_at IS NULL AND attempts < $2
+     RETURNING attempts`,
+    [row.id, MAX_VERIFY_ATTEMPTS]
+  );
+  if (attempt.rows.length === 0) {
+    return { valid: false, status: 429, message: 'Too many incorrect attempts. Please request a new code.', code: 'RESET_CODE_LOCKED' };
+  }
+
+  const expected = Buffer.from(row.code_hash);
+  const given = Buffer.from(hashCode(accountType, accountId, String(code || '').trim()));
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const attemptsRemaining = MAX_VERIFY_ATTEMPTS - attempt.rows[0].attempts;
+    return {
+      valid: false,
+      status: 400,
+      message: attemptsRemaining > 0
+        ? `Incorrect reset code. ${attemptsRemaining} attempt${attemptsRemaining === 1 ? '' : 's'} left.`
+        : 'Too many incorrect attempts. Please request a new code.',
+      code: attemptsRemaining > 0 ? 'RESET_CODE_INVALID' : 'RESET_CODE_LOCKED'
+    };
+  }
+
+  // Consume atomically so the same code cannot reset the password twice
+  const consumed = await pool.query(
+    'UPDATE password_reset_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = $1 AND consumed_at IS NULL RETURNING id',
+    [row.id]
+  );
+  if (consumed.rows.length === 0) {
+    return { valid: false, status: 400, message: 'Invalid or expired reset code', code: 'RESET_CODE_INVALID' };
+  }
+  return { valid: true };
+};
+
+module.exports = {
+  RESET_CODE_SENT_MESSAGE,
+  isIpRateLimited,
+  sendResetCode,
+  verifyResetCode,
+};
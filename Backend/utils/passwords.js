@@ -0,0 +1,37 @@
+// Password hashing for staff users and student accounts (owners hash with bcrypt in ownerAuth.js directly)
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const SALT_ROUNDS = 10;
+// Shortest password a user may choose when changing or resetting it
+const MIN_PASSWORD_LENGTH = 6;
+
+const hashPassword = (password) => bcrypt.hash(String(password), SALT_ROUNDS);
+
+// Rows created before passwords were hashed still hold the plaintext value
+const isPasswordHash = (stored) => typeof stored === 'string' && /^\$2[aby]\$\d{2}\$/.test(stored);
+
+/**
+ * Check a login password against the stored value.
+ * Returns { valid, needsRehash }: needsRehash is true when the stored value was still plaintext,
+ * so the caller can replace it with a hash now that it knows the password.
+ */
+const verifyPassword = async (password, stored) => {
+  if (!password || !stored) return { valid: false, needsRehash: false };
+
+  if (isPasswordHash(stored)) {
+    return { valid: await bcrypt.compare(String(password), stored), needsRehash: false };
+  }
+
+  const given = Buffer.from(String(password));
+  const expected = Buffer.from(String(stored));
+  const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  return { valid, needsRehash: valid };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  isPasswordHash,
+  verifyPassword,
+};
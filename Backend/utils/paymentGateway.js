@@ -0,0 +1,39 @@
+// Razorpay clients and signature checks. With PAYMENT_GATEWAY=mock every client is the in-memory
+// MockRazorpay (utils/mockRazorpay.js), so payments work locally and in tests without Razorpay.
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const MockRazorpay = require('./mockRazorpay');
+
+const isMockGateway = () => process.env.PAYMENT_GATEWAY === 'mock';
+
+const createGatewayClient = ({ keyId, keySecret }) => (isMockGateway()
+  ? new MockRazorpay({ key_id: keyId, key_secret: keySecret })
+  : new Razorpay({ key_id: keyId, key_secret: keySecret }));
+
+// Constant-time comparison of an expected hex HMAC with the one received
+const signatureMatches = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Signature the checkout returns for a payment: HMAC-SHA256 of "<order id>|<payment id>" with the key secret
+const verifyCheckoutSignature = ({ orderId, paymentId, signature }, keySecret) => signatureMatches(
+  crypto.createHmac('sha256', keySecret).update(`${orderId}|${paymentId}`).digest('hex'),
+  signature
+);
+
+/**
+ * Signature of a webhook: HMAC-SHA256 of the raw request body with the webhook secret. `rawBody` must
+ * be the bytes as received (req.rawBody), since re-serialising the parsed JSON can change them.
+ */
+const verifyWebhookSignature = (rawBody, signature, webhookSecret) => {
+  if (!rawBody || !webhookSecret) return false;
+  return signatureMatches(crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex'), signature);
+};
+
+module.exports = {
+  createGatewayClient,
+  isMockGateway,
+  verifyCheckoutSignature,
+  verifyWebhookSignature,
+};
@@ -0,0 +1,57 @@
+// Registry of staff permissions. This is the single source of truth: routes guard with these ids
+// through checkPermissions, and the frontend loads the list from GET /api/auth/permissions.
+const PERMISSIONS = [
+  { id: 'manage_library_students', label: 'Manage Library Students', category: 'Library' },
+  { id: 'manage_schedules', label: 'Manage Schedules & Shifts', category: 'Library' },
+  { id: 'manage_seats', label: 'Manage Seats', category: 'Library' },
+  { id: 'view_collections', label: 'View Library Collections', category: 'Library' },
+  { id: 'manage_collections', label: 'Collect Library Dues', category: 'Library' },
+
+  { id: 'manage_hostel_students', label: 'Manage Hostel Students', category: 'Hostel' },
+  { id: 'manage_hostel_branches', label: 'Manage Hostel Branches', category: 'Hostel' },
+  { id: 'view_hostel_collections', label: 'View Hostel Collections', category: 'Hostel' },
+  { id: 'manage_hostel_collections', label: 'Collect Hostel Dues', category: 'Hostel' },
+
+  { id: 'manage_branches', label: 'Manage Main Branches', category: 'General' },
+  { id: 'manage_products', label: 'Manage Products', category: 'General' },
+  { id: 'manage_expenses', label: 'Manage Expenses', category: 'General' },
+  { id: 'view_transactions', label: 'View Transactions', category: 'General' },
+  { id: 'manage_transactions', label: 'Add & Edit Transactions', category: 'General' },
+  { id: 'view_reports', label: 'View Profit & Loss', category: 'General' },
+];
+
+const PERMISSION_IDS = new Set(PERMISSIONS.map((permission) => permission.id));
+
+const getPermissionLabel = (id) => {
+  const permission = PERMISSIONS.find((p) => p.id === id);
+  return permission ? permission.label : id;
+};
+
+// Ids in the list that are not in the registry
+const findUnknownPermissions = (permissions) =>
+  permissions.filter((permission) => !PERMISSION_IDS.has(permission));
+
+// Guards are built when routers load, so a misspelt permission fails at startup instead of denying everyone
+const assertKnownPermissions = (permissions) => {
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s) in route guard: ${unknown.join(', ')}`);
+  }
+};
+
+/**
+ * Permissions a staff member actually has: those granted to them directly plus those of their
+ * custom role. Ids that have since been removed from the registry are dropped.
+ */
+const resolvePermissions = (userPermissions, rolePermissions) => {
+  const granted = new Set([...(userPermissions || []), ...(rolePermissions || [])]);
+  return PERMISSIONS.map((permission) => permission.id).filter((id) => granted.has(id));
+};
+
+module.exports = {
+  PERMISSIONS,
+  assertKnownPermissions,
+  findUnknownPermissions,
+  getPermissionLabel,
+  resolvePermissions,
+};
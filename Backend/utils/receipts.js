@@ -0,0 +1,485 @@
+// Numbered fee receipts and credit notes (see migrations/019_create_receipts.sql). A receipt is issued
+// in the same transaction as the payment it is for and never changed afterwards; cancelling it issues
+// a credit note. Every document carries a hash of its fields and of the library's previous document,
+// so a row edited or removed directly in the database shows up in verifyReceiptChain.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { getActor } = require('./auditLog');
+const { buildTaxDetails } = require('./gst');
+const { getLibrarySettings } = require('./librarySettings');
+
+const SEQUENCE_DIGITS = 5;
+// GST allows at most 16 characters in an invoice number
+const MAX_TAX_INVOICE_NUMBER_LENGTH = 16;
+
+// 'YYYY-MM-DD' of a DATE column (parsed by pg as local midnight) or of a date string
+const toDateString = (value) => {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+// '2025-26' for a financial year starting in April 2025, or '2025' when years start in January
+const financialYearOf = (dateString, startMonth) => {
+  const [year, month] = dateString.split('-').map(Number);
+  const startYear = month >= startMonth ? year : year - 1;
+  return startMonth === 1 ? String(startYear) : `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// e.g. RCPT/B2/25-26/00001. The financial year is printed short to keep within the GST length limit.
+const formatDocumentNumber = ({ prefix, branchLabel, financialYear, sequenceNumber }) => [
+  prefix,
+  branchLabel,
+  financialYear.length === 7 ? financialYear.slice(2) : financialYear,
+  String(sequenceNumber).padStart(SEQUENCE_DIGITS, '0')
+].filter(Boolean).join('/');
+
+// JSON with object keys sorted at every level, so a JSONB round trip gives the same text
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const toIdOrNull = (value) => (value === null || value === undefined ? null : Number(value));
+
+// SHA-256 of everything printed on a document plus the previous document's hash
+const hashDocument = (document) => crypto.createHash('sha256').update(canonicalJson({
+  library_id: toIdOrNull(document.library_id),
+  branch_id: toIdOrNull(document.branch_id),
+  document_type: document.document_type,
+  receipt_number: document.receipt_number,
+  series_key: document.series_key,
+  financial_year: document.financial_year,
+  sequence_number: toIdOrNull(document.sequence_number),
+  student_type: document.student_type,
+  student_id: toIdOrNull(document.student_id),
+  payment_id: toIdOrNull(document.payment_id),
+  cancels_receipt_id: toIdOrNull(document.cancels_receipt_id),
+  amount: parseFloat(document.amount).toFixed(2),
+  payment_mode: document.payment_mode,
+  payment_date: toDateString(document.payment_date),
+  details: document.details,
+  issued_by_type: document.issued_by_type,
+  issued_by_id: toIdOrNull(document.issued_by_id),
+  issued_by_name: document.issued_by_name,
+  issued_at: new Date(document.issued_at).toISOString(),
+  previous_hash: document.previous_hash || null
+})).digest('hex');
+
+/**
+ * Take the library's receipt lock for the rest of the transaction and return the library with its
+ * numbering settings. Documents of one library are issued one at a time, so numbers and the hash chain
+ * follow commit order.
+ */
+const lockLibraryReceipts = async (db, libraryId) => {
+  await db.query("SELECT pg_advisory_xact_lock(hashtext('receipts'), $1)", [libraryId]);
+  const result = await db.query(
+    'SELECT id, library_name, owner_phone, owner_email FROM libraries WHERE id = $1',
+    [libraryId]
+  );
+  if (result.rows.length === 0) throw new Error(`Library ${libraryId} not found`);
+  const settings = await getLibrarySettings(db, libraryId);
+  return {
+    ...result.rows[0],
+    receipt_prefix: settings.receipt_prefix,
+    credit_note_prefix: settings.credit_note_prefix,
+    receipt_numbering_per_branch: settings.receipt_numbering_per_branch,
+    financial_year_start_month: settings.financial_year_start_month
+  };
+};
+
+// Next number of a series. The sequence row stays locked until the transaction ends.
+const nextSequenceNumber = async (db, { libraryId, seriesKey, documentType, financialYear }) => {
+  const result = await db.query(
+    `INSERT INTO receipt_sequences (library_id, series_key, document_type, financial_year, last_number)
+     VALUES ($1, $2, $3, $4, 1)
+     ON CONFLICT (library_id, series_key, document_type, financial_year)
+     DO UPDATE SET last_number = receipt_sequences.last_number + 1
+     RETURNING last_number`,
+    [libraryId, seriesKey, documentType, financialYear]
+  );
+  return result.rows[0].last_number;
+};
+
+// Number, series and hash a document, then insert it. Callers hold the library's receipt lock.
+const insertDocument = async (db, req, library, document) => {
+  const perBranch = library.receipt_numbering_per_branch && document.branch_id;
+  const branchLabel = document.student_type === 'hostel' ? 'H' : 'B';
+  const seriesKey = perBranch ? `${document.student_type === 'hostel' ? 'hostel-branch' : 'branch'}:${document.branch_id}` : '';
+  const paymentDate = toDateString(document.payment_date);
+  const financialYear = financialYearOf(paymentDate, library.financial_year_start_month);
+  const sequenceNumber = await nextSequenceNumber(db, {
+    libraryId: library.id, seriesKey, documentType: document.document_type, financialYear
+  });
+  const receiptNumber = formatDocumentNumber({
+    prefix: document.document_type === 'credit_note' ? library.credit_note_prefix : library.receipt_prefix,
+    branchLabel: perBranch ? `${branchLabel}${document.branch_id}` : null,
+    financialYear,
+    sequenceNumber
+  });
+
+  const previous = await db.query(
+    'SELECT hash FROM receipts WHERE library_id = $1 ORDER BY id DESC LIMIT 1',
+    [library.id]
+  );
+  const actor = getActor(req);
+  const row = {
+    ...document,
+    library_id: library.id,
+    receipt_number: receiptNumber,
+    series_key: seriesKey,
+    financial_year: financialYear,
+    sequence_number: sequenceNumber,
+    payment_date: paymentDate,
+    issued_by_type: actor.type,
+    issued_by_id: actor.id,
+    issued_by_name: actor.name,
+    issued_at: new Date(),
+    previous_hash: previous.rows.length > 0 ? previous.rows[0].hash : null
+  };
+  row.hash = hashDocument(row);
+
+  const result = await db.query(
+    `INSERT INTO receipts (
+       library_id, branch_id, document_type, receipt_number, series_key, financial_year, sequence_number,
+       student_type, student_id, payment_id, cancels_receipt_id, amount, payment_mode, payment_date, details,
+       issued_by_type, issued_by_id, issued_by_name, issued_at, previous_hash, hash
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+     RETURNING *`,
+    [
+      row.library_id, row.branch_id, row.document_type, row.receipt_number, row.series_key, row.financial_year,
+      row.sequence_number, row.student_type, row.student_id, row.payment_id, row.cancels_receipt_id || null,
+      row.amount, row.payment_mode, row.payment_date, JSON.stringify(row.details),
+      row.issued_by_type, row.issued_by_id, row.issued_by_name, row.issued_at, row.previous_hash, row.hash
+    ]
+  );
+  return result.rows[0];
+};
+
+// Student and branch as printed on a receipt. All values are strings or null so the hash is stable.
+const loadReceiptDetails = async (db, library, studentType, payment) => {
+  const studentQuery = studentType === 'hostel'
+    ? 'SELECT name, phone_number AS phone, registration_number FROM hostel_students WHERE id = $1'
+    : 'SELECT name, phone, registration_number FROM students WHERE id = $1';
+  const branchQuery = studentType === 'hostel'
+    ? 'SELECT name FROM hostel_branches WHERE id = $1'
+    : 'SELECT name FROM branches WHERE id = $1';
+  const student = (await db.query(studentQuery, [payment.student_id])).rows[0] || {};
+  const branch = payment.branch_id ? (await db.query(branchQuery, [payment.branch_id])).rows[0] || {} : {};
+  const text = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+  return {
+    library_name: text(library.library_name),
+    library_phone: text(library.owner_phone),
+    library_email: text(library.owner_email),
+    branch_name: text(branch.name),
+    student_name: text(student.name),
+    student_phone: text(student.phone),
+    registration_number: text(student.registration_number),
+    period_start: toDateString(payment.period_start),
+    period_end: toDateString(payment.period_end),
+    remark: text(payment.remark)
+  };
+};
+
+/**
+ * Issue the receipt for a payment just posted to student_payments (studentType 'library') or
+ * hostel_student_payments ('hostel'). `db` is the client of the transaction that posted it.
+ * Libraries with a GSTIN get a tax invoice: the receipt's details then carry the tax breakup.
+ */
+const issueReceipt = async (db, req, { studentType, payment }) => {
+  const library = await lockLibraryReceipts(db, payment.library_id);
+  const details = await loadReceiptDetails(db, library, studentType, payment);
+  const tax = await buildTaxDetails(db, library.id, studentType, payment.amount);
+  if (tax) details.tax = tax;
+  return insertDocument(db, req, library, {
+    branch_id: payment.branch_id,
+    document_type: 'receipt',
+    student_type: studentType,
+    student_id: payment.student_id,
+    payment_id: payment.id,
+    amount: payment.amount,
+    payment_mode: payment.payment_mode,
+    payment_date: payment.payment_date,
+    details
+  });
+};
+
+/**
+ * Issue the credit note cancelling `receipt`, for the adjustment that reversed its payment. The credit
+ * note repeats the receipt's details with the original number and the reason for cancelling.
+ */
+const issueCreditNote = async (db, req, receipt, { adjustment, reason }) => {
+  const library = await lockLibraryReceipts(db, receipt.library_id);
+  return insertDocument(db, req, library, {
+    branch_id: receipt.branch_id,
+    document_type: 'credit_note',
+    student_type: receipt.student_type,
+    student_id: receipt.student_id,
+    payment_id: adjustment.id,
+    cancels_receipt_id: receipt.id,
+    amount: receipt.amount,
+    payment_mode: receipt.payment_mode,
+    payment_date: adjustment.payment_date,
+    details: { ...receipt.details, original_receipt_number: receipt.receipt_number, reason: String(reason) }
+  });
+};
+
+// Receipts and credit notes with the credit note cancelling each receipt, if any
+const RECEIPT_SELECT = `
+  SELECT r.*, cn.id AS credit_note_id, cn.receipt_number AS credit_note_number
+  FROM receipts r
+  LEFT JOIN receipts cn ON cn.cancels_receipt_id = r.id`;
+
+const toReceiptResponse = (row) => ({
+  id: Number(row.id),
+  receipt_number: row.receipt_number,
+  document_type: row.document_type,
+  financial_year: row.financial_year,
+  student_type: row.student_type,
+  student_id: row.student_id,
+  branch_id: row.branch_id,
+  payment_id: row.payment_id,
+  cancels_receipt_id: toIdOrNull(row.cancels_receipt_id),
+  amount: parseFloat(row.amount),
+  payment_mode: row.payment_mode,
+  payment_date: toDateString(row.payment_date),
+  details: row.details,
+  issued_by_name: row.issued_by_name,
+  issued_at: row.issued_at,
+  cancelled: row.credit_note_id !== null && row.credit_note_id !== undefined,
+  credit_note_id: toIdOrNull(row.credit_note_id),
+  credit_note_number: row.credit_note_number || null,
+  hash: row.hash
+});
+
+// One document of the library, or null
+const getReceipt = async (db, libraryId, receiptId) => {
+  const result = await db.query(`${RECEIPT_SELECT} WHERE r.id = $1 AND r.library_id = $2`, [receiptId, libraryId]);
+  return result.rows.length > 0 ? toReceiptResponse(result.rows[0]) : null;
+};
+
+// Documents issued to one student, newest first, limited to `branchIds` when given
+const getStudentReceipts = async (db, libraryId, studentType, studentId, { branchIds = null } = {}) => {
+  const result = await db.query(
+    `${RECEIPT_SELECT}
+     WHERE r.library_id = $1 AND r.student_type = $2 AND r.student_id = $3
+       AND ($4::int[] IS NULL OR r.branch_id = ANY($4::int[]))
+     ORDER BY r.id DESC`,
+    [libraryId, studentType, studentId, branchIds]
+  );
+  return result.rows.map(toReceiptResponse);
+};
+
+/**
+ * Longest document number the numbering settings can give this financial year, for checking the GST
+ * length limit: the longer prefix, the library's highest branch id when numbering per branch, and a
+ * five-digit sequence.
+ */
+const longestDocumentNumber = async (db, libraryId, settings) => {
+  let branchLabel = null;
+  if (settings.receipt_numbering_per_branch) {
+    const result = await db.query(
+      `SELECT GREATEST(
+         (SELECT MAX(id) FROM branches WHERE library_id = $1),
+         (SELECT MAX(id) FROM hostel_branches WHERE library_id = $1)
+       ) AS max_id`,
+      [libraryId]
+    );
+    branchLabel = `B${result.rows[0].max_id || 1}`;
+  }
+  const prefixes = [settings.receipt_prefix || '', settings.credit_note_prefix || ''];
+  return formatDocumentNumber({
+    prefix: prefixes[0].length >= prefixes[1].length ? prefixes[0] : prefixes[1],
+    branchLabel,
+    financialYear: financialYearOf(toDateString(new Date()), settings.financial_year_start_month),
+    sequenceNumber: 1
+  });
+};
+
+// Error message when a GST-registered library's numbering settings give invoice numbers over the GST limit
+const checkTaxInvoiceNumberLength = async (db, libraryId, settings) => {
+  const longest = await longestDocumentNumber(db, libraryId, settings);
+  if (longest.length <= MAX_TAX_INVOICE_NUMBER_LENGTH) return null;
+  return `Tax invoice numbers can have at most ${MAX_TAX_INVOICE_NUMBER_LENGTH} characters, but ${longest} has ${longest.length}. ` +
+    'Shorten the receipt or credit note prefix, or number all branches together.';
+};
+
+/**
+ * Check the numbering settings a library is about to have, as a whole: receipts and credit notes need
+ * different prefixes, and a GST-registered library's numbers must fit the GST limit. Returns an error
+ * message or null.
+ */
+const checkReceiptSettings = async (db, libraryId, settings) => {
+  if (settings.receipt_prefix === settings.credit_note_prefix) {
+    return 'Receipts and credit notes need different prefixes';
+  }
+  const result = await db.query('SELECT gstin FROM libraries WHERE id = $1', [libraryId]);
+  if (!result.rows[0] || !result.rows[0].gstin) return null;
+  return checkTaxInvoiceNumberLength(db, libraryId, settings);
+};
+
+/**
+ * Recompute the library's hash chain and compare each series with its last issued number. Returns
+ * { valid, checked }, the first document that no longer matches when one was changed, removed or
+ * inserted out of order, and the series whose documents are fewer than the numbers issued.
+ */
+const verifyReceiptChain = async (db, libraryId) => {
+  const result = await db.query('SELECT * FROM receipts WHERE library_id = $1 ORDER BY id', [libraryId]);
+  const gapsResult = await db.query(
+    `SELECT rs.series_key, rs.document_type, rs.financial_year, rs.last_number, COUNT(r.id)::int AS found
+     FROM receipt_sequences rs
+     LEFT JOIN receipts r ON r.library_id = rs.library_id AND r.series_key = rs.series_key
+       AND r.document_type = rs.document_type AND r.financial_year = rs.financial_year
+     WHERE rs.library_id = $1
+     GROUP BY rs.series_key, rs.document_type, rs.financial_year, rs.last_number
+     HAVING COUNT(r.id) <> rs.last_number`,
+    [libraryId]
+  );
+  const report = { valid: gapsResult.rows.length === 0, checked: result.rows.length, gaps: gapsResult.rows };
+
+  let previousHash = null;
+  for (const row of result.rows) {
+    const problem = (row.previous_hash || null) !== previousHash
+      ? 'does not follow the previous document'
+      : hashDocument(row) !== row.hash ? 'was changed after it was issued' : null;
+    if (problem) {
+      return { ...report, valid: false, broken_at: { id: Number(row.id), receipt_number: row.receipt_number, problem } };
+    }
+    previousHash = row.hash;
+  }
+  return report;
+};
+
+const formatDate = (dateString) => (dateString
+  ? new Date(`${dateString}T00:00:00`).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })
+  : 'N/A');
+
+// Standard PDF fonts have no rupee sign
+const formatAmount = (amount) => `Rs. ${Number(amount).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Render a document returned by getReceipt as an A4 PDF, with its issue time in the library's
+ * `timezone`. Only stored values are printed, so a document downloaded again later is identical apart
+ * from its cancellation stamp.
+ */
+const renderReceiptPdf = (receipt, { timezone }) => new Promise((resolve, reject) => {
+  const { details } = receipt;
+  const { tax } = details;
+  const isCreditNote = receipt.document_type === 'credit_note';
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: receipt.receipt_number } });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const row = (label, value) => {
+    const y = doc.y;
+    doc.font('Helvetica').fillColor('#555555').text(label, left, y, { width: 150 });
+    doc.font('Helvetica').fillColor('#000000').text(value || '-', left + 160, y, { width: width - 160 });
+    doc.moveDown(0.4);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(details.library_name || 'Library', { align: 'center' });
+  doc.font('Helvetica').fontSize(10).fillColor('#555555');
+  if (tax) {
+    if (tax.legal_name) doc.text(tax.legal_name, { align: 'center' });
+    if (tax.address) doc.text(tax.address, { align: 'center' });
+    doc.font('Helvetica-Bold').text(`GSTIN: ${tax.gstin}`, { align: 'center' }).font('Helvetica');
+  }
+  doc.text([details.branch_name, details.library_phone, details.library_email].filter(Boolean).join('  |  '), { align: 'center' });
+  doc.moveDown(1.5);
+  const title = tax ? 'TAX INVOICE' : 'PAYMENT RECEIPT';
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000000')
+    .text(isCreditNote ? 'CREDIT NOTE' : title, { align: 'center' });
+  doc.moveDown(1);
+
+  doc.fontSize(11);
+  row(isCreditNote ? 'Credit note no.' : `${tax ? 'Invoice' : 'Receipt'} no.`, receipt.receipt_number);
+  row('Date', formatDate(receipt.payment_date));
+  row('Financial year', receipt.financial_year);
+  if (isCreditNote) row(`Against ${tax ? 'invoice' : 'receipt'}`, details.original_receipt_number);
+  if (tax) row('Place of supply', tax.place_of_supply);
+  doc.moveDown(0.6);
+
+  row(isCreditNote ? 'Issued to' : 'Received from', details.student_name);
+  if (details.registration_number) row('Registration no.', details.registration_number);
+  if (details.student_phone) row('Phone', details.student_phone);
+  row('Period', `${formatDate(details.period_start)} to ${formatDate(details.period_end)}`);
+  row('Payment mode', receipt.payment_mode.charAt(0).toUpperCase() + receipt.payment_mode.slice(1));
+  if (details.remark) row('Remark', details.remark);
+  if (isCreditNote) row('Reason', details.reason);
+  row(isCreditNote ? 'Issued by' : 'Received by', receipt.issued_by_name);
+  doc.moveDown(0.6);
+
+  // Tax breakup of the tax-inclusive amount
+  if (tax) {
+    const rate = parseFloat(tax.rate);
+    const amountColumn = { x: left + width - 150, width: 140 };
+    const taxRow = (label, value, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#000000')
+        .text(label, left + 10, y, { width: amountColumn.x - left - 20 })
+        .text(formatAmount(value), amountColumn.x, y, { width: amountColumn.width, align: 'right' });
+      doc.moveDown(0.4);
+    };
+    const headerY = doc.y;
+    doc.rect(left, headerY - 4, width, 20).fill('#f3f4f6');
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000')
+      .text('Description', left + 10, headerY, { width: 220 })
+      .text('SAC', left + 240, headerY, { width: 80 })
+      .text('Taxable value', amountColumn.x, headerY, { width: amountColumn.width, align: 'right' });
+    doc.y = headerY + 22;
+    const itemY = doc.y;
+    doc.font('Helvetica').fontSize(10)
+      .text(tax.description, left + 10, itemY, { width: 220 })
+      .text(tax.sac_code, left + 240, itemY, { width: 80 })
+      .text(formatAmount(tax.taxable_value), amountColumn.x, itemY, { width: amountColumn.width, align: 'right' });
+    doc.moveDown(0.8);
+    if (tax.supply_type === 'inter-state') {
+      taxRow(`IGST @ ${rate}%`, tax.igst);
+    } else {
+      taxRow(`CGST @ ${rate / 2}%`, tax.cgst);
+      taxRow(`SGST @ ${rate / 2}%`, tax.sgst);
+    }
+    taxRow(isCreditNote ? 'Total tax credited' : 'Total tax', tax.total_tax, true);
+    doc.moveDown(0.6);
+  }
+
+  const amountY = doc.y;
+  doc.rect(left, amountY, width, 30).fillAndStroke('#f3f4f6', '#d1d5db');
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(13)
+    .text(isCreditNote ? 'Amount credited' : 'Amount received', left + 10, amountY + 9, { width: width / 2 })
+    .text(formatAmount(receipt.amount), left + width / 2, amountY + 9, { width: width / 2 - 10, align: 'right' });
+  doc.y = amountY + 45;
+
+  if (receipt.cancelled) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#dc2626')
+      .text(`CANCELLED by credit note ${receipt.credit_note_number}`, left, doc.y, { width, align: 'center' });
+    doc.moveDown(1);
+  }
+
+  const issuedAt = new Date(receipt.issued_at).toLocaleString('en-IN', { timeZone: timezone });
+  doc.font('Helvetica').fontSize(8).fillColor('#6b7280')
+    .text(`Computer-generated document issued on ${issuedAt}.`, left, doc.page.height - 90, { width, align: 'center' })
+    .text(`Verification hash: ${receipt.hash}`, { width, align: 'center' });
+  doc.end();
+});
+
+module.exports = {
+  checkReceiptSettings,
+  checkTaxInvoiceNumberLength,
+  getReceipt,
+  getStudentReceipts,
+  issueCreditNote,
+  issueReceipt,
+  renderReceiptPdf,
+  toDateString,
+  verifyReceiptChain,
+};
@@ -0,0 +1,203 @@
+// Reminder rules of a library (see migrations/026_create_reminder_rules.sql). Every few minutes the
+// scheduler runs each enabled rule whose send time has passed in the library's time zone and that has
+// not run yet that day, queueing its message to the students it matches. Each reminder carries a dedupe
+// key naming what it is about (the membership end date, the period and amount due, the absence or the birthday),
+// so a student never gets the same reminder twice, however often a rule runs.
+const { CHANNELS, DEFAULT_TEMPLATES, processOutbox, queueStudentNotification } = require('./notifications');
+const { dateInTimezone, getLibrarySettings, timeInTimezone } = require('./librarySettings');
+const { toDateString } = require('./receipts');
+
+// What each trigger needs, and the template it starts with
+const TRIGGERS = {
+  before_expiry: { label: 'Before membership ends', days: true, template: 'membership_expiry' },
+  on_expiry: { label: 'On the day membership ends', template: 'membership_expiry' },
+  after_expiry: { label: 'After membership ended', days: true, template: 'membership_expired' },
+  due_above: { label: 'Outstanding due above an amount', minDue: true, template: 'fee_due' },
+  absent: { label: 'Absent for consecutive days', days: true, template: 'absence' },
+  birthday: { label: 'Birthday', template: 'birthday' }
+};
+
+// Whether two enabled rules would remind the same students of the same thing on the same day: the same
+// trigger, days, channel and template. Two due_above rules overlap whatever their amounts, as students
+// above the higher amount match both. Rules differing only in days (e.g. 7 and 3 days before expiry) are
+// separate reminders.
+const rulesOverlap = (a, b) => a.enabled && b.enabled
+  && a.trigger_type === b.trigger_type
+  && a.channel === b.channel
+  && a.template_key === b.template_key
+  && (a.days === null ? b.days === null : Number(a.days) === Number(b.days));
+
+/**
+ * Check a rule being saved. `otherRules` are the library's other rules; a rule that overlaps one of them
+ * is rejected, since each rule keeps its own record of who it has reminded and a student would get both.
+ * Returns { values } with the columns to store, or { error } with a message for the user.
+ */
+const parseRule = (input, otherRules = []) => {
+  if (!input || typeof input !== 'object') return { error: 'Rule details are required' };
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'Give the rule a name of up to 100 characters' };
+  const trigger = TRIGGERS[input.trigger_type];
+  if (!trigger) return { error: `trigger_type must be one of ${Object.keys(TRIGGERS).join(', ')}` };
+  if (!CHANNELS.includes(input.channel)) return { error: `channel must be one of ${CHANNELS.join(', ')}` };
+  const templateKey = input.template_key || trigger.template;
+  if (!DEFAULT_TEMPLATES[templateKey]) return { error: 'Unknown message template' };
+
+  let days = null;
+  if (trigger.days) {
+    days = Number(input.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) return { error: 'Days must be a whole number from 1 to 365' };
+  }
+  let minDue = null;
+  if (trigger.minDue) {
+    minDue = Number(input.min_due);
+    if (!Number.isFinite(minDue) || minDue < 0) return { error: 'The due amount must be 0 or more' };
+    minDue = Math.round(minDue * 100) / 100;
+  }
+  const sendTime = typeof input.send_time === 'string' && /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/.exec(input.send_time);
+  if (!sendTime) return { error: 'The send time must be a time as HH:MM' };
+
+  const values = {
+    name,
+    trigger_type: input.trigger_type,
+    days,
+    min_due: minDue,
+    channel: input.channel,
+    template_key: templateKey,
+    send_time: `${sendTime[1]}:${sendTime[2]}`,
+    enabled: input.enabled !== false
+  };
+  const overlapping = otherRules.find((rule) => rulesOverlap(values, rule));
+  if (overlapping) {
+    return { error: `This rule would send the same reminders as "${overlapping.name}". Change that rule or disable one of them.` };
+  }
+  return { values };
+};
+
+// Conditions on students s matching a rule on day r.today of the library, given the rule's r.days and
+// r.min_due and the library's r.timezone, with what each reminder is about
+const MATCHES = {
+  before_expiry: {
+    where: "s.status = 'active' AND s.membership_end > r.today AND s.membership_end <= r.today + r.days",
+    about: "'expiry:' || TO_CHAR(s.membership_end, 'YYYY-MM-DD')"
+  },
+  on_expiry: {
+    where: 's.membership_end = r.today',
+    about: "'expiry:' || TO_CHAR(s.membership_end, 'YYYY-MM-DD')"
+  },
+  // membership_end is moved on a renewal, so it is still the date it ended on
+  after_expiry: {
+    where: 's.membership_end = r.today - r.days',
+    about: "'expiry:' || TO_CHAR(s.membership_end, 'YYYY-MM-DD')"
+  },
+  // Once per membership period and amount: reminded again when the amount changes or after a renewal,
+  // so a due that goes from 500 to 300 and back to 500 on a new period is reminded each time
+  due_above: {
+    where: 's.due_amount > r.min_due',
+    about: `'due:' || COALESCE(TO_CHAR(s.membership_start, 'YYYY-MM-DD'), 'none') || '..'
+      || COALESCE(TO_CHAR(s.membership_end, 'YYYY-MM-DD'), 'none') || ':' || s.due_amount::text`
+  },
+  // Members for at least the whole absence, not seen since; once per absence, named by the last visit
+  absent: {
+    where: `s.status = 'active' AND s.membership_start <= r.today - r.days AND s.membership_end >= r.today
+      AND NOT EXISTS (
+        SELECT 1 FROM student_attendance a
+        WHERE a.student_id = s.id AND a.library_id = s.library_id
+          AND (a.created_at AT TIME ZONE r.timezone)::date > r.today - r.days
+      )`,
+    about: `'absent:' || COALESCE((
+        SELECT TO_CHAR(MAX((a.created_at AT TIME ZONE r.timezone)::date), 'YYYY-MM-DD')
+        FROM student_attendance a WHERE a.student_id = s.id AND a.library_id = s.library_id
+      ), 'never')`
+  },
+  // Birthdays on 29 February are wished on 28 February in other years
+  birthday: {
+    where: `s.status = 'active' AND s.date_of_birth IS NOT NULL AND (
+        TO_CHAR(s.date_of_birth, 'MM-DD') = TO_CHAR(r.today, 'MM-DD')
+        OR (TO_CHAR(s.date_of_birth, 'MM-DD') = '02-29' AND TO_CHAR(r.today, 'MM-DD') = '02-28'
+            AND EXTRACT(DAY FROM DATE_TRUNC('year', r.today) + INTERVAL '1 month 28 days') <> 29)
+      )`,
+    about: "'birthday:' || EXTRACT(YEAR FROM r.today)::text"
+  }
+};
+
+// Students a rule matches on a date of the library: [{ id, about }]
+const findRuleStudents = async (db, libraryId, rule, date, timezone) => {
+  const match = MATCHES[rule.trigger_type];
+  const result = await db.query(
+    `SELECT s.id, ${match.about} AS about
+     FROM students s
+     CROSS JOIN (SELECT $2::date AS today, $3::int AS days, $4::numeric AS min_due, $5::text AS timezone) r
+     WHERE s.library_id = $1 AND ${match.where}
+     ORDER BY s.id`,
+    [libraryId, date, rule.days || 0, rule.min_due || 0, timezone]
+  );
+  return result.rows;
+};
+
+// Queue a rule's reminders for a date of the library. Returns how many were queued.
+const runReminderRule = async (db, libraryId, rule, date, timezone) => {
+  let queued = 0;
+  for (const student of await findRuleStudents(db, libraryId, rule, date, timezone)) {
+    const results = await queueStudentNotification(db, libraryId, student.id, rule.template_key, {
+      channels: [rule.channel],
+      dedupeKey: `reminder:${rule.id}:${student.id}:${student.about}`
+    });
+    if (results && results[rule.channel].notification) queued += 1;
+  }
+  return queued;
+};
+
+/**
+ * Run the rules of every library that are due: enabled, past their send time in the library's time
+ * zone and not yet run on the library's date. A rule is marked as run before its reminders are queued,
+ * so two servers never run it at once; a failure leaves it for the next day. Returns how many reminders
+ * were queued, after sending them.
+ */
+const runDueReminderRules = async (pool, now = new Date()) => {
+  let queued = 0;
+  const librariesResult = await pool.query(
+    'SELECT DISTINCT library_id FROM reminder_rules WHERE enabled ORDER BY library_id'
+  );
+  for (const { library_id: libraryId } of librariesResult.rows) {
+    try {
+      const { timezone } = await getLibrarySettings(pool, libraryId);
+      const date = dateInTimezone(now, timezone);
+      const rulesResult = await pool.query(
+        `UPDATE reminder_rules SET last_run_on = $2::date
+         WHERE library_id = $1 AND enabled AND send_time <= $3::time
+           AND (last_run_on IS NULL OR last_run_on < $2::date)
+         RETURNING *`,
+        [libraryId, date, timeInTimezone(now, timezone)]
+      );
+      for (const rule of rulesResult.rows) {
+        try {
+          const count = await runReminderRule(pool, libraryId, rule, date, timezone);
+          if (count > 0) console.log(`Library ${libraryId}: reminder rule ${rule.id} queued ${count} reminders`);
+          queued += count;
+        } catch (err) {
+          console.error(`Error running reminder rule ${rule.id} of library ${libraryId}:`, err);
+        }
+      }
+    } catch (err) {
+      console.error(`Error running reminder rules of library ${libraryId}:`, err);
+    }
+  }
+  if (queued > 0) await processOutbox(pool);
+  return queued;
+};
+
+const formatRule = (rule) => ({
+  ...rule,
+  min_due: rule.min_due === null ? null : parseFloat(rule.min_due),
+  send_time: String(rule.send_time).slice(0, 5),
+  last_run_on: toDateString(rule.last_run_on)
+});
+
+module.exports = {
+  TRIGGERS,
+  findRuleStudents,
+  formatRule,
+  parseRule,
+  runDueReminderRules,
+  runReminderRule,
+};
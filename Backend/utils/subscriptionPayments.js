@@ -0,0 +1,137 @@
+// Library subscriptions paid through the app's Razorpay account (see
+// migrations/022_create_subscription_payments.sql). A subscription is only ever activated by
+// activateSubscriptionPayment, for an order created here and confirmed by Razorpay.
+const { recordAudit } = require('./auditLog');
+const { createGatewayClient, isMockGateway } = require('./paymentGateway');
+
+// Paid plans: length in months and price in paise. Prices are set here, never taken from the browser.
+const SUBSCRIPTION_PLANS = {
+  '1_month': { months: 1, amount: 30000 },
+  '3_month': { months: 3, amount: 85000 },
+  '6_month': { months: 6, amount: 160000 },
+  '9_month': { months: 9, amount: 220000 },
+  '12_month': { months: 12, amount: 300000 },
+};
+
+// The app's own Razorpay keys, or null when they are not set (any keys do with the mock gateway)
+const getSubscriptionGateway = () => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (isMockGateway()) return { keyId: keyId || 'rzp_test_mock', keySecret: keySecret || 'mock_key_secret' };
+  if (!keyId || !keySecret) return null;
+  return { keyId, keySecret };
+};
+
+const SUBSCRIPTION_FIELDS = 'subscription_plan, subscription_start_date, subscription_end_date, is_trial, is_subscription_active';
+
+// Create a Razorpay order for a plan and record it. Returns the recorded payment and the gateway's order.
+const createSubscriptionOrder = async (db, libraryId, planId) => {
+  const plan = SUBSCRIPTION_PLANS[planId];
+  const gateway = getSubscriptionGateway();
+  const order = await createGatewayClient(gateway).orders.create({
+    amount: plan.amount,
+    currency: 'INR',
+    receipt: `subscription_${libraryId}_${Date.now()}`,
+    notes: { libraryId: String(libraryId), planId }
+  });
+  const result = await db.query(
+    `INSERT INTO subscription_payments (library_id, plan, amount, currency, razorpay_order_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [libraryId, planId, plan.amount, order.currency, order.id]
+  );
+  return { payment: result.rows[0], order, keyId: gateway.keyId };
+};
+
+/**
+ * Activate the plan of an order Razorpay confirmed as paid. A paid subscription that is still running is
+ * extended from its end date; otherwise the plan starts now. Runs in the caller's transaction and locks
+ * the order, so a retried webhook or a repeated checkout callback cannot activate it twice. Returns null
+ * for an unknown order, and { payment, applied: false } when it was already paid or flagged. A payment of
+ * another amount than the order's activates nothing: the order is flagged, and
+ * { payment, applied: false, flagged: true } is returned.
+ */
+const activateSubscriptionPayment = async (db, req, { orderId, paymentId, amountPaise = null }) => {
+  const paymentResult = await db.query(
+    'SELECT * FROM subscription_payments WHERE razorpay_order_id = $1 FOR UPDATE',
+    [orderId]
+  );
+  const payment = paymentResult.rows[0];
+  if (!payment) return null;
+  if (payment.status === 'paid' || payment.status === 'flagged') return { payment, applied: false };
+  if (amountPaise !== null && Number(amountPaise) !== payment.amount) {
+    const flagged = await db.query(
+      `UPDATE subscription_payments SET status = 'flagged', razorpay_payment_id = $1, failure_reason = $2
+       WHERE id = $3
+       RETURNING *`,
+      [paymentId, `Paid ${Number(amountPaise) / 100} ${payment.currency} instead of ${payment.amount / 100}`, payment.id]
+    );
+    await recordAudit(db, req, {
+      libraryId: payment.library_id,
+      action: 'update',
+      entityType: 'subscription-payments',
+      entityId: payment.id,
+      before: { status: payment.status },
+      after: { status: 'flagged', razorpay_payment_id: paymentId, failure_reason: flagged.rows[0].failure_reason }
+    });
+    return { payment: flagged.rows[0], applied: false, flagged: true };
+  }
+
+  const beforeResult = await db.query(`SELECT ${SUBSCRIPTION_FIELDS} FROM libraries WHERE id = $1 FOR UPDATE`, [payment.library_id]);
+  const before = beforeResult.rows[0];
+  const now = new Date();
+  const currentEnd = before && before.subscription_end_date ? new Date(before.subscription_end_date) : null;
+  const startDate = before && !before.is_trial && before.is_subscription_active && currentEnd && currentEnd > now
+    ? currentEnd
+    : now;
+  const endDate = new Date(startDate);
+  endDate.setMonth(endDate.getMonth() + SUBSCRIPTION_PLANS[payment.plan].months);
+
+  const libraryResult = await db.query(
+    `UPDATE libraries
+     SET subscription_plan = $1,
+         subscription_start_date = $2,
+         subscription_end_date = $3,
+         is_trial = false,
+         is_subscription_active = true
+     WHERE id = $4
+     RETURNING ${SUBSCRIPTION_FIELDS}`,
+    [payment.plan, startDate, endDate, payment.library_id]
+  );
+  const updated = await db.query(
+    `UPDATE subscription_payments
+     SET status = 'paid', razorpay_payment_id = $1, subscription_start_date = $2, subscription_end_date = $3,
+         failure_reason = NULL, paid_at = NOW()
+     WHERE id = $4
+     RETURNING *`,
+    [paymentId, startDate, endDate, payment.id]
+  );
+  // Webhooks have no session, so the change is then recorded as made by the system
+  await recordAudit(db, req, {
+    libraryId: payment.library_id,
+    action: 'update',
+    entityType: 'subscriptions',
+    entityId: payment.library_id,
+    before,
+    after: { ...libraryResult.rows[0], razorpay_order_id: orderId, razorpay_payment_id: paymentId }
+  });
+  return { payment: updated.rows[0], applied: true, subscription: libraryResult.rows[0] };
+};
+
+// Record that Razorpay reported the order's payment as failed, unless it was paid or flagged in the meantime
+const markSubscriptionPaymentFailed = async (db, { orderId, reason }) => {
+  await db.query(
+    `UPDATE subscription_payments SET status = 'failed', failure_reason = $1
+     WHERE razorpay_order_id = $2 AND status NOT IN ('paid', 'flagged')`,
+    [reason || null, orderId]
+  );
+};
+
+module.exports = {
+  SUBSCRIPTION_FIELDS,
+  SUBSCRIPTION_PLANS,
+  activateSubscriptionPayment,
+  createSubscriptionOrder,
+  getSubscriptionGateway,
+  markSubscriptionPaymentFailed,
+};
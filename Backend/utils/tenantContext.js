@@ -0,0 +1,81 @@
+// The library a request works in, carried to every database query it makes. Each client checked out
+// of the pool gets the Postgres setting app.library_id, which the row-level security policies of
+// migrations/023_tenant_isolation.sql compare with the library_id of every row. Without a library the
+// policies let no rows through. Code that works across libraries before one is known (logins, password
+// resets, the subscription webhook, cron jobs, startup) says so with runAsSystem, which sets
+// app.all_libraries instead.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run `callback`, and everything it starts, with queries limited to the library
+const runAsTenant = (libraryId, callback) =>
+  storage.run({ libraryId: libraryId ? Number(libraryId) : null, system: false }, callback);
+
+// Run `callback`, and everything it starts, with queries reaching every library's rows
+const runAsSystem = (callback) => storage.run({ libraryId: null, system: true }, callback);
+
+const currentLibraryId = () => {
+  const store = storage.getStore();
+  return store ? store.libraryId : null;
+};
+
+const isSystemContext = () => {
+  const store = storage.getStore();
+  return Boolean(store && store.system);
+};
+
+// Library of whoever is signed in to the session: the owner, an admin/staff user or a student
+const sessionLibraryId = (session) => {
+  if (!session) return null;
+  if (session.owner && session.owner.id) return session.owner.id;
+  if (session.user && session.user.libraryId) return session.user.libraryId;
+  if (session.student && session.student.libraryId) return session.student.libraryId;
+  return null;
+};
+
+// App-level middleware: the rest of the request runs as the session's library, or sees no rows at all
+const scopeRequestToSession = (req, res, next) => runAsTenant(sessionLibraryId(req.session), next);
+
+// Route middleware for the routes that run before any library is known, such as sign-in
+const systemContext = (req, res, next) => runAsSystem(next);
+
+/**
+ * Make the pool set app.library_id and app.all_libraries on every client it hands out, from the
+ * context of the code that asked for it. pool.query checks out clients through connect() too, so it
+ * is covered as well. The settings are written on every checkout rather than remembered per client,
+ * because a transaction rolled back on the client would silently restore earlier values.
+ */
+const scopePoolToTenant = (pool) => {
+  const connect = pool.connect.bind(pool);
+  pool.connect = (callback) => {
+    const libraryId = currentLibraryId();
+    const system = isSystemContext();
+    const scoped = connect().then(async (client) => {
+      try {
+        await client.query(
+          "SELECT set_config('app.library_id', $1, false), set_config('app.all_libraries', $2, false)",
+          [libraryId ? String(libraryId) : '', system ? 'on' : '']
+        );
+      } catch (err) {
+        client.release(err);
+        throw err;
+      }
+      return client;
+    });
+    if (!callback) return scoped;
+    scoped.then((client) => callback(null, client, (err) => client.release(err)), (err) => callback(err));
+    return undefined;
+  };
+  return pool;
+};
+
+module.exports = {
+  currentLibraryId,
+  runAsSystem,
+  runAsTenant,
+  scopePoolToTenant,
+  scopeRequestToSession,
+  sessionLibraryId,
+  systemContext,
+};
@@ -3,18 +3,27 @@ const axios = require('axios');
 const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 
-async function sendWhatsAppMessage(to, templateName = 'hello_world') {
+// bodyParameters fill the {{1}}, {{2}}... placeholders of the template body, in order
+async function sendWhatsAppMessage(to, templateName = 'hello_world', bodyParameters = []) {
   try {
+    const template = {
+      name: templateName,
+      language: { code: 'en_US' }
+    };
+    if (bodyParameters.length > 0) {
+      template.components = [{
+        type: 'body',
+        parameters: bodyParameters.map((text) => ({ type: 'text', text: String(text) }))
+      }];
+    }
+
     const response = await axios.post(
       `https://graph.facebook.com/v19.0/${WHATSAPP_PHONE_ID}/messages`,
       {
         messaging_product: 'whatsapp',
         to,
         type: 'template',
-        template: {
-          name: templateName,
-          language: { code: 'en_US' }
-        }
+        template
       },
       {
         headers: {
@@ -29,6 +29,7 @@ import TransactionsPage from './pages/TransactionsPage';
 import CollectionDue from './pages/CollectionDue';
 import Expenses from './pages/Expenses';
 import ProfitLoss from './pages/ProfitLoss';
+import GstSummary from './pages/GstSummary';
 import HostelCollectionDue from './pages/HostelCollectionDue';
 import ExpiredHostelMemberships from './pages/ExpiredHostelMemberships';
 import ManageBranches from './pages/ManageBranches'; 
@@ -48,6 +49,11 @@ import StudentLogin from './pages/StudentLogin';
 import StudentDashboard from './pages/StudentDashboard';
 import LandingPage from './pages/LandingPage';
 import BarcodePage from './pages/BarcodePage';
+import AttendanceKiosk from './pages/AttendanceKiosk';
+import StudentIdCards from './pages/StudentIdCards';
+import AuditLog from './pages/AuditLog';
+import Notifications from './pages/Notifications';
+import BulkMessages from './pages/BulkMessages';
 import Announcements from './pages/Announcements';
 import PublicQueries from './pages/PublicQueries';
 import AdminQueries from './pages/AdminQueries';
@@ -92,6 +98,8 @@ function AppRoutes() {
       <Route path="/students/:id" element={<ProtectedRoute><StudentDetails /></ProtectedRoute>} />
       <Route path="/students/:id/edit" element={<ProtectedRoute><EditStudentForm /></ProtectedRoute>} />
       <Route path="/attendance" element={<ProtectedRoute><EnhancedAttendance /></ProtectedRoute>} />
+      <Route path="/attendance-kiosk" element={<ProtectedRoute><AttendanceKiosk /></ProtectedRoute>} />
+      <Route path="/id-cards" element={<ProtectedRoute><StudentIdCards /></ProtectedRoute>} />
       <Route path="/qr-test" element={<ProtectedRoute><QRCodeTest /></ProtectedRoute>} />
       <Route path="/active-students" element={<ProtectedRoute><ActiveStudents /></ProtectedRoute>} />
       <Route path="/expired-memberships" element={<ProtectedRoute><ExpiredMemberships /></ProtectedRoute>} />
@@ -114,6 +122,7 @@ function AppRoutes() {
       <Route path="/collections" element={<ProtectedRoute><CollectionDue /></ProtectedRoute>} />
       <Route path="/expenses" element={<ProtectedRoute><Expenses /></ProtectedRoute>} />
       <Route path="/profit-loss" element={<ProtectedRoute><ProfitLoss /></ProtectedRoute>} />
+      <Route path="/gst-summary" element={<ProtectedRoute><GstSummary /></ProtectedRoute>} />
       <Route path="/branches" element={<ProtectedRoute><ManageBranches /></ProtectedRoute>} /> 
       <Route path="/products" element={<ProtectedRoute><ProductsPage /></ProtectedRoute>} /> 
       <Route path="/announcements" element={<ProtectedRoute><Announcements /></ProtectedRoute>} />
@@ -126,6 +135,9 @@ function AppRoutes() {
       <Route path="/queries/:id" element={<ProtectedRoute><QueryDetail /></ProtectedRoute>} />
       <Route path="/lockers" element={<ProtectedRoute><LockerManagement /></ProtectedRoute>} />
       <Route path="/subscription" element={<ProtectedRoute><SubscriptionPlans /></ProtectedRoute>} />
+      <Route path="/audit-log" element={<ProtectedRoute><AuditLog /></ProtectedRoute>} />
+      <Route path="/notifications" element={<ProtectedRoute><Notifications /></ProtectedRoute>} />
+      <Route path="/bulk-messages" element={<ProtectedRoute><BulkMessages /></ProtectedRoute>} />
       <Route path="*" element={<NotFound />} />
     </Routes>
   );
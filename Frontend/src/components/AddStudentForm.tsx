@@ -53,6 +53,7 @@ interface FormData {
   registrationNumber?: string;
   fatherName?: string;
   aadharNumber?: string;
+  dateOfBirth?: string;
   email?: string;
   phone: string;
   address?: string;
@@ -84,6 +85,7 @@ const AddStudentForm: React.FC = () => {
     registrationNumber: '',
     fatherName: '',
     aadharNumber: '',
+    dateOfBirth: '',
     email: '',
     phone: '',
     address: '',
@@ -126,6 +128,10 @@ const AddStudentForm: React.FC = () => {
       try {
         const branchData = await api.getBranches();
         setBranches(branchData);
+        // Staff limited to a single branch add students to it without a picker
+        if (branchData.length === 1) {
+          setFormData(prev => ({ ...prev, branchId: branchData[0].id }));
+        }
         setError(null);
       } catch (error: any) {
         console.error('Failed to fetch branches:', error);
@@ -203,6 +209,19 @@ const AddStudentForm: React.FC = () => {
     fetchBranchSpecificData();
   }, [formData.branchId]);
 
+  // Fill in the branch's default security deposit, unless one was already entered
+  useEffect(() => {
+    if (formData.branchId === null) return;
+    api.getSettings(formData.branchId)
+      .then(({ settings }) => {
+        const deposit = settings.defaultSecurityDeposit;
+        if (deposit !== null) {
+          setFormData(prev => (prev.securityMoney ? prev : { ...prev, securityMoney: deposit.toString() }));
+        }
+      })
+      .catch(error => console.error('Failed to fetch default fees:', error));
+  }, [formData.branchId]);
+
   // Effect to fetch available shifts for a selected seat
   useEffect(() => {
     const fetchAvailableShifts = async () => {
@@ -405,6 +424,7 @@ const AddStudentForm: React.FC = () => {
         registrationNumber: formData.registrationNumber || undefined,
         fatherName: formData.fatherName || undefined,
         aadharNumber: formData.aadharNumber || undefined,
+        dateOfBirth: formData.dateOfBirth || undefined,
         email: formData.email || undefined,
         phone: formData.phone,
         address: formData.address?.trim() || undefined,
@@ -488,6 +508,19 @@ const AddStudentForm: React.FC = () => {
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
           />
         </div>
+        <div>
+          <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-700 mb-1">
+            Date of Birth
+          </label>
+          <input
+            type="date"
+            id="dateOfBirth"
+            name="dateOfBirth"
+            value={formData.dateOfBirth || ''}
+            onChange={handleChange}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+          />
+        </div>
         <div>
           <label htmlFor="aadharNumber" className="block text-sm font-medium text-gray-700 mb-1">
             Aadhar Number
@@ -541,20 +574,22 @@ const AddStudentForm: React.FC = () => {
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
           />
         </div>
-        <div>
-          <label htmlFor="branchId" className="block text-sm font-medium text-gray-700 mb-1">
-            Branch *
-          </label>
-          <Select
-            options={branchOptions}
-            value={branchOptions.find(option => option.value === formData.branchId) || null}
-            onChange={(option: SelectOption | null) => handleSelectChange('branchId', option)}
-            placeholder="Select a branch"
-            className="w-full"
-            isDisabled={branches.length === 0}
-            required
-          />
-        </div>
+        {branches.length !== 1 && (
+          <div>
+            <label htmlFor="branchId" className="block text-sm font-medium text-gray-700 mb-1">
+              Branch *
+            </label>
+            <Select
+              options={branchOptions}
+              value={branchOptions.find(option => option.value === formData.branchId) || null}
+              onChange={(option: SelectOption | null) => handleSelectChange('branchId', option)}
+              placeholder="Select a branch"
+              className="w-full"
+              isDisabled={branches.length === 0}
+              required
+            />
+          </div>
+        )}
         <div>
           <label htmlFor="membershipStart" className="block text-sm font-medium text-gray-700 mb-1">
             Membership Start *
@@ -0,0 +1,231 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { UserX, Timer, RefreshCw } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import api, { AbsenteeBranch, PunctualitySummary } from '../services/api';
+
+interface Branch {
+  id: number;
+  name: string;
+}
+
+// Owner reports computed against each student's shift: daily absentees per branch and monthly punctuality
+const AttendanceInsights: React.FC = () => {
+  const [activeTab, setActiveTab] = useState<'absentees' | 'punctuality'>('absentees');
+  const [branches, setBranches] = useState<Branch[]>([]);
+  const [branchId, setBranchId] = useState<number | undefined>(undefined);
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [month, setMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [absentees, setAbsentees] = useState<AbsenteeBranch[]>([]);
+  const [totalAbsent, setTotalAbsent] = useState(0);
+  const [punctuality, setPunctuality] = useState<PunctualitySummary[]>([]);
+  const [graceMinutes, setGraceMinutes] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    api.getBranches()
+      .then((data) => setBranches(data || []))
+      .catch((error) => console.error('Error loading branches:', error));
+  }, []);
+
+  const loadAbsentees = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const data = await api.getAttendanceAbsentees({ date, branchId });
+      setAbsentees(data.branches || []);
+      setTotalAbsent(data.totalAbsent || 0);
+    } catch (error) {
+      console.error('Error loading absentees:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load absentees');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [date, branchId]);
+
+  const loadPunctuality = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const [year, monthNumber] = month.split('-');
+      const data = await api.getAttendancePunctuality({
+        month: parseInt(monthNumber),
+        year: parseInt(year),
+        branchId
+      });
+      setPunctuality(data.students || []);
+      setGraceMinutes(data.graceMinutes || 0);
+    } catch (error) {
+      console.error('Error loading punctuality summary:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to load punctuality summary');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [month, branchId]);
+
+  useEffect(() => {
+    if (activeTab === 'absentees') {
+      loadAbsentees();
+    } else {
+      loadPunctuality();
+    }
+  }, [activeTab, loadAbsentees, loadPunctuality]);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg overflow-hidden border border-gray-100">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 px-6 py-4 border-b border-gray-100">
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setActiveTab('absentees')}
+            className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center space-x-2 ${
+              activeTab === 'absentees' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <UserX className="w-4 h-4" />
+            <span>Absentees</span>
+          </button>
+          <button
+            onClick={() => setActiveTab('punctuality')}
+            className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center space-x-2 ${
+              activeTab === 'punctuality' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            <Timer className="w-4 h-4" />
+            <span>Punctuality</span>
+          </button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={branchId ?? ''}
+            onChange={(e) => setBranchId(e.target.value ? parseInt(e.target.value) : undefined)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+          >
+            <option value="">All Branches</option>
+            {branches.map((branch) => (
+              <option key={branch.id} value={branch.id}>{branch.name}</option>
+            ))}
+          </select>
+          {activeTab === 'absentees' ? (
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          ) : (
+            <input
+              type="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            />
+          )}
+          <button
+            onClick={activeTab === 'absentees' ? loadAbsentees : loadPunctuality}
+            disabled={isLoading}
+            className="p-2 rounded-lg border border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {activeTab === 'absentees' ? (
+        <div className="p-6">
+          <p className="text-sm text-gray-600 mb-4">
+            {totalAbsent} active {totalAbsent === 1 ? 'student has' : 'students have'} not checked in on this date.
+          </p>
+          {absentees.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No absentees.</p>
+          ) : (
+            <div className="space-y-6">
+              {absentees.map((branch) => (
+                <div key={branch.branchId ?? 'none'}>
+                  <h4 className="font-semibold text-gray-800 mb-2">
+                    {branch.branchName} <span className="text-sm font-normal text-gray-500">({branch.students.length})</span>
+                  </h4>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">Student</th>
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">Phone</th>
+                          <th className="px-4 py-2 text-left font-medium text-gray-600">Shift</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-100">
+                        {branch.students.map((student) => (
+                          <tr key={student.studentId}>
+                            <td className="px-4 py-2">
+                              <div className="font-medium text-gray-900">{student.studentName}</div>
+                              {student.registrationNumber && (
+                                <div className="text-xs text-gray-400">Reg: {student.registrationNumber}</div>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-gray-600">{student.phone}</td>
+                            <td className="px-4 py-2 text-gray-600">{student.shifts.join(', ') || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="p-6">
+          <p className="text-sm text-gray-600 mb-4">
+            Check-ins more than {graceMinutes} minutes after the shift start count as late; check-outs more than {graceMinutes} minutes before the shift end count as early leave.
+          </p>
+          {punctuality.length === 0 ? (
+            <p className="text-center text-gray-500 py-6">No students for this month.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Student</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Shift</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Present</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">On Time</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Late</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Early Leave</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Out of Shift</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Absent</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Punctuality</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {punctuality.map((row) => (
+                    <tr key={row.studentId}>
+                      <td className="px-4 py-2">
+                        <div className="font-medium text-gray-900">{row.studentName}</div>
+                        <div className="text-xs text-gray-400">{row.branchName || ''}</div>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{row.shifts.join(', ') || '—'}</td>
+                      <td className="px-4 py-2 text-right">{row.present}/{row.expectedDays}</td>
+                      <td className="px-4 py-2 text-right text-green-700">{row.onTime}</td>
+                      <td className="px-4 py-2 text-right text-yellow-700">
+                        {row.late}
+                        {row.averageLateMinutes > 0 && (
+                          <span className="text-xs text-gray-400"> (avg {row.averageLateMinutes}m)</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-orange-700">{row.earlyLeave}</td>
+                      <td className="px-4 py-2 text-right text-purple-700">{row.outOfShift}</td>
+                      <td className="px-4 py-2 text-right text-red-700">{row.absent}</td>
+                      <td className="px-4 py-2 text-right font-medium">
+                        {row.punctualityRate === null ? '—' : `${row.punctualityRate}%`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceInsights;
@@ -1,7 +1,60 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
 import QRCode from 'qrcode-generator';
-import { QrCode, Download, Copy, X } from 'lucide-react';
-import { toast } from 'react-hot-toast';
+import { QrCode, Monitor, RefreshCw, X, IdCard } from 'lucide-react';
+import { useAttendanceQr } from '../hooks/use-attendance-qr';
+import { StudentIdCardData } from '../services/api';
+
+// Render text as an inline SVG QR code, or '' if it cannot be encoded
+const toQrSvg = (data: string, cellSize: number): string => {
+  try {
+    const qr = QRCode(0, 'M');
+    qr.addData(data);
+    qr.make();
+    return qr.createSvgTag(cellSize, 0);
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    return '';
+  }
+};
+
+interface StudentIdCardProps {
+  card: StudentIdCardData;
+}
+
+// Printable ID card (85.6 x 54 mm) whose QR code staff scan at the attendance kiosk
+export const StudentIdCard: React.FC<StudentIdCardProps> = ({ card }) => {
+  const qrCodeSvg = useMemo(() => toQrSvg(card.cardCode, 3), [card.cardCode]);
+
+  return (
+    <div
+      className="bg-white border border-gray-300 rounded-lg overflow-hidden flex flex-col break-inside-avoid"
+      style={{ width: '85.6mm', height: '54mm' }}
+    >
+      <div className="bg-blue-600 text-white px-3 py-1.5 text-sm font-semibold truncate">
+        {card.libraryName}
+      </div>
+      <div className="flex flex-1 p-2 gap-2">
+        <div className="flex flex-col items-center w-[22mm] shrink-0">
+          {card.profileImageUrl ? (
+            <img src={card.profileImageUrl} alt={card.name} className="w-[20mm] h-[24mm] object-cover rounded border" />
+          ) : (
+            <div className="w-[20mm] h-[24mm] rounded border bg-gray-100 flex items-center justify-center text-2xl font-bold text-gray-400">
+              {card.name.charAt(0).toUpperCase()}
+            </div>
+          )}
+        </div>
+        <div className="flex-1 min-w-0 text-[10px] leading-tight space-y-0.5">
+          <p className="text-xs font-bold text-gray-900 truncate">{card.name}</p>
+          {card.registrationNumber && <p className="text-gray-700">Reg: {card.registrationNumber}</p>}
+          <p className="text-gray-700">Ph: {card.phone}</p>
+          {card.branchName && <p className="text-gray-700 truncate">{card.branchName}</p>}
+        </div>
+        <div className="shrink-0 self-center" dangerouslySetInnerHTML={{ __html: qrCodeSvg }} />
+      </div>
+    </div>
+  );
+};
 
 interface BarcodeGeneratorProps {
   libraryCode: string;
@@ -18,118 +71,20 @@ const BarcodeGenerator: React.FC<BarcodeGeneratorProps> = ({
   isOpen,
   onClose
 }) => {
-  const canvasRef = useRef<HTMLCanvasElement>(null);
-  const [barcodeData, setBarcodeData] = useState('');
-  const [qrCodeSvg, setQrCodeSvg] = useState('');
-
-  useEffect(() => {
-    if (isOpen && libraryCode && libraryId) {
-      generateBarcode();
-    }
-  }, [isOpen, libraryCode, libraryId]);
-
-  const generateBarcode = () => {
-    // Create static attendance QR code data for this library (no timestamp for consistency)
-    const attendanceQrData = {
-      libraryId: libraryId,
-      libraryCode: libraryCode,
-      libraryName: libraryName,
-      type: 'attendance'
-    };
-    
-    const barcodeContent = JSON.stringify(attendanceQrData);
-    setBarcodeData(barcodeContent);
-
-    // Generate QR Code
-    try {
-      const qr = QRCode(0, 'M');
-      qr.addData(barcodeContent);
-      qr.make();
-      
-      // Create SVG with proper parameters for visibility
-      const svgString = qr.createSvgTag(4, 0); // cellSize=4, margin=0
-      
-      setQrCodeSvg(svgString);
-      
-      // Also draw on canvas for download
-      drawQRCodeOnCanvas(qr);
-    } catch (error) {
-      console.error('Error generating QR code:', error);
-      toast.error('Failed to generate barcode');
-    }
-  };
+  const navigate = useNavigate();
+  // Codes are signed by the server and expire after a short time, so they are fetched and rotated live
+  const { qrData, secondsLeft, isLoading, error, refresh } = useAttendanceQr(isOpen && !!libraryId);
 
-  const drawQRCodeOnCanvas = (qr: any) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    if (!ctx) return;
-
-    const moduleCount = qr.getModuleCount();
-    const cellSize = 8;
-    const margin = 32;
-    const canvasSize = moduleCount * cellSize + margin * 2;
-
-    canvas.width = canvasSize;
-    canvas.height = canvasSize + 60; // Extra space for text
-
-    // Clear canvas
-    ctx.fillStyle = '#ffffff';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw QR code
-    ctx.fillStyle = '#000000';
-    for (let row = 0; row < moduleCount; row++) {
-      for (let col = 0; col < moduleCount; col++) {
-        if (qr.isDark(row, col)) {
-          ctx.fillRect(
-            col * cellSize + margin,
-            row * cellSize + margin,
-            cellSize,
-            cellSize
-          );
-        }
-      }
-    }
-
-    // Add library name text
-    ctx.fillStyle = '#000000';
-    ctx.font = 'bold 16px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(
-      libraryName,
-      canvas.width / 2,
-      canvasSize + 25
-    );
-
-    // Add library code text
-    ctx.font = '12px Arial';
-    ctx.fillText(
-      `Code: ${libraryCode}`,
-      canvas.width / 2,
-      canvasSize + 45
-    );
-  };
-
-  const downloadBarcode = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+  const qrCodeSvg = useMemo(() => (qrData ? toQrSvg(qrData, 4) : ''), [qrData]);
 
-    const link = document.createElement('a');
-    link.download = `${libraryCode}_barcode.png`;
-    link.href = canvas.toDataURL();
-    link.click();
-    
-    toast.success('Barcode downloaded successfully!');
+  const openDisplayMode = () => {
+    onClose();
+    navigate('/barcode');
   };
 
-  const copyBarcodeData = () => {
-    navigator.clipboard.writeText(barcodeData).then(() => {
-      toast.success('Barcode data copied to clipboard!');
-    }).catch(() => {
-      toast.error('Failed to copy barcode data');
-    });
+  const openIdCards = () => {
+    onClose();
+    navigate('/id-cards');
   };
 
   if (!isOpen) return null;
@@ -159,20 +114,23 @@ const BarcodeGenerator: React.FC<BarcodeGeneratorProps> = ({
           </div>
 
           {/* QR Code Display */}
-          <div className="flex justify-center mb-6">
+          <div className="flex justify-center mb-4">
             <div className="p-4 bg-white border-2 border-gray-200 rounded-lg shadow-sm">
               {qrCodeSvg ? (
                 <div dangerouslySetInnerHTML={{ __html: qrCodeSvg }} />
               ) : (
-                <canvas 
-                  ref={canvasRef} 
-                  className="border border-gray-300"
-                  style={{ maxWidth: '200px', maxHeight: '200px' }}
-                />
+                <div className="w-48 h-48 flex items-center justify-center text-sm text-gray-500">
+                  {error ? error : 'Generating QR code...'}
+                </div>
               )}
             </div>
           </div>
 
+          <div className="flex items-center justify-center text-sm text-gray-600 mb-6">
+            <RefreshCw className={`w-4 h-4 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+            {qrCodeSvg ? `Code refreshes in ${secondsLeft}s` : 'Waiting for code...'}
+          </div>
+
           {/* Library Information */}
           <div className="bg-gray-50 rounded-lg p-4 mb-6">
             <div className="grid grid-cols-2 gap-4 text-sm">
@@ -185,29 +143,30 @@ const BarcodeGenerator: React.FC<BarcodeGeneratorProps> = ({
                 <p className="text-gray-900 font-mono">{libraryId}</p>
               </div>
             </div>
-            <div className="mt-3">
-              <p className="font-medium text-gray-700 mb-1">Barcode Data:</p>
-              <p className="text-xs text-gray-600 font-mono bg-white p-2 rounded border break-all">
-                {barcodeData}
-              </p>
-            </div>
           </div>
 
           {/* Action Buttons */}
           <div className="grid grid-cols-2 gap-3">
             <button
-              onClick={downloadBarcode}
+              onClick={openDisplayMode}
               className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
             >
-              <Download className="w-4 h-4 mr-2" />
-              Download
+              <Monitor className="w-4 h-4 mr-2" />
+              Display Mode
             </button>
             <button
-              onClick={copyBarcodeData}
+              onClick={refresh}
               className="flex items-center justify-center px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
             >
-              <Copy className="w-4 h-4 mr-2" />
-              Copy Data
+              <RefreshCw className="w-4 h-4 mr-2" />
+              New Code
+            </button>
+            <button
+              onClick={openIdCards}
+              className="col-span-2 flex items-center justify-center px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors"
+            >
+              <IdCard className="w-4 h-4 mr-2" />
+              Student ID Cards (for students without a phone)
             </button>
           </div>
 
@@ -215,17 +174,13 @@ const BarcodeGenerator: React.FC<BarcodeGeneratorProps> = ({
           <div className="mt-6 p-4 bg-blue-50 rounded-lg">
             <h5 className="font-medium text-blue-900 mb-2">Instructions:</h5>
             <ul className="text-sm text-blue-800 space-y-1">
-              <li>• Print this QR code and display it prominently in your library</li>
-              <li>• Students can scan this code to check in when arriving</li>
-              <li>• Students can scan again to check out when leaving</li>
-              <li>• Each library has a unique QR code for security</li>
+              <li>• Open Display Mode on a screen or tablet at your library entrance</li>
+              <li>• The code changes every few seconds, so printed copies and screenshots will not work</li>
+              <li>• Students scan the live code to check in when arriving and again to check out</li>
               <li>• Students can only mark attendance using their registered library's QR code</li>
             </ul>
           </div>
         </div>
-
-        {/* Hidden canvas for download */}
-        <canvas ref={canvasRef} style={{ display: 'none' }} />
       </div>
     </div>
   );
@@ -0,0 +1,157 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { useReactToPrint } from 'react-to-print';
+import { Download, Loader2, Printer, X } from 'lucide-react';
+import { toast } from 'sonner';
+import { CollectDueInput, PaymentReceipt } from '../services/api';
+import { downloadReceipt } from '../utils/receiptDownload';
+
+interface CollectDueModalProps {
+  isOpen: boolean;
+  onClose: () => void;
+  studentName: string;
+  dueAmount: number;
+  // api.collectStudentDue or api.collectHostelStudentDue, bound to the student
+  collect: (input: CollectDueInput) => Promise<{ message: string; receipt: PaymentReceipt }>;
+  onCollected?: (receipt: PaymentReceipt) => void;
+}
+
+const formatDate = (value: string | null) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : 'N/A';
+
+// Records a cash/online payment against a student's current due, then shows the receipt for printing
+const CollectDueModal: React.FC<CollectDueModalProps> = ({ isOpen, onClose, studentName, dueAmount, collect, onCollected }) => {
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState<'cash' | 'online' | null>(null);
+  const [remark, setRemark] = useState('');
+  const [receipt, setReceipt] = useState<PaymentReceipt | null>(null);
+  const receiptRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setAmount(dueAmount > 0 ? dueAmount.toFixed(2) : '');
+      setMethod(null);
+      setRemark('');
+      setReceipt(null);
+    }
+  }, [isOpen, dueAmount]);
+
+  const handlePrint = useReactToPrint({
+    contentRef: receiptRef,
+    documentTitle: receipt ? `Receipt-${(receipt.receiptNumber || String(receipt.paymentId)).replace(/\//g, '-')}` : 'Receipt',
+  });
+
+  const collectMutation = useMutation({
+    mutationFn: collect,
+    onSuccess: (data) => {
+      toast.success(data.message);
+      setReceipt(data.receipt);
+      onCollected?.(data.receipt);
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to collect payment'),
+  });
+
+  if (!isOpen) return null;
+
+  const handleSubmit = () => {
+    const payment = parseFloat(amount);
+    if (!method) {
+      toast.error('Please select a payment method');
+      return;
+    }
+    if (isNaN(payment) || payment <= 0 || payment > dueAmount + 0.01) {
+      toast.error('Invalid payment amount. Cannot be zero or more than the due amount.');
+      return;
+    }
+    collectMutation.mutate({ amount: payment, method, remark: remark.trim() || undefined });
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+      <div className="bg-white p-6 rounded-lg shadow-lg max-w-md w-full">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">{receipt ? 'Payment Receipt' : `Collect Due from ${studentName}`}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600" aria-label="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        {receipt ? (
+          <>
+            <div ref={receiptRef} className="space-y-2 text-sm p-2">
+              <p className="text-center font-semibold text-base mb-2">Payment Receipt {receipt.receiptNumber || `#${receipt.paymentId}`}</p>
+              <div className="flex justify-between"><span className="text-gray-500">Student</span><span>{receipt.studentName}</span></div>
+              <div className="flex justify-between"><span className="text-gray-500">Date</span><span>{formatDate(receipt.paymentDate)}</span></div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Period</span>
+                <span>{formatDate(receipt.periodStart)} to {formatDate(receipt.periodEnd)}</span>
+              </div>
+              <div className="flex justify-between"><span className="text-gray-500">Mode</span><span className="capitalize">{receipt.paymentMode}</span></div>
+              <div className="flex justify-between"><span className="text-gray-500">Due before</span><span>₹{receipt.dueBefore.toFixed(2)}</span></div>
+              <div className="flex justify-between font-semibold"><span>Amount paid</span><span className="text-green-600">₹{receipt.amount.toFixed(2)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-500">Balance due</span><span className="text-red-600">₹{receipt.dueAfter.toFixed(2)}</span></div>
+              {receipt.collectedByName && (
+                <div className="flex justify-between"><span className="text-gray-500">Collected by</span><span>{receipt.collectedByName}</span></div>
+              )}
+              {receipt.remark && (
+                <div className="flex justify-between"><span className="text-gray-500">Remark</span><span>{receipt.remark}</span></div>
+              )}
+            </div>
+            <div className="flex justify-end space-x-2 mt-4">
+              <button onClick={onClose} className="px-4 py-2 border rounded-md">Done</button>
+              {receipt.receiptId && receipt.receiptNumber && (
+                <button
+                  onClick={() => downloadReceipt(receipt.receiptId as number, receipt.receiptNumber as string)}
+                  className="flex items-center px-4 py-2 border rounded-md"
+                >
+                  <Download className="h-4 w-4 mr-2" />
+                  PDF
+                </button>
+              )}
+              <button onClick={() => handlePrint()} className="flex items-center px-4 py-2 bg-purple-600 text-white rounded-md">
+                <Printer className="h-4 w-4 mr-2" />
+                Print
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-2">Current Due Amount: ₹{dueAmount.toFixed(2)}</p>
+            <div className="mb-4">
+              <p className="text-sm text-gray-600 mb-2">Payment Method:</p>
+              <div className="flex space-x-4">
+                <label className="flex items-center"><input type="radio" name="collectDueMethod" checked={method === 'cash'} onChange={() => setMethod('cash')} className="mr-2" />Cash</label>
+                <label className="flex items-center"><input type="radio" name="collectDueMethod" checked={method === 'online'} onChange={() => setMethod('online')} className="mr-2" />Online</label>
+              </div>
+            </div>
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Enter payment amount"
+              className="w-full p-2 border rounded-md mb-3"
+              max={dueAmount.toString()}
+              step="0.01"
+              min="0"
+            />
+            <input
+              type="text"
+              value={remark}
+              onChange={(e) => setRemark(e.target.value)}
+              placeholder="Remark (optional)"
+              className="w-full p-2 border rounded-md mb-4"
+            />
+            <div className="flex justify-end space-x-2">
+              <button onClick={onClose} className="px-4 py-2 border rounded-md">Cancel</button>
+              <button onClick={handleSubmit} disabled={collectMutation.isPending} className="px-4 py-2 bg-purple-600 text-white rounded-md disabled:bg-purple-300">
+                {collectMutation.isPending ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Collect Payment'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CollectDueModal;
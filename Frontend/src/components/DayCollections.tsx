@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { Loader2 } from 'lucide-react';
+import { DayCollections as DayCollectionsData } from '../services/api';
+import ReceiptActions from './ReceiptActions';
+
+interface DayCollectionsProps {
+  queryKey: string;
+  // api.getDayCollections or api.getHostelDayCollections
+  fetchCollections: (params: { date?: string; branchId?: number }) => Promise<DayCollectionsData>;
+  branchId?: number | null;
+  // Called after a receipt is cancelled from the table, to refresh the page's other data
+  onReceiptCancelled?: () => void;
+}
+
+const todayLocal = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+// Every receipt collected on one day, with cash and online totals
+const DayCollections: React.FC<DayCollectionsProps> = ({ queryKey, fetchCollections, branchId, onReceiptCancelled }) => {
+  const [date, setDate] = useState(todayLocal());
+
+  const { data, isLoading, refetch } = useQuery({
+    queryKey: [queryKey, date, branchId],
+    queryFn: () => fetchCollections({ date, branchId: branchId || undefined }),
+  });
+  const payments = data?.payments || [];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 border-b">
+        <h2 className="text-lg font-semibold text-gray-800">Day's Collections</h2>
+        <div className="flex items-center gap-4 text-sm">
+          <span>Total: <strong className="text-green-600">₹{(data?.totals.total || 0).toFixed(2)}</strong></span>
+          <span>Cash: <strong>₹{(data?.totals.cash || 0).toFixed(2)}</strong></span>
+          <span>Online: <strong>₹{(data?.totals.online || 0).toFixed(2)}</strong></span>
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="p-2 border rounded-md" />
+        </div>
+      </div>
+      <div className="overflow-x-auto">
+        {isLoading ? (
+          <div className="text-center p-6"><Loader2 className="h-6 w-6 animate-spin mx-auto" /></div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Receipt</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Student Name</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Branch</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Mode</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Collected By</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Remark</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {payments.length === 0 ? (
+                <tr><td colSpan={7} className="px-4 py-4 text-center text-gray-500">No payments collected on this day.</td></tr>
+              ) : (
+                payments.map((payment) => (
+                  <tr key={payment.id}>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                      <ReceiptActions
+                        receiptId={payment.receiptId}
+                        receiptNumber={payment.receiptNumber}
+                        cancelled={payment.receiptCancelled}
+                        onCancelled={() => {
+                          refetch();
+                          onReceiptCancelled?.();
+                        }}
+                      />
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-800">{payment.studentName}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{payment.branchName || 'N/A'}</td>
+                    <td className={`px-4 py-3 whitespace-nowrap text-sm font-semibold ${payment.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      ₹{payment.amount.toFixed(2)}
+                      {payment.entryType === 'adjustment' && <span className="ml-1 text-xs font-normal text-gray-500">(correction)</span>}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500 capitalize">{payment.paymentMode}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">{payment.collectedByName || 'N/A'}</td>
+                    <td className="px-4 py-3 text-sm text-gray-500">{payment.remark || '-'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DayCollections;
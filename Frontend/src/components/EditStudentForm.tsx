@@ -12,6 +12,7 @@ interface Student {
   registrationNumber?: string | null;
   fatherName?: string | null;
   aadharNumber?: string | null;
+  dateOfBirth?: string | null;
   email: string;
   phone: string;
   address: string;
@@ -82,6 +83,7 @@ interface FormData {
   registrationNumber: string;
   fatherName: string;
   aadharNumber: string;
+  dateOfBirth: string;
   email: string;
   phone: string;
   address: string;
@@ -110,6 +112,7 @@ interface UpdateStudentPayload {
   registrationNumber: string;
   fatherName: string;
   aadharNumber: string;
+  dateOfBirth: string | null;
   email: string;
   phone: string;
   address: string;
@@ -139,6 +142,7 @@ const EditStudentForm: React.FC = () => {
     registrationNumber: '',
     fatherName: '',
     aadharNumber: '',
+    dateOfBirth: '',
     email: '',
     phone: '',
     address: '',
@@ -191,6 +195,7 @@ const EditStudentForm: React.FC = () => {
           registrationNumber: student.registrationNumber || '',
           fatherName: student.fatherName || '',
           aadharNumber: student.aadharNumber || '',
+          dateOfBirth: student.dateOfBirth ? student.dateOfBirth.split('T')[0] : '',
           email: student.email || '',
           phone: student.phone || '',
           address: student.address || '',
@@ -377,6 +382,7 @@ const EditStudentForm: React.FC = () => {
         registrationNumber: formData.registrationNumber || '',
         fatherName: formData.fatherName || '',
         aadharNumber: formData.aadharNumber || '',
+        dateOfBirth: formData.dateOfBirth || null,
         email: formData.email || '',
         phone: formData.phone,
         address: formData.address,
@@ -494,6 +500,17 @@ const EditStudentForm: React.FC = () => {
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
           />
         </div>
+        <div>
+          <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-700 mb-1">Date of Birth</label>
+          <input
+            type="date"
+            id="dateOfBirth"
+            name="dateOfBirth"
+            value={formData.dateOfBirth}
+            onChange={handleChange}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+          />
+        </div>
         <div>
           <label htmlFor="aadharNumber" className="block text-sm font-medium text-gray-700 mb-1">Aadhar Number</label>
           <input
@@ -540,18 +557,20 @@ const EditStudentForm: React.FC = () => {
             required
           />
         </div>
-        <div>
-          <label htmlFor="branchId" className="block text-sm font-medium text-gray-700 mb-1">Branch</label>
-          <Select
-            options={branchOptions}
-            value={branchOptions.find(option => option.value === formData.branchId) || null}
-            onChange={(option) => handleSelectChange('branchId', option)}
-            placeholder="Select a branch"
-            className="w-full"
-            isDisabled={branches.length === 0}
-            required
-          />
-        </div>
+        {branches.length !== 1 && (
+          <div>
+            <label htmlFor="branchId" className="block text-sm font-medium text-gray-700 mb-1">Branch</label>
+            <Select
+              options={branchOptions}
+              value={branchOptions.find(option => option.value === formData.branchId) || null}
+              onChange={(option) => handleSelectChange('branchId', option)}
+              placeholder="Select a branch"
+              className="w-full"
+              isDisabled={branches.length === 0}
+              required
+            />
+          </div>
+        )}
         <div>
           <label htmlFor="membershipStart" className="block text-sm font-medium text-gray-700 mb-1">Membership Start</label>
           <input
@@ -661,6 +680,9 @@ const EditStudentForm: React.FC = () => {
             min="0"
             className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
           />
+          <p className="text-xs text-gray-500 mt-1">
+            A higher total is recorded as a new payment; a lower one as a correction.
+          </p>
         </div>
         <div>
           <label htmlFor="securityMoney" className="block text-sm font-medium text-gray-700 mb-1">Security Money</label>
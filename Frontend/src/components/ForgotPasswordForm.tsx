@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { KeyRound, Lock, Mail, MessageCircle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { authFetch } from '../utils/apiConfig';
+
+export interface ForgotPasswordField {
+  name: string;
+  label: string;
+  type?: string;
+  placeholder?: string;
+  uppercase?: boolean;
+}
+
+interface ForgotPasswordFormProps {
+  // Auth router the form talks to, e.g. '/owner-auth'; it must expose /forgot-password and /reset-password
+  authPath: string;
+  // Fields that identify the account, sent with both requests
+  identifierFields: ForgotPasswordField[];
+  initialValues?: Record<string, string>;
+  // Offer WhatsApp as well as email for delivering the code
+  allowWhatsApp?: boolean;
+  onBack: () => void;
+}
+
+const MIN_PASSWORD_LENGTH = 6;
+
+/**
+ * Two-step forgot-password flow shared by the owner, staff and student login pages:
+ * request a one-time code, then enter it with a new password.
+ */
+const ForgotPasswordForm: React.FC<ForgotPasswordFormProps> = ({
+  authPath,
+  identifierFields,
+  initialValues = {},
+  allowWhatsApp = true,
+  onBack
+}) => {
+  const [step, setStep] = useState<'request' | 'reset'>('request');
+  const [identifiers, setIdentifiers] = useState<Record<string, string>>(() =>
+    Object.fromEntries(identifierFields.map((field) => [field.name, initialValues[field.name] || '']))
+  );
+  const [channel, setChannel] = useState<'email' | 'whatsapp'>(allowWhatsApp ? 'whatsapp' : 'email');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const post = async (endpoint: string, body: Record<string, string>) => {
+    const response = await authFetch(`${authPath}${endpoint}`, {
+      method: 'POST',
+      body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.message || 'Request failed');
+    }
+    return data;
+  };
+
+  const requestCode = async () => {
+    if (identifierFields.some((field) => !identifiers[field.name].trim())) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const data = await post('/forgot-password', { ...identifiers, channel });
+      toast.success(data.message);
+      setStep('reset');
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to send reset code');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRequestSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    requestCode();
+  };
+
+  const handleResetSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      toast.error('Enter the 6-digit code you received');
+      return;
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      toast.error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (newPassword !== confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const data = await post('/reset-password', { ...identifiers, code: code.trim(), newPassword });
+      toast.success(data.message);
+      onBack();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to reset password');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fieldClassName = 'w-full pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+  const inputClassName = `${fieldClassName} pl-10`;
+  const buttonClassName = 'w-full bg-gray-900 text-white py-3 px-4 rounded-lg font-medium hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-lg font-semibold text-gray-900">Reset your password</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {step === 'request'
+            ? 'We will send a one-time code to the email or WhatsApp number registered on your account.'
+            : 'Enter the code you received and choose a new password. The code expires in 10 minutes.'}
+        </p>
+      </div>
+
+      {step === 'request' ? (
+        <form onSubmit={handleRequestSubmit} className="space-y-4">
+          {identifierFields.map((field) => (
+            <div key={field.name}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+              <input
+                type={field.type || 'text'}
+                value={identifiers[field.name]}
+                onChange={(e) => setIdentifiers((prev) => ({
+                  ...prev,
+                  [field.name]: field.uppercase ? e.target.value.toUpperCase() : e.target.value
+                }))}
+                className={`${fieldClassName} pl-4${field.uppercase ? ' uppercase' : ''}`}
+                placeholder={field.placeholder}
+                required
+              />
+            </div>
+          ))}
+
+          {allowWhatsApp && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Send the code by</label>
+              <div className="grid grid-cols-2 gap-2">
+                {([
+                  { value: 'whatsapp', label: 'WhatsApp', icon: MessageCircle },
+                  { value: 'email', label: 'Email', icon: Mail },
+                ] as const).map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => setChannel(option.value)}
+                    className={`flex items-center justify-center px-3 py-2 rounded-lg border text-sm font-medium ${
+                      channel === option.value ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-300 text-gray-700'
+                    }`}
+                  >
+                    <option.icon className="w-4 h-4 mr-2" />
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <button type="submit" disabled={isLoading} className={buttonClassName}>
+            {isLoading ? 'Sending...' : 'Send Reset Code'}
+          </button>
+        </form>
+      ) : (
+        <form onSubmit={handleResetSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reset Code</label>
+            <div className="relative">
+              <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                className={`${inputClassName} tracking-widest`}
+                placeholder="6-digit code"
+                maxLength={6}
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                className={inputClassName}
+                placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+            <div className="relative">
+              <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className={inputClassName}
+                placeholder="Re-enter the new password"
+                required
+              />
+            </div>
+          </div>
+
+          <button type="submit" disabled={isLoading} className={buttonClassName}>
+            {isLoading ? 'Saving...' : 'Reset Password'}
+          </button>
+          <button
+            type="button"
+            onClick={requestCode}
+            disabled={isLoading}
+            className="w-full text-sm text-blue-600 hover:text-blue-700 disabled:opacity-50"
+          >
+            Didn't get a code? Send it again
+          </button>
+        </form>
+      )}
+
+      <button type="button" onClick={onBack} className="w-full text-sm text-gray-500 hover:text-gray-700">
+        ← Back to login
+      </button>
+    </div>
+  );
+};
+
+export default ForgotPasswordForm;
@@ -0,0 +1,169 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { Landmark } from 'lucide-react';
+import api, { GstSettings as GstSettingsData } from '../services/api';
+
+// Owner settings for GST registration and the tax rate of each fee type
+const GstSettings: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState<GstSettingsData>({
+    gstin: '',
+    legalName: '',
+    address: '',
+    placeOfSupply: '',
+    rates: [],
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['gstSettings'],
+    queryFn: api.getGstSettings,
+  });
+
+  useEffect(() => {
+    if (data?.settings) {
+      setForm({
+        ...data.settings,
+        gstin: data.settings.gstin || '',
+        legalName: data.settings.legalName || '',
+        address: data.settings.address || '',
+        placeOfSupply: data.settings.placeOfSupply || '',
+      });
+    }
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: api.updateGstSettings,
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['gstSettings'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to save GST settings'),
+  });
+
+  const updateRate = (feeType: string, field: 'sacCode' | 'rate', value: string) => {
+    setForm({
+      ...form,
+      rates: form.rates.map((entry) =>
+        entry.feeType === feeType ? { ...entry, [field]: field === 'rate' ? Number(value) : value } : entry
+      ),
+    });
+  };
+
+  const gstin = (form.gstin || '').trim().toUpperCase();
+  const supplierState = data?.states.find((state) => state.code === gstin.slice(0, 2));
+  const placeOfSupply = form.placeOfSupply || supplierState?.code || '';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Landmark className="w-5 h-5" />
+          GST
+        </CardTitle>
+        <CardDescription>
+          With a GSTIN, receipts are issued as tax invoices with the CGST and SGST breakup, or IGST when the place
+          of supply is in another state. Fees are taken as inclusive of tax. Leave the GSTIN empty if you are not
+          registered.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div>Loading...</div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveMutation.mutate({ ...form, gstin, placeOfSupply: gstin ? placeOfSupply : null });
+            }}
+            className="space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="gstin" className="block text-sm font-medium text-gray-700">GSTIN</label>
+                <Input
+                  id="gstin"
+                  value={form.gstin || ''}
+                  maxLength={15}
+                  placeholder="e.g. 27AAPFU0939F1ZV"
+                  onChange={(e) => setForm({ ...form, gstin: e.target.value.toUpperCase() })}
+                />
+                {supplierState && <p className="text-xs text-gray-500 mt-1">Registered in {supplierState.name}</p>}
+              </div>
+              <div>
+                <label htmlFor="gstLegalName" className="block text-sm font-medium text-gray-700">Legal name</label>
+                <Input
+                  id="gstLegalName"
+                  value={form.legalName || ''}
+                  onChange={(e) => setForm({ ...form, legalName: e.target.value })}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="gstAddress" className="block text-sm font-medium text-gray-700">Registered address</label>
+                <Input
+                  id="gstAddress"
+                  value={form.address || ''}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="placeOfSupply" className="block text-sm font-medium text-gray-700">Place of supply</label>
+                <select
+                  id="placeOfSupply"
+                  value={placeOfSupply}
+                  onChange={(e) => setForm({ ...form, placeOfSupply: e.target.value })}
+                  className="w-full p-2 border rounded-md"
+                  disabled={!gstin}
+                >
+                  <option value="">Select state</option>
+                  {data?.states.map((state) => (
+                    <option key={state.code} value={state.code}>{state.code} - {state.name}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-700">Tax rates</p>
+              {form.rates.map((entry) => (
+                <div key={entry.feeType} className="grid grid-cols-1 md:grid-cols-3 gap-2 items-center">
+                  <span className="text-sm">{entry.label}</span>
+                  <Input
+                    aria-label={`${entry.label} SAC code`}
+                    value={entry.sacCode}
+                    maxLength={6}
+                    placeholder="SAC code"
+                    onChange={(e) => updateRate(entry.feeType, 'sacCode', e.target.value)}
+                  />
+                  <div className="flex items-center gap-2">
+                    <Input
+                      aria-label={`${entry.label} GST rate`}
+                      type="number"
+                      min={0}
+                      max={40}
+                      step="0.01"
+                      value={entry.rate}
+                      onChange={(e) => updateRate(entry.feeType, 'rate', e.target.value)}
+                    />
+                    <span className="text-sm text-gray-500">%</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : 'Save GST Settings'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default GstSettings;
@@ -76,6 +76,20 @@ const HostelStudentForm: React.FC<HostelStudentFormProps> = ({ branches, onSubmi
     }
   }, [initialData, branches, branchId]);
 
+  // A new hostel student starts with the library's default hostel fee and security deposit
+  useEffect(() => {
+    if (initialData) return;
+    api.getSettings()
+      .then(({ settings }) => {
+        const { defaultHostelFee, defaultHostelSecurityDeposit } = settings;
+        if (defaultHostelFee !== null) setTotalFee((current: string) => current || defaultHostelFee.toString());
+        if (defaultHostelSecurityDeposit !== null) {
+          setSecurityMoney((current: string) => current || defaultHostelSecurityDeposit.toString());
+        }
+      })
+      .catch((error) => console.error('Failed to fetch default fees:', error));
+  }, [initialData]);
+
 
   const handleImageUpload = async (file: File, setUrl: (url: string) => void) => {
     setUploading(true);
@@ -1,10 +1,9 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { X, Share, Download, Printer, User, Phone, Mail, MapPin, Hash, CreditCard, AlertCircle } from 'lucide-react';
 import { useReactToPrint } from 'react-to-print';
-import { jsPDF } from 'jspdf';
-import html2canvas from 'html2canvas';
-import api from '../services/api';
+import api, { Receipt } from '../services/api';
 import { toast } from 'sonner';
+import { downloadReceipt } from '../utils/receiptDownload';
 
 // Types
 interface StudentAssignment {
@@ -73,10 +72,10 @@ const formatDate = (dateString: string) => {
   });
 };
 
-const formatCurrency = (amount: number) => {
+const formatCurrency = (amount: number, currency: string) => {
   return new Intl.NumberFormat('en-IN', {
     style: 'currency',
-    currency: 'INR',
+    currency,
     minimumFractionDigits: 0,
     maximumFractionDigits: 0,
   }).format(amount);
@@ -84,8 +83,11 @@ const formatCurrency = (amount: number) => {
 
 const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, studentId }) => {
   const [student, setStudent] = useState<Student | null>(null);
+  const [receipts, setReceipts] = useState<Receipt[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  // The library's currency setting
+  const [currency, setCurrency] = useState('INR');
   const componentRef = useRef<HTMLDivElement>(null);
 
   const fetchStudentData = useCallback(async () => {
@@ -130,6 +132,11 @@ const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, studentId
       }
       
       setStudent(formattedStudent);
+
+      // Numbered receipts are issued and rendered as PDFs by the server
+      const [receiptData, settingsData] = await Promise.all([api.getReceipts('library', studentId), api.getSettings()]);
+      setReceipts(receiptData.receipts);
+      setCurrency(settingsData.settings.currency);
     } catch (err) {
       console.error('Error fetching student data:', err);
       setError('Failed to load student data');
@@ -164,76 +171,30 @@ const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, studentId
     removeAfterPrint: false,
   } as any); // Using 'as any' to bypass TypeScript errors with the pageStyle property
 
-  const generatePdf = useCallback(async () => {
-    if (!componentRef.current) return null;
-    
-    const element = componentRef.current;
-    const canvas = await html2canvas(element, {
-      scale: 2, // Higher scale for better quality
-      useCORS: true,
-      logging: false,
-      backgroundColor: '#ffffff',
-    });
-    
-    const imgData = canvas.toDataURL('image/png');
-    const pdf = new jsPDF('p', 'mm', 'a4');
-    const imgProps = pdf.getImageProperties(imgData);
-    const pdfWidth = pdf.internal.pageSize.getWidth();
-    const pdfHeight = (imgProps.height * pdfWidth) / imgProps.width;
-    
-    pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight);
-    return pdf;
-  }, []);
+  // The latest receipt that was not cancelled, used by Download and Share
+  const latestReceipt = receipts.find((receipt) => receipt.documentType === 'receipt' && !receipt.cancelled);
 
   const handleDownload = useCallback(async () => {
-    if (!student) return;
-    
-    try {
-      const pdf = await generatePdf();
-      if (!pdf) return;
-      
-      const fileName = `invoice_${student.name.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`;
-      pdf.save(fileName);
-      toast.success('Invoice downloaded as PDF!');
-    } catch (error) {
-      console.error('Error generating PDF:', error);
-      toast.error('Failed to generate PDF');
+    if (!latestReceipt) {
+      toast.error('No receipt has been issued to this student yet');
+      return;
     }
-  }, [student, generatePdf]);
+    await downloadReceipt(latestReceipt.id, latestReceipt.receiptNumber);
+  }, [latestReceipt]);
 
   const handleWhatsAppShare = useCallback(async () => {
-    if (!student) return;
-    
-    try {
-      const pdf = await generatePdf();
-      if (!pdf) return;
-      
-      // Generate a blob URL for the PDF
-      const pdfBlob = pdf.output('blob');
-      const pdfUrl = URL.createObjectURL(pdfBlob);
-      
-      // Create a temporary link to download the PDF
-      const a = document.createElement('a');
-      a.href = pdfUrl;
-      a.download = `invoice_${student.name.replace(/\s+/g, '_')}.pdf`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      
-      // Clean up
-      setTimeout(() => URL.revokeObjectURL(pdfUrl), 100);
-      
-      // Open WhatsApp with a message (user will need to manually attach the downloaded file)
-      const message = `Here's the invoice for ${student.name}`;
-      const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(message)}`;
-      window.open(whatsappUrl, '_blank');
-      
-      toast.success('Downloaded PDF. Please attach it to WhatsApp.');
-    } catch (error) {
-      console.error('Error sharing via WhatsApp:', error);
-      toast.error('Failed to share via WhatsApp');
+    if (!student || !latestReceipt) {
+      toast.error('No receipt has been issued to this student yet');
+      return;
     }
-  }, [student, generatePdf]);
+
+    // Download the PDF, then open WhatsApp with a message (user will need to manually attach the downloaded file)
+    await downloadReceipt(latestReceipt.id, latestReceipt.receiptNumber);
+    const message = `Here's receipt ${latestReceipt.receiptNumber} for ${student.name}`;
+    const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(message)}`;
+    window.open(whatsappUrl, '_blank');
+    toast.success('Downloaded PDF. Please attach it to WhatsApp.');
+  }, [student, latestReceipt]);
 
   if (!isOpen) return null;
 
@@ -307,20 +268,44 @@ const InvoiceModal: React.FC<InvoiceModalProps> = ({ isOpen, onClose, studentId
                     <div className="space-y-2">
                       <div className="flex justify-between">
                         <span>Total Fee:</span>
-                        <span className="font-medium">{formatCurrency(student.totalFee)}</span>
+                        <span className="font-medium">{formatCurrency(student.totalFee, currency)}</span>
                       </div>
                       <div className="flex justify-between">
                         <span>Amount Paid:</span>
-                        <span className="text-green-600">{formatCurrency(student.amountPaid)}</span>
+                        <span className="text-green-600">{formatCurrency(student.amountPaid, currency)}</span>
                       </div>
                       <div className="flex justify-between border-t border-gray-200 pt-2">
                         <span className="font-medium">Balance Due:</span>
-                        <span className="font-medium">{formatCurrency(student.dueAmount)}</span>
+                        <span className="font-medium">{formatCurrency(student.dueAmount, currency)}</span>
                       </div>
                     </div>
                   </div>
                 </div>
 
+                {/* Receipts */}
+                <div className="mt-6 no-print">
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Receipts</h3>
+                  {receipts.length === 0 ? (
+                    <p className="text-sm text-gray-500">No receipts issued yet.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200 border rounded-lg">
+                      {receipts.map((receipt) => (
+                        <li key={receipt.id} className="px-4 py-2 flex justify-between items-center text-sm">
+                          <span className={receipt.cancelled ? 'text-gray-400 line-through' : ''}>
+                            {receipt.documentType === 'credit_note' ? 'Credit note' : receipt.details.tax ? 'Tax invoice' : 'Receipt'} {receipt.receiptNumber} • {formatDate(receipt.paymentDate)}
+                          </span>
+                          <span className="flex items-center gap-3">
+                            <span>{formatCurrency(receipt.amount, currency)}</span>
+                            <button onClick={() => downloadReceipt(receipt.id, receipt.receiptNumber)} className="text-blue-600 hover:text-blue-800" title="Download PDF">
+                              <Download className="h-4 w-4" />
+                            </button>
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-3 mt-6">
                   <button
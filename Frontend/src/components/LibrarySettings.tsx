@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { Clock, Globe, IndianRupee } from 'lucide-react';
+import api, { LibrarySettingKey, LibrarySettingValues } from '../services/api';
+
+type FieldKind = 'number' | 'amount' | 'checkbox' | 'currency' | 'timezone' | 'time';
+
+interface SettingField {
+  key: LibrarySettingKey;
+  label: string;
+  kind: FieldKind;
+  help?: string;
+}
+
+interface SettingGroup {
+  title: string;
+  description: string;
+  icon: React.ReactNode;
+  fields: SettingField[];
+}
+
+const TIMEZONES = ['Asia/Kolkata', 'Asia/Kathmandu', 'Asia/Dhaka', 'Asia/Colombo', 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'America/New_York'];
+
+const GROUPS: SettingGroup[] = [
+  {
+    title: 'Currency and Time Zone',
+    description: 'Reminders are sent at their times in this time zone.',
+    icon: <Globe className="w-5 h-5" />,
+    fields: [
+      { key: 'currency', label: 'Currency', kind: 'currency' },
+      { key: 'timezone', label: 'Time zone', kind: 'timezone' },
+    ],
+  },
+  {
+    title: 'Opening Hours',
+    description: "Students still checked in at closing time are checked out automatically when their shift has no end time.",
+    icon: <Clock className="w-5 h-5" />,
+    fields: [
+      { key: 'openingTime', label: 'Opens at', kind: 'time' },
+      { key: 'closingTime', label: 'Closes at', kind: 'time' },
+    ],
+  },
+  {
+    title: 'Default Fees',
+    description: 'Filled in when admitting a student; they can still be changed on the form.',
+    icon: <IndianRupee className="w-5 h-5" />,
+    fields: [
+      { key: 'defaultSecurityDeposit', label: 'Library security deposit', kind: 'amount' },
+      { key: 'defaultHostelFee', label: 'Hostel fee', kind: 'amount' },
+      { key: 'defaultHostelSecurityDeposit', label: 'Hostel security deposit', kind: 'amount' },
+    ],
+  },
+];
+
+type FormValues = Partial<Record<LibrarySettingKey, string | boolean>>;
+
+const toFormValue = (value: LibrarySettingValues[LibrarySettingKey] | null | undefined): string | boolean =>
+  typeof value === 'boolean' ? value : value === null || value === undefined ? '' : String(value);
+
+// One section of settings. Sections with settings that can differ per branch can be switched to a branch;
+// a branch setting left empty uses the library's value.
+const SettingsGroupCard: React.FC<{ group: SettingGroup; branches: Array<{ id: number; name: string }> }> = ({ group, branches }) => {
+  const queryClient = useQueryClient();
+  const [branchId, setBranchId] = useState<number | null>(null);
+  const [form, setForm] = useState<FormValues>({});
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['settings', branchId],
+    queryFn: () => api.getSettings(branchId),
+  });
+  const { data: librarySettings } = useQuery({
+    queryKey: ['settings', null],
+    queryFn: () => api.getSettings(null),
+    enabled: branchId !== null,
+  });
+
+  const hasBranchSettings = data ? group.fields.some((field) => data.definitions[field.key]?.branch) : false;
+  const fields = branchId === null ? group.fields : group.fields.filter((field) => data?.definitions[field.key]?.branch);
+
+  useEffect(() => {
+    if (!data) return;
+    const source = branchId === null ? data.settings : data.saved;
+    setForm(Object.fromEntries(group.fields.map((field) => [field.key, toFormValue(source[field.key])])));
+  }, [data, branchId, group]);
+
+  const saveMutation = useMutation({
+    mutationFn: (values: FormValues) => {
+      const settings = Object.fromEntries(
+        fields.map((field) => {
+          const value = values[field.key];
+          if (typeof value === 'boolean') return [field.key, value];
+          if (value === undefined || value === '') return [field.key, null];
+          return [field.key, field.kind === 'number' || field.kind === 'amount' ? Number(value) : value];
+        })
+      );
+      return api.updateSettings(settings, branchId);
+    },
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['settings'] });
+    },
+    onError: (error: Error) => toast.error(error.message || `Failed to save ${group.title.toLowerCase()}`),
+  });
+
+  const renderInput = (field: SettingField) => {
+    const value = form[field.key];
+    const onChange = (next: string | boolean) => setForm({ ...form, [field.key]: next });
+    switch (field.kind) {
+      case 'checkbox':
+        return (
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={value === true} onChange={(e) => onChange(e.target.checked)} />
+            {field.label}
+          </label>
+        );
+      case 'currency':
+        return (
+          <select id={field.key} value={String(value ?? '')} onChange={(e) => onChange(e.target.value)} className="w-full p-2 border rounded-md">
+            {(data?.definitions.currency.values || []).map((currency) => (
+              <option key={currency} value={currency}>{currency}</option>
+            ))}
+          </select>
+        );
+      case 'timezone':
+        return (
+          <>
+            <Input id={field.key} list="library-settings-timezones" value={String(value ?? '')} onChange={(e) => onChange(e.target.value)} />
+            <datalist id="library-settings-timezones">
+              {TIMEZONES.map((timezone) => <option key={timezone} value={timezone} />)}
+            </datalist>
+          </>
+        );
+      default:
+        return (
+          <Input
+            id={field.key}
+            type={field.kind === 'time' ? 'time' : 'number'}
+            min={field.kind === 'number' || field.kind === 'amount' ? 0 : undefined}
+            step={field.kind === 'amount' ? '0.01' : undefined}
+            value={String(value ?? '')}
+            onChange={(e) => onChange(e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          {group.icon}
+          {group.title}
+        </CardTitle>
+        <CardDescription>{group.description}</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading || !data ? (
+          <div>Loading...</div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveMutation.mutate(form);
+            }}
+            className="space-y-4"
+          >
+            {hasBranchSettings && branches.length > 0 && (
+              <div>
+                <label htmlFor={`${group.title}-scope`} className="block text-sm font-medium text-gray-700">Applies to</label>
+                <select
+                  id={`${group.title}-scope`}
+                  value={branchId ?? ''}
+                  onChange={(e) => setBranchId(e.target.value ? Number(e.target.value) : null)}
+                  className="w-full p-2 border rounded-md"
+                >
+                  <option value="">All branches</option>
+                  {branches.map((branch) => (
+                    <option key={branch.id} value={branch.id}>{branch.name}</option>
+                  ))}
+                </select>
+                {branchId !== null && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Leave a setting empty to use the library&apos;s value. Settings not shown apply to every branch.
+                  </p>
+                )}
+              </div>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {fields.map((field) => (
+                <div key={field.key} className={field.kind === 'checkbox' ? 'md:col-span-2' : undefined}>
+                  {field.kind !== 'checkbox' && (
+                    <label htmlFor={field.key} className="block text-sm font-medium text-gray-700">{field.label}</label>
+                  )}
+                  {renderInput(field)}
+                  {branchId !== null && librarySettings && (
+                    <p className="text-xs text-gray-500 mt-1">Library: {toFormValue(librarySettings.settings[field.key]) || 'not set'}</p>
+                  )}
+                  {field.help && <p className="text-xs text-gray-500 mt-1">{field.help}</p>}
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : `Save ${group.title}`}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+// Admin settings of the library, a section per group (see Backend/utils/librarySettings.js)
+const LibrarySettings: React.FC = () => {
+  const { data: branches = [] } = useQuery({
+    queryKey: ['branches'],
+    queryFn: api.getBranches,
+  });
+
+  return (
+    <>
+      {GROUPS.map((group) => (
+        <SettingsGroupCard key={group.title} group={group} branches={branches} />
+      ))}
+    </>
+  );
+};
+
+export default LibrarySettings;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { toast } from 'sonner';
+import { History, Lock, ShieldAlert, Unlock } from 'lucide-react';
+import api, { LoginLockout } from '../services/api';
+
+const FAILURE_REASON_LABELS: Record<string, string> = {
+  invalid_password: 'Wrong password',
+  unknown_account: 'Unknown account',
+  unknown_library: 'Unknown library code',
+};
+
+const formatDateTime = (value: string | null) =>
+  value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '—';
+
+// Students are throttled as 'LIBRARYCODE:phone' and staff as 'LIBRARYCODE:username'; show the account part
+const formatIdentifier = (lockout: { accountType: string; identifier: string }) => {
+  const account = lockout.identifier.slice(lockout.identifier.indexOf(':') + 1);
+  return lockout.accountType === 'student' ? account : `@${account}`;
+};
+
+// Owner view of staff and student accounts locked by repeated failed logins
+const LoginSecurity: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState<LoginLockout | null>(null);
+
+  const { data: lockoutData, isLoading } = useQuery({
+    queryKey: ['loginLockouts'],
+    queryFn: api.getLoginLockouts,
+    refetchInterval: 60000,
+  });
+  const lockouts = lockoutData?.lockouts || [];
+
+  const { data: attemptData, isLoading: attemptsLoading } = useQuery({
+    queryKey: ['loginAttempts', selected?.accountType ?? null, selected?.identifier ?? null],
+    queryFn: () => api.getLoginAttempts(
+      selected ? { accountType: selected.accountType, identifier: selected.identifier, limit: 20 } : { failedOnly: true, limit: 20 }
+    ),
+  });
+  const attempts = attemptData?.attempts || [];
+
+  const unlockMutation = useMutation({
+    mutationFn: (lockout: LoginLockout) => api.unlockLoginAccount(lockout.accountType, lockout.identifier),
+    onSuccess: (_data, lockout) => {
+      toast.success(`${lockout.displayName || formatIdentifier(lockout)} can log in again`);
+      if (selected?.identifier === lockout.identifier) setSelected(null);
+      queryClient.invalidateQueries({ queryKey: ['loginLockouts'] });
+      queryClient.invalidateQueries({ queryKey: ['loginAttempts'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to unlock account'),
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldAlert className="w-5 h-5" />
+          Login Security
+        </CardTitle>
+        <CardDescription>
+          Staff and student accounts are locked for a while after 5 failed logins. Unlock an account once you have confirmed who it belongs to.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <p className="text-center text-gray-500 py-4">Loading...</p>
+        ) : lockouts.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No accounts with recent failed logins.</p>
+        ) : (
+          <div className="space-y-2">
+            {lockouts.map((lockout) => (
+              <div
+                key={`${lockout.accountType}-${lockout.identifier}`}
+                className={`flex flex-wrap items-center justify-between gap-2 rounded-lg border p-3 ${
+                  selected?.identifier === lockout.identifier ? 'border-blue-400 bg-blue-50' : ''
+                }`}
+              >
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    {lockout.isLocked && <Lock className="w-4 h-4 text-red-600" />}
+                    <span className="font-medium">{lockout.displayName || 'Unknown account'}</span>
+                    <Badge variant="secondary">{lockout.accountType}</Badge>
+                    {lockout.isLocked ? (
+                      <Badge variant="destructive">Locked until {formatDateTime(lockout.lockedUntil)}</Badge>
+                    ) : (
+                      <Badge variant="outline">{lockout.failedCount} failed</Badge>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    {formatIdentifier(lockout)} • last failure {formatDateTime(lockout.lastFailedAt)}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => setSelected(selected?.identifier === lockout.identifier ? null : lockout)}
+                  >
+                    <History className="w-4 h-4 mr-1" />
+                    History
+                  </Button>
+                  <Button
+                    size="sm"
+                    onClick={() => unlockMutation.mutate(lockout)}
+                    disabled={unlockMutation.isPending}
+                  >
+                    <Unlock className="w-4 h-4 mr-1" />
+                    Unlock
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">
+            {selected
+              ? `Login attempts for ${selected.displayName || formatIdentifier(selected)}`
+              : 'Recent failed logins'}
+          </h4>
+          {attemptsLoading ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : attempts.length === 0 ? (
+            <p className="text-sm text-gray-500">No login attempts recorded.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4">Time</th>
+                    <th className="py-2 pr-4">Account</th>
+                    <th className="py-2 pr-4">Result</th>
+                    <th className="py-2 pr-4">IP address</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {attempts.map((attempt) => (
+                    <tr key={attempt.id} className="border-b last:border-0">
+                      <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(attempt.createdAt)}</td>
+                      <td className="py-2 pr-4">{formatIdentifier(attempt)} ({attempt.accountType})</td>
+                      <td className={`py-2 pr-4 ${attempt.success ? 'text-green-700' : 'text-red-700'}`}>
+                        {attempt.success ? 'Success' : FAILURE_REASON_LABELS[attempt.failureReason || ''] || 'Failed'}
+                      </td>
+                      <td className="py-2 pr-4 text-gray-600">{attempt.ipAddress || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default LoginSecurity;
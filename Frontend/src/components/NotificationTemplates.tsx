@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { MessageSquareText } from 'lucide-react';
+import api, { NotificationChannel } from '../services/api';
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+};
+
+interface TemplateForm {
+  subject: string;
+  body: string;
+  providerTemplate: string;
+}
+
+// Admin editor for the messages sent to students, one template per message and channel
+const NotificationTemplates: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [templateKey, setTemplateKey] = useState('');
+  const [channel, setChannel] = useState<NotificationChannel>('email');
+  const [form, setForm] = useState<TemplateForm>({ subject: '', body: '', providerTemplate: '' });
+  const [testRecipient, setTestRecipient] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['notificationTemplates'],
+    queryFn: api.getNotificationTemplates,
+  });
+
+  const messages = Array.from(new Map((data?.templates || []).map((template) => [template.templateKey, template.label])));
+  const selectedKey = templateKey || messages[0]?.[0] || '';
+  const template = data?.templates.find((entry) => entry.templateKey === selectedKey && entry.channel === channel);
+
+  useEffect(() => {
+    if (template) {
+      setForm({
+        subject: template.subject || '',
+        body: template.body,
+        providerTemplate: template.providerTemplate || '',
+      });
+    }
+  }, [template]);
+
+  const onSaved = (result: { message: string }) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries({ queryKey: ['notificationTemplates'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () =>
+      api.updateNotificationTemplate(selectedKey, channel, {
+        subject: channel === 'email' ? form.subject : null,
+        body: form.body,
+        providerTemplate: form.providerTemplate.trim() || null,
+      }),
+    onSuccess: onSaved,
+    onError: (error: Error) => toast.error(error.message || 'Failed to save the template'),
+  });
+
+  const resetMutation = useMutation({
+    mutationFn: () => api.resetNotificationTemplate(selectedKey, channel),
+    onSuccess: onSaved,
+    onError: (error: Error) => toast.error(error.message || 'Failed to reset the template'),
+  });
+
+  const testMutation = useMutation({
+    mutationFn: () => api.sendTestNotification(selectedKey, channel, testRecipient),
+    onSuccess: ({ notification }) => {
+      if (notification.status === 'sent') {
+        toast.success(`Test message sent to ${notification.recipient}`);
+      } else {
+        toast.error(`Test message not sent: ${notification.lastError || notification.status}`);
+      }
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to send the test message'),
+  });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <MessageSquareText className="w-5 h-5" />
+          Message Templates
+        </CardTitle>
+        <CardDescription>
+          What students receive by email, WhatsApp and SMS. Placeholders are filled in for each student when the
+          message is sent. WhatsApp only delivers templates approved for your WhatsApp account: give the approved
+          template&apos;s name, and its text with the placeholders in the order of its {'{{1}}'}, {'{{2}}'}...
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading || !data ? (
+          <div>Loading...</div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveMutation.mutate();
+            }}
+            className="space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="notificationTemplateKey" className="block text-sm font-medium text-gray-700">Message</label>
+                <select
+                  id="notificationTemplateKey"
+                  value={selectedKey}
+                  onChange={(e) => setTemplateKey(e.target.value)}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {messages.map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="notificationChannel" className="block text-sm font-medium text-gray-700">Channel</label>
+                <select
+                  id="notificationChannel"
+                  value={channel}
+                  onChange={(e) => setChannel(e.target.value as NotificationChannel)}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {data.channels.map((entry) => (
+                    <option key={entry} value={entry}>{CHANNEL_LABELS[entry]}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="flex items-center gap-2 text-sm text-gray-500">
+              {template?.customized ? <Badge variant="secondary">Customized</Badge> : <Badge variant="outline">Default</Badge>}
+              <span>
+                Placeholders:{' '}
+                {Object.entries(data.variables).map(([name, description]) => (
+                  <code key={name} title={description} className="mr-2">{`{{${name}}}`}</code>
+                ))}
+              </span>
+            </div>
+
+            {channel !== 'sms' && (
+              <div>
+                <label htmlFor="notificationProviderTemplate" className="block text-sm font-medium text-gray-700">
+                  {channel === 'email' ? 'Brevo template ID (optional)' : 'Approved WhatsApp template name'}
+                </label>
+                <Input
+                  id="notificationProviderTemplate"
+                  value={form.providerTemplate}
+                  onChange={(e) => setForm({ ...form, providerTemplate: e.target.value })}
+                />
+                {channel === 'email' && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    With a Brevo template the placeholders are sent to it in capitals, e.g. NAME and EXPIRY, instead of the
+                    subject and message below.
+                  </p>
+                )}
+              </div>
+            )}
+            {channel === 'email' && (
+              <div>
+                <label htmlFor="notificationSubject" className="block text-sm font-medium text-gray-700">Subject</label>
+                <Input
+                  id="notificationSubject"
+                  value={form.subject}
+                  onChange={(e) => setForm({ ...form, subject: e.target.value })}
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="notificationBody" className="block text-sm font-medium text-gray-700">Message</label>
+              <textarea
+                id="notificationBody"
+                value={form.body}
+                rows={5}
+                onChange={(e) => setForm({ ...form, body: e.target.value })}
+                className="w-full p-2 border rounded-md text-sm"
+              />
+            </div>
+
+            <div className="flex flex-wrap justify-end gap-2">
+              <Button
+                type="button"
+                variant="outline"
+                disabled={!template?.customized || resetMutation.isPending}
+                onClick={() => resetMutation.mutate()}
+              >
+                Reset to Default
+              </Button>
+              <Button type="submit" disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : 'Save Template'}
+              </Button>
+            </div>
+
+            <div className="flex flex-col md:flex-row gap-2 md:items-end border-t pt-4">
+              <div className="flex-1">
+                <label htmlFor="notificationTestRecipient" className="block text-sm font-medium text-gray-700">
+                  Send a test of the saved template to
+                </label>
+                <Input
+                  id="notificationTestRecipient"
+                  value={testRecipient}
+                  placeholder={channel === 'email' ? 'Email address' : 'Phone number'}
+                  onChange={(e) => setTestRecipient(e.target.value)}
+                />
+              </div>
+              <Button
+                type="button"
+                variant="outline"
+                disabled={!testRecipient.trim() || testMutation.isPending}
+                onClick={() => testMutation.mutate()}
+              >
+                {testMutation.isPending ? 'Sending...' : 'Send Test'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default NotificationTemplates;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { CreditCard } from 'lucide-react';
+import api from '../services/api';
+import { API_BASE_URL } from '../utils/apiConfig';
+
+// Owner settings for students paying their fees online into the library's own Razorpay account
+const OnlinePaymentSettings: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({ enabled: false, keyId: '', keySecret: '', webhookSecret: '' });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['onlinePaymentSettings'],
+    queryFn: api.getOnlinePaymentSettings,
+  });
+  const settings = data?.settings;
+
+  useEffect(() => {
+    if (settings) {
+      setForm({ enabled: settings.enabled, keyId: settings.keyId || '', keySecret: '', webhookSecret: '' });
+    }
+  }, [settings]);
+
+  const saveMutation = useMutation({
+    mutationFn: api.updateOnlinePaymentSettings,
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['onlinePaymentSettings'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to save online payment settings'),
+  });
+
+  // The webhook is served by the backend, which may be on another host than this page
+  const webhookUrl = settings ? new URL(settings.webhookPath, new URL(API_BASE_URL, window.location.origin)).href : '';
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CreditCard className="w-5 h-5" />
+          Online Fee Payments
+        </CardTitle>
+        <CardDescription>
+          Students pay their due or renew their membership from their dashboard, straight into your Razorpay
+          account. Payments are added to the student's fees with a receipt.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div>Loading...</div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveMutation.mutate({
+                enabled: form.enabled,
+                keyId: form.keyId.trim(),
+                // Left empty, the saved secrets are kept
+                keySecret: form.keySecret.trim() || undefined,
+                webhookSecret: form.webhookSecret.trim() || undefined,
+              });
+            }}
+            className="space-y-4"
+          >
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+              />
+              Accept online payments from students
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="razorpayKeyId" className="block text-sm font-medium text-gray-700">Key ID</label>
+                <Input
+                  id="razorpayKeyId"
+                  value={form.keyId}
+                  placeholder="rzp_live_..."
+                  onChange={(e) => setForm({ ...form, keyId: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="razorpayKeySecret" className="block text-sm font-medium text-gray-700">Key secret</label>
+                <Input
+                  id="razorpayKeySecret"
+                  type="password"
+                  autoComplete="new-password"
+                  value={form.keySecret}
+                  placeholder={settings?.hasKeySecret ? 'Saved, enter a new one to replace it' : ''}
+                  onChange={(e) => setForm({ ...form, keySecret: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="razorpayWebhookSecret" className="block text-sm font-medium text-gray-700">Webhook secret</label>
+                <Input
+                  id="razorpayWebhookSecret"
+                  type="password"
+                  autoComplete="new-password"
+                  value={form.webhookSecret}
+                  placeholder={settings?.hasWebhookSecret ? 'Saved, enter a new one to replace it' : ''}
+                  onChange={(e) => setForm({ ...form, webhookSecret: e.target.value })}
+                />
+              </div>
+              <div>
+                <label htmlFor="razorpayWebhookUrl" className="block text-sm font-medium text-gray-700">Webhook URL</label>
+                <Input id="razorpayWebhookUrl" value={webhookUrl} readOnly onFocus={(e) => e.target.select()} />
+              </div>
+            </div>
+            <p className="text-sm text-gray-500">
+              In the Razorpay dashboard, add a webhook with this URL for the payment.captured, order.paid and
+              payment.failed events, so payments are recorded even when a student closes the page before it confirms.
+            </p>
+            <div className="flex justify-end">
+              <Button type="submit" disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : 'Save Payment Settings'}
+              </Button>
+            </div>
+          </form>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OnlinePaymentSettings;
@@ -0,0 +1,90 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { toast } from 'react-hot-toast';
+import { Wallet } from 'lucide-react';
+import api, { OnlinePaymentOptions } from '../services/api';
+import { openRazorpayCheckout } from '../utils/razorpayCheckout';
+
+interface PayOnlineProps {
+  // Called after a payment is posted, to reload the membership and receipts shown around this card
+  onPaid: () => void;
+}
+
+const formatAmount = (amount: number, currency: string) =>
+  new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(amount);
+
+const formatDay = (date: string) =>
+  new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Student's card for paying their due, or renewing their membership, through the library's Razorpay account
+const PayOnline: React.FC<PayOnlineProps> = ({ onPaid }) => {
+  const [options, setOptions] = useState<OnlinePaymentOptions | null>(null);
+  const [paying, setPaying] = useState(false);
+
+  const loadOptions = useCallback(() => {
+    api.getOnlinePaymentOptions()
+      .then(setOptions)
+      .catch((error) => console.error('Error fetching online payment options:', error));
+  }, []);
+
+  useEffect(() => {
+    loadOptions();
+  }, [loadOptions]);
+
+  const pay = async (purpose: 'due' | 'renewal') => {
+    setPaying(true);
+    try {
+      const order = await api.createOnlinePaymentOrder(purpose);
+      const description = order.period
+        ? `Membership ${formatDay(order.period.start)} to ${formatDay(order.period.end)}`
+        : 'Membership fee due';
+      const checkout = order.mock
+        ? await api.completeMockCheckout(order.orderId)
+        : await openRazorpayCheckout(order, description);
+      if (!checkout) return;
+
+      const result = await api.verifyOnlinePayment(checkout);
+      toast.success(result.receiptNumber ? `${result.message}. Receipt ${result.receiptNumber}` : result.message);
+      loadOptions();
+      onPaid();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Payment failed');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  if (!options?.enabled || (!options.due && !options.renewal)) return null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="px-6 py-4 bg-gray-50 border-b">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+          <Wallet className="w-5 h-5" />
+          <span>Pay Online</span>
+        </h3>
+      </div>
+      <div className="p-6 flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+        {options.due ? (
+          <div>
+            <p className="text-sm text-gray-500">Due for {formatDay(options.due.periodStart)} to {formatDay(options.due.periodEnd)}</p>
+            <p className="text-2xl font-bold text-red-600">{formatAmount(options.due.amount, options.currency)}</p>
+          </div>
+        ) : options.renewal && (
+          <div>
+            <p className="text-sm text-gray-500">Renew for {formatDay(options.renewal.start)} to {formatDay(options.renewal.end)}</p>
+            <p className="text-2xl font-bold text-gray-900">{formatAmount(options.renewal.amount, options.currency)}</p>
+          </div>
+        )}
+        <button
+          onClick={() => pay(options.due ? 'due' : 'renewal')}
+          disabled={paying}
+          className="px-4 py-2 rounded-lg bg-blue-600 text-white text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+        >
+          {paying ? 'Processing...' : options.due ? 'Pay Due' : 'Renew Membership'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PayOnline;
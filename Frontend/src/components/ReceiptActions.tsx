@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Ban, Download, Loader2 } from 'lucide-react';
+import { toast } from 'sonner';
+import api from '../services/api';
+import { downloadReceipt } from '../utils/receiptDownload';
+
+interface ReceiptActionsProps {
+  receiptId: number | null;
+  receiptNumber: string | null;
+  cancelled: boolean;
+  // When given, a Cancel button is shown; cancelling issues a credit note and reverses the payment
+  onCancelled?: () => void;
+}
+
+// Receipt number of a payment with buttons to download its PDF and to cancel it
+const ReceiptActions: React.FC<ReceiptActionsProps> = ({ receiptId, receiptNumber, cancelled, onCancelled }) => {
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  if (!receiptId || !receiptNumber) return <span className="text-gray-400">-</span>;
+
+  const handleCancel = async () => {
+    const reason = window.prompt(`Cancel receipt ${receiptNumber}? A credit note will be issued and the payment reversed.\n\nReason:`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      toast.error('A reason is required to cancel a receipt');
+      return;
+    }
+    setIsCancelling(true);
+    try {
+      const result = await api.cancelReceipt(receiptId, reason.trim());
+      toast.success(result.message);
+      onCancelled?.();
+    } catch (error) {
+      toast.error(error instanceof Error ? error.message : 'Failed to cancel receipt');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <span className="inline-flex items-center gap-2 whitespace-nowrap">
+      <span className={cancelled ? 'line-through text-gray-400' : ''}>{receiptNumber}</span>
+      {cancelled && <span className="text-xs text-red-600">(cancelled)</span>}
+      <button onClick={() => downloadReceipt(receiptId, receiptNumber)} className="text-blue-600 hover:text-blue-800" title="Download PDF">
+        <Download size={14} />
+      </button>
+      {onCancelled && !cancelled && (
+        <button onClick={handleCancel} disabled={isCancelling} className="text-red-600 hover:text-red-800 disabled:opacity-50" title="Cancel receipt">
+          {isCancelling ? <Loader2 size={14} className="animate-spin" /> : <Ban size={14} />}
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default ReceiptActions;
@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { Receipt as ReceiptIcon, ShieldCheck } from 'lucide-react';
+import api, { ReceiptChainCheck, ReceiptSettings as ReceiptSettingsData } from '../services/api';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Owner settings for receipt and credit note numbering, and a check that issued documents are unchanged
+const ReceiptSettings: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState<ReceiptSettingsData>({
+    receiptPrefix: 'RCPT',
+    creditNotePrefix: 'CN',
+    receiptNumberingPerBranch: false,
+    financialYearStartMonth: 4,
+  });
+  const [chainCheck, setChainCheck] = useState<ReceiptChainCheck | null>(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['receiptSettings'],
+    queryFn: api.getReceiptSettings,
+  });
+
+  useEffect(() => {
+    if (data?.settings) setForm(data.settings);
+  }, [data]);
+
+  const saveMutation = useMutation({
+    mutationFn: api.updateReceiptSettings,
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['receiptSettings'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to save receipt settings'),
+  });
+
+  const verifyMutation = useMutation({
+    mutationFn: api.verifyReceipts,
+    onSuccess: setChainCheck,
+    onError: (error: Error) => toast.error(error.message || 'Failed to verify receipts'),
+  });
+
+  // Current financial year as it appears in receipt numbers, e.g. 25-26
+  const today = new Date();
+  const year = today.getMonth() + 1 >= form.financialYearStartMonth ? today.getFullYear() : today.getFullYear() - 1;
+  const example = [
+    form.receiptPrefix || 'RCPT',
+    form.receiptNumberingPerBranch ? 'B1' : null,
+    form.financialYearStartMonth === 1
+      ? String(year)
+      : `${String(year % 100).padStart(2, '0')}-${String((year + 1) % 100).padStart(2, '0')}`,
+    '00001',
+  ].filter(Boolean).join('/');
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ReceiptIcon className="w-5 h-5" />
+          Receipts
+        </CardTitle>
+        <CardDescription>
+          Every payment gets the next receipt number, restarting each financial year. Issued receipts cannot be
+          edited; cancelling one issues a credit note. Changes apply to receipts issued from now on.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <div>Loading...</div>
+        ) : (
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              saveMutation.mutate(form);
+            }}
+            className="space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="receiptPrefix" className="block text-sm font-medium text-gray-700">Receipt prefix</label>
+                <Input
+                  id="receiptPrefix"
+                  value={form.receiptPrefix}
+                  maxLength={20}
+                  onChange={(e) => setForm({ ...form, receiptPrefix: e.target.value.toUpperCase() })}
+                />
+              </div>
+              <div>
+                <label htmlFor="creditNotePrefix" className="block text-sm font-medium text-gray-700">Credit note prefix</label>
+                <Input
+                  id="creditNotePrefix"
+                  value={form.creditNotePrefix}
+                  maxLength={20}
+                  onChange={(e) => setForm({ ...form, creditNotePrefix: e.target.value.toUpperCase() })}
+                />
+              </div>
+              <div>
+                <label htmlFor="financialYearStartMonth" className="block text-sm font-medium text-gray-700">Financial year starts in</label>
+                <select
+                  id="financialYearStartMonth"
+                  value={form.financialYearStartMonth}
+                  onChange={(e) => setForm({ ...form, financialYearStartMonth: Number(e.target.value) })}
+                  className="w-full p-2 border rounded-md"
+                >
+                  {MONTHS.map((month, index) => (
+                    <option key={month} value={index + 1}>{month}</option>
+                  ))}
+                </select>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-700 md:mt-6">
+                <input
+                  type="checkbox"
+                  checked={form.receiptNumberingPerBranch}
+                  onChange={(e) => setForm({ ...form, receiptNumberingPerBranch: e.target.checked })}
+                />
+                Separate numbering for each branch
+              </label>
+            </div>
+            <p className="text-sm text-gray-500">Next receipts look like <span className="font-mono">{example}</span></p>
+            <div className="flex justify-between">
+              <Button type="button" variant="outline" onClick={() => verifyMutation.mutate()} disabled={verifyMutation.isPending}>
+                <ShieldCheck className="w-4 h-4 mr-2" />
+                {verifyMutation.isPending ? 'Checking...' : 'Verify issued receipts'}
+              </Button>
+              <Button type="submit" disabled={saveMutation.isPending}>
+                {saveMutation.isPending ? 'Saving...' : 'Save Receipt Settings'}
+              </Button>
+            </div>
+          </form>
+        )}
+        {chainCheck && (
+          chainCheck.valid ? (
+            <p className="text-sm text-green-700">All {chainCheck.checked} issued receipts and credit notes are unchanged.</p>
+          ) : (
+            <div className="text-sm text-red-600 space-y-1">
+              {chainCheck.brokenAt && <p>Receipt {chainCheck.brokenAt.receiptNumber} {chainCheck.brokenAt.problem}.</p>}
+              {chainCheck.gaps.map((gap) => (
+                <p key={`${gap.seriesKey}-${gap.documentType}-${gap.financialYear}`}>
+                  {gap.documentType === 'credit_note' ? 'Credit notes' : 'Receipts'} of {gap.financialYear}
+                  {gap.seriesKey ? ` (${gap.seriesKey})` : ''}: {gap.lastNumber} numbers issued but {gap.found} found.
+                </p>
+              ))}
+              <p>Issued documents may have been altered outside the app.</p>
+            </div>
+          )
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReceiptSettings;
@@ -0,0 +1,303 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { toast } from 'sonner';
+import { BellRing, Pencil, Trash2 } from 'lucide-react';
+import api, { NotificationChannel, ReminderRule, ReminderRuleInput, ReminderRulesResponse, ReminderTrigger } from '../services/api';
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+};
+
+const EMPTY_RULE: ReminderRuleInput = {
+  name: '',
+  triggerType: 'before_expiry',
+  days: 3,
+  minDue: null,
+  channel: 'email',
+  templateKey: 'membership_expiry',
+  sendTime: '10:00',
+  enabled: true,
+};
+
+// When a rule sends, in words
+const describeRule = (rule: ReminderRule, data: ReminderRulesResponse) => {
+  switch (rule.triggerType) {
+    case 'before_expiry':
+      return `${rule.days} day${rule.days === 1 ? '' : 's'} before membership ends`;
+    case 'after_expiry':
+      return `${rule.days} day${rule.days === 1 ? '' : 's'} after membership ended`;
+    case 'absent':
+      return `Absent for ${rule.days} day${rule.days === 1 ? '' : 's'}`;
+    case 'due_above':
+      return `Due above ${rule.minDue}`;
+    default:
+      return data.triggers[rule.triggerType].label;
+  }
+};
+
+// Admin list of automatic reminders to students. Each rule sends one message on one channel at its time
+// of day, in the library's time zone, and never sends a student the same reminder twice.
+const ReminderRules: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [editingId, setEditingId] = useState<number | 'new' | null>(null);
+  const [form, setForm] = useState<ReminderRuleInput>(EMPTY_RULE);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['reminderRules'],
+    queryFn: api.getReminderRules,
+  });
+
+  const onChanged = (result: { message: string }) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries({ queryKey: ['reminderRules'] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: (rule: ReminderRuleInput) =>
+      typeof editingId === 'number' ? api.updateReminderRule(editingId, rule) : api.createReminderRule(rule),
+    onSuccess: (result) => {
+      onChanged(result);
+      setEditingId(null);
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to save the reminder rule'),
+  });
+
+  const toggleMutation = useMutation({
+    mutationFn: (rule: ReminderRule) => api.updateReminderRule(rule.id, { ...rule, enabled: !rule.enabled }),
+    onSuccess: onChanged,
+    onError: (error: Error) => toast.error(error.message || 'Failed to update the reminder rule'),
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: api.deleteReminderRule,
+    onSuccess: onChanged,
+    onError: (error: Error) => toast.error(error.message || 'Failed to delete the reminder rule'),
+  });
+
+  const startEditing = (rule: ReminderRule | null) => {
+    setEditingId(rule ? rule.id : 'new');
+    setForm(rule ? { ...rule } : EMPTY_RULE);
+  };
+
+  const changeTrigger = (triggerType: ReminderTrigger) => {
+    const trigger = data?.triggers[triggerType];
+    setForm({
+      ...form,
+      triggerType,
+      templateKey: trigger?.template || form.templateKey,
+      days: trigger?.days ? form.days || 3 : null,
+      minDue: trigger?.minDue ? form.minDue ?? 0 : null,
+    });
+  };
+
+  const trigger = data?.triggers[form.triggerType];
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="w-5 h-5" />
+          Automatic Reminders
+        </CardTitle>
+        <CardDescription>
+          Messages sent to students by the rules below, at their time of day in the library&apos;s time zone. A student
+          never gets the same reminder twice. What the messages say is set under Message Templates.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading || !data ? (
+          <div>Loading...</div>
+        ) : (
+          <>
+            {data.rules.length === 0 ? (
+              <p className="text-sm text-gray-500">No reminders are sent automatically.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-2 pr-4">Rule</th>
+                      <th className="py-2 pr-4">When</th>
+                      <th className="py-2 pr-4">Channel</th>
+                      <th className="py-2 pr-4">Message</th>
+                      <th className="py-2 pr-4">Time</th>
+                      <th className="py-2 pr-4"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.rules.map((rule) => (
+                      <tr key={rule.id} className="border-b last:border-0">
+                        <td className="py-2 pr-4">
+                          {rule.name}
+                          {!rule.enabled && <Badge variant="outline" className="ml-2">Off</Badge>}
+                        </td>
+                        <td className="py-2 pr-4">{describeRule(rule, data)}</td>
+                        <td className="py-2 pr-4">{CHANNEL_LABELS[rule.channel]}</td>
+                        <td className="py-2 pr-4">
+                          {data.templates.find((template) => template.key === rule.templateKey)?.label || rule.templateKey}
+                        </td>
+                        <td className="py-2 pr-4">{rule.sendTime}</td>
+                        <td className="py-2 pr-4">
+                          <div className="flex justify-end gap-1">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={toggleMutation.isPending}
+                              onClick={() => toggleMutation.mutate(rule)}
+                            >
+                              {rule.enabled ? 'Turn off' : 'Turn on'}
+                            </Button>
+                            <Button variant="ghost" size="sm" aria-label={`Edit ${rule.name}`} onClick={() => startEditing(rule)}>
+                              <Pencil className="w-4 h-4" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              aria-label={`Delete ${rule.name}`}
+                              disabled={deleteMutation.isPending}
+                              onClick={() => {
+                                if (window.confirm(`Delete the reminder rule "${rule.name}"?`)) deleteMutation.mutate(rule.id);
+                              }}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {editingId === null ? (
+              <div className="flex justify-end">
+                <Button onClick={() => startEditing(null)}>Add Reminder</Button>
+              </div>
+            ) : (
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  saveMutation.mutate(form);
+                }}
+                className="space-y-4 border-t pt-4"
+              >
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="reminderName" className="block text-sm font-medium text-gray-700">Name</label>
+                    <Input
+                      id="reminderName"
+                      value={form.name}
+                      maxLength={100}
+                      placeholder="e.g. Membership expiring"
+                      onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="reminderTrigger" className="block text-sm font-medium text-gray-700">When</label>
+                    <select
+                      id="reminderTrigger"
+                      value={form.triggerType}
+                      onChange={(e) => changeTrigger(e.target.value as ReminderTrigger)}
+                      className="w-full p-2 border rounded-md"
+                    >
+                      {(Object.keys(data.triggers) as ReminderTrigger[]).map((key) => (
+                        <option key={key} value={key}>{data.triggers[key].label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {trigger?.days && (
+                    <div>
+                      <label htmlFor="reminderDays" className="block text-sm font-medium text-gray-700">Days</label>
+                      <Input
+                        id="reminderDays"
+                        type="number"
+                        min={1}
+                        max={365}
+                        value={form.days ?? ''}
+                        onChange={(e) => setForm({ ...form, days: e.target.value ? Number(e.target.value) : null })}
+                      />
+                    </div>
+                  )}
+                  {trigger?.minDue && (
+                    <div>
+                      <label htmlFor="reminderMinDue" className="block text-sm font-medium text-gray-700">Due above</label>
+                      <Input
+                        id="reminderMinDue"
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        value={form.minDue ?? ''}
+                        onChange={(e) => setForm({ ...form, minDue: e.target.value ? Number(e.target.value) : null })}
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="reminderChannel" className="block text-sm font-medium text-gray-700">Channel</label>
+                    <select
+                      id="reminderChannel"
+                      value={form.channel}
+                      onChange={(e) => setForm({ ...form, channel: e.target.value as NotificationChannel })}
+                      className="w-full p-2 border rounded-md"
+                    >
+                      {data.channels.map((channel) => (
+                        <option key={channel} value={channel}>{CHANNEL_LABELS[channel]}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="reminderTemplate" className="block text-sm font-medium text-gray-700">Message</label>
+                    <select
+                      id="reminderTemplate"
+                      value={form.templateKey}
+                      onChange={(e) => setForm({ ...form, templateKey: e.target.value })}
+                      className="w-full p-2 border rounded-md"
+                    >
+                      {data.templates.map((template) => (
+                        <option key={template.key} value={template.key}>{template.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="reminderSendTime" className="block text-sm font-medium text-gray-700">Send at</label>
+                    <Input
+                      id="reminderSendTime"
+                      type="time"
+                      value={form.sendTime}
+                      onChange={(e) => setForm({ ...form, sendTime: e.target.value })}
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700 md:col-span-2">
+                    <input
+                      type="checkbox"
+                      checked={form.enabled}
+                      onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                    />
+                    Send these reminders
+                  </label>
+                </div>
+                {form.triggerType === 'birthday' && (
+                  <p className="text-xs text-gray-500">Only students with a date of birth on their admission get birthday wishes.</p>
+                )}
+                <div className="flex justify-end gap-2">
+                  <Button type="button" variant="outline" onClick={() => setEditingId(null)}>Cancel</Button>
+                  <Button type="submit" disabled={saveMutation.isPending}>
+                    {saveMutation.isPending ? 'Saving...' : 'Save Reminder'}
+                  </Button>
+                </div>
+              </form>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ReminderRules;
@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Badge } from '@/components/ui/badge';
+import { toast } from 'sonner';
+import { KeyRound, Pencil, Trash2 } from 'lucide-react';
+import api from '../services/api';
+import { groupPermissionsByCategory, Role } from '../config/permission';
+
+interface RoleFormData {
+  name: string;
+  description: string;
+  permissions: string[];
+}
+
+const emptyForm: RoleFormData = { name: '', description: '', permissions: [] };
+
+// Custom staff roles such as "Cashier" or "Receptionist", built from the permission registry
+const RoleManagement: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [editingRole, setEditingRole] = useState<Role | null>(null);
+  const [formData, setFormData] = useState<RoleFormData>(emptyForm);
+
+  const { data: registryData } = useQuery({
+    queryKey: ['permissionRegistry'],
+    queryFn: api.getPermissionRegistry,
+    staleTime: Infinity,
+  });
+  const permissions = registryData?.permissions || [];
+  const groupedPermissions = groupPermissionsByCategory(permissions);
+
+  const { data: rolesData, isLoading } = useQuery({
+    queryKey: ['roles'],
+    queryFn: api.getRoles,
+  });
+  const roles = rolesData?.roles || [];
+
+  const resetForm = () => {
+    setEditingRole(null);
+    setFormData(emptyForm);
+  };
+
+  const onSaved = (message: string) => {
+    toast.success(message);
+    resetForm();
+    queryClient.invalidateQueries({ queryKey: ['roles'] });
+    queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+  };
+
+  const saveRoleMutation = useMutation({
+    mutationFn: (data: RoleFormData) =>
+      editingRole ? api.updateRole(editingRole.id, data) : api.createRole(data),
+    onSuccess: (data) => onSaved(data.message),
+    onError: (error: Error) => toast.error(error.message || 'Failed to save role'),
+  });
+
+  const deleteRoleMutation = useMutation({
+    mutationFn: (roleId: number) => api.deleteRole(roleId),
+    onSuccess: (data, roleId) => {
+      if (editingRole?.id === roleId) resetForm();
+      onSaved(data.message);
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to delete role'),
+  });
+
+  const handlePermissionChange = (permissionId: string, checked: boolean) => {
+    setFormData(prev => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, permissionId]
+        : prev.permissions.filter(p => p !== permissionId)
+    }));
+  };
+
+  const handleEdit = (role: Role) => {
+    setEditingRole(role);
+    setFormData({ name: role.name, description: role.description || '', permissions: role.permissions });
+  };
+
+  const handleDelete = (role: Role) => {
+    const members = role.memberCount > 0
+      ? ` ${role.memberCount} staff member${role.memberCount === 1 ? '' : 's'} will keep only their own permissions.`
+      : '';
+    if (window.confirm(`Delete the role "${role.name}"?${members}`)) {
+      deleteRoleMutation.mutate(role.id);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!formData.name.trim()) {
+      toast.error('Role name is required');
+      return;
+    }
+    if (formData.permissions.length === 0) {
+      toast.error('Please select at least one permission');
+      return;
+    }
+    saveRoleMutation.mutate(formData);
+  };
+
+  const permissionLabel = (id: string) => permissions.find(p => p.id === id)?.label || id;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <KeyRound className="w-5 h-5" />
+          Staff Roles
+        </CardTitle>
+        <CardDescription>
+          Group permissions into roles such as Cashier or Receptionist, then assign a role to staff members.
+          Staff with a role get its permissions in addition to their own.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <p className="text-center text-gray-500 py-4">Loading...</p>
+        ) : roles.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No custom roles yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {roles.map((role) => (
+              <div key={role.id} className="flex flex-wrap items-start justify-between gap-2 rounded-lg border p-3">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium">{role.name}</span>
+                    <Badge variant="secondary">
+                      {role.memberCount} member{role.memberCount === 1 ? '' : 's'}
+                    </Badge>
+                  </div>
+                  {role.description && <p className="text-sm text-gray-600">{role.description}</p>}
+                  <div className="flex flex-wrap gap-1">
+                    {role.permissions.map((permId) => (
+                      <Badge key={permId} variant="outline" className="text-xs">
+                        {permissionLabel(permId)}
+                      </Badge>
+                    ))}
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={() => handleEdit(role)}>
+                    <Pencil className="w-4 h-4" />
+                  </Button>
+                  <Button
+                    variant="destructive"
+                    size="sm"
+                    onClick={() => handleDelete(role)}
+                    disabled={deleteRoleMutation.isPending}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4 border-t pt-4">
+          <h4 className="text-sm font-semibold text-gray-700">
+            {editingRole ? `Edit role "${editingRole.name}"` : 'Create a role'}
+          </h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="role-name">Role Name *</Label>
+              <Input
+                id="role-name"
+                value={formData.name}
+                onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Cashier"
+                maxLength={50}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="role-description">Description</Label>
+              <Input
+                id="role-description"
+                value={formData.description}
+                onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="What this role is for"
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {Object.entries(groupedPermissions).map(([category, categoryPermissions]) => (
+              <Card key={category} className="p-4">
+                <h4 className="font-medium mb-3 text-sm text-gray-700">{category}</h4>
+                <div className="space-y-2">
+                  {categoryPermissions.map((permission) => (
+                    <div key={permission.id} className="flex items-center space-x-2">
+                      <Checkbox
+                        id={`role-${permission.id}`}
+                        checked={formData.permissions.includes(permission.id)}
+                        onCheckedChange={(checked) => handlePermissionChange(permission.id, checked as boolean)}
+                      />
+                      <Label htmlFor={`role-${permission.id}`} className="text-sm font-normal cursor-pointer">
+                        {permission.label}
+                      </Label>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit" disabled={saveRoleMutation.isPending}>
+              {saveRoleMutation.isPending ? 'Saving...' : editingRole ? 'Save Role' : 'Create Role'}
+            </Button>
+            {editingRole && (
+              <Button type="button" variant="outline" onClick={resetForm}>
+                Cancel
+              </Button>
+            )}
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RoleManagement;
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
-import { Home, UserPlus, Building2, Calendar, Clock, Grid, DollarSign, Wallet, ShoppingBag, BarChart2, Settings, ChevronRight, UserCheck, AlertTriangle, Menu, X, LogOut, MapPin, Package, ToggleLeft, Archive, Users, QrCode, Megaphone, HelpCircle, ShieldCheck, UserCog } from 'lucide-react';
+import { Home, UserPlus, Building2, Calendar, Clock, Grid, DollarSign, Wallet, ShoppingBag, BarChart2, Settings, ChevronRight, UserCheck, AlertTriangle, Menu, X, LogOut, MapPin, Package, ToggleLeft, Archive, Users, QrCode, Megaphone, HelpCircle, ShieldCheck, UserCog, ScanLine, ScrollText, Percent, Send, MessagesSquare } from 'lucide-react';
 import { useMediaQuery } from 'react-responsive';
 import logo from './logo.jpg';
 import { useAuth } from '../context/AuthContext';
@@ -13,6 +13,7 @@ interface SidebarProps {
 
 const hasPermission = (user, permission) => {
     if (!user || !user.permissions) return false;
+    if (permission === 'owner_only') return !!user.isOwner;
     if (user.role === 'admin') return true;
     
     // Special case for lockers - allow both admin and staff users
@@ -43,6 +44,7 @@ const Sidebar: React.FC<SidebarProps> = ({ isCollapsed, setIsCollapsed, onBarcod
     { path: '/students', icon: <UserPlus size={20} />, label: 'Library Students', hasDropdown: true, permission: 'manage_library_students' },
     { path: '/attendance', icon: <Users size={20} />, label: 'Attendance', permission: 'manage_library_students' },
     { path: '#', icon: <QrCode size={20} />, label: 'Barcode', permission: 'manage_library_students', onClick: onBarcodeClick },
+    { path: '/attendance-kiosk', icon: <ScanLine size={20} />, label: 'Attendance Kiosk', permission: 'manage_library_students' },
     { path: '/announcements', icon: <Megaphone size={20} />, label: 'Announcements', permission: 'manage_library_students' },
     { path: '/admission-requests', icon: <UserCog size={20} />, label: 'Admission Requests', permission: 'manage_library_students' },
     // { path: '/public-queries', icon: <HelpCircle size={20} />, label: 'Public Queries', permission: 'manage_library_students' },
@@ -57,7 +59,11 @@ const Sidebar: React.FC<SidebarProps> = ({ isCollapsed, setIsCollapsed, onBarcod
     { path: '/collections', icon: <Wallet size={20} />, label: 'Collection & Due', permission: 'view_collections' },
     { path: '/expenses', icon: <ShoppingBag size={20} />, label: 'Expenses', permission: 'manage_expenses' },
     { path: '/profit-loss', icon: <BarChart2 size={20} />, label: 'Profit & Loss', permission: 'view_reports' },
+    { path: '/gst-summary', icon: <Percent size={20} />, label: 'GST Summary', permission: 'view_reports' },
     { path: '/lockers', icon: <Archive size={20} />, label: 'Lockers', permission: 'manage_lockers_or_staff' },
+    { path: '/bulk-messages', icon: <MessagesSquare size={20} />, label: 'Bulk Messages', permission: 'admin_only' },
+    { path: '/notifications', icon: <Send size={20} />, label: 'Notifications', permission: 'owner_only' },
+    { path: '/audit-log', icon: <ScrollText size={20} />, label: 'Audit Log', permission: 'owner_only' },
     { path: '/settings', icon: <Settings size={20} />, label: 'Settings', permission: 'admin_only' },
     { path: '/subscription', icon: <ShoppingBag size={20} />, label: 'Subscription', permission: 'admin_only' },
   ];
@@ -10,7 +10,8 @@ import { Badge } from '@/components/ui/badge';
 import { toast } from 'sonner';
 import { User, Trash2, Eye, EyeOff, Users, Building, Shield } from 'lucide-react';
 import api from '../services/api';
-import { allPermissions, Permission } from '../config/permission';
+import { groupPermissionsByCategory } from '../config/permission';
+import { useAuth } from '../context/AuthContext';
 
 interface Branch {
   id: number;
@@ -23,10 +24,12 @@ interface StaffUser {
   username: string;
   role: string;
   permissions: string[];
-  branch_access: number[];
-  full_name?: string;
+  branchAccess: number[];
+  fullName?: string;
   email?: string;
-  branch_details: Array<{id: number, name: string}>;
+  roleId: number | null;
+  roleName: string | null;
+  branchDetails: Array<{id: number, name: string}>;
 }
 
 interface NewStaffData {
@@ -37,10 +40,15 @@ interface NewStaffData {
   email: string;
   permissions: string[];
   branch_access: number[];
+  role_id: number | null;
 }
 
+// Value of the role picker when the staff member has no custom role
+const NO_ROLE = 'none';
+
 const StaffManagement: React.FC = () => {
   const queryClient = useQueryClient();
+  const { user } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
   const [newStaffData, setNewStaffData] = useState<NewStaffData>({
     username: '',
@@ -49,7 +57,8 @@ const StaffManagement: React.FC = () => {
     full_name: '',
     email: '',
     permissions: [],
-    branch_access: []
+    branch_access: [],
+    role_id: null
   });
 
   // Fetch all users
@@ -64,6 +73,19 @@ const StaffManagement: React.FC = () => {
     queryFn: api.getBranches,
   });
 
+  const { data: registryData } = useQuery({
+    queryKey: ['permissionRegistry'],
+    queryFn: api.getPermissionRegistry,
+    staleTime: Infinity,
+  });
+  const allPermissions = registryData?.permissions || [];
+
+  const { data: rolesData } = useQuery({
+    queryKey: ['roles'],
+    queryFn: api.getRoles,
+  });
+  const roles = rolesData?.roles || [];
+
   // Create staff mutation
   const createStaffMutation = useMutation({
     mutationFn: (data: NewStaffData) => api.addUser(data),
@@ -76,7 +98,8 @@ const StaffManagement: React.FC = () => {
         full_name: '',
         email: '',
         permissions: [],
-        branch_access: []
+        branch_access: [],
+        role_id: null
       });
       queryClient.invalidateQueries({ queryKey: ['allUsers'] });
     },
@@ -93,14 +116,17 @@ const StaffManagement: React.FC = () => {
     onError: (error: any) => toast.error(error.message || 'Failed to delete staff member'),
   });
 
-  // Group permissions by category
-  const groupedPermissions = allPermissions.reduce((acc, permission) => {
-    if (!acc[permission.category]) {
-      acc[permission.category] = [];
-    }
-    acc[permission.category].push(permission);
-    return acc;
-  }, {} as Record<string, Permission[]>);
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ userId, roleId }: { userId: number; roleId: number | null }) => api.updateUserRole(userId, roleId),
+    onSuccess: (data) => {
+      toast.success(data.message);
+      queryClient.invalidateQueries({ queryKey: ['allUsers'] });
+      queryClient.invalidateQueries({ queryKey: ['roles'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to update role'),
+  });
+
+  const groupedPermissions = groupPermissionsByCategory(allPermissions);
 
   const handlePermissionChange = (permissionId: string, checked: boolean) => {
     setNewStaffData(prev => ({
@@ -133,8 +159,8 @@ const StaffManagement: React.FC = () => {
       return;
     }
 
-    if (newStaffData.permissions.length === 0) {
-      toast.error('Please select at least one permission');
+    if (newStaffData.permissions.length === 0 && !newStaffData.role_id) {
+      toast.error('Please select a role or at least one permission');
       return;
     }
 
@@ -169,6 +195,9 @@ const StaffManagement: React.FC = () => {
           </CardTitle>
           <CardDescription>
             Create a new staff account with customizable permissions and branch access
+            {user?.libraryCode && (
+              <>. Staff sign in on the Admin Login page with library code <strong>{user.libraryCode}</strong>.</>
+            )}
           </CardDescription>
         </CardHeader>
         <CardContent>
@@ -233,7 +262,28 @@ const StaffManagement: React.FC = () => {
             <div className="space-y-4">
               <div className="flex items-center gap-2">
                 <Shield className="w-5 h-5" />
-                <Label className="text-base font-semibold">Feature Permissions *</Label>
+                <Label className="text-base font-semibold">Role & Feature Permissions *</Label>
+              </div>
+              <div className="space-y-2 max-w-sm">
+                <Label htmlFor="staff-role">Role</Label>
+                <Select
+                  value={newStaffData.role_id ? String(newStaffData.role_id) : NO_ROLE}
+                  onValueChange={(value) => setNewStaffData(prev => ({
+                    ...prev,
+                    role_id: value === NO_ROLE ? null : Number(value)
+                  }))}
+                >
+                  <SelectTrigger id="staff-role">
+                    <SelectValue placeholder="No role" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={NO_ROLE}>No role (permissions below only)</SelectItem>
+                    {roles.map((role) => (
+                      <SelectItem key={role.id} value={String(role.id)}>{role.name}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-gray-500">Permissions ticked below are added to those of the role.</p>
               </div>
               <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                 {Object.entries(groupedPermissions).map(([category, permissions]) => (
@@ -325,15 +375,36 @@ const StaffManagement: React.FC = () => {
                     <div className="space-y-2">
                       <div className="flex items-center gap-2">
                         <User className="w-4 h-4" />
-                        <span className="font-medium">{user.full_name || user.username}</span>
-                        <Badge variant="secondary">{user.role}</Badge>
+                        <span className="font-medium">{user.fullName || user.username}</span>
+                        <Badge variant="secondary">{user.roleName || user.role}</Badge>
                       </div>
                       <p className="text-sm text-gray-600">@{user.username}</p>
                       {user.email && <p className="text-sm text-gray-600">{user.email}</p>}
                       
                       <div className="space-y-2">
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm font-medium">Role: </span>
+                          <Select
+                            value={user.roleId ? String(user.roleId) : NO_ROLE}
+                            onValueChange={(value) => updateRoleMutation.mutate({
+                              userId: user.id,
+                              roleId: value === NO_ROLE ? null : Number(value)
+                            })}
+                            disabled={updateRoleMutation.isPending}
+                          >
+                            <SelectTrigger className="h-8 w-48">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value={NO_ROLE}>No role</SelectItem>
+                              {roles.map((role) => (
+                                <SelectItem key={role.id} value={String(role.id)}>{role.name}</SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </div>
                         <div>
-                          <span className="text-sm font-medium">Permissions: </span>
+                          <span className="text-sm font-medium">Own permissions: </span>
                           <div className="flex flex-wrap gap-1 mt-1">
                             {user.permissions.map((permId) => {
                               const perm = allPermissions.find(p => p.id === permId);
@@ -349,7 +420,7 @@ const StaffManagement: React.FC = () => {
                         <div>
                           <span className="text-sm font-medium">Branch Access: </span>
                           <div className="flex flex-wrap gap-1 mt-1">
-                            {user.branch_details.map((branch) => (
+                            {(user.branchDetails || []).map((branch) => (
                               <Badge key={branch.id} variant="outline" className="text-xs">
                                 {branch.name}
                               </Badge>
@@ -1,22 +1,25 @@
+// The permission registry lives on the backend (Backend/utils/permissions.js), which enforces it on every
+// route; load it with api.getPermissionRegistry() rather than keeping a copy here.
 export interface Permission {
   id: string;
   label: string;
   category: string;
 }
 
-export const allPermissions: Permission[] = [
-  { id: 'manage_library_students', label: 'Manage Library Students', category: 'Library' },
-  { id: 'manage_schedules', label: 'Manage Schedules & Shifts', category: 'Library' },
-  { id: 'manage_seats', label: 'Manage Seats', category: 'Library' },
-  { id: 'view_collections', label: 'View Library Collections', category: 'Library' },
-  
-  { id: 'manage_hostel_students', label: 'Manage Hostel Students', category: 'Hostel' },
-  { id: 'manage_hostel_branches', label: 'Manage Hostel Branches', category: 'Hostel' },
-  { id: 'view_hostel_collections', label: 'View Hostel Collections', category: 'Hostel' },
+// Custom staff role built by the owner from registry permissions, e.g. "Cashier"
+export interface Role {
+  id: number;
+  name: string;
+  description: string | null;
+  permissions: string[];
+  memberCount: number;
+}
 
-  { id: 'manage_branches', label: 'Manage Main Branches', category: 'General' },
-  { id: 'manage_products', label: 'Manage Products', category: 'General' },
-  { id: 'manage_expenses', label: 'Manage Expenses', category: 'General' },
-  { id: 'view_transactions', label: 'View Transactions', category: 'General' },
-  { id: 'view_reports', label: 'View Profit & Loss', category: 'General' },
-];
\ No newline at end of file
+export const groupPermissionsByCategory = (permissions: Permission[]) =>
+  permissions.reduce((acc, permission) => {
+    if (!acc[permission.category]) {
+      acc[permission.category] = [];
+    }
+    acc[permission.category].push(permission);
+    return acc;
+  }, {} as Record<string, Permission[]>);
@@ -8,6 +8,7 @@ interface User {
   username: string;
   role: string;
   permissions: string[];
+  branchAccess?: number[]; // For staff - branches they are limited to (empty means all)
   libraryId?: number; // For owners - their library ID
   libraryCode?: string; // For owners - their library code
   isOwner?: boolean; // Flag to identify owners
@@ -0,0 +1,61 @@
+import * as React from "react"
+import api from "../services/api"
+
+// Fetch a fresh code this many seconds before the current one expires
+const REFRESH_LEAD_SECONDS = 5
+
+export function useAttendanceQr(enabled: boolean = true) {
+  const [qrData, setQrData] = React.useState<string>("")
+  const [expiresAt, setExpiresAt] = React.useState<number | null>(null)
+  const [secondsLeft, setSecondsLeft] = React.useState<number>(0)
+  const [isLoading, setIsLoading] = React.useState<boolean>(false)
+  const [error, setError] = React.useState<string | null>(null)
+
+  const fetchCode = React.useCallback(async () => {
+    try {
+      setIsLoading(true)
+      const response = await api.getAttendanceQrCode()
+      setQrData(response.qrData)
+      // Count down from when the code arrived rather than the server's expiresAt, so a kiosk whose
+      // clock is off still refreshes in time
+      setExpiresAt(Date.now() + response.ttlSeconds * 1000)
+      setError(null)
+    } catch (err) {
+      console.error("Error fetching attendance QR code:", err)
+      setError(err instanceof Error ? err.message : "Failed to load attendance QR code")
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  React.useEffect(() => {
+    if (!enabled) return
+    fetchCode()
+  }, [enabled, fetchCode])
+
+  React.useEffect(() => {
+    if (!enabled || !expiresAt) return
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000))
+      setSecondsLeft(remaining)
+      if (remaining <= REFRESH_LEAD_SECONDS) {
+        setExpiresAt(null)
+        fetchCode()
+      }
+    }
+
+    tick()
+    const interval = window.setInterval(tick, 1000)
+    return () => window.clearInterval(interval)
+  }, [enabled, expiresAt, fetchCode])
+
+  // Retry periodically while the code could not be loaded
+  React.useEffect(() => {
+    if (!enabled || !error) return
+    const timeout = window.setTimeout(fetchCode, 10000)
+    return () => window.clearTimeout(timeout)
+  }, [enabled, error, fetchCode])
+
+  return { qrData, secondsLeft, isLoading, error, refresh: fetchCode }
+}
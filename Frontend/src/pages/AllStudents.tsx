@@ -213,21 +213,23 @@ const AllStudents = () => {
                 </div>
               </div>
               <div className="p-4 flex flex-wrap items-center gap-4">
-                <div className="flex items-center space-x-2">
-                  <label className="text-sm text-gray-500">Branch:</label>
-                  <select
-                    value={selectedBranchId ?? ''}
-                    onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : undefined)}
-                    className="p-2 border rounded text-sm"
-                  >
-                    <option value="">All Branches</option>
-                    {branches.map(branch => (
-                      <option key={branch.id} value={branch.id}>
-                        {branch.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
+                {branches.length > 1 && (
+                  <div className="flex items-center space-x-2">
+                    <label className="text-sm text-gray-500">Branch:</label>
+                    <select
+                      value={selectedBranchId ?? ''}
+                      onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : undefined)}
+                      className="p-2 border rounded text-sm"
+                    >
+                      <option value="">All Branches</option>
+                      {branches.map(branch => (
+                        <option key={branch.id} value={branch.id}>
+                          {branch.name}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 <div className="flex items-center space-x-2">
                   <label className="text-sm text-gray-500">From:</label>
                   <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} className="p-2 border rounded" />
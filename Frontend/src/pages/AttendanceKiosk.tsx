@@ -0,0 +1,216 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Camera, CheckCircle, LogIn, LogOut, ScanLine, XCircle, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Navbar from '../components/Navbar';
+import Sidebar from '../components/Sidebar';
+import BarcodeScanner from '../components/BarcodeScanner';
+import api, { KioskScanResult } from '../services/api';
+
+type ScanFeedback =
+  | { type: 'success'; result: KioskScanResult }
+  | { type: 'error'; message: string };
+
+// Cameras report the same code many times per second; ignore repeats of a code inside this window
+const REPEAT_SCAN_MS = 5000;
+
+// Short tone so staff know the result without looking at the screen
+const playTone = (kind: 'in' | 'out' | 'error') => {
+  try {
+    const AudioContextClass = window.AudioContext || (window as unknown as { webkitAudioContext: typeof AudioContext }).webkitAudioContext;
+    const context = new AudioContextClass();
+    const tones = kind === 'error' ? [220, 180] : kind === 'in' ? [660, 880] : [880, 660];
+    tones.forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = kind === 'error' ? 'square' : 'sine';
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      const start = context.currentTime + index * 0.15;
+      oscillator.start(start);
+      oscillator.stop(start + 0.13);
+    });
+    setTimeout(() => context.close(), 600);
+  } catch (error) {
+    console.warn('Unable to play kiosk tone:', error);
+  }
+};
+
+// Staff-operated kiosk: scan a student's ID card (camera or handheld scanner) to check them in or out
+const AttendanceKiosk: React.FC = () => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const [cardInput, setCardInput] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [feedback, setFeedback] = useState<ScanFeedback | null>(null);
+  const [recentScans, setRecentScans] = useState<KioskScanResult[]>([]);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const lastScanRef = useRef<{ code: string; at: number } | null>(null);
+
+  // Handheld scanners type the code followed by Enter, so keep the input focused
+  useEffect(() => {
+    if (!showScanner && !isSubmitting) inputRef.current?.focus();
+  }, [showScanner, isSubmitting, feedback]);
+
+  const submitScan = async (rawCode: string) => {
+    const code = rawCode.trim();
+    if (!code) return;
+
+    const now = Date.now();
+    if (lastScanRef.current && lastScanRef.current.code === code && now - lastScanRef.current.at < REPEAT_SCAN_MS) {
+      return;
+    }
+    lastScanRef.current = { code, at: now };
+
+    setIsSubmitting(true);
+    try {
+      const result = await api.recordKioskScan(code);
+      setFeedback({ type: 'success', result });
+      setRecentScans(prev => [result, ...prev].slice(0, 10));
+      playTone(result.action);
+      if (showScanner) toast.success(result.message);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Failed to record attendance';
+      setFeedback({ type: 'error', message });
+      playTone('error');
+      if (showScanner) toast.error(message);
+    } finally {
+      setIsSubmitting(false);
+      setCardInput('');
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    submitScan(cardInput);
+  };
+
+  const formatTime = (timestamp: string) =>
+    new Date(timestamp).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+
+  return (
+    <div className="flex h-screen bg-gray-50">
+      <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <Navbar />
+        <div className="flex-1 overflow-auto p-6">
+          <div className="max-w-4xl mx-auto space-y-6">
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <div className="flex flex-wrap items-center justify-between gap-4">
+                <div>
+                  <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+                    <ScanLine className="w-6 h-6 mr-2 text-blue-600" />
+                    Attendance Kiosk
+                  </h2>
+                  <p className="text-sm text-gray-600">Scan a student's ID card to check them in or out.</p>
+                </div>
+                <button
+                  onClick={() => setShowScanner(true)}
+                  className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+                >
+                  <Camera className="w-4 h-4 mr-2" />
+                  Scan with Camera
+                </button>
+              </div>
+              <form onSubmit={handleSubmit} className="mt-4 flex gap-2">
+                <input
+                  ref={inputRef}
+                  type="text"
+                  value={cardInput}
+                  onChange={(e) => setCardInput(e.target.value)}
+                  placeholder="Scan card with a handheld scanner or type the card code"
+                  disabled={isSubmitting}
+                  className="flex-1 px-4 py-3 border border-gray-300 rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={isSubmitting || !cardInput.trim()}
+                  className="px-4 py-3 bg-gray-800 text-white rounded-lg hover:bg-gray-900 disabled:opacity-50"
+                >
+                  Record
+                </button>
+              </form>
+            </div>
+
+            {/* Result of the last scan, large enough to read from a distance */}
+            {feedback && (
+              feedback.type === 'success' ? (
+                <div className={`rounded-xl shadow-sm p-6 flex items-center gap-6 ${
+                  feedback.result.action === 'in' ? 'bg-green-50 border-2 border-green-400' : 'bg-blue-50 border-2 border-blue-400'
+                }`}>
+                  {feedback.result.student.profileImageUrl ? (
+                    <img
+                      src={feedback.result.student.profileImageUrl}
+                      alt={feedback.result.student.name}
+                      className="w-32 h-32 rounded-lg object-cover border-4 border-white shadow"
+                    />
+                  ) : (
+                    <div className="w-32 h-32 rounded-lg bg-gray-200 flex items-center justify-center text-5xl font-bold text-gray-500">
+                      {feedback.result.student.name.charAt(0).toUpperCase()}
+                    </div>
+                  )}
+                  <div className="flex-1">
+                    <p className={`text-3xl font-bold flex items-center ${
+                      feedback.result.action === 'in' ? 'text-green-700' : 'text-blue-700'
+                    }`}>
+                      {feedback.result.action === 'in' ? <LogIn className="w-8 h-8 mr-2" /> : <LogOut className="w-8 h-8 mr-2" />}
+                      {feedback.result.action === 'in' ? 'Checked In' : 'Checked Out'}
+                    </p>
+                    <p className="text-2xl font-semibold text-gray-900 mt-2">{feedback.result.student.name}</p>
+                    <p className="text-gray-600">
+                      {feedback.result.student.registrationNumber && `Reg: ${feedback.result.student.registrationNumber} • `}
+                      {feedback.result.student.branchName || 'No branch'} • {formatTime(feedback.result.timestamp)}
+                    </p>
+                    {feedback.result.student.membershipExpired && (
+                      <p className="mt-2 inline-flex items-center text-sm font-medium text-red-700 bg-red-100 px-2 py-1 rounded">
+                        <AlertTriangle className="w-4 h-4 mr-1" />
+                        Membership expired on {feedback.result.student.membershipEnd}
+                      </p>
+                    )}
+                  </div>
+                  <CheckCircle className={`w-12 h-12 ${feedback.result.action === 'in' ? 'text-green-500' : 'text-blue-500'}`} />
+                </div>
+              ) : (
+                <div className="rounded-xl shadow-sm p-6 flex items-center gap-4 bg-red-50 border-2 border-red-400">
+                  <XCircle className="w-12 h-12 text-red-500" />
+                  <p className="text-xl font-semibold text-red-700">{feedback.message}</p>
+                </div>
+              )
+            )}
+
+            <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+              <div className="px-6 py-4 bg-gray-50 border-b">
+                <h3 className="text-lg font-semibold text-gray-900">Recent Scans</h3>
+              </div>
+              {recentScans.length === 0 ? (
+                <p className="text-center text-gray-500 py-6">No scans yet in this session.</p>
+              ) : (
+                <ul className="divide-y divide-gray-100">
+                  {recentScans.map((scan, index) => (
+                    <li key={`${scan.student.id}-${scan.timestamp}-${index}`} className="px-6 py-3 flex items-center justify-between">
+                      <span className="font-medium text-gray-900">{scan.student.name}</span>
+                      <span className={`text-sm font-medium ${scan.action === 'in' ? 'text-green-700' : 'text-blue-700'}`}>
+                        {scan.action === 'in' ? 'In' : 'Out'} at {formatTime(scan.timestamp)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {showScanner && (
+        <BarcodeScanner
+          isOpen={showScanner}
+          onScanSuccess={submitScan}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default AttendanceKiosk;
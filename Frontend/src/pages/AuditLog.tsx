@@ -0,0 +1,261 @@
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useQuery } from '@tanstack/react-query';
+import { ChevronDown, ChevronRight, ScrollText } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Sidebar from '../components/Sidebar';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '../context/AuthContext';
+import api, { AuditLogEntry, AuditLogFilters } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const ACTION_BADGES: Record<AuditLogEntry['action'], { label: string; className: string }> = {
+  create: { label: 'Created', className: 'bg-green-100 text-green-800' },
+  update: { label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  delete: { label: 'Deleted', className: 'bg-red-100 text-red-800' },
+};
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatActor = (log: AuditLogEntry) => {
+  if (log.actorType === 'owner') return `${log.actorName || 'Owner'} (owner)`;
+  if (log.actorType === 'system') return 'System';
+  return `${log.actorName || `#${log.actorId}`} (${log.actorRole})`;
+};
+
+// Field-by-field before/after values of one entry; unchanged fields of updates are left out
+const ChangeDetails: React.FC<{ log: AuditLogEntry }> = ({ log }) => {
+  const before = log.beforeData || {};
+  const after = log.afterData || {};
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+  const changedFields = log.action === 'update' && log.beforeData
+    ? fields.filter((field) => formatValue(before[field]) !== formatValue(after[field]))
+    : fields;
+
+  if (changedFields.length === 0) {
+    return <p className="text-sm text-gray-500">No field values were recorded for this change.</p>;
+  }
+  return (
+    <div className="space-y-2">
+      <table className="min-w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500 border-b">
+            <th className="py-1 pr-4">Field</th>
+            {log.beforeData && <th className="py-1 pr-4">Before</th>}
+            {log.afterData && <th className="py-1 pr-4">After</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {changedFields.map((field) => (
+            <tr key={field} className="border-b last:border-0 align-top">
+              <td className="py-1 pr-4 font-medium text-gray-700">{field}</td>
+              {log.beforeData && <td className="py-1 pr-4 text-red-700 break-all">{formatValue(before[field])}</td>}
+              {log.afterData && <td className="py-1 pr-4 text-green-700 break-all">{formatValue(after[field])}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500">
+        {log.httpMethod} {log.path} • IP {log.ipAddress || 'unknown'}
+      </p>
+    </div>
+  );
+};
+
+// Owner view of who created, changed or deleted what in the library
+const AuditLog: React.FC = () => {
+  const { user } = useAuth();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [filters, setFilters] = useState<AuditLogFilters>({});
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+
+  const { data: filterOptions } = useQuery({
+    queryKey: ['auditLogFilters'],
+    queryFn: api.getAuditLogFilterOptions,
+    enabled: !!user?.isOwner,
+  });
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['auditLogs', filters, page],
+    queryFn: () => api.getAuditLogs({ ...filters, page, limit: PAGE_SIZE }),
+    enabled: !!user?.isOwner,
+  });
+  const logs = data?.logs || [];
+  const totalPages = data ? Math.max(Math.ceil(data.total / PAGE_SIZE), 1) : 1;
+
+  if (user && !user.isOwner) {
+    return <Navigate to="/dashboard" />;
+  }
+
+  const updateFilter = (key: keyof AuditLogFilters, value: string) => {
+    setFilters((prev) => ({ ...prev, [key]: value || undefined }));
+    setPage(1);
+  };
+
+  return (
+    <div className="flex h-screen bg-gray-50">
+      <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <Navbar />
+        <div className="flex-1 overflow-auto p-6">
+          <div className="mb-6">
+            <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+              <ScrollText className="w-6 h-6 mr-2 text-purple-600" />
+              Audit Log
+            </h2>
+            <p className="text-sm text-gray-600">Every change made by you and your staff, with the values before and after.</p>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-3 mb-4">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">User</label>
+              <select
+                value={filters.actor || ''}
+                onChange={(e) => updateFilter('actor', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All users</option>
+                {(filterOptions?.actors || []).map((actor) => (
+                  <option
+                    key={`${actor.actorType}:${actor.actorId}`}
+                    value={actor.actorType === 'owner' ? 'owner' : `user:${actor.actorId}`}
+                  >
+                    {actor.actorName || `#${actor.actorId}`} ({actor.actorRole})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Entity</label>
+              <select
+                value={filters.entityType || ''}
+                onChange={(e) => updateFilter('entityType', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All entities</option>
+                {(filterOptions?.entityTypes || []).map((entityType) => (
+                  <option key={entityType} value={entityType}>{entityType}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Action</label>
+              <select
+                value={filters.action || ''}
+                onChange={(e) => updateFilter('action', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All actions</option>
+                <option value="create">Created</option>
+                <option value="update">Updated</option>
+                <option value="delete">Deleted</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">From</label>
+              <input
+                type="date"
+                value={filters.from || ''}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">To</label>
+              <input
+                type="date"
+                value={filters.to || ''}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            {Object.values(filters).some(Boolean) && (
+              <Button variant="outline" size="sm" onClick={() => { setFilters({}); setPage(1); }}>
+                Clear filters
+              </Button>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            {isLoading ? (
+              <p className="text-center text-gray-500 py-8">Loading...</p>
+            ) : error ? (
+              <p className="text-center text-red-600 py-8">{(error as Error).message || 'Failed to load the audit log'}</p>
+            ) : logs.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">No changes match these filters.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b bg-gray-50">
+                    <th className="py-2 px-4 w-8"></th>
+                    <th className="py-2 px-4">Time</th>
+                    <th className="py-2 px-4">User</th>
+                    <th className="py-2 px-4">Action</th>
+                    <th className="py-2 px-4">Entity</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {logs.map((log) => (
+                    <React.Fragment key={log.id}>
+                      <tr
+                        className="border-b cursor-pointer hover:bg-gray-50"
+                        onClick={() => setExpandedId(expandedId === log.id ? null : log.id)}
+                      >
+                        <td className="py-2 px-4 text-gray-400">
+                          {expandedId === log.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        </td>
+                        <td className="py-2 px-4 whitespace-nowrap">{formatDateTime(log.createdAt)}</td>
+                        <td className="py-2 px-4">{formatActor(log)}</td>
+                        <td className="py-2 px-4">
+                          <Badge className={ACTION_BADGES[log.action].className}>{ACTION_BADGES[log.action].label}</Badge>
+                        </td>
+                        <td className="py-2 px-4">
+                          {log.entityType}{log.entityId ? ` #${log.entityId}` : ''}
+                        </td>
+                      </tr>
+                      {expandedId === log.id && (
+                        <tr className="border-b bg-gray-50">
+                          <td></td>
+                          <td colSpan={4} className="py-3 px-4">
+                            <ChangeDetails log={log} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {data && data.total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+              <span>{data.total} changes</span>
+              <div className="flex items-center gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Previous
+                </Button>
+                <span>Page {page} of {totalPages}</span>
+                <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ArrowLeft, QrCode, Download, Copy, Printer } from 'lucide-react';
+import { ArrowLeft, QrCode, Maximize, RefreshCw } from 'lucide-react';
 import { toast } from 'sonner';
-import { useAuth } from '../context/AuthContext';
-import BarcodeGenerator from '../components/BarcodeGenerator';
+import QRCode from 'qrcode-generator';
+import api from '../services/api';
+import { useAttendanceQr } from '../hooks/use-attendance-qr';
 
 interface Library {
   id: number;
@@ -11,11 +12,12 @@ interface Library {
   name: string;
 }
 
+// Kiosk display: shows the live attendance QR code full screen and rotates it automatically
 const BarcodePage: React.FC = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
   const [library, setLibrary] = useState<Library | null>(null);
   const [isLoading, setIsLoading] = useState(true);
+  const { qrData, secondsLeft, isLoading: isRefreshing, error } = useAttendanceQr(!!library);
 
   useEffect(() => {
     initializeLibraryData();
@@ -23,14 +25,12 @@ const BarcodePage: React.FC = () => {
 
   const initializeLibraryData = async () => {
     try {
-      // For now, we'll use a default library configuration
-      // In a real application, this would be fetched from the API based on the logged-in owner
-      const defaultLibrary: Library = {
-        id: 1,
-        library_code: 'MSL001',
-        name: 'MAA SARASWATI LIBRARY'
-      };
-      setLibrary(defaultLibrary);
+      const response = await api.getLibraryProfile();
+      setLibrary({
+        id: response.library.id,
+        library_code: response.library.libraryCode,
+        name: response.library.libraryName
+      });
     } catch (error) {
       console.error('Error loading library data:', error);
       toast.error('Failed to load library information');
@@ -39,10 +39,29 @@ const BarcodePage: React.FC = () => {
     }
   };
 
+  const qrCodeSvg = useMemo(() => {
+    if (!qrData) return '';
+    try {
+      const qr = QRCode(0, 'M');
+      qr.addData(qrData);
+      qr.make();
+      return qr.createSvgTag({ cellSize: 10, margin: 0, scalable: true });
+    } catch (error) {
+      console.error('Error generating QR code:', error);
+      return '';
+    }
+  }, [qrData]);
+
   const handleGoBack = () => {
     navigate('/');
   };
 
+  const enterFullscreen = () => {
+    document.documentElement.requestFullscreen?.().catch(() => {
+      toast.error('Full screen is not available on this device');
+    });
+  };
+
   if (isLoading) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-purple-50 to-orange-50 flex items-center justify-center">
@@ -60,7 +79,7 @@ const BarcodePage: React.FC = () => {
         <div className="text-center">
           <QrCode className="w-12 h-12 text-red-500 mx-auto mb-4" />
           <p className="text-gray-600 mb-4">Failed to load library information</p>
-          <button 
+          <button
             onClick={handleGoBack}
             className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
           >
@@ -72,112 +91,58 @@ const BarcodePage: React.FC = () => {
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-orange-50">
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-orange-50 flex flex-col">
       {/* Header */}
       <div className="bg-white shadow-sm border-b">
-        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 w-full">
           <div className="flex items-center justify-between h-16">
-            <div className="flex items-center">
-              <button
-                onClick={handleGoBack}
-                className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
-              >
-                <ArrowLeft className="w-5 h-5 mr-2" />
-                Back to Dashboard
-              </button>
-            </div>
-            <div className="flex items-center">
-              <QrCode className="w-6 h-6 text-purple-600 mr-2" />
-              <h1 className="text-xl font-semibold text-gray-900">Library Barcode</h1>
-            </div>
+            <button
+              onClick={handleGoBack}
+              className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+            >
+              <ArrowLeft className="w-5 h-5 mr-2" />
+              Back to Dashboard
+            </button>
+            <button
+              onClick={enterFullscreen}
+              className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+            >
+              <Maximize className="w-5 h-5 mr-2" />
+              Full Screen
+            </button>
           </div>
         </div>
       </div>
 
-      {/* Main Content */}
-      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="bg-white rounded-lg shadow-lg overflow-hidden">
-          {/* Library Info Header */}
-          <div className="bg-gradient-to-r from-purple-600 to-orange-400 px-6 py-4">
-            <h2 className="text-2xl font-bold text-white">{library.name}</h2>
-            <p className="text-purple-100 mt-1">Library Code: {library.library_code}</p>
-          </div>
-
-          {/* Barcode Section */}
-          <div className="p-6">
-            <div className="text-center mb-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-2">
-                Student Attendance Barcode
-              </h3>
-              <p className="text-gray-600">
-                Students can scan this barcode to mark their attendance automatically
-              </p>
-            </div>
+      {/* Kiosk Display */}
+      <div className="flex-1 flex flex-col items-center justify-center px-4 py-8">
+        <h1 className="text-3xl sm:text-4xl font-bold text-gray-900 text-center">{library.name}</h1>
+        <p className="text-lg text-gray-600 mt-2 mb-8 text-center">
+          Scan with your student app to check in or out
+        </p>
 
-            {/* Barcode Generator Component */}
-            <BarcodeGenerator
-              libraryCode={library.library_code}
-              libraryName={library.name}
-              libraryId={library.id}
-              isOpen={true}
-              onClose={() => {}} // No close functionality on this page
+        <div className="bg-white p-6 rounded-2xl shadow-xl">
+          {qrCodeSvg ? (
+            <div
+              className="w-[70vmin] h-[70vmin] max-w-[520px] max-h-[520px]"
+              dangerouslySetInnerHTML={{ __html: qrCodeSvg }}
             />
-
-            {/* Instructions */}
-            <div className="mt-8 bg-blue-50 rounded-lg p-6">
-              <h4 className="text-lg font-semibold text-blue-900 mb-3">
-                How to Use This Barcode
-              </h4>
-              <div className="space-y-3 text-blue-800">
-                <div className="flex items-start">
-                  <div className="flex-shrink-0 w-6 h-6 bg-blue-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3 mt-0.5">
-                    1
-                  </div>
-                  <p>Display this barcode prominently at your library entrance</p>
-                </div>
-                <div className="flex items-start">
-                  <div className="flex-shrink-0 w-6 h-6 bg-blue-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3 mt-0.5">
-                    2
-                  </div>
-                  <p>Students can scan it using their phone camera or the scanner in their student account</p>
-                </div>
-                <div className="flex items-start">
-                  <div className="flex-shrink-0 w-6 h-6 bg-blue-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3 mt-0.5">
-                    3
-                  </div>
-                  <p>Attendance will be marked automatically with in/out toggle functionality</p>
-                </div>
-                <div className="flex items-start">
-                  <div className="flex-shrink-0 w-6 h-6 bg-blue-200 rounded-full flex items-center justify-center text-sm font-semibold mr-3 mt-0.5">
-                    4
-                  </div>
-                  <p>Only students registered with your library can mark attendance using this barcode</p>
-                </div>
-              </div>
+          ) : (
+            <div className="w-[70vmin] h-[70vmin] max-w-[520px] max-h-[520px] flex items-center justify-center text-gray-500">
+              {error ? error : 'Generating QR code...'}
             </div>
+          )}
+        </div>
 
-            {/* Security Notice */}
-            <div className="mt-6 bg-amber-50 border border-amber-200 rounded-lg p-4">
-              <div className="flex">
-                <div className="flex-shrink-0">
-                  <QrCode className="h-5 w-5 text-amber-400" />
-                </div>
-                <div className="ml-3">
-                  <h3 className="text-sm font-medium text-amber-800">
-                    Security Notice
-                  </h3>
-                  <div className="mt-2 text-sm text-amber-700">
-                    <p>
-                      This barcode is unique to your library and contains your library code. 
-                      Students from other libraries cannot use this barcode to mark attendance. 
-                      Each scan is verified against the student's registered library.
-                    </p>
-                  </div>
-                </div>
-              </div>
-            </div>
-          </div>
+        <div className="flex items-center mt-6 text-gray-700">
+          <RefreshCw className={`w-5 h-5 mr-2 ${isRefreshing ? 'animate-spin' : ''}`} />
+          <span className="text-lg">
+            {qrCodeSvg ? `New code in ${secondsLeft}s` : 'Waiting for code...'}
+          </span>
         </div>
+        <p className="text-sm text-gray-500 mt-2">
+          Library Code: {library.library_code} · Screenshots and printed copies of this code will not work
+        </p>
       </div>
     </div>
   );
@@ -0,0 +1,611 @@
+import React, { useEffect, useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { ChevronDown, ChevronRight, MessagesSquare } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Sidebar from '../components/Sidebar';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { useAuth } from '../context/AuthContext';
+import api, {
+  BulkMessage,
+  BulkMessageInput,
+  NotificationChannel,
+  SegmentFilters,
+  SegmentStatus,
+  StudentSegment,
+} from '../services/api';
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+};
+
+const EMPTY_MESSAGE = { channels: ['email'] as NotificationChannel[], subject: '', body: '', whatsappTemplate: '' };
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+const sameFilters = (a: SegmentFilters, b: SegmentFilters) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]) as Set<keyof SegmentFilters>;
+  return Array.from(keys).every((key) => a[key] === b[key]);
+};
+
+const numberOrUndefined = (value: string) => (value === '' ? undefined : Number(value));
+
+// The filters of a segment, in words
+const describeFilters = (
+  filters: SegmentFilters,
+  statuses: Record<SegmentStatus, string> | undefined,
+  branchName: (id: number) => string
+) => {
+  const parts: string[] = [];
+  if (filters.branchId) parts.push(branchName(filters.branchId));
+  if (filters.shiftId) parts.push(`shift #${filters.shiftId}`);
+  if (filters.status) parts.push(statuses?.[filters.status] || filters.status);
+  if (filters.minDue !== undefined) parts.push(`due from ${filters.minDue}`);
+  if (filters.maxDue !== undefined) parts.push(`due up to ${filters.maxDue}`);
+  if (filters.expiryFromDays !== undefined || filters.expiryToDays !== undefined) {
+    parts.push(`ends between day ${filters.expiryFromDays ?? '…'} and day ${filters.expiryToDays ?? '…'}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'All students';
+};
+
+// Delivery of a bulk message: the skipped students and the messages that failed, with a retry
+const BulkMessageDetails: React.FC<{ bulkMessage: BulkMessage }> = ({ bulkMessage }) => {
+  const queryClient = useQueryClient();
+  const { data, isLoading } = useQuery({
+    queryKey: ['bulkMessage', bulkMessage.id, bulkMessage.delivery.failed],
+    queryFn: () => api.getBulkMessage(bulkMessage.id),
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: () => api.retryBulkMessage(bulkMessage.id),
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['bulkMessages'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to retry the messages'),
+  });
+
+  const skipped = Object.entries(bulkMessage.skipped);
+
+  return (
+    <div className="space-y-3">
+      {bulkMessage.subject && <p className="text-sm font-medium text-gray-700">{bulkMessage.subject}</p>}
+      <p className="text-sm text-gray-700 whitespace-pre-wrap">{bulkMessage.body}</p>
+      {skipped.length > 0 && (
+        <p className="text-xs text-gray-500">
+          Not sent: {skipped.map(([reason, count]) => `${reason} (${count})`).join(', ')}
+        </p>
+      )}
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Loading failures...</p>
+      ) : !data || data.failures.length === 0 ? (
+        <p className="text-xs text-gray-500">No failed messages.</p>
+      ) : (
+        <>
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-4">Student</th>
+                <th className="py-1 pr-4">Channel</th>
+                <th className="py-1 pr-4">To</th>
+                <th className="py-1 pr-4">Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {data.failures.map((failure) => (
+                <tr key={failure.id} className="border-b last:border-0 align-top">
+                  <td className="py-1 pr-4">{failure.recipientName || '—'}</td>
+                  <td className="py-1 pr-4">{CHANNEL_LABELS[failure.channel]}</td>
+                  <td className="py-1 pr-4 break-all">{failure.recipient}</td>
+                  <td className="py-1 pr-4 break-all text-red-700">{failure.lastError || 'Failed'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <Button variant="outline" size="sm" disabled={retryMutation.isPending} onClick={() => retryMutation.mutate()}>
+            {retryMutation.isPending ? 'Retrying...' : 'Retry failed messages'}
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Admin page to message a filtered group of students by email, WhatsApp or SMS, and follow how it went
+const BulkMessages: React.FC = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [segmentId, setSegmentId] = useState<number | null>(null);
+  const [filters, setFilters] = useState<SegmentFilters>({ status: 'active' });
+  const [segmentName, setSegmentName] = useState('');
+  const [message, setMessage] = useState(EMPTY_MESSAGE);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const isAdmin = user?.role === 'admin';
+
+  const { data: segmentsData } = useQuery({
+    queryKey: ['studentSegments'],
+    queryFn: api.getStudentSegments,
+    enabled: isAdmin,
+  });
+  const { data: branches = [] } = useQuery({ queryKey: ['branches'], queryFn: api.getBranches, enabled: isAdmin });
+  const { data: schedulesData } = useQuery({
+    queryKey: ['schedules', filters.branchId ?? null],
+    queryFn: () => api.getSchedules(filters.branchId ?? null),
+    enabled: isAdmin,
+  });
+  const { data: historyData, isLoading: historyLoading } = useQuery({
+    queryKey: ['bulkMessages'],
+    queryFn: api.getBulkMessages,
+    enabled: isAdmin,
+    // Queued messages are usually sent within a minute
+    refetchInterval: (query) =>
+      query.state.data?.bulkMessages.some((bulkMessage) => bulkMessage.delivery.pending || bulkMessage.delivery.sending)
+        ? 15000
+        : false,
+  });
+
+  const segment = segmentsData?.segments.find((saved) => saved.id === segmentId) || null;
+  // A saved segment is sent by its ID while its filters are left as they are
+  const audience: Partial<BulkMessageInput> = segment && sameFilters(segment.filters, filters) ? { segmentId: segment.id } : { filters };
+
+  // Preview once typing stops
+  const [previewInput, setPreviewInput] = useState<Partial<BulkMessageInput>>(audience);
+  const previewKey = JSON.stringify({ ...audience, subject: message.subject, body: message.body });
+  useEffect(() => {
+    const timer = setTimeout(() => setPreviewInput(JSON.parse(previewKey)), 400);
+    return () => clearTimeout(timer);
+  }, [previewKey]);
+  const { data: preview, isFetching: previewLoading } = useQuery({
+    queryKey: ['bulkMessagePreview', previewInput],
+    queryFn: () => api.previewBulkMessage(previewInput),
+    enabled: isAdmin,
+  });
+
+  const onSegmentsChanged = (result: { message: string }) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries({ queryKey: ['studentSegments'] });
+  };
+
+  const saveSegmentMutation = useMutation({
+    mutationFn: (asNew: boolean) =>
+      asNew || !segment
+        ? api.createStudentSegment({ name: segmentName, filters })
+        : api.updateStudentSegment(segment.id, { name: segment.name, filters }),
+    onSuccess: (result) => {
+      onSegmentsChanged(result);
+      setSegmentId(result.segment.id);
+      setSegmentName('');
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to save the segment'),
+  });
+
+  const deleteSegmentMutation = useMutation({
+    mutationFn: api.deleteStudentSegment,
+    onSuccess: (result) => {
+      onSegmentsChanged(result);
+      setSegmentId(null);
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to delete the segment'),
+  });
+
+  const sendMutation = useMutation({
+    mutationFn: () =>
+      api.sendBulkMessage({
+        ...audience,
+        channels: message.channels,
+        subject: message.channels.includes('email') ? message.subject : undefined,
+        body: message.body,
+        whatsappTemplate: message.channels.includes('whatsapp') ? message.whatsappTemplate : undefined,
+      }),
+    onSuccess: (result) => {
+      toast.success(result.message);
+      setMessage(EMPTY_MESSAGE);
+      setExpandedId(result.bulkMessage.id);
+      queryClient.invalidateQueries({ queryKey: ['bulkMessages'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to send the message'),
+  });
+
+  if (user && !isAdmin) {
+    return <Navigate to="/dashboard" />;
+  }
+
+  const updateFilter = <K extends keyof SegmentFilters>(key: K, value: SegmentFilters[K] | undefined) => {
+    setFilters((prev) => {
+      const next = { ...prev, [key]: value };
+      if (value === undefined || (typeof value === 'number' && Number.isNaN(value))) delete next[key];
+      // A shift belongs to a branch
+      if (key === 'branchId') delete next.shiftId;
+      return next;
+    });
+  };
+
+  const chooseSegment = (value: string) => {
+    const chosen: StudentSegment | undefined = segmentsData?.segments.find((saved) => saved.id === Number(value));
+    setSegmentId(chosen ? chosen.id : null);
+    setFilters(chosen ? { ...chosen.filters } : { status: 'active' });
+  };
+
+  const toggleChannel = (channel: NotificationChannel) => {
+    setMessage((prev) => ({
+      ...prev,
+      channels: prev.channels.includes(channel)
+        ? prev.channels.filter((selected) => selected !== channel)
+        : [...prev.channels, channel],
+    }));
+  };
+
+  const branchName = (id: number) => branches.find((branch) => branch.id === id)?.name || `Branch #${id}`;
+  const reachable = preview
+    ? message.channels.reduce((total, channel) => Math.max(total, preview.reachable[channel]), 0)
+    : 0;
+
+  return (
+    <div className="flex h-screen bg-gray-50">
+      <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <Navbar />
+        <div className="flex-1 overflow-auto p-6 space-y-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+              <MessagesSquare className="w-6 h-6 mr-2 text-purple-600" />
+              Bulk Messages
+            </h2>
+            <p className="text-sm text-gray-600">
+              Send one message to every student matching a filter. Each student gets it with their own name, due,
+              expiry date and seat.
+            </p>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Recipients</CardTitle>
+              <CardDescription>Pick a saved segment or filter the students, and save the filter to use it again.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label htmlFor="bulkSegment" className="block text-sm font-medium text-gray-700">Segment</label>
+                  <select
+                    id="bulkSegment"
+                    value={segmentId ?? ''}
+                    onChange={(e) => chooseSegment(e.target.value)}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="">Custom filter</option>
+                    {segmentsData?.segments.map((saved) => (
+                      <option key={saved.id} value={saved.id}>{saved.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="bulkBranch" className="block text-sm font-medium text-gray-700">Branch</label>
+                  <select
+                    id="bulkBranch"
+                    value={filters.branchId ?? ''}
+                    onChange={(e) => updateFilter('branchId', numberOrUndefined(e.target.value))}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="">All branches</option>
+                    {branches.map((branch) => (
+                      <option key={branch.id} value={branch.id}>{branch.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="bulkShift" className="block text-sm font-medium text-gray-700">Shift</label>
+                  <select
+                    id="bulkShift"
+                    value={filters.shiftId ?? ''}
+                    onChange={(e) => updateFilter('shiftId', numberOrUndefined(e.target.value))}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="">All shifts</option>
+                    {schedulesData?.schedules.map((schedule) => (
+                      <option key={schedule.id} value={schedule.id}>{schedule.title}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="bulkStatus" className="block text-sm font-medium text-gray-700">Status</label>
+                  <select
+                    id="bulkStatus"
+                    value={filters.status ?? ''}
+                    onChange={(e) => updateFilter('status', (e.target.value || undefined) as SegmentStatus | undefined)}
+                    className="w-full p-2 border rounded-md"
+                  >
+                    <option value="">Any status</option>
+                    {segmentsData &&
+                      (Object.keys(segmentsData.statuses) as SegmentStatus[]).map((status) => (
+                        <option key={status} value={status}>{segmentsData.statuses[status]}</option>
+                      ))}
+                  </select>
+                </div>
+                <div>
+                  <span className="block text-sm font-medium text-gray-700">Due amount</span>
+                  <div className="flex items-center gap-2">
+                    <Input
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      aria-label="Lowest due"
+                      placeholder="From"
+                      value={filters.minDue ?? ''}
+                      onChange={(e) => updateFilter('minDue', numberOrUndefined(e.target.value))}
+                    />
+                    <Input
+                      type="number"
+                      min={0}
+                      step="0.01"
+                      aria-label="Highest due"
+                      placeholder="To"
+                      value={filters.maxDue ?? ''}
+                      onChange={(e) => updateFilter('maxDue', numberOrUndefined(e.target.value))}
+                    />
+                  </div>
+                </div>
+                <div>
+                  <span className="block text-sm font-medium text-gray-700">Membership ends (days from today)</span>
+                  <div className="flex items-center gap-2">
+                    <Input
+                      type="number"
+                      aria-label="Ends from day"
+                      placeholder="From, e.g. -7"
+                      value={filters.expiryFromDays ?? ''}
+                      onChange={(e) => updateFilter('expiryFromDays', numberOrUndefined(e.target.value))}
+                    />
+                    <Input
+                      type="number"
+                      aria-label="Ends up to day"
+                      placeholder="To, e.g. 7"
+                      value={filters.expiryToDays ?? ''}
+                      onChange={(e) => updateFilter('expiryToDays', numberOrUndefined(e.target.value))}
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex flex-wrap items-end gap-2">
+                {segment && !sameFilters(segment.filters, filters) && (
+                  <Button
+                    variant="outline"
+                    disabled={saveSegmentMutation.isPending}
+                    onClick={() => saveSegmentMutation.mutate(false)}
+                  >
+                    Update "{segment.name}"
+                  </Button>
+                )}
+                {segment && (
+                  <Button
+                    variant="outline"
+                    disabled={deleteSegmentMutation.isPending}
+                    onClick={() => {
+                      if (window.confirm(`Delete the segment "${segment.name}"?`)) deleteSegmentMutation.mutate(segment.id);
+                    }}
+                  >
+                    Delete segment
+                  </Button>
+                )}
+                <Input
+                  className="max-w-xs"
+                  value={segmentName}
+                  maxLength={100}
+                  placeholder="New segment name"
+                  onChange={(e) => setSegmentName(e.target.value)}
+                />
+                <Button
+                  variant="outline"
+                  disabled={!segmentName.trim() || saveSegmentMutation.isPending}
+                  onClick={() => saveSegmentMutation.mutate(true)}
+                >
+                  Save as segment
+                </Button>
+              </div>
+
+              <div className="rounded-md bg-gray-50 border p-3 text-sm">
+                {!preview ? (
+                  <span className="text-gray-500">Counting students...</span>
+                ) : (
+                  <div className={previewLoading ? 'opacity-60' : ''}>
+                    <p className="font-medium text-gray-800">
+                      {preview.count} student{preview.count === 1 ? '' : 's'} match
+                      <span className="font-normal text-gray-600">
+                        {' '}— {(Object.keys(CHANNEL_LABELS) as NotificationChannel[])
+                          .map((channel) => `${CHANNEL_LABELS[channel]}: ${preview.reachable[channel]}`)
+                          .join(', ')}
+                      </span>
+                    </p>
+                    {preview.sample.length > 0 && (
+                      <p className="text-gray-500">
+                        {preview.sample.join(', ')}
+                        {preview.count > preview.sample.length ? ` and ${preview.count - preview.sample.length} more` : ''}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Message</CardTitle>
+              <CardDescription>
+                Placeholders such as{' '}
+                {segmentsData
+                  ? Object.keys(segmentsData.variables).map((name) => `{{${name}}}`).join(', ')
+                  : '{{name}}'}{' '}
+                are filled in for each student. A WhatsApp message must use a template approved for your WhatsApp
+                account, with the message below repeating its text.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (window.confirm(`Send this message to ${preview?.count ?? 'the matching'} students?`)) sendMutation.mutate();
+                }}
+                className="space-y-4"
+              >
+                <div className="flex flex-wrap gap-4">
+                  {(Object.keys(CHANNEL_LABELS) as NotificationChannel[]).map((channel) => (
+                    <label key={channel} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={message.channels.includes(channel)}
+                        onChange={() => toggleChannel(channel)}
+                      />
+                      {CHANNEL_LABELS[channel]}
+                    </label>
+                  ))}
+                </div>
+                {message.channels.includes('email') && (
+                  <div>
+                    <label htmlFor="bulkSubject" className="block text-sm font-medium text-gray-700">Email subject</label>
+                    <Input
+                      id="bulkSubject"
+                      value={message.subject}
+                      maxLength={255}
+                      onChange={(e) => setMessage({ ...message, subject: e.target.value })}
+                    />
+                  </div>
+                )}
+                {message.channels.includes('whatsapp') && (
+                  <div>
+                    <label htmlFor="bulkWhatsappTemplate" className="block text-sm font-medium text-gray-700">
+                      WhatsApp template name
+                    </label>
+                    <Input
+                      id="bulkWhatsappTemplate"
+                      value={message.whatsappTemplate}
+                      maxLength={100}
+                      placeholder="e.g. library_update"
+                      onChange={(e) => setMessage({ ...message, whatsappTemplate: e.target.value })}
+                    />
+                  </div>
+                )}
+                <div>
+                  <label htmlFor="bulkBody" className="block text-sm font-medium text-gray-700">Message</label>
+                  <textarea
+                    id="bulkBody"
+                    rows={5}
+                    value={message.body}
+                    maxLength={5000}
+                    placeholder="Hi {{name}}, ..."
+                    onChange={(e) => setMessage({ ...message, body: e.target.value })}
+                    className="w-full p-2 border rounded-md text-sm"
+                  />
+                </div>
+                {preview?.example && (
+                  <div className="rounded-md border p-3 text-sm">
+                    <p className="text-xs text-gray-500 mb-1">As {preview.example.name} gets it</p>
+                    {message.channels.includes('email') && preview.example.subject && (
+                      <p className="font-medium text-gray-700">{preview.example.subject}</p>
+                    )}
+                    <p className="text-gray-700 whitespace-pre-wrap">{preview.example.body}</p>
+                  </div>
+                )}
+                <div className="flex justify-end">
+                  <Button
+                    type="submit"
+                    disabled={sendMutation.isPending || message.channels.length === 0 || !message.body.trim() || reachable === 0}
+                  >
+                    {sendMutation.isPending ? 'Sending...' : 'Send Message'}
+                  </Button>
+                </div>
+              </form>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Sent Messages</CardTitle>
+              <CardDescription>
+                Messages are sent within a few minutes and failures are tried again a few times. Every message also
+                shows in the notification log.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              {historyLoading ? (
+                <div>Loading...</div>
+              ) : !historyData || historyData.bulkMessages.length === 0 ? (
+                <p className="text-sm text-gray-500">No bulk messages sent yet.</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2 pr-4"></th>
+                        <th className="py-2 pr-4">Sent</th>
+                        <th className="py-2 pr-4">To</th>
+                        <th className="py-2 pr-4">Channels</th>
+                        <th className="py-2 pr-4">Message</th>
+                        <th className="py-2 pr-4">Delivery</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {historyData.bulkMessages.map((bulkMessage) => (
+                        <React.Fragment key={bulkMessage.id}>
+                          <tr
+                            className="border-b last:border-0 cursor-pointer hover:bg-gray-50 align-top"
+                            onClick={() => setExpandedId(expandedId === bulkMessage.id ? null : bulkMessage.id)}
+                          >
+                            <td className="py-2 pr-2">
+                              {expandedId === bulkMessage.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                            </td>
+                            <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(bulkMessage.createdAt)}</td>
+                            <td className="py-2 pr-4">
+                              {bulkMessage.segmentName || describeFilters(bulkMessage.filters, segmentsData?.statuses, branchName)}
+                              <div className="text-xs text-gray-500">
+                                {bulkMessage.recipientCount} student{bulkMessage.recipientCount === 1 ? '' : 's'}
+                              </div>
+                            </td>
+                            <td className="py-2 pr-4">
+                              {bulkMessage.channels.map((channel) => CHANNEL_LABELS[channel]).join(', ')}
+                            </td>
+                            <td className="py-2 pr-4 max-w-xs truncate">{bulkMessage.subject || bulkMessage.body}</td>
+                            <td className="py-2 pr-4">
+                              <div className="flex flex-wrap gap-1">
+                                <Badge className="bg-green-100 text-green-800">Sent: {bulkMessage.delivery.sent}</Badge>
+                                {bulkMessage.delivery.pending + bulkMessage.delivery.sending > 0 && (
+                                  <Badge className="bg-yellow-100 text-yellow-800">
+                                    Queued: {bulkMessage.delivery.pending + bulkMessage.delivery.sending}
+                                  </Badge>
+                                )}
+                                {bulkMessage.delivery.failed > 0 && (
+                                  <Badge className="bg-red-100 text-red-800">Failed: {bulkMessage.delivery.failed}</Badge>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                          {expandedId === bulkMessage.id && (
+                            <tr className="border-b bg-gray-50">
+                              <td></td>
+                              <td colSpan={5} className="py-3 pr-4">
+                                <BulkMessageDetails bulkMessage={bulkMessage} />
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkMessages;
@@ -4,6 +4,7 @@ import { motion } from 'framer-motion';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../context/AuthContext';
 import Sidebar from '../components/Sidebar';
+import DayCollections from '../components/DayCollections';
 import api from '../services/api';
 import { Loader2 } from 'lucide-react';
 
@@ -83,6 +84,7 @@ const CollectionDue: React.FC = () => {
       toast.success('Payment updated successfully');
       setIsPayModalOpen(false);
       queryClient.invalidateQueries({ queryKey: ['collections'] });
+      queryClient.invalidateQueries({ queryKey: ['dayCollections'] });
       if (user?.role === 'admin') {
         queryClient.invalidateQueries({ queryKey: ['collectionStats'] });
       }
@@ -152,14 +154,16 @@ const CollectionDue: React.FC = () => {
               onChange={(e) => setSelectedMonth(e.target.value)}
               className="p-2 border rounded-md"
             />
-            <select
-              value={selectedBranchId || ''}
-              onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : null)}
-              className="p-2 border rounded-md"
-            >
-              <option value="">All Branches</option>
-              {branches.map((branch) => <option key={branch.id} value={branch.id}>{branch.name}</option>)}
-            </select>
+            {branches.length > 1 && (
+              <select
+                value={selectedBranchId || ''}
+                onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : null)}
+                className="p-2 border rounded-md"
+              >
+                <option value="">All Branches</option>
+                {branches.map((branch) => <option key={branch.id} value={branch.id}>{branch.name}</option>)}
+              </select>
+            )}
           </div>
 
           {/* CONDITIONAL ADMIN-ONLY STATS BLOCK */}
@@ -227,6 +231,16 @@ const CollectionDue: React.FC = () => {
               </table>
             )}
           </div>
+
+          <DayCollections
+            queryKey="dayCollections"
+            fetchCollections={api.getDayCollections}
+            branchId={selectedBranchId}
+            onReceiptCancelled={() => {
+              queryClient.invalidateQueries({ queryKey: ['collections'] });
+              queryClient.invalidateQueries({ queryKey: ['collectionStats'] });
+            }}
+          />
         </motion.div>
 
         {/* Payment Modal */}
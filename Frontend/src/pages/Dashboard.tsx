@@ -301,24 +301,26 @@ const Dashboard: React.FC = () => {
         <div className="flex-1 overflow-y-auto p-6">
           <div className="max-w-7xl mx-auto">
             <h1 className="text-3xl font-bold text-gray-800 mb-6">Dashboard</h1>
-            <div className="mb-6">
-              <label htmlFor="branch-select" className="text-sm font-medium text-gray-700 mr-2">
-                Filter by Branch:
-              </label>
-              <select
-                id="branch-select"
-                value={selectedBranchId ?? 'all'}
-                onChange={(e) => setSelectedBranchId(e.target.value === 'all' ? null : parseInt(e.target.value, 10))}
-                className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-600"
-              >
-                <option value="all">All Branches</option>
-                {branches.map((branch) => (
-                  <option key={branch.id} value={branch.id.toString()}>
-                    {branch.name}
-                  </option>
-                ))}
-              </select>
-            </div>
+            {branches.length > 1 && (
+              <div className="mb-6">
+                <label htmlFor="branch-select" className="text-sm font-medium text-gray-700 mr-2">
+                  Filter by Branch:
+                </label>
+                <select
+                  id="branch-select"
+                  value={selectedBranchId ?? 'all'}
+                  onChange={(e) => setSelectedBranchId(e.target.value === 'all' ? null : parseInt(e.target.value, 10))}
+                  className="border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-600"
+                >
+                  <option value="all">All Branches</option>
+                  {branches.map((branch) => (
+                    <option key={branch.id} value={branch.id.toString()}>
+                      {branch.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
             <h2 className="text-xl font-semibold mb-4">Library Statistics</h2>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
               <Link to="/students" className="block">
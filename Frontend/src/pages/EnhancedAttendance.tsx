@@ -18,13 +18,18 @@ import {
   RefreshCw,
   X,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  FileSpreadsheet,
+  FileText
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import Navbar from '../components/Navbar';
 import Sidebar from '../components/Sidebar';
 import BarcodeGenerator from '../components/BarcodeGenerator';
-import api from '../services/api';
+import AttendanceInsights from '../components/AttendanceInsights';
+import api, { AttendanceFilters, ShiftAttendanceStatus } from '../services/api';
+import { getShiftStatusDisplay } from '../utils/attendanceUtils';
+import { createAttendanceRegisterPdf } from '../utils/attendanceRegisterPdf';
 
 interface AttendanceRecord {
   studentId: number;
@@ -36,6 +41,14 @@ interface AttendanceRecord {
   lastOut: string | null;
   totalScans: number;
   status?: string;
+  isFlagged?: boolean;
+  flagReasons?: string | null;
+  autoClosed?: boolean;
+  lastOutId?: number | null;
+  shiftStatus?: ShiftAttendanceStatus;
+  lateMinutes?: number;
+  earlyMinutes?: number;
+  shiftTitle?: string | null;
 }
 
 interface DashboardStats {
@@ -67,8 +80,14 @@ const EnhancedAttendance: React.FC = () => {
     endDate: new Date().toISOString().split('T')[0]
   });
   const [selectedMonth, setSelectedMonth] = useState(new Date().toISOString().slice(0, 7));
-  const [filterStatus, setFilterStatus] = useState<'all' | 'present' | 'absent'>('all');
+  const [filterStatus, setFilterStatus] = useState<'all' | 'present' | 'absent' | 'flagged'>('all');
   const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0 });
+  const [correction, setCorrection] = useState<{ id: number; time: string } | null>(null);
+  const [branches, setBranches] = useState<{ id: number; name: string }[]>([]);
+  const [shifts, setShifts] = useState<{ id: number; title: string }[]>([]);
+  const [branchId, setBranchId] = useState<number | undefined>(undefined);
+  const [shiftId, setShiftId] = useState<number | undefined>(undefined);
+  const [isExporting, setIsExporting] = useState(false);
 
   // Handler functions for filters
   const handleSearchChange = (value: string) => {
@@ -91,13 +110,25 @@ const EnhancedAttendance: React.FC = () => {
     setPagination(prev => ({ ...prev, page: 1 }));
   };
 
-  const handleFilterStatusChange = (status: 'all' | 'present' | 'absent') => {
+  const handleFilterStatusChange = (status: 'all' | 'present' | 'absent' | 'flagged') => {
     setFilterStatus(status);
     setPagination(prev => ({ ...prev, page: 1 }));
   };
 
+  const handleBranchChange = (value: string) => {
+    setBranchId(value ? parseInt(value) : undefined);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleShiftChange = (value: string) => {
+    setShiftId(value ? parseInt(value) : undefined);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
   const clearAllFilters = () => {
     setSearchTerm('');
+    setBranchId(undefined);
+    setShiftId(undefined);
     setSelectedDate(new Date().toISOString().split('T')[0]);
     setSelectedMonth(new Date().toISOString().slice(0, 7));
     setFilterStatus('all');
@@ -109,7 +140,16 @@ const EnhancedAttendance: React.FC = () => {
     loadAttendance();
     loadStats();
     loadLibraryInfo();
-  }, [viewMode, selectedDate, selectedMonth, filterStatus, searchTerm, pagination.page]);
+  }, [viewMode, selectedDate, selectedMonth, filterStatus, searchTerm, branchId, shiftId, pagination.page]);
+
+  useEffect(() => {
+    api.getBranches()
+      .then((data) => setBranches(data || []))
+      .catch((error) => console.error('Error loading branches:', error));
+    api.getSchedules()
+      .then((data) => setShifts(data.schedules || []))
+      .catch((error) => console.error('Error loading shifts:', error));
+  }, []);
 
   const loadLibraryInfo = async () => {
     try {
@@ -124,34 +164,46 @@ const EnhancedAttendance: React.FC = () => {
     }
   };
 
+  // Filters shared by the list, the CSV/XLSX export and the register so they always show the same numbers
+  const buildFilters = (): AttendanceFilters => {
+    const filters: AttendanceFilters = {
+      view: viewMode,
+      search: searchTerm.trim(),
+      branchId,
+      shiftId
+    };
+
+    if (viewMode === 'daily') {
+      if (showFilters && dateRange.startDate && dateRange.endDate) {
+        filters.view = 'range';
+        filters.startDate = dateRange.startDate;
+        filters.endDate = dateRange.endDate;
+      } else {
+        filters.date = selectedDate;
+      }
+    } else if (viewMode === 'monthly') {
+      // Extract month and year from selectedMonth (format: YYYY-MM)
+      const [year, month] = selectedMonth.split('-');
+      filters.month = parseInt(month);
+      filters.year = parseInt(year);
+    }
+
+    // Backend filters by presence/absence based on data availability; only flagged check-ins are filtered server-side
+    if (filterStatus === 'flagged') {
+      filters.flagged = true;
+    }
+    return filters;
+  };
+
   const loadAttendance = async () => {
     setIsLoading(true);
     try {
-      const filters: any = {
+      const filters = {
+        ...buildFilters(),
         page: pagination.page,
-        limit: pagination.limit,
-        view: viewMode,
-        search: searchTerm.trim()
+        limit: pagination.limit
       };
 
-      if (viewMode === 'daily') {
-        if (showFilters && dateRange.startDate && dateRange.endDate) {
-          // For date range filtering, use the date parameter with start date
-          filters.date = dateRange.startDate;
-          // Note: Backend currently doesn't support date ranges, using single date
-        } else {
-          filters.date = selectedDate;
-        }
-      } else if (viewMode === 'monthly') {
-        // Extract month and year from selectedMonth (format: YYYY-MM)
-        const [year, month] = selectedMonth.split('-');
-        filters.month = parseInt(month);
-        filters.year = parseInt(year);
-      }
-
-      // Remove status filter as backend doesn't currently support it
-      // Backend filters by presence/absence based on data availability
-
       console.log('Loading attendance with filters:', filters);
       const data = await api.fetchAttendance(filters);
       
@@ -170,6 +222,20 @@ const EnhancedAttendance: React.FC = () => {
     }
   };
 
+  // Save an owner correction of an automatic check-out
+  const saveCorrection = async () => {
+    if (!correction || !correction.time) return;
+    try {
+      await api.correctAttendanceTime(correction.id, correction.time);
+      toast.success('Check-out time corrected');
+      setCorrection(null);
+      await loadAttendance();
+    } catch (error) {
+      console.error('Error correcting attendance:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to correct check-out time');
+    }
+  };
+
   const loadStats = async () => {
     try {
       const [dashboardStats, totalStudentsResp, activeStudentsResp] = await Promise.all([
@@ -232,30 +298,54 @@ const EnhancedAttendance: React.FC = () => {
     }
   };
 
-  const exportToCSV = () => {
-    const headers = ['Student Name', 'Registration Number', 'Phone', 'Date', 'First In', 'Last Out', 'Total Scans'];
-    const csvContent = [
-      headers.join(','),
-      ...attendance.map(record => [
-        record.studentName,
-        record.registrationNumber,
-        record.phone,
-        formatDate(record.date),
-        formatTime(record.firstIn),
-        formatTime(record.lastOut),
-        record.totalScans
-      ].join(','))
-    ].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
+  const downloadFile = (blob: Blob, fileName: string) => {
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `attendance-${viewMode}-${selectedDate || selectedMonth}.csv`;
+    a.download = fileName;
     a.click();
     window.URL.revokeObjectURL(url);
   };
 
+  const exportAttendance = async (format: 'csv' | 'xlsx') => {
+    setIsExporting(true);
+    try {
+      const filters = buildFilters();
+      const blob = await api.exportAttendance(format, filters);
+      const period = filters.view === 'range'
+        ? `${filters.startDate}_to_${filters.endDate}`
+        : filters.view === 'daily' ? selectedDate : selectedMonth;
+      downloadFile(blob, `attendance-${period}.${format}`);
+    } catch (error) {
+      console.error('Error exporting attendance:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to export attendance');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Monthly register for the month on screen (the month of the selected date in the daily view)
+  const downloadRegister = async () => {
+    setIsExporting(true);
+    try {
+      const [year, month] = (viewMode === 'monthly' ? selectedMonth : selectedDate.slice(0, 7)).split('-');
+      const register = await api.getAttendanceRegister({
+        month: parseInt(month),
+        year: parseInt(year),
+        branchId,
+        shiftId,
+        search: searchTerm.trim()
+      });
+      const pdf = createAttendanceRegisterPdf(register, library?.name || 'Library');
+      pdf.save(`attendance-register-${year}-${month}.pdf`);
+    } catch (error) {
+      console.error('Error generating attendance register:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to generate attendance register');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   return (
     <div className="flex h-screen bg-gray-50">
       <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={handleBarcodeClick} />
@@ -308,13 +398,30 @@ const EnhancedAttendance: React.FC = () => {
                     <span>Filters</span>
                   </button>
                   
-                  {/* Export Button */}
+                  {/* Export Buttons */}
                   <button
-                    onClick={exportToCSV}
-                    className="bg-white/20 backdrop-blur-sm hover:bg-white/30 px-4 py-2 rounded-lg transition-all duration-200 flex items-center space-x-2"
+                    onClick={() => exportAttendance('csv')}
+                    disabled={isExporting}
+                    className="bg-white/20 backdrop-blur-sm hover:bg-white/30 disabled:opacity-50 px-4 py-2 rounded-lg transition-all duration-200 flex items-center space-x-2"
                   >
                     <Download className="w-4 h-4" />
-                    <span>Export</span>
+                    <span>CSV</span>
+                  </button>
+                  <button
+                    onClick={() => exportAttendance('xlsx')}
+                    disabled={isExporting}
+                    className="bg-white/20 backdrop-blur-sm hover:bg-white/30 disabled:opacity-50 px-4 py-2 rounded-lg transition-all duration-200 flex items-center space-x-2"
+                  >
+                    <FileSpreadsheet className="w-4 h-4" />
+                    <span>Excel</span>
+                  </button>
+                  <button
+                    onClick={downloadRegister}
+                    disabled={isExporting}
+                    className="bg-white/20 backdrop-blur-sm hover:bg-white/30 disabled:opacity-50 px-4 py-2 rounded-lg transition-all duration-200 flex items-center space-x-2"
+                  >
+                    <FileText className="w-4 h-4" />
+                    <span>Register</span>
                   </button>
                   
                   {/* Refresh Button */}
@@ -379,17 +486,48 @@ const EnhancedAttendance: React.FC = () => {
                       </div>
                     )}
 
+                    {/* Branch Filter */}
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-blue-100">Branch</label>
+                      <select
+                        value={branchId ?? ''}
+                        onChange={(e) => handleBranchChange(e.target.value)}
+                        className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-white/50"
+                      >
+                        <option value="" className="text-gray-800">All Branches</option>
+                        {branches.map((branch) => (
+                          <option key={branch.id} value={branch.id} className="text-gray-800">{branch.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    {/* Shift Filter */}
+                    <div className="space-y-2">
+                      <label className="text-sm font-medium text-blue-100">Shift</label>
+                      <select
+                        value={shiftId ?? ''}
+                        onChange={(e) => handleShiftChange(e.target.value)}
+                        className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-white/50"
+                      >
+                        <option value="" className="text-gray-800">All Shifts</option>
+                        {shifts.map((shift) => (
+                          <option key={shift.id} value={shift.id} className="text-gray-800">{shift.title}</option>
+                        ))}
+                      </select>
+                    </div>
+
                     {/* Status Filter */}
                     <div className="space-y-2">
                       <label className="text-sm font-medium text-blue-100">Filter by Status</label>
                       <select
                         value={filterStatus}
-                        onChange={(e) => handleFilterStatusChange(e.target.value as 'all' | 'present' | 'absent')}
+                        onChange={(e) => handleFilterStatusChange(e.target.value as 'all' | 'present' | 'absent' | 'flagged')}
                         className="w-full px-3 py-2 bg-white/20 border border-white/30 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-white/50"
                       >
                         <option value="all" className="text-gray-800">All Students</option>
                         <option value="present" className="text-gray-800">Present Only</option>
                         <option value="absent" className="text-gray-800">Absent Only</option>
+                        <option value="flagged" className="text-gray-800">Flagged Check-ins</option>
                       </select>
                     </div>
 
@@ -407,7 +545,7 @@ const EnhancedAttendance: React.FC = () => {
                   </div>
 
                   {/* Clear Filters */}
-                  {(searchTerm || filterStatus !== 'all') && (
+                  {(searchTerm || filterStatus !== 'all' || branchId || shiftId) && (
                     <div className="mt-4 pt-4 border-t border-white/20">
                       <button
                         onClick={clearAllFilters}
@@ -564,9 +702,40 @@ const EnhancedAttendance: React.FC = () => {
                               <div className="bg-red-100 p-2 rounded-lg mr-3">
                                 <Clock className="w-4 h-4 text-red-600" />
                               </div>
-                              <div className="text-sm font-medium text-gray-900">
-                                {formatTime(record.lastOut)}
-                              </div>
+                              {correction && correction.id === record.lastOutId ? (
+                                <div className="flex items-center space-x-2">
+                                  <input
+                                    type="time"
+                                    value={correction.time}
+                                    onChange={(e) => setCorrection({ ...correction, time: e.target.value })}
+                                    className="px-2 py-1 border border-gray-300 rounded text-sm"
+                                  />
+                                  <button onClick={saveCorrection} className="text-xs text-blue-600 hover:text-blue-800">Save</button>
+                                  <button onClick={() => setCorrection(null)} className="text-xs text-gray-500 hover:text-gray-700">Cancel</button>
+                                </div>
+                              ) : (
+                                <div>
+                                  <div className="text-sm font-medium text-gray-900">
+                                    {formatTime(record.lastOut)}
+                                  </div>
+                                  {record.autoClosed && record.lastOutId && (
+                                    <div className="flex items-center space-x-2 mt-1">
+                                      <span
+                                        title="No scan out was recorded; the student was checked out automatically"
+                                        className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800"
+                                      >
+                                        Auto
+                                      </span>
+                                      <button
+                                        onClick={() => setCorrection({ id: record.lastOutId as number, time: '' })}
+                                        className="text-xs text-blue-600 hover:text-blue-800"
+                                      >
+                                        Correct
+                                      </button>
+                                    </div>
+                                  )}
+                                </div>
+                              )}
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -582,6 +751,27 @@ const EnhancedAttendance: React.FC = () => {
                             }`}>
                               {record.lastOut ? 'Checked Out' : 'Checked In'}
                             </span>
+                            {record.shiftStatus && record.shiftStatus !== 'present' && (
+                              <span
+                                title={[
+                                  record.shiftTitle ? `Shift: ${record.shiftTitle}` : '',
+                                  record.lateMinutes ? `${record.lateMinutes} min late` : '',
+                                  record.earlyMinutes ? `left ${record.earlyMinutes} min early` : ''
+                                ].filter(Boolean).join(', ')}
+                                className={`ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getShiftStatusDisplay(record.shiftStatus).className}`}
+                              >
+                                {getShiftStatusDisplay(record.shiftStatus).label}
+                              </span>
+                            )}
+                            {record.isFlagged && (
+                              <span
+                                title={record.flagReasons || 'Checked in outside the branch geofence'}
+                                className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+                              >
+                                <AlertTriangle className="w-3 h-3 mr-1" />
+                                Flagged
+                              </span>
+                            )}
                           </td>
                         </tr>
                       ))}
@@ -631,6 +821,9 @@ const EnhancedAttendance: React.FC = () => {
                 </div>
               </div>
             )}
+
+            {/* Shift-aware absentee and punctuality reports */}
+            <AttendanceInsights />
           </div>
         </div>
       </div>
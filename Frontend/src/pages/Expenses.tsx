@@ -51,7 +51,10 @@ const Expenses: React.FC = () => {
       try {
         const data = await api.getBranches();
         console.log('Fetched branches:', data);
-        setBranches(Array.isArray(data) ? data : []);
+        const branchList = Array.isArray(data) ? data : [];
+        setBranches(branchList);
+        // Staff limited to a single branch get it preselected instead of a picker
+        if (branchList.length === 1) setSelectedBranchId(branchList[0].id);
       } catch (error) {
         console.error('Failed to fetch branches:', error);
         toast.error('Failed to load branches');
@@ -271,26 +274,28 @@ const Expenses: React.FC = () => {
             >
               💸 Expenses
             </motion.h1>
-            <motion.div
-              className="bg-white shadow-md rounded-lg p-6 mb-4"
-              initial={{ opacity: 0, scale: 0.98 }}
-              animate={{ opacity: 1, scale: 1 }}
-              transition={{ delay: 0.15 }}
-            >
-              <label className="block text-gray-700 font-semibold mb-2">Filter by Branch</label>
-              <select
-                value={selectedBranchId ?? ''}
-                onChange={handleBranchChange}
-                className="w-full sm:w-1/3 px-4 py-2 border border-gray-300 rounded-md"
+            {branches.length > 1 && (
+              <motion.div
+                className="bg-white shadow-md rounded-lg p-6 mb-4"
+                initial={{ opacity: 0, scale: 0.98 }}
+                animate={{ opacity: 1, scale: 1 }}
+                transition={{ delay: 0.15 }}
               >
-                <option value="">All Branches</option>
-                {branches.map(branch => (
-                  <option key={branch.id} value={branch.id.toString()}>
-                    {branch.name}
-                  </option>
-                ))}
-              </select>
-            </motion.div>
+                <label className="block text-gray-700 font-semibold mb-2">Filter by Branch</label>
+                <select
+                  value={selectedBranchId ?? ''}
+                  onChange={handleBranchChange}
+                  className="w-full sm:w-1/3 px-4 py-2 border border-gray-300 rounded-md"
+                >
+                  <option value="">All Branches</option>
+                  {branches.map(branch => (
+                    <option key={branch.id} value={branch.id.toString()}>
+                      {branch.name}
+                    </option>
+                  ))}
+                </select>
+              </motion.div>
+            )}
             <motion.div
               className="bg-white shadow-md rounded-lg p-6 mb-8"
               initial={{ opacity: 0, scale: 0.98 }}
@@ -345,19 +350,21 @@ const Expenses: React.FC = () => {
                   onChange={handleChange}
                   className="w-full px-4 py-2 border border-gray-300 rounded-md"
                 />
-                <select
-                  name="branchId"
-                  value={formData.branchId}
-                  onChange={handleChange}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-md"
-                >
-                  <option value="">Select Branch (Optional)</option>
-                  {branches.map(branch => (
-                    <option key={branch.id} value={branch.id.toString()}>
-                      {branch.name}
-                    </option>
-                  ))}
-                </select>
+                {branches.length > 1 && (
+                  <select
+                    name="branchId"
+                    value={formData.branchId}
+                    onChange={handleChange}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-md"
+                  >
+                    <option value="">Select Branch (Optional)</option>
+                    {branches.map(branch => (
+                      <option key={branch.id} value={branch.id.toString()}>
+                        {branch.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
               </div>
               <div className="mt-4 flex justify-end space-x-2">
                 <button
@@ -317,15 +317,17 @@ const ExpiredMemberships = () => {
                 onChange={(e) => setSearchTerm(e.target.value)}
               />
             </div>
-            <div className="w-64">
-              <Select
-                options={branchFilterOptions}
-                value={selectedBranchFilter}
-                onChange={setSelectedBranchFilter}
-                placeholder="Filter by Branch"
-                isClearable
-              />
-            </div>
+            {branchOptions.length > 1 && (
+              <div className="w-64">
+                <Select
+                  options={branchFilterOptions}
+                  value={selectedBranchFilter}
+                  onChange={setSelectedBranchFilter}
+                  placeholder="Filter by Branch"
+                  isClearable
+                />
+              </div>
+            )}
           </div>
           {loading ? (
             <p>Loading...</p>
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { motion } from 'framer-motion';
+import Sidebar from '../components/Sidebar';
+import api, { GstSummary as GstSummaryData } from '../services/api';
+
+const formatAmount = (amount: number) => amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Monthly GST summary of the tax invoices issued, by fee type and rate, for filing returns
+const GstSummary: React.FC = () => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [month, setMonth] = useState(new Date().toISOString().slice(0, 7));
+  const [data, setData] = useState<GstSummaryData | null>(null);
+
+  const handleFetch = async () => {
+    try {
+      const response = await api.getGstSummary(month);
+      setData(response);
+    } catch (error) {
+      console.error('Failed to fetch GST summary:', error);
+      toast.error('Failed to load GST summary');
+    }
+  };
+
+  return (
+    <div className="flex h-screen overflow-hidden bg-[#fef9f6]">
+      <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+
+      <div className="flex-1 overflow-y-auto p-4 md:p-6">
+        <motion.div
+          className="max-w-5xl mx-auto"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          <motion.h1
+            className="text-2xl md:text-3xl font-bold mb-6 text-gray-800 flex items-center gap-2"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+          >
+            🧾 GST Summary
+          </motion.h1>
+
+          <motion.div
+            className="bg-white rounded-lg shadow p-6 mb-6"
+            initial={{ opacity: 0, scale: 0.97 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ delay: 0.15 }}
+          >
+            <label htmlFor="month" className="block text-sm font-medium text-gray-700 mb-2">
+              Select Month
+            </label>
+            <input
+              type="month"
+              id="month"
+              value={month}
+              onChange={(e) => setMonth(e.target.value)}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4"
+            />
+            <button
+              onClick={handleFetch}
+              className="w-full sm:w-auto bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition"
+            >
+              Fetch Report
+            </button>
+          </motion.div>
+
+          {data && (
+            <motion.div
+              className="bg-white p-6 rounded-lg shadow overflow-x-auto"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.25 }}
+            >
+              <h2 className="text-lg font-semibold mb-1 text-gray-800">Tax invoices for {data.month}</h2>
+              <p className="text-sm text-gray-500 mb-4">
+                Credit notes issued in the month are subtracted. Receipts issued without a GSTIN are not included.
+              </p>
+              {data.records.length === 0 ? (
+                <p className="text-gray-500">No tax invoices were issued in this month.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-left text-gray-600">
+                      <th className="py-2 pr-4">Fee type</th>
+                      <th className="py-2 pr-4">SAC</th>
+                      <th className="py-2 pr-4 text-right">Rate</th>
+                      <th className="py-2 pr-4 text-right">Invoices</th>
+                      <th className="py-2 pr-4 text-right">Credit notes</th>
+                      <th className="py-2 pr-4 text-right">Taxable value</th>
+                      <th className="py-2 pr-4 text-right">CGST</th>
+                      <th className="py-2 pr-4 text-right">SGST</th>
+                      <th className="py-2 pr-4 text-right">IGST</th>
+                      <th className="py-2 pr-4 text-right">Total tax</th>
+                      <th className="py-2 text-right">Invoice value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {data.records.map((record) => (
+                      <tr key={`${record.feeType}-${record.sacCode}-${record.rate}`} className="border-b">
+                        <td className="py-2 pr-4">{record.description}</td>
+                        <td className="py-2 pr-4">{record.sacCode}</td>
+                        <td className="py-2 pr-4 text-right">{record.rate}%</td>
+                        <td className="py-2 pr-4 text-right">{record.invoices}</td>
+                        <td className="py-2 pr-4 text-right">{record.creditNotes}</td>
+                        <td className="py-2 pr-4 text-right">{formatAmount(record.taxableValue)}</td>
+                        <td className="py-2 pr-4 text-right">{formatAmount(record.cgst)}</td>
+                        <td className="py-2 pr-4 text-right">{formatAmount(record.sgst)}</td>
+                        <td className="py-2 pr-4 text-right">{formatAmount(record.igst)}</td>
+                        <td className="py-2 pr-4 text-right">{formatAmount(record.totalTax)}</td>
+                        <td className="py-2 text-right">{formatAmount(record.invoiceValue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className="font-semibold">
+                      <td className="py-2 pr-4" colSpan={5}>Total</td>
+                      <td className="py-2 pr-4 text-right">{formatAmount(data.totals.taxableValue)}</td>
+                      <td className="py-2 pr-4 text-right">{formatAmount(data.totals.cgst)}</td>
+                      <td className="py-2 pr-4 text-right">{formatAmount(data.totals.sgst)}</td>
+                      <td className="py-2 pr-4 text-right">{formatAmount(data.totals.igst)}</td>
+                      <td className="py-2 pr-4 text-right">{formatAmount(data.totals.totalTax)}</td>
+                      <td className="py-2 text-right">{formatAmount(data.totals.invoiceValue)}</td>
+                    </tr>
+                  </tfoot>
+                </table>
+              )}
+            </motion.div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default GstSummary;
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'sonner';
 import { motion } from 'framer-motion';
+import { useQueryClient } from '@tanstack/react-query';
 import Sidebar from '../components/Sidebar'; 
+import DayCollections from '../components/DayCollections';
 import api from '../services/api'; 
 
 interface Collection {
@@ -27,6 +29,7 @@ interface Collection {
 }
 
 const HostelCollectionDue: React.FC = () => {
+  const queryClient = useQueryClient();
   const currentMonthDefault = new Date().toISOString().slice(0, 7); 
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [collections, setCollections] = useState<Collection[]>([]);
@@ -176,6 +179,7 @@ const HostelCollectionDue: React.FC = () => {
       toast.success('Payment updated successfully');
       setIsPayModalOpen(false);
       setSelectedCollection(null); 
+      queryClient.invalidateQueries({ queryKey: ['hostelDayCollections'] });
       await fetchCollectionsData(selectedMonth, selectedBranchId); 
     } catch (err: any) {
       console.error('[HostelCollectionDue] Failed to update payment:', err);
@@ -348,6 +352,13 @@ const HostelCollectionDue: React.FC = () => {
             </div>
           )}
 
+          <DayCollections
+            queryKey="hostelDayCollections"
+            fetchCollections={api.getHostelDayCollections}
+            branchId={selectedBranchId ? Number(selectedBranchId) : null}
+            onReceiptCancelled={() => fetchCollectionsData(selectedMonth, selectedBranchId)}
+          />
+
             {isPayModalOpen && selectedCollection && (
               <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 backdrop-blur-sm">
                 <motion.div 
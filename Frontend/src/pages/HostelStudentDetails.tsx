@@ -1,14 +1,17 @@
 // HostelStudentDetails.tsx
-import React from 'react';
+import React, { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import api from '../services/api';
+import CollectDueModal from '../components/CollectDueModal';
 import { ArrowLeft } from 'lucide-react';
 import SDMLibLogo from './SDMLibLogo.jpg';
 
 const HostelStudentDetails: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [isCollectDueOpen, setIsCollectDueOpen] = useState(false);
 
   const { data, isLoading, error } = useQuery({
     queryKey: ['hostelStudent', id],
@@ -46,6 +49,14 @@ const HostelStudentDetails: React.FC = () => {
           Back
         </button>
         <div className="flex items-center space-x-3">
+          {(latestHistory.dueAmount || 0) > 0 && (
+            <button
+              onClick={() => setIsCollectDueOpen(true)}
+              className="inline-flex items-center rounded-md bg-purple-600 px-4 py-2 text-sm font-medium text-white shadow hover:bg-purple-700 transition-colors"
+            >
+              Collect Due
+            </button>
+          )}
           <button
             onClick={() => navigate(`/hostel/students/${id}/edit`)}
             className="inline-flex items-center rounded-md bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow hover:bg-indigo-700 transition-colors"
@@ -151,6 +162,14 @@ const HostelStudentDetails: React.FC = () => {
           )}
         </div>
       </div>
+      <CollectDueModal
+        isOpen={isCollectDueOpen}
+        onClose={() => setIsCollectDueOpen(false)}
+        studentName={student.name}
+        dueAmount={latestHistory.dueAmount || 0}
+        collect={(input) => api.collectHostelStudentDue(student.id, input)}
+        onCollected={() => queryClient.invalidateQueries({ queryKey: ['hostelStudent', id] })}
+      />
     </div>
   );
 };
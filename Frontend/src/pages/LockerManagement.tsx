@@ -45,6 +45,10 @@ const LockerManagement: React.FC = () => {
       try {
         const branchesData = await api.getBranches();
         setBranches(branchesData);
+        // Staff limited to a single branch see its lockers straight away
+        if (branchesData.length === 1) {
+          setSelectedBranch({ value: branchesData[0].id, label: branchesData[0].name });
+        }
       } catch (error) {
         toast.error('Failed to load branches');
         console.error('Failed to fetch branches:', error);
@@ -162,16 +166,18 @@ const LockerManagement: React.FC = () => {
             <h1 className="text-2xl md:text-3xl font-bold mb-4 sm:mb-6">Locker Management</h1>
 
             {/* Branch Selector */}
-            <div className="mb-6 max-w-sm">
-              <label className="block text-sm font-medium text-gray-700 mb-1">Select Branch</label>
-              <Select
-                options={branchOptions}
-                value={selectedBranch}
-                onChange={(option) => setSelectedBranch(option as SelectOption)}
-                placeholder="Select a branch to view lockers"
-                isClearable
-              />
-            </div>
+            {branchOptions.length > 1 && (
+              <div className="mb-6 max-w-sm">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Select Branch</label>
+                <Select
+                  options={branchOptions}
+                  value={selectedBranch}
+                  onChange={(option) => setSelectedBranch(option as SelectOption)}
+                  placeholder="Select a branch to view lockers"
+                  isClearable
+                />
+              </div>
+            )}
 
             {/* Create/Edit Locker Form */}
             <div className={`mb-6 bg-white rounded-lg border border-gray-200 shadow-sm p-4 ${!selectedBranch ? 'opacity-50' : ''}`}>
@@ -185,7 +191,7 @@ const LockerManagement: React.FC = () => {
                   className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
                   disabled={!selectedBranch && !editingLocker}
                 />
-                {editingLocker && (
+                {editingLocker && branchOptions.length > 1 && (
                   <div className="w-full sm:w-48">
                     <Select
                       options={branchOptions}
@@ -1,27 +1,30 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Lock, User } from 'lucide-react';
+import { Code, Lock, User } from 'lucide-react';
 import { toast } from 'sonner';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
+import ForgotPasswordForm from '../components/ForgotPasswordForm';
 
 const Login = () => {
+  const [libraryCode, setLibraryCode] = useState('');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
   const { login } = useAuth();
   const navigate = useNavigate();
 
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
-    if (!username || !password) {
-      toast.error('Username and password are required');
+    if (!libraryCode || !username || !password) {
+      toast.error('Library code, username and password are required');
       return;
     }
     setLoading(true);
 
     try {
-      const user = await api.login({ username, password });
+      const user = await api.login({ libraryCode, username, password });
       login(user);
       toast.success('Login successful!');
       navigate('/dashboard');
@@ -48,7 +51,39 @@ const Login = () => {
             <p className="text-gray-500 mt-2">Sign in to access your dashboard</p>
           </div>
 
+          {showForgotPassword ? (
+            <ForgotPasswordForm
+              authPath="/auth"
+              identifierFields={[
+                { name: 'library_code', label: 'Library Code', placeholder: 'Enter library code', uppercase: true },
+                { name: 'username', label: 'Username', placeholder: 'Enter your username' },
+              ]}
+              initialValues={{ library_code: libraryCode, username }}
+              allowWhatsApp={false}
+              onBack={() => setShowForgotPassword(false)}
+            />
+          ) : (
           <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="libraryCode" className="block text-sm font-medium text-gray-700 mb-1">
+                Library Code
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Code className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id="libraryCode"
+                  type="text"
+                  value={libraryCode}
+                  onChange={(e) => setLibraryCode(e.target.value.toUpperCase())}
+                  className="pl-10 w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300 uppercase"
+                  placeholder="Enter your library code"
+                  required
+                />
+              </div>
+            </div>
+
             <div>
               <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1">
                 Username
@@ -89,6 +124,15 @@ const Login = () => {
                   autoComplete="current-password"
                 />
               </div>
+              <div className="text-right mt-1">
+                <button
+                  type="button"
+                  onClick={() => setShowForgotPassword(true)}
+                  className="text-sm text-purple-600 hover:text-purple-700"
+                >
+                  Forgot password?
+                </button>
+              </div>
             </div>
 
             <div>
@@ -101,6 +145,7 @@ const Login = () => {
               </button>
             </div>
           </form>
+          )}
 
           <div className="mt-8 text-center text-sm text-gray-700">
             <p>My Library, Location</p>
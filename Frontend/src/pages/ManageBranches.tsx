@@ -1,15 +1,27 @@
 // src/pages/ManageBranches.tsx
 import React, { useState, useEffect } from 'react';
-import api from '../services/api';
+import api, { BranchInput } from '../services/api';
 import { toast } from 'sonner';
 import Sidebar from '../components/Sidebar';
 import { useAuth } from '../context/AuthContext';
 import Navbar from '../components/Navbar';
 
+interface BranchRow {
+  id: number;
+  name: string;
+  code?: string | null;
+  latitude?: string | number | null;
+  longitude?: string | number | null;
+  geofenceRadius?: number | null;
+  geofenceMode?: 'strict' | 'lenient';
+}
+
+const emptyForm = { name: '', code: '', latitude: '', longitude: '', geofenceRadius: '', geofenceMode: 'lenient' };
+
 const ManageBranches: React.FC = () => {
-  const [branches, setBranches] = useState<{ id: number; name: string; code?: string | null }[]>([]);
-  const [formData, setFormData] = useState({ name: '', code: '' });
-  const [editingBranch, setEditingBranch] = useState<{ id: number; name: string; code?: string | null } | null>(null);
+  const [branches, setBranches] = useState<BranchRow[]>([]);
+  const [formData, setFormData] = useState(emptyForm);
+  const [editingBranch, setEditingBranch] = useState<BranchRow | null>(null);
   const [isCollapsed, setIsCollapsed] = useState(false);
 
   const { refreshUser } = useAuth();
@@ -30,22 +42,64 @@ const ManageBranches: React.FC = () => {
     fetchBranches();
   }, [refreshUser]);
 
-  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: value }));
   };
 
+  const handleEdit = (branch: BranchRow) => {
+    setEditingBranch(branch);
+    setFormData({
+      name: branch.name,
+      code: branch.code || '',
+      latitude: branch.latitude != null ? String(branch.latitude) : '',
+      longitude: branch.longitude != null ? String(branch.longitude) : '',
+      geofenceRadius: branch.geofenceRadius != null ? String(branch.geofenceRadius) : '',
+      geofenceMode: branch.geofenceMode || 'lenient',
+    });
+  };
+
+  // Fill the branch location from this device, e.g. while standing at the branch
+  const fillCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not supported on this device');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setFormData(prev => ({
+          ...prev,
+          latitude: position.coords.latitude.toFixed(6),
+          longitude: position.coords.longitude.toFixed(6),
+        }));
+      },
+      () => toast.error('Could not get your current location'),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value));
+
   const handleSubmit = async () => {
     try {
       await refreshUser();
+      const payload: BranchInput = {
+        name: formData.name,
+        code: formData.code,
+        latitude: toNumberOrNull(formData.latitude),
+        longitude: toNumberOrNull(formData.longitude),
+        geofenceRadius: toNumberOrNull(formData.geofenceRadius),
+        geofenceMode: formData.geofenceMode as 'strict' | 'lenient',
+      };
       if (editingBranch) {
-        const updated = await api.updateBranch(editingBranch.id, formData);
+        const updated = await api.updateBranch(editingBranch.id, payload);
         setBranches(prev => prev.map(b => b.id === updated.id ? updated : b));
         setEditingBranch(null);
+        setFormData(emptyForm);
       } else {
-        const created = await api.addBranch(formData);
+        const created = await api.addBranch(payload);
         setBranches(prev => [...prev, created]);
-        setFormData({ name: '', code: '' });
+        setFormData(emptyForm);
       }
       toast.success('Branch saved successfully');
     } catch (error: any) {
@@ -97,6 +151,59 @@ const ManageBranches: React.FC = () => {
                   {editingBranch ? 'Update' : 'Add'} Branch
                 </button>
               </div>
+
+              {/* Geofence for student self check-in */}
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <p className="text-sm font-medium text-gray-700 mb-1">Attendance Geofence</p>
+                <p className="text-xs text-gray-500 mb-3">
+                  Students of this branch must be within the radius to check in from the app. Leave empty to disable.
+                </p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+                  <input
+                    name="latitude"
+                    type="number"
+                    step="any"
+                    value={formData.latitude}
+                    onChange={handleChange}
+                    placeholder="Latitude"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+                  />
+                  <input
+                    name="longitude"
+                    type="number"
+                    step="any"
+                    value={formData.longitude}
+                    onChange={handleChange}
+                    placeholder="Longitude"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+                  />
+                  <input
+                    name="geofenceRadius"
+                    type="number"
+                    min="1"
+                    value={formData.geofenceRadius}
+                    onChange={handleChange}
+                    placeholder="Radius (meters)"
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+                  />
+                  <select
+                    name="geofenceMode"
+                    value={formData.geofenceMode}
+                    onChange={handleChange}
+                    className="px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-300"
+                  >
+                    <option value="lenient">Lenient (accept and flag)</option>
+                    <option value="strict">Strict (reject)</option>
+                  </select>
+                  <button
+                    type="button"
+                    onClick={fillCurrentLocation}
+                    className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                  >
+                    Use My Location
+                  </button>
+                </div>
+              </div>
             </div>
 
             {/* Table */}
@@ -106,6 +213,7 @@ const ManageBranches: React.FC = () => {
                   <tr className="bg-gray-50">
                     <th className="px-4 sm:px-6 py-3 text-left text-xs sm:text-sm font-medium text-gray-500">Name</th>
                     <th className="px-4 sm:px-6 py-3 text-left text-xs sm:text-sm font-medium text-gray-500">Code</th>
+                    <th className="px-4 sm:px-6 py-3 text-left text-xs sm:text-sm font-medium text-gray-500">Geofence</th>
                     <th className="px-4 sm:px-6 py-3 text-left text-xs sm:text-sm font-medium text-gray-500">Actions</th>
                   </tr>
                 </thead>
@@ -114,9 +222,14 @@ const ManageBranches: React.FC = () => {
                     <tr key={branch.id} className="border-t">
                       <td className="px-4 sm:px-6 py-3">{branch.name}</td>
                       <td className="px-4 sm:px-6 py-3 text-gray-600">{branch.code || '-'}</td>
+                      <td className="px-4 sm:px-6 py-3 text-gray-600">
+                        {branch.latitude != null && branch.longitude != null && branch.geofenceRadius
+                          ? `${branch.geofenceRadius}m, ${branch.geofenceMode === 'strict' ? 'strict' : 'lenient'}`
+                          : 'Off'}
+                      </td>
                       <td className="px-4 sm:px-6 py-3">
                         <div className="flex gap-3">
-                          <button onClick={() => setEditingBranch(branch)} className="text-blue-600 hover:text-blue-800">Edit</button>
+                          <button onClick={() => handleEdit(branch)} className="text-blue-600 hover:text-blue-800">Edit</button>
                           <button onClick={() => handleDelete(branch.id)} className="text-red-600 hover:text-red-800">Delete</button>
                         </div>
                       </td>
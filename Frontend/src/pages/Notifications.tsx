@@ -0,0 +1,319 @@
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'sonner';
+import { ChevronDown, ChevronRight, Send } from 'lucide-react';
+import Navbar from '../components/Navbar';
+import Sidebar from '../components/Sidebar';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { useAuth } from '../context/AuthContext';
+import api, { NotificationChannel, NotificationFilters, NotificationLogEntry, NotificationStatus } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const STATUS_BADGES: Record<NotificationStatus, { label: string; className: string }> = {
+  pending: { label: 'Queued', className: 'bg-yellow-100 text-yellow-800' },
+  sending: { label: 'Sending', className: 'bg-blue-100 text-blue-800' },
+  sent: { label: 'Sent', className: 'bg-green-100 text-green-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+};
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+  sms: 'SMS',
+};
+
+const TEMPLATE_LABELS: Record<string, string> = {
+  membership_expiry: 'Expiry reminder',
+  membership_expired: 'Membership ended',
+  fee_due: 'Fee due',
+  absence: 'Absence reminder',
+  birthday: 'Birthday wishes',
+  bulk_message: 'Bulk message',
+};
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+// The message as it was sent, and what the provider answered each time it was tried
+const DeliveryDetails: React.FC<{ notification: NotificationLogEntry }> = ({ notification }) => {
+  const { data, isLoading } = useQuery({
+    queryKey: ['notification', notification.id, notification.attempts, notification.status],
+    queryFn: () => api.getNotification(notification.id),
+  });
+
+  return (
+    <div className="space-y-3">
+      {notification.subject && <p className="text-sm font-medium text-gray-700">{notification.subject}</p>}
+      <p className="text-sm text-gray-700 whitespace-pre-wrap">{notification.body}</p>
+      {notification.status === 'pending' && notification.attempts > 0 && (
+        <p className="text-xs text-gray-500">Next attempt {formatDateTime(notification.nextAttemptAt)}</p>
+      )}
+      {isLoading ? (
+        <p className="text-xs text-gray-500">Loading attempts...</p>
+      ) : !data || data.notification.attemptHistory.length === 0 ? (
+        <p className="text-xs text-gray-500">Not tried yet.</p>
+      ) : (
+        <table className="min-w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1 pr-4">Attempt</th>
+              <th className="py-1 pr-4">Time</th>
+              <th className="py-1 pr-4">Result</th>
+              <th className="py-1 pr-4">Provider</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data.notification.attemptHistory.map((attempt) => (
+              <tr key={attempt.attempt} className="border-b last:border-0 align-top">
+                <td className="py-1 pr-4">{attempt.attempt}</td>
+                <td className="py-1 pr-4 whitespace-nowrap">{formatDateTime(attempt.createdAt)}</td>
+                <td className={`py-1 pr-4 break-all ${attempt.status === 'sent' ? 'text-green-700' : 'text-red-700'}`}>
+                  {attempt.status === 'sent' ? 'Sent' : attempt.error || 'Failed'}
+                </td>
+                <td className="py-1 pr-4 break-all">
+                  {attempt.provider || '—'}{attempt.providerMessageId ? ` (${attempt.providerMessageId})` : ''}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Owner view of the messages sent to students and whether they were delivered
+const Notifications: React.FC = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [filters, setFilters] = useState<NotificationFilters>({});
+  const [page, setPage] = useState(1);
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['notifications', filters, page],
+    queryFn: () => api.getNotifications({ ...filters, page, limit: PAGE_SIZE }),
+    enabled: !!user?.isOwner,
+    // Queued messages are usually sent within a minute
+    refetchInterval: (query) => (query.state.data?.counts.pending || query.state.data?.counts.sending ? 15000 : false),
+  });
+  const notifications = data?.notifications || [];
+  const totalPages = data ? Math.max(Math.ceil(data.total / PAGE_SIZE), 1) : 1;
+
+  const retryMutation = useMutation({
+    mutationFn: api.retryNotification,
+    onSuccess: (result) => {
+      toast.success(result.message);
+      queryClient.invalidateQueries({ queryKey: ['notifications'] });
+    },
+    onError: (error: Error) => toast.error(error.message || 'Failed to retry the notification'),
+  });
+
+  if (user && !user.isOwner) {
+    return <Navigate to="/dashboard" />;
+  }
+
+  const updateFilter = (key: keyof NotificationFilters, value: string) => {
+    setFilters((prev) => ({ ...prev, [key]: value || undefined }));
+    setPage(1);
+  };
+
+  return (
+    <div className="flex h-screen bg-gray-50">
+      <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+      <div className="flex-1 flex flex-col overflow-hidden">
+        <Navbar />
+        <div className="flex-1 overflow-auto p-6">
+          <div className="mb-6">
+            <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Send className="w-6 h-6 mr-2 text-purple-600" />
+              Notifications
+            </h2>
+            <p className="text-sm text-gray-600">
+              Messages sent to students by email, WhatsApp and SMS. Failed messages are tried again a few times before
+              they are marked as failed.
+            </p>
+          </div>
+
+          {data && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {(Object.keys(STATUS_BADGES) as NotificationStatus[]).map((status) => (
+                <button
+                  key={status}
+                  type="button"
+                  onClick={() => updateFilter('status', filters.status === status ? '' : status)}
+                  className={`rounded-full ${filters.status === status ? 'ring-2 ring-purple-400' : ''}`}
+                >
+                  <Badge className={STATUS_BADGES[status].className}>
+                    {STATUS_BADGES[status].label}: {data.counts[status] || 0}
+                  </Badge>
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-end gap-3 mb-4">
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Search</label>
+              <input
+                type="text"
+                value={filters.search || ''}
+                placeholder="Name, email or phone"
+                onChange={(e) => updateFilter('search', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Channel</label>
+              <select
+                value={filters.channel || ''}
+                onChange={(e) => updateFilter('channel', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All channels</option>
+                {(Object.keys(CHANNEL_LABELS) as NotificationChannel[]).map((channel) => (
+                  <option key={channel} value={channel}>{CHANNEL_LABELS[channel]}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">Message</label>
+              <select
+                value={filters.templateKey || ''}
+                onChange={(e) => updateFilter('templateKey', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">All messages</option>
+                {Object.entries(TEMPLATE_LABELS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">From</label>
+              <input
+                type="date"
+                value={filters.from || ''}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 mb-1">To</label>
+              <input
+                type="date"
+                value={filters.to || ''}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+            </div>
+            {Object.values(filters).some(Boolean) && (
+              <Button variant="outline" size="sm" onClick={() => { setFilters({}); setPage(1); }}>
+                Clear filters
+              </Button>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-x-auto">
+            {isLoading ? (
+              <p className="text-center text-gray-500 py-8">Loading...</p>
+            ) : error ? (
+              <p className="text-center text-red-600 py-8">{(error as Error).message || 'Failed to load notifications'}</p>
+            ) : notifications.length === 0 ? (
+              <p className="text-center text-gray-500 py-8">No notifications match these filters.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b bg-gray-50">
+                    <th className="py-2 px-4 w-8"></th>
+                    <th className="py-2 px-4">Queued</th>
+                    <th className="py-2 px-4">Recipient</th>
+                    <th className="py-2 px-4">Channel</th>
+                    <th className="py-2 px-4">Message</th>
+                    <th className="py-2 px-4">Status</th>
+                    <th className="py-2 px-4"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {notifications.map((notification) => (
+                    <React.Fragment key={notification.id}>
+                      <tr
+                        className="border-b cursor-pointer hover:bg-gray-50"
+                        onClick={() => setExpandedId(expandedId === notification.id ? null : notification.id)}
+                      >
+                        <td className="py-2 px-4 text-gray-400">
+                          {expandedId === notification.id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                        </td>
+                        <td className="py-2 px-4 whitespace-nowrap">{formatDateTime(notification.createdAt)}</td>
+                        <td className="py-2 px-4">
+                          <div>{notification.recipientName || '—'}</div>
+                          <div className="text-xs text-gray-500">{notification.recipient}</div>
+                        </td>
+                        <td className="py-2 px-4">{CHANNEL_LABELS[notification.channel]}</td>
+                        <td className="py-2 px-4">{TEMPLATE_LABELS[notification.templateKey] || notification.templateKey}</td>
+                        <td className="py-2 px-4">
+                          <Badge className={STATUS_BADGES[notification.status].className}>
+                            {STATUS_BADGES[notification.status].label}
+                          </Badge>
+                          {notification.status !== 'sent' && notification.lastError && (
+                            <div className="text-xs text-red-600 mt-1 max-w-xs truncate" title={notification.lastError}>
+                              {notification.lastError}
+                            </div>
+                          )}
+                        </td>
+                        <td className="py-2 px-4 text-right">
+                          {notification.status === 'failed' && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={retryMutation.isPending}
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                retryMutation.mutate(notification.id);
+                              }}
+                            >
+                              Retry
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === notification.id && (
+                        <tr className="border-b bg-gray-50">
+                          <td></td>
+                          <td colSpan={6} className="py-3 px-4">
+                            <DeliveryDetails notification={notification} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {data && data.total > PAGE_SIZE && (
+            <div className="flex items-center justify-between mt-4 text-sm text-gray-600">
+              <span>{data.total} notifications</span>
+              <div className="flex items-center gap-2">
+                <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                  Previous
+                </Button>
+                <span>Page {page} of {totalPages}</span>
+                <Button variant="outline" size="sm" disabled={page >= totalPages} onClick={() => setPage(page + 1)}>
+                  Next
+                </Button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Notifications;
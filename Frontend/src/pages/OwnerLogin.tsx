@@ -4,6 +4,7 @@ import { useAuth } from '../context/AuthContext';
 import { authFetch } from '../utils/apiConfig';
 import { Eye, EyeOff, Building2, Mail, Lock } from 'lucide-react';
 import { toast } from 'react-hot-toast';
+import ForgotPasswordForm from '../components/ForgotPasswordForm';
 
 interface LoginData {
   phone: string;
@@ -19,6 +20,7 @@ const OwnerLogin: React.FC = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
@@ -75,6 +77,14 @@ const OwnerLogin: React.FC = () => {
           <p className="text-gray-600 mt-2">Sign in to manage your library</p>
         </div>
 
+        {showForgotPassword ? (
+          <ForgotPasswordForm
+            authPath="/owner-auth"
+            identifierFields={[{ name: 'phone', label: 'Phone Number', type: 'tel', placeholder: 'Enter your phone number' }]}
+            initialValues={{ phone: formData.phone }}
+            onBack={() => setShowForgotPassword(false)}
+          />
+        ) : (
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Email */}
           <div>
@@ -119,6 +129,15 @@ const OwnerLogin: React.FC = () => {
                 {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
               </button>
             </div>
+            <div className="text-right mt-1">
+              <button
+                type="button"
+                onClick={() => setShowForgotPassword(true)}
+                className="text-sm text-purple-600 hover:text-purple-700"
+              >
+                Forgot password?
+              </button>
+            </div>
           </div>
 
           {/* Submit Button */}
@@ -130,6 +149,7 @@ const OwnerLogin: React.FC = () => {
             {isLoading ? 'Signing In...' : 'Sign In'}
           </button>
         </form>
+        )}
 
         <div className="mt-6 text-center">
           <p className="text-gray-600">
@@ -79,25 +79,29 @@ const ProfitLoss: React.FC = () => {
               onChange={(e) => setMonth(e.target.value)}
               className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4"
             />
-            <label
-              htmlFor="branch"
-              className="block text-sm font-medium text-gray-700 mb-2"
-            >
-              Select Branch
-            </label>
-            <select
-              id="branch"
-              value={selectedBranchId || ''}
-              onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : null)}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4"
-            >
-              <option value="">All Branches</option>
-              {branches.map((branch) => (
-                <option key={branch.id} value={branch.id}>
-                  {branch.name}
-                </option>
-              ))}
-            </select>
+            {branches.length > 1 && (
+              <>
+                <label
+                  htmlFor="branch"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Select Branch
+                </label>
+                <select
+                  id="branch"
+                  value={selectedBranchId || ''}
+                  onChange={(e) => setSelectedBranchId(e.target.value ? Number(e.target.value) : null)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg mb-4"
+                >
+                  <option value="">All Branches</option>
+                  {branches.map((branch) => (
+                    <option key={branch.id} value={branch.id}>
+                      {branch.name}
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
             <button
               onClick={handleFetch}
               className="w-full sm:w-auto bg-purple-600 text-white px-6 py-2 rounded-lg hover:bg-purple-700 transition"
@@ -90,6 +90,7 @@ interface ScheduleEvent {
   title: string;
   description: string | null;
   time: string;
+  endTime?: string;
   eventDate: string;
   fee: number;
   branchId?: number;
@@ -149,9 +150,11 @@ const SchedulePage: React.FC = () => {
     title: '',
     date: new Date(),
     time: '',
+    endTime: '',
     description: '',
     fee: 0,
-    branchId: selectedBranchId || undefined,
+    // Staff limited to a single branch have no branch picker, so their branch is always used
+    branchId: selectedBranchId || (branches.length === 1 ? branches[0].id : undefined),
   };
   const [newEvent, setNewEvent] = useState(initialNewEventState);
 
@@ -212,6 +215,7 @@ const SchedulePage: React.FC = () => {
             title: schedule.title || 'Untitled Event',
             description: schedule.description || '',
             time: schedule.time || '',
+            endTime: schedule.endTime || schedule.end_time || '',
             eventDate: schedule.eventDate || schedule.event_date || '',
             fee: typeof schedule.fee === 'number' ? schedule.fee : parseFloat(schedule.fee) || 0,
             branchId: schedule.branch_id,
@@ -248,6 +252,7 @@ const SchedulePage: React.FC = () => {
       title: newEvent.title.trim(),
       description: newEvent.description.trim() || null,
       time: newEvent.time,
+      endTime: newEvent.endTime || undefined,
       eventDate: dateStrYYYYMMDD, // Ensure YYYY-MM-DD format
       fee: newEvent.fee,
       branch_id: newEvent.branchId,
@@ -285,6 +290,7 @@ const SchedulePage: React.FC = () => {
       title: eventToEdit.title.trim(),
       description: eventToEdit.description?.trim() || null,
       time: eventToEdit.time,
+      endTime: eventToEdit.endTime || undefined,
       eventDate: dateStrYYYYMMDD,
       fee: eventToEdit.fee,
       branch_id: eventToEdit.branchId,
@@ -347,31 +353,33 @@ const SchedulePage: React.FC = () => {
                     <h1 className="text-3xl font-bold tracking-tight text-gray-900 dark:text-gray-100">Schedules & Events</h1>
                     <p className="text-lg text-gray-600 dark:text-gray-400 mt-1">Manage your daily activities and classes.</p>
                   </div>
-                  <div className="w-full sm:w-64">
-                    <Label htmlFor="branchFilter" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
-                      Filter by Branch
-                    </Label>
-                    <Select 
-                      value={selectedBranchId?.toString() || 'all'} 
-                      onValueChange={(value) => {
-                        const newBranchId = value === 'all' ? null : parseInt(value);
-                        console.log('Selected branch ID changed:', newBranchId);
-                        setSelectedBranchId(newBranchId);
-                      }}
-                    >
-                      <SelectTrigger className="w-[200px]">
-                        <SelectValue placeholder="Select a branch" />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="all">All Branches</SelectItem>
-                        {branches.map((branch) => (
-                          <SelectItem key={branch.id} value={branch.id.toString()}>
-                            {branch.name}
-                          </SelectItem>
-                        ))}
-                      </SelectContent>
-                    </Select>
-                  </div>
+                  {branches.length > 1 && (
+                    <div className="w-full sm:w-64">
+                      <Label htmlFor="branchFilter" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Filter by Branch
+                      </Label>
+                      <Select 
+                        value={selectedBranchId?.toString() || 'all'} 
+                        onValueChange={(value) => {
+                          const newBranchId = value === 'all' ? null : parseInt(value);
+                          console.log('Selected branch ID changed:', newBranchId);
+                          setSelectedBranchId(newBranchId);
+                        }}
+                      >
+                        <SelectTrigger className="w-[200px]">
+                          <SelectValue placeholder="Select a branch" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="all">All Branches</SelectItem>
+                          {branches.map((branch) => (
+                            <SelectItem key={branch.id} value={branch.id.toString()}>
+                              {branch.name}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
                 </div>
               </div>
 
@@ -449,7 +457,10 @@ const SchedulePage: React.FC = () => {
                               <TableRow key={event.id} className="hover:bg-gray-50 dark:hover:bg-gray-800/50">
                                 <TableCell className="font-medium">{event.title}</TableCell>
                                 <TableCell>{event.branchName || '—'}</TableCell>
-                                <TableCell>{formatTimeForDisplay(event.time)}</TableCell>
+                                <TableCell>
+                                  {formatTimeForDisplay(event.time)}
+                                  {event.endTime ? ` – ${formatTimeForDisplay(event.endTime)}` : ''}
+                                </TableCell>
                                 <TableCell>₹{event.fee.toFixed(2)}</TableCell>
                                 <TableCell className="hidden md:table-cell max-w-xs truncate">{event.description || '—'}</TableCell>
                                 <TableCell className="text-right space-x-1">
@@ -485,29 +496,37 @@ const SchedulePage: React.FC = () => {
                 <Input id="eventTitle" placeholder="Enter event title" value={newEvent.title} onChange={(e) => setNewEvent({ ...newEvent, title: e.target.value })} />
               </div>
               
-              <div className="space-y-2">
-                <Label htmlFor="eventBranch">Branch *</Label>
-                <Select 
-                  value={newEvent.branchId?.toString() || ''} 
-                  onValueChange={(value) => setNewEvent({ ...newEvent, branchId: parseInt(value) })}
-                >
-                  <SelectTrigger>
-                    <SelectValue placeholder="Select a branch" />
-                  </SelectTrigger>
-                  <SelectContent>
-                    {branches.map((branch) => (
-                      <SelectItem key={branch.id} value={branch.id.toString()}>
-                        {branch.name}
-                      </SelectItem>
-                    ))}
-                  </SelectContent>
-                </Select>
-              </div>
+              {branches.length > 1 && (
+                <div className="space-y-2">
+                  <Label htmlFor="eventBranch">Branch *</Label>
+                  <Select 
+                    value={newEvent.branchId?.toString() || ''} 
+                    onValueChange={(value) => setNewEvent({ ...newEvent, branchId: parseInt(value) })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select a branch" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {branches.map((branch) => (
+                        <SelectItem key={branch.id} value={branch.id.toString()}>
+                          {branch.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
               
               <div className="space-y-2">
                 <Label htmlFor="eventTime">Time *</Label>
                 <Input id="eventTime" type="time" value={newEvent.time} onChange={(e) => setNewEvent({ ...newEvent, time: e.target.value })} />
               </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="eventEndTime">End Time</Label>
+                <Input id="eventEndTime" type="time" value={newEvent.endTime} onChange={(e) => setNewEvent({ ...newEvent, endTime: e.target.value })} />
+                <p className="text-xs text-gray-500">Students who forget to scan out are checked out automatically at this time.</p>
+              </div>
               
               <div className="space-y-2">
                 <Label htmlFor="eventFee">Fee</Label>
@@ -546,29 +565,36 @@ const SchedulePage: React.FC = () => {
                   <Input id="editEventTitle" placeholder="Enter event title" value={eventToEdit.title} onChange={(e) => setEventToEdit({ ...eventToEdit, title: e.target.value })} />
                 </div>
                 
-                <div className="space-y-2">
-                  <Label htmlFor="editEventBranch">Branch *</Label>
-                  <Select 
-                    value={eventToEdit.branchId?.toString() || ''} 
-                    onValueChange={(value) => setEventToEdit({ ...eventToEdit, branchId: parseInt(value) })}
-                  >
-                    <SelectTrigger>
-                      <SelectValue placeholder="Select a branch" />
-                    </SelectTrigger>
-                    <SelectContent>
-                      {branches.map((branch) => (
-                        <SelectItem key={branch.id} value={branch.id.toString()}>
-                          {branch.name}
-                        </SelectItem>
-                      ))}
-                    </SelectContent>
-                  </Select>
-                </div>
+                {branches.length > 1 && (
+                  <div className="space-y-2">
+                    <Label htmlFor="editEventBranch">Branch *</Label>
+                    <Select 
+                      value={eventToEdit.branchId?.toString() || ''} 
+                      onValueChange={(value) => setEventToEdit({ ...eventToEdit, branchId: parseInt(value) })}
+                    >
+                      <SelectTrigger>
+                        <SelectValue placeholder="Select a branch" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {branches.map((branch) => (
+                          <SelectItem key={branch.id} value={branch.id.toString()}>
+                            {branch.name}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                )}
                 
                 <div className="space-y-2">
                   <Label htmlFor="editEventTime">Time *</Label>
                   <Input id="editEventTime" type="time" value={eventToEdit.time} onChange={(e) => setEventToEdit({ ...eventToEdit, time: e.target.value })} />
                 </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="editEventEndTime">End Time</Label>
+                  <Input id="editEventEndTime" type="time" value={eventToEdit.endTime?.slice(0, 5) || ''} onChange={(e) => setEventToEdit({ ...eventToEdit, endTime: e.target.value })} />
+                </div>
                 
                 <div className="space-y-2">
                   <Label htmlFor="editEventFee">Fee</Label>
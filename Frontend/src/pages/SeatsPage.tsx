@@ -203,20 +203,22 @@ const SeatsPage = () => {
             </div>
 
             <div className="mb-4 flex flex-wrap gap-4">
-              <div>
-                <label htmlFor="branch-select" className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">Filter by Branch:</label>
-                <select
-                  id="branch-select"
-                  value={selectedBranchId ?? ''}
-                  onChange={(e) => setSelectedBranchId(e.target.value ? parseInt(e.target.value, 10) : null)}
-                  className="border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
-                >
-                  <option value="">All Branches</option>
-                  {branches.map((branch) => (
-                    <option key={branch.id} value={branch.id.toString()}>{branch.name}</option>
-                  ))}
-                </select>
-              </div>
+              {branches.length > 1 && (
+                <div>
+                  <label htmlFor="branch-select" className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">Filter by Branch:</label>
+                  <select
+                    id="branch-select"
+                    value={selectedBranchId ?? ''}
+                    onChange={(e) => setSelectedBranchId(e.target.value ? parseInt(e.target.value, 10) : null)}
+                    className="border border-gray-300 dark:border-gray-600 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="">All Branches</option>
+                    {branches.map((branch) => (
+                      <option key={branch.id} value={branch.id.toString()}>{branch.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div>
                 <label className="text-sm font-medium text-gray-700 dark:text-gray-300 mr-2">Search Seat:</label>
                 <input
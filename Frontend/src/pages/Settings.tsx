@@ -8,6 +8,14 @@ import { toast } from 'sonner';
 import api from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import StaffManagement from '../components/StaffManagement';
+import RoleManagement from '../components/RoleManagement';
+import LoginSecurity from '../components/LoginSecurity';
+import ReceiptSettings from '../components/ReceiptSettings';
+import GstSettings from '../components/GstSettings';
+import OnlinePaymentSettings from '../components/OnlinePaymentSettings';
+import LibrarySettings from '../components/LibrarySettings';
+import NotificationTemplates from '../components/NotificationTemplates';
+import ReminderRules from '../components/ReminderRules';
 
 // Define interfaces
 interface UserData {
@@ -40,11 +48,6 @@ interface NewUserData {
   permissions: string[];
 }
 
-interface SettingsData {
-  brevoTemplateId: string;
-  daysBeforeExpiration: number;
-}
-
 interface FormData {
   fullName: string;
   email: string;
@@ -67,20 +70,10 @@ const Settings = () => {
     enabled: !!user, // Fetch only when user is loaded
   });
 
-  const { data: settings, isLoading: settingsLoading, error: settingsError } = useQuery<SettingsData>({
-    queryKey: ['settings'],
-    queryFn: api.getSettings,
-    enabled: user?.role === 'admin',
-  });
-
   const [formData, setFormData] = useState<FormData>({
     fullName: '', email: '', libraryName: '', ownerPhone: '', oldPassword: '', newPassword: '', confirmPassword: '',
   });
 
-  const [settingsForm, setSettingsForm] = useState({
-    brevoTemplateId: '', daysBeforeExpiration: '',
-  });
-
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [isCollapsed, setIsCollapsed] = useState(false);
 
@@ -97,15 +90,6 @@ const Settings = () => {
     }
   }, [profileData]);
 
-  useEffect(() => {
-    if (settings) {
-      setSettingsForm({
-        brevoTemplateId: settings.brevoTemplateId || '',
-        daysBeforeExpiration: settings.daysBeforeExpiration?.toString() || '',
-      });
-    }
-  }, [settings]);
-
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -113,11 +97,6 @@ const Settings = () => {
 
 
 
-  const handleSettingsChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const { name, value } = e.target;
-    setSettingsForm((prev) => ({ ...prev, [name]: value }));
-  };
-
   const handleProfileSubmit = (e: React.FormEvent) => {
     e.preventDefault();
     if (user?.isOwner) {
@@ -172,15 +151,6 @@ const Settings = () => {
 
 
 
-  const settingsMutation = useMutation({
-    mutationFn: (data: { brevoTemplateId: string; daysBeforeExpiration: number }) => api.updateSettings(data),
-    onSuccess: () => {
-      queryClient.invalidateQueries({ queryKey: ['settings'] });
-      toast.success('Settings updated successfully!');
-    },
-    onError: (error: any) => toast.error(error.message || 'Failed to update settings'),
-  });
-
   const handlePasswordUpdate = (e: React.FormEvent) => {
     e.preventDefault();
     if (!formData.oldPassword || !formData.newPassword) {
@@ -200,16 +170,6 @@ const Settings = () => {
 
 
 
-  const handleSettingsUpdate = (e: React.FormEvent) => {
-    e.preventDefault();
-    const daysBeforeExpiration = parseInt(settingsForm.daysBeforeExpiration, 10);
-    if (isNaN(daysBeforeExpiration) || daysBeforeExpiration <= 0) {
-      toast.error('Days Before Expiration must be a positive number');
-      return;
-    }
-    settingsMutation.mutate({ brevoTemplateId: settingsForm.brevoTemplateId, daysBeforeExpiration });
-  };
-
   if (!user) return <div>Please log in to access settings.</div>;
   if (isLoading) return <div>Loading...</div>;
   if (error) return <div>Error loading profile: {error.message}</div>;
@@ -284,26 +244,23 @@ const Settings = () => {
 
             {user.role === 'admin' && (
               <div className="space-y-8">
-                <div className="bg-white rounded-lg shadow-sm border p-6">
-                  <h3 className="text-xl font-semibold mb-4">Email Settings</h3>
-                  {settingsLoading ? <div>Loading...</div> : settingsError ? <div>Error...</div> : (
-                    <form onSubmit={handleSettingsUpdate} className="space-y-4">
-                      <div>
-                        <label htmlFor="brevoTemplateId">Brevo Template ID</label>
-                        <Input id="brevoTemplateId" name="brevoTemplateId" value={settingsForm.brevoTemplateId} onChange={handleSettingsChange}/>
-                      </div>
-                      <div>
-                        <label htmlFor="daysBeforeExpiration">Remind Before Expiration (Days)</label>
-                        <Input id="daysBeforeExpiration" name="daysBeforeExpiration" type="number" value={settingsForm.daysBeforeExpiration} onChange={handleSettingsChange}/>
-                      </div>
-                      <div className="flex justify-end">
-                        <Button type="submit">Save Email Settings</Button>
-                      </div>
-                    </form>
-                  )}
-                </div>
+                <LibrarySettings />
+
+                <ReminderRules />
+
+                <NotificationTemplates />
+
+                <RoleManagement />
 
                 <StaffManagement />
+
+                {user.isOwner && <ReceiptSettings />}
+
+                {user.isOwner && <GstSettings />}
+
+                {user.isOwner && <OnlinePaymentSettings />}
+
+                {user.isOwner && <LoginSecurity />}
               </div>
             )}
           </div>
@@ -83,19 +83,21 @@ const ShiftList: React.FC = () => {
               </CardHeader>
               <CardContent className="pt-6">
                 <div className="flex flex-col sm:flex-row sm:items-center gap-3 sm:gap-4 mb-4">
-                  <div className="w-full sm:w-64">
-                    <Select value={selectedBranchId} onValueChange={setSelectedBranchId}>
-                      <SelectTrigger>
-                        <SelectValue placeholder="Filter by branch" />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="all">All branches</SelectItem>
-                        {branches.map((b) => (
-                          <SelectItem key={b.id} value={String(b.id)}>{b.name}</SelectItem>
-                        ))}
-                      </SelectContent>
-                    </Select>
-                  </div>
+                  {branches.length > 1 && (
+                    <div className="w-full sm:w-64">
+                      <Select value={selectedBranchId} onValueChange={setSelectedBranchId}>
+                        <SelectTrigger>
+                          <SelectValue placeholder="Filter by branch" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value="all">All branches</SelectItem>
+                          {branches.map((b) => (
+                            <SelectItem key={b.id} value={String(b.id)}>{b.name}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
                 </div>
                 {isLoading ? (
                   <div className="flex justify-center items-center py-8">
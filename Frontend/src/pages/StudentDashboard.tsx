@@ -22,12 +22,15 @@ import {
   Megaphone,
   HelpCircle,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  Download
 } from 'lucide-react';
 import InvoiceButton from '../components/InvoiceButton';
-import api from '../services/api';
+import api, { PunctualitySummary, Receipt } from '../services/api';
+import { downloadReceipt } from '../utils/receiptDownload';
 import BarcodeScanner from '../components/BarcodeScanner';
 import StudentAnnouncements from '../components/StudentAnnouncements';
+import PayOnline from '../components/PayOnline';
 import PublicQueries from './PublicQueries';
 
 interface StudentProfile {
@@ -41,6 +44,7 @@ interface StudentProfile {
   membershipEnd: string;
   status: string;
   branchId?: number;
+  currency?: string;
 }
 
 interface AttendanceHistoryRecord {
@@ -87,6 +91,7 @@ const StudentDashboard: React.FC = () => {
   const [showScanner, setShowScanner] = useState(false);
   const [attendanceHistory, setAttendanceHistory] = useState<AttendanceHistoryRecord[]>([]);
   const [membershipHistory, setMembershipHistory] = useState<MembershipHistoryRecord[]>([]);
+  const [receipts, setReceipts] = useState<Receipt[]>([]);
   const [monthlySummary, setMonthlySummary] = useState<Array<{
     month: string;
     totalFee: number;
@@ -101,6 +106,8 @@ const StudentDashboard: React.FC = () => {
   const [attendanceView, setAttendanceView] = useState<'daily' | 'monthly'>('monthly');
   const [selectedAttendanceDate, setSelectedAttendanceDate] = useState(new Date());
   const [attendanceLoading, setAttendanceLoading] = useState(false);
+  const [punctualitySummary, setPunctualitySummary] = useState<PunctualitySummary | null>(null);
+  const [graceMinutes, setGraceMinutes] = useState(0);
 
 
   const [attendanceStatus, setAttendanceStatus] = useState<{
@@ -188,6 +195,14 @@ const StudentDashboard: React.FC = () => {
     const fetchAllData = async () => {
       try {
         setLoading(true);
+
+        // Students still on the default password have to change it before anything else loads
+        const statusResponse = await authFetch('/student-auth/status');
+        const status = await statusResponse.json();
+        if (status.student?.mustChangePassword) {
+          navigate('/student-login', { state: { mustChangePassword: true } });
+          return;
+        }
         
         // Fetch all data in parallel
         const [profileData, membershipData, transactionData] = await Promise.all([
@@ -213,6 +228,10 @@ const StudentDashboard: React.FC = () => {
           setTransactions(transactionData.transactions);
         }
 
+        api.getMyReceipts()
+          .then((data) => setReceipts(data.receipts))
+          .catch((error) => console.error('Error fetching receipts:', error));
+
         // Fetch attendance status
         await fetchAttendanceStatus();
 
@@ -225,6 +244,19 @@ const StudentDashboard: React.FC = () => {
     };
 
     fetchAllData();
+  }, [navigate]);
+
+  // After an online payment: the membership may have been renewed and a receipt issued
+  const refreshAfterPayment = useCallback(() => {
+    Promise.all([api.getStudentProfile(), api.getStudentMembershipHistory(), api.getMyReceipts()])
+      .then(([profileData, membershipData, receiptData]) => {
+        if (profileData?.student) setProfile(profileData.student);
+        if (membershipData?.membershipHistory) setMembershipHistory(membershipData.membershipHistory);
+        const summary = (membershipData as { monthlySummary?: typeof monthlySummary }).monthlySummary;
+        if (summary) setMonthlySummary(summary);
+        setReceipts(receiptData.receipts);
+      })
+      .catch((error) => console.error('Error refreshing after payment:', error));
   }, []);
 
     // Effect to fetch attendance when tab/view/date changes
@@ -234,6 +266,19 @@ const StudentDashboard: React.FC = () => {
         }
     }, [activeTab, profile, fetchAttendanceRecords]);
 
+    // Monthly shift punctuality for the month being viewed
+    const summaryMonth = selectedAttendanceDate.getMonth() + 1;
+    const summaryYear = selectedAttendanceDate.getFullYear();
+    useEffect(() => {
+        if (activeTab !== 'attendance' || !profile) return;
+        api.getStudentAttendanceSummary({ month: summaryMonth, year: summaryYear })
+            .then((data) => {
+                setPunctualitySummary(data.summary);
+                setGraceMinutes(data.graceMinutes || 0);
+            })
+            .catch((error) => console.error('Error fetching attendance summary:', error));
+    }, [activeTab, profile, summaryMonth, summaryYear]);
+
 
   const handleScanSuccess = async (scannedData: string) => {
     setShowScanner(false);
@@ -245,7 +290,7 @@ const StudentDashboard: React.FC = () => {
         await fetchAttendanceRecords();
       }
     } catch (error) {
-      toast.error('Failed to mark attendance.');
+      toast.error(error instanceof Error ? error.message : 'Failed to mark attendance.');
       console.error('Error marking attendance with QR:', error);
     }
   };
@@ -287,15 +332,16 @@ const StudentDashboard: React.FC = () => {
 
   const formatCurrency = (amount: number | string | undefined | null): string => {
     const numericAmount = typeof amount === 'string' ? parseFloat(amount) : amount;
-    if (numericAmount === null || numericAmount === undefined || isNaN(numericAmount)) {
-      return '₹0.00';
-    }
-    return new Intl.NumberFormat('en-IN', {
+    const format = new Intl.NumberFormat('en-IN', {
       style: 'currency',
-      currency: 'INR',
+      currency: profile?.currency || 'INR',
       minimumFractionDigits: 2,
       maximumFractionDigits: 2
-    }).format(numericAmount);
+    });
+    if (numericAmount === null || numericAmount === undefined || isNaN(numericAmount)) {
+      return format.format(0);
+    }
+    return format.format(numericAmount);
   };
 
   const formatDate = (dateString: string | undefined | null): string => {
@@ -666,64 +712,43 @@ const StudentDashboard: React.FC = () => {
               </div>
             </div>
 
-            {/* Invoices Section */}
+            <PayOnline onPaid={refreshAfterPayment} />
+
+            {/* Receipts Section */}
             <div className="bg-white rounded-xl shadow-sm overflow-hidden">
               <div className="px-6 py-4 bg-gray-50 border-b">
-                <h3 className="text-lg font-semibold text-gray-900 flex items-center justify-between">
-                  <div className="flex items-center space-x-2">
-                    <FileText className="w-5 h-5" />
-                    <span>Invoices</span>
-                  </div>
-                    <InvoiceButton 
-                        studentId={profile.id} 
-                        studentName={profile.name}
-                        className="text-sm"
-                        variant="text"
-                    >
-                        {/* Invoice Content remains the same */}
-                    </InvoiceButton>
+                <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                  <FileText className="w-5 h-5" />
+                  <span>Receipts</span>
                 </h3>
               </div>
               <div className="p-6">
-                <div className="space-y-4">
-                  <p className="text-sm text-gray-600">
-                    View and download your membership invoices. Click the "Download Invoice" button above to get the latest invoice.
-                  </p>
-                  
-                  {membershipHistory.length > 0 && (
-                    <div className="mt-4">
-                      <h4 className="text-sm font-medium text-gray-700 mb-2">Recent Invoices</h4>
-                      <ul className="divide-y divide-gray-200">
-                        {membershipHistory.slice(0, 3).map((membership, index) => (
-                          <li key={index} className="py-3 flex justify-between items-center">
-                            <div>
-                              <p className="text-sm font-medium text-gray-900">
-                                {formatDate(membership.membershipStart)} - {formatDate(membership.membershipEnd)}
-                              </p>
-                              <p className="text-xs text-gray-500">
-                                {formatCurrency(membership.amountPaid)} paid • {formatDate(membership.changed_at)}
-                              </p>
-                            </div>
-                            <InvoiceButton 
-                              studentId={profile.id} 
-                              studentName={profile.name}
-                              className="text-xs"
-                              variant="text"
-                            />
-                          </li>
-                        ))}
-                      </ul>
-                      {membershipHistory.length > 3 && (
-                        <button 
-                          onClick={() => setActiveTab('membership')}
-                          className="mt-2 text-sm text-blue-600 hover:text-blue-800 hover:underline"
+                {receipts.length === 0 ? (
+                  <p className="text-sm text-gray-600">No receipts issued yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200">
+                    {receipts.map((receipt) => (
+                      <li key={receipt.id} className="py-3 flex justify-between items-center">
+                        <div>
+                          <p className={`text-sm font-medium ${receipt.cancelled ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                            {receipt.documentType === 'credit_note' ? 'Credit note' : receipt.details.tax ? 'Tax invoice' : 'Receipt'} {receipt.receiptNumber}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {formatCurrency(receipt.amount)} {receipt.documentType === 'credit_note' ? 'credited' : 'paid'} • {formatDate(receipt.paymentDate)}
+                            {receipt.cancelled && ` • cancelled by ${receipt.creditNoteNumber}`}
+                          </p>
+                        </div>
+                        <button
+                          onClick={() => downloadReceipt(receipt.id, receipt.receiptNumber, api.downloadMyReceiptPdf)}
+                          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-2 py-1 rounded"
                         >
-                          View all invoices
+                          <Download className="h-4 w-4 mr-1.5" />
+                          PDF
                         </button>
-                      )}
-                    </div>
-                  )}
-                </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             </div>
           </div>
@@ -773,6 +798,62 @@ const StudentDashboard: React.FC = () => {
                     </div>
                 </div>
 
+                {/* Monthly Punctuality Summary */}
+                {punctualitySummary && (
+                    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+                        <div className="px-6 py-4 bg-gray-50 border-b">
+                            <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
+                                <Calendar className="w-5 h-5"/>
+                                <span>
+                                    {selectedAttendanceDate.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })} Summary
+                                </span>
+                            </h3>
+                            <p className="text-sm text-gray-500 mt-1">
+                                {punctualitySummary.shifts.length > 0
+                                    ? `Shift: ${punctualitySummary.shifts.join(', ')} • arriving more than ${graceMinutes} minutes after the start counts as late`
+                                    : 'No shift assigned; only presence is tracked.'}
+                            </p>
+                        </div>
+                        <div className="p-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <div>
+                                <p className="text-sm text-gray-500">Present</p>
+                                <p className="text-2xl font-bold text-gray-900">{punctualitySummary.present}/{punctualitySummary.expectedDays}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">On Time</p>
+                                <p className="text-2xl font-bold text-green-600">{punctualitySummary.onTime}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">Late</p>
+                                <p className="text-2xl font-bold text-yellow-600">
+                                    {punctualitySummary.late}
+                                    {punctualitySummary.averageLateMinutes > 0 && (
+                                        <span className="text-sm font-normal text-gray-400"> (avg {punctualitySummary.averageLateMinutes}m)</span>
+                                    )}
+                                </p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">Early Leave</p>
+                                <p className="text-2xl font-bold text-orange-600">{punctualitySummary.earlyLeave}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">Out of Shift</p>
+                                <p className="text-2xl font-bold text-purple-600">{punctualitySummary.outOfShift}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">Absent</p>
+                                <p className="text-2xl font-bold text-red-600">{punctualitySummary.absent}</p>
+                            </div>
+                            <div>
+                                <p className="text-sm text-gray-500">Punctuality</p>
+                                <p className="text-2xl font-bold text-blue-600">
+                                    {punctualitySummary.punctualityRate === null ? '—' : `${punctualitySummary.punctualityRate}%`}
+                                </p>
+                            </div>
+                        </div>
+                    </div>
+                )}
+
                 {/* --- NEW Interactive Attendance History --- */}
                 <div className="bg-white rounded-xl shadow-sm overflow-hidden">
                     <div className="px-6 py-4 bg-gray-50 border-b flex flex-wrap items-center justify-between gap-4">
@@ -2,9 +2,11 @@ import React, { useEffect, useState, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Navbar from '../components/Navbar';
 import Sidebar from '../components/Sidebar';
-import api from '../services/api';
+import api, { StudentPayment } from '../services/api';
 import { toast } from 'sonner';
-import { Trash2, ArrowLeft, Edit, Printer } from 'lucide-react';
+import { Trash2, ArrowLeft, Edit, Printer, IndianRupee } from 'lucide-react';
+import CollectDueModal from '../components/CollectDueModal';
+import ReceiptActions from '../components/ReceiptActions';
 import MaaSaraswatiLibBanner from "./MaaSaraswatiLibBanner.jpg";
 
 interface Student {
@@ -13,6 +15,7 @@ interface Student {
   registrationNumber?: string | null;
   fatherName?: string | null;
   aadharNumber?: string | null;
+  dateOfBirth?: string | null;
   email: string;
   phone: string;
   address: string;
@@ -54,6 +57,9 @@ const StudentDetails: React.FC = () => {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
   const [student, setStudent] = useState<Student | null>(null);
+  const [payments, setPayments] = useState<StudentPayment[]>([]);
+  const [isCollectDueOpen, setIsCollectDueOpen] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const printRef = useRef<HTMLDivElement>(null);
@@ -88,6 +94,13 @@ const StudentDetails: React.FC = () => {
         });
 
         setError(null);
+
+        try {
+          const paymentData = await api.getStudentPayments(studentId);
+          setPayments(paymentData.payments);
+        } catch (paymentErr) {
+          console.error('Failed to fetch student payments:', paymentErr);
+        }
       } catch (err: any) {
         console.error('Failed to fetch student:', err);
         const errorMessage = err.message === 'Server error'
@@ -102,7 +115,7 @@ const StudentDetails: React.FC = () => {
     };
 
     fetchStudent();
-  }, [id]);
+  }, [id, reloadKey]);
 
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete this student?')) {
@@ -230,6 +243,10 @@ const StudentDetails: React.FC = () => {
                     <h2 className="text-lg font-medium">Father's Name</h2>
                     <p className="text-gray-600">{student.fatherName || 'N/A'}</p>
                   </div>
+                  <div>
+                    <h2 className="text-lg font-medium">Date of Birth</h2>
+                    <p className="text-gray-600">{student.dateOfBirth ? formatDate(student.dateOfBirth) : 'N/A'}</p>
+                  </div>
                   <div>
                     <h2 className="text-lg font-medium">Aadhar Number</h2>
                     <p className="text-gray-600">{student.aadharNumber || 'N/A'}</p>
@@ -330,7 +347,66 @@ const StudentDetails: React.FC = () => {
                   </div>
                 </div>
 
+                <div className="mt-6">
+                  <h2 className="text-lg font-medium mb-2">Payments</h2>
+                  {payments.length === 0 ? (
+                    <p className="text-gray-600">No payments recorded</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full text-sm">
+                        <thead>
+                          <tr className="text-left text-gray-500 border-b">
+                            <th className="py-2 pr-4">Date</th>
+                            <th className="py-2 pr-4">Receipt</th>
+                            <th className="py-2 pr-4">Amount</th>
+                            <th className="py-2 pr-4">Mode</th>
+                            <th className="py-2 pr-4">Membership Period</th>
+                            <th className="py-2 pr-4">Collected By</th>
+                            <th className="py-2 pr-4">Remark</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {payments.map((payment) => (
+                            <tr key={payment.id} className="border-b last:border-0">
+                              <td className="py-2 pr-4">{formatDate(payment.paymentDate)}</td>
+                              <td className="py-2 pr-4">
+                                <ReceiptActions
+                                  receiptId={payment.receiptId}
+                                  receiptNumber={payment.receiptNumber}
+                                  cancelled={payment.receiptCancelled}
+                                  onCancelled={() => setReloadKey((key) => key + 1)}
+                                />
+                              </td>
+                              <td className={`py-2 pr-4 ${payment.amount < 0 ? 'text-red-600' : ''}`}>
+                                Rs. {payment.amount.toFixed(2)}
+                                {payment.entryType === 'adjustment' && <span className="ml-1 text-xs text-gray-500">(correction)</span>}
+                              </td>
+                              <td className="py-2 pr-4 capitalize">{payment.paymentMode}</td>
+                              <td className="py-2 pr-4">
+                                {payment.periodStart ? `${formatDate(payment.periodStart)} to ${formatDate(payment.periodEnd ?? undefined)}` : 'N/A'}
+                              </td>
+                              <td className="py-2 pr-4">
+                                {payment.collectedByType === 'system' ? 'System' : payment.collectedByName || 'N/A'}
+                              </td>
+                              <td className="py-2 pr-4">{payment.remark || '-'}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+
                 <div className="mt-6 flex space-x-4 no-print">
+                  {student.dueAmount > 0 && (
+                    <button
+                      onClick={() => setIsCollectDueOpen(true)}
+                      className="flex items-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
+                    >
+                      <IndianRupee size={16} className="mr-2" />
+                      Collect Due
+                    </button>
+                  )}
                   <button
                     onClick={() => navigate(`/students/${student.id}/edit`)}
                     className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
@@ -358,6 +434,16 @@ const StudentDetails: React.FC = () => {
           </div>
         </div>
       </div>
+      {student && (
+        <CollectDueModal
+          isOpen={isCollectDueOpen}
+          onClose={() => setIsCollectDueOpen(false)}
+          studentName={student.name}
+          dueAmount={student.dueAmount}
+          collect={(input) => api.collectStudentDue(student.id, input)}
+          onCollected={() => setReloadKey((key) => key + 1)}
+        />
+      )}
     </>
   );
 };
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { IdCard, Printer, Search } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import Navbar from '../components/Navbar';
+import Sidebar from '../components/Sidebar';
+import { StudentIdCard } from '../components/BarcodeGenerator';
+import api, { StudentIdCardData } from '../services/api';
+
+// Printable ID cards for students who check in at the staff kiosk instead of scanning with their phone
+const StudentIdCards: React.FC = () => {
+  const [searchParams] = useSearchParams();
+  const studentId = searchParams.get('studentId');
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [cards, setCards] = useState<StudentIdCardData[]>([]);
+  const [branches, setBranches] = useState<{ id: number; name: string }[]>([]);
+  const [branchId, setBranchId] = useState<number | undefined>(undefined);
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    api.getBranches()
+      .then((data) => setBranches(data || []))
+      .catch((error) => console.error('Error loading branches:', error));
+  }, []);
+
+  useEffect(() => {
+    const loadCards = async () => {
+      setIsLoading(true);
+      try {
+        const data = await api.getStudentIdCards({
+          branchId,
+          studentId: studentId ? parseInt(studentId) : undefined,
+          search: search.trim() || undefined
+        });
+        setCards(data.cards || []);
+      } catch (error) {
+        console.error('Error loading ID cards:', error);
+        toast.error(error instanceof Error ? error.message : 'Failed to load ID cards');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+    loadCards();
+  }, [branchId, studentId, search]);
+
+  return (
+    <div className="flex h-screen bg-gray-50 print:block print:h-auto print:bg-white">
+      <div className="print:hidden">
+        <Sidebar isCollapsed={isCollapsed} setIsCollapsed={setIsCollapsed} onBarcodeClick={() => {}} />
+      </div>
+      <div className="flex-1 flex flex-col overflow-hidden print:overflow-visible">
+        <div className="print:hidden">
+          <Navbar />
+        </div>
+        <div className="flex-1 overflow-auto p-6 print:p-0 print:overflow-visible">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-6 print:hidden">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900 flex items-center">
+                <IdCard className="w-6 h-6 mr-2 text-blue-600" />
+                Student ID Cards
+              </h2>
+              <p className="text-sm text-gray-600">Staff scan these cards at the attendance kiosk to check students in and out.</p>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {!studentId && (
+                <>
+                  <div className="relative">
+                    <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-400" />
+                    <input
+                      type="text"
+                      placeholder="Name, phone, or reg. no."
+                      value={search}
+                      onChange={(e) => setSearch(e.target.value)}
+                      className="pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                  </div>
+                  {branches.length > 1 && (
+                    <select
+                      value={branchId ?? ''}
+                      onChange={(e) => setBranchId(e.target.value ? parseInt(e.target.value) : undefined)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      <option value="">All Branches</option>
+                      {branches.map((branch) => (
+                        <option key={branch.id} value={branch.id}>{branch.name}</option>
+                      ))}
+                    </select>
+                  )}
+                </>
+              )}
+              <button
+                onClick={() => window.print()}
+                disabled={cards.length === 0}
+                className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                <Printer className="w-4 h-4 mr-2" />
+                Print {cards.length} {cards.length === 1 ? 'Card' : 'Cards'}
+              </button>
+            </div>
+          </div>
+
+          {isLoading ? (
+            <p className="text-center text-gray-500 py-12">Loading ID cards...</p>
+          ) : cards.length === 0 ? (
+            <p className="text-center text-gray-500 py-12">No active students found.</p>
+          ) : (
+            <div className="flex flex-wrap gap-4 print:gap-2">
+              {cards.map((card) => (
+                <StudentIdCard key={card.id} card={card} />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StudentIdCards;
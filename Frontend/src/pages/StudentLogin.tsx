@@ -1,8 +1,9 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
 import { authFetch } from '../utils/apiConfig';
 import { Eye, EyeOff, GraduationCap, Code, Phone, Lock } from 'lucide-react';
 import { toast } from 'react-hot-toast';
+import ForgotPasswordForm from '../components/ForgotPasswordForm';
 
 interface StudentLoginData {
   libraryCode: string;
@@ -10,8 +11,17 @@ interface StudentLoginData {
   password: string;
 }
 
+interface ChangePasswordData {
+  currentPassword: string;
+  newPassword: string;
+  confirmPassword: string;
+}
+
+const MIN_PASSWORD_LENGTH = 6;
+
 const StudentLogin: React.FC = () => {
   const navigate = useNavigate();
+  const location = useLocation();
   const [formData, setFormData] = useState<StudentLoginData>({
     libraryCode: '',
     phone: '',
@@ -19,6 +29,17 @@ const StudentLogin: React.FC = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
+  // Students still on the phone-number default password must choose a new one before continuing;
+  // the dashboard sends them back here with this flag when their session still needs it
+  const [mustChangePassword, setMustChangePassword] = useState(
+    Boolean((location.state as { mustChangePassword?: boolean } | null)?.mustChangePassword)
+  );
+  const [passwordData, setPasswordData] = useState<ChangePasswordData>({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const { name, value } = e.target;
@@ -56,6 +77,12 @@ const StudentLogin: React.FC = () => {
       const data = await response.json();
 
       if (response.ok) {
+        if (data.student.mustChangePassword) {
+          setPasswordData(prev => ({ ...prev, currentPassword: formData.password }));
+          setMustChangePassword(true);
+          toast('Please set a new password to continue');
+          return;
+        }
         toast.success(`Welcome, ${data.student.name}!`);
         navigate('/student-dashboard');
       } else {
@@ -69,6 +96,110 @@ const StudentLogin: React.FC = () => {
     }
   };
 
+  const handlePasswordChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value } = e.target;
+    setPasswordData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleChangePasswordSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (passwordData.newPassword.length < MIN_PASSWORD_LENGTH) {
+      toast.error(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    if (passwordData.newPassword !== passwordData.confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const response = await authFetch("/student-auth/change-password", {
+        method: "POST",
+        body: JSON.stringify({
+          current_password: passwordData.currentPassword,
+          new_password: passwordData.newPassword,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Password changed successfully');
+        navigate('/student-dashboard');
+      } else {
+        toast.error(data.message || 'Failed to change password');
+      }
+    } catch (error) {
+      console.error('Student change password error:', error);
+      toast.error('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (mustChangePassword) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8">
+          <div className="text-center mb-8">
+            <div className="mx-auto w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-full flex items-center justify-center mb-4">
+              <Lock className="w-8 h-8 text-white" />
+            </div>
+            <h1 className="text-2xl font-bold text-gray-900">Set a New Password</h1>
+            <p className="text-gray-600 mt-2">Your account is still using your phone number as its password. Choose a new one to continue.</p>
+          </div>
+
+          <form onSubmit={handleChangePasswordSubmit} className="space-y-6">
+            {([
+              { name: 'currentPassword', label: 'Current Password', placeholder: 'Your phone number' },
+              { name: 'newPassword', label: 'New Password', placeholder: `At least ${MIN_PASSWORD_LENGTH} characters` },
+              { name: 'confirmPassword', label: 'Confirm New Password', placeholder: 'Re-enter the new password' },
+            ] as const).map((field) => (
+              <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {field.label}
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    name={field.name}
+                    value={passwordData[field.name]}
+                    onChange={handlePasswordChange}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder={field.placeholder}
+                    required
+                  />
+                </div>
+              </div>
+            ))}
+
+            <label className="flex items-center text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={showPassword}
+                onChange={() => setShowPassword(!showPassword)}
+                className="mr-2"
+              />
+              Show passwords
+            </label>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-3 px-4 rounded-lg font-medium hover:from-blue-700 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200"
+            >
+              {isLoading ? 'Saving...' : 'Change Password'}
+            </button>
+          </form>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-4">
       <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8">
@@ -80,6 +211,17 @@ const StudentLogin: React.FC = () => {
           <p className="text-gray-600 mt-2">Access your library account</p>
         </div>
 
+        {showForgotPassword ? (
+          <ForgotPasswordForm
+            authPath="/student-auth"
+            identifierFields={[
+              { name: 'libraryCode', label: 'Library Code', placeholder: 'Enter library code', uppercase: true },
+              { name: 'phone', label: 'Phone Number', type: 'tel', placeholder: 'Enter your phone number' },
+            ]}
+            initialValues={{ libraryCode: formData.libraryCode, phone: formData.phone }}
+            onBack={() => setShowForgotPassword(false)}
+          />
+        ) : (
         <form onSubmit={handleSubmit} className="space-y-6">
           {/* Library Code */}
           <div>
@@ -148,9 +290,18 @@ const StudentLogin: React.FC = () => {
                 {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
               </button>
             </div>
-            <p className="text-xs text-gray-500 mt-1">
-              Your password is the same as your phone number
-            </p>
+            <div className="flex items-center justify-between mt-1">
+              <p className="text-xs text-gray-500">
+                First time here? Your password is your phone number
+              </p>
+              <button
+                type="button"
+                onClick={() => setShowForgotPassword(true)}
+                className="text-xs text-blue-600 hover:text-blue-700"
+              >
+                Forgot password?
+              </button>
+            </div>
           </div>
 
           {/* Submit Button */}
@@ -162,6 +313,7 @@ const StudentLogin: React.FC = () => {
             {isLoading ? 'Signing In...' : 'Sign In'}
           </button>
         </form>
+        )}
 
         <div className="mt-6 text-center">
           <p className="text-gray-600 text-sm">
@@ -66,6 +66,10 @@ const SubscriptionPlans = () => {
       }
     } catch (error) {
       console.error('Error verifying payment:', error);
+      if (axios.isAxiosError(error) && error.response?.status === 409) {
+        alert(error.response.data.message);
+        return;
+      }
       alert('Error verifying payment. Please contact support.');
     }
   };
@@ -82,13 +86,13 @@ const SubscriptionPlans = () => {
 
     // Get order details from backend
     try {
+      // The server charges the plan's own price
       const orderResponse = await axios.post('/api/subscriptions/create-order', {
-        planId: plan.id,
-        amount: plan.amount
+        planId: plan.id
       });
 
       const options = {
-        key: import.meta.env.VITE_RAZORPAY_KEY_ID || 'rzp_test_your_key_here',
+        key: orderResponse.data.key_id || import.meta.env.VITE_RAZORPAY_KEY_ID,
         amount: orderResponse.data.amount,
         currency: 'INR',
         name: 'StudyLib',
@@ -266,6 +270,18 @@ const SubscriptionPlans = () => {
           </div>
         )}
 
+        {/* Payments that did not activate a plan because their amount did not match it */}
+        {subscriptionInfo?.flaggedPayments?.length > 0 && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded-lg mb-8 text-center">
+            <p className="font-bold">A payment is being checked</p>
+            <p>
+              {subscriptionInfo.flaggedPayments.length === 1 ? 'One payment' : `${subscriptionInfo.flaggedPayments.length} payments`}
+              {' '}did not match the price of the plan and did not activate it. Please contact support with payment ID
+              {' '}{subscriptionInfo.flaggedPayments.map((payment) => payment.razorpay_payment_id).join(', ')}.
+            </p>
+          </div>
+        )}
+
         {/* Motivational section */}
         <div className="bg-white rounded-xl shadow-lg p-6 mb-10 text-center">
           <h2 className="text-xl font-semibold text-gray-800 mb-2">Most people don't finish what they start. Not you.</h2>
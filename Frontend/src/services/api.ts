@@ -1,6 +1,8 @@
 // Service for API calls (v2)
 import axios from 'axios';
 import { toast } from 'sonner';
+import { getDeviceLocation } from '../utils/geolocation';
+import type { Permission, Role } from '../config/permission';
 
 interface NewUserData {
   username: string;
@@ -10,12 +12,26 @@ interface NewUserData {
   email?: string;
   permissions?: string[];
   branch_access?: number[];
+  role_id?: number | null;
 }
 
 interface Branch {
   id: number;
   name: string;
   code?: string | null;
+  latitude?: string | number | null;
+  longitude?: string | number | null;
+  geofenceRadius?: number | null;
+  geofenceMode?: 'strict' | 'lenient';
+}
+
+export interface BranchInput {
+  name: string;
+  code?: string;
+  latitude?: number | null;
+  longitude?: number | null;
+  geofenceRadius?: number | null;
+  geofenceMode?: 'strict' | 'lenient';
 }
 
 interface Product {
@@ -43,6 +59,17 @@ interface Locker {
   branchName?: string | null;
 }
 
+export interface AttendanceQrCode {
+  qrData: string;
+  expiresAt: string;
+  ttlSeconds: number;
+  library: {
+    id: number;
+    name: string;
+    code: string;
+  };
+}
+
 interface LibraryProfile {
   id: number;
   libraryCode: string;
@@ -96,6 +123,8 @@ export interface StudentProfile {
   membershipStart: string;
   membershipEnd: string;
   status: string;
+  // Currency of the student's library, e.g. 'INR'
+  currency: string;
 }
 
 export interface AttendanceHistoryRecord {
@@ -114,6 +143,7 @@ interface Student {
   registrationNumber?: string | null;
   fatherName?: string | null;
   aadharNumber?: string | null;
+  dateOfBirth?: string | null;
   branchId: number;
   branchName?: string;
   membershipStart: string;
@@ -178,6 +208,574 @@ export interface AttendanceRecord {
   firstIn: string | null;
   lastOut: string | null;
   totalScans: number;
+  isFlagged?: boolean;
+  flagReasons?: string | null;
+  maxDistance?: number | null;
+  autoClosed?: boolean;
+  lastOutId?: number | null;
+  shiftStatus?: ShiftAttendanceStatus;
+  lateMinutes?: number;
+  earlyMinutes?: number;
+  shiftTitle?: string | null;
+}
+
+export type ShiftAttendanceStatus = 'on_time' | 'late' | 'early_leave' | 'out_of_shift' | 'absent' | 'present';
+
+export interface PunctualityDay {
+  date: string;
+  status: ShiftAttendanceStatus;
+  lateMinutes: number;
+  earlyMinutes: number;
+  shiftTitle: string | null;
+}
+
+export interface PunctualitySummary {
+  studentId: number;
+  studentName: string;
+  phone: string;
+  registrationNumber: string | null;
+  branchName: string | null;
+  shifts: string[];
+  expectedDays: number;
+  present: number;
+  onTime: number;
+  late: number;
+  earlyLeave: number;
+  outOfShift: number;
+  absent: number;
+  punctualityRate: number | null;
+  averageLateMinutes: number;
+  days?: PunctualityDay[];
+}
+
+// Same filters as the owner attendance list, without pagination
+export interface AttendanceFilters {
+  view: 'daily' | 'monthly' | 'range';
+  date?: string;
+  month?: number;
+  year?: number;
+  startDate?: string;
+  endDate?: string;
+  search?: string;
+  branchId?: number;
+  shiftId?: number;
+  flagged?: boolean;
+}
+
+export interface AttendanceRegister {
+  month: number;
+  year: number;
+  daysInMonth: number;
+  students: {
+    studentId: number;
+    studentName: string;
+    registrationNumber: string | null;
+    branchName: string | null;
+    shifts: string[];
+    marks: ('P' | 'A' | 'L' | '')[];
+    present: number;
+    late: number;
+    absent: number;
+  }[];
+}
+
+export interface StudentIdCardData {
+  id: number;
+  name: string;
+  phone: string;
+  registrationNumber: string | null;
+  profileImageUrl: string | null;
+  membershipEnd: string;
+  status: string;
+  branchName: string | null;
+  libraryName: string;
+  cardCode: string;
+}
+
+export interface KioskScanStudent {
+  id: number;
+  name: string;
+  registrationNumber: string | null;
+  profileImageUrl: string | null;
+  status: string;
+  membershipEnd: string;
+  membershipExpired: boolean;
+  branchName: string | null;
+}
+
+export interface KioskScanResult {
+  message: string;
+  action: 'in' | 'out';
+  timestamp: string;
+  student: KioskScanStudent;
+}
+
+export interface LoginLockout {
+  accountType: 'staff' | 'student';
+  identifier: string;
+  accountId: number | null;
+  displayName: string | null;
+  failedCount: number;
+  lastFailedAt: string | null;
+  lockedUntil: string | null;
+  lockoutCount: number;
+  isLocked: boolean;
+}
+
+export interface LoginAttempt {
+  id: number;
+  accountType: 'staff' | 'student';
+  identifier: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  success: boolean;
+  failureReason: string | null;
+  createdAt: string;
+}
+
+// A numbered receipt or credit note as issued; details hold what is printed on it
+export interface Receipt {
+  id: number;
+  receiptNumber: string;
+  documentType: 'receipt' | 'credit_note';
+  financialYear: string;
+  studentType: 'library' | 'hostel';
+  studentId: number;
+  branchId: number | null;
+  paymentId: number;
+  cancelsReceiptId: number | null;
+  amount: number;
+  paymentMode: string;
+  paymentDate: string;
+  details: {
+    libraryName: string | null;
+    branchName: string | null;
+    studentName: string | null;
+    studentPhone: string | null;
+    registrationNumber: string | null;
+    periodStart: string | null;
+    periodEnd: string | null;
+    remark: string | null;
+    originalReceiptNumber?: string;
+    reason?: string;
+    // Set when the library had a GSTIN: the document is a tax invoice with this breakup
+    tax?: ReceiptTax;
+  };
+  issuedByName: string | null;
+  issuedAt: string;
+  cancelled: boolean;
+  creditNoteId: number | null;
+  creditNoteNumber: string | null;
+  hash: string;
+}
+
+export interface ReceiptTax {
+  gstin: string;
+  legalName: string | null;
+  address: string | null;
+  supplierState: string;
+  placeOfSupply: string;
+  supplyType: 'intra-state' | 'inter-state';
+  description: string;
+  sacCode: string;
+  rate: string;
+  taxableValue: string;
+  cgst: string;
+  sgst: string;
+  igst: string;
+  totalTax: string;
+}
+
+export interface GstTaxRate {
+  feeType: 'library' | 'hostel';
+  label?: string;
+  sacCode: string;
+  rate: number;
+}
+
+export interface GstSettings {
+  gstin: string | null;
+  legalName: string | null;
+  address: string | null;
+  placeOfSupply: string | null;
+  rates: GstTaxRate[];
+}
+
+export interface OnlinePaymentSettings {
+  enabled: boolean;
+  keyId: string | null;
+  hasKeySecret: boolean;
+  hasWebhookSecret: boolean;
+  webhookPath: string;
+}
+
+export interface OnlinePaymentOptions {
+  enabled: boolean;
+  due: { amount: number; periodStart: string; periodEnd: string } | null;
+  renewal: { amount: number; start: string; end: string } | null;
+  currency: string;
+}
+
+export interface OnlinePaymentOrder {
+  orderId: string;
+  amount: number;
+  currency: string;
+  keyId: string;
+  purpose: 'due' | 'renewal';
+  period: { start: string; end: string } | null;
+  studentName: string;
+  mock: boolean;
+}
+
+export interface OnlineCheckoutResponse {
+  razorpayOrderId: string;
+  razorpayPaymentId: string;
+  razorpaySignature: string;
+}
+
+export interface GstSummaryRecord {
+  feeType: 'library' | 'hostel';
+  description: string;
+  sacCode: string;
+  rate: number;
+  invoices: number;
+  creditNotes: number;
+  taxableValue: number;
+  cgst: number;
+  sgst: number;
+  igst: number;
+  totalTax: number;
+  invoiceValue: number;
+}
+
+export interface GstSummary {
+  month: string;
+  records: GstSummaryRecord[];
+  totals: Pick<GstSummaryRecord, 'taxableValue' | 'cgst' | 'sgst' | 'igst' | 'totalTax' | 'invoiceValue'>;
+}
+
+export interface ReceiptSettings {
+  receiptPrefix: string;
+  creditNotePrefix: string;
+  receiptNumberingPerBranch: boolean;
+  financialYearStartMonth: number;
+}
+
+export interface ReceiptChainCheck {
+  valid: boolean;
+  checked: number;
+  brokenAt?: { id: number; receiptNumber: string; problem: string };
+  // Series with fewer documents than numbers issued, i.e. documents removed from the end
+  gaps: Array<{ seriesKey: string; documentType: 'receipt' | 'credit_note'; financialYear: string; lastNumber: number; found: number }>;
+}
+
+// Settings of the library, or as they apply to a branch (see Backend/utils/librarySettings.js)
+export interface LibrarySettingValues {
+  currency: string;
+  timezone: string;
+  openingTime: string;
+  closingTime: string;
+  defaultSecurityDeposit: number | null;
+  defaultHostelFee: number | null;
+  defaultHostelSecurityDeposit: number | null;
+  // Managed on the receipt settings page
+  receiptPrefix: string;
+  creditNotePrefix: string;
+  receiptNumberingPerBranch: boolean;
+  financialYearStartMonth: number;
+}
+
+export type LibrarySettingKey = keyof LibrarySettingValues;
+
+export interface LibrarySettingDefinition {
+  group: 'regional' | 'hours' | 'fees' | 'receipts';
+  type: string;
+  default: LibrarySettingValues[LibrarySettingKey];
+  branch?: boolean;
+  min?: number;
+  max?: number;
+  values?: string[];
+}
+
+export interface LibrarySettingsResponse {
+  branchId: number | null;
+  settings: LibrarySettingValues;
+  // Values saved at this level; the others are inherited from the library or the defaults
+  saved: Partial<LibrarySettingValues>;
+  definitions: Record<LibrarySettingKey, LibrarySettingDefinition>;
+}
+
+export type NotificationChannel = 'email' | 'whatsapp' | 'sms';
+export type NotificationStatus = 'pending' | 'sending' | 'sent' | 'failed';
+
+// A message's template on one channel (see Backend/utils/notifications.js). Bodies use placeholders
+// such as {{name}}; providerTemplate is the Brevo template ID or the approved WhatsApp template.
+export interface NotificationTemplate {
+  templateKey: string;
+  label: string;
+  channel: NotificationChannel;
+  subject: string | null;
+  body: string;
+  providerTemplate: string | null;
+  customized: boolean;
+}
+
+export interface NotificationTemplatesResponse {
+  templates: NotificationTemplate[];
+  variables: Record<string, string>;
+  channels: NotificationChannel[];
+}
+
+export interface NotificationAttempt {
+  attempt: number;
+  status: 'sent' | 'failed';
+  provider: string | null;
+  providerMessageId: string | null;
+  error: string | null;
+  createdAt: string;
+}
+
+export interface NotificationLogEntry {
+  id: number;
+  studentType: 'library' | 'hostel' | null;
+  studentId: number | null;
+  recipientName: string | null;
+  channel: NotificationChannel;
+  recipient: string;
+  templateKey: string;
+  subject: string | null;
+  body: string;
+  status: NotificationStatus;
+  attempts: number;
+  maxAttempts: number;
+  nextAttemptAt: string;
+  lastError: string | null;
+  provider: string | null;
+  providerMessageId: string | null;
+  bulkMessageId: number | null;
+  createdAt: string;
+  sentAt: string | null;
+}
+
+export interface NotificationDetail extends NotificationLogEntry {
+  attemptHistory: NotificationAttempt[];
+}
+
+export interface NotificationFilters {
+  status?: NotificationStatus;
+  channel?: NotificationChannel;
+  templateKey?: string;
+  studentId?: number;
+  bulkMessageId?: number;
+  search?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export type ReminderTrigger = 'before_expiry' | 'on_expiry' | 'after_expiry' | 'due_above' | 'absent' | 'birthday';
+
+// An automatic reminder (see Backend/utils/reminderRules.js); days is used by the expiry and absence
+// triggers, minDue by due_above
+export interface ReminderRule {
+  id: number;
+  name: string;
+  triggerType: ReminderTrigger;
+  days: number | null;
+  minDue: number | null;
+  channel: NotificationChannel;
+  templateKey: string;
+  sendTime: string;
+  enabled: boolean;
+  lastRunOn: string | null;
+}
+
+export type ReminderRuleInput = Omit<ReminderRule, 'id' | 'lastRunOn'>;
+
+export interface ReminderRulesResponse {
+  rules: ReminderRule[];
+  triggers: Record<ReminderTrigger, { label: string; days?: boolean; minDue?: boolean; template: string }>;
+  templates: { key: string; label: string }[];
+  channels: NotificationChannel[];
+}
+
+export type SegmentStatus = 'active' | 'expired' | 'deactivated';
+
+// Filters of a student segment (see Backend/utils/bulkMessages.js); a missing filter matches everyone.
+// Expiry days count from today, negative for days before it.
+export interface SegmentFilters {
+  branchId?: number;
+  shiftId?: number;
+  status?: SegmentStatus;
+  minDue?: number;
+  maxDue?: number;
+  expiryFromDays?: number;
+  expiryToDays?: number;
+}
+
+export interface StudentSegment {
+  id: number;
+  name: string;
+  filters: SegmentFilters;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface StudentSegmentsResponse {
+  segments: StudentSegment[];
+  statuses: Record<SegmentStatus, string>;
+  channels: NotificationChannel[];
+  variables: Record<string, string>;
+}
+
+// The students of a segment or filters, and the message as the first of them would get it
+export interface SegmentPreview {
+  filters: SegmentFilters;
+  count: number;
+  reachable: Record<NotificationChannel, number>;
+  sample: string[];
+  example: { name: string; subject: string | null; body: string } | null;
+}
+
+export interface BulkMessageInput {
+  segmentId?: number;
+  filters?: SegmentFilters;
+  channels: NotificationChannel[];
+  subject?: string;
+  body: string;
+  whatsappTemplate?: string;
+}
+
+export interface BulkMessage {
+  id: number;
+  segmentId: number | null;
+  segmentName: string | null;
+  filters: SegmentFilters;
+  channels: NotificationChannel[];
+  subject: string | null;
+  body: string;
+  whatsappTemplate: string | null;
+  recipientCount: number;
+  queuedCount: number;
+  skipped: Record<string, number>; // students not reached, by reason
+  createdAt: string;
+  delivery: Record<NotificationStatus, number>;
+}
+
+export interface AuditLogEntry {
+  id: number;
+  actorType: 'owner' | 'user' | 'student' | 'system';
+  actorId: number | null;
+  actorName: string | null;
+  actorRole: string | null;
+  action: 'create' | 'update' | 'delete';
+  entityType: string;
+  entityId: string | null;
+  beforeData: Record<string, unknown> | null;
+  afterData: Record<string, unknown> | null;
+  httpMethod: string | null;
+  path: string | null;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+export interface AuditLogFilters {
+  actor?: string; // 'owner', or 'user:<id>' for an admin/staff user
+  entityType?: string;
+  entityId?: string;
+  action?: 'create' | 'update' | 'delete';
+  from?: string;
+  to?: string;
+  page?: number;
+  limit?: number;
+}
+
+export interface AuditLogFilterOptions {
+  actors: { actorType: 'owner' | 'user'; actorId: number; actorName: string | null; actorRole: string | null }[];
+  entityTypes: string[];
+}
+
+export interface StudentPayment {
+  id: number;
+  membershipHistoryId: number | null;
+  branchId: number | null;
+  periodStart: string | null;
+  periodEnd: string | null;
+  entryType: 'payment' | 'adjustment';
+  amount: number;
+  paymentMode: 'cash' | 'online' | 'other';
+  paymentDate: string;
+  collectedByType: 'owner' | 'user' | 'student' | 'system' | null;
+  collectedById: number | null;
+  collectedByName: string | null;
+  remark: string | null;
+  createdAt: string;
+  receiptId: number | null;
+  receiptNumber: string | null;
+  receiptCancelled: boolean;
+}
+
+export interface PaymentReceipt {
+  paymentId: number;
+  receiptId: number | null;
+  receiptNumber: string | null;
+  studentId: number;
+  studentName: string;
+  amount: number;
+  paymentMode: 'cash' | 'online';
+  paymentDate: string;
+  periodStart: string | null;
+  periodEnd: string | null;
+  dueBefore: number;
+  dueAfter: number;
+  collectedByName: string | null;
+  remark: string | null;
+  createdAt: string;
+}
+
+export interface CollectDueInput {
+  amount: number;
+  method: 'cash' | 'online';
+  remark?: string;
+}
+
+export interface DayCollectionEntry {
+  id: number;
+  studentId: number;
+  studentName: string;
+  amount: number;
+  paymentMode: 'cash' | 'online' | 'other';
+  entryType?: 'payment' | 'adjustment'; // library ledger only
+  paymentDate: string;
+  periodStart: string | null;
+  periodEnd: string | null;
+  collectedByName: string | null;
+  remark: string | null;
+  createdAt: string;
+  branchId: number | null;
+  branchName: string | null;
+  receiptId: number | null;
+  receiptNumber: string | null;
+  receiptCancelled: boolean;
+}
+
+export interface DayCollections {
+  payments: DayCollectionEntry[];
+  totals: { total: number; cash: number; online: number };
+}
+
+export interface AbsenteeBranch {
+  branchId: number | null;
+  branchName: string;
+  students: {
+    studentId: number;
+    studentName: string;
+    phone: string;
+    registrationNumber: string | null;
+    shifts: string[];
+  }[];
 }
 
 interface Schedule {
@@ -312,7 +910,8 @@ apiClient.interceptors.request.use((config) => {
 
 apiClient.interceptors.response.use(
   (response) => {
-    if (response.data && typeof response.data === 'object') {
+    // File downloads (responseType 'blob') are passed through untouched
+    if (response.data && typeof response.data === 'object' && !(response.data instanceof Blob)) {
       response.data = transformKeysToCamelCase(response.data);
     }
     return response;
@@ -342,9 +941,9 @@ apiClient.interceptors.response.use(
 );
 
 const api = {
-  login: async ({ username, password }: { username: string; password: string }) => {
+  login: async ({ libraryCode, username, password }: { libraryCode: string; username: string; password: string }) => {
     try {
-      const response = await apiClient.post('/auth/login', { username, password });
+      const response = await apiClient.post('/auth/login', { libraryCode, username, password });
       const { message, user } = response.data;
       if (message === 'Login successful' && user) {
         console.log('Login successful, user:', user);
@@ -400,12 +999,12 @@ const api = {
     }
   },
 
-  addBranch: async (branchData: { name: string; code?: string }): Promise<Branch> => {
+  addBranch: async (branchData: BranchInput): Promise<Branch> => {
     const response = await apiClient.post('/branches', branchData);
     return response.data;
   },
 
-  updateBranch: async (id: number, branchData: { name: string; code?: string }): Promise<Branch> => {
+  updateBranch: async (id: number, branchData: BranchInput): Promise<Branch> => {
     const response = await apiClient.put(`/branches/${id}`, branchData);
     return response.data;
   },
@@ -574,6 +1173,23 @@ const api = {
     }
   },
 
+  collectHostelStudentDue: async (studentId: number, { amount, method, remark }: CollectDueInput): Promise<{ message: string; receipt: PaymentReceipt }> => {
+    const response = await apiClient.post(`/hostel/collections/students/${studentId}/collect-due`, {
+      paymentAmount: amount,
+      paymentType: method,
+      remark,
+    });
+    return response.data;
+  },
+
+  getHostelDayCollections: async (params: { date?: string; branchId?: number } = {}): Promise<DayCollections> => {
+    const queryParams: Record<string, string | number> = {};
+    if (params.date) queryParams.date = params.date;
+    if (params.branchId) queryParams.branch_id = params.branchId;
+    const response = await apiClient.get('/hostel/collections/payments', { params: queryParams });
+    return response.data;
+  },
+
   getQueries: async (): Promise<Query[]> => {
     try {
       const response = await apiClient.get('/queries');
@@ -666,6 +1282,11 @@ const api = {
     return response.data;
   },
 
+  getStudentPayments: async (id: number): Promise<{ payments: StudentPayment[] }> => {
+    const response = await apiClient.get(`/students/${id}/payments`);
+    return response.data;
+  },
+
   getActiveStudents: async (branchId?: number): Promise<{ students: Student[] }> => {
     const params: any = {};
     if (branchId) params.branchId = branchId;
@@ -710,6 +1331,7 @@ const api = {
     registrationNumber?: string;
     fatherName?: string;
     aadharNumber?: string;
+    dateOfBirth?: string | null;
     branchId: number;
     membershipStart: string;
     membershipEnd: string;
@@ -761,6 +1383,7 @@ const api = {
       registrationNumber?: string;
       fatherName?: string;
       aadharNumber?: string;
+      dateOfBirth?: string | null;
       branchId: number;
       membershipStart: string;
       membershipEnd: string;
@@ -873,6 +1496,7 @@ const api = {
   addSchedule: async (scheduleData: { 
     title: string; 
     time: string; 
+    endTime?: string;
     eventDate: string; 
     description?: string;
     fee?: number; // <-- Add this line
@@ -881,7 +1505,7 @@ const api = {
     return response.data;
   },
 
-  updateSchedule: async (id: number, scheduleData: { title?: string; time?: string; eventDate?: string; description?: string; fee?: number }): Promise<Schedule> => {
+  updateSchedule: async (id: number, scheduleData: { title?: string; time?: string; endTime?: string; eventDate?: string; description?: string; fee?: number }): Promise<Schedule> => {
     const response = await apiClient.put(`/schedules/${id}`, scheduleData);
     return response.data;
   },
@@ -1018,9 +1642,9 @@ const api = {
     }
   },
 
-  getSettings: async () => {
+  getSettings: async (branchId?: number | null): Promise<LibrarySettingsResponse> => {
     try {
-      const response = await apiClient.get('/settings');
+      const response = await apiClient.get('/settings', { params: branchId ? { branchId } : undefined });
       return response.data;
     } catch (error: any) {
       console.error('Error fetching settings:', error.response?.data || error.message);
@@ -1028,9 +1652,13 @@ const api = {
     }
   },
 
-  updateSettings: async (settingsData: any) => {
+  // A null value clears the saved setting, so it is inherited again
+  updateSettings: async (
+    settings: Partial<Record<LibrarySettingKey, LibrarySettingValues[LibrarySettingKey] | null>>,
+    branchId?: number | null
+  ): Promise<{ message: string } & Omit<LibrarySettingsResponse, 'branchId' | 'definitions'>> => {
     try {
-      const response = await apiClient.put('/settings', settingsData);
+      const response = await apiClient.put('/settings', { branchId: branchId || null, settings });
       return response.data;
     } catch (error: any) {
       console.error('Error updating settings:', error.response?.data || error.message);
@@ -1100,6 +1728,35 @@ const api = {
     return response.data;
   },
 
+  collectStudentDue: async (studentId: number, { amount, method, remark }: CollectDueInput): Promise<{ message: string; receipt: PaymentReceipt }> => {
+    const response = await apiClient.post(`/collections/students/${studentId}/collect-due`, {
+      paymentAmount: amount,
+      paymentMethod: method,
+      remark,
+    });
+    return response.data;
+  },
+
+  getDayCollections: async (params: { date?: string; branchId?: number } = {}): Promise<DayCollections> => {
+    const response = await apiClient.get('/collections/payments', { params });
+    return response.data;
+  },
+
+  getReceipts: async (studentType: 'library' | 'hostel', studentId: number): Promise<{ receipts: Receipt[] }> => {
+    const response = await apiClient.get('/receipts', { params: { student_type: studentType, student_id: studentId } });
+    return response.data;
+  },
+
+  downloadReceiptPdf: async (receiptId: number): Promise<Blob> => {
+    const response = await apiClient.get(`/receipts/${receiptId}/pdf`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  cancelReceipt: async (receiptId: number, reason: string): Promise<{ message: string; creditNote: Receipt }> => {
+    const response = await apiClient.post(`/receipts/${receiptId}/cancel`, { reason });
+    return response.data;
+  },
+
   getExpenses: async (branchId?: number): Promise<{ expenses: Expense[]; products: Product[] }> => {
     const params: any = {};
     if (branchId) params.branchId = branchId;
@@ -1142,6 +1799,11 @@ const api = {
     return response.data;
   },
 
+  getGstSummary: async (month: string): Promise<GstSummary> => {
+    const response = await apiClient.get('/reports/gst-summary', { params: { month } });
+    return response.data;
+  },
+
   getMonthlyCollections: async (month: string) => {
     const response = await apiClient.get('/reports/monthly-collections', { params: { month } });
     return response.data;
@@ -1185,12 +1847,17 @@ const api = {
       studentId?: string; 
       page?: number; 
       limit?: number; 
-      view?: 'daily' | 'monthly'; 
+      view?: 'daily' | 'monthly' | 'range'; 
       search?: string;
+      month?: number;
+      year?: number;
+      branchId?: number;
+      shiftId?: number;
       includeMembership?: boolean;
       startDate?: string;
       endDate?: string;
       status?: string;
+      flagged?: boolean;
     } = {}
   ): Promise<{ attendance: AttendanceRecord[]; pagination: any }> => {
     try {
@@ -1222,11 +1889,257 @@ const api = {
     }
   },
 
+  exportAttendance: async (
+    format: 'csv' | 'xlsx',
+    filters: AttendanceFilters
+  ): Promise<Blob> => {
+    const response = await apiClient.get('/owner-dashboard/attendance/export', {
+      params: { ...filters, format },
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  getAttendanceRegister: async (
+    filters: { month: number; year: number; branchId?: number; shiftId?: number; search?: string }
+  ): Promise<AttendanceRegister> => {
+    const response = await apiClient.get('/owner-dashboard/attendance/register', { params: filters });
+    return response.data;
+  },
+
+  getStudentIdCards: async (
+    filters: { branchId?: number; studentId?: number; search?: string } = {}
+  ): Promise<{ cards: StudentIdCardData[] }> => {
+    const response = await apiClient.get('/attendance-kiosk/cards', { params: filters });
+    return response.data;
+  },
+
+  recordKioskScan: async (cardCode: string): Promise<KioskScanResult> => {
+    const response = await apiClient.post('/attendance-kiosk/scan', { cardCode });
+    return response.data;
+  },
+
+  getAttendanceAbsentees: async (
+    filters: { date?: string; branchId?: number } = {}
+  ): Promise<{ date: string; totalAbsent: number; branches: AbsenteeBranch[] }> => {
+    const response = await apiClient.get('/owner-dashboard/attendance/absentees', { params: filters });
+    return response.data;
+  },
+
+  getAttendancePunctuality: async (
+    filters: { month: number; year: number; branchId?: number; studentId?: number; search?: string }
+  ): Promise<{ month: number; year: number; graceMinutes: number; students: PunctualitySummary[] }> => {
+    const response = await apiClient.get('/owner-dashboard/attendance/punctuality', { params: filters });
+    return response.data;
+  },
+
+  correctAttendanceTime: async (attendanceId: number, time: string): Promise<{ message: string }> => {
+    const response = await apiClient.put(`/owner-dashboard/attendance/${attendanceId}`, { time });
+    return response.data;
+  },
+
+  getLoginLockouts: async (): Promise<{ lockouts: LoginLockout[] }> => {
+    const response = await apiClient.get('/owner-dashboard/security/lockouts');
+    return response.data;
+  },
+
+  getLoginAttempts: async (
+    filters: { accountType?: 'staff' | 'student'; identifier?: string; failedOnly?: boolean; limit?: number } = {}
+  ): Promise<{ attempts: LoginAttempt[] }> => {
+    const response = await apiClient.get('/owner-dashboard/security/login-attempts', { params: filters });
+    return response.data;
+  },
+
+  unlockLoginAccount: async (accountType: 'staff' | 'student', identifier: string): Promise<{ message: string }> => {
+    const response = await apiClient.post('/owner-dashboard/security/lockouts/unlock', { accountType, identifier });
+    return response.data;
+  },
+
+  getAuditLogs: async (
+    filters: AuditLogFilters = {}
+  ): Promise<{ logs: AuditLogEntry[]; total: number; page: number; limit: number }> => {
+    const response = await apiClient.get('/owner-dashboard/audit-logs', { params: filters });
+    return response.data;
+  },
+
+  getAuditLogFilterOptions: async (): Promise<AuditLogFilterOptions> => {
+    const response = await apiClient.get('/owner-dashboard/audit-logs/filters');
+    return response.data;
+  },
+
+  getNotificationTemplates: async (): Promise<NotificationTemplatesResponse> => {
+    const response = await apiClient.get('/notifications/templates');
+    return response.data;
+  },
+
+  updateNotificationTemplate: async (
+    templateKey: string,
+    channel: NotificationChannel,
+    template: Pick<NotificationTemplate, 'subject' | 'body' | 'providerTemplate'>
+  ): Promise<{ message: string; template: NotificationTemplate }> => {
+    const response = await apiClient.put(`/notifications/templates/${templateKey}/${channel}`, template);
+    return response.data;
+  },
+
+  resetNotificationTemplate: async (
+    templateKey: string,
+    channel: NotificationChannel
+  ): Promise<{ message: string; template: NotificationTemplate }> => {
+    const response = await apiClient.delete(`/notifications/templates/${templateKey}/${channel}`);
+    return response.data;
+  },
+
+  // Sends the saved template, filled in with sample values, to `to`
+  sendTestNotification: async (
+    templateKey: string,
+    channel: NotificationChannel,
+    to: string
+  ): Promise<{ notification: NotificationDetail }> => {
+    const response = await apiClient.post(`/notifications/templates/${templateKey}/${channel}/test`, { to });
+    return response.data;
+  },
+
+  getNotifications: async (
+    filters: NotificationFilters = {}
+  ): Promise<{
+    notifications: NotificationLogEntry[];
+    total: number;
+    counts: Partial<Record<NotificationStatus, number>>;
+    page: number;
+    limit: number;
+  }> => {
+    const response = await apiClient.get('/notifications', { params: filters });
+    return response.data;
+  },
+
+  getNotification: async (id: number): Promise<{ notification: NotificationDetail }> => {
+    const response = await apiClient.get(`/notifications/${id}`);
+    return response.data;
+  },
+
+  retryNotification: async (id: number): Promise<{ message: string; notification: NotificationLogEntry }> => {
+    const response = await apiClient.post(`/notifications/${id}/retry`);
+    return response.data;
+  },
+
+  getReminderRules: async (): Promise<ReminderRulesResponse> => {
+    const response = await apiClient.get('/reminder-rules');
+    return response.data;
+  },
+
+  createReminderRule: async (rule: ReminderRuleInput): Promise<{ message: string; rule: ReminderRule }> => {
+    const response = await apiClient.post('/reminder-rules', rule);
+    return response.data;
+  },
+
+  updateReminderRule: async (id: number, rule: ReminderRuleInput): Promise<{ message: string; rule: ReminderRule }> => {
+    const response = await apiClient.put(`/reminder-rules/${id}`, rule);
+    return response.data;
+  },
+
+  deleteReminderRule: async (id: number): Promise<{ message: string }> => {
+    const response = await apiClient.delete(`/reminder-rules/${id}`);
+    return response.data;
+  },
+
+  getStudentSegments: async (): Promise<StudentSegmentsResponse> => {
+    const response = await apiClient.get('/bulk-messages/segments');
+    return response.data;
+  },
+
+  createStudentSegment: async (segment: { name: string; filters: SegmentFilters }): Promise<{ message: string; segment: StudentSegment }> => {
+    const response = await apiClient.post('/bulk-messages/segments', segment);
+    return response.data;
+  },
+
+  updateStudentSegment: async (
+    id: number,
+    segment: { name: string; filters: SegmentFilters }
+  ): Promise<{ message: string; segment: StudentSegment }> => {
+    const response = await apiClient.put(`/bulk-messages/segments/${id}`, segment);
+    return response.data;
+  },
+
+  deleteStudentSegment: async (id: number): Promise<{ message: string }> => {
+    const response = await apiClient.delete(`/bulk-messages/segments/${id}`);
+    return response.data;
+  },
+
+  previewBulkMessage: async (input: Partial<BulkMessageInput>): Promise<SegmentPreview> => {
+    const response = await apiClient.post('/bulk-messages/preview', input);
+    return response.data;
+  },
+
+  getBulkMessages: async (): Promise<{ bulkMessages: BulkMessage[] }> => {
+    const response = await apiClient.get('/bulk-messages');
+    return response.data;
+  },
+
+  getBulkMessage: async (id: number): Promise<{ bulkMessage: BulkMessage; failures: NotificationLogEntry[] }> => {
+    const response = await apiClient.get(`/bulk-messages/${id}`);
+    return response.data;
+  },
+
+  sendBulkMessage: async (input: BulkMessageInput): Promise<{ message: string; bulkMessage: BulkMessage }> => {
+    const response = await apiClient.post('/bulk-messages', input);
+    return response.data;
+  },
+
+  retryBulkMessage: async (id: number): Promise<{ message: string; count: number }> => {
+    const response = await apiClient.post(`/bulk-messages/${id}/retry`);
+    return response.data;
+  },
+
+  getReceiptSettings: async (): Promise<{ settings: ReceiptSettings }> => {
+    const response = await apiClient.get('/owner-dashboard/receipt-settings');
+    return response.data;
+  },
+
+  updateReceiptSettings: async (settings: ReceiptSettings): Promise<{ message: string; settings: ReceiptSettings }> => {
+    const response = await apiClient.put('/owner-dashboard/receipt-settings', settings);
+    return response.data;
+  },
+
+  getGstSettings: async (): Promise<{ settings: GstSettings; states: Array<{ code: string; name: string }> }> => {
+    const response = await apiClient.get('/owner-dashboard/gst-settings');
+    return response.data;
+  },
+
+  updateGstSettings: async (settings: GstSettings): Promise<{ message: string; settings: GstSettings }> => {
+    const response = await apiClient.put('/owner-dashboard/gst-settings', settings);
+    return response.data;
+  },
+
+  getOnlinePaymentSettings: async (): Promise<{ settings: OnlinePaymentSettings }> => {
+    const response = await apiClient.get('/owner-dashboard/online-payment-settings');
+    return response.data;
+  },
+
+  updateOnlinePaymentSettings: async (settings: {
+    enabled: boolean;
+    keyId: string;
+    keySecret?: string;
+    webhookSecret?: string;
+  }): Promise<{ message: string; settings: OnlinePaymentSettings }> => {
+    const response = await apiClient.put('/owner-dashboard/online-payment-settings', settings);
+    return response.data;
+  },
+
+  verifyReceipts: async (): Promise<ReceiptChainCheck> => {
+    const response = await apiClient.get('/owner-dashboard/receipts/verify');
+    return response.data;
+  },
+
   getLibraryProfile: async (): Promise<{ library: LibraryProfile }> => {
     const response = await apiClient.get('/owner-dashboard/profile');
     return response.data;
   },
 
+  getAttendanceQrCode: async (): Promise<AttendanceQrCode> => {
+    const response = await apiClient.get('/owner-dashboard/qr-code');
+    return response.data;
+  },
+
   getStudentProfile: async (): Promise<{ student: StudentProfile }> => {
     const response = await apiClient.get('/student-auth/profile');
     return response.data;
@@ -1240,10 +2153,14 @@ const api = {
       // Create a new axios instance without interceptors
       const rawAxios = axios.create();
       
+      // Device location is checked against the branch geofence on the server
+      const location = await getDeviceLocation();
+
       // Create the request data object with qrData in camelCase
       const requestData = {
         qrData: parsedData,
-        notes: 'Scanned via mobile app'
+        notes: 'Scanned via mobile app',
+        location
       };
       
       console.log('Sending QR attendance data:', requestData);
@@ -1267,10 +2184,17 @@ const api = {
       if (error.response) {
         console.error('Server responded with:', error.response.data);
       }
-      throw new Error('Failed to mark attendance. Please try again.');
+      throw new Error(error.response?.data?.message || 'Failed to mark attendance. Please try again.');
     }
   },
 
+  getStudentAttendanceSummary: async (
+    filters: { month: number; year: number }
+  ): Promise<{ month: number; year: number; graceMinutes: number; summary: PunctualitySummary | null }> => {
+    const response = await apiClient.get('/student-auth/attendance/summary', { params: filters });
+    return response.data;
+  },
+
   getStudentAttendanceHistory: async (
     filters: {
       view?: 'daily' | 'monthly';
@@ -1296,6 +2220,41 @@ const api = {
   getStudentTransactions: (): Promise<{ transactions: any[]; totalRecords: number }> =>
     apiClient.get('/student-auth/transactions').then(res => res.data),
 
+  getMyReceipts: async (): Promise<{ receipts: Receipt[] }> => {
+    const response = await apiClient.get('/student-auth/receipts');
+    return response.data;
+  },
+
+  downloadMyReceiptPdf: async (receiptId: number): Promise<Blob> => {
+    const response = await apiClient.get(`/student-auth/receipts/${receiptId}/pdf`, { responseType: 'blob' });
+    return response.data;
+  },
+
+  getOnlinePaymentOptions: async (): Promise<OnlinePaymentOptions> => {
+    const response = await apiClient.get('/online-payments/options');
+    return response.data;
+  },
+
+  createOnlinePaymentOrder: async (purpose: 'due' | 'renewal'): Promise<OnlinePaymentOrder> => {
+    const response = await apiClient.post('/online-payments/orders', { purpose });
+    return response.data;
+  },
+
+  completeMockCheckout: async (orderId: string): Promise<OnlineCheckoutResponse> => {
+    const response = await apiClient.post('/online-payments/mock-checkout', { orderId });
+    return response.data;
+  },
+
+  verifyOnlinePayment: async (checkout: OnlineCheckoutResponse): Promise<{
+    message: string;
+    purpose: 'due' | 'renewal';
+    receiptId: number | null;
+    receiptNumber: string | null;
+  }> => {
+    const response = await apiClient.post('/online-payments/verify', checkout);
+    return response.data;
+  },
+
   getAttendanceStatus: (): Promise<{
     hasMarkedToday: boolean;
     nextAction: 'in' | 'out';
@@ -1303,13 +2262,16 @@ const api = {
     firstIn?: string | null;
     lastOut?: string | null;
     currentStatus?: 'checked_in' | 'checked_out';
-  }> => apiClient.get('/student-auth/attendance/status').then(res => res.data),
+  }> => apiClient.get('/student-auth/attendance/today').then(res => res.data),
 
-  toggleAttendance: (notes?: string): Promise<{
+  toggleAttendance: async (notes?: string): Promise<{
     action: 'checked in' | 'checked out';
     record: any;
     totalToday: number;
-  }> => apiClient.post('/student-auth/attendance/toggle', { notes }).then(res => res.data),
+  }> => {
+    const location = await getDeviceLocation();
+    return apiClient.post('/student-auth/attendance/toggle', { notes, location }).then(res => res.data);
+  },
 
   // Announcements API
 
@@ -1353,6 +2315,39 @@ const api = {
     return response.data;
   },
 
+  getPermissionRegistry: async (): Promise<{ permissions: Permission[] }> => {
+    const response = await apiClient.get('/auth/permissions');
+    return response.data;
+  },
+
+  getRoles: async (): Promise<{ roles: Role[] }> => {
+    const response = await apiClient.get('/roles');
+    return response.data;
+  },
+
+  createRole: async (role: { name: string; description?: string; permissions: string[] }): Promise<{ message: string; role: Role }> => {
+    const response = await apiClient.post('/roles', role);
+    return response.data;
+  },
+
+  updateRole: async (
+    roleId: number,
+    role: { name: string; description?: string; permissions: string[] }
+  ): Promise<{ message: string; role: Role }> => {
+    const response = await apiClient.put(`/roles/${roleId}`, role);
+    return response.data;
+  },
+
+  deleteRole: async (roleId: number): Promise<{ message: string }> => {
+    const response = await apiClient.delete(`/roles/${roleId}`);
+    return response.data;
+  },
+
+  updateUserRole: async (userId: number, roleId: number | null): Promise<{ message: string }> => {
+    const response = await apiClient.put(`/users/${userId}/role`, { roleId });
+    return response.data;
+  },
+
   updateUserPermissions: async (userId: number, permissions: string[]) => {
     try {
       const response = await apiClient.put(`/users/${userId}/permissions`, { permissions });
@@ -0,0 +1,100 @@
+/**
+ * Printable monthly attendance register
+ */
+import { jsPDF } from 'jspdf';
+import { AttendanceRegister } from '../services/api';
+
+const MARK_COLORS: Record<string, [number, number, number]> = {
+  P: [21, 128, 61],
+  L: [180, 83, 9],
+  A: [185, 28, 28],
+};
+
+/**
+ * Build the register as an A4 landscape PDF: one row per student, one column per day, with P/A/L marks
+ * @param register - Register data from the owner attendance register endpoint
+ * @param libraryName - Name printed in the page header
+ * @returns The PDF document, ready to save or print
+ */
+export const createAttendanceRegisterPdf = (register: AttendanceRegister, libraryName: string): jsPDF => {
+  const pdf = new jsPDF('l', 'mm', 'a4');
+  const pageWidth = pdf.internal.pageSize.getWidth();
+  const pageHeight = pdf.internal.pageSize.getHeight();
+  const margin = 8;
+  const nameWidth = 48;
+  const totalsWidth = 24;
+  const rowHeight = 6;
+  const dayWidth = (pageWidth - margin * 2 - nameWidth - totalsWidth) / register.daysInMonth;
+  const monthLabel = new Date(register.year, register.month - 1, 1).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+  const drawHeader = (): number => {
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(14);
+    pdf.setTextColor(0, 0, 0);
+    pdf.text(`${libraryName} - Attendance Register`, margin, margin + 4);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text(`${monthLabel}    P = Present, L = Late, A = Absent`, margin, margin + 10);
+
+    const top = margin + 14;
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(7);
+    pdf.setFillColor(243, 244, 246);
+    pdf.rect(margin, top, pageWidth - margin * 2, rowHeight, 'F');
+    pdf.text('Student', margin + 1, top + 4);
+    for (let day = 1; day <= register.daysInMonth; day++) {
+      pdf.text(String(day), margin + nameWidth + (day - 0.5) * dayWidth, top + 4, { align: 'center' });
+    }
+    pdf.text('P / L / A', pageWidth - margin - totalsWidth / 2, top + 4, { align: 'center' });
+    return top + rowHeight;
+  };
+
+  let y = drawHeader();
+  pdf.setFontSize(7);
+
+  register.students.forEach((student, index) => {
+    if (y + rowHeight > pageHeight - margin) {
+      pdf.addPage();
+      y = drawHeader();
+    }
+
+    if (index % 2 === 1) {
+      pdf.setFillColor(249, 250, 251);
+      pdf.rect(margin, y, pageWidth - margin * 2, rowHeight, 'F');
+    }
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(0, 0, 0);
+    const label = student.registrationNumber ? `${student.studentName} (${student.registrationNumber})` : student.studentName;
+    pdf.text(pdf.splitTextToSize(label, nameWidth - 2)[0], margin + 1, y + 4);
+
+    pdf.setFont('helvetica', 'bold');
+    student.marks.forEach((mark, dayIndex) => {
+      if (!mark) return;
+      const [r, g, b] = MARK_COLORS[mark];
+      pdf.setTextColor(r, g, b);
+      pdf.text(mark, margin + nameWidth + (dayIndex + 0.5) * dayWidth, y + 4, { align: 'center' });
+    });
+
+    pdf.setFont('helvetica', 'normal');
+    pdf.setTextColor(0, 0, 0);
+    pdf.text(
+      `${student.present - student.late} / ${student.late} / ${student.absent}`,
+      pageWidth - margin - totalsWidth / 2,
+      y + 4,
+      { align: 'center' }
+    );
+
+    pdf.setDrawColor(229, 231, 235);
+    pdf.line(margin, y + rowHeight, pageWidth - margin, y + rowHeight);
+    y += rowHeight;
+  });
+
+  if (register.students.length === 0) {
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(10);
+    pdf.text('No students for this month.', margin, y + 8);
+  }
+
+  return pdf;
+};
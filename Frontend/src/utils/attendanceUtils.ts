@@ -121,3 +121,25 @@ export const getStatusColorClasses = (status: string): string => {
       return 'bg-gray-100 text-gray-800 border-gray-200';
   }
 };
+
+/**
+ * Get the label and badge classes for a shift-aware attendance status
+ * @param status - Status computed against the student's shift (e.g. "on_time", "late")
+ * @returns Display label and CSS classes
+ */
+export const getShiftStatusDisplay = (status: string | null | undefined): { label: string; className: string } => {
+  switch (status) {
+    case 'on_time':
+      return { label: 'On Time', className: 'bg-green-100 text-green-800' };
+    case 'late':
+      return { label: 'Late', className: 'bg-yellow-100 text-yellow-800' };
+    case 'early_leave':
+      return { label: 'Early Leave', className: 'bg-orange-100 text-orange-800' };
+    case 'out_of_shift':
+      return { label: 'Out of Shift', className: 'bg-purple-100 text-purple-800' };
+    case 'absent':
+      return { label: 'Absent', className: 'bg-red-100 text-red-800' };
+    default:
+      return { label: 'Present', className: 'bg-gray-100 text-gray-800' };
+  }
+};
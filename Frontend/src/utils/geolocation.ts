@@ -0,0 +1,38 @@
+/**
+ * Device location helpers for geofenced attendance
+ */
+
+export interface DeviceLocation {
+  latitude: number;
+  longitude: number;
+  accuracy: number;
+}
+
+/**
+ * Get the current device location to send with an attendance action
+ * @param timeoutMs - How long to wait for a position fix
+ * @returns The device coordinates, or null if location is unavailable or permission was denied
+ */
+export const getDeviceLocation = (timeoutMs: number = 10000): Promise<DeviceLocation | null> => {
+  if (typeof navigator === 'undefined' || !navigator.geolocation) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+        });
+      },
+      (error) => {
+        // The server decides whether a missing location is rejected or flagged
+        console.warn('Unable to get device location:', error.message);
+        resolve(null);
+      },
+      { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 30000 }
+    );
+  });
+};
@@ -0,0 +1,43 @@
+import { OnlineCheckoutResponse, OnlinePaymentOrder } from '../services/api';
+
+// window.Razorpay is declared with the subscription checkout in pages/SubscriptionPlans.tsx
+const loadRazorpayScript = (): Promise<boolean> => {
+  if (window.Razorpay) return Promise.resolve(true);
+  return new Promise((resolve) => {
+    const script = document.createElement('script');
+    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+    script.onload = () => resolve(true);
+    script.onerror = () => resolve(false);
+    document.body.appendChild(script);
+  });
+};
+
+// Open the Razorpay checkout for an order; resolves with what it returns once paid, or null when closed unpaid
+export const openRazorpayCheckout = async (
+  order: OnlinePaymentOrder,
+  description: string
+): Promise<OnlineCheckoutResponse | null> => {
+  if (!(await loadRazorpayScript())) {
+    throw new Error('Failed to load Razorpay. Please check your internet connection.');
+  }
+  return new Promise((resolve) => {
+    const rzp = new window.Razorpay({
+      key: order.keyId,
+      amount: order.amount,
+      currency: order.currency,
+      name: 'StudyLib',
+      description,
+      order_id: order.orderId,
+      prefill: { name: order.studentName },
+      theme: { color: '#6366f1' },
+      handler: (response: { razorpay_order_id: string; razorpay_payment_id: string; razorpay_signature: string }) =>
+        resolve({
+          razorpayOrderId: response.razorpay_order_id,
+          razorpayPaymentId: response.razorpay_payment_id,
+          razorpaySignature: response.razorpay_signature,
+        }),
+      modal: { ondismiss: () => resolve(null) },
+    });
+    rzp.open();
+  });
+};
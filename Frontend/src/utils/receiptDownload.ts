@@ -0,0 +1,24 @@
+/**
+ * Downloads of server-rendered receipt PDFs
+ */
+import { toast } from 'sonner';
+import api from '../services/api';
+
+// Save a receipt PDF rendered by the server. fetchPdf defaults to the staff route; students pass api.downloadMyReceiptPdf.
+export const downloadReceipt = async (
+  receiptId: number,
+  receiptNumber: string,
+  fetchPdf: (receiptId: number) => Promise<Blob> = api.downloadReceiptPdf
+) => {
+  try {
+    const blob = await fetchPdf(receiptId);
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${receiptNumber.replace(/\//g, '-')}.pdf`;
+    a.click();
+    window.URL.revokeObjectURL(url);
+  } catch (error) {
+    toast.error(error instanceof Error ? error.message : 'Failed to download receipt');
+  }
+};